@@ -1,3 +1,3 @@
 /*! (c) Tom Wu | http://www-cs-students.stanford.edu/~tjw/jsbn/
  */
-function ECFieldElementFp(b,a){this.x=a;this.q=b}function feFpEquals(a){if(a==this){return true}return(this.q.equals(a.q)&&this.x.equals(a.x))}function feFpToBigInteger(){return this.x}function feFpNegate(){return new ECFieldElementFp(this.q,this.x.negate().mod(this.q))}function feFpAdd(a){return new ECFieldElementFp(this.q,this.x.add(a.toBigInteger()).mod(this.q))}function feFpSubtract(a){return new ECFieldElementFp(this.q,this.x.subtract(a.toBigInteger()).mod(this.q))}function feFpMultiply(a){return new ECFieldElementFp(this.q,this.x.multiply(a.toBigInteger()).mod(this.q))}function feFpSquare(){return new ECFieldElementFp(this.q,this.x.square().mod(this.q))}function feFpDivide(a){return new ECFieldElementFp(this.q,this.x.multiply(a.toBigInteger().modInverse(this.q)).mod(this.q))}ECFieldElementFp.prototype.equals=feFpEquals;ECFieldElementFp.prototype.toBigInteger=feFpToBigInteger;ECFieldElementFp.prototype.negate=feFpNegate;ECFieldElementFp.prototype.add=feFpAdd;ECFieldElementFp.prototype.subtract=feFpSubtract;ECFieldElementFp.prototype.multiply=feFpMultiply;ECFieldElementFp.prototype.square=feFpSquare;ECFieldElementFp.prototype.divide=feFpDivide;function ECPointFp(c,a,d,b){this.curve=c;this.x=a;this.y=d;if(b==null){this.z=BigInteger.ONE}else{this.z=b}this.zinv=null}function pointFpGetX(){if(this.zinv==null){this.zinv=this.z.modInverse(this.curve.q)}return this.curve.fromBigInteger(this.x.toBigInteger().multiply(this.zinv).mod(this.curve.q))}function pointFpGetY(){if(this.zinv==null){this.zinv=this.z.modInverse(this.curve.q)}return this.curve.fromBigInteger(this.y.toBigInteger().multiply(this.zinv).mod(this.curve.q))}function pointFpEquals(a){if(a==this){return true}if(this.isInfinity()){return a.isInfinity()}if(a.isInfinity()){return this.isInfinity()}var c,b;c=a.y.toBigInteger().multiply(this.z).subtract(this.y.toBigInteger().multiply(a.z)).mod(this.curve.q);if(!c.equals(BigInteger.ZERO)){return false}b=a.x.toBigInteger().multiply(this.z).subtract(this.x.toBigInteger().multiply(a.z)).mod(this.curve.q);return b.equals(BigInteger.ZERO)}function pointFpIsInfinity(){if((this.x==null)&&(this.y==null)){return true}return this.z.equals(BigInteger.ZERO)&&!this.y.toBigInteger().equals(BigInteger.ZERO)}function pointFpNegate(){return new ECPointFp(this.curve,this.x,this.y.negate(),this.z)}function pointFpAdd(l){if(this.isInfinity()){return l}if(l.isInfinity()){return this}var p=l.y.toBigInteger().multiply(this.z).subtract(this.y.toBigInteger().multiply(l.z)).mod(this.curve.q);var o=l.x.toBigInteger().multiply(this.z).subtract(this.x.toBigInteger().multiply(l.z)).mod(this.curve.q);if(BigInteger.ZERO.equals(o)){if(BigInteger.ZERO.equals(p)){return this.twice()}return this.curve.getInfinity()}var j=new BigInteger("3");var e=this.x.toBigInteger();var n=this.y.toBigInteger();var c=l.x.toBigInteger();var k=l.y.toBigInteger();var m=o.square();var i=m.multiply(o);var d=e.multiply(m);var g=p.square().multiply(this.z);var a=g.subtract(d.shiftLeft(1)).multiply(l.z).subtract(i).multiply(o).mod(this.curve.q);var h=d.multiply(j).multiply(p).subtract(n.multiply(i)).subtract(g.multiply(p)).multiply(l.z).add(p.multiply(i)).mod(this.curve.q);var f=i.multiply(this.z).multiply(l.z).mod(this.curve.q);return new ECPointFp(this.curve,this.curve.fromBigInteger(a),this.curve.fromBigInteger(h),f)}function pointFpTwice(){if(this.isInfinity()){return this}if(this.y.toBigInteger().signum()==0){return this.curve.getInfinity()}var g=new BigInteger("3");var c=this.x.toBigInteger();var h=this.y.toBigInteger();var e=h.multiply(this.z);var j=e.multiply(h).mod(this.curve.q);var i=this.curve.a.toBigInteger();var k=c.square().multiply(g);if(!BigInteger.ZERO.equals(i)){k=k.add(this.z.square().multiply(i))}k=k.mod(this.curve.q);var b=k.square().subtract(c.shiftLeft(3).multiply(j)).shiftLeft(1).multiply(e).mod(this.curve.q);var f=k.multiply(g).multiply(c).subtract(j.shiftLeft(1)).shiftLeft(2).multiply(j).subtract(k.square().multiply(k)).mod(this.curve.q);var d=e.square().multiply(e).shiftLeft(3).mod(this.curve.q);return new ECPointFp(this.curve,this.curve.fromBigInteger(b),this.curve.fromBigInteger(f),d)}function pointFpMultiply(b){if(this.isInfinity()){return this}if(b.signum()==0){return this.curve.getInfinity()}var g=b;var f=g.multiply(new BigInteger("3"));var l=this.negate();var d=this;var c;for(c=f.bitLength()-2;c>0;--c){d=d.twice();var a=f.testBit(c);var j=g.testBit(c);if(a!=j){d=d.add(a?this:l)}}return d}function pointFpMultiplyTwo(c,a,b){var d;if(c.bitLength()>b.bitLength()){d=c.bitLength()-1}else{d=b.bitLength()-1}var f=this.curve.getInfinity();var e=this.add(a);while(d>=0){f=f.twice();if(c.testBit(d)){if(b.testBit(d)){f=f.add(e)}else{f=f.add(this)}}else{if(b.testBit(d)){f=f.add(a)}}--d}return f}ECPointFp.prototype.getX=pointFpGetX;ECPointFp.prototype.getY=pointFpGetY;ECPointFp.prototype.equals=pointFpEquals;ECPointFp.prototype.isInfinity=pointFpIsInfinity;ECPointFp.prototype.negate=pointFpNegate;ECPointFp.prototype.add=pointFpAdd;ECPointFp.prototype.twice=pointFpTwice;ECPointFp.prototype.multiply=pointFpMultiply;ECPointFp.prototype.multiplyTwo=pointFpMultiplyTwo;function ECCurveFp(e,d,c){this.q=e;this.a=this.fromBigInteger(d);this.b=this.fromBigInteger(c);this.infinity=new ECPointFp(this,null,null)}function curveFpGetQ(){return this.q}function curveFpGetA(){return this.a}function curveFpGetB(){return this.b}function curveFpEquals(a){if(a==this){return true}return(this.q.equals(a.q)&&this.a.equals(a.a)&&this.b.equals(a.b))}function curveFpGetInfinity(){return this.infinity}function curveFpFromBigInteger(a){return new ECFieldElementFp(this.q,a)}function curveFpDecodePointHex(d){switch(parseInt(d.substr(0,2),16)){case 0:return this.infinity;case 2:case 3:return null;case 4:case 6:case 7:var a=(d.length-2)/2;var c=d.substr(2,a);var b=d.substr(a+2,a);return new ECPointFp(this,this.fromBigInteger(new BigInteger(c,16)),this.fromBigInteger(new BigInteger(b,16)));default:return null}}ECCurveFp.prototype.getQ=curveFpGetQ;ECCurveFp.prototype.getA=curveFpGetA;ECCurveFp.prototype.getB=curveFpGetB;ECCurveFp.prototype.equals=curveFpEquals;ECCurveFp.prototype.getInfinity=curveFpGetInfinity;ECCurveFp.prototype.fromBigInteger=curveFpFromBigInteger;ECCurveFp.prototype.decodePointHex=curveFpDecodePointHex;
\ No newline at end of file
+function ECFieldElementFp(t,e){this.x=e;this.q=t}function feFpEquals(t){if(t==this)return true;return this.q.equals(t.q)&&this.x.equals(t.x)}function feFpToBigInteger(){return this.x}function feFpNegate(){return new ECFieldElementFp(this.q,this.x.negate().mod(this.q))}function feFpAdd(t){return new ECFieldElementFp(this.q,this.x.add(t.toBigInteger()).mod(this.q))}function feFpSubtract(t){return new ECFieldElementFp(this.q,this.x.subtract(t.toBigInteger()).mod(this.q))}function feFpMultiply(t){return new ECFieldElementFp(this.q,this.x.multiply(t.toBigInteger()).mod(this.q))}function feFpSquare(){return new ECFieldElementFp(this.q,this.x.square().mod(this.q))}function feFpDivide(t){return new ECFieldElementFp(this.q,this.x.multiply(t.toBigInteger().modInverse(this.q)).mod(this.q))}function feFpSqrt(){var t=this.q;var e=this.x;if(e.signum()==0)return this;var i=t.subtract(BigInteger.ONE);if(!e.modPow(i.shiftRight(1),t).equals(BigInteger.ONE))return null;var r;if(t.testBit(1)){r=e.modPow(t.add(BigInteger.ONE).shiftRight(2),t)}else{var n=i.getLowestSetBit();var u=i.shiftRight(n);var s=nbv(2);while(s.modPow(i.shiftRight(1),t).equals(BigInteger.ONE)){s=s.add(BigInteger.ONE)}var p=s.modPow(u,t);var l=e.modPow(u,t);r=e.modPow(u.add(BigInteger.ONE).shiftRight(1),t);var a=n;while(!l.equals(BigInteger.ONE)){var o=0;var h=l;while(!h.equals(BigInteger.ONE)){h=h.square().mod(t);++o}var g=p.modPow(BigInteger.ONE.shiftLeft(a-o-1),t);a=o;p=g.square().mod(t);l=l.multiply(p).mod(t);r=r.multiply(g).mod(t)}}if(!r.square().mod(t).equals(e))return null;return new ECFieldElementFp(t,r)}ECFieldElementFp.prototype.equals=feFpEquals;ECFieldElementFp.prototype.toBigInteger=feFpToBigInteger;ECFieldElementFp.prototype.negate=feFpNegate;ECFieldElementFp.prototype.add=feFpAdd;ECFieldElementFp.prototype.subtract=feFpSubtract;ECFieldElementFp.prototype.multiply=feFpMultiply;ECFieldElementFp.prototype.square=feFpSquare;ECFieldElementFp.prototype.divide=feFpDivide;ECFieldElementFp.prototype.sqrt=feFpSqrt;function ECPointFp(t,e,i,r){this.curve=t;this.x=e;this.y=i;if(r==null){this.z=BigInteger.ONE}else{this.z=r}this.zinv=null}function pointFpGetX(){if(this.zinv==null){this.zinv=this.z.modInverse(this.curve.q)}var t=this.curve.reduce(this.zinv.square());return this.curve.fromBigInteger(this.curve.reduce(this.x.toBigInteger().multiply(t)))}function pointFpGetY(){if(this.zinv==null){this.zinv=this.z.modInverse(this.curve.q)}var t=this.curve.reduce(this.curve.reduce(this.zinv.square()).multiply(this.zinv));return this.curve.fromBigInteger(this.curve.reduce(this.y.toBigInteger().multiply(t)))}function pointFpEquals(t){if(t==this)return true;if(this.isInfinity())return t.isInfinity();if(t.isInfinity())return this.isInfinity();var e=this.curve;var i=e.reduce(this.z.square());var r=e.reduce(t.z.square());var n=e.reduce(this.x.toBigInteger().multiply(r));var u=e.reduce(t.x.toBigInteger().multiply(i));if(!n.equals(u))return false;var s=e.reduce(e.reduce(this.y.toBigInteger().multiply(t.z)).multiply(r));var p=e.reduce(e.reduce(t.y.toBigInteger().multiply(this.z)).multiply(i));return s.equals(p)}function pointFpIsInfinity(){if(this.x==null&&this.y==null)return true;return this.z.equals(BigInteger.ZERO)&&!this.y.toBigInteger().equals(BigInteger.ZERO)}function pointFpNegate(){if(this.isInfinity())return this;return new ECPointFp(this.curve,this.x,this.y.negate(),this.z)}function pointFpAdd(t){if(this.isInfinity())return t;if(t.isInfinity())return this;var e=this.curve;var i=this.x.toBigInteger();var r=this.y.toBigInteger();var n=this.z;var u=t.x.toBigInteger();var s=t.y.toBigInteger();var p=t.z;var l=n.equals(BigInteger.ONE);var a=p.equals(BigInteger.ONE);var o=i,h=r;if(!a){var g=e.reduce(p.square());o=e.reduce(i.multiply(g));h=e.reduce(e.reduce(r.multiply(p)).multiply(g))}var f=u,c=s;if(!l){var d=e.reduce(n.square());f=e.reduce(u.multiply(d));c=e.reduce(e.reduce(s.multiply(n)).multiply(d))}var v=e.reduce(f.subtract(o));var F=e.reduce(c.subtract(h));if(v.signum()==0){if(F.signum()==0){return this.twice()}return e.getInfinity()}var y=e.reduce(v.square());var m=e.reduce(y.multiply(v));var I=e.reduce(o.multiply(y));var E=e.reduce(F.square().subtract(m).subtract(I.shiftLeft(1)));var q=e.reduce(F.multiply(I.subtract(E)).subtract(h.multiply(m)));var B=v;if(!l)B=e.reduce(B.multiply(n));if(!a)B=e.reduce(B.multiply(p));return new ECPointFp(e,e.fromBigInteger(E),e.fromBigInteger(q),B)}function pointFpTwice(){if(this.isInfinity())return this;if(this.y.toBigInteger().signum()==0)return this.curve.getInfinity();var t=this.curve;var e=this.x.toBigInteger();var i=this.y.toBigInteger();var r=this.z;var n=t.reduce(i.square());var u=t.reduce(e.multiply(n).shiftLeft(2));var s,p;if(t.aType==0){var l=e.square();s=l.shiftLeft(1).add(l)}else if(t.aType==-3){p=t.reduce(r.square());var a=t.reduce(e.subtract(p).multiply(e.add(p)));s=a.shiftLeft(1).add(a)}else{var l=e.square();p=t.reduce(r.square());s=l.shiftLeft(1).add(l).add(t.reduce(t.reduce(p.square()).multiply(t.a.toBigInteger())))}s=t.reduce(s);var o=t.reduce(s.square().subtract(u.shiftLeft(1)));var h=t.reduce(s.multiply(u.subtract(o)).subtract(t.reduce(n.square()).shiftLeft(3)));var g=t.reduce(i.multiply(r).shiftLeft(1));return new ECPointFp(t,t.fromBigInteger(o),t.fromBigInteger(h),g)}function pointFpMultiply(t){if(this.isInfinity())return this;if(t.signum()==0)return this.curve.getInfinity();if(t.signum()<0)return this.negate().multiply(t.negate());if(this.fbBitLen>0&&t.bitLength()<=this.fbBitLen){return pointFpMultiplyFixedBase(this,t)}var e=[this];var i;for(i=1;i<15;++i){e.push(e[i-1].add(this))}pointFpNormalizeAll(e);e.unshift(null);var r=Math.ceil(Math.max(t.bitLength(),this.curve.q.bitLength())/4);var n=t.toString(16);while(n.length<r)n="0"+n;var u=this.curve.getInfinity();var s,p;for(i=0;i<n.length;++i){u=u.twice().twice().twice().twice();p=parseInt(n.charAt(i),16);if(p!=0){u=u.add(e[p])}else{s=u.add(e[1])}}return u}function pointFpMultiplyTwo(t,e,i){var r=5;var n=this;if(t.signum()<0){n=n.negate();t=t.negate()}if(i.signum()<0){e=e.negate();i=i.negate()}var u=pointFpWNAF(t,r);var s=pointFpWNAF(i,r);var p=pointFpOddMultiples(n,r);var l=pointFpOddMultiples(e,r);var a=this.curve.getInfinity();var o,h;for(o=Math.max(u.length,s.length)-1;o>=0;--o){a=a.twice();h=o<u.length?u[o]:0;if(h>0)a=a.add(p[h-1>>1]);else if(h<0)a=a.add(p[-h-1>>1].negate());h=o<s.length?s[o]:0;if(h>0)a=a.add(l[h-1>>1]);else if(h<0)a=a.add(l[-h-1>>1].negate())}return a}function pointFpWNAF(t,e){var i=[];var r=(1<<e)-1;var n=1<<e-1;var u;while(t.signum()>0){if(t.testBit(0)){u=t.intValue()&r;if(u>=n)u-=1<<e;t=t.subtract(nbv(u))}else{u=0}i.push(u);t=t.shiftRight(1)}return i}function pointFpOddMultiples(t,e){var i=[t];var r=t.twice();var n;for(n=1;n<1<<e-2;++n){i.push(i[n-1].add(r))}return i}function pointFpNormalizeAll(t){var e=t[0].curve;var i=[],r=BigInteger.ONE,n;for(n=0;n<t.length;++n){i.push(r);if(!t[n].isInfinity())r=e.reduce(r.multiply(t[n].z))}var u=r.modInverse(e.q);for(n=t.length-1;n>=0;--n){if(t[n].isInfinity())continue;var s=e.reduce(u.multiply(i[n]));u=e.reduce(u.multiply(t[n].z));var p=e.reduce(s.square());var l=e.reduce(t[n].x.toBigInteger().multiply(p));var a=e.reduce(e.reduce(t[n].y.toBigInteger().multiply(p)).multiply(s));t[n]=new ECPointFp(e,e.fromBigInteger(l),e.fromBigInteger(a))}return t}function pointFpSetFixedBase(t){if(this.fbBitLen!=t)this.fbTable=null;this.fbBitLen=t;return this}function pointFpPrecompute(t){if(t.fbTable!=null)return t.fbTable;var e=Math.ceil(t.fbBitLen/4);var i=[];var r=pointFpNormalizeAll([t])[0];var n,u,s;for(n=0;n<e;++n){s=[r];for(u=1;u<16;++u){s.push(s[u-1].add(r))}pointFpNormalizeAll(s);r=s.pop();s.unshift(null);i.push(s)}t.fbTable=i;return i}function pointFpMultiplyFixedBase(t,e){var i=pointFpPrecompute(t);var r=e.toString(16);while(r.length<i.length)r="0"+r;var n=t.curve.getInfinity();var u;var s,p;for(s=0;s<i.length;++s){p=parseInt(r.charAt(r.length-1-s),16);if(p!=0){n=n.add(i[s][p])}else{u=n.add(i[s][1])}}return n}ECPointFp.prototype.getX=pointFpGetX;ECPointFp.prototype.getY=pointFpGetY;ECPointFp.prototype.equals=pointFpEquals;ECPointFp.prototype.isInfinity=pointFpIsInfinity;ECPointFp.prototype.negate=pointFpNegate;ECPointFp.prototype.add=pointFpAdd;ECPointFp.prototype.twice=pointFpTwice;ECPointFp.prototype.multiply=pointFpMultiply;ECPointFp.prototype.multiplyTwo=pointFpMultiplyTwo;ECPointFp.prototype.setFixedBase=pointFpSetFixedBase;function ECCurveFp(t,e,i){this.q=t;this.a=this.fromBigInteger(e);this.b=this.fromBigInteger(i);this.infinity=new ECPointFp(this,null,null);this.reducer=new Barrett(t);if(e.signum()==0)this.aType=0;else if(e.add(new BigInteger("3")).equals(t))this.aType=-3;else this.aType=1}function curveFpGetQ(){return this.q}function curveFpGetA(){return this.a}function curveFpGetB(){return this.b}function curveFpEquals(t){if(t==this)return true;return this.q.equals(t.q)&&this.a.equals(t.a)&&this.b.equals(t.b)}function curveFpGetInfinity(){return this.infinity}function curveFpFromBigInteger(t){return new ECFieldElementFp(this.q,t)}function curveFpReduce(t){return this.reducer.convert(t)}function curveFpDecodePointHex(t){var e=(this.q.bitLength()+7>>3)*2;switch(parseInt(t.substr(0,2),16)){case 0:return this.infinity;case 2:case 3:if(t.length!=2+e)return null;var i=new BigInteger(t.substr(2),16);if(i.compareTo(this.q)>=0)return null;var r=this.fromBigInteger(i);var n=r.square().add(this.a).multiply(r).add(this.b);var u=n.sqrt();if(u==null)return null;var s=u.toBigInteger();if(s.testBit(0)!=(t.substr(0,2)=="03")){if(s.signum()==0)return null;s=this.q.subtract(s)}return new ECPointFp(this,r,this.fromBigInteger(s));case 4:case 6:case 7:if(t.length!=2+e*2)return null;var p=t.substr(2,e);var l=t.substr(e+2,e);return new ECPointFp(this,this.fromBigInteger(new BigInteger(p,16)),this.fromBigInteger(new BigInteger(l,16)));default:return null}}function curveFpEncodePointHex(t,e){if(t.isInfinity())return"00";var i=(this.q.bitLength()+7>>3)*2;var r=t.getX().toBigInteger().toString(16);while(r.length<i)r="0"+r;var n=t.getY().toBigInteger();if(e){return(n.testBit(0)?"03":"02")+r}var u=n.toString(16);while(u.length<i)u="0"+u;return"04"+r+u}ECCurveFp.prototype.getQ=curveFpGetQ;ECCurveFp.prototype.getA=curveFpGetA;ECCurveFp.prototype.getB=curveFpGetB;ECCurveFp.prototype.equals=curveFpEquals;ECCurveFp.prototype.getInfinity=curveFpGetInfinity;ECCurveFp.prototype.fromBigInteger=curveFpFromBigInteger;ECCurveFp.prototype.reduce=curveFpReduce;ECCurveFp.prototype.decodePointHex=curveFpDecodePointHex;ECCurveFp.prototype.encodePointHex=curveFpEncodePointHex;
\ No newline at end of file
@@ -1,3 +1,3 @@
 /*! (c) Stefan Thomas | https://github.com/bitcoinjs/bitcoinjs-lib
  */
-ECFieldElementFp.prototype.getByteLength=function(){return Math.floor((this.toBigInteger().bitLength()+7)/8)};ECPointFp.prototype.getEncoded=function(c){var d=function(h,f){var g=h.toByteArrayUnsigned();if(f<g.length){g=g.slice(g.length-f)}else{while(f>g.length){g.unshift(0)}}return g};var a=this.getX().toBigInteger();var e=this.getY().toBigInteger();var b=d(a,32);if(c){if(e.isEven()){b.unshift(2)}else{b.unshift(3)}}else{b.unshift(4);b=b.concat(d(e,32))}return b};ECPointFp.decodeFrom=function(g,c){var f=c[0];var e=c.length-1;var d=c.slice(1,1+e/2);var b=c.slice(1+e/2,1+e);d.unshift(0);b.unshift(0);var a=new BigInteger(d);var h=new BigInteger(b);return new ECPointFp(g,g.fromBigInteger(a),g.fromBigInteger(h))};ECPointFp.decodeFromHex=function(g,c){var f=c.substr(0,2);var e=c.length-2;var d=c.substr(2,e/2);var b=c.substr(2+e/2,e/2);var a=new BigInteger(d,16);var h=new BigInteger(b,16);return new ECPointFp(g,g.fromBigInteger(a),g.fromBigInteger(h))};ECPointFp.prototype.add2D=function(c){if(this.isInfinity()){return c}if(c.isInfinity()){return this}if(this.x.equals(c.x)){if(this.y.equals(c.y)){return this.twice()}return this.curve.getInfinity()}var g=c.x.subtract(this.x);var e=c.y.subtract(this.y);var a=e.divide(g);var d=a.square().subtract(this.x).subtract(c.x);var f=a.multiply(this.x.subtract(d)).subtract(this.y);return new ECPointFp(this.curve,d,f)};ECPointFp.prototype.twice2D=function(){if(this.isInfinity()){return this}if(this.y.toBigInteger().signum()==0){return this.curve.getInfinity()}var b=this.curve.fromBigInteger(BigInteger.valueOf(2));var e=this.curve.fromBigInteger(BigInteger.valueOf(3));var a=this.x.square().multiply(e).add(this.curve.a).divide(this.y.multiply(b));var c=a.square().subtract(this.x.multiply(b));var d=a.multiply(this.x.subtract(c)).subtract(this.y);return new ECPointFp(this.curve,c,d)};ECPointFp.prototype.multiply2D=function(b){if(this.isInfinity()){return this}if(b.signum()==0){return this.curve.getInfinity()}var g=b;var f=g.multiply(new BigInteger("3"));var l=this.negate();var d=this;var c;for(c=f.bitLength()-2;c>0;--c){d=d.twice();var a=f.testBit(c);var j=g.testBit(c);if(a!=j){d=d.add2D(a?this:l)}}return d};ECPointFp.prototype.isOnCurve=function(){var d=this.getX().toBigInteger();var i=this.getY().toBigInteger();var f=this.curve.getA().toBigInteger();var c=this.curve.getB().toBigInteger();var h=this.curve.getQ();var e=i.multiply(i).mod(h);var g=d.multiply(d).multiply(d).add(f.multiply(d)).add(c).mod(h);return e.equals(g)};ECPointFp.prototype.toString=function(){return"("+this.getX().toBigInteger().toString()+","+this.getY().toBigInteger().toString()+")"};ECPointFp.prototype.validate=function(){var c=this.curve.getQ();if(this.isInfinity()){throw new Error("Point is at infinity.")}var a=this.getX().toBigInteger();var b=this.getY().toBigInteger();if(a.compareTo(BigInteger.ONE)<0||a.compareTo(c.subtract(BigInteger.ONE))>0){throw new Error("x coordinate out of bounds")}if(b.compareTo(BigInteger.ONE)<0||b.compareTo(c.subtract(BigInteger.ONE))>0){throw new Error("y coordinate out of bounds")}if(!this.isOnCurve()){throw new Error("Point is not on the curve.")}if(this.multiply(c).isInfinity()){throw new Error("Point is not a scalar multiple of G.")}return true};
\ No newline at end of file
+ECFieldElementFp.prototype.getByteLength=function(){return Math.floor((this.toBigInteger().bitLength()+7)/8)};ECPointFp.prototype.getEncoded=function(t){var i=function(t,i){var r=t.toByteArrayUnsigned();if(i<r.length){r=r.slice(r.length-i)}else while(i>r.length){r.unshift(0)}return r};var r=this.getX().toBigInteger();var e=this.getY().toBigInteger();var n=i(r,32);if(t){if(e.isEven()){n.unshift(2)}else{n.unshift(3)}}else{n.unshift(4);n=n.concat(i(e,32))}return n};ECPointFp.decodeFrom=function(t,i){var r=i[0];var e=i.length-1;var n=i.slice(1,1+e/2);var o=i.slice(1+e/2,1+e);n.unshift(0);o.unshift(0);var s=new BigInteger(n);var u=new BigInteger(o);return new ECPointFp(t,t.fromBigInteger(s),t.fromBigInteger(u))};ECPointFp.decodeFromHex=function(t,i){var r=i.substr(0,2);if(r=="02"||r=="03")return t.decodePointHex(i);var e=i.length-2;var n=i.substr(2,e/2);var o=i.substr(2+e/2,e/2);var s=new BigInteger(n,16);var u=new BigInteger(o,16);return new ECPointFp(t,t.fromBigInteger(s),t.fromBigInteger(u))};ECPointFp.prototype.add2D=function(t){if(this.isInfinity())return t;if(t.isInfinity())return this;if(this.x.equals(t.x)){if(this.y.equals(t.y)){return this.twice()}return this.curve.getInfinity()}var i=t.x.subtract(this.x);var r=t.y.subtract(this.y);var e=r.divide(i);var n=e.square().subtract(this.x).subtract(t.x);var o=e.multiply(this.x.subtract(n)).subtract(this.y);return new ECPointFp(this.curve,n,o)};ECPointFp.prototype.twice2D=function(){if(this.isInfinity())return this;if(this.y.toBigInteger().signum()==0){return this.curve.getInfinity()}var t=this.curve.fromBigInteger(BigInteger.valueOf(2));var i=this.curve.fromBigInteger(BigInteger.valueOf(3));var r=this.x.square().multiply(i).add(this.curve.a).divide(this.y.multiply(t));var e=r.square().subtract(this.x.multiply(t));var n=r.multiply(this.x.subtract(e)).subtract(this.y);return new ECPointFp(this.curve,e,n)};ECPointFp.prototype.multiply2D=function(t){if(this.isInfinity())return this;if(t.signum()==0)return this.curve.getInfinity();var i=t;var r=i.multiply(new BigInteger("3"));var e=this.negate();var n=this;var o;for(o=r.bitLength()-2;o>0;--o){n=n.twice();var s=r.testBit(o);var u=i.testBit(o);if(s!=u){n=n.add2D(s?this:e)}}return n};ECPointFp.prototype.isOnCurve=function(){var t=this.getX().toBigInteger();var i=this.getY().toBigInteger();var r=this.curve.getA().toBigInteger();var e=this.curve.getB().toBigInteger();var n=this.curve.getQ();var o=i.multiply(i).mod(n);var s=t.multiply(t).multiply(t).add(r.multiply(t)).add(e).mod(n);return o.equals(s)};ECPointFp.prototype.toString=function(){return"("+this.getX().toBigInteger().toString()+","+this.getY().toBigInteger().toString()+")"};ECPointFp.prototype.validate=function(){var t=this.curve.getQ();if(this.isInfinity()){throw new Error("Point is at infinity.")}var i=this.getX().toBigInteger();var r=this.getY().toBigInteger();if(i.compareTo(BigInteger.ONE)<0||i.compareTo(t.subtract(BigInteger.ONE))>0){throw new Error("x coordinate out of bounds")}if(r.compareTo(BigInteger.ONE)<0||r.compareTo(t.subtract(BigInteger.ONE))>0){throw new Error("y coordinate out of bounds")}if(!this.isOnCurve()){throw new Error("Point is not on the curve.")}if(this.multiply(t).isInfinity()){throw new Error("Point is not a scalar multiple of G.")}return true};
\ No newline at end of file
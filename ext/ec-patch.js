@@ -72,6 +72,7 @@ ECPointFp.decodeFrom = function (curve, enc) {
  */
 ECPointFp.decodeFromHex = function (curve, encHex) {
   var type = encHex.substr(0, 2); // shall be "04"
+  if (type == "02" || type == "03") return curve.decodePointHex(encHex);
   var dataLen = encHex.length - 2;
 
   // Extract x and y as byte arrays
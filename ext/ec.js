@@ -49,6 +49,51 @@ function feFpDivide(b) {
     return new ECFieldElementFp(this.q, this.x.multiply(b.toBigInteger().modInverse(this.q)).mod(this.q));
 }
 
+// square root modulo q, or null if this is not a quadratic residue
+function feFpSqrt() {
+    var q = this.q;
+    var x = this.x;
+    if(x.signum() == 0) return this;
+    var qm1 = q.subtract(BigInteger.ONE);
+    // Euler's criterion
+    if(!x.modPow(qm1.shiftRight(1), q).equals(BigInteger.ONE)) return null;
+
+    var r;
+    if(q.testBit(1)) {
+	// q = 3 (mod 4): r = x^((q + 1) / 4)
+	r = x.modPow(q.add(BigInteger.ONE).shiftRight(2), q);
+    }
+    else {
+	// Tonelli-Shanks
+	var s = qm1.getLowestSetBit();
+	var qq = qm1.shiftRight(s);
+	var z = nbv(2);
+	while(z.modPow(qm1.shiftRight(1), q).equals(BigInteger.ONE)) {
+	    z = z.add(BigInteger.ONE);
+	}
+	var c = z.modPow(qq, q);
+	var t = x.modPow(qq, q);
+	r = x.modPow(qq.add(BigInteger.ONE).shiftRight(1), q);
+	var m = s;
+	while(!t.equals(BigInteger.ONE)) {
+	    var i = 0;
+	    var t2 = t;
+	    while(!t2.equals(BigInteger.ONE)) {
+		t2 = t2.square().mod(q);
+		++i;
+	    }
+	    var b = c.modPow(BigInteger.ONE.shiftLeft(m - i - 1), q);
+	    m = i;
+	    c = b.square().mod(q);
+	    t = t.multiply(c).mod(q);
+	    r = r.multiply(b).mod(q);
+	}
+    }
+
+    if(!r.square().mod(q).equals(x)) return null;
+    return new ECFieldElementFp(q, r);
+}
+
 ECFieldElementFp.prototype.equals = feFpEquals;
 ECFieldElementFp.prototype.toBigInteger = feFpToBigInteger;
 ECFieldElementFp.prototype.negate = feFpNegate;
@@ -57,6 +102,7 @@ ECFieldElementFp.prototype.subtract = feFpSubtract;
 ECFieldElementFp.prototype.multiply = feFpMultiply;
 ECFieldElementFp.prototype.square = feFpSquare;
 ECFieldElementFp.prototype.divide = feFpDivide;
+ECFieldElementFp.prototype.sqrt = feFpSqrt;
 
 // ----------------
 // ECPointFp
@@ -66,7 +112,8 @@ function ECPointFp(curve,x,y,z) {
     this.curve = curve;
     this.x = x;
     this.y = y;
-    // Projective coordinates: either zinv == null or z * zinv == 1
+    // Jacobian coordinates: (x, y) = (X / Z^2, Y / Z^3)
+    // either zinv == null or z * zinv == 1
     // z and zinv are just BigIntegers, not fieldElements
     if(z == null) {
       this.z = BigInteger.ONE;
@@ -82,27 +129,33 @@ function pointFpGetX() {
     if(this.zinv == null) {
       this.zinv = this.z.modInverse(this.curve.q);
     }
-    return this.curve.fromBigInteger(this.x.toBigInteger().multiply(this.zinv).mod(this.curve.q));
+    var zinv2 = this.curve.reduce(this.zinv.square());
+    return this.curve.fromBigInteger(this.curve.reduce(this.x.toBigInteger().multiply(zinv2)));
 }
 
 function pointFpGetY() {
     if(this.zinv == null) {
       this.zinv = this.z.modInverse(this.curve.q);
     }
-    return this.curve.fromBigInteger(this.y.toBigInteger().multiply(this.zinv).mod(this.curve.q));
+    var zinv3 = this.curve.reduce(this.curve.reduce(this.zinv.square()).multiply(this.zinv));
+    return this.curve.fromBigInteger(this.curve.reduce(this.y.toBigInteger().multiply(zinv3)));
 }
 
 function pointFpEquals(other) {
     if(other == this) return true;
     if(this.isInfinity()) return other.isInfinity();
     if(other.isInfinity()) return this.isInfinity();
-    var u, v;
-    // u = Y2 * Z1 - Y1 * Z2
-    u = other.y.toBigInteger().multiply(this.z).subtract(this.y.toBigInteger().multiply(other.z)).mod(this.curve.q);
-    if(!u.equals(BigInteger.ZERO)) return false;
-    // v = X2 * Z1 - X1 * Z2
-    v = other.x.toBigInteger().multiply(this.z).subtract(this.x.toBigInteger().multiply(other.z)).mod(this.curve.q);
-    return v.equals(BigInteger.ZERO);
+    var curve = this.curve;
+    var z1z1 = curve.reduce(this.z.square());
+    var z2z2 = curve.reduce(other.z.square());
+    // X1 * Z2^2 == X2 * Z1^2
+    var u1 = curve.reduce(this.x.toBigInteger().multiply(z2z2));
+    var u2 = curve.reduce(other.x.toBigInteger().multiply(z1z1));
+    if(!u1.equals(u2)) return false;
+    // Y1 * Z2^3 == Y2 * Z1^3
+    var s1 = curve.reduce(curve.reduce(this.y.toBigInteger().multiply(other.z)).multiply(z2z2));
+    var s2 = curve.reduce(curve.reduce(other.y.toBigInteger().multiply(this.z)).multiply(z1z1));
+    return s1.equals(s2);
 }
 
 function pointFpIsInfinity() {
@@ -111,96 +164,148 @@ function pointFpIsInfinity() {
 }
 
 function pointFpNegate() {
+    if(this.isInfinity()) return this;
     return new ECPointFp(this.curve, this.x, this.y.negate(), this.z);
 }
 
+// add-2007-bl with shortcuts for Z == 1 (mixed addition)
 function pointFpAdd(b) {
     if(this.isInfinity()) return b;
     if(b.isInfinity()) return this;
 
-    // u = Y2 * Z1 - Y1 * Z2
-    var u = b.y.toBigInteger().multiply(this.z).subtract(this.y.toBigInteger().multiply(b.z)).mod(this.curve.q);
-    // v = X2 * Z1 - X1 * Z2
-    var v = b.x.toBigInteger().multiply(this.z).subtract(this.x.toBigInteger().multiply(b.z)).mod(this.curve.q);
-
-    if(BigInteger.ZERO.equals(v)) {
-        if(BigInteger.ZERO.equals(u)) {
-            return this.twice(); // this == b, so double
-        }
-	return this.curve.getInfinity(); // this = -b, so infinity
-    }
-
-    var THREE = new BigInteger("3");
+    var curve = this.curve;
     var x1 = this.x.toBigInteger();
     var y1 = this.y.toBigInteger();
+    var z1 = this.z;
     var x2 = b.x.toBigInteger();
     var y2 = b.y.toBigInteger();
+    var z2 = b.z;
+    var z1IsOne = z1.equals(BigInteger.ONE);
+    var z2IsOne = z2.equals(BigInteger.ONE);
+
+    // u1 = X1 * Z2^2, s1 = Y1 * Z2^3
+    var u1 = x1, s1 = y1;
+    if(!z2IsOne) {
+      var z2z2 = curve.reduce(z2.square());
+      u1 = curve.reduce(x1.multiply(z2z2));
+      s1 = curve.reduce(curve.reduce(y1.multiply(z2)).multiply(z2z2));
+    }
+    // u2 = X2 * Z1^2, s2 = Y2 * Z1^3
+    var u2 = x2, s2 = y2;
+    if(!z1IsOne) {
+      var z1z1 = curve.reduce(z1.square());
+      u2 = curve.reduce(x2.multiply(z1z1));
+      s2 = curve.reduce(curve.reduce(y2.multiply(z1)).multiply(z1z1));
+    }
 
-    var v2 = v.square();
-    var v3 = v2.multiply(v);
-    var x1v2 = x1.multiply(v2);
-    var zu2 = u.square().multiply(this.z);
+    var h = curve.reduce(u2.subtract(u1));
+    var r = curve.reduce(s2.subtract(s1));
 
-    // x3 = v * (z2 * (z1 * u^2 - 2 * x1 * v^2) - v^3)
-    var x3 = zu2.subtract(x1v2.shiftLeft(1)).multiply(b.z).subtract(v3).multiply(v).mod(this.curve.q);
-    // y3 = z2 * (3 * x1 * u * v^2 - y1 * v^3 - z1 * u^3) + u * v^3
-    var y3 = x1v2.multiply(THREE).multiply(u).subtract(y1.multiply(v3)).subtract(zu2.multiply(u)).multiply(b.z).add(u.multiply(v3)).mod(this.curve.q);
-    // z3 = v^3 * z1 * z2
-    var z3 = v3.multiply(this.z).multiply(b.z).mod(this.curve.q);
+    if(h.signum() == 0) {
+        if(r.signum() == 0) {
+            return this.twice(); // this == b, so double
+        }
+	return curve.getInfinity(); // this = -b, so infinity
+    }
+
+    var hh = curve.reduce(h.square());
+    var hhh = curve.reduce(hh.multiply(h));
+    var v = curve.reduce(u1.multiply(hh));
+
+    // x3 = r^2 - h^3 - 2 * v
+    var x3 = curve.reduce(r.square().subtract(hhh).subtract(v.shiftLeft(1)));
+    // y3 = r * (v - x3) - s1 * h^3
+    var y3 = curve.reduce(r.multiply(v.subtract(x3)).subtract(s1.multiply(hhh)));
+    // z3 = z1 * z2 * h
+    var z3 = h;
+    if(!z1IsOne) z3 = curve.reduce(z3.multiply(z1));
+    if(!z2IsOne) z3 = curve.reduce(z3.multiply(z2));
 
-    return new ECPointFp(this.curve, this.curve.fromBigInteger(x3), this.curve.fromBigInteger(y3), z3);
+    return new ECPointFp(curve, curve.fromBigInteger(x3), curve.fromBigInteger(y3), z3);
 }
 
+// dbl-2007-bl, with a == 0 and a == -3 shortcuts
 function pointFpTwice() {
     if(this.isInfinity()) return this;
     if(this.y.toBigInteger().signum() == 0) return this.curve.getInfinity();
 
-    // TODO: optimized handling of constants
-    var THREE = new BigInteger("3");
+    var curve = this.curve;
     var x1 = this.x.toBigInteger();
     var y1 = this.y.toBigInteger();
+    var z1 = this.z;
 
-    var y1z1 = y1.multiply(this.z);
-    var y1sqz1 = y1z1.multiply(y1).mod(this.curve.q);
-    var a = this.curve.a.toBigInteger();
+    var yy = curve.reduce(y1.square());
+    // s = 4 * x1 * y1^2
+    var s = curve.reduce(x1.multiply(yy).shiftLeft(2));
 
-    // w = 3 * x1^2 + a * z1^2
-    var w = x1.square().multiply(THREE);
-    if(!BigInteger.ZERO.equals(a)) {
-      w = w.add(this.z.square().multiply(a));
+    // m = 3 * x1^2 + a * z1^4
+    var m, zz;
+    if(curve.aType == 0) {
+      var xx = x1.square();
+      m = xx.shiftLeft(1).add(xx);
     }
-    w = w.mod(this.curve.q);
-    // x3 = 2 * y1 * z1 * (w^2 - 8 * x1 * y1^2 * z1)
-    var x3 = w.square().subtract(x1.shiftLeft(3).multiply(y1sqz1)).shiftLeft(1).multiply(y1z1).mod(this.curve.q);
-    // y3 = 4 * y1^2 * z1 * (3 * w * x1 - 2 * y1^2 * z1) - w^3
-    var y3 = w.multiply(THREE).multiply(x1).subtract(y1sqz1.shiftLeft(1)).shiftLeft(2).multiply(y1sqz1).subtract(w.square().multiply(w)).mod(this.curve.q);
-    // z3 = 8 * (y1 * z1)^3
-    var z3 = y1z1.square().multiply(y1z1).shiftLeft(3).mod(this.curve.q);
+    else if(curve.aType == -3) {
+      zz = curve.reduce(z1.square());
+      var t = curve.reduce(x1.subtract(zz).multiply(x1.add(zz)));
+      m = t.shiftLeft(1).add(t);
+    }
+    else {
+      var xx = x1.square();
+      zz = curve.reduce(z1.square());
+      m = xx.shiftLeft(1).add(xx).add(curve.reduce(curve.reduce(zz.square()).multiply(curve.a.toBigInteger())));
+    }
+    m = curve.reduce(m);
+
+    // x3 = m^2 - 2 * s
+    var x3 = curve.reduce(m.square().subtract(s.shiftLeft(1)));
+    // y3 = m * (s - x3) - 8 * y1^4
+    var y3 = curve.reduce(m.multiply(s.subtract(x3)).subtract(curve.reduce(yy.square()).shiftLeft(3)));
+    // z3 = 2 * y1 * z1
+    var z3 = curve.reduce(y1.multiply(z1).shiftLeft(1));
 
-    return new ECPointFp(this.curve, this.curve.fromBigInteger(x3), this.curve.fromBigInteger(y3), z3);
+    return new ECPointFp(curve, curve.fromBigInteger(x3), curve.fromBigInteger(y3), z3);
 }
 
-// Simple NAF (Non-Adjacent Form) multiplication algorithm
-// TODO: modularize the multiplication algorithm
+// Fixed 4-bit window: every window costs four doublings and one
+// addition (a dummy one for zero windows) and the number of windows
+// follows the bit length of the field, which hides most of the bit
+// pattern of k from the sequence of point operations.
+// NOTE: This is NOT constant time. R starts at infinity so that leading
+// zero windows are cheaper, add() takes shortcuts for Z == 1 and the
+// BigInteger arithmetic itself depends on its operands.
+// Points with a fixed-base table (see setFixedBase) use the table instead.
 function pointFpMultiply(k) {
     if(this.isInfinity()) return this;
     if(k.signum() == 0) return this.curve.getInfinity();
+    if(k.signum() < 0) return this.negate().multiply(k.negate());
 
-    var e = k;
-    var h = e.multiply(new BigInteger("3"));
-
-    var neg = this.negate();
-    var R = this;
+    if(this.fbBitLen > 0 && k.bitLength() <= this.fbBitLen) {
+      return pointFpMultiplyFixedBase(this, k);
+    }
 
+    // tbl[d] = d * this
+    var tbl = [this];
     var i;
-    for(i = h.bitLength() - 2; i > 0; --i) {
-	R = R.twice();
-
-	var hBit = h.testBit(i);
-	var eBit = e.testBit(i);
-
-	if (hBit != eBit) {
-	    R = R.add(hBit ? this : neg);
+    for(i = 1; i < 15; ++i) {
+	tbl.push(tbl[i - 1].add(this));
+    }
+    pointFpNormalizeAll(tbl);
+    tbl.unshift(null);
+
+    var windows = Math.ceil(Math.max(k.bitLength(), this.curve.q.bitLength()) / 4);
+    var hex = k.toString(16);
+    while(hex.length < windows) hex = "0" + hex;
+
+    var R = this.curve.getInfinity();
+    var dummy, d;
+    for(i = 0; i < hex.length; ++i) {
+	R = R.twice().twice().twice().twice();
+	d = parseInt(hex.charAt(i), 16);
+	if(d != 0) {
+	    R = R.add(tbl[d]);
+	}
+	else {
+	    dummy = R.add(tbl[1]);
 	}
     }
 
@@ -208,33 +313,142 @@ function pointFpMultiply(k) {
 }
 
 // Compute this*j + x*k (simultaneous multiplication)
+// Interleaved width-w NAF with precomputed odd multiples of both points.
+// The running time depends on j and k so this must only be used with
+// public scalars such as in signature verification.
 function pointFpMultiplyTwo(j,x,k) {
-  var i;
-  if(j.bitLength() > k.bitLength())
-    i = j.bitLength() - 1;
-  else
-    i = k.bitLength() - 1;
+  var w = 5;
+  var P = this;
+  if(j.signum() < 0) {
+    P = P.negate();
+    j = j.negate();
+  }
+  if(k.signum() < 0) {
+    x = x.negate();
+    k = k.negate();
+  }
+  var nafJ = pointFpWNAF(j, w);
+  var nafK = pointFpWNAF(k, w);
+  var tblJ = pointFpOddMultiples(P, w);
+  var tblK = pointFpOddMultiples(x, w);
 
   var R = this.curve.getInfinity();
-  var both = this.add(x);
-  while(i >= 0) {
+  var i, d;
+  for(i = Math.max(nafJ.length, nafK.length) - 1; i >= 0; --i) {
     R = R.twice();
-    if(j.testBit(i)) {
-      if(k.testBit(i)) {
-        R = R.add(both);
-      }
-      else {
-        R = R.add(this);
-      }
+    d = (i < nafJ.length) ? nafJ[i] : 0;
+    if(d > 0) R = R.add(tblJ[(d - 1) >> 1]);
+    else if(d < 0) R = R.add(tblJ[(-d - 1) >> 1].negate());
+    d = (i < nafK.length) ? nafK[i] : 0;
+    if(d > 0) R = R.add(tblK[(d - 1) >> 1]);
+    else if(d < 0) R = R.add(tblK[(-d - 1) >> 1].negate());
+  }
+
+  return R;
+}
+
+// width-w NAF digits of a non-negative k, least significant first
+function pointFpWNAF(k, w) {
+  var naf = [];
+  var mask = (1 << w) - 1;
+  var half = 1 << (w - 1);
+  var d;
+  while(k.signum() > 0) {
+    if(k.testBit(0)) {
+      d = k.intValue() & mask;
+      if(d >= half) d -= (1 << w);
+      k = k.subtract(nbv(d));
     }
     else {
-      if(k.testBit(i)) {
-        R = R.add(x);
-      }
+      d = 0;
+    }
+    naf.push(d);
+    k = k.shiftRight(1);
+  }
+  return naf;
+}
+
+// [P, 3P, 5P, ..., (2^(w-1) - 1)P]
+function pointFpOddMultiples(P, w) {
+  var tbl = [P];
+  var P2 = P.twice();
+  var i;
+  for(i = 1; i < (1 << (w - 2)); ++i) {
+    tbl.push(tbl[i - 1].add(P2));
+  }
+  return tbl;
+}
+
+// convert points to affine (Z == 1) with a single modular inversion
+function pointFpNormalizeAll(a) {
+  var curve = a[0].curve;
+  var acc = [], t = BigInteger.ONE, i;
+  for(i = 0; i < a.length; ++i) {
+    acc.push(t);
+    if(!a[i].isInfinity()) t = curve.reduce(t.multiply(a[i].z));
+  }
+  var inv = t.modInverse(curve.q);
+  for(i = a.length - 1; i >= 0; --i) {
+    if(a[i].isInfinity()) continue;
+    var zinv = curve.reduce(inv.multiply(acc[i]));
+    inv = curve.reduce(inv.multiply(a[i].z));
+    var zinv2 = curve.reduce(zinv.square());
+    var x = curve.reduce(a[i].x.toBigInteger().multiply(zinv2));
+    var y = curve.reduce(curve.reduce(a[i].y.toBigInteger().multiply(zinv2)).multiply(zinv));
+    a[i] = new ECPointFp(curve, curve.fromBigInteger(x), curve.fromBigInteger(y));
+  }
+  return a;
+}
+
+// Enable a fixed-base table for scalars of up to bitLen bits.
+// The table holds j * 16^i * P (1 <= j <= 15) in affine coordinates and
+// is built at the first multiplication, then kept with this point.
+function pointFpSetFixedBase(bitLen) {
+  if(this.fbBitLen != bitLen) this.fbTable = null;
+  this.fbBitLen = bitLen;
+  return this;
+}
+
+function pointFpPrecompute(P) {
+  if(P.fbTable != null) return P.fbTable;
+  var windows = Math.ceil(P.fbBitLen / 4);
+  var tbl = [];
+  var base = pointFpNormalizeAll([P])[0];
+  var i, j, row;
+  for(i = 0; i < windows; ++i) {
+    // row[j] = (j + 1) * base, row[15] = 16 * base is the next base
+    row = [base];
+    for(j = 1; j < 16; ++j) {
+      row.push(row[j - 1].add(base));
     }
-    --i;
+    pointFpNormalizeAll(row);
+    base = row.pop();
+    row.unshift(null);
+    tbl.push(row);
   }
+  P.fbTable = tbl;
+  return tbl;
+}
 
+// Fixed-base windowed multiplication: one addition per 4-bit window.
+// Zero windows do a dummy addition so that the number of additions
+// doesn't depend on k. As in pointFpMultiply, this is not constant time.
+function pointFpMultiplyFixedBase(P, k) {
+  var tbl = pointFpPrecompute(P);
+  var hex = k.toString(16);
+  while(hex.length < tbl.length) hex = "0" + hex;
+  var R = P.curve.getInfinity();
+  var dummy;
+  var i, d;
+  for(i = 0; i < tbl.length; ++i) {
+    d = parseInt(hex.charAt(hex.length - 1 - i), 16);
+    if(d != 0) {
+      R = R.add(tbl[i][d]);
+    }
+    else {
+      dummy = R.add(tbl[i][1]);
+    }
+  }
   return R;
 }
 
@@ -247,6 +461,7 @@ ECPointFp.prototype.add = pointFpAdd;
 ECPointFp.prototype.twice = pointFpTwice;
 ECPointFp.prototype.multiply = pointFpMultiply;
 ECPointFp.prototype.multiplyTwo = pointFpMultiplyTwo;
+ECPointFp.prototype.setFixedBase = pointFpSetFixedBase;
 
 // ----------------
 // ECCurveFp
@@ -257,6 +472,11 @@ function ECCurveFp(q,a,b) {
     this.a = this.fromBigInteger(a);
     this.b = this.fromBigInteger(b);
     this.infinity = new ECPointFp(this, null, null);
+    this.reducer = new Barrett(q);
+    // 0: a == 0, -3: a == -3, 1: other
+    if(a.signum() == 0) this.aType = 0;
+    else if(a.add(new BigInteger("3")).equals(q)) this.aType = -3;
+    else this.aType = 1;
 }
 
 function curveFpGetQ() {
@@ -284,21 +504,40 @@ function curveFpFromBigInteger(x) {
     return new ECFieldElementFp(this.q, x);
 }
 
+// x mod q, using Barrett reduction for 0 <= x < q^2
+function curveFpReduce(x) {
+    return this.reducer.convert(x);
+}
+
 // for now, work with hex strings because they're easier in JS
 function curveFpDecodePointHex(s) {
+    // byte length of a coordinate in hex
+    var charlen = ((this.q.bitLength() + 7) >> 3) * 2;
     switch(parseInt(s.substr(0,2), 16)) { // first byte
     case 0:
 	return this.infinity;
     case 2:
     case 3:
-	// point compression not supported yet
-	return null;
+	if(s.length != 2 + charlen) return null;
+	// compressed point: y is recovered from y^2 = x^3 + ax + b
+	var x = new BigInteger(s.substr(2), 16);
+	if(x.compareTo(this.q) >= 0) return null;
+	var fx = this.fromBigInteger(x);
+	var alpha = fx.square().add(this.a).multiply(fx).add(this.b);
+	var beta = alpha.sqrt();
+	if(beta == null) return null;
+	var y = beta.toBigInteger();
+	if(y.testBit(0) != (s.substr(0,2) == "03")) {
+	    if(y.signum() == 0) return null;
+	    y = this.q.subtract(y);
+	}
+	return new ECPointFp(this, fx, this.fromBigInteger(y));
     case 4:
     case 6:
     case 7:
-	var len = (s.length - 2) / 2;
-	var xHex = s.substr(2, len);
-	var yHex = s.substr(len+2, len);
+	if(s.length != 2 + charlen * 2) return null;
+	var xHex = s.substr(2, charlen);
+	var yHex = s.substr(charlen+2, charlen);
 
 	return new ECPointFp(this,
 			     this.fromBigInteger(new BigInteger(xHex, 16)),
@@ -309,10 +548,27 @@ function curveFpDecodePointHex(s) {
     }
 }
 
+// encode a point to 04||X||Y, or 02/03||X if compressed is true
+function curveFpEncodePointHex(p, compressed) {
+    if(p.isInfinity()) return "00";
+    var charlen = ((this.q.bitLength() + 7) >> 3) * 2;
+    var xHex = p.getX().toBigInteger().toString(16);
+    while(xHex.length < charlen) xHex = "0" + xHex;
+    var y = p.getY().toBigInteger();
+    if(compressed) {
+	return (y.testBit(0) ? "03" : "02") + xHex;
+    }
+    var yHex = y.toString(16);
+    while(yHex.length < charlen) yHex = "0" + yHex;
+    return "04" + xHex + yHex;
+}
+
 ECCurveFp.prototype.getQ = curveFpGetQ;
 ECCurveFp.prototype.getA = curveFpGetA;
 ECCurveFp.prototype.getB = curveFpGetB;
 ECCurveFp.prototype.equals = curveFpEquals;
 ECCurveFp.prototype.getInfinity = curveFpGetInfinity;
 ECCurveFp.prototype.fromBigInteger = curveFpFromBigInteger;
+ECCurveFp.prototype.reduce = curveFpReduce;
 ECCurveFp.prototype.decodePointHex = curveFpDecodePointHex;
+ECCurveFp.prototype.encodePointHex = curveFpEncodePointHex;
@@ -1,3 +1,3 @@
 /*! (c) Tom Wu | http://www-cs-students.stanford.edu/~tjw/jsbn/
  */
-function parseBigInt(b,a){return new BigInteger(b,a)}function linebrk(c,d){var a="";var b=0;while(b+d<c.length){a+=c.substring(b,b+d)+"\n";b+=d}return a+c.substring(b,c.length)}function byte2Hex(a){if(a<16){return"0"+a.toString(16)}else{return a.toString(16)}}function pkcs1pad2(e,h){if(h<e.length+11){alert("Message too long for RSA");return null}var g=new Array();var d=e.length-1;while(d>=0&&h>0){var f=e.charCodeAt(d--);if(f<128){g[--h]=f}else{if((f>127)&&(f<2048)){g[--h]=(f&63)|128;g[--h]=(f>>6)|192}else{g[--h]=(f&63)|128;g[--h]=((f>>6)&63)|128;g[--h]=(f>>12)|224}}}g[--h]=0;var b=new SecureRandom();var a=new Array();while(h>2){a[0]=0;while(a[0]==0){b.nextBytes(a)}g[--h]=a[0]}g[--h]=2;g[--h]=0;return new BigInteger(g)}function oaep_mgf1_arr(c,a,e){var b="",d=0;while(b.length<a){b+=e(String.fromCharCode.apply(String,c.concat([(d&4278190080)>>24,(d&16711680)>>16,(d&65280)>>8,d&255])));d+=1}return b}function oaep_pad(q,a,f,l){var c=KJUR.crypto.MessageDigest;var o=KJUR.crypto.Util;var b=null;if(!f){f="sha1"}if(typeof f==="string"){b=c.getCanonicalAlgName(f);l=c.getHashLength(b);f=function(i){return hextorstr(o.hashString(i,b))}}if(q.length+2*l+2>a){throw"Message too long for RSA"}var k="",e;for(e=0;e<a-q.length-2*l-2;e+=1){k+="\x00"}var h=f("")+k+"\x01"+q;var g=new Array(l);new SecureRandom().nextBytes(g);var j=oaep_mgf1_arr(g,h.length,f);var p=[];for(e=0;e<h.length;e+=1){p[e]=h.charCodeAt(e)^j.charCodeAt(e)}var m=oaep_mgf1_arr(p,g.length,f);var d=[0];for(e=0;e<g.length;e+=1){d[e+1]=g[e]^m.charCodeAt(e)}return new BigInteger(d.concat(p))}function RSAKey(){this.n=null;this.e=0;this.d=null;this.p=null;this.q=null;this.dmp1=null;this.dmq1=null;this.coeff=null}function RSASetPublic(b,a){this.isPublic=true;this.isPrivate=false;if(typeof b!=="string"){this.n=b;this.e=a}else{if(b!=null&&a!=null&&b.length>0&&a.length>0){this.n=parseBigInt(b,16);this.e=parseInt(a,16)}else{throw"Invalid RSA public key"}}}function RSADoPublic(a){return a.modPowInt(this.e,this.n)}function RSAEncrypt(d){var a=pkcs1pad2(d,(this.n.bitLength()+7)>>3);if(a==null){return null}var e=this.doPublic(a);if(e==null){return null}var b=e.toString(16);if((b.length&1)==0){return b}else{return"0"+b}}function RSAEncryptOAEP(f,e,b){var a=oaep_pad(f,(this.n.bitLength()+7)>>3,e,b);if(a==null){return null}var g=this.doPublic(a);if(g==null){return null}var d=g.toString(16);if((d.length&1)==0){return d}else{return"0"+d}}RSAKey.prototype.doPublic=RSADoPublic;RSAKey.prototype.setPublic=RSASetPublic;RSAKey.prototype.encrypt=RSAEncrypt;RSAKey.prototype.encryptOAEP=RSAEncryptOAEP;RSAKey.prototype.type="RSA";
\ No newline at end of file
+function parseBigInt(t,e){return new BigInteger(t,e)}function linebrk(t,e){var n="";var r=0;while(r+e<t.length){n+=t.substring(r,r+e)+"\n";r+=e}return n+t.substring(r,t.length)}function byte2Hex(t){if(t<16)return"0"+t.toString(16);else return t.toString(16)}function pkcs1pad2(t,e){if(e<t.length+11){alert("Message too long for RSA");return null}var n=new Array;var r=t.length-1;while(r>=0&&e>0){var i=t.charCodeAt(r--);if(i<128){n[--e]=i}else if(i>127&&i<2048){n[--e]=i&63|128;n[--e]=i>>6|192}else{n[--e]=i&63|128;n[--e]=i>>6&63|128;n[--e]=i>>12|224}}n[--e]=0;var l=new SecureRandom;var o=new Array;while(e>2){o[0]=0;while(o[0]==0)l.nextBytes(o);n[--e]=o[0]}n[--e]=2;n[--e]=0;return new BigInteger(n)}function oaep_mgf1_arr(t,e,n){var r="",i=0;while(r.length<e){r+=n(String.fromCharCode.apply(String,t.concat([(i&4278190080)>>24,(i&16711680)>>16,(i&65280)>>8,i&255])));i+=1}return r}function oaep_pad(t,e,n,r){var i=KJUR.crypto.MessageDigest;var l=KJUR.crypto.Util;var o=null;if(!n)n="sha1";if(typeof n==="string"){o=i.getCanonicalAlgName(n);r=i.getHashLength(o);n=function(t){return hextorstr(l.hashHex(rstrtohex(t),o))}}if(t.length+2*r+2>e){throw"Message too long for RSA"}var a="",u;for(u=0;u<e-t.length-2*r-2;u+=1){a+="\0"}var h=n("")+a+""+t;var s=new Array(r);(new SecureRandom).nextBytes(s);var g=oaep_mgf1_arr(s,h.length,n);var c=[];for(u=0;u<h.length;u+=1){c[u]=h.charCodeAt(u)^g.charCodeAt(u)}var f=oaep_mgf1_arr(c,s.length,n);var p=[0];for(u=0;u<s.length;u+=1){p[u+1]=s[u]^f.charCodeAt(u)}return new BigInteger(p.concat(c))}function RSAKey(){this.n=null;this.e=0;this.d=null;this.p=null;this.q=null;this.dmp1=null;this.dmq1=null;this.coeff=null}function RSASetPublic(t,e){this.isPublic=true;this.isPrivate=false;if(typeof t!=="string"){this.n=t;this.e=e}else if(t!=null&&e!=null&&t.length>0&&e.length>0){this.n=parseBigInt(t,16);this.e=parseInt(e,16)}else{throw"Invalid RSA public key"}}function RSADoPublic(t){return t.modPowInt(this.e,this.n)}function RSAEncrypt(t){var e=pkcs1pad2(t,this.n.bitLength()+7>>3);if(e==null)return null;var n=this.doPublic(e);if(n==null)return null;var r=n.toString(16);if((r.length&1)==0)return r;else return"0"+r}function RSAEncryptOAEP(t,e,n){var r=oaep_pad(t,this.n.bitLength()+7>>3,e,n);if(r==null)return null;var i=this.doPublic(r);if(i==null)return null;var l=i.toString(16);if((l.length&1)==0)return l;else return"0"+l}RSAKey.prototype.doPublic=RSADoPublic;RSAKey.prototype.setPublic=RSASetPublic;RSAKey.prototype.encrypt=RSAEncrypt;RSAKey.prototype.encryptOAEP=RSAEncryptOAEP;RSAKey.prototype.type="RSA";
\ No newline at end of file
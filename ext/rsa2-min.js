@@ -1,3 +1,3 @@
 /*! (c) Tom Wu | http://www-cs-students.stanford.edu/~tjw/jsbn/
  */
-function pkcs1unpad2(g,j){var a=g.toByteArray();var f=0;while(f<a.length&&a[f]==0){++f}if(a.length-f!=j-1||a[f]!=2){return null}++f;while(a[f]!=0){if(++f>=a.length){return null}}var e="";while(++f<a.length){var h=a[f]&255;if(h<128){e+=String.fromCharCode(h)}else{if((h>191)&&(h<224)){e+=String.fromCharCode(((h&31)<<6)|(a[f+1]&63));++f}else{e+=String.fromCharCode(((h&15)<<12)|((a[f+1]&63)<<6)|(a[f+2]&63));f+=2}}}return e}function oaep_mgf1_str(c,a,e){var b="",d=0;while(b.length<a){b+=e(c+String.fromCharCode.apply(String,[(d&4278190080)>>24,(d&16711680)>>16,(d&65280)>>8,d&255]));d+=1}return b}function oaep_unpad(o,b,g,p){var e=KJUR.crypto.MessageDigest;var r=KJUR.crypto.Util;var c=null;if(!g){g="sha1"}if(typeof g==="string"){c=e.getCanonicalAlgName(g);p=e.getHashLength(c);g=function(d){return hextorstr(r.hashString(d,c))}}o=o.toByteArray();var h;for(h=0;h<o.length;h+=1){o[h]&=255}while(o.length<b){o.unshift(0)}o=String.fromCharCode.apply(String,o);if(o.length<2*p+2){throw"Cipher too short"}var f=o.substr(1,p);var s=o.substr(p+1);var q=oaep_mgf1_str(s,p,g);var k=[],h;for(h=0;h<f.length;h+=1){k[h]=f.charCodeAt(h)^q.charCodeAt(h)}var l=oaep_mgf1_str(String.fromCharCode.apply(String,k),o.length-p,g);var j=[];for(h=0;h<s.length;h+=1){j[h]=s.charCodeAt(h)^l.charCodeAt(h)}j=String.fromCharCode.apply(String,j);if(j.substr(0,p)!==g("")){throw"Hash mismatch"}j=j.substr(p);var a=j.indexOf("\x01");var m=(a!=-1)?j.substr(0,a).lastIndexOf("\x00"):-1;if(m+1!=a){throw"Malformed data"}return j.substr(a+1)}function RSASetPrivate(c,a,b){this.isPrivate=true;if(typeof c!=="string"){this.n=c;this.e=a;this.d=b}else{if(c!=null&&a!=null&&c.length>0&&a.length>0){this.n=parseBigInt(c,16);this.e=parseInt(a,16);this.d=parseBigInt(b,16)}else{alert("Invalid RSA private key")}}}function RSASetPrivateEx(g,d,e,c,b,a,h,f){this.isPrivate=true;this.isPublic=false;if(g==null){throw"RSASetPrivateEx N == null"}if(d==null){throw"RSASetPrivateEx E == null"}if(g.length==0){throw"RSASetPrivateEx N.length == 0"}if(d.length==0){throw"RSASetPrivateEx E.length == 0"}if(g!=null&&d!=null&&g.length>0&&d.length>0){this.n=parseBigInt(g,16);this.e=parseInt(d,16);this.d=parseBigInt(e,16);this.p=parseBigInt(c,16);this.q=parseBigInt(b,16);this.dmp1=parseBigInt(a,16);this.dmq1=parseBigInt(h,16);this.coeff=parseBigInt(f,16)}else{alert("Invalid RSA private key in RSASetPrivateEx")}}function RSAGenerate(b,i){var a=new SecureRandom();var f=b>>1;this.e=parseInt(i,16);var c=new BigInteger(i,16);for(;;){for(;;){this.p=new BigInteger(b-f,1,a);if(this.p.subtract(BigInteger.ONE).gcd(c).compareTo(BigInteger.ONE)==0&&this.p.isProbablePrime(10)){break}}for(;;){this.q=new BigInteger(f,1,a);if(this.q.subtract(BigInteger.ONE).gcd(c).compareTo(BigInteger.ONE)==0&&this.q.isProbablePrime(10)){break}}if(this.p.compareTo(this.q)<=0){var h=this.p;this.p=this.q;this.q=h}var g=this.p.subtract(BigInteger.ONE);var d=this.q.subtract(BigInteger.ONE);var e=g.multiply(d);if(e.gcd(c).compareTo(BigInteger.ONE)==0){this.n=this.p.multiply(this.q);this.d=c.modInverse(e);this.dmp1=this.d.mod(g);this.dmq1=this.d.mod(d);this.coeff=this.q.modInverse(this.p);break}}this.isPrivate=true}function RSADoPrivate(a){if(this.p==null||this.q==null){return a.modPow(this.d,this.n)}var c=a.mod(this.p).modPow(this.dmp1,this.p);var b=a.mod(this.q).modPow(this.dmq1,this.q);while(c.compareTo(b)<0){c=c.add(this.p)}return c.subtract(b).multiply(this.coeff).mod(this.p).multiply(this.q).add(b)}function RSADecrypt(b){var d=parseBigInt(b,16);var a=this.doPrivate(d);if(a==null){return null}return pkcs1unpad2(a,(this.n.bitLength()+7)>>3)}function RSADecryptOAEP(e,d,b){var f=parseBigInt(e,16);var a=this.doPrivate(f);if(a==null){return null}return oaep_unpad(a,(this.n.bitLength()+7)>>3,d,b)}RSAKey.prototype.doPrivate=RSADoPrivate;RSAKey.prototype.setPrivate=RSASetPrivate;RSAKey.prototype.setPrivateEx=RSASetPrivateEx;RSAKey.prototype.generate=RSAGenerate;RSAKey.prototype.decrypt=RSADecrypt;RSAKey.prototype.decryptOAEP=RSADecryptOAEP;
\ No newline at end of file
+function pkcs1unpad2(t,e){var r=t.toByteArray();var i=0;while(i<r.length&&r[i]==0)++i;if(r.length-i!=e-1||r[i]!=2)return null;++i;while(r[i]!=0)if(++i>=r.length)return null;var n="";while(++i<r.length){var a=r[i]&255;if(a<128){n+=String.fromCharCode(a)}else if(a>191&&a<224){n+=String.fromCharCode((a&31)<<6|r[i+1]&63);++i}else{n+=String.fromCharCode((a&15)<<12|(r[i+1]&63)<<6|r[i+2]&63);i+=2}}return n}function oaep_mgf1_str(t,e,r){var i="",n=0;while(i.length<e){i+=r(t+String.fromCharCode.apply(String,[(n&4278190080)>>24,(n&16711680)>>16,(n&65280)>>8,n&255]));n+=1}return i}function oaep_unpad(t,e,r,i){var n=KJUR.crypto.MessageDigest;var a=KJUR.crypto.Util;var s=null;if(!r)r="sha1";if(typeof r==="string"){s=n.getCanonicalAlgName(r);i=n.getHashLength(s);r=function(t){return hextorstr(a.hashHex(rstrtohex(t),s))}}t=t.toByteArray();var h;for(h=0;h<t.length;h+=1){t[h]&=255}while(t.length<e){t.unshift(0)}t=String.fromCharCode.apply(String,t);if(t.length<2*i+2){throw"Cipher too short"}var o=t.substr(1,i);var l=t.substr(i+1);var p=oaep_mgf1_str(l,i,r);var g=[],h;for(h=0;h<o.length;h+=1){g[h]=o.charCodeAt(h)^p.charCodeAt(h)}var u=oaep_mgf1_str(String.fromCharCode.apply(String,g),t.length-i,r);var f=[];for(h=0;h<l.length;h+=1){f[h]=l.charCodeAt(h)^u.charCodeAt(h)}f=String.fromCharCode.apply(String,f);if(f.substr(0,i)!==r("")){throw"Hash mismatch"}f=f.substr(i);var d=f.indexOf("");var v=d!=-1?f.substr(0,d).lastIndexOf("\0"):-1;if(v+1!=d){throw"Malformed data"}return f.substr(d+1)}function RSASetPrivate(t,e,r){this.isPrivate=true;if(typeof t!=="string"){this.n=t;this.e=e;this.d=r}else if(t!=null&&e!=null&&t.length>0&&e.length>0){this.n=parseBigInt(t,16);this.e=parseInt(e,16);this.d=parseBigInt(r,16)}else alert("Invalid RSA private key")}function RSASetPrivateEx(t,e,r,i,n,a,s,h){this.isPrivate=true;this.isPublic=false;if(t==null)throw"RSASetPrivateEx N == null";if(e==null)throw"RSASetPrivateEx E == null";if(t.length==0)throw"RSASetPrivateEx N.length == 0";if(e.length==0)throw"RSASetPrivateEx E.length == 0";if(t!=null&&e!=null&&t.length>0&&e.length>0){this.n=parseBigInt(t,16);this.e=parseInt(e,16);this.d=parseBigInt(r,16);this.p=parseBigInt(i,16);this.q=parseBigInt(n,16);this.dmp1=parseBigInt(a,16);this.dmq1=parseBigInt(s,16);this.coeff=parseBigInt(h,16)}else{alert("Invalid RSA private key in RSASetPrivateEx")}}function RSAGenerate(t,e){var r=new SecureRandom;var i=t>>1;this.e=parseInt(e,16);var n=new BigInteger(e,16);for(;;){for(;;){this.p=new BigInteger(t-i,1,r);if(this.p.subtract(BigInteger.ONE).gcd(n).compareTo(BigInteger.ONE)==0&&this.p.isProbablePrime(10))break}for(;;){this.q=new BigInteger(i,1,r);if(this.q.subtract(BigInteger.ONE).gcd(n).compareTo(BigInteger.ONE)==0&&this.q.isProbablePrime(10))break}if(this.p.compareTo(this.q)<=0){var a=this.p;this.p=this.q;this.q=a}var s=this.p.subtract(BigInteger.ONE);var h=this.q.subtract(BigInteger.ONE);var o=s.multiply(h);if(o.gcd(n).compareTo(BigInteger.ONE)==0){this.n=this.p.multiply(this.q);this.d=n.modInverse(o);this.dmp1=this.d.mod(s);this.dmq1=this.d.mod(h);this.coeff=this.q.modInverse(this.p);break}}this.isPrivate=true}function RSADoPrivate(t){if(this.p==null||this.q==null)return t.modPow(this.d,this.n);var e=t.mod(this.p).modPow(this.dmp1,this.p);var r=t.mod(this.q).modPow(this.dmq1,this.q);while(e.compareTo(r)<0)e=e.add(this.p);return e.subtract(r).multiply(this.coeff).mod(this.p).multiply(this.q).add(r)}function RSADecrypt(t){var e=parseBigInt(t,16);var r=this.doPrivate(e);if(r==null)return null;return pkcs1unpad2(r,this.n.bitLength()+7>>3)}function RSADecryptOAEP(t,e,r){var i=parseBigInt(t,16);var n=this.doPrivate(i);if(n==null)return null;return oaep_unpad(n,this.n.bitLength()+7>>3,e,r)}RSAKey.prototype.doPrivate=RSADoPrivate;RSAKey.prototype.setPrivate=RSASetPrivate;RSAKey.prototype.setPrivateEx=RSASetPrivateEx;RSAKey.prototype.generate=RSAGenerate;RSAKey.prototype.decrypt=RSADecrypt;RSAKey.prototype.decryptOAEP=RSADecryptOAEP;
\ No newline at end of file
@@ -76,7 +76,9 @@ function oaep_unpad(d, n, hash, hashLen) {
     if (typeof hash === "string") {
 	algName = MD.getCanonicalAlgName(hash);
 	hashLen = MD.getHashLength(algName);
-        hash = function(s) { return hextorstr(Util.hashString(s, algName)); };
+        hash = function(s) {
+            return hextorstr(Util.hashHex(rstrtohex(s), algName));
+        };
     }
 
     d = d.toByteArray();
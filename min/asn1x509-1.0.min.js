@@ -1 +1 @@
-if(typeof KJUR=="undefined"||!KJUR){KJUR={}}if(typeof KJUR.asn1=="undefined"||!KJUR.asn1){KJUR.asn1={}}if(typeof KJUR.asn1.x509=="undefined"||!KJUR.asn1.x509){KJUR.asn1.x509={}}KJUR.asn1.x509.Certificate=function(e){KJUR.asn1.x509.Certificate.superclass.constructor.call(this);var a=null,j=null,h=null,k=null,i=null,l=null,b=KJUR,f=b.crypto,g=b.asn1,d=g.DERSequence,c=g.DERBitString;this.setRsaPrvKeyByPEMandPass=function(n,p){var m=PKCS5PKEY.getDecryptedKeyHex(n,p);var o=new RSAKey();o.readPrivateKeyFromASN1HexString(m);this.prvKey=o};this.sign=function(){this.asn1SignatureAlg=this.asn1TBSCert.asn1SignatureAlg;var n=new KJUR.crypto.Signature({alg:this.asn1SignatureAlg.nameAlg});n.init(this.prvKey);n.updateHex(this.asn1TBSCert.getEncodedHex());this.hexSig=n.sign();this.asn1Sig=new c({hex:"00"+this.hexSig});var m=new d({array:[this.asn1TBSCert,this.asn1SignatureAlg,this.asn1Sig]});this.hTLV=m.getEncodedHex();this.isModified=false};this.setSignatureHex=function(m){this.asn1SignatureAlg=this.asn1TBSCert.asn1SignatureAlg;this.hexSig=m;this.asn1Sig=new c({hex:"00"+this.hexSig});var n=new d({array:[this.asn1TBSCert,this.asn1SignatureAlg,this.asn1Sig]});this.hTLV=n.getEncodedHex();this.isModified=false};this.getEncodedHex=function(){if(this.isModified==false&&this.hTLV!=null){return this.hTLV}throw"not signed yet"};this.getPEMString=function(){var m=hextob64nl(this.getEncodedHex());return"-----BEGIN CERTIFICATE-----\r\n"+m+"\r\n-----END CERTIFICATE-----\r\n"};if(e!==undefined){if(e.tbscertobj!==undefined){this.asn1TBSCert=e.tbscertobj}if(e.prvkeyobj!==undefined){this.prvKey=e.prvkeyobj}else{if(e.rsaprvkey!==undefined){this.prvKey=e.rsaprvkey}else{if((e.rsaprvpem!==undefined)&&(e.rsaprvpas!==undefined)){this.setRsaPrvKeyByPEMandPass(e.rsaprvpem,e.rsaprvpas)}}}}};YAHOO.lang.extend(KJUR.asn1.x509.Certificate,KJUR.asn1.ASN1Object);KJUR.asn1.x509.TBSCertificate=function(e){KJUR.asn1.x509.TBSCertificate.superclass.constructor.call(this);var b=KJUR,i=b.asn1,f=i.DERSequence,h=i.DERInteger,c=i.DERTaggedObject,d=i.x509,g=d.Time,a=d.X500Name,j=d.SubjectPublicKeyInfo;this._initialize=function(){this.asn1Array=new Array();this.asn1Version=new c({obj:new h({"int":2})});this.asn1SerialNumber=null;this.asn1SignatureAlg=null;this.asn1Issuer=null;this.asn1NotBefore=null;this.asn1NotAfter=null;this.asn1Subject=null;this.asn1SubjPKey=null;this.extensionsArray=new Array()};this.setSerialNumberByParam=function(k){this.asn1SerialNumber=new h(k)};this.setSignatureAlgByParam=function(k){this.asn1SignatureAlg=new d.AlgorithmIdentifier(k)};this.setIssuerByParam=function(k){this.asn1Issuer=new a(k)};this.setNotBeforeByParam=function(k){this.asn1NotBefore=new g(k)};this.setNotAfterByParam=function(k){this.asn1NotAfter=new g(k)};this.setSubjectByParam=function(k){this.asn1Subject=new a(k)};this.setSubjectPublicKeyByParam=function(k){this.asn1SubjPKey=new j(k)};this.setSubjectPublicKeyByGetKey=function(l){var k=KEYUTIL.getKey(l);this.asn1SubjPKey=new j(k)};this.appendExtension=function(k){this.extensionsArray.push(k)};this.appendExtensionByName=function(l,k){KJUR.asn1.x509.Extension.appendByNameToArray(l,k,this.extensionsArray)};this.getEncodedHex=function(){if(this.asn1NotBefore==null||this.asn1NotAfter==null){throw"notBefore and/or notAfter not set"}var l=new f({array:[this.asn1NotBefore,this.asn1NotAfter]});this.asn1Array=new Array();this.asn1Array.push(this.asn1Version);this.asn1Array.push(this.asn1SerialNumber);this.asn1Array.push(this.asn1SignatureAlg);this.asn1Array.push(this.asn1Issuer);this.asn1Array.push(l);this.asn1Array.push(this.asn1Subject);this.asn1Array.push(this.asn1SubjPKey);if(this.extensionsArray.length>0){var m=new f({array:this.extensionsArray});var k=new c({explicit:true,tag:"a3",obj:m});this.asn1Array.push(k)}var n=new f({array:this.asn1Array});this.hTLV=n.getEncodedHex();this.isModified=false;return this.hTLV};this._initialize()};YAHOO.lang.extend(KJUR.asn1.x509.TBSCertificate,KJUR.asn1.ASN1Object);KJUR.asn1.x509.Extension=function(d){KJUR.asn1.x509.Extension.superclass.constructor.call(this);var f=null,a=KJUR,e=a.asn1,h=e.DERObjectIdentifier,i=e.DEROctetString,b=e.DERBitString,g=e.DERBoolean,c=e.DERSequence;this.getEncodedHex=function(){var m=new h({oid:this.oid});var l=new i({hex:this.getExtnValueHex()});var k=new Array();k.push(m);if(this.critical){k.push(new g())}k.push(l);var j=new c({array:k});return j.getEncodedHex()};this.critical=false;if(typeof d!="undefined"){if(typeof d.critical!="undefined"){this.critical=d.critical}}};YAHOO.lang.extend(KJUR.asn1.x509.Extension,KJUR.asn1.ASN1Object);KJUR.asn1.x509.Extension.appendByNameToArray=function(e,c,b){var g=e.toLowerCase(),f=KJUR.asn1.x509;if(g=="basicconstraints"){var d=new f.BasicConstraints(c);b.push(d)}else{if(g=="keyusage"){var d=new f.KeyUsage(c);b.push(d)}else{if(g=="crldistributionpoints"){var d=new f.CRLDistributionPoints(c);b.push(d)}else{if(g=="extkeyusage"){var d=new f.ExtKeyUsage(c);b.push(d)}else{if(g=="authoritykeyidentifier"){var d=new f.AuthorityKeyIdentifier(c);b.push(d)}else{if(g=="authorityinfoaccess"){var d=new f.AuthorityInfoAccess(c);b.push(d)}else{if(g=="subjectaltname"){var d=new f.SubjectAltName(c);b.push(d)}else{if(g=="issueraltname"){var d=new f.IssuerAltName(c);b.push(d)}else{throw"unsupported extension name: "+e}}}}}}}}};KJUR.asn1.x509.KeyUsage=function(a){KJUR.asn1.x509.KeyUsage.superclass.constructor.call(this,a);this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.oid="2.5.29.15";if(typeof a!="undefined"){if(typeof a.bin!="undefined"){this.asn1ExtnValue=new KJUR.asn1.DERBitString(a)}}};YAHOO.lang.extend(KJUR.asn1.x509.KeyUsage,KJUR.asn1.x509.Extension);KJUR.asn1.x509.BasicConstraints=function(c){KJUR.asn1.x509.BasicConstraints.superclass.constructor.call(this,c);var a=false;var b=-1;this.getExtnValueHex=function(){var e=new Array();if(this.cA){e.push(new KJUR.asn1.DERBoolean())}if(this.pathLen>-1){e.push(new KJUR.asn1.DERInteger({"int":this.pathLen}))}var d=new KJUR.asn1.DERSequence({array:e});this.asn1ExtnValue=d;return this.asn1ExtnValue.getEncodedHex()};this.oid="2.5.29.19";this.cA=false;this.pathLen=-1;if(typeof c!="undefined"){if(typeof c.cA!="undefined"){this.cA=c.cA}if(typeof c.pathLen!="undefined"){this.pathLen=c.pathLen}}};YAHOO.lang.extend(KJUR.asn1.x509.BasicConstraints,KJUR.asn1.x509.Extension);KJUR.asn1.x509.CRLDistributionPoints=function(d){KJUR.asn1.x509.CRLDistributionPoints.superclass.constructor.call(this,d);var b=KJUR,a=b.asn1,c=a.x509;this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.setByDPArray=function(e){this.asn1ExtnValue=new a.DERSequence({array:e})};this.setByOneURI=function(h){var e=new c.GeneralNames([{uri:h}]);var g=new c.DistributionPointName(e);var f=new c.DistributionPoint({dpobj:g});this.setByDPArray([f])};this.oid="2.5.29.31";if(typeof d!="undefined"){if(typeof d.array!="undefined"){this.setByDPArray(d.array)}else{if(typeof d.uri!="undefined"){this.setByOneURI(d.uri)}}}};YAHOO.lang.extend(KJUR.asn1.x509.CRLDistributionPoints,KJUR.asn1.x509.Extension);KJUR.asn1.x509.ExtKeyUsage=function(c){KJUR.asn1.x509.ExtKeyUsage.superclass.constructor.call(this,c);var b=KJUR,a=b.asn1;this.setPurposeArray=function(d){this.asn1ExtnValue=new a.DERSequence();for(var e=0;e<d.length;e++){var f=new a.DERObjectIdentifier(d[e]);this.asn1ExtnValue.appendASN1Object(f)}};this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.oid="2.5.29.37";if(typeof c!="undefined"){if(typeof c.array!="undefined"){this.setPurposeArray(c.array)}}};YAHOO.lang.extend(KJUR.asn1.x509.ExtKeyUsage,KJUR.asn1.x509.Extension);KJUR.asn1.x509.AuthorityKeyIdentifier=function(d){KJUR.asn1.x509.AuthorityKeyIdentifier.superclass.constructor.call(this,d);var b=KJUR,a=b.asn1,c=a.DERTaggedObject;this.asn1KID=null;this.asn1CertIssuer=null;this.asn1CertSN=null;this.getExtnValueHex=function(){var f=new Array();if(this.asn1KID){f.push(new c({explicit:false,tag:"80",obj:this.asn1KID}))}if(this.asn1CertIssuer){f.push(new c({explicit:false,tag:"a1",obj:this.asn1CertIssuer}))}if(this.asn1CertSN){f.push(new c({explicit:false,tag:"82",obj:this.asn1CertSN}))}var e=new a.DERSequence({array:f});this.asn1ExtnValue=e;return this.asn1ExtnValue.getEncodedHex()};this.setKIDByParam=function(e){this.asn1KID=new KJUR.asn1.DEROctetString(e)};this.setCertIssuerByParam=function(e){this.asn1CertIssuer=new KJUR.asn1.x509.X500Name(e)};this.setCertSNByParam=function(e){this.asn1CertSN=new KJUR.asn1.DERInteger(e)};this.oid="2.5.29.35";if(typeof d!="undefined"){if(typeof d.kid!="undefined"){this.setKIDByParam(d.kid)}if(typeof d.issuer!="undefined"){this.setCertIssuerByParam(d.issuer)}if(typeof d.sn!="undefined"){this.setCertSNByParam(d.sn)}}};YAHOO.lang.extend(KJUR.asn1.x509.AuthorityKeyIdentifier,KJUR.asn1.x509.Extension);KJUR.asn1.x509.AuthorityInfoAccess=function(a){KJUR.asn1.x509.AuthorityInfoAccess.superclass.constructor.call(this,a);this.setAccessDescriptionArray=function(k){var j=new Array(),b=KJUR,g=b.asn1,d=g.DERSequence;for(var f=0;f<k.length;f++){var c=new g.DERObjectIdentifier(k[f].accessMethod);var e=new g.x509.GeneralName(k[f].accessLocation);var h=new d({array:[c,e]});j.push(h)}this.asn1ExtnValue=new d({array:j})};this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.oid="1.3.6.1.5.5.7.1.1";if(typeof a!="undefined"){if(typeof a.array!="undefined"){this.setAccessDescriptionArray(a.array)}}};YAHOO.lang.extend(KJUR.asn1.x509.AuthorityInfoAccess,KJUR.asn1.x509.Extension);KJUR.asn1.x509.SubjectAltName=function(a){KJUR.asn1.x509.SubjectAltName.superclass.constructor.call(this,a);this.setNameArray=function(b){this.asn1ExtnValue=new KJUR.asn1.x509.GeneralNames(b)};this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.oid="2.5.29.17";if(a!==undefined){if(a.array!==undefined){this.setNameArray(a.array)}}};YAHOO.lang.extend(KJUR.asn1.x509.SubjectAltName,KJUR.asn1.x509.Extension);KJUR.asn1.x509.IssuerAltName=function(a){KJUR.asn1.x509.IssuerAltName.superclass.constructor.call(this,a);this.setNameArray=function(b){this.asn1ExtnValue=new KJUR.asn1.x509.GeneralNames(b)};this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.oid="2.5.29.18";if(a!==undefined){if(a.array!==undefined){this.setNameArray(a.array)}}};YAHOO.lang.extend(KJUR.asn1.x509.IssuerAltName,KJUR.asn1.x509.Extension);KJUR.asn1.x509.CRL=function(f){KJUR.asn1.x509.CRL.superclass.constructor.call(this);var a=null,c=null,e=null,b=null,d=null;this.setRsaPrvKeyByPEMandPass=function(h,j){var g=PKCS5PKEY.getDecryptedKeyHex(h,j);var i=new RSAKey();i.readPrivateKeyFromASN1HexString(g);this.rsaPrvKey=i};this.sign=function(){this.asn1SignatureAlg=this.asn1TBSCertList.asn1SignatureAlg;sig=new KJUR.crypto.Signature({alg:"SHA1withRSA",prov:"cryptojs/jsrsa"});sig.initSign(this.rsaPrvKey);sig.updateHex(this.asn1TBSCertList.getEncodedHex());this.hexSig=sig.sign();this.asn1Sig=new KJUR.asn1.DERBitString({hex:"00"+this.hexSig});var g=new KJUR.asn1.DERSequence({array:[this.asn1TBSCertList,this.asn1SignatureAlg,this.asn1Sig]});this.hTLV=g.getEncodedHex();this.isModified=false};this.getEncodedHex=function(){if(this.isModified==false&&this.hTLV!=null){return this.hTLV}throw"not signed yet"};this.getPEMString=function(){var g=hextob64nl(this.getEncodedHex());return"-----BEGIN X509 CRL-----\r\n"+g+"\r\n-----END X509 CRL-----\r\n"};if(typeof f!="undefined"){if(typeof f.tbsobj!="undefined"){this.asn1TBSCertList=f.tbsobj}if(typeof f.rsaprvkey!="undefined"){this.rsaPrvKey=f.rsaprvkey}if((typeof f.rsaprvpem!="undefined")&&(typeof f.rsaprvpas!="undefined")){this.setRsaPrvKeyByPEMandPass(f.rsaprvpem,f.rsaprvpas)}}};YAHOO.lang.extend(KJUR.asn1.x509.CRL,KJUR.asn1.ASN1Object);KJUR.asn1.x509.TBSCertList=function(g){KJUR.asn1.x509.TBSCertList.superclass.constructor.call(this);var e=null,d=KJUR,c=d.asn1,b=c.DERSequence,f=c.x509,a=f.Time;this.setSignatureAlgByParam=function(h){this.asn1SignatureAlg=new f.AlgorithmIdentifier(h)};this.setIssuerByParam=function(h){this.asn1Issuer=new f.X500Name(h)};this.setThisUpdateByParam=function(h){this.asn1ThisUpdate=new a(h)};this.setNextUpdateByParam=function(h){this.asn1NextUpdate=new a(h)};this.addRevokedCert=function(h,i){var k={};if(h!=undefined&&h!=null){k.sn=h}if(i!=undefined&&i!=null){k.time=i}var j=new f.CRLEntry(k);this.aRevokedCert.push(j)};this.getEncodedHex=function(){this.asn1Array=new Array();if(this.asn1Version!=null){this.asn1Array.push(this.asn1Version)}this.asn1Array.push(this.asn1SignatureAlg);this.asn1Array.push(this.asn1Issuer);this.asn1Array.push(this.asn1ThisUpdate);if(this.asn1NextUpdate!=null){this.asn1Array.push(this.asn1NextUpdate)}if(this.aRevokedCert.length>0){var h=new b({array:this.aRevokedCert});this.asn1Array.push(h)}var i=new b({array:this.asn1Array});this.hTLV=i.getEncodedHex();this.isModified=false;return this.hTLV};this._initialize=function(){this.asn1Version=null;this.asn1SignatureAlg=null;this.asn1Issuer=null;this.asn1ThisUpdate=null;this.asn1NextUpdate=null;this.aRevokedCert=new Array()};this._initialize()};YAHOO.lang.extend(KJUR.asn1.x509.TBSCertList,KJUR.asn1.ASN1Object);KJUR.asn1.x509.CRLEntry=function(e){KJUR.asn1.x509.CRLEntry.superclass.constructor.call(this);var d=null,c=null,b=KJUR,a=b.asn1;this.setCertSerial=function(f){this.sn=new a.DERInteger(f)};this.setRevocationDate=function(f){this.time=new a.x509.Time(f)};this.getEncodedHex=function(){var f=new a.DERSequence({array:[this.sn,this.time]});this.TLV=f.getEncodedHex();return this.TLV};if(e!==undefined){if(e.time!==undefined){this.setRevocationDate(e.time)}if(e.sn!==undefined){this.setCertSerial(e.sn)}}};YAHOO.lang.extend(KJUR.asn1.x509.CRLEntry,KJUR.asn1.ASN1Object);KJUR.asn1.x509.X500Name=function(f){KJUR.asn1.x509.X500Name.superclass.constructor.call(this);this.asn1Array=new Array();var d=KJUR,c=d.asn1,e=c.x509,b=pemtohex;this.setByString=function(g){var h=g.split("/");h.shift();for(var j=0;j<h.length;j++){this.asn1Array.push(new e.RDN({str:h[j]}))}};this.setByLdapString=function(g){var h=e.X500Name.ldapToOneline(g);this.setByString(h)};this.setByObject=function(i){for(var g in i){if(i.hasOwnProperty(g)){var h=new KJUR.asn1.x509.RDN({str:g+"="+i[g]});this.asn1Array?this.asn1Array.push(h):this.asn1Array=[h]}}};this.getEncodedHex=function(){if(typeof this.hTLV=="string"){return this.hTLV}var g=new c.DERSequence({array:this.asn1Array});this.hTLV=g.getEncodedHex();return this.hTLV};if(f!==undefined){if(f.str!==undefined){this.setByString(f.str)}else{if(f.ldapstr!==undefined){this.setByLdapString(f.ldapstr)}else{if(typeof f==="object"){this.setByObject(f)}}}if(f.certissuer!==undefined){var a=new X509();a.hex=b(f.certissuer);this.hTLV=a.getIssuerHex()}if(f.certsubject!==undefined){var a=new X509();a.hex=b(f.certsubject);this.hTLV=a.getSubjectHex()}}};YAHOO.lang.extend(KJUR.asn1.x509.X500Name,KJUR.asn1.ASN1Object);KJUR.asn1.x509.X500Name.onelineToLDAP=function(d){if(d.substr(0,1)!=="/"){throw"malformed input"}var b="";d=d.substr(1);var c=d.split("/");c.reverse();c=c.map(function(a){return a.replace(/,/,"\\,")});return c.join(",")};KJUR.asn1.x509.X500Name.ldapToOneline=function(g){var c=g.split(",");var e=false;var b=[];for(var f=0;c.length>0;f++){var h=c.shift();if(e===true){var d=b.pop();var j=(d+","+h).replace(/\\,/g,",");b.push(j);e=false}else{b.push(h)}if(h.substr(-1,1)==="\\"){e=true}}b=b.map(function(a){return a.replace("/","\\/")});b.reverse();return"/"+b.join("/")};KJUR.asn1.x509.RDN=function(a){KJUR.asn1.x509.RDN.superclass.constructor.call(this);this.asn1Array=new Array();this.addByString=function(b){this.asn1Array.push(new KJUR.asn1.x509.AttributeTypeAndValue({str:b}))};this.addByMultiValuedString=function(d){var b=KJUR.asn1.x509.RDN.parseString(d);for(var c=0;c<b.length;c++){this.addByString(b[c])}};this.getEncodedHex=function(){var b=new KJUR.asn1.DERSet({array:this.asn1Array});this.TLV=b.getEncodedHex();return this.TLV};if(typeof a!="undefined"){if(typeof a.str!="undefined"){this.addByMultiValuedString(a.str)}}};YAHOO.lang.extend(KJUR.asn1.x509.RDN,KJUR.asn1.ASN1Object);KJUR.asn1.x509.RDN.parseString=function(m){var j=m.split(/\+/);var h=false;var c=[];for(var g=0;j.length>0;g++){var k=j.shift();if(h===true){var f=c.pop();var d=(f+"+"+k).replace(/\\\+/g,"+");c.push(d);h=false}else{c.push(k)}if(k.substr(-1,1)==="\\"){h=true}}var l=false;var b=[];for(var g=0;c.length>0;g++){var k=c.shift();if(l===true){var e=b.pop();if(k.match(/"$/)){var d=(e+"+"+k).replace(/^([^=]+)="(.*)"$/,"$1=$2");b.push(d);l=false}else{b.push(e+"+"+k)}}else{b.push(k)}if(k.match(/^[^=]+="/)){l=true}}return b};KJUR.asn1.x509.AttributeTypeAndValue=function(d){KJUR.asn1.x509.AttributeTypeAndValue.superclass.constructor.call(this);var f=null,e=null,a="utf8",c=KJUR,b=c.asn1;this.setByString=function(h){var g=h.match(/^([^=]+)=(.+)$/);if(g){this.setByAttrTypeAndValueStr(g[1],g[2])}else{throw"malformed attrTypeAndValueStr: "+h}};this.setByAttrTypeAndValueStr=function(i,h){this.typeObj=KJUR.asn1.x509.OID.atype2obj(i);var g=a;if(i=="C"){g="prn"}this.valueObj=this.getValueObj(g,h)};this.getValueObj=function(h,g){if(h=="utf8"){return new b.DERUTF8String({str:g})}if(h=="prn"){return new b.DERPrintableString({str:g})}if(h=="tel"){return new b.DERTeletexString({str:g})}if(h=="ia5"){return new b.DERIA5String({str:g})}throw"unsupported directory string type: type="+h+" value="+g};this.getEncodedHex=function(){var g=new b.DERSequence({array:[this.typeObj,this.valueObj]});this.TLV=g.getEncodedHex();return this.TLV};if(typeof d!="undefined"){if(typeof d.str!="undefined"){this.setByString(d.str)}}};YAHOO.lang.extend(KJUR.asn1.x509.AttributeTypeAndValue,KJUR.asn1.ASN1Object);KJUR.asn1.x509.SubjectPublicKeyInfo=function(f){KJUR.asn1.x509.SubjectPublicKeyInfo.superclass.constructor.call(this);var m=null,l=null,k=null,a=KJUR,j=a.asn1,i=j.DERInteger,b=j.DERBitString,n=j.DERObjectIdentifier,e=j.DERSequence,h=j.ASN1Util.newObject,d=j.x509,p=d.AlgorithmIdentifier,g=a.crypto,o=g.ECDSA,c=g.DSA;this.setRSAKey=function(q){if(!RSAKey.prototype.isPrototypeOf(q)){throw"argument is not RSAKey instance"}this.rsaKey=q;var s=new i({bigint:q.n});var r=new i({"int":q.e});var u=new j.DERSequence({array:[s,r]});var t=u.getEncodedHex();this.asn1AlgId=new j.x509.AlgorithmIdentifier({name:"rsaEncryption"});this.asn1SubjPKey=new j.DERBitString({hex:"00"+t})};this.setRSAPEM=function(t){if(t.match(/-----BEGIN PUBLIC KEY-----/)){var v=pemtohex(t);var s=RSAKey.getHexValueArrayOfChildrenFromHex(v);var r=s[1];var u=r.substr(2);var w=RSAKey.getHexValueArrayOfChildrenFromHex(u);var q=new RSAKey();q.setPublic(w[0],w[1]);this.setRSAKey(q)}else{throw"key not supported"}};this.getASN1Object=function(){if(this.asn1AlgId==null||this.asn1SubjPKey==null){throw"algId and/or subjPubKey not set"}var q=new e({array:[this.asn1AlgId,this.asn1SubjPKey]});return q};this.getEncodedHex=function(){var q=this.getASN1Object();this.hTLV=q.getEncodedHex();return this.hTLV};this._setRSAKey=function(q){var s=h({seq:[{"int":{bigint:q.n}},{"int":{"int":q.e}}]});var r=s.getEncodedHex();this.asn1AlgId=new p({name:"rsaEncryption"});this.asn1SubjPKey=new b({hex:"00"+r})};this._setEC=function(q){var r=new n({name:q.curveName});this.asn1AlgId=new p({name:"ecPublicKey",asn1params:r});this.asn1SubjPKey=new b({hex:"00"+q.pubKeyHex})};this._setDSA=function(q){var r=new h({seq:[{"int":{bigint:q.p}},{"int":{bigint:q.q}},{"int":{bigint:q.g}}]});this.asn1AlgId=new p({name:"dsa",asn1params:r});var s=new i({bigint:q.y});this.asn1SubjPKey=new b({hex:"00"+s.getEncodedHex()})};if(typeof f!="undefined"){if(typeof RSAKey!="undefined"&&f instanceof RSAKey){this._setRSAKey(f)}else{if(typeof o!="undefined"&&f instanceof o){this._setEC(f)}else{if(typeof c!="undefined"&&f instanceof c){this._setDSA(f)}else{if(f.rsakey!==undefined){this.setRSAKey(f.rsakey)}else{if(f.rsapem!==undefined){this.setRSAPEM(f.rsapem)}}}}}}};YAHOO.lang.extend(KJUR.asn1.x509.SubjectPublicKeyInfo,KJUR.asn1.ASN1Object);KJUR.asn1.x509.Time=function(f){KJUR.asn1.x509.Time.superclass.constructor.call(this);var e=null,a=null,d=KJUR,c=d.asn1,b=c.DERUTCTime,g=c.DERGeneralizedTime;this.setTimeParams=function(h){this.timeParams=h};this.getEncodedHex=function(){var h=null;if(this.timeParams!=null){if(this.type=="utc"){h=new b(this.timeParams)}else{h=new g(this.timeParams)}}else{if(this.type=="utc"){h=new b()}else{h=new g()}}this.TLV=h.getEncodedHex();return this.TLV};this.type="utc";if(f!==undefined){if(f.type!==undefined){this.type=f.type}else{if(f.str!==undefined){if(f.str.match(/^[0-9]{12}Z$/)){this.type="utc"}if(f.str.match(/^[0-9]{14}Z$/)){this.type="gen"}}}this.timeParams=f}};YAHOO.lang.extend(KJUR.asn1.x509.Time,KJUR.asn1.ASN1Object);KJUR.asn1.x509.AlgorithmIdentifier=function(d){KJUR.asn1.x509.AlgorithmIdentifier.superclass.constructor.call(this);this.nameAlg=null;this.asn1Alg=null;this.asn1Params=null;this.paramEmpty=false;var b=KJUR,a=b.asn1;this.getEncodedHex=function(){if(this.nameAlg===null&&this.asn1Alg===null){throw"algorithm not specified"}if(this.nameAlg!==null&&this.asn1Alg===null){this.asn1Alg=a.x509.OID.name2obj(this.nameAlg)}var e=[this.asn1Alg];if(this.asn1Params!==null){e.push(this.asn1Params)}var f=new a.DERSequence({array:e});this.hTLV=f.getEncodedHex();return this.hTLV};if(d!==undefined){if(d.name!==undefined){this.nameAlg=d.name}if(d.asn1params!==undefined){this.asn1Params=d.asn1params}if(d.paramempty!==undefined){this.paramEmpty=d.paramempty}}if(this.asn1Params===null&&this.paramEmpty===false&&this.nameAlg!==null){var c=this.nameAlg.toLowerCase();if(c.substr(-7,7)!=="withdsa"&&c.substr(-9,9)!=="withecdsa"){this.asn1Params=new a.DERNull()}}};YAHOO.lang.extend(KJUR.asn1.x509.AlgorithmIdentifier,KJUR.asn1.ASN1Object);KJUR.asn1.x509.GeneralName=function(e){KJUR.asn1.x509.GeneralName.superclass.constructor.call(this);var k=null,h=null,i={rfc822:"81",dns:"82",dn:"a4",uri:"86"},b=KJUR,f=b.asn1,d=f.DERIA5String,c=f.DERTaggedObject,j=f.ASN1Object,a=f.x509.X500Name,g=pemtohex;this.explicit=false;this.setByParam=function(r){var q=null;var n=null;if(r===undefined){return}if(r.rfc822!==undefined){this.type="rfc822";n=new d({str:r[this.type]})}if(r.dns!==undefined){this.type="dns";n=new d({str:r[this.type]})}if(r.uri!==undefined){this.type="uri";n=new d({str:r[this.type]})}if(r.dn!==undefined){this.type="dn";n=new a({str:r.dn})}if(r.ldapdn!==undefined){this.type="dn";n=new a({ldapstr:r.ldapdn})}if(r.certissuer!==undefined){this.type="dn";this.explicit=true;var o=r.certissuer;var m=null;if(o.match(/^[0-9A-Fa-f]+$/)){m==o}if(o.indexOf("-----BEGIN ")!=-1){m=g(o)}if(m==null){throw"certissuer param not cert"}var l=new X509();l.hex=m;var p=l.getIssuerHex();n=new j();n.hTLV=p}if(r.certsubj!==undefined){this.type="dn";this.explicit=true;var o=r.certsubj;var m=null;if(o.match(/^[0-9A-Fa-f]+$/)){m==o}if(o.indexOf("-----BEGIN ")!=-1){m=g(o)}if(m==null){throw"certsubj param not cert"}var l=new X509();l.hex=m;var p=l.getSubjectHex();n=new j();n.hTLV=p}if(this.type==null){throw"unsupported type in params="+r}this.asn1Obj=new c({explicit:this.explicit,tag:i[this.type],obj:n})};this.getEncodedHex=function(){return this.asn1Obj.getEncodedHex()};if(e!==undefined){this.setByParam(e)}};YAHOO.lang.extend(KJUR.asn1.x509.GeneralName,KJUR.asn1.ASN1Object);KJUR.asn1.x509.GeneralNames=function(d){KJUR.asn1.x509.GeneralNames.superclass.constructor.call(this);var a=null,c=KJUR,b=c.asn1;this.setByParamArray=function(g){for(var e=0;e<g.length;e++){var f=new b.x509.GeneralName(g[e]);this.asn1Array.push(f)}};this.getEncodedHex=function(){var e=new b.DERSequence({array:this.asn1Array});return e.getEncodedHex()};this.asn1Array=new Array();if(typeof d!="undefined"){this.setByParamArray(d)}};YAHOO.lang.extend(KJUR.asn1.x509.GeneralNames,KJUR.asn1.ASN1Object);KJUR.asn1.x509.DistributionPointName=function(b){KJUR.asn1.x509.DistributionPointName.superclass.constructor.call(this);var h=null,e=null,a=null,g=null,d=KJUR,c=d.asn1,f=c.DERTaggedObject;this.getEncodedHex=function(){if(this.type!="full"){throw"currently type shall be 'full': "+this.type}this.asn1Obj=new f({explicit:false,tag:this.tag,obj:this.asn1V});this.hTLV=this.asn1Obj.getEncodedHex();return this.hTLV};if(b!==undefined){if(c.x509.GeneralNames.prototype.isPrototypeOf(b)){this.type="full";this.tag="a0";this.asn1V=b}else{throw"This class supports GeneralNames only as argument"}}};YAHOO.lang.extend(KJUR.asn1.x509.DistributionPointName,KJUR.asn1.ASN1Object);KJUR.asn1.x509.DistributionPoint=function(d){KJUR.asn1.x509.DistributionPoint.superclass.constructor.call(this);var a=null,c=KJUR,b=c.asn1;this.getEncodedHex=function(){var e=new b.DERSequence();if(this.asn1DP!=null){var f=new b.DERTaggedObject({explicit:true,tag:"a0",obj:this.asn1DP});e.appendASN1Object(f)}this.hTLV=e.getEncodedHex();return this.hTLV};if(d!==undefined){if(d.dpobj!==undefined){this.asn1DP=d.dpobj}}};YAHOO.lang.extend(KJUR.asn1.x509.DistributionPoint,KJUR.asn1.ASN1Object);KJUR.asn1.x509.OID=new function(a){this.atype2oidList={CN:"2.5.4.3",L:"2.5.4.7",ST:"2.5.4.8",O:"2.5.4.10",OU:"2.5.4.11",C:"2.5.4.6",STREET:"2.5.4.9",DC:"0.9.2342.19200300.100.1.25",UID:"0.9.2342.19200300.100.1.1",SN:"2.5.4.4",DN:"2.5.4.49",E:"1.2.840.113549.1.9.1",businessCategory:"2.5.4.15",postalCode:"2.5.4.17",serialNumber:"2.5.4.5",jurisdictionOfIncorporationL:"1.3.6.1.4.1.311.60.2.1.1",jurisdictionOfIncorporationSP:"1.3.6.1.4.1.311.60.2.1.2",jurisdictionOfIncorporationC:"1.3.6.1.4.1.311.60.2.1.3"};this.name2oidList={sha1:"1.3.14.3.2.26",sha256:"2.16.840.1.101.3.4.2.1",sha384:"2.16.840.1.101.3.4.2.2",sha512:"2.16.840.1.101.3.4.2.3",sha224:"2.16.840.1.101.3.4.2.4",md5:"1.2.840.113549.2.5",md2:"1.3.14.7.2.2.1",ripemd160:"1.3.36.3.2.1",MD2withRSA:"1.2.840.113549.1.1.2",MD4withRSA:"1.2.840.113549.1.1.3",MD5withRSA:"1.2.840.113549.1.1.4",SHA1withRSA:"1.2.840.113549.1.1.5",SHA224withRSA:"1.2.840.113549.1.1.14",SHA256withRSA:"1.2.840.113549.1.1.11",SHA384withRSA:"1.2.840.113549.1.1.12",SHA512withRSA:"1.2.840.113549.1.1.13",SHA1withECDSA:"1.2.840.10045.4.1",SHA224withECDSA:"1.2.840.10045.4.3.1",SHA256withECDSA:"1.2.840.10045.4.3.2",SHA384withECDSA:"1.2.840.10045.4.3.3",SHA512withECDSA:"1.2.840.10045.4.3.4",dsa:"1.2.840.10040.4.1",SHA1withDSA:"1.2.840.10040.4.3",SHA224withDSA:"2.16.840.1.101.3.4.3.1",SHA256withDSA:"2.16.840.1.101.3.4.3.2",rsaEncryption:"1.2.840.113549.1.1.1",commonName:"2.5.4.3",localityName:"2.5.4.7",stateOrProvinceName:"2.5.4.8",organizationName:"2.5.4.10",organizationalUnitName:"2.5.4.11",countryName:"2.5.4.6",streetAddress:"2.5.4.9",domainComponent:"0.9.2342.19200300.100.1.25",userId:"0.9.2342.19200300.100.1.1",surname:"2.5.4.4",distinguishedName:"2.5.4.49",emailAddress:"1.2.840.113549.1.9.1",businessCategory:"2.5.4.15",postalCode:"2.5.4.17",jurisdictionOfIncorporationL:"1.3.6.1.4.1.311.60.2.1.1",jurisdictionOfIncorporationSP:"1.3.6.1.4.1.311.60.2.1.2",jurisdictionOfIncorporationC:"1.3.6.1.4.1.311.60.2.1.3",subjectKeyIdentifier:"2.5.29.14",keyUsage:"2.5.29.15",subjectAltName:"2.5.29.17",issuerAltName:"2.5.29.18",basicConstraints:"2.5.29.19",nameConstraints:"2.5.29.30",cRLDistributionPoints:"2.5.29.31",certificatePolicies:"2.5.29.32",authorityKeyIdentifier:"2.5.29.35",policyConstraints:"2.5.29.36",extKeyUsage:"2.5.29.37",authorityInfoAccess:"1.3.6.1.5.5.7.1.1",ocsp:"1.3.6.1.5.5.7.48.1",caIssuers:"1.3.6.1.5.5.7.48.2",anyExtendedKeyUsage:"2.5.29.37.0",serverAuth:"1.3.6.1.5.5.7.3.1",clientAuth:"1.3.6.1.5.5.7.3.2",codeSigning:"1.3.6.1.5.5.7.3.3",emailProtection:"1.3.6.1.5.5.7.3.4",timeStamping:"1.3.6.1.5.5.7.3.8",ocspSigning:"1.3.6.1.5.5.7.3.9",ecPublicKey:"1.2.840.10045.2.1",secp256r1:"1.2.840.10045.3.1.7",secp256k1:"1.3.132.0.10",secp384r1:"1.3.132.0.34",pkcs5PBES2:"1.2.840.113549.1.5.13",pkcs5PBKDF2:"1.2.840.113549.1.5.12","des-EDE3-CBC":"1.2.840.113549.3.7",data:"1.2.840.113549.1.7.1","signed-data":"1.2.840.113549.1.7.2","enveloped-data":"1.2.840.113549.1.7.3","digested-data":"1.2.840.113549.1.7.5","encrypted-data":"1.2.840.113549.1.7.6","authenticated-data":"1.2.840.113549.1.9.16.1.2",tstinfo:"1.2.840.113549.1.9.16.1.4",extensionRequest:"1.2.840.113549.1.9.14",};this.objCache={};this.name2obj=function(b){if(typeof this.objCache[b]!="undefined"){return this.objCache[b]}if(typeof this.name2oidList[b]=="undefined"){throw"Name of ObjectIdentifier not defined: "+b}var c=this.name2oidList[b];var d=new KJUR.asn1.DERObjectIdentifier({oid:c});this.objCache[b]=d;return d};this.atype2obj=function(b){if(typeof this.objCache[b]!="undefined"){return this.objCache[b]}if(typeof this.atype2oidList[b]=="undefined"){throw"AttributeType name undefined: "+b}var c=this.atype2oidList[b];var d=new KJUR.asn1.DERObjectIdentifier({oid:c});this.objCache[b]=d;return d}};KJUR.asn1.x509.OID.oid2name=function(b){var c=KJUR.asn1.x509.OID.name2oidList;for(var a in c){if(c[a]==b){return a}}return""};KJUR.asn1.x509.OID.oid2atype=function(b){var c=KJUR.asn1.x509.OID.atype2oidList;for(var a in c){if(c[a]==b){return a}}return b};KJUR.asn1.x509.OID.name2oid=function(a){var b=KJUR.asn1.x509.OID.name2oidList;if(b[a]===undefined){return""}return b[a]};KJUR.asn1.x509.X509Util=new function(){var c=KJUR,b=c.asn1,e=b.DERInteger,a=b.DERSequence,d=b.ASN1Util;this.getPKCS8PubKeyPEMfromRSAKey=function(f){return KEYUTIL.getPEM(f)}};KJUR.asn1.x509.X509Util.newCertPEM=function(h){var g=KJUR.asn1.x509,b=g.TBSCertificate,a=g.Certificate;var f=new b();if(h.serial!==undefined){f.setSerialNumberByParam(h.serial)}else{throw"serial number undefined."}if(typeof h.sigalg.name==="string"){f.setSignatureAlgByParam(h.sigalg)}else{throw"unproper signature algorithm name"}if(h.issuer!==undefined){f.setIssuerByParam(h.issuer)}else{throw"issuer name undefined."}if(h.notbefore!==undefined){f.setNotBeforeByParam(h.notbefore)}else{throw"notbefore undefined."}if(h.notafter!==undefined){f.setNotAfterByParam(h.notafter)}else{throw"notafter undefined."}if(h.subject!==undefined){f.setSubjectByParam(h.subject)}else{throw"subject name undefined."}if(h.sbjpubkey!==undefined){f.setSubjectPublicKeyByGetKey(h.sbjpubkey)}else{throw"subject public key undefined."}if(h.ext!==undefined&&h.ext.length!==undefined){for(var d=0;d<h.ext.length;d++){for(key in h.ext[d]){f.appendExtensionByName(key,h.ext[d][key])}}}if(h.cakey===undefined&&h.sighex===undefined){throw"param cakey and sighex undefined."}var e=null;var c=null;if(h.cakey){if(h.cakey.isPrivate===true){e=h.cakey}else{e=KEYUTIL.getKey.apply(null,h.cakey)}c=new a({tbscertobj:f,prvkeyobj:e});c.sign()}if(h.sighex){c=new a({tbscertobj:f});c.setSignatureHex(h.sighex)}return c.getPEMString()};
\ No newline at end of file
+if(typeof KJUR=="undefined"||!KJUR)KJUR={};if(typeof KJUR.asn1=="undefined"||!KJUR.asn1)KJUR.asn1={};if(typeof KJUR.asn1.x509=="undefined"||!KJUR.asn1.x509)KJUR.asn1.x509={};KJUR.asn1.x509.Certificate=function(e){KJUR.asn1.x509.Certificate.superclass.constructor.call(this);var t=null,n=null,s=null,i=null,a=null,r=null,h=KJUR,u=h.crypto,o=h.asn1,l=o.DERSequence,f=o.DERBitString;this.setRsaPrvKeyByPEMandPass=function(e,t){var n=PKCS5PKEY.getDecryptedKeyHex(e,t);var s=new RSAKey;s.readPrivateKeyFromASN1HexString(n);this.prvKey=s};this.sign=function(){this.asn1SignatureAlg=this.asn1TBSCert.asn1SignatureAlg;var e={alg:this.asn1SignatureAlg.nameAlg};if(this.asn1SignatureAlg.pssSaltLen!==undefined)e.psssaltlen=this.asn1SignatureAlg.pssSaltLen;var t=new KJUR.crypto.Signature(e);t.init(this.prvKey);t.updateHex(this.asn1TBSCert.getEncodedHex());this.hexSig=t.sign();this.asn1Sig=new f({hex:"00"+this.hexSig});var n=new l({array:[this.asn1TBSCert,this.asn1SignatureAlg,this.asn1Sig]});this.hTLV=n.getEncodedHex();this.isModified=false};this.setSignatureHex=function(e){this.asn1SignatureAlg=this.asn1TBSCert.asn1SignatureAlg;this.hexSig=e;this.asn1Sig=new f({hex:"00"+this.hexSig});var t=new l({array:[this.asn1TBSCert,this.asn1SignatureAlg,this.asn1Sig]});this.hTLV=t.getEncodedHex();this.isModified=false};this.getEncodedHex=function(){if(this.isModified==false&&this.hTLV!=null)return this.hTLV;throw"not signed yet"};this.getPEMString=function(){var e=hextob64nl(this.getEncodedHex());return"-----BEGIN CERTIFICATE-----\r\n"+e+"\r\n-----END CERTIFICATE-----\r\n"};if(e!==undefined){if(e.tbscertobj!==undefined){this.asn1TBSCert=e.tbscertobj}if(e.prvkeyobj!==undefined){this.prvKey=e.prvkeyobj}else if(e.rsaprvkey!==undefined){this.prvKey=e.rsaprvkey}else if(e.rsaprvpem!==undefined&&e.rsaprvpas!==undefined){this.setRsaPrvKeyByPEMandPass(e.rsaprvpem,e.rsaprvpas)}}};YAHOO.lang.extend(KJUR.asn1.x509.Certificate,KJUR.asn1.ASN1Object);KJUR.asn1.x509.TBSCertificate=function(e){KJUR.asn1.x509.TBSCertificate.superclass.constructor.call(this);var t=KJUR,n=t.asn1,i=n.DERSequence,s=n.DERInteger,a=n.DERTaggedObject,r=n.x509,h=r.Time,u=r.X500Name,o=r.SubjectPublicKeyInfo;this._initialize=function(){this.asn1Array=new Array;this.asn1Version=new a({obj:new s({int:2})});this.asn1SerialNumber=null;this.asn1SignatureAlg=null;this.asn1Issuer=null;this.asn1NotBefore=null;this.asn1NotAfter=null;this.asn1Subject=null;this.asn1SubjPKey=null;this.extensionsArray=new Array};this.setSerialNumberByParam=function(e){this.asn1SerialNumber=new s(e)};this.setSignatureAlgByParam=function(e){this.asn1SignatureAlg=new r.AlgorithmIdentifier(e)};this.setIssuerByParam=function(e){this.asn1Issuer=new u(e)};this.setNotBeforeByParam=function(e){this.asn1NotBefore=new h(e)};this.setNotAfterByParam=function(e){this.asn1NotAfter=new h(e)};this.setSubjectByParam=function(e){this.asn1Subject=new u(e)};this.setSubjectPublicKeyByParam=function(e){this.asn1SubjPKey=new o(e)};this.setSubjectPublicKeyByGetKey=function(e){var t=KEYUTIL.getKey(e);this.asn1SubjPKey=new o(t)};this.appendExtension=function(e){this.extensionsArray.push(e)};this.appendExtensionByName=function(e,t){KJUR.asn1.x509.Extension.appendByNameToArray(e,t,this.extensionsArray)};this.getEncodedHex=function(){if(this.asn1NotBefore==null||this.asn1NotAfter==null)throw"notBefore and/or notAfter not set";var e=new i({array:[this.asn1NotBefore,this.asn1NotAfter]});this.asn1Array=new Array;this.asn1Array.push(this.asn1Version);this.asn1Array.push(this.asn1SerialNumber);this.asn1Array.push(this.asn1SignatureAlg);this.asn1Array.push(this.asn1Issuer);this.asn1Array.push(e);this.asn1Array.push(this.asn1Subject);this.asn1Array.push(this.asn1SubjPKey);if(this.extensionsArray.length>0){var t=new i({array:this.extensionsArray});var n=new a({explicit:true,tag:"a3",obj:t});this.asn1Array.push(n)}var s=new i({array:this.asn1Array});this.hTLV=s.getEncodedHex();this.isModified=false;return this.hTLV};this._initialize()};YAHOO.lang.extend(KJUR.asn1.x509.TBSCertificate,KJUR.asn1.ASN1Object);KJUR.asn1.x509.Extension=function(e){KJUR.asn1.x509.Extension.superclass.constructor.call(this);var t=null,n=KJUR,s=n.asn1,i=s.DERObjectIdentifier,a=s.DEROctetString,r=s.DERBitString,h=s.DERBoolean,u=s.DERSequence;this.getEncodedHex=function(){var e=new i({oid:this.oid});var t=new a({hex:this.getExtnValueHex()});var n=new Array;n.push(e);if(this.critical)n.push(new h);n.push(t);var s=new u({array:n});return s.getEncodedHex()};this.critical=false;if(typeof e!="undefined"){if(typeof e["critical"]!="undefined"){this.critical=e["critical"]}}};YAHOO.lang.extend(KJUR.asn1.x509.Extension,KJUR.asn1.ASN1Object);KJUR.asn1.x509.Extension.appendByNameToArray=function(e,t,n){var s=e.toLowerCase(),i=KJUR.asn1.x509;if(s=="basicconstraints"){var a=new i.BasicConstraints(t);n.push(a)}else if(s=="keyusage"){var a=new i.KeyUsage(t);n.push(a)}else if(s=="crldistributionpoints"){var a=new i.CRLDistributionPoints(t);n.push(a)}else if(s=="extkeyusage"){var a=new i.ExtKeyUsage(t);n.push(a)}else if(s=="authoritykeyidentifier"){var a=new i.AuthorityKeyIdentifier(t);n.push(a)}else if(s=="authorityinfoaccess"){var a=new i.AuthorityInfoAccess(t);n.push(a)}else if(s=="subjectaltname"){var a=new i.SubjectAltName(t);n.push(a)}else if(s=="issueraltname"){var a=new i.IssuerAltName(t);n.push(a)}else{throw"unsupported extension name: "+e}};KJUR.asn1.x509.KeyUsage=function(e){KJUR.asn1.x509.KeyUsage.superclass.constructor.call(this,e);this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.oid="2.5.29.15";if(typeof e!="undefined"){if(typeof e["bin"]!="undefined"){this.asn1ExtnValue=new KJUR.asn1.DERBitString(e)}}};YAHOO.lang.extend(KJUR.asn1.x509.KeyUsage,KJUR.asn1.x509.Extension);KJUR.asn1.x509.BasicConstraints=function(e){KJUR.asn1.x509.BasicConstraints.superclass.constructor.call(this,e);var t=false;var n=-1;this.getExtnValueHex=function(){var e=new Array;if(this.cA)e.push(new KJUR.asn1.DERBoolean);if(this.pathLen>-1)e.push(new KJUR.asn1.DERInteger({int:this.pathLen}));var t=new KJUR.asn1.DERSequence({array:e});this.asn1ExtnValue=t;return this.asn1ExtnValue.getEncodedHex()};this.oid="2.5.29.19";this.cA=false;this.pathLen=-1;if(typeof e!="undefined"){if(typeof e["cA"]!="undefined"){this.cA=e["cA"]}if(typeof e["pathLen"]!="undefined"){this.pathLen=e["pathLen"]}}};YAHOO.lang.extend(KJUR.asn1.x509.BasicConstraints,KJUR.asn1.x509.Extension);KJUR.asn1.x509.CRLDistributionPoints=function(e){KJUR.asn1.x509.CRLDistributionPoints.superclass.constructor.call(this,e);var t=KJUR,n=t.asn1,i=n.x509;this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.setByDPArray=function(e){this.asn1ExtnValue=new n.DERSequence({array:e})};this.setByOneURI=function(e){var t=new i.GeneralNames([{uri:e}]);var n=new i.DistributionPointName(t);var s=new i.DistributionPoint({dpobj:n});this.setByDPArray([s])};this.oid="2.5.29.31";if(typeof e!="undefined"){if(typeof e["array"]!="undefined"){this.setByDPArray(e["array"])}else if(typeof e["uri"]!="undefined"){this.setByOneURI(e["uri"])}}};YAHOO.lang.extend(KJUR.asn1.x509.CRLDistributionPoints,KJUR.asn1.x509.Extension);KJUR.asn1.x509.ExtKeyUsage=function(e){KJUR.asn1.x509.ExtKeyUsage.superclass.constructor.call(this,e);var t=KJUR,s=t.asn1;this.setPurposeArray=function(e){this.asn1ExtnValue=new s.DERSequence;for(var t=0;t<e.length;t++){var n=new s.DERObjectIdentifier(e[t]);this.asn1ExtnValue.appendASN1Object(n)}};this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.oid="2.5.29.37";if(typeof e!="undefined"){if(typeof e["array"]!="undefined"){this.setPurposeArray(e["array"])}}};YAHOO.lang.extend(KJUR.asn1.x509.ExtKeyUsage,KJUR.asn1.x509.Extension);KJUR.asn1.x509.AuthorityKeyIdentifier=function(e){KJUR.asn1.x509.AuthorityKeyIdentifier.superclass.constructor.call(this,e);var t=KJUR,n=t.asn1,s=n.DERTaggedObject;this.asn1KID=null;this.asn1CertIssuer=null;this.asn1CertSN=null;this.getExtnValueHex=function(){var e=new Array;if(this.asn1KID)e.push(new s({explicit:false,tag:"80",obj:this.asn1KID}));if(this.asn1CertIssuer)e.push(new s({explicit:false,tag:"a1",obj:this.asn1CertIssuer}));if(this.asn1CertSN)e.push(new s({explicit:false,tag:"82",obj:this.asn1CertSN}));var t=new n.DERSequence({array:e});this.asn1ExtnValue=t;return this.asn1ExtnValue.getEncodedHex()};this.setKIDByParam=function(e){this.asn1KID=new KJUR.asn1.DEROctetString(e)};this.setCertIssuerByParam=function(e){this.asn1CertIssuer=new KJUR.asn1.x509.X500Name(e)};this.setCertSNByParam=function(e){this.asn1CertSN=new KJUR.asn1.DERInteger(e)};this.oid="2.5.29.35";if(typeof e!="undefined"){if(typeof e["kid"]!="undefined"){this.setKIDByParam(e["kid"])}if(typeof e["issuer"]!="undefined"){this.setCertIssuerByParam(e["issuer"])}if(typeof e["sn"]!="undefined"){this.setCertSNByParam(e["sn"])}}};YAHOO.lang.extend(KJUR.asn1.x509.AuthorityKeyIdentifier,KJUR.asn1.x509.Extension);KJUR.asn1.x509.AuthorityInfoAccess=function(e){KJUR.asn1.x509.AuthorityInfoAccess.superclass.constructor.call(this,e);this.setAccessDescriptionArray=function(e){var t=new Array,n=KJUR,s=n.asn1,i=s.DERSequence;for(var a=0;a<e.length;a++){var r=new s.DERObjectIdentifier(e[a].accessMethod);var h=new s.x509.GeneralName(e[a].accessLocation);var u=new i({array:[r,h]});t.push(u)}this.asn1ExtnValue=new i({array:t})};this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.oid="1.3.6.1.5.5.7.1.1";if(typeof e!="undefined"){if(typeof e["array"]!="undefined"){this.setAccessDescriptionArray(e["array"])}}};YAHOO.lang.extend(KJUR.asn1.x509.AuthorityInfoAccess,KJUR.asn1.x509.Extension);KJUR.asn1.x509.SubjectAltName=function(e){KJUR.asn1.x509.SubjectAltName.superclass.constructor.call(this,e);this.setNameArray=function(e){this.asn1ExtnValue=new KJUR.asn1.x509.GeneralNames(e)};this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.oid="2.5.29.17";if(e!==undefined){if(e.array!==undefined){this.setNameArray(e.array)}}};YAHOO.lang.extend(KJUR.asn1.x509.SubjectAltName,KJUR.asn1.x509.Extension);KJUR.asn1.x509.IssuerAltName=function(e){KJUR.asn1.x509.IssuerAltName.superclass.constructor.call(this,e);this.setNameArray=function(e){this.asn1ExtnValue=new KJUR.asn1.x509.GeneralNames(e)};this.getExtnValueHex=function(){return this.asn1ExtnValue.getEncodedHex()};this.oid="2.5.29.18";if(e!==undefined){if(e.array!==undefined){this.setNameArray(e.array)}}};YAHOO.lang.extend(KJUR.asn1.x509.IssuerAltName,KJUR.asn1.x509.Extension);KJUR.asn1.x509.CRL=function(e){KJUR.asn1.x509.CRL.superclass.constructor.call(this);var t=null,n=null,s=null,i=null,a=null;this.setRsaPrvKeyByPEMandPass=function(e,t){var n=PKCS5PKEY.getDecryptedKeyHex(e,t);var s=new RSAKey;s.readPrivateKeyFromASN1HexString(n);this.rsaPrvKey=s};this.sign=function(){this.asn1SignatureAlg=this.asn1TBSCertList.asn1SignatureAlg;sig=new KJUR.crypto.Signature({alg:"SHA1withRSA",prov:"cryptojs/jsrsa"});sig.initSign(this.rsaPrvKey);sig.updateHex(this.asn1TBSCertList.getEncodedHex());this.hexSig=sig.sign();this.asn1Sig=new KJUR.asn1.DERBitString({hex:"00"+this.hexSig});var e=new KJUR.asn1.DERSequence({array:[this.asn1TBSCertList,this.asn1SignatureAlg,this.asn1Sig]});this.hTLV=e.getEncodedHex();this.isModified=false};this.getEncodedHex=function(){if(this.isModified==false&&this.hTLV!=null)return this.hTLV;throw"not signed yet"};this.getPEMString=function(){var e=hextob64nl(this.getEncodedHex());return"-----BEGIN X509 CRL-----\r\n"+e+"\r\n-----END X509 CRL-----\r\n"};if(typeof e!="undefined"){if(typeof e["tbsobj"]!="undefined"){this.asn1TBSCertList=e["tbsobj"]}if(typeof e["rsaprvkey"]!="undefined"){this.rsaPrvKey=e["rsaprvkey"]}if(typeof e["rsaprvpem"]!="undefined"&&typeof e["rsaprvpas"]!="undefined"){this.setRsaPrvKeyByPEMandPass(e["rsaprvpem"],e["rsaprvpas"])}}};YAHOO.lang.extend(KJUR.asn1.x509.CRL,KJUR.asn1.ASN1Object);KJUR.asn1.x509.TBSCertList=function(e){KJUR.asn1.x509.TBSCertList.superclass.constructor.call(this);var t=null,n=KJUR,s=n.asn1,i=s.DERSequence,a=s.x509,r=a.Time;this.setSignatureAlgByParam=function(e){this.asn1SignatureAlg=new a.AlgorithmIdentifier(e)};this.setIssuerByParam=function(e){this.asn1Issuer=new a.X500Name(e)};this.setThisUpdateByParam=function(e){this.asn1ThisUpdate=new r(e)};this.setNextUpdateByParam=function(e){this.asn1NextUpdate=new r(e)};this.addRevokedCert=function(e,t){var n={};if(e!=undefined&&e!=null)n["sn"]=e;if(t!=undefined&&t!=null)n["time"]=t;var s=new a.CRLEntry(n);this.aRevokedCert.push(s)};this.getEncodedHex=function(){this.asn1Array=new Array;if(this.asn1Version!=null)this.asn1Array.push(this.asn1Version);this.asn1Array.push(this.asn1SignatureAlg);this.asn1Array.push(this.asn1Issuer);this.asn1Array.push(this.asn1ThisUpdate);if(this.asn1NextUpdate!=null)this.asn1Array.push(this.asn1NextUpdate);if(this.aRevokedCert.length>0){var e=new i({array:this.aRevokedCert});this.asn1Array.push(e)}var t=new i({array:this.asn1Array});this.hTLV=t.getEncodedHex();this.isModified=false;return this.hTLV};this._initialize=function(){this.asn1Version=null;this.asn1SignatureAlg=null;this.asn1Issuer=null;this.asn1ThisUpdate=null;this.asn1NextUpdate=null;this.aRevokedCert=new Array};this._initialize()};YAHOO.lang.extend(KJUR.asn1.x509.TBSCertList,KJUR.asn1.ASN1Object);KJUR.asn1.x509.CRLEntry=function(e){KJUR.asn1.x509.CRLEntry.superclass.constructor.call(this);var t=null,n=null,s=KJUR,i=s.asn1;this.setCertSerial=function(e){this.sn=new i.DERInteger(e)};this.setRevocationDate=function(e){this.time=new i.x509.Time(e)};this.getEncodedHex=function(){var e=new i.DERSequence({array:[this.sn,this.time]});this.TLV=e.getEncodedHex();return this.TLV};if(e!==undefined){if(e.time!==undefined){this.setRevocationDate(e.time)}if(e.sn!==undefined){this.setCertSerial(e.sn)}}};YAHOO.lang.extend(KJUR.asn1.x509.CRLEntry,KJUR.asn1.ASN1Object);KJUR.asn1.x509.X500Name=function(e){KJUR.asn1.x509.X500Name.superclass.constructor.call(this);this.asn1Array=new Array;var t=KJUR,n=t.asn1,s=n.x509,i=pemtohex;this.setByString=function(e){var t=e.split("/");t.shift();for(var n=0;n<t.length;n++){this.asn1Array.push(new s.RDN({str:t[n]}))}};this.setByLdapString=function(e){var t=s.X500Name.ldapToOneline(e);this.setByString(t)};this.setByObject=function(e){for(var t in e){if(e.hasOwnProperty(t)){var n=new KJUR.asn1.x509.RDN({str:t+"="+e[t]});this.asn1Array?this.asn1Array.push(n):this.asn1Array=[n]}}};this.getEncodedHex=function(){if(typeof this.hTLV=="string")return this.hTLV;var e=new n.DERSequence({array:this.asn1Array});this.hTLV=e.getEncodedHex();return this.hTLV};if(e!==undefined){if(e.str!==undefined){this.setByString(e.str)}else if(e.ldapstr!==undefined){this.setByLdapString(e.ldapstr)}else if(typeof e==="object"){this.setByObject(e)}if(e.certissuer!==undefined){var a=new X509;a.hex=i(e.certissuer);this.hTLV=a.getIssuerHex()}if(e.certsubject!==undefined){var a=new X509;a.hex=i(e.certsubject);this.hTLV=a.getSubjectHex()}}};YAHOO.lang.extend(KJUR.asn1.x509.X500Name,KJUR.asn1.ASN1Object);KJUR.asn1.x509.X500Name.onelineToLDAP=function(e){if(e.substr(0,1)!=="/")throw"malformed input";var t="";e=e.substr(1);var n=e.split("/");n.reverse();n=n.map(function(e){return e.replace(/,/,"\\,")});return n.join(",")};KJUR.asn1.x509.X500Name.ldapToOneline=function(e){var t=e.split(",");var n=false;var s=[];for(var i=0;t.length>0;i++){var a=t.shift();if(n===true){var r=s.pop();var h=(r+","+a).replace(/\\,/g,",");s.push(h);n=false}else{s.push(a)}if(a.substr(-1,1)==="\\")n=true}s=s.map(function(e){return e.replace("/","\\/")});s.reverse();return"/"+s.join("/")};KJUR.asn1.x509.RDN=function(e){KJUR.asn1.x509.RDN.superclass.constructor.call(this);this.asn1Array=new Array;this.addByString=function(e){this.asn1Array.push(new KJUR.asn1.x509.AttributeTypeAndValue({str:e}))};this.addByMultiValuedString=function(e){var t=KJUR.asn1.x509.RDN.parseString(e);for(var n=0;n<t.length;n++){this.addByString(t[n])}};this.getEncodedHex=function(){var e=new KJUR.asn1.DERSet({array:this.asn1Array});this.TLV=e.getEncodedHex();return this.TLV};if(typeof e!="undefined"){if(typeof e["str"]!="undefined"){this.addByMultiValuedString(e["str"])}}};YAHOO.lang.extend(KJUR.asn1.x509.RDN,KJUR.asn1.ASN1Object);KJUR.asn1.x509.RDN.parseString=function(e){var t=e.split(/\+/);var n=false;var s=[];for(var i=0;t.length>0;i++){var a=t.shift();if(n===true){var r=s.pop();var h=(r+"+"+a).replace(/\\\+/g,"+");s.push(h);n=false}else{s.push(a)}if(a.substr(-1,1)==="\\")n=true}var u=false;var o=[];for(var i=0;s.length>0;i++){var a=s.shift();if(u===true){var l=o.pop();if(a.match(/"$/)){var h=(l+"+"+a).replace(/^([^=]+)="(.*)"$/,"$1=$2");o.push(h);u=false}else{o.push(l+"+"+a)}}else{o.push(a)}if(a.match(/^[^=]+="/)){u=true}}return o};KJUR.asn1.x509.AttributeTypeAndValue=function(e){KJUR.asn1.x509.AttributeTypeAndValue.superclass.constructor.call(this);var t=null,n=null,s="utf8",i=KJUR,a=i.asn1;this.setByString=function(e){var t=e.match(/^([^=]+)=(.+)$/);if(t){this.setByAttrTypeAndValueStr(t[1],t[2])}else{throw"malformed attrTypeAndValueStr: "+e}};this.setByAttrTypeAndValueStr=function(e,t){this.typeObj=KJUR.asn1.x509.OID.atype2obj(e);var n=s;if(e=="C")n="prn";this.valueObj=this.getValueObj(n,t)};this.getValueObj=function(e,t){if(e=="utf8")return new a.DERUTF8String({str:t});if(e=="prn")return new a.DERPrintableString({str:t});if(e=="tel")return new a.DERTeletexString({str:t});if(e=="ia5")return new a.DERIA5String({str:t});throw"unsupported directory string type: type="+e+" value="+t};this.getEncodedHex=function(){var e=new a.DERSequence({array:[this.typeObj,this.valueObj]});this.TLV=e.getEncodedHex();return this.TLV};if(typeof e!="undefined"){if(typeof e["str"]!="undefined"){this.setByString(e["str"])}}};YAHOO.lang.extend(KJUR.asn1.x509.AttributeTypeAndValue,KJUR.asn1.ASN1Object);KJUR.asn1.x509.SubjectPublicKeyInfo=function(e){KJUR.asn1.x509.SubjectPublicKeyInfo.superclass.constructor.call(this);var t=null,n=null,s=null,i=KJUR,a=i.asn1,r=a.DERInteger,h=a.DERBitString,u=a.DERObjectIdentifier,o=a.DERSequence,l=a.ASN1Util.newObject,f=a.x509,d=f.AlgorithmIdentifier,c=f.RSASSAPSSParams,y=i.crypto,p=y.ECDSA,g=y.DSA,x=y.Ed25519;this.setRSAKey=function(e){if(!RSAKey.prototype.isPrototypeOf(e))throw"argument is not RSAKey instance";this.rsaKey=e;var t=new r({bigint:e.n});var n=new r({int:e.e});var s=new a.DERSequence({array:[t,n]});var i=s.getEncodedHex();this.asn1AlgId=new a.x509.AlgorithmIdentifier({name:"rsaEncryption"});this.asn1SubjPKey=new a.DERBitString({hex:"00"+i})};this.setRSAPEM=function(e){if(e.match(/-----BEGIN PUBLIC KEY-----/)){var t=pemtohex(e);var n=RSAKey.getHexValueArrayOfChildrenFromHex(t);var s=n[1];var i=s.substr(2);var a=RSAKey.getHexValueArrayOfChildrenFromHex(i);var r=new RSAKey;r.setPublic(a[0],a[1]);this.setRSAKey(r)}else{throw"key not supported"}};this.getASN1Object=function(){if(this.asn1AlgId==null||this.asn1SubjPKey==null)throw"algId and/or subjPubKey not set";var e=new o({array:[this.asn1AlgId,this.asn1SubjPKey]});return e};this.getEncodedHex=function(){var e=this.getASN1Object();this.hTLV=e.getEncodedHex();return this.hTLV};this._setRSAKey=function(e){var t=l({seq:[{int:{bigint:e.n}},{int:{int:e.e}}]});var n=t.getEncodedHex();if(e.pssParam!==undefined){var s={name:"rsassaPss"};if(e.pssParam!==null)s.asn1params=new c(e.pssParam);this.asn1AlgId=new d(s)}else{this.asn1AlgId=new d({name:"rsaEncryption"})}this.asn1SubjPKey=new h({hex:"00"+n})};this._setEC=function(e){var t=new u({name:e.curveName});this.asn1AlgId=new d({name:"ecPublicKey",asn1params:t});this.asn1SubjPKey=new h({hex:"00"+e.getPublicKeyHex()})};this._setDSA=function(e){var t=new l({seq:[{int:{bigint:e.p}},{int:{bigint:e.q}},{int:{bigint:e.g}}]});this.asn1AlgId=new d({name:"dsa",asn1params:t});var n=new r({bigint:e.y});this.asn1SubjPKey=new h({hex:"00"+n.getEncodedHex()})};this._setEd25519=function(e){this.asn1AlgId=new d({name:"Ed25519"});this.asn1SubjPKey=new h({hex:"00"+e.getPublicKeyHex()})};if(typeof e!="undefined"){if(typeof RSAKey!="undefined"&&e instanceof RSAKey){this._setRSAKey(e)}else if(typeof p!="undefined"&&e instanceof p){this._setEC(e)}else if(typeof g!="undefined"&&e instanceof g){this._setDSA(e)}else if(typeof x!="undefined"&&e instanceof x){this._setEd25519(e)}else if(e.rsakey!==undefined){this.setRSAKey(e.rsakey)}else if(e.rsapem!==undefined){this.setRSAPEM(e.rsapem)}}};YAHOO.lang.extend(KJUR.asn1.x509.SubjectPublicKeyInfo,KJUR.asn1.ASN1Object);KJUR.asn1.x509.Time=function(e){KJUR.asn1.x509.Time.superclass.constructor.call(this);var t=null,n=null,s=KJUR,i=s.asn1,a=i.DERUTCTime,r=i.DERGeneralizedTime;this.setTimeParams=function(e){this.timeParams=e};this.getEncodedHex=function(){var e=null;if(this.timeParams!=null){if(this.type=="utc"){e=new a(this.timeParams)}else{e=new r(this.timeParams)}}else{if(this.type=="utc"){e=new a}else{e=new r}}this.TLV=e.getEncodedHex();return this.TLV};this.type="utc";if(e!==undefined){if(e.type!==undefined){this.type=e.type}else{if(e.str!==undefined){if(e.str.match(/^[0-9]{12}Z$/))this.type="utc";if(e.str.match(/^[0-9]{14}Z$/))this.type="gen"}}this.timeParams=e}};YAHOO.lang.extend(KJUR.asn1.x509.Time,KJUR.asn1.ASN1Object);KJUR.asn1.x509.AlgorithmIdentifier=function(e){KJUR.asn1.x509.AlgorithmIdentifier.superclass.constructor.call(this);this.nameAlg=null;this.asn1Alg=null;this.asn1Params=null;this.paramEmpty=false;var t=KJUR,n=t.asn1;this.getEncodedHex=function(){if(this.nameAlg===null&&this.asn1Alg===null){throw"algorithm not specified"}if(this.nameAlg!==null&&this.asn1Alg===null){this.asn1Alg=n.x509.OID.name2obj(this.nameAlg)}var e=[this.asn1Alg];if(this.asn1Params!==null)e.push(this.asn1Params);var t=new n.DERSequence({array:e});this.hTLV=t.getEncodedHex();return this.hTLV};if(e!==undefined){if(e.name!==undefined){this.nameAlg=e.name}if(e.asn1params!==undefined){this.asn1Params=e.asn1params}if(e.paramempty!==undefined){this.paramEmpty=e.paramempty}if(e.psssaltlen!==undefined){this.pssSaltLen=e.psssaltlen}}var s=this.nameAlg!==null?this.nameAlg.match(/^(.+)withRSAandMGF1$/):null;if(s!==null){var i=KJUR.crypto.MessageDigest.getCanonicalAlgName(s[1]);if(this.pssSaltLen===undefined||this.pssSaltLen===-1)this.pssSaltLen=KJUR.crypto.MessageDigest.getHashLength(i);if(this.pssSaltLen<0)throw"psssaltlen shall be zero or positive: "+this.pssSaltLen;this.asn1Alg=n.x509.OID.name2obj("rsassaPss");if(this.asn1Params===null){this.asn1Params=new n.x509.RSASSAPSSParams({hash:i,saltlen:this.pssSaltLen})}}if(this.asn1Params===null&&this.paramEmpty===false&&this.nameAlg!==null){var a=this.nameAlg.toLowerCase();if(a.substr(-7,7)!=="withdsa"&&a.substr(-9,9)!=="withecdsa"&&a!=="ed25519"&&a!=="rsassapss"){this.asn1Params=new n.DERNull}}};YAHOO.lang.extend(KJUR.asn1.x509.AlgorithmIdentifier,KJUR.asn1.ASN1Object);KJUR.asn1.x509.RSASSAPSSParams=function(e){KJUR.asn1.x509.RSASSAPSSParams.superclass.constructor.call(this);var t=KJUR,n=t.asn1,s=n.DERInteger,i=n.DERSequence,a=n.DERTaggedObject,r=n.x509.AlgorithmIdentifier,h=t.crypto.MessageDigest;this.hashAlg="sha1";this.mgfHashAlg="sha1";this.saltLen=20;this.getEncodedHex=function(){var e=[];if(this.hashAlg!=="sha1"){e.push(new a({tag:"a0",explicit:true,obj:new r({name:this.hashAlg})}))}if(this.mgfHashAlg!=="sha1"){e.push(new a({tag:"a1",explicit:true,obj:new r({name:"mgf1",asn1params:new r({name:this.mgfHashAlg})})}))}if(this.saltLen!==20){e.push(new a({tag:"a2",explicit:true,obj:new s({int:this.saltLen})}))}var t=new i({array:e});this.hTLV=t.getEncodedHex();return this.hTLV};if(e!==undefined){if(e.hash!==undefined){this.hashAlg=h.getCanonicalAlgName(e.hash);this.mgfHashAlg=this.hashAlg;this.saltLen=h.getHashLength(this.hashAlg)}if(e.mgfhash!==undefined){this.mgfHashAlg=h.getCanonicalAlgName(e.mgfhash)}if(e.saltlen!==undefined){this.saltLen=e.saltlen}}};YAHOO.lang.extend(KJUR.asn1.x509.RSASSAPSSParams,KJUR.asn1.ASN1Object);KJUR.asn1.x509.GeneralName=function(e){KJUR.asn1.x509.GeneralName.superclass.constructor.call(this);var t=null,n=null,h={rfc822:"81",dns:"82",dn:"a4",uri:"86"},s=KJUR,i=s.asn1,u=i.DERIA5String,o=i.DERTaggedObject,l=i.ASN1Object,f=i.x509.X500Name,d=pemtohex;this.explicit=false;this.setByParam=function(e){var t=null;var n=null;if(e===undefined)return;if(e.rfc822!==undefined){this.type="rfc822";n=new u({str:e[this.type]})}if(e.dns!==undefined){this.type="dns";n=new u({str:e[this.type]})}if(e.uri!==undefined){this.type="uri";n=new u({str:e[this.type]})}if(e.dn!==undefined){this.type="dn";n=new f({str:e.dn})}if(e.ldapdn!==undefined){this.type="dn";n=new f({ldapstr:e.ldapdn})}if(e.certissuer!==undefined){this.type="dn";this.explicit=true;var s=e.certissuer;var i=null;if(s.match(/^[0-9A-Fa-f]+$/)){i==s}if(s.indexOf("-----BEGIN ")!=-1){i=d(s)}if(i==null)throw"certissuer param not cert";var a=new X509;a.hex=i;var r=a.getIssuerHex();n=new l;n.hTLV=r}if(e.certsubj!==undefined){this.type="dn";this.explicit=true;var s=e.certsubj;var i=null;if(s.match(/^[0-9A-Fa-f]+$/)){i==s}if(s.indexOf("-----BEGIN ")!=-1){i=d(s)}if(i==null)throw"certsubj param not cert";var a=new X509;a.hex=i;var r=a.getSubjectHex();n=new l;n.hTLV=r}if(this.type==null)throw"unsupported type in params="+e;this.asn1Obj=new o({explicit:this.explicit,tag:h[this.type],obj:n})};this.getEncodedHex=function(){return this.asn1Obj.getEncodedHex()};if(e!==undefined){this.setByParam(e)}};YAHOO.lang.extend(KJUR.asn1.x509.GeneralName,KJUR.asn1.ASN1Object);KJUR.asn1.x509.GeneralNames=function(e){KJUR.asn1.x509.GeneralNames.superclass.constructor.call(this);var t=null,n=KJUR,s=n.asn1;this.setByParamArray=function(e){for(var t=0;t<e.length;t++){var n=new s.x509.GeneralName(e[t]);this.asn1Array.push(n)}};this.getEncodedHex=function(){var e=new s.DERSequence({array:this.asn1Array});return e.getEncodedHex()};this.asn1Array=new Array;if(typeof e!="undefined"){this.setByParamArray(e)}};YAHOO.lang.extend(KJUR.asn1.x509.GeneralNames,KJUR.asn1.ASN1Object);KJUR.asn1.x509.DistributionPointName=function(e){KJUR.asn1.x509.DistributionPointName.superclass.constructor.call(this);var t=null,n=null,s=null,i=null,a=KJUR,r=a.asn1,h=r.DERTaggedObject;this.getEncodedHex=function(){if(this.type!="full")throw"currently type shall be 'full': "+this.type;this.asn1Obj=new h({explicit:false,tag:this.tag,obj:this.asn1V});this.hTLV=this.asn1Obj.getEncodedHex();return this.hTLV};if(e!==undefined){if(r.x509.GeneralNames.prototype.isPrototypeOf(e)){this.type="full";this.tag="a0";this.asn1V=e}else{throw"This class supports GeneralNames only as argument"}}};YAHOO.lang.extend(KJUR.asn1.x509.DistributionPointName,KJUR.asn1.ASN1Object);KJUR.asn1.x509.DistributionPoint=function(e){KJUR.asn1.x509.DistributionPoint.superclass.constructor.call(this);var t=null,n=KJUR,s=n.asn1;this.getEncodedHex=function(){var e=new s.DERSequence;if(this.asn1DP!=null){var t=new s.DERTaggedObject({explicit:true,tag:"a0",obj:this.asn1DP});e.appendASN1Object(t)}this.hTLV=e.getEncodedHex();return this.hTLV};if(e!==undefined){if(e.dpobj!==undefined){this.asn1DP=e.dpobj}}};YAHOO.lang.extend(KJUR.asn1.x509.DistributionPoint,KJUR.asn1.ASN1Object);KJUR.asn1.x509.OID=new function(e){this.atype2oidList={CN:"2.5.4.3",L:"2.5.4.7",ST:"2.5.4.8",O:"2.5.4.10",OU:"2.5.4.11",C:"2.5.4.6",STREET:"2.5.4.9",DC:"0.9.2342.19200300.100.1.25",UID:"0.9.2342.19200300.100.1.1",SN:"2.5.4.4",DN:"2.5.4.49",E:"1.2.840.113549.1.9.1",businessCategory:"2.5.4.15",postalCode:"2.5.4.17",serialNumber:"2.5.4.5",jurisdictionOfIncorporationL:"1.3.6.1.4.1.311.60.2.1.1",jurisdictionOfIncorporationSP:"1.3.6.1.4.1.311.60.2.1.2",jurisdictionOfIncorporationC:"1.3.6.1.4.1.311.60.2.1.3"};this.name2oidList={sha1:"1.3.14.3.2.26",sha256:"2.16.840.1.101.3.4.2.1",sha384:"2.16.840.1.101.3.4.2.2",sha512:"2.16.840.1.101.3.4.2.3",sha224:"2.16.840.1.101.3.4.2.4",md5:"1.2.840.113549.2.5",md2:"1.3.14.7.2.2.1",ripemd160:"1.3.36.3.2.1","sha3-224":"2.16.840.1.101.3.4.2.7","sha3-256":"2.16.840.1.101.3.4.2.8","sha3-384":"2.16.840.1.101.3.4.2.9","sha3-512":"2.16.840.1.101.3.4.2.10",MD2withRSA:"1.2.840.113549.1.1.2",MD4withRSA:"1.2.840.113549.1.1.3",MD5withRSA:"1.2.840.113549.1.1.4",SHA1withRSA:"1.2.840.113549.1.1.5",SHA224withRSA:"1.2.840.113549.1.1.14",SHA256withRSA:"1.2.840.113549.1.1.11",SHA384withRSA:"1.2.840.113549.1.1.12",SHA512withRSA:"1.2.840.113549.1.1.13","SHA3-224withRSA":"2.16.840.1.101.3.4.3.13","SHA3-256withRSA":"2.16.840.1.101.3.4.3.14","SHA3-384withRSA":"2.16.840.1.101.3.4.3.15","SHA3-512withRSA":"2.16.840.1.101.3.4.3.16",SHA1withECDSA:"1.2.840.10045.4.1",SHA224withECDSA:"1.2.840.10045.4.3.1",SHA256withECDSA:"1.2.840.10045.4.3.2",SHA384withECDSA:"1.2.840.10045.4.3.3",SHA512withECDSA:"1.2.840.10045.4.3.4","SHA3-224withECDSA":"2.16.840.1.101.3.4.3.9","SHA3-256withECDSA":"2.16.840.1.101.3.4.3.10","SHA3-384withECDSA":"2.16.840.1.101.3.4.3.11","SHA3-512withECDSA":"2.16.840.1.101.3.4.3.12",dsa:"1.2.840.10040.4.1",SHA1withDSA:"1.2.840.10040.4.3",SHA224withDSA:"2.16.840.1.101.3.4.3.1",SHA256withDSA:"2.16.840.1.101.3.4.3.2",Ed25519:"1.3.101.112",rsaEncryption:"1.2.840.113549.1.1.1",rsassaPss:"1.2.840.113549.1.1.10",mgf1:"1.2.840.113549.1.1.8",commonName:"2.5.4.3",localityName:"2.5.4.7",stateOrProvinceName:"2.5.4.8",organizationName:"2.5.4.10",organizationalUnitName:"2.5.4.11",countryName:"2.5.4.6",streetAddress:"2.5.4.9",domainComponent:"0.9.2342.19200300.100.1.25",userId:"0.9.2342.19200300.100.1.1",surname:"2.5.4.4",distinguishedName:"2.5.4.49",emailAddress:"1.2.840.113549.1.9.1",businessCategory:"2.5.4.15",postalCode:"2.5.4.17",jurisdictionOfIncorporationL:"1.3.6.1.4.1.311.60.2.1.1",jurisdictionOfIncorporationSP:"1.3.6.1.4.1.311.60.2.1.2",jurisdictionOfIncorporationC:"1.3.6.1.4.1.311.60.2.1.3",subjectKeyIdentifier:"2.5.29.14",keyUsage:"2.5.29.15",subjectAltName:"2.5.29.17",issuerAltName:"2.5.29.18",basicConstraints:"2.5.29.19",nameConstraints:"2.5.29.30",cRLDistributionPoints:"2.5.29.31",certificatePolicies:"2.5.29.32",authorityKeyIdentifier:"2.5.29.35",policyConstraints:"2.5.29.36",extKeyUsage:"2.5.29.37",authorityInfoAccess:"1.3.6.1.5.5.7.1.1",ocsp:"1.3.6.1.5.5.7.48.1",caIssuers:"1.3.6.1.5.5.7.48.2",anyExtendedKeyUsage:"2.5.29.37.0",serverAuth:"1.3.6.1.5.5.7.3.1",clientAuth:"1.3.6.1.5.5.7.3.2",codeSigning:"1.3.6.1.5.5.7.3.3",emailProtection:"1.3.6.1.5.5.7.3.4",timeStamping:"1.3.6.1.5.5.7.3.8",ocspSigning:"1.3.6.1.5.5.7.3.9",ecPublicKey:"1.2.840.10045.2.1",secp256r1:"1.2.840.10045.3.1.7",secp256k1:"1.3.132.0.10",secp384r1:"1.3.132.0.34",secp521r1:"1.3.132.0.35",brainpoolP160r1:"1.3.36.3.3.2.8.1.1.1",brainpoolP160t1:"1.3.36.3.3.2.8.1.1.2",brainpoolP192r1:"1.3.36.3.3.2.8.1.1.3",brainpoolP192t1:"1.3.36.3.3.2.8.1.1.4",brainpoolP224r1:"1.3.36.3.3.2.8.1.1.5",brainpoolP224t1:"1.3.36.3.3.2.8.1.1.6",brainpoolP256r1:"1.3.36.3.3.2.8.1.1.7",brainpoolP256t1:"1.3.36.3.3.2.8.1.1.8",brainpoolP320r1:"1.3.36.3.3.2.8.1.1.9",brainpoolP320t1:"1.3.36.3.3.2.8.1.1.10",brainpoolP384r1:"1.3.36.3.3.2.8.1.1.11",brainpoolP384t1:"1.3.36.3.3.2.8.1.1.12",brainpoolP512r1:"1.3.36.3.3.2.8.1.1.13",brainpoolP512t1:"1.3.36.3.3.2.8.1.1.14",pkcs5PBES2:"1.2.840.113549.1.5.13",pkcs5PBKDF2:"1.2.840.113549.1.5.12","des-EDE3-CBC":"1.2.840.113549.3.7",data:"1.2.840.113549.1.7.1","signed-data":"1.2.840.113549.1.7.2","enveloped-data":"1.2.840.113549.1.7.3","digested-data":"1.2.840.113549.1.7.5","encrypted-data":"1.2.840.113549.1.7.6","authenticated-data":"1.2.840.113549.1.9.16.1.2",tstinfo:"1.2.840.113549.1.9.16.1.4",extensionRequest:"1.2.840.113549.1.9.14"};this.objCache={};this.name2obj=function(e){if(typeof this.objCache[e]!="undefined")return this.objCache[e];if(typeof this.name2oidList[e]=="undefined")throw"Name of ObjectIdentifier not defined: "+e;var t=this.name2oidList[e];var n=new KJUR.asn1.DERObjectIdentifier({oid:t});this.objCache[e]=n;return n};this.atype2obj=function(e){if(typeof this.objCache[e]!="undefined")return this.objCache[e];if(typeof this.atype2oidList[e]=="undefined")throw"AttributeType name undefined: "+e;var t=this.atype2oidList[e];var n=new KJUR.asn1.DERObjectIdentifier({oid:t});this.objCache[e]=n;return n}};KJUR.asn1.x509.OID.oid2name=function(e){var t=KJUR.asn1.x509.OID.name2oidList;for(var n in t){if(t[n]==e)return n}return""};KJUR.asn1.x509.OID.oid2atype=function(e){var t=KJUR.asn1.x509.OID.atype2oidList;for(var n in t){if(t[n]==e)return n}return e};KJUR.asn1.x509.OID.name2oid=function(e){var t=KJUR.asn1.x509.OID.name2oidList;if(t[e]===undefined)return"";return t[e]};KJUR.asn1.x509.X509Util=new function(){var e=KJUR,t=e.asn1,n=t.DERInteger,s=t.DERSequence,i=t.ASN1Util;this.getPKCS8PubKeyPEMfromRSAKey=function(e){return KEYUTIL.getPEM(e)}};KJUR.asn1.x509.X509Util.newCertPEM=function(e){var t=KJUR.asn1.x509,n=t.TBSCertificate,s=t.Certificate;var i=new n;if(e.serial!==undefined)i.setSerialNumberByParam(e.serial);else throw"serial number undefined.";if(typeof e.sigalg.name==="string")i.setSignatureAlgByParam(e.sigalg);else throw"unproper signature algorithm name";if(e.issuer!==undefined)i.setIssuerByParam(e.issuer);else throw"issuer name undefined.";if(e.notbefore!==undefined)i.setNotBeforeByParam(e.notbefore);else throw"notbefore undefined.";if(e.notafter!==undefined)i.setNotAfterByParam(e.notafter);else throw"notafter undefined.";if(e.subject!==undefined)i.setSubjectByParam(e.subject);else throw"subject name undefined.";if(e.sbjpubkey!==undefined)i.setSubjectPublicKeyByGetKey(e.sbjpubkey);else throw"subject public key undefined.";if(e.ext!==undefined&&e.ext.length!==undefined){for(var a=0;a<e.ext.length;a++){for(key in e.ext[a]){i.appendExtensionByName(key,e.ext[a][key])}}}if(e.cakey===undefined&&e.sighex===undefined)throw"param cakey and sighex undefined.";var r=null;var h=null;if(e.cakey){if(e.cakey.isPrivate===true){r=e.cakey}else{r=KEYUTIL.getKey.apply(null,e.cakey)}h=new s({tbscertobj:i,prvkeyobj:r});h.sign()}if(e.sighex){h=new s({tbscertobj:i});h.setSignatureHex(e.sighex)}return h.getPEMString()};
\ No newline at end of file
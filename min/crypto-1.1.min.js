@@ -1 +1 @@
-if(typeof KJUR=="undefined"||!KJUR){KJUR={}}if(typeof KJUR.crypto=="undefined"||!KJUR.crypto){KJUR.crypto={}}KJUR.crypto.Util=new function(){this.DIGESTINFOHEAD={sha1:"3021300906052b0e03021a05000414",sha224:"302d300d06096086480165030402040500041c",sha256:"3031300d060960864801650304020105000420",sha384:"3041300d060960864801650304020205000430",sha512:"3051300d060960864801650304020305000440",md2:"3020300c06082a864886f70d020205000410",md5:"3020300c06082a864886f70d020505000410",ripemd160:"3021300906052b2403020105000414",};this.DEFAULTPROVIDER={md5:"cryptojs",sha1:"cryptojs",sha224:"cryptojs",sha256:"cryptojs",sha384:"cryptojs",sha512:"cryptojs",ripemd160:"cryptojs",hmacmd5:"cryptojs",hmacsha1:"cryptojs",hmacsha224:"cryptojs",hmacsha256:"cryptojs",hmacsha384:"cryptojs",hmacsha512:"cryptojs",hmacripemd160:"cryptojs",MD5withRSA:"cryptojs/jsrsa",SHA1withRSA:"cryptojs/jsrsa",SHA224withRSA:"cryptojs/jsrsa",SHA256withRSA:"cryptojs/jsrsa",SHA384withRSA:"cryptojs/jsrsa",SHA512withRSA:"cryptojs/jsrsa",RIPEMD160withRSA:"cryptojs/jsrsa",MD5withECDSA:"cryptojs/jsrsa",SHA1withECDSA:"cryptojs/jsrsa",SHA224withECDSA:"cryptojs/jsrsa",SHA256withECDSA:"cryptojs/jsrsa",SHA384withECDSA:"cryptojs/jsrsa",SHA512withECDSA:"cryptojs/jsrsa",RIPEMD160withECDSA:"cryptojs/jsrsa",SHA1withDSA:"cryptojs/jsrsa",SHA224withDSA:"cryptojs/jsrsa",SHA256withDSA:"cryptojs/jsrsa",MD5withRSAandMGF1:"cryptojs/jsrsa",SHA1withRSAandMGF1:"cryptojs/jsrsa",SHA224withRSAandMGF1:"cryptojs/jsrsa",SHA256withRSAandMGF1:"cryptojs/jsrsa",SHA384withRSAandMGF1:"cryptojs/jsrsa",SHA512withRSAandMGF1:"cryptojs/jsrsa",RIPEMD160withRSAandMGF1:"cryptojs/jsrsa",};this.CRYPTOJSMESSAGEDIGESTNAME={md5:CryptoJS.algo.MD5,sha1:CryptoJS.algo.SHA1,sha224:CryptoJS.algo.SHA224,sha256:CryptoJS.algo.SHA256,sha384:CryptoJS.algo.SHA384,sha512:CryptoJS.algo.SHA512,ripemd160:CryptoJS.algo.RIPEMD160};this.getDigestInfoHex=function(a,b){if(typeof this.DIGESTINFOHEAD[b]=="undefined"){throw"alg not supported in Util.DIGESTINFOHEAD: "+b}return this.DIGESTINFOHEAD[b]+a};this.getPaddedDigestInfoHex=function(h,a,j){var c=this.getDigestInfoHex(h,a);var d=j/4;if(c.length+22>d){throw"key is too short for SigAlg: keylen="+j+","+a}var b="0001";var k="00"+c;var g="";var l=d-b.length-k.length;for(var f=0;f<l;f+=2){g+="ff"}var e=b+g+k;return e};this.hashString=function(a,c){var b=new KJUR.crypto.MessageDigest({alg:c});return b.digestString(a)};this.hashHex=function(b,c){var a=new KJUR.crypto.MessageDigest({alg:c});return a.digestHex(b)};this.sha1=function(a){var b=new KJUR.crypto.MessageDigest({alg:"sha1",prov:"cryptojs"});return b.digestString(a)};this.sha256=function(a){var b=new KJUR.crypto.MessageDigest({alg:"sha256",prov:"cryptojs"});return b.digestString(a)};this.sha256Hex=function(a){var b=new KJUR.crypto.MessageDigest({alg:"sha256",prov:"cryptojs"});return b.digestHex(a)};this.sha512=function(a){var b=new KJUR.crypto.MessageDigest({alg:"sha512",prov:"cryptojs"});return b.digestString(a)};this.sha512Hex=function(a){var b=new KJUR.crypto.MessageDigest({alg:"sha512",prov:"cryptojs"});return b.digestHex(a)}};KJUR.crypto.Util.md5=function(a){var b=new KJUR.crypto.MessageDigest({alg:"md5",prov:"cryptojs"});return b.digestString(a)};KJUR.crypto.Util.ripemd160=function(a){var b=new KJUR.crypto.MessageDigest({alg:"ripemd160",prov:"cryptojs"});return b.digestString(a)};KJUR.crypto.Util.SECURERANDOMGEN=new SecureRandom();KJUR.crypto.Util.getRandomHexOfNbytes=function(b){var a=new Array(b);KJUR.crypto.Util.SECURERANDOMGEN.nextBytes(a);return BAtohex(a)};KJUR.crypto.Util.getRandomBigIntegerOfNbytes=function(a){return new BigInteger(KJUR.crypto.Util.getRandomHexOfNbytes(a),16)};KJUR.crypto.Util.getRandomHexOfNbits=function(d){var c=d%8;var a=(d-c)/8;var b=new Array(a+1);KJUR.crypto.Util.SECURERANDOMGEN.nextBytes(b);b[0]=(((255<<c)&255)^255)&b[0];return BAtohex(b)};KJUR.crypto.Util.getRandomBigIntegerOfNbits=function(a){return new BigInteger(KJUR.crypto.Util.getRandomHexOfNbits(a),16)};KJUR.crypto.Util.getRandomBigIntegerZeroToMax=function(b){var a=b.bitLength();while(1){var c=KJUR.crypto.Util.getRandomBigIntegerOfNbits(a);if(b.compareTo(c)!=-1){return c}}};KJUR.crypto.Util.getRandomBigIntegerMinToMax=function(e,b){var c=e.compareTo(b);if(c==1){throw"biMin is greater than biMax"}if(c==0){return e}var a=b.subtract(e);var d=KJUR.crypto.Util.getRandomBigIntegerZeroToMax(a);return d.add(e)};KJUR.crypto.MessageDigest=function(c){var b=null;var a=null;var d=null;this.setAlgAndProvider=function(g,f){g=KJUR.crypto.MessageDigest.getCanonicalAlgName(g);if(g!==null&&f===undefined){f=KJUR.crypto.Util.DEFAULTPROVIDER[g]}if(":md5:sha1:sha224:sha256:sha384:sha512:ripemd160:".indexOf(g)!=-1&&f=="cryptojs"){try{this.md=KJUR.crypto.Util.CRYPTOJSMESSAGEDIGESTNAME[g].create()}catch(e){throw"setAlgAndProvider hash alg set fail alg="+g+"/"+e}this.updateString=function(h){this.md.update(h)};this.updateHex=function(h){var i=CryptoJS.enc.Hex.parse(h);this.md.update(i)};this.digest=function(){var h=this.md.finalize();return h.toString(CryptoJS.enc.Hex)};this.digestString=function(h){this.updateString(h);return this.digest()};this.digestHex=function(h){this.updateHex(h);return this.digest()}}if(":sha256:".indexOf(g)!=-1&&f=="sjcl"){try{this.md=new sjcl.hash.sha256()}catch(e){throw"setAlgAndProvider hash alg set fail alg="+g+"/"+e}this.updateString=function(h){this.md.update(h)};this.updateHex=function(i){var h=sjcl.codec.hex.toBits(i);this.md.update(h)};this.digest=function(){var h=this.md.finalize();return sjcl.codec.hex.fromBits(h)};this.digestString=function(h){this.updateString(h);return this.digest()};this.digestHex=function(h){this.updateHex(h);return this.digest()}}};this.updateString=function(e){throw"updateString(str) not supported for this alg/prov: "+this.algName+"/"+this.provName};this.updateHex=function(e){throw"updateHex(hex) not supported for this alg/prov: "+this.algName+"/"+this.provName};this.digest=function(){throw"digest() not supported for this alg/prov: "+this.algName+"/"+this.provName};this.digestString=function(e){throw"digestString(str) not supported for this alg/prov: "+this.algName+"/"+this.provName};this.digestHex=function(e){throw"digestHex(hex) not supported for this alg/prov: "+this.algName+"/"+this.provName};if(c!==undefined){if(c.alg!==undefined){this.algName=c.alg;if(c.prov===undefined){this.provName=KJUR.crypto.Util.DEFAULTPROVIDER[this.algName]}this.setAlgAndProvider(this.algName,this.provName)}}};KJUR.crypto.MessageDigest.getCanonicalAlgName=function(a){if(typeof a==="string"){a=a.toLowerCase();a=a.replace(/-/,"")}return a};KJUR.crypto.MessageDigest.getHashLength=function(c){var b=KJUR.crypto.MessageDigest;var a=b.getCanonicalAlgName(c);if(b.HASHLENGTH[a]===undefined){throw"not supported algorithm: "+c}return b.HASHLENGTH[a]};KJUR.crypto.MessageDigest.HASHLENGTH={md5:16,sha1:20,sha224:28,sha256:32,sha384:48,sha512:64,ripemd160:20};KJUR.crypto.Mac=function(d){var f=null;var c=null;var a=null;var e=null;var b=null;this.setAlgAndProvider=function(k,i){k=k.toLowerCase();if(k==null){k="hmacsha1"}k=k.toLowerCase();if(k.substr(0,4)!="hmac"){throw"setAlgAndProvider unsupported HMAC alg: "+k}if(i===undefined){i=KJUR.crypto.Util.DEFAULTPROVIDER[k]}this.algProv=k+"/"+i;var g=k.substr(4);if(":md5:sha1:sha224:sha256:sha384:sha512:ripemd160:".indexOf(g)!=-1&&i=="cryptojs"){try{var j=KJUR.crypto.Util.CRYPTOJSMESSAGEDIGESTNAME[g];this.mac=CryptoJS.algo.HMAC.create(j,this.pass)}catch(h){throw"setAlgAndProvider hash alg set fail hashAlg="+g+"/"+h}this.updateString=function(l){this.mac.update(l)};this.updateHex=function(l){var m=CryptoJS.enc.Hex.parse(l);this.mac.update(m)};this.doFinal=function(){var l=this.mac.finalize();return l.toString(CryptoJS.enc.Hex)};this.doFinalString=function(l){this.updateString(l);return this.doFinal()};this.doFinalHex=function(l){this.updateHex(l);return this.doFinal()}}};this.updateString=function(g){throw"updateString(str) not supported for this alg/prov: "+this.algProv};this.updateHex=function(g){throw"updateHex(hex) not supported for this alg/prov: "+this.algProv};this.doFinal=function(){throw"digest() not supported for this alg/prov: "+this.algProv};this.doFinalString=function(g){throw"digestString(str) not supported for this alg/prov: "+this.algProv};this.doFinalHex=function(g){throw"digestHex(hex) not supported for this alg/prov: "+this.algProv};this.setPassword=function(h){if(typeof h=="string"){var g=h;if(h.length%2==1||!h.match(/^[0-9A-Fa-f]+$/)){g=rstrtohex(h)}this.pass=CryptoJS.enc.Hex.parse(g);return}if(typeof h!="object"){throw"KJUR.crypto.Mac unsupported password type: "+h}var g=null;if(h.hex!==undefined){if(h.hex.length%2!=0||!h.hex.match(/^[0-9A-Fa-f]+$/)){throw"Mac: wrong hex password: "+h.hex}g=h.hex}if(h.utf8!==undefined){g=utf8tohex(h.utf8)}if(h.rstr!==undefined){g=rstrtohex(h.rstr)}if(h.b64!==undefined){g=b64tohex(h.b64)}if(h.b64u!==undefined){g=b64utohex(h.b64u)}if(g==null){throw"KJUR.crypto.Mac unsupported password type: "+h}this.pass=CryptoJS.enc.Hex.parse(g)};if(d!==undefined){if(d.pass!==undefined){this.setPassword(d.pass)}if(d.alg!==undefined){this.algName=d.alg;if(d.prov===undefined){this.provName=KJUR.crypto.Util.DEFAULTPROVIDER[this.algName]}this.setAlgAndProvider(this.algName,this.provName)}}};KJUR.crypto.Signature=function(o){var q=null;var n=null;var r=null;var c=null;var l=null;var d=null;var k=null;var h=null;var p=null;var e=null;var b=-1;var g=null;var j=null;var a=null;var i=null;var f=null;this._setAlgNames=function(){var s=this.algName.match(/^(.+)with(.+)$/);if(s){this.mdAlgName=s[1].toLowerCase();this.pubkeyAlgName=s[2].toLowerCase()}};this._zeroPaddingOfSignature=function(x,w){var v="";var t=w/4-x.length;for(var u=0;u<t;u++){v=v+"0"}return v+x};this.setAlgAndProvider=function(u,t){this._setAlgNames();if(t!="cryptojs/jsrsa"){throw"provider not supported: "+t}if(":md5:sha1:sha224:sha256:sha384:sha512:ripemd160:".indexOf(this.mdAlgName)!=-1){try{this.md=new KJUR.crypto.MessageDigest({alg:this.mdAlgName})}catch(s){throw"setAlgAndProvider hash alg set fail alg="+this.mdAlgName+"/"+s}this.init=function(w,x){var y=null;try{if(x===undefined){y=KEYUTIL.getKey(w)}else{y=KEYUTIL.getKey(w,x)}}catch(v){throw"init failed:"+v}if(y.isPrivate===true){this.prvKey=y;this.state="SIGN"}else{if(y.isPublic===true){this.pubKey=y;this.state="VERIFY"}else{throw"init failed.:"+y}}};this.initSign=function(v){if(typeof v.ecprvhex=="string"&&typeof v.eccurvename=="string"){this.ecprvhex=v.ecprvhex;this.eccurvename=v.eccurvename}else{this.prvKey=v}this.state="SIGN"};this.initVerifyByPublicKey=function(v){if(typeof v.ecpubhex=="string"&&typeof v.eccurvename=="string"){this.ecpubhex=v.ecpubhex;this.eccurvename=v.eccurvename}else{if(v instanceof KJUR.crypto.ECDSA){this.pubKey=v}else{if(v instanceof RSAKey){this.pubKey=v}}}this.state="VERIFY"};this.initVerifyByCertificatePEM=function(v){var w=new X509();w.readCertPEM(v);this.pubKey=w.subjectPublicKeyRSA;this.state="VERIFY"};this.updateString=function(v){this.md.updateString(v)};this.updateHex=function(v){this.md.updateHex(v)};this.sign=function(){this.sHashHex=this.md.digest();if(typeof this.ecprvhex!="undefined"&&typeof this.eccurvename!="undefined"){var v=new KJUR.crypto.ECDSA({curve:this.eccurvename});this.hSign=v.signHex(this.sHashHex,this.ecprvhex)}else{if(this.prvKey instanceof RSAKey&&this.pubkeyAlgName=="rsaandmgf1"){this.hSign=this.prvKey.signWithMessageHashPSS(this.sHashHex,this.mdAlgName,this.pssSaltLen)}else{if(this.prvKey instanceof RSAKey&&this.pubkeyAlgName=="rsa"){this.hSign=this.prvKey.signWithMessageHash(this.sHashHex,this.mdAlgName)}else{if(this.prvKey instanceof KJUR.crypto.ECDSA){this.hSign=this.prvKey.signWithMessageHash(this.sHashHex)}else{if(this.prvKey instanceof KJUR.crypto.DSA){this.hSign=this.prvKey.signWithMessageHash(this.sHashHex)}else{throw"Signature: unsupported public key alg: "+this.pubkeyAlgName}}}}}return this.hSign};this.signString=function(v){this.updateString(v);return this.sign()};this.signHex=function(v){this.updateHex(v);return this.sign()};this.verify=function(v){this.sHashHex=this.md.digest();if(typeof this.ecpubhex!="undefined"&&typeof this.eccurvename!="undefined"){var w=new KJUR.crypto.ECDSA({curve:this.eccurvename});return w.verifyHex(this.sHashHex,v,this.ecpubhex)}else{if(this.pubKey instanceof RSAKey&&this.pubkeyAlgName=="rsaandmgf1"){return this.pubKey.verifyWithMessageHashPSS(this.sHashHex,v,this.mdAlgName,this.pssSaltLen)}else{if(this.pubKey instanceof RSAKey&&this.pubkeyAlgName=="rsa"){return this.pubKey.verifyWithMessageHash(this.sHashHex,v)}else{if(this.pubKey instanceof KJUR.crypto.ECDSA){return this.pubKey.verifyWithMessageHash(this.sHashHex,v)}else{if(this.pubKey instanceof KJUR.crypto.DSA){return this.pubKey.verifyWithMessageHash(this.sHashHex,v)}else{throw"Signature: unsupported public key alg: "+this.pubkeyAlgName}}}}}}}};this.init=function(s,t){throw"init(key, pass) not supported for this alg:prov="+this.algProvName};this.initVerifyByPublicKey=function(s){throw"initVerifyByPublicKey(rsaPubKeyy) not supported for this alg:prov="+this.algProvName};this.initVerifyByCertificatePEM=function(s){throw"initVerifyByCertificatePEM(certPEM) not supported for this alg:prov="+this.algProvName};this.initSign=function(s){throw"initSign(prvKey) not supported for this alg:prov="+this.algProvName};this.updateString=function(s){throw"updateString(str) not supported for this alg:prov="+this.algProvName};this.updateHex=function(s){throw"updateHex(hex) not supported for this alg:prov="+this.algProvName};this.sign=function(){throw"sign() not supported for this alg:prov="+this.algProvName};this.signString=function(s){throw"digestString(str) not supported for this alg:prov="+this.algProvName};this.signHex=function(s){throw"digestHex(hex) not supported for this alg:prov="+this.algProvName};this.verify=function(s){throw"verify(hSigVal) not supported for this alg:prov="+this.algProvName};this.initParams=o;if(o!==undefined){if(o.alg!==undefined){this.algName=o.alg;if(o.prov===undefined){this.provName=KJUR.crypto.Util.DEFAULTPROVIDER[this.algName]}else{this.provName=o.prov}this.algProvName=this.algName+":"+this.provName;this.setAlgAndProvider(this.algName,this.provName);this._setAlgNames()}if(o.psssaltlen!==undefined){this.pssSaltLen=o.psssaltlen}if(o.prvkeypem!==undefined){if(o.prvkeypas!==undefined){throw"both prvkeypem and prvkeypas parameters not supported"}else{try{var q=new RSAKey();q.readPrivateKeyFromPEMString(o.prvkeypem);this.initSign(q)}catch(m){throw"fatal error to load pem private key: "+m}}}}};KJUR.crypto.Cipher=function(a){};KJUR.crypto.Cipher.encrypt=function(e,f,d){if(f instanceof RSAKey&&f.isPublic){var c=KJUR.crypto.Cipher.getAlgByKeyAndName(f,d);if(c==="RSA"){return f.encrypt(e)}if(c==="RSAOAEP"){return f.encryptOAEP(e,"sha1")}var b=c.match(/^RSAOAEP(\d+)$/);if(b!==null){return f.encryptOAEP(e,"sha"+b[1])}throw"Cipher.encrypt: unsupported algorithm for RSAKey: "+d}else{throw"Cipher.encrypt: unsupported key or algorithm"}};KJUR.crypto.Cipher.decrypt=function(e,f,d){if(f instanceof RSAKey&&f.isPrivate){var c=KJUR.crypto.Cipher.getAlgByKeyAndName(f,d);if(c==="RSA"){return f.decrypt(e)}if(c==="RSAOAEP"){return f.decryptOAEP(e,"sha1")}var b=c.match(/^RSAOAEP(\d+)$/);if(b!==null){return f.decryptOAEP(e,"sha"+b[1])}throw"Cipher.decrypt: unsupported algorithm for RSAKey: "+d}else{throw"Cipher.decrypt: unsupported key or algorithm"}};KJUR.crypto.Cipher.getAlgByKeyAndName=function(b,a){if(b instanceof RSAKey){if(":RSA:RSAOAEP:RSAOAEP224:RSAOAEP256:RSAOAEP384:RSAOAEP512:".indexOf(a)!=-1){return a}if(a===null||a===undefined){return"RSA"}throw"getAlgByKeyAndName: not supported algorithm name for RSAKey: "+a}throw"getAlgByKeyAndName: not supported algorithm name: "+a};KJUR.crypto.OID=new function(){this.oidhex2name={"2a864886f70d010101":"rsaEncryption","2a8648ce3d0201":"ecPublicKey","2a8648ce380401":"dsa","2a8648ce3d030107":"secp256r1","2b8104001f":"secp192k1","2b81040021":"secp224r1","2b8104000a":"secp256k1","2b81040023":"secp521r1","2b81040022":"secp384r1","2a8648ce380403":"SHA1withDSA","608648016503040301":"SHA224withDSA","608648016503040302":"SHA256withDSA",}};
\ No newline at end of file
+if(typeof KJUR=="undefined"||!KJUR)KJUR={};if(typeof KJUR.crypto=="undefined"||!KJUR.crypto)KJUR.crypto={};KJUR.crypto.Util=new function(){this.DIGESTINFOHEAD={sha1:"3021300906052b0e03021a05000414",sha224:"302d300d06096086480165030402040500041c",sha256:"3031300d060960864801650304020105000420",sha384:"3041300d060960864801650304020205000430",sha512:"3051300d060960864801650304020305000440",md2:"3020300c06082a864886f70d020205000410",md5:"3020300c06082a864886f70d020505000410",ripemd160:"3021300906052b2403020105000414","sha3-224":"302d300d06096086480165030402070500041c","sha3-256":"3031300d060960864801650304020805000420","sha3-384":"3041300d060960864801650304020905000430","sha3-512":"3051300d060960864801650304020a05000440"};this.DEFAULTPROVIDER={md5:"cryptojs",sha1:"cryptojs",sha224:"cryptojs",sha256:"cryptojs",sha384:"cryptojs",sha512:"cryptojs",ripemd160:"cryptojs","sha3-224":"cryptojs","sha3-256":"cryptojs","sha3-384":"cryptojs","sha3-512":"cryptojs",shake128:"cryptojs",shake256:"cryptojs",hmacmd5:"cryptojs",hmacsha1:"cryptojs",hmacsha224:"cryptojs",hmacsha256:"cryptojs",hmacsha384:"cryptojs",hmacsha512:"cryptojs",hmacripemd160:"cryptojs","hmacsha3-224":"cryptojs","hmacsha3-256":"cryptojs","hmacsha3-384":"cryptojs","hmacsha3-512":"cryptojs",aescmac:"cryptojs",aesgmac:"cryptojs",MD5withRSA:"cryptojs/jsrsa",SHA1withRSA:"cryptojs/jsrsa",SHA224withRSA:"cryptojs/jsrsa",SHA256withRSA:"cryptojs/jsrsa",SHA384withRSA:"cryptojs/jsrsa",SHA512withRSA:"cryptojs/jsrsa",RIPEMD160withRSA:"cryptojs/jsrsa","SHA3-224withRSA":"cryptojs/jsrsa","SHA3-256withRSA":"cryptojs/jsrsa","SHA3-384withRSA":"cryptojs/jsrsa","SHA3-512withRSA":"cryptojs/jsrsa",MD5withECDSA:"cryptojs/jsrsa",SHA1withECDSA:"cryptojs/jsrsa",SHA224withECDSA:"cryptojs/jsrsa",SHA256withECDSA:"cryptojs/jsrsa",SHA384withECDSA:"cryptojs/jsrsa",SHA512withECDSA:"cryptojs/jsrsa",RIPEMD160withECDSA:"cryptojs/jsrsa","SHA3-224withECDSA":"cryptojs/jsrsa","SHA3-256withECDSA":"cryptojs/jsrsa","SHA3-384withECDSA":"cryptojs/jsrsa","SHA3-512withECDSA":"cryptojs/jsrsa",SHA1withDSA:"cryptojs/jsrsa",SHA224withDSA:"cryptojs/jsrsa",SHA256withDSA:"cryptojs/jsrsa",Ed25519:"cryptojs/jsrsa",MD5withRSAandMGF1:"cryptojs/jsrsa",SHA1withRSAandMGF1:"cryptojs/jsrsa",SHA224withRSAandMGF1:"cryptojs/jsrsa",SHA256withRSAandMGF1:"cryptojs/jsrsa",SHA384withRSAandMGF1:"cryptojs/jsrsa",SHA512withRSAandMGF1:"cryptojs/jsrsa",RIPEMD160withRSAandMGF1:"cryptojs/jsrsa",RSA:"cryptojs/jsrsa",RSAOAEP:"cryptojs/jsrsa",RSAOAEP224:"cryptojs/jsrsa",RSAOAEP256:"cryptojs/jsrsa",RSAOAEP384:"cryptojs/jsrsa",RSAOAEP512:"cryptojs/jsrsa",AESCBC:"cryptojs",AESCTR:"cryptojs",AESGCM:"cryptojs"};this.CRYPTOJSMESSAGEDIGESTNAME={md5:CryptoJS.algo.MD5,sha1:CryptoJS.algo.SHA1,sha224:CryptoJS.algo.SHA224,sha256:CryptoJS.algo.SHA256,sha384:CryptoJS.algo.SHA384,sha512:CryptoJS.algo.SHA512,ripemd160:CryptoJS.algo.RIPEMD160,"sha3-224":CryptoJS.algo.SHA3_224,"sha3-256":CryptoJS.algo.SHA3_256,"sha3-384":CryptoJS.algo.SHA3_384,"sha3-512":CryptoJS.algo.SHA3_512,shake128:CryptoJS.algo.SHAKE128,shake256:CryptoJS.algo.SHAKE256};this.NODECRYPTO=null;if(typeof process=="object"&&process!==null&&process.versions!==undefined&&typeof process.versions.node=="string"&&typeof require=="function"){try{this.NODECRYPTO=require("crypto")}catch(t){}}var s={};this.setNodeCryptoDefault=function(t){var e;if(t===false){for(e in s){this.DEFAULTPROVIDER[e]=s[e]}s={};return}if(this.NODECRYPTO===null)return;var r=this.NODECRYPTO.getHashes();for(e in this.DEFAULTPROVIDER){var i=this.DEFAULTPROVIDER[e];if(i=="cryptojs"&&r.indexOf(e.replace(/^hmac/,""))!=-1||i!="nodecrypto"&&e.match(/withRSA|^RSA|^AES/)!==null){s[e]=i;this.DEFAULTPROVIDER[e]="nodecrypto"}}};this.setNodeCryptoDefault(true);this.getDigestInfoHex=function(t,e){if(typeof this.DIGESTINFOHEAD[e]=="undefined")throw"alg not supported in Util.DIGESTINFOHEAD: "+e;return this.DIGESTINFOHEAD[e]+t};this.getPaddedDigestInfoHex=function(t,e,r){var i=this.getDigestInfoHex(t,e);var s=r/4;if(i.length+22>s)throw"key is too short for SigAlg: keylen="+r+","+e;var a="0001";var n="00"+i;var o="";var h=s-a.length-n.length;for(var p=0;p<h;p+=2){o+="ff"}var c=a+o+n;return c};this.hashString=function(t,e){var r=new KJUR.crypto.MessageDigest({alg:e});return r.digestString(t)};this.hashHex=function(t,e){var r=new KJUR.crypto.MessageDigest({alg:e});return r.digestHex(t)};this.sha1=function(t){var e=new KJUR.crypto.MessageDigest({alg:"sha1"});return e.digestString(t)};this.sha256=function(t){var e=new KJUR.crypto.MessageDigest({alg:"sha256"});return e.digestString(t)};this.sha256Hex=function(t){var e=new KJUR.crypto.MessageDigest({alg:"sha256"});return e.digestHex(t)};this.sha512=function(t){var e=new KJUR.crypto.MessageDigest({alg:"sha512"});return e.digestString(t)};this.sha512Hex=function(t){var e=new KJUR.crypto.MessageDigest({alg:"sha512"});return e.digestHex(t)}};KJUR.crypto.Util.md5=function(t){var e=new KJUR.crypto.MessageDigest({alg:"md5"});return e.digestString(t)};KJUR.crypto.Util.ripemd160=function(t){var e=new KJUR.crypto.MessageDigest({alg:"ripemd160"});return e.digestString(t)};KJUR.crypto.Util._equalsHex=function(t,e){if(t.length!==e.length)return false;t=t.toLowerCase();e=e.toLowerCase();var r=0;for(var i=0;i<t.length;i++){r|=t.charCodeAt(i)^e.charCodeAt(i)}return r===0};KJUR.crypto.Util._getNodeRSAKey=function(e){var t=KJUR.crypto.Util,i=t.NODECRYPTO,r=t._nodeRSAKeyCache;if(i===null||!(e instanceof RSAKey)||e.isPrivate!==true||e.p==null||e.q==null)return e;if(r!==undefined&&r.rsaKey===e&&r.d===e.d)return r.nodeRSAKey;var s=function(t){var e=t.toString(16);if(e.length%2==1)e="0"+e;return hextob64u(e)};var a;try{a=i.createPrivateKey({format:"jwk",key:{kty:"RSA",n:s(e.n),e:s(e.e),d:s(e.d),p:s(e.p),q:s(e.q),dp:s(e.dmp1),dq:s(e.dmq1),qi:s(e.coeff)}})}catch(t){return e}var n=e.n.bitLength()+7>>3;var o=Object.create(e);o.doPrivate=function(t){var e=t.toString(16);while(e.length<n*2)e="0"+e;var r=i.privateDecrypt({key:a,padding:i.constants.RSA_NO_PADDING},Buffer.from(e,"hex"));return new BigInteger(r.toString("hex"),16)};t._nodeRSAKeyCache={rsaKey:e,d:e.d,nodeRSAKey:o};return o};KJUR.crypto.Util.SECURERANDOMGEN=new SecureRandom;KJUR.crypto.Util.getRandomHexOfNbytes=function(t){var e=new Array(t);KJUR.crypto.Util.SECURERANDOMGEN.nextBytes(e);return BAtohex(e)};KJUR.crypto.Util.getRandomBigIntegerOfNbytes=function(t){return new BigInteger(KJUR.crypto.Util.getRandomHexOfNbytes(t),16)};KJUR.crypto.Util.getRandomHexOfNbits=function(t){var e=t%8;var r=(t-e)/8;var i=new Array(r+1);KJUR.crypto.Util.SECURERANDOMGEN.nextBytes(i);i[0]=(255<<e&255^255)&i[0];return BAtohex(i)};KJUR.crypto.Util.getRandomBigIntegerOfNbits=function(t){return new BigInteger(KJUR.crypto.Util.getRandomHexOfNbits(t),16)};KJUR.crypto.Util.getRandomBigIntegerZeroToMax=function(t){var e=t.bitLength();while(1){var r=KJUR.crypto.Util.getRandomBigIntegerOfNbits(e);if(t.compareTo(r)>=0)return r}};KJUR.crypto.Util.getRandomBigIntegerMinToMax=function(t,e){var r=t.compareTo(e);if(r>0)throw"biMin is greater than biMax";if(r==0)return t;var i=e.subtract(t);var s=KJUR.crypto.Util.getRandomBigIntegerZeroToMax(i);return s.add(t)};KJUR.crypto.Util.getRFC6979KGenerator=function(r,t,e,i){if(i===undefined){i={40:"sha1",56:"sha224",64:"sha256",96:"sha384",128:"sha512"}[e.length];if(i===undefined)i="sha256"}var s=KJUR.crypto.MessageDigest;var a="hmac"+s.getCanonicalAlgName(i);var n=s.getHashLength(i);var o=r.bitLength();var h=Math.ceil(o/8)*8;var p=function(t,e){var r=new KJUR.crypto.Mac({alg:a,pass:{hex:t}});return r.doFinalHex(e)};var c=function(t){var e=new BigInteger(t,16);var r=t.length*4;if(r>o)e=e.shiftRight(r-o);return e};var u=function(t){var e=t.toString(16);while(e.length<h/4)e="0"+e;return e};var f=function(t){var e=c(t);if(e.compareTo(r)>=0)e=e.subtract(r);return u(e)};var d="",l="";for(var g=0;g<n;g++){d+="01";l+="00"}var y=u(t)+f(e);l=p(l,d+"00"+y);d=p(l,d);l=p(l,d+"01"+y);d=p(l,d);var v=true;return function(){while(true){if(!v){l=p(l,d+"00");d=p(l,d)}v=false;var t="";while(t.length*4<o){d=p(l,d);t+=d}var e=c(t);if(e.signum()>0&&e.compareTo(r)<0)return e}}};KJUR.crypto.MessageDigest=function(t){var e=null;var r=null;var i=null;this.setAlgAndProvider=function(e,t){e=KJUR.crypto.MessageDigest.getCanonicalAlgName(e);if(e!==null&&t===undefined)t=KJUR.crypto.Util.DEFAULTPROVIDER[e];var r=KJUR.crypto.Util.NODECRYPTO;if(t=="nodecrypto"&&(r===null||r.getHashes().indexOf(e)==-1))t="cryptojs";if(t=="nodecrypto"){var i={};if(e.substr(0,5)=="shake")i.outputLength=this.outlen!==undefined?this.outlen:KJUR.crypto.MessageDigest.HASHLENGTH[e];this.md=r.createHash(e,i);this.updateString=function(t){this.md.update(t,"utf8")};this.updateHex=function(t){this.md.update(t,"hex")};this.digest=function(){var t=this.md.digest("hex");this.md=r.createHash(e,i);return t};this.digestString=function(t){this.updateString(t);return this.digest()};this.digestHex=function(t){this.updateHex(t);return this.digest()}}if((":md5:sha1:sha224:sha256:sha384:sha512:ripemd160:"+"sha3-224:sha3-256:sha3-384:sha3-512:shake128:shake256:").indexOf(e)!=-1&&t=="cryptojs"){try{var s={};if(this.outlen!==undefined&&e.substr(0,5)=="shake")s.outputLength=this.outlen*8;this.md=KJUR.crypto.Util.CRYPTOJSMESSAGEDIGESTNAME[e].create(s)}catch(t){throw"setAlgAndProvider hash alg set fail alg="+e+"/"+t}this.updateString=function(t){this.md.update(t)};this.updateHex=function(t){var e=CryptoJS.enc.Hex.parse(t);this.md.update(e)};this.digest=function(){var t=this.md.finalize();return t.toString(CryptoJS.enc.Hex)};this.digestString=function(t){this.updateString(t);return this.digest()};this.digestHex=function(t){this.updateHex(t);return this.digest()}}if(":sha256:".indexOf(e)!=-1&&t=="sjcl"){try{this.md=new sjcl.hash.sha256}catch(t){throw"setAlgAndProvider hash alg set fail alg="+e+"/"+t}this.updateString=function(t){this.md.update(t)};this.updateHex=function(t){var e=sjcl.codec.hex.toBits(t);this.md.update(e)};this.digest=function(){var t=this.md.finalize();return sjcl.codec.hex.fromBits(t)};this.digestString=function(t){this.updateString(t);return this.digest()};this.digestHex=function(t){this.updateHex(t);return this.digest()}}};this.updateString=function(t){throw"updateString(str) not supported for this alg/prov: "+this.algName+"/"+this.provName};this.updateHex=function(t){throw"updateHex(hex) not supported for this alg/prov: "+this.algName+"/"+this.provName};this.digest=function(){throw"digest() not supported for this alg/prov: "+this.algName+"/"+this.provName};this.digestString=function(t){throw"digestString(str) not supported for this alg/prov: "+this.algName+"/"+this.provName};this.digestHex=function(t){throw"digestHex(hex) not supported for this alg/prov: "+this.algName+"/"+this.provName};if(t!==undefined){if(t["outlen"]!==undefined)this.outlen=t["outlen"];if(t["alg"]!==undefined){this.algName=t["alg"];if(t["prov"]===undefined)this.provName=KJUR.crypto.Util.DEFAULTPROVIDER[this.algName];this.setAlgAndProvider(this.algName,this.provName)}}};KJUR.crypto.MessageDigest.getCanonicalAlgName=function(t){if(typeof t==="string"){t=t.toLowerCase();if(t.match(/^sha3-/)===null)t=t.replace(/-/,"")}return t};KJUR.crypto.MessageDigest.getHashLength=function(t){var e=KJUR.crypto.MessageDigest;var r=e.getCanonicalAlgName(t);if(e.HASHLENGTH[r]===undefined)throw"not supported algorithm: "+t;return e.HASHLENGTH[r]};KJUR.crypto.MessageDigest.HASHLENGTH={md5:16,sha1:20,sha224:28,sha256:32,sha384:48,sha512:64,ripemd160:20,"sha3-224":28,"sha3-256":32,"sha3-384":48,"sha3-512":64,shake128:32,shake256:64};KJUR.crypto.Mac=function(t){var e=null;var r=null;var i=null;var s=null;var a=null;this.setAlgAndProvider=function(r,t){r=r.toLowerCase();if(r==null)r="hmacsha1";r=r.toLowerCase();if(r=="aescmac"||r=="aesgmac"){this.algProv=r+"/cryptojs";this.hInput="";this.updateString=function(t){this.hInput+=utf8tohex(t)};this.updateHex=function(t){this.hInput+=t.toLowerCase()};this.doFinal=function(){var t=this.pass==null?"":CryptoJS.enc.Hex.stringify(this.pass);var e=this.hInput;this.hInput="";return KJUR.crypto.Mac._aesMac(r,t,e,this.iv,this.tagLen)};this.doFinalString=function(t){this.updateString(t);return this.doFinal()};this.doFinalHex=function(t){this.updateHex(t);return this.doFinal()};return}if(r.substr(0,4)!="hmac"){throw"setAlgAndProvider unsupported HMAC alg: "+r}if(t===undefined)t=KJUR.crypto.Util.DEFAULTPROVIDER[r];this.algProv=r+"/"+t;var e=r.substr(4);var i=KJUR.crypto.Util.NODECRYPTO;if(t=="nodecrypto"&&(i===null||i.getHashes().indexOf(e)==-1))t="cryptojs";if(t=="nodecrypto"){var s=this.pass==null?"":CryptoJS.enc.Hex.stringify(this.pass);this.mac=i.createHmac(e,Buffer.from(s,"hex"));this.updateString=function(t){this.mac.update(t,"utf8")};this.updateHex=function(t){this.mac.update(t,"hex")};this.doFinal=function(){var t=this.mac.digest("hex");this.mac=i.createHmac(e,Buffer.from(s,"hex"));return t};this.doFinalString=function(t){this.updateString(t);return this.doFinal()};this.doFinalHex=function(t){this.updateHex(t);return this.doFinal()}}if((":md5:sha1:sha224:sha256:sha384:sha512:ripemd160:"+"sha3-224:sha3-256:sha3-384:sha3-512:").indexOf(e)!=-1&&t=="cryptojs"){try{var a=KJUR.crypto.Util.CRYPTOJSMESSAGEDIGESTNAME[e];this.mac=CryptoJS.algo.HMAC.create(a,this.pass)}catch(t){throw"setAlgAndProvider hash alg set fail hashAlg="+e+"/"+t}this.updateString=function(t){this.mac.update(t)};this.updateHex=function(t){var e=CryptoJS.enc.Hex.parse(t);this.mac.update(e)};this.doFinal=function(){var t=this.mac.finalize();return t.toString(CryptoJS.enc.Hex)};this.doFinalString=function(t){this.updateString(t);return this.doFinal()};this.doFinalHex=function(t){this.updateHex(t);return this.doFinal()}}};this.updateString=function(t){throw"updateString(str) not supported for this alg/prov: "+this.algProv};this.updateHex=function(t){throw"updateHex(hex) not supported for this alg/prov: "+this.algProv};this.doFinal=function(){throw"digest() not supported for this alg/prov: "+this.algProv};this.doFinalString=function(t){throw"digestString(str) not supported for this alg/prov: "+this.algProv};this.doFinalHex=function(t){throw"digestHex(hex) not supported for this alg/prov: "+this.algProv};this.setPassword=function(t){if(typeof t=="string"){var e=t;if(t.length%2==1||!t.match(/^[0-9A-Fa-f]+$/)){e=rstrtohex(t)}this.pass=CryptoJS.enc.Hex.parse(e);return}if(typeof t!="object")throw"KJUR.crypto.Mac unsupported password type: "+t;var e=null;if(t.hex!==undefined){if(t.hex.length%2!=0||!t.hex.match(/^[0-9A-Fa-f]+$/))throw"Mac: wrong hex password: "+t.hex;e=t.hex}if(t.utf8!==undefined)e=utf8tohex(t.utf8);if(t.rstr!==undefined)e=rstrtohex(t.rstr);if(t.b64!==undefined)e=b64tohex(t.b64);if(t.b64u!==undefined)e=b64utohex(t.b64u);if(e==null)throw"KJUR.crypto.Mac unsupported password type: "+t;this.pass=CryptoJS.enc.Hex.parse(e)};if(t!==undefined){if(t.pass!==undefined){this.setPassword(t.pass)}if(t.iv!==undefined)this.iv=t.iv;if(t.tagLen!==undefined)this.tagLen=t.tagLen;if(t.alg!==undefined){this.algName=t.alg;if(t["prov"]===undefined)this.provName=KJUR.crypto.Util.DEFAULTPROVIDER[this.algName];this.setAlgAndProvider(this.algName,this.provName)}}};KJUR.crypto.Mac._aesMac=function(t,e,r,i,s){if(e.length!=32&&e.length!=48&&e.length!=64)throw"Mac: AES key shall be 16, 24 or 32 bytes for "+t;if(s===undefined)s=128;if(t=="aescmac"){if(s%8!=0||s<32||s>128)throw"Mac: unsupported tagLen for AESCMAC: "+s;return KJUR.crypto.Cipher._aesCMAC(e,r).substr(0,s/4)}if(i===undefined)throw"Mac: iv shall be specified for AESGMAC";return KJUR.crypto.Cipher._cryptAES("",e,"AESGCM",{iv:i,aad:r,tagLen:s},true)};KJUR.crypto.Signature=function(t){var e=null;var r=null;var i=null;var s=null;var a=null;var n=null;var o=null;var h=null;var p=null;var c=null;var u=-1;var f=null;var d=null;var l=null;var g=null;var y=null;this._setAlgNames=function(){var t=this.algName.match(/^(.+)with(.+)$/);if(t){this.mdAlgName=t[1].toLowerCase();this.pubkeyAlgName=t[2].toLowerCase()}};this._zeroPaddingOfSignature=function(t,e){var r="";var i=e/4-t.length;for(var s=0;s<i;s++){r=r+"0"}return r+t};this.setAlgAndProvider=function(t,e){this._setAlgNames();if(e!="cryptojs/jsrsa"&&e!="nodecrypto")throw"provider not supported: "+e;var r=function(t){if(e=="nodecrypto")return KJUR.crypto.Util._getNodeRSAKey(t);return t};var i=function(t,e){if(t instanceof RSAKey&&t.pssParam!==undefined&&e.pubkeyAlgName!="rsaandmgf1")throw"RSASSA-PSS key can't be used for "+e.algName};if((":md5:sha1:sha224:sha256:sha384:sha512:ripemd160:"+"sha3-224:sha3-256:sha3-384:sha3-512:").indexOf(this.mdAlgName)!=-1){try{this.md=new KJUR.crypto.MessageDigest({alg:this.mdAlgName})}catch(t){throw"setAlgAndProvider hash alg set fail alg="+this.mdAlgName+"/"+t}this.init=function(t,e){var r=null;try{if(e===undefined){r=KEYUTIL.getKey(t)}else{r=KEYUTIL.getKey(t,e)}}catch(t){throw"init failed:"+t}i(r,this);if(r.isPrivate===true){this.prvKey=r;this.state="SIGN"}else if(r.isPublic===true){this.pubKey=r;this.state="VERIFY"}else{throw"init failed.:"+r}};this.initSign=function(t){if(typeof t["ecprvhex"]=="string"&&typeof t["eccurvename"]=="string"){this.ecprvhex=t["ecprvhex"];this.eccurvename=t["eccurvename"]}else{i(t,this);this.prvKey=t}this.state="SIGN"};this.initVerifyByPublicKey=function(t){if(typeof t["ecpubhex"]=="string"&&typeof t["eccurvename"]=="string"){this.ecpubhex=t["ecpubhex"];this.eccurvename=t["eccurvename"]}else if(t instanceof KJUR.crypto.ECDSA){this.pubKey=t}else if(t instanceof RSAKey){i(t,this);this.pubKey=t}this.state="VERIFY"};this.initVerifyByCertificatePEM=function(t){var e=new X509;e.readCertPEM(t);this.pubKey=e.subjectPublicKeyRSA;this.state="VERIFY"};this.updateString=function(t){this.md.updateString(t)};this.updateHex=function(t){this.md.updateHex(t)};this.sign=function(){this.sHashHex=this.md.digest();var t={deterministic:this.deterministic,alg:this.mdAlgName,lowS:this.lowS};if(typeof this.ecprvhex!="undefined"&&typeof this.eccurvename!="undefined"){var e=new KJUR.crypto.ECDSA({curve:this.eccurvename});this.hSign=e.signHex(this.sHashHex,this.ecprvhex,t)}else if(this.prvKey instanceof RSAKey&&this.pubkeyAlgName=="rsaandmgf1"){this.hSign=r(this.prvKey).signWithMessageHashPSS(this.sHashHex,this.mdAlgName,this.pssSaltLen)}else if(this.prvKey instanceof RSAKey&&this.pubkeyAlgName=="rsa"){this.hSign=r(this.prvKey).signWithMessageHash(this.sHashHex,this.mdAlgName)}else if(this.prvKey instanceof KJUR.crypto.ECDSA){this.hSign=this.prvKey.signWithMessageHash(this.sHashHex,t)}else if(this.prvKey instanceof KJUR.crypto.DSA){this.hSign=this.prvKey.signWithMessageHash(this.sHashHex,t)}else{throw"Signature: unsupported public key alg: "+this.pubkeyAlgName}return this.hSign};this.signString=function(t){this.updateString(t);return this.sign()};this.signHex=function(t){this.updateHex(t);return this.sign()};this.verify=function(t){this.sHashHex=this.md.digest();if(typeof this.ecpubhex!="undefined"&&typeof this.eccurvename!="undefined"){var e=new KJUR.crypto.ECDSA({curve:this.eccurvename});return e.verifyHex(this.sHashHex,t,this.ecpubhex,{lowS:this.lowS})}else if(this.pubKey instanceof RSAKey&&this.pubkeyAlgName=="rsaandmgf1"){return this.pubKey.verifyWithMessageHashPSS(this.sHashHex,t,this.mdAlgName,this.pssSaltLen)}else if(this.pubKey instanceof RSAKey&&this.pubkeyAlgName=="rsa"){return this.pubKey.verifyWithMessageHash(this.sHashHex,t)}else if(this.pubKey instanceof KJUR.crypto.ECDSA){return this.pubKey.verifyWithMessageHash(this.sHashHex,t,{lowS:this.lowS})}else if(this.pubKey instanceof KJUR.crypto.DSA){return this.pubKey.verifyWithMessageHash(this.sHashHex,t)}else{throw"Signature: unsupported public key alg: "+this.pubkeyAlgName}}}if(this.algName=="Ed25519"){this.hMsg="";this.init=function(t,e){var r=null;try{if(e===undefined){r=KEYUTIL.getKey(t)}else{r=KEYUTIL.getKey(t,e)}}catch(t){throw"init failed:"+t}if(!(r instanceof KJUR.crypto.Ed25519))throw"init failed: not Ed25519 key";if(r.isPrivate===true){this.prvKey=r;this.state="SIGN"}else if(r.isPublic===true){this.pubKey=r;this.state="VERIFY"}else{throw"init failed.:"+r}};this.updateString=function(t){this.hMsg+=utf8tohex(t)};this.updateHex=function(t){this.hMsg+=t};this.sign=function(){this.hSign=this.prvKey.signHex(this.hMsg);this.hMsg="";return this.hSign};this.signString=function(t){this.updateString(t);return this.sign()};this.signHex=function(t){this.updateHex(t);return this.sign()};this.verify=function(t){var e=this.pubKey.verifyHex(this.hMsg,t);this.hMsg="";return e}}};this.init=function(t,e){throw"init(key, pass) not supported for this alg:prov="+this.algProvName};this.initVerifyByPublicKey=function(t){throw"initVerifyByPublicKey(rsaPubKeyy) not supported for this alg:prov="+this.algProvName};this.initVerifyByCertificatePEM=function(t){throw"initVerifyByCertificatePEM(certPEM) not supported for this alg:prov="+this.algProvName};this.initSign=function(t){throw"initSign(prvKey) not supported for this alg:prov="+this.algProvName};this.updateString=function(t){throw"updateString(str) not supported for this alg:prov="+this.algProvName};this.updateHex=function(t){throw"updateHex(hex) not supported for this alg:prov="+this.algProvName};this.sign=function(){throw"sign() not supported for this alg:prov="+this.algProvName};this.signString=function(t){throw"digestString(str) not supported for this alg:prov="+this.algProvName};this.signHex=function(t){throw"digestHex(hex) not supported for this alg:prov="+this.algProvName};this.verify=function(t){throw"verify(hSigVal) not supported for this alg:prov="+this.algProvName};this.initParams=t;if(t!==undefined){if(t["alg"]!==undefined){this.algName=t["alg"];if(t["prov"]===undefined){this.provName=KJUR.crypto.Util.DEFAULTPROVIDER[this.algName]}else{this.provName=t["prov"]}this.algProvName=this.algName+":"+this.provName;this.setAlgAndProvider(this.algName,this.provName);this._setAlgNames()}if(t["psssaltlen"]!==undefined)this.pssSaltLen=t["psssaltlen"];if(t["deterministic"]!==undefined)this.deterministic=t["deterministic"];if(t["lowS"]!==undefined)this.lowS=t["lowS"];if(t["prvkeypem"]!==undefined){if(t["prvkeypas"]!==undefined){throw"both prvkeypem and prvkeypas parameters not supported"}else{try{var e=new RSAKey;e.readPrivateKeyFromPEMString(t["prvkeypem"]);this.initSign(e)}catch(t){throw"fatal error to load pem private key: "+t}}}}};KJUR.crypto.Cipher=function(t){};KJUR.crypto.Cipher.encrypt=function(t,e,r,i){if(typeof e=="string"){var s=KJUR.crypto.Cipher.getAlgByKeyAndName(e,r);return KJUR.crypto.Cipher._cryptAES(rstrtohex(t),e,s,i,true)}else if(e instanceof KJUR.crypto.ECDSA&&e.isPublic){var s=KJUR.crypto.Cipher.getAlgByKeyAndName(e,r);return KJUR.crypto.Cipher._encryptECIES(rstrtohex(t),e,s)}else if(e instanceof RSAKey&&e.isPublic){if(e.pssParam!==undefined)throw"Cipher.encrypt: RSASSA-PSS key can't be used for encryption";var s=KJUR.crypto.Cipher.getAlgByKeyAndName(e,r);if(s==="RSA")return e.encrypt(t);if(s==="RSAOAEP")return e.encryptOAEP(t,"sha1");var a=s.match(/^RSAOAEP(\d+)$/);if(a!==null)return e.encryptOAEP(t,"sha"+a[1]);throw"Cipher.encrypt: unsupported algorithm for RSAKey: "+r}else{throw"Cipher.encrypt: unsupported key or algorithm"}};KJUR.crypto.Cipher.decrypt=function(t,e,r,i){if(typeof e=="string"){var s=KJUR.crypto.Cipher.getAlgByKeyAndName(e,r);return hextorstr(KJUR.crypto.Cipher._cryptAES(t,e,s,i,false))}else if(e instanceof KJUR.crypto.ECDSA&&e.isPrivate){var s=KJUR.crypto.Cipher.getAlgByKeyAndName(e,r);return hextorstr(KJUR.crypto.Cipher._decryptECIES(t,e,s))}else if(e instanceof RSAKey&&e.isPrivate){if(e.pssParam!==undefined)throw"Cipher.decrypt: RSASSA-PSS key can't be used for decryption";var s=KJUR.crypto.Cipher.getAlgByKeyAndName(e,r);if(KJUR.crypto.Util.DEFAULTPROVIDER[s]=="nodecrypto")e=KJUR.crypto.Util._getNodeRSAKey(e);if(s==="RSA")return e.decrypt(t);if(s==="RSAOAEP")return e.decryptOAEP(t,"sha1");var a=s.match(/^RSAOAEP(\d+)$/);if(a!==null)return e.decryptOAEP(t,"sha"+a[1]);throw"Cipher.decrypt: unsupported algorithm for RSAKey: "+r}else{throw"Cipher.decrypt: unsupported key or algorithm"}};KJUR.crypto.Cipher.getAlgByKeyAndName=function(t,e){if(typeof t=="string"){if(!t.match(/^[0-9A-Fa-f]*$/)||":32:48:64:".indexOf(":"+t.length+":")==-1)throw"getAlgByKeyAndName: symmetric key shall be hexadecimal string of 16, 24 or 32 bytes";if(e==="AESCBC"||e==="AESCTR"||e==="AESGCM")return e;throw"getAlgByKeyAndName: not supported algorithm name for AES key: "+e}if(t instanceof KJUR.crypto.ECDSA){if(e==="ECIESAES128"||e==="ECIESAES256")return e;if(e===null||e===undefined)return"ECIESAES128";throw"getAlgByKeyAndName: not supported algorithm name for ECDSA: "+e}if(t instanceof RSAKey){if(":RSA:RSAOAEP:RSAOAEP224:RSAOAEP256:RSAOAEP384:RSAOAEP512:".indexOf(e)!=-1)return e;if(e===null||e===undefined)return"RSA";throw"getAlgByKeyAndName: not supported algorithm name for RSAKey: "+e}throw"getAlgByKeyAndName: not supported algorithm name: "+e};KJUR.crypto.Cipher._cryptAES=function(t,e,r,i,s){var a=KJUR.crypto.Cipher,n=CryptoJS,o=n.enc.Hex;var h=s?"Cipher.encrypt: ":"Cipher.decrypt: ";var p=KJUR.crypto.Util.DEFAULTPROVIDER[r]=="nodecrypto"&&KJUR.crypto.Util.NODECRYPTO!==null;if(i===undefined||typeof i.iv!="string"||!i.iv.match(/^([0-9A-Fa-f]{2})+$/))throw h+"iv shall be specified for "+r;var c=i.iv.toLowerCase();if(r==="AESCBC"){if(c.length!=32)throw h+"iv shall be 16 bytes for AESCBC";if(s&&p)return a._cryptAESNode(t,e,r,c,true);if(s){var u=n.AES.encrypt(o.parse(t),o.parse(e),{iv:o.parse(c)});return o.stringify(u.ciphertext)}var f=t.length/2;if(f==0||f%16!=0)throw h+"ciphertext length shall be multiple of 16 bytes";if(p)return a._cryptAESNode(t,e,r,c,false);var d=n.AES.decrypt({ciphertext:o.parse(t)},o.parse(e),{iv:o.parse(c)});var l=f-d.sigBytes;if(l<1||l>16)throw h+"invalid padding";for(var g=d.sigBytes;g<f;g++){var y=d.words[g>>>2]>>>24-g%4*8&255;if(y!==l)throw h+"invalid padding"}return o.stringify(d)}if(r==="AESCTR"){if(c.length!=32)throw h+"iv shall be 16 bytes for AESCTR";if(p)return a._cryptAESNode(t,e,r,c,s);return a._aesCTR(e,c,t,false)}if(r==="AESGCM"){var v=i.tagLen===undefined?128:i.tagLen;if(":128:120:112:104:96:64:32:".indexOf(":"+v+":")==-1)throw h+"unsupported tagLen for AESGCM: "+v;var S=i.aad===undefined?"":i.aad.toLowerCase();if(s&&p)return a._cryptAESNode(t,e,r,c,true,{aad:S,tagLen:v});if(s){var A=a._aesGCM(e,c,t,S,true);return A.output+A.tag.substr(0,v/4)}if(t.length<v/4)throw h+"ciphertext is shorter than tag";var R=t.substr(0,t.length-v/4);var m=t.substr(t.length-v/4).toLowerCase();if(p)return a._cryptAESNode(R,e,r,c,false,{aad:S,tagLen:v,tag:m});var A=a._aesGCM(e,c,R,S,false);if(!KJUR.crypto.Util._equalsHex(A.tag.substr(0,v/4),m))throw h+"authentication tag mismatch";return A.output}throw h+"unsupported algorithm: "+r};KJUR.crypto.Cipher._cryptAESNode=function(t,e,r,i,s,a){var n=KJUR.crypto.Util.NODECRYPTO;var o=s?"Cipher.encrypt: ":"Cipher.decrypt: ";var h="aes-"+e.length*4+"-"+r.substr(3).toLowerCase();var p=a===undefined?undefined:{authTagLength:a.tagLen/8};var c=Buffer.from(e,"hex");var u=Buffer.from(i,"hex");var f=s?n.createCipheriv(h,c,u,p):n.createDecipheriv(h,c,u,p);if(a!==undefined){if(a.aad!=="")f.setAAD(Buffer.from(a.aad,"hex"));if(!s)f.setAuthTag(Buffer.from(a.tag,"hex"))}var d;try{d=f.update(t,"hex","hex")+f.final("hex")}catch(t){if(a!==undefined)throw o+"authentication tag mismatch";throw o+"invalid padding"}if(s&&a!==undefined)d+=f.getAuthTag().toString("hex");return d};KJUR.crypto.Cipher._encryptECIES=function(t,e,r){var i=KJUR.crypto,s=i.Cipher;var a=r==="ECIESAES256"?32:16;var n=new i.ECDSA({curve:e.ecparams.name});var o=n.generateKeyPairHex().ecpubhex;var h=n.computeSharedSecretHex(e);var p=i.KDF.x963KDF("sha256",h,"",a+32);var c=p.substr(0,a*2);var u=p.substr(a*2);var f=s._cryptAES(t,c,"AESCBC",{iv:"00000000000000000000000000000000"},true);var d=new i.Mac({alg:"HmacSHA256",pass:{hex:u}});d.updateHex(f);return o+f+d.doFinal()};KJUR.crypto.Cipher._decryptECIES=function(t,e,r){var i=KJUR.crypto,s=i.Cipher;var a=r==="ECIESAES256"?32:16;var n=2+Math.ceil(e.ecparams.keylen/8)*4;if(t.length<n+64+32)throw"Cipher.decrypt: ECIES message is too short";var o=t.substr(0,n);var h=t.substr(n,t.length-n-64);var p=t.substr(t.length-64).toLowerCase();var c=e.computeSharedSecretHex(o);var u=i.KDF.x963KDF("sha256",c,"",a+32);var f=u.substr(0,a*2);var d=u.substr(a*2);var l=new i.Mac({alg:"HmacSHA256",pass:{hex:d}});l.updateHex(h);if(!i.Util._equalsHex(l.doFinal(),p))throw"Cipher.decrypt: ECIES MAC mismatch";return s._cryptAES(h,f,"AESCBC",{iv:"00000000000000000000000000000000"},false)};KJUR.crypto.Cipher._aesCTR=function(t,e,r,i){var s=KJUR.crypto.Cipher;var a=CryptoJS.algo.AES.createEncryptor(CryptoJS.enc.Hex.parse(t));var n=s._hextowords(e);var o="";for(var h=0;h<r.length;h+=32){var p=n.slice(0);a.encryptBlock(p,0);var c=r.substr(h,32);var u=s._wordstohex(p).substr(0,c.length);o+=s._xorhex(c,u);for(var f=3;f>=0;f--){n[f]=n[f]+1|0;if(n[f]!==0||i)break}}return o};KJUR.crypto.Cipher._aesGCM=function(t,e,r,i,s){var a=KJUR.crypto.Cipher,n=a._hextowords,o=a._wordstohex;var h=CryptoJS.algo.AES.createEncryptor(CryptoJS.enc.Hex.parse(t));var p=function(t){if(t.length%32==0)return t;return t+"00000000000000000000000000000000".substr(t.length%32)};var c=function(t){return("0000000000000000"+(t.length*4).toString(16)).slice(-16)};var u=[0,0,0,0];h.encryptBlock(u,0);var f;if(e.length==24){f=n(e+"00000001")}else{f=a._ghash(u,p(e)+"0000000000000000"+c(e))}var d=f.slice(0);d[3]=d[3]+1|0;var l=a._aesCTR(t,o(d),r,true);var g=s?l:r;var y=a._ghash(u,p(i)+p(g)+c(i)+c(g));var v=f.slice(0);h.encryptBlock(v,0);for(var S=0;S<4;S++)y[S]^=v[S];return{output:l,tag:o(y)}};KJUR.crypto.Cipher._aesCMAC=function(t,e){var r=KJUR.crypto.Cipher,i=r._hextowords;var s=CryptoJS.algo.AES.createEncryptor(CryptoJS.enc.Hex.parse(t));var a=function(t){var e=[];for(var r=0;r<3;r++)e[r]=t[r]<<1|t[r+1]>>>31;e[3]=t[3]<<1;if(t[0]>>>31)e[3]^=135;return e};var n=[0,0,0,0];s.encryptBlock(n,0);var o=a(n);var h=a(o);var p=Math.ceil(e.length/32);var c,u;if(p>0&&e.length%32==0){c=e.substr((p-1)*32);u=o}else{if(p==0)p=1;c=e.substr((p-1)*32)+"80";c+="00000000000000000000000000000000".substr(c.length);u=h}var f=[0,0,0,0];for(var d=0;d<p;d++){var l=i(d<p-1?e.substr(d*32,32):c);for(var g=0;g<4;g++){f[g]^=l[g];if(d==p-1)f[g]^=u[g]}s.encryptBlock(f,0)}return r._wordstohex(f)};KJUR.crypto.Cipher._ghash=function(t,e){var r=[0,0,0,0];for(var i=0;i<e.length;i+=32){var s=KJUR.crypto.Cipher._hextowords(e.substr(i,32));for(var a=0;a<4;a++)r[a]^=s[a];var n=[0,0,0,0];var o=t.slice(0);for(var h=0;h<128;h++){if(r[h>>>5]>>>31-(h&31)&1){for(a=0;a<4;a++)n[a]^=o[a]}var p=o[3]&1;o[3]=o[3]>>>1|o[2]<<31;o[2]=o[2]>>>1|o[1]<<31;o[1]=o[1]>>>1|o[0]<<31;o[0]=o[0]>>>1;if(p)o[0]^=3774873600}r=n}return r};KJUR.crypto.Cipher._hextowords=function(t){var e=[];for(var r=0;r<4;r++)e.push(parseInt(t.substr(r*8,8),16)|0);return e};KJUR.crypto.Cipher._wordstohex=function(t){var e="";for(var r=0;r<t.length;r++)e+=("00000000"+(t[r]>>>0).toString(16)).slice(-8);return e};KJUR.crypto.Cipher._xorhex=function(t,e){var r="";for(var i=0;i<t.length;i+=2){var s=parseInt(t.substr(i,2),16)^parseInt(e.substr(i,2),16);r+=("0"+s.toString(16)).slice(-2)}return r};KJUR.crypto.KDF=function(){};KJUR.crypto.KDF.hkdfExtract=function(t,e,r){var i=KJUR.crypto.KDF,s=i._tohex;var a=s(e);if(a===""){var n=i._hmacHex(t,"00","").length/2;for(var o=0;o<n;o++)a+="00"}return i._hmacHex(t,a,s(r))};KJUR.crypto.KDF.hkdfExpand=function(t,e,r,i){var s=KJUR.crypto.KDF,a=s._tohex;var n=a(e);var o=a(r);var h="";var p="";for(var c=1;p.length<i*2;c++){if(c>255)throw"KDF.hkdfExpand: too long length: "+i;h=s._hmacHex(t,n,h+o+("0"+c.toString(16)).slice(-2));p+=h}return p.substr(0,i*2)};KJUR.crypto.KDF.hkdf=function(t,e,r,i,s){var a=KJUR.crypto.KDF;var n=a.hkdfExtract(t,r,e);return a.hkdfExpand(t,n,i,s)};KJUR.crypto.KDF.pbkdf2=function(r,t,e,i,s){var a=KJUR.crypto.KDF,n=a._tohex,o=KJUR.crypto.Cipher._xorhex,h=KJUR.crypto.Mac;var p=n(t);var c=n(e);if(p==="")p="00";if(typeof i!="number"||i<1)throw"KDF.pbkdf2: iteration count shall be positive: "+i;var u=function(t){var e=new h({alg:r,pass:{hex:p}});e.updateHex(t);return e.doFinal()};var f="";for(var d=1;f.length<s*2;d++){var l=u(c+("00000000"+d.toString(16)).slice(-8));var g=l;for(var y=1;y<i;y++){l=u(l);g=o(g,l)}f+=g}return f.substr(0,s*2)};KJUR.crypto.KDF.concatKDF=function(t,e,r,i){var s=KJUR.crypto.KDF,a=s._tohex,n=KJUR.crypto.Util.hashHex;var o=a(e);var h=a(r);var p="";for(var c=1;p.length<i*2;c++){p+=n(("00000000"+c.toString(16)).slice(-8)+o+h,t)}return p.substr(0,i*2)};KJUR.crypto.KDF.x963KDF=function(t,e,r,i){var s=KJUR.crypto.KDF,a=s._tohex,n=KJUR.crypto.Util.hashHex;var o=a(e);var h=a(r);var p="";for(var c=1;p.length<i*2;c++){p+=n(o+("00000000"+c.toString(16)).slice(-8)+h,t)}return p.substr(0,i*2)};KJUR.crypto.KDF._tohex=function(t){if(t===undefined||t===null)return"";if(typeof t=="object"&&typeof t.length=="number")return BAtohex(t);if(typeof t=="string"&&t.match(/^([0-9A-Fa-f]{2})*$/))return t.toLowerCase();throw"KDF: argument shall be hexadecimal string or byte array"};KJUR.crypto.KDF._hmacHex=function(t,e,r){var i=new KJUR.crypto.Mac({alg:"Hmac"+t.toUpperCase(),pass:{hex:e}});i.updateHex(r);return i.doFinal()};KJUR.crypto.OID=new function(){this.oidhex2name={"2a864886f70d010101":"rsaEncryption","2a864886f70d01010a":"rsassaPss","2a8648ce3d0201":"ecPublicKey","2a8648ce380401":"dsa","2a8648ce3d030107":"secp256r1","2b8104001f":"secp192k1","2b81040021":"secp224r1","2b8104000a":"secp256k1","2b81040023":"secp521r1","2b81040022":"secp384r1","2b2403030208010101":"brainpoolP160r1","2b2403030208010102":"brainpoolP160t1","2b2403030208010103":"brainpoolP192r1","2b2403030208010104":"brainpoolP192t1","2b2403030208010105":"brainpoolP224r1","2b2403030208010106":"brainpoolP224t1","2b2403030208010107":"brainpoolP256r1","2b2403030208010108":"brainpoolP256t1","2b2403030208010109":"brainpoolP320r1","2b240303020801010a":"brainpoolP320t1","2b240303020801010b":"brainpoolP384r1","2b240303020801010c":"brainpoolP384t1","2b240303020801010d":"brainpoolP512r1","2b240303020801010e":"brainpoolP512t1","2b6570":"Ed25519","2a8648ce380403":"SHA1withDSA","608648016503040301":"SHA224withDSA","608648016503040302":"SHA256withDSA"}};
\ No newline at end of file
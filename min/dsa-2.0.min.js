@@ -1 +1 @@
-if(typeof KJUR=="undefined"||!KJUR){KJUR={}}if(typeof KJUR.crypto=="undefined"||!KJUR.crypto){KJUR.crypto={}}KJUR.crypto.DSA=function(){this.p=null;this.q=null;this.g=null;this.y=null;this.x=null;this.type="DSA";this.isPrivate=false;this.isPublic=false;this.setPrivate=function(d,c,b,e,a){this.isPrivate=true;this.p=d;this.q=c;this.g=b;this.y=e;this.x=a};this.setPrivateHex=function(d,b,f,i,j){var c,a,e,g,h;c=new BigInteger(d,16);a=new BigInteger(b,16);e=new BigInteger(f,16);if(typeof i==="string"&&i.length>1){g=new BigInteger(i,16)}else{g=null}h=new BigInteger(j,16);this.setPrivate(c,a,e,g,h)};this.setPublic=function(c,b,a,d){this.isPublic=true;this.p=c;this.q=b;this.g=a;this.y=d;this.x=null};this.setPublicHex=function(f,e,d,g){var b,a,h,c;b=new BigInteger(f,16);a=new BigInteger(e,16);h=new BigInteger(d,16);c=new BigInteger(g,16);this.setPublic(b,a,h,c)};this.signWithMessageHash=function(d){var c=this.p;var b=this.q;var f=this.g;var i=this.y;var j=this.x;var e=KJUR.crypto.Util.getRandomBigIntegerMinToMax(BigInteger.ONE.add(BigInteger.ONE),b.subtract(BigInteger.ONE));var l=d.substr(0,b.bitLength()/4);var h=new BigInteger(l,16);var a=(f.modPow(e,c)).mod(b);var n=(e.modInverse(b).multiply(h.add(j.multiply(a)))).mod(b);var m=KJUR.asn1.ASN1Util.jsonToASN1HEX({seq:[{"int":{bigint:a}},{"int":{bigint:n}}]});return m};this.verifyWithMessageHash=function(h,f){var d=this.p;var b=this.q;var j=this.g;var l=this.y;var i=this.parseASN1Signature(f);var a=i[0];var t=i[1];var o=h.substr(0,b.bitLength()/4);var k=new BigInteger(o,16);if(BigInteger.ZERO.compareTo(a)>0||a.compareTo(b)>0){throw"invalid DSA signature"}if(BigInteger.ZERO.compareTo(t)>=0||t.compareTo(b)>0){throw"invalid DSA signature"}var m=t.modInverse(b);var e=k.multiply(m).mod(b);var c=a.multiply(m).mod(b);var n=j.modPow(e,d).multiply(l.modPow(c,d)).mod(d).mod(b);return n.compareTo(a)==0};this.parseASN1Signature=function(a){try{var d=new BigInteger(ASN1HEX.getVbyList(a,0,[0],"02"),16);var c=new BigInteger(ASN1HEX.getVbyList(a,0,[1],"02"),16);return[d,c]}catch(b){throw"malformed ASN.1 DSA signature"}};this.readPKCS5PrvKeyHex=function(c){var b,a,f,g,i;var j=ASN1HEX;var d=j.getVbyList;if(j.isASN1HEX(c)===false){throw"not ASN.1 hex string"}try{b=d(c,0,[1],"02");a=d(c,0,[2],"02");f=d(c,0,[3],"02");g=d(c,0,[4],"02");i=d(c,0,[5],"02")}catch(e){console.log("EXCEPTION:"+e);throw"malformed PKCS#1/5 plain DSA private key"}this.setPrivateHex(b,a,f,g,i)};this.readPKCS8PrvKeyHex=function(d){var f,c,b,g;var e=ASN1HEX;var i=e.getVbyList;if(e.isASN1HEX(d)===false){throw"not ASN.1 hex string"}try{f=i(d,0,[1,1,0],"02");c=i(d,0,[1,1,1],"02");b=i(d,0,[1,1,2],"02");g=i(d,0,[2,0],"02")}catch(a){console.log("EXCEPTION:"+a);throw"malformed PKCS#8 plain DSA private key"}this.setPrivateHex(f,c,b,null,g)};this.readPKCS8PubKeyHex=function(d){var f,c,b,g;var e=ASN1HEX;var i=e.getVbyList;if(e.isASN1HEX(d)===false){throw"not ASN.1 hex string"}try{f=i(d,0,[0,1,0],"02");c=i(d,0,[0,1,1],"02");b=i(d,0,[0,1,2],"02");g=i(d,0,[1,0],"02")}catch(a){console.log("EXCEPTION:"+a);throw"malformed PKCS#8 DSA public key"}this.setPublicHex(f,c,b,g)};this.readCertPubKeyHex=function(c,f){if(f!==5){f=6}var b,a,g,i;var j=ASN1HEX;var d=j.getVbyList;if(j.isASN1HEX(c)===false){throw"not ASN.1 hex string"}try{b=d(c,0,[0,f,0,1,0],"02");a=d(c,0,[0,f,0,1,1],"02");g=d(c,0,[0,f,0,1,2],"02");i=d(c,0,[0,f,1,0],"02")}catch(e){console.log("EXCEPTION:"+e);throw"malformed X.509 certificate DSA public key"}this.setPublicHex(b,a,g,i)}};
\ No newline at end of file
+if(typeof KJUR=="undefined"||!KJUR)KJUR={};if(typeof KJUR.crypto=="undefined"||!KJUR.crypto)KJUR.crypto={};KJUR.crypto.DSA=function(){this.p=null;this.q=null;this.g=null;this.y=null;this.x=null;this.type="DSA";this.isPrivate=false;this.isPublic=false;this.setPrivate=function(e,r,t,i,a){this.isPrivate=true;this.p=e;this.q=r;this.g=t;this.y=i;this.x=a};this.setPrivateHex=function(e,r,t,i,a){var n,o,s,l,d;n=new BigInteger(e,16);o=new BigInteger(r,16);s=new BigInteger(t,16);if(typeof i==="string"&&i.length>1){l=new BigInteger(i,16)}else{l=null}d=new BigInteger(a,16);this.setPrivate(n,o,s,l,d)};this.setPublic=function(e,r,t,i){this.isPublic=true;this.p=e;this.q=r;this.g=t;this.y=i;this.x=null};this.setPublicHex=function(e,r,t,i){var a,n,o,s;a=new BigInteger(e,16);n=new BigInteger(r,16);o=new BigInteger(t,16);s=new BigInteger(i,16);this.setPublic(a,n,o,s)};this.generateKeyPairHex=function(e,r,t){if(e===undefined){e=this.p;r=this.q;t=this.g}if(e==null||r==null||t==null)throw"DSA: domain parameters are not set";var i=KJUR.crypto.Util.getRandomBigIntegerMinToMax(BigInteger.ONE,r.subtract(BigInteger.ONE));var a=t.modPow(i,e);this.setPrivate(e,r,t,a,i);return{x:i.toString(16),y:a.toString(16)}};this.signWithMessageHash=function(e,r){var t=this.p;var i=this.q;var a=this.g;var n=this.y;var o=this.x;if(r===undefined)r={};var s;if(r.deterministic===false){s=function(){return KJUR.crypto.Util.getRandomBigIntegerMinToMax(BigInteger.ONE.add(BigInteger.ONE),i.subtract(BigInteger.ONE))}}else{s=KJUR.crypto.Util.getRFC6979KGenerator(i,o,e,r.alg)}var l=e.substr(0,i.bitLength()/4);var d=new BigInteger(l,16);do{var u=s();var f=a.modPow(u,t).mod(i);var g=u.modInverse(i).multiply(d.add(o.multiply(f))).mod(i)}while(f.signum()==0||g.signum()==0);var h=KJUR.asn1.ASN1Util.jsonToASN1HEX({seq:[{int:{bigint:f}},{int:{bigint:g}}]});return h};this.verifyWithMessageHash=function(e,r){var t=this.p;var i=this.q;var a=this.g;var n=this.y;var o=this.parseASN1Signature(r);var s=o[0];var l=o[1];var d=e.substr(0,i.bitLength()/4);var u=new BigInteger(d,16);if(BigInteger.ZERO.compareTo(s)>0||s.compareTo(i)>0)throw"invalid DSA signature";if(BigInteger.ZERO.compareTo(l)>=0||l.compareTo(i)>0)throw"invalid DSA signature";var f=l.modInverse(i);var g=u.multiply(f).mod(i);var h=s.multiply(f).mod(i);var v=a.modPow(g,t).multiply(n.modPow(h,t)).mod(t).mod(i);return v.compareTo(s)==0};this.parseASN1Signature=function(e){try{var r=new BigInteger(ASN1HEX.getVbyList(e,0,[0],"02"),16);var t=new BigInteger(ASN1HEX.getVbyList(e,0,[1],"02"),16);return[r,t]}catch(e){throw"malformed ASN.1 DSA signature"}};this.readPKCS5PrvKeyHex=function(e){var r,t,i,a,n;var o=ASN1HEX;var s=o.getVbyList;if(o.isASN1HEX(e)===false)throw"not ASN.1 hex string";try{r=s(e,0,[1],"02");t=s(e,0,[2],"02");i=s(e,0,[3],"02");a=s(e,0,[4],"02");n=s(e,0,[5],"02")}catch(e){console.log("EXCEPTION:"+e);throw"malformed PKCS#1/5 plain DSA private key"}this.setPrivateHex(r,t,i,a,n)};this.readPKCS8PrvKeyHex=function(e){var r,t,i,a;var n=ASN1HEX;var o=n.getVbyList;if(n.isASN1HEX(e)===false)throw"not ASN.1 hex string";try{r=o(e,0,[1,1,0],"02");t=o(e,0,[1,1,1],"02");i=o(e,0,[1,1,2],"02");a=o(e,0,[2,0],"02")}catch(e){console.log("EXCEPTION:"+e);throw"malformed PKCS#8 plain DSA private key"}this.setPrivateHex(r,t,i,null,a)};this.readPKCS8PubKeyHex=function(e){var r,t,i,a;var n=ASN1HEX;var o=n.getVbyList;if(n.isASN1HEX(e)===false)throw"not ASN.1 hex string";try{r=o(e,0,[0,1,0],"02");t=o(e,0,[0,1,1],"02");i=o(e,0,[0,1,2],"02");a=o(e,0,[1,0],"02")}catch(e){console.log("EXCEPTION:"+e);throw"malformed PKCS#8 DSA public key"}this.setPublicHex(r,t,i,a)};this.readCertPubKeyHex=function(e,r){if(r!==5)r=6;var t,i,a,n;var o=ASN1HEX;var s=o.getVbyList;if(o.isASN1HEX(e)===false)throw"not ASN.1 hex string";try{t=s(e,0,[0,r,0,1,0],"02");i=s(e,0,[0,r,0,1,1],"02");a=s(e,0,[0,r,0,1,2],"02");n=s(e,0,[0,r,1,0],"02")}catch(e){console.log("EXCEPTION:"+e);throw"malformed X.509 certificate DSA public key"}this.setPublicHex(t,i,a,n)}};KJUR.crypto.DSA.isProbablePrime=function(e,r){var t=BigInteger.ONE,i=t.add(t);if(e.compareTo(i)<0)return false;var a=lowprimes[lowprimes.length-1];if(e.bitLength()<=10&&e.intValue()<=a){return lowprimes.indexOf(e.intValue())>=0}if(KJUR.crypto.DSA._hasSmallFactor(e))return false;var n=e.subtract(t);var o=n.getLowestSetBit();var s=n.shiftRight(o);for(var l=0;l<r;l++){var d=KJUR.crypto.Util.getRandomBigIntegerMinToMax(i,e.subtract(i));var u=d.modPow(s,e);if(u.equals(t)||u.equals(n))continue;for(var f=1;f<o;f++){u=u.modPowInt(2,e);if(u.equals(n))break;if(u.equals(t))return false}if(!u.equals(n))return false}return KJUR.crypto.DSA._isLucasProbablePrime(e)};KJUR.crypto.DSA._hasSmallFactor=function(e){var r=0;while(r<lowprimes.length){var t=lowprimes[r],i=r+1;while(i<lowprimes.length&&t<lplim)t*=lowprimes[i++];t=e.modInt(t);while(r<i)if(t%lowprimes[r++]==0)return true}return false};KJUR.crypto.DSA._isLucasProbablePrime=function(r){var s=BigInteger.ONE;var e=function(e,r){var t=new BigInteger(String(e<0?-e:e)),i=r,a=1;if(e<0&&i.modInt(4)==3)a=-a;t=t.mod(i);while(t.signum()!=0){while(!t.testBit(0)){t=t.shiftRight(1);var n=i.modInt(8);if(n==3||n==5)a=-a}var o=t;t=i;i=o;if(t.modInt(4)==3&&i.modInt(4)==3)a=-a;t=t.mod(i)}return i.equals(s)?a:0};var t=function(e){var r=s.shiftLeft(e.bitLength()+1>>1);while(true){var t=r.add(e.divide(r)).shiftRight(1);if(t.compareTo(r)>=0)return r;r=t}};var i=t(r);if(i.multiply(i).equals(r))return false;var a=5,n;while((n=e(a,r))!=-1){if(n==0&&r.compareTo(new BigInteger(String(Math.abs(a))))>0)return false;a=a>0?-(a+2):-(a-2)}var o=new BigInteger(String(a<0?-a:a));if(a<0)o=r.subtract(o.mod(r));var l=function(e){if(e.testBit(0))e=e.add(r);return e.shiftRight(1)};var d=r.add(s);var u=s,f=s;for(var g=d.bitLength()-2;g>=0;g--){var h=u.multiply(f).mod(r);var v=l(f.multiply(f).add(o.multiply(u.multiply(u))).mod(r));if(d.testBit(g)){u=l(h.add(v)).mod(r);f=l(v.add(o.multiply(h)).mod(r)).mod(r)}else{u=h;f=v}}return u.signum()==0};KJUR.crypto.DSA._addSeedHex=function(e,r){var t=new BigInteger(e,16).add(new BigInteger(String(r)));var i=t.toString(16);if(i.length>e.length)return i.substr(i.length-e.length);while(i.length<e.length)i="0"+i;return i};KJUR.crypto.DSA._hashSeedsToBigInteger=function(e,r,t){var i=KJUR.crypto.Util.hashHex;var a="";for(var n=r;n>=0;n--){a+=i(KJUR.crypto.DSA._addSeedHex(e,n),t)}return new BigInteger(a,16)};KJUR.crypto.DSA.getSTRandomPrime=function(e,r,t){var i=KJUR.crypto.DSA,a=i._addSeedHex,n=i._hashSeedsToBigInteger,o=KJUR.crypto.Util.hashHex,s=BigInteger.ONE,l=s.add(s);if(e<2)throw"ST random prime: invalid length: "+e;if(e<33){var d=r;var u=0;while(true){var f=o(d,t);var g=o(a(d,1),t);var h=new BigInteger(f,16).xor(new BigInteger(g,16));h=s.shiftLeft(e-1).add(h.mod(s.shiftLeft(e-1)));h=h.setBit(0);u++;d=a(d,2);var v=parseInt(h.toString(16),16);var c=v>1;for(var m=2;m*m<=v;m++){if(v%m==0){c=false;break}}if(c)return{prime:h,seed:d,counter:u};if(u>4*e)throw"ST random prime: failed to generate prime"}}var p=i.getSTRandomPrime(Math.ceil(e/2)+1,r,t);var S=p.prime;var d=p.seed;var u=p.counter;var b=o("",t).length*4;var w=Math.ceil(e/b)-1;var y=u;var P=n(d,w,t);d=a(d,w+1);var I=s.shiftLeft(e-1);P=I.add(P.mod(I));var A=S.shiftLeft(1);var B=function(e,r){var t=e.divideAndRemainder(r);return t[1].signum()==0?t[0]:t[0].add(s)};var R=B(P,A);while(true){if(A.multiply(R).add(s).compareTo(s.shiftLeft(e))>0)R=B(I,A);var h=A.multiply(R).add(s);u++;var U=n(d,w,t);d=a(d,w+1);if(!i._hasSmallFactor(h)){U=l.add(U.mod(h.subtract(new BigInteger("3"))));var K=U.modPow(R.shiftLeft(1),h);if(K.subtract(s).gcd(h).equals(s)&&K.modPow(S,h).equals(s))return{prime:h,seed:d,counter:u}}if(u>=4*e+y)throw"ST random prime: failed to generate prime";R=R.add(s)}};KJUR.crypto.DSA._LN={"1024/160":[3,19],"2048/224":[3,24],"2048/256":[3,27],"3072/256":[2,27]};KJUR.crypto.DSA._generateProbablePQ=function(e,r,t,i,a){var n=KJUR.crypto.DSA,o=n._addSeedHex,s=KJUR.crypto.Util.hashHex,l=n.isProbablePrime,d=BigInteger.ONE,u=n._LN[e+"/"+r];var f=s("",i).length*4;var g=Math.ceil(e/f)-1;var h=e-1-g*f;var v=new BigInteger(s(t,i),16).mod(d.shiftLeft(r-1));var c=d.shiftLeft(r-1).add(v).setBit(0);if(!l(c,u[1]))return null;var m=c.shiftLeft(1);var p=d.shiftLeft(e-1);var S=1;if(a===undefined)a=4*e-1;for(var b=0;b<=a;b++){var w="";for(var y=g;y>=0;y--){w+=s(o(t,S+y),i)}var P=new BigInteger(w,16).mod(d.shiftLeft(g*f+h));var I=P.add(p);var A=I.subtract(I.mod(m).subtract(d));if(A.compareTo(p)>=0&&l(A,u[0]))return{p:A,q:c,counter:b};S+=g+1}return{p:null,q:c,counter:b}};KJUR.crypto.DSA._generateProvablePQ=function(e,r,t,i){var a=KJUR.crypto.DSA,n=a._addSeedHex,o=a._hashSeedsToBigInteger,s=KJUR.crypto.Util.hashHex,l=BigInteger.ONE,d=l.add(l);var u=a.getSTRandomPrime(r,t,i);var f=u.prime;var g=a.getSTRandomPrime(Math.ceil(e/2+1),u.seed,i);var h=g.prime;var v=g.seed;var c=g.counter;var m=s("",i).length*4;var p=Math.ceil(e/m)-1;var S=c;var b=o(v,p,i);v=n(v,p+1);var w=l.shiftLeft(e-1);b=w.add(b.mod(w));var y=f.multiply(h).shiftLeft(1);var P=function(e,r){var t=e.divideAndRemainder(r);return t[1].signum()==0?t[0]:t[0].add(l)};var I=P(b,y);while(true){if(y.multiply(I).add(l).compareTo(l.shiftLeft(e))>0)I=P(w,y);var A=y.multiply(I).add(l);c++;var B=o(v,p,i);v=n(v,p+1);if(!a._hasSmallFactor(A)){B=d.add(B.mod(A.subtract(new BigInteger("3"))));var R=B.modPow(I.multiply(f).shiftLeft(1),A);if(R.subtract(l).gcd(A).equals(l)&&R.modPow(h,A).equals(l))return{p:A,q:f,pseed:v,qseed:u.seed,counter:c,qcounter:u.counter}}if(c>4*e+S)throw"DSA: failed to generate provable prime p";I=I.add(l)}};KJUR.crypto.DSA._generateCanonicalG=function(e,r,t,i,a){var n=KJUR.crypto.Util.hashHex;var o=e.subtract(BigInteger.ONE).divide(r);var s=("0"+i.toString(16)).slice(-2);for(var l=1;l<65536;l++){var d=("000"+l.toString(16)).slice(-4);var u=new BigInteger(n(t+"6767656e"+s+d,a),16);var f=u.modPow(o,e);if(f.compareTo(BigInteger.ONE)>0)return f}throw"DSA: failed to generate generator g"};KJUR.crypto.DSA.generateParameters=function(e,r,t){var i=KJUR.crypto.DSA,a=KJUR.crypto.Util.getRandomBigIntegerOfNbits;if(t===undefined)t={};var n=t.method===undefined?"probable":t.method;var o=t.alg===undefined?"sha256":t.alg;var s=t.index===undefined?1:t.index;if([2048,3072].indexOf(e)==-1||i._LN[e+"/"+r]===undefined)throw"DSA: unsupported L and N: "+e+"/"+r;if(KJUR.crypto.Util.hashHex("",o).length*4<r)throw"DSA: hash output length shall be N bits or more: "+o;if(typeof s!="number"||s<0||s>255)throw"DSA: invalid index: "+s;if(n!="probable"&&n!="provable")throw"DSA: unsupported method: "+n;if(t.seed!==undefined&&t.seed.length*4<r)throw"DSA: seed shall be N bits or more";var l=function(){var e=a(r).setBit(r-1);return e.toString(16)};var d={method:n,alg:o,index:s};if(n=="probable"){while(true){var u=t.seed!==undefined?t.seed:l();var f=i._generateProbablePQ(e,r,u,o);if(f!=null&&f.p!=null)break;if(t.seed!==undefined)throw"DSA: can't generate primes from the seed"}d.p=f.p;d.q=f.q;d.seed=u;d.counter=f.counter;var g=u}else{var u=t.seed!==undefined?t.seed:l();if(new BigInteger(u,16).bitLength()<r)throw"DSA: firstseed shall be 2^(N-1) or more";var f=i._generateProvablePQ(e,r,u,o);d.p=f.p;d.q=f.q;d.seed=u;d.pseed=f.pseed;d.qseed=f.qseed;d.counter=f.counter;d.qcounter=f.qcounter;var g=u+f.pseed+f.qseed}d.g=i._generateCanonicalG(d.p,d.q,g,s,o);return d};KJUR.crypto.DSA.validateParameters=function(e,r,t,i){var a=KJUR.crypto.DSA,n=BigInteger.ONE;if(i===undefined)i={};var o=i.method===undefined?"probable":i.method;var s=i.alg===undefined?"sha256":i.alg;var l=e.bitLength();var d=r.bitLength();var u=a._LN[l+"/"+d];if(u===undefined)return false;if(i.seed!==undefined&&i.counter!==undefined){var f=i.seed;if(f.length*4<d)return false;if(KJUR.crypto.Util.hashHex("",s).length*4<d)return false;if(o=="probable"){if(i.counter>4*l-1)return false;var g=a._generateProbablePQ(l,d,f,s,i.counter);if(g==null||g.p==null)return false;if(!g.q.equals(r)||!g.p.equals(e)||g.counter!=i.counter)return false;var h=f}else if(o=="provable"){if(new BigInteger(f,16).bitLength()<d)return false;try{var g=a._generateProvablePQ(l,d,f,s)}catch(e){return false}if(!g.q.equals(r)||!g.p.equals(e)||g.counter!=i.counter||g.qcounter!=i.qcounter||g.pseed!=i.pseed||g.qseed!=i.qseed)return false;var h=f+g.pseed+g.qseed}else{return false}}else{if(!a.isProbablePrime(r,u[1]))return false;if(!a.isProbablePrime(e,u[0]))return false;if(e.subtract(n).mod(r).signum()!=0)return false}if(t.compareTo(n)<=0||t.compareTo(e.subtract(n))>0)return false;if(!t.modPow(r,e).equals(n))return false;if(i.index!==undefined&&h!==undefined){var v=a._generateCanonicalG(e,r,h,i.index,s);if(!v.equals(t))return false}return true};
\ No newline at end of file
@@ -1 +1 @@
-if(typeof KJUR=="undefined"||!KJUR){KJUR={}}if(typeof KJUR.crypto=="undefined"||!KJUR.crypto){KJUR.crypto={}}KJUR.crypto.ECDSA=function(h){var e="secp256r1";var g=null;var b=null;var f=null;var a=new SecureRandom();var d=null;this.type="EC";this.isPrivate=false;this.isPublic=false;function c(s,o,r,n){var j=Math.max(o.bitLength(),n.bitLength());var t=s.add2D(r);var q=s.curve.getInfinity();for(var p=j-1;p>=0;--p){q=q.twice2D();q.z=BigInteger.ONE;if(o.testBit(p)){if(n.testBit(p)){q=q.add2D(t)}else{q=q.add2D(s)}}else{if(n.testBit(p)){q=q.add2D(r)}}}return q}this.getBigRandom=function(i){return new BigInteger(i.bitLength(),a).mod(i.subtract(BigInteger.ONE)).add(BigInteger.ONE)};this.setNamedCurve=function(i){this.ecparams=KJUR.crypto.ECParameterDB.getByName(i);this.prvKeyHex=null;this.pubKeyHex=null;this.curveName=i};this.setPrivateKeyHex=function(i){this.isPrivate=true;this.prvKeyHex=i};this.setPublicKeyHex=function(i){this.isPublic=true;this.pubKeyHex=i};this.getPublicKeyXYHex=function(){var k=this.pubKeyHex;if(k.substr(0,2)!=="04"){throw"this method supports uncompressed format(04) only"}var j=this.ecparams.keylen/4;if(k.length!==2+j*2){throw"malformed public key hex length"}var i={};i.x=k.substr(2,j);i.y=k.substr(2+j);return i};this.getShortNISTPCurveName=function(){var i=this.curveName;if(i==="secp256r1"||i==="NIST P-256"||i==="P-256"||i==="prime256v1"){return"P-256"}if(i==="secp384r1"||i==="NIST P-384"||i==="P-384"){return"P-384"}return null};this.generateKeyPairHex=function(){var k=this.ecparams.n;var n=this.getBigRandom(k);var l=this.ecparams.G.multiply(n);var q=l.getX().toBigInteger();var o=l.getY().toBigInteger();var i=this.ecparams.keylen/4;var m=("0000000000"+n.toString(16)).slice(-i);var r=("0000000000"+q.toString(16)).slice(-i);var p=("0000000000"+o.toString(16)).slice(-i);var j="04"+r+p;this.setPrivateKeyHex(m);this.setPublicKeyHex(j);return{ecprvhex:m,ecpubhex:j}};this.signWithMessageHash=function(i){return this.signHex(i,this.prvKeyHex)};this.signHex=function(o,j){var t=new BigInteger(j,16);var l=this.ecparams.n;var q=new BigInteger(o,16);do{var m=this.getBigRandom(l);var u=this.ecparams.G;var p=u.multiply(m);var i=p.getX().toBigInteger().mod(l)}while(i.compareTo(BigInteger.ZERO)<=0);var v=m.modInverse(l).multiply(q.add(t.multiply(i))).mod(l);return KJUR.crypto.ECDSA.biRSSigToASN1Sig(i,v)};this.sign=function(m,u){var q=u;var j=this.ecparams.n;var p=BigInteger.fromByteArrayUnsigned(m);do{var l=this.getBigRandom(j);var t=this.ecparams.G;var o=t.multiply(l);var i=o.getX().toBigInteger().mod(j)}while(i.compareTo(BigInteger.ZERO)<=0);var v=l.modInverse(j).multiply(p.add(q.multiply(i))).mod(j);return this.serializeSig(i,v)};this.verifyWithMessageHash=function(j,i){return this.verifyHex(j,i,this.pubKeyHex)};this.verifyHex=function(m,i,p){var l,j;var o=KJUR.crypto.ECDSA.parseSigHex(i);l=o.r;j=o.s;var k;k=ECPointFp.decodeFromHex(this.ecparams.curve,p);var n=new BigInteger(m,16);return this.verifyRaw(n,l,j,k)};this.verify=function(o,p,j){var l,i;if(Bitcoin.Util.isArray(p)){var n=this.parseSig(p);l=n.r;i=n.s}else{if("object"===typeof p&&p.r&&p.s){l=p.r;i=p.s}else{throw"Invalid value for signature"}}var k;if(j instanceof ECPointFp){k=j}else{if(Bitcoin.Util.isArray(j)){k=ECPointFp.decodeFrom(this.ecparams.curve,j)}else{throw"Invalid format for pubkey value, must be byte array or ECPointFp"}}var m=BigInteger.fromByteArrayUnsigned(o);return this.verifyRaw(m,l,i,k)};this.verifyRaw=function(o,i,w,m){var l=this.ecparams.n;var u=this.ecparams.G;if(i.compareTo(BigInteger.ONE)<0||i.compareTo(l)>=0){return false}if(w.compareTo(BigInteger.ONE)<0||w.compareTo(l)>=0){return false}var p=w.modInverse(l);var k=o.multiply(p).mod(l);var j=i.multiply(p).mod(l);var q=u.multiply(k).add(m.multiply(j));var t=q.getX().toBigInteger().mod(l);return t.equals(i)};this.serializeSig=function(k,j){var l=k.toByteArraySigned();var i=j.toByteArraySigned();var m=[];m.push(2);m.push(l.length);m=m.concat(l);m.push(2);m.push(i.length);m=m.concat(i);m.unshift(m.length);m.unshift(48);return m};this.parseSig=function(n){var m;if(n[0]!=48){throw new Error("Signature not a valid DERSequence")}m=2;if(n[m]!=2){throw new Error("First element in signature must be a DERInteger")}var l=n.slice(m+2,m+2+n[m+1]);m+=2+n[m+1];if(n[m]!=2){throw new Error("Second element in signature must be a DERInteger")}var i=n.slice(m+2,m+2+n[m+1]);m+=2+n[m+1];var k=BigInteger.fromByteArrayUnsigned(l);var j=BigInteger.fromByteArrayUnsigned(i);return{r:k,s:j}};this.parseSigCompact=function(m){if(m.length!==65){throw"Signature has the wrong length"}var j=m[0]-27;if(j<0||j>7){throw"Invalid signature type"}var o=this.ecparams.n;var l=BigInteger.fromByteArrayUnsigned(m.slice(1,33)).mod(o);var k=BigInteger.fromByteArrayUnsigned(m.slice(33,65)).mod(o);return{r:l,s:k,i:j}};this.readPKCS5PrvKeyHex=function(l){var n=ASN1HEX;var m=KJUR.crypto.ECDSA.getName;var p=n.getVbyList;if(n.isASN1HEX(l)===false){throw"not ASN.1 hex string"}var i,k,o;try{i=p(l,0,[2,0],"06");k=p(l,0,[1],"04");try{o=p(l,0,[3,0],"03").substr(2)}catch(j){}}catch(j){throw"malformed PKCS#1/5 plain ECC private key"}this.curveName=m(i);if(this.curveName===undefined){throw"unsupported curve name"}this.setNamedCurve(this.curveName);this.setPublicKeyHex(o);this.setPrivateKeyHex(k);this.isPublic=false};this.readPKCS8PrvKeyHex=function(l){var q=ASN1HEX;var i=KJUR.crypto.ECDSA.getName;var n=q.getVbyList;if(q.isASN1HEX(l)===false){throw"not ASN.1 hex string"}var j,p,m,k;try{j=n(l,0,[1,0],"06");p=n(l,0,[1,1],"06");m=n(l,0,[2,0,1],"04");try{k=n(l,0,[2,0,2,0],"03").substr(2)}catch(o){}}catch(o){throw"malformed PKCS#8 plain ECC private key"}this.curveName=i(p);if(this.curveName===undefined){throw"unsupported curve name"}this.setNamedCurve(this.curveName);this.setPublicKeyHex(k);this.setPrivateKeyHex(m);this.isPublic=false};this.readPKCS8PubKeyHex=function(l){var n=ASN1HEX;var m=KJUR.crypto.ECDSA.getName;var p=n.getVbyList;if(n.isASN1HEX(l)===false){throw"not ASN.1 hex string"}var k,i,o;try{k=p(l,0,[0,0],"06");i=p(l,0,[0,1],"06");o=p(l,0,[1],"03").substr(2)}catch(j){throw"malformed PKCS#8 ECC public key"}this.curveName=m(i);if(this.curveName===null){throw"unsupported curve name"}this.setNamedCurve(this.curveName);this.setPublicKeyHex(o)};this.readCertPubKeyHex=function(k,p){if(p!==5){p=6}var m=ASN1HEX;var l=KJUR.crypto.ECDSA.getName;var o=m.getVbyList;if(m.isASN1HEX(k)===false){throw"not ASN.1 hex string"}var i,n;try{i=o(k,0,[0,p,0,1],"06");n=o(k,0,[0,p,1],"03").substr(2)}catch(j){throw"malformed X.509 certificate ECC public key"}this.curveName=l(i);if(this.curveName===null){throw"unsupported curve name"}this.setNamedCurve(this.curveName);this.setPublicKeyHex(n)};if(h!==undefined){if(h.curve!==undefined){this.curveName=h.curve}}if(this.curveName===undefined){this.curveName=e}this.setNamedCurve(this.curveName);if(h!==undefined){if(h.prv!==undefined){this.setPrivateKeyHex(h.prv)}if(h.pub!==undefined){this.setPublicKeyHex(h.pub)}}};KJUR.crypto.ECDSA.parseSigHex=function(a){var b=KJUR.crypto.ECDSA.parseSigHexInHexRS(a);var d=new BigInteger(b.r,16);var c=new BigInteger(b.s,16);return{r:d,s:c}};KJUR.crypto.ECDSA.parseSigHexInHexRS=function(f){var j=ASN1HEX;var i=j.getChildIdx;var g=j.getV;if(f.substr(0,2)!="30"){throw"signature is not a ASN.1 sequence"}var h=i(f,0);if(h.length!=2){throw"number of signature ASN.1 sequence elements seem wrong"}var e=h[0];var d=h[1];if(f.substr(e,2)!="02"){throw"1st item of sequene of signature is not ASN.1 integer"}if(f.substr(d,2)!="02"){throw"2nd item of sequene of signature is not ASN.1 integer"}var c=g(f,e);var b=g(f,d);return{r:c,s:b}};KJUR.crypto.ECDSA.asn1SigToConcatSig=function(c){var d=KJUR.crypto.ECDSA.parseSigHexInHexRS(c);var b=d.r;var a=d.s;if(b.substr(0,2)=="00"&&(((b.length/2)*8)%(16*8))==8){b=b.substr(2)}if(a.substr(0,2)=="00"&&(((a.length/2)*8)%(16*8))==8){a=a.substr(2)}if((((b.length/2)*8)%(16*8))!=0){throw"unknown ECDSA sig r length error"}if((((a.length/2)*8)%(16*8))!=0){throw"unknown ECDSA sig s length error"}return b+a};KJUR.crypto.ECDSA.concatSigToASN1Sig=function(a){if((((a.length/2)*8)%(16*8))!=0){throw"unknown ECDSA concatinated r-s sig  length error"}var c=a.substr(0,a.length/2);var b=a.substr(a.length/2);return KJUR.crypto.ECDSA.hexRSSigToASN1Sig(c,b)};KJUR.crypto.ECDSA.hexRSSigToASN1Sig=function(b,a){var d=new BigInteger(b,16);var c=new BigInteger(a,16);return KJUR.crypto.ECDSA.biRSSigToASN1Sig(d,c)};KJUR.crypto.ECDSA.biRSSigToASN1Sig=function(f,d){var c=KJUR.asn1;var b=new c.DERInteger({bigint:f});var a=new c.DERInteger({bigint:d});var e=new c.DERSequence({array:[b,a]});return e.getEncodedHex()};KJUR.crypto.ECDSA.getName=function(a){if(a==="2a8648ce3d030107"){return"secp256r1"}if(a==="2b8104000a"){return"secp256k1"}if(a==="2b81040022"){return"secp384r1"}if("|secp256r1|NIST P-256|P-256|prime256v1|".indexOf(a)!==-1){return"secp256r1"}if("|secp256k1|".indexOf(a)!==-1){return"secp256k1"}if("|secp384r1|NIST P-384|P-384|".indexOf(a)!==-1){return"secp384r1"}return null};
\ No newline at end of file
+if(typeof KJUR=="undefined"||!KJUR)KJUR={};if(typeof KJUR.crypto=="undefined"||!KJUR.crypto)KJUR.crypto={};KJUR.crypto.ECDSA=function(e){var r="secp256r1";var t=null;var i=null;var n=null;var a=new SecureRandom;var s=null;this.type="EC";this.isPrivate=false;this.isPublic=false;this.compressed=false;function o(e,r,t,i){var n=Math.max(r.bitLength(),i.bitLength());var a=e.add2D(t);var s=e.curve.getInfinity();for(var o=n-1;o>=0;--o){s=s.twice2D();s.z=BigInteger.ONE;if(r.testBit(o)){if(i.testBit(o)){s=s.add2D(a)}else{s=s.add2D(e)}}else{if(i.testBit(o)){s=s.add2D(t)}}}return s}function c(e,r,t,i){if(i===undefined)i={};var n=new BigInteger(t,16);var a=e.ecparams["n"];var s=e.ecparams["G"];var o=e.getHashBigInteger(r);var u;if(i.deterministic===false){u=function(){return e.getBigRandom(a)}}else{u=KJUR.crypto.Util.getRFC6979KGenerator(a,n,r,i.alg)}do{var c=u();var h=s.multiply(c);var g=h.getX().toBigInteger();var v=g.mod(a);var l=v.signum()==0?v:c.modInverse(a).multiply(o.add(n.multiply(v))).mod(a)}while(v.signum()==0||l.signum()==0);var f=(h.getY().toBigInteger().testBit(0)?1:0)|(g.compareTo(a)>=0?2:0);if(i.lowS===true&&l.compareTo(a.shiftRight(1))>0){l=a.subtract(l);f^=1}return{r:v,s:l,i:f}}this.getBigRandom=function(e){return new BigInteger(e.bitLength(),a).mod(e.subtract(BigInteger.ONE)).add(BigInteger.ONE)};this.setNamedCurve=function(e){this.ecparams=KJUR.crypto.ECParameterDB.getByName(e);this.prvKeyHex=null;this.pubKeyHex=null;this.curveName=e};this.setPrivateKeyHex=function(e){this.isPrivate=true;this.prvKeyHex=e};this.setPublicKeyHex=function(e){if(typeof e=="string"&&(e.substr(0,2)=="02"||e.substr(0,2)=="03")){var r=this.ecparams["curve"];var t=Math.ceil(this.ecparams["keylen"]/8)*2;var i=null;if(e.length==2+t)i=r.decodePointHex(e);if(i==null)throw"invalid compressed EC public key";e=r.encodePointHex(i,false);this.compressed=true}this.isPublic=true;this.pubKeyHex=e};this.getPublicKeyHex=function(e){if(e===undefined)e=this.compressed;if(e!==true)return this.pubKeyHex;var r=this.ecparams["curve"];return r.encodePointHex(r.decodePointHex(this.pubKeyHex),true)};this.getPublicKeyXYHex=function(){var e=this.pubKeyHex;if(e.substr(0,2)!=="04")throw"this method supports uncompressed format(04) only";var r=Math.ceil(this.ecparams.keylen/8)*2;if(e.length!==2+r*2)throw"malformed public key hex length";var t={};t.x=e.substr(2,r);t.y=e.substr(2+r);return t};this.getShortNISTPCurveName=function(){var e=this.curveName;if(e==="secp256r1"||e==="NIST P-256"||e==="P-256"||e==="prime256v1")return"P-256";if(e==="secp384r1"||e==="NIST P-384"||e==="P-384")return"P-384";if(e==="secp521r1"||e==="NIST P-521"||e==="P-521")return"P-521";return null};this.generateKeyPairHex=function(){var e=this.ecparams["n"];var r=this.getBigRandom(e);var t=this.ecparams["G"].multiply(r);var i=t.getX().toBigInteger();var n=t.getY().toBigInteger();var a=Math.ceil(this.ecparams["keylen"]/8)*2;var s=("0000000000"+r.toString(16)).slice(-a);var o=("0000000000"+i.toString(16)).slice(-a);var u=("0000000000"+n.toString(16)).slice(-a);var c="04"+o+u;this.setPrivateKeyHex(s);this.setPublicKeyHex(c);return{ecprvhex:s,ecpubhex:c}};this.getHashBigInteger=function(e){var r=new BigInteger(e,16);var t=this.ecparams["n"].bitLength();var i=e.length*4;if(i>t)r=r.shiftRight(i-t);return r};this.signWithMessageHash=function(e,r){return this.signHex(e,this.prvKeyHex,r)};this.signHex=function(e,r,t){var i=c(this,e,r,t);return KJUR.crypto.ECDSA.biRSSigToASN1Sig(i.r,i.s)};this.signCompactHex=function(e,r,t){if(t===undefined)t={};var i={lowS:true,deterministic:t.deterministic,alg:t.alg};var n=c(this,e,r,i);var a=t.compressed!==undefined?t.compressed===true:this.compressed;var s=Math.ceil(this.ecparams["keylen"]/8)*2;var o=n.r.toString(16);var u=n.s.toString(16);while(o.length<s)o="0"+o;while(u.length<s)u="0"+u;if(t.format==="ethereum"){return o+u+(27+n.i).toString(16)}else if(t.format===undefined||t.format==="bitcoin"){return(27+n.i+(a?4:0)).toString(16)+o+u}throw"unsupported compact signature format: "+t.format};this.signWithMessageHashCompact=function(e,r){return this.signCompactHex(e,this.prvKeyHex,r)};this.sign=function(e,r){var t=r;var i=this.ecparams["n"];var n=BigInteger.fromByteArrayUnsigned(e);do{var a=this.getBigRandom(i);var s=this.ecparams["G"];var o=s.multiply(a);var u=o.getX().toBigInteger().mod(i)}while(u.compareTo(BigInteger.ZERO)<=0);var c=a.modInverse(i).multiply(n.add(t.multiply(u))).mod(i);return this.serializeSig(u,c)};this.verifyWithMessageHash=function(e,r,t){return this.verifyHex(e,r,this.pubKeyHex,t)};this.verifyHex=function(e,r,t,i){var n,a;var s=KJUR.crypto.ECDSA.parseSigHex(r);n=s.r;a=s.s;if(i!==undefined&&i.lowS===true&&a.compareTo(this.ecparams["n"].shiftRight(1))>0)return false;var o;o=ECPointFp.decodeFromHex(this.ecparams["curve"],t);if(o==null)return false;var u=this.getHashBigInteger(e);return this.verifyRaw(u,n,a,o)};this.verify=function(e,r,t){var i,n;if(Bitcoin.Util.isArray(r)){var a=this.parseSig(r);i=a.r;n=a.s}else if("object"===typeof r&&r.r&&r.s){i=r.r;n=r.s}else{throw"Invalid value for signature"}var s;if(t instanceof ECPointFp){s=t}else if(Bitcoin.Util.isArray(t)){s=ECPointFp.decodeFrom(this.ecparams["curve"],t)}else{throw"Invalid format for pubkey value, must be byte array or ECPointFp"}var o=BigInteger.fromByteArrayUnsigned(e);return this.verifyRaw(o,i,n,s)};this.verifyRaw=function(e,r,t,i){var n=this.ecparams["n"];var a=this.ecparams["G"];if(r.compareTo(BigInteger.ONE)<0||r.compareTo(n)>=0)return false;if(t.compareTo(BigInteger.ONE)<0||t.compareTo(n)>=0)return false;var s=t.modInverse(n);var o=e.multiply(s).mod(n);var u=r.multiply(s).mod(n);var c=a.multiplyTwo(o,i,u);var h=c.getX().toBigInteger().mod(n);return h.equals(r)};this.serializeSig=function(e,r){var t=e.toByteArraySigned();var i=r.toByteArraySigned();var n=[];n.push(2);n.push(t.length);n=n.concat(t);n.push(2);n.push(i.length);n=n.concat(i);n.unshift(n.length);n.unshift(48);return n};this.parseSig=function(e){var r;if(e[0]!=48)throw new Error("Signature not a valid DERSequence");r=2;if(e[r]!=2)throw new Error("First element in signature must be a DERInteger");var t=e.slice(r+2,r+2+e[r+1]);r+=2+e[r+1];if(e[r]!=2)throw new Error("Second element in signature must be a DERInteger");var i=e.slice(r+2,r+2+e[r+1]);r+=2+e[r+1];var n=BigInteger.fromByteArrayUnsigned(t);var a=BigInteger.fromByteArrayUnsigned(i);return{r:n,s:a}};this.parseSigCompact=function(e){if(e.length!==65){throw"Signature has the wrong length"}var r=e[0]-27;if(r<0||r>7){throw"Invalid signature type"}var t=this.ecparams["n"];var i=new BigInteger(BAtohex(e.slice(1,33)),16).mod(t);var n=new BigInteger(BAtohex(e.slice(33,65)),16).mod(t);return{r:i,s:n,i:r}};this.recoverPublicKey=function(e,r,t,i){var n=this.ecparams["n"];var a=this.ecparams["G"];var s=this.ecparams["curve"];if(typeof i!="number"||i<0||i>3)throw"invalid recovery id: "+i;if(r.compareTo(BigInteger.ONE)<0||r.compareTo(n)>=0||t.compareTo(BigInteger.ONE)<0||t.compareTo(n)>=0)throw"invalid signature value for public key recovery";var o=i&2?r.add(n):r;var u=Math.ceil(this.ecparams["keylen"]/8)*2;var c=o.toString(16);var h=null;if(c.length<=u){while(c.length<u)c="0"+c;h=s.decodePointHex((i&1?"03":"02")+c)}if(h==null)throw"public key can't be recovered for recovery id "+i;var g=this.getHashBigInteger(e);var v=r.modInverse(n);var l=n.subtract(g).multiply(v).mod(n);var f=t.multiply(v).mod(n);var p=a.multiplyTwo(l,h,f);if(p.isInfinity())throw"public key can't be recovered for recovery id "+i;return s.encodePointHex(p,false)};this.recoverPublicKeyCompactHex=function(e,r,t){var i=KJUR.crypto.ECDSA.parseSigCompactHex(r,t);var n=this.recoverPublicKey(e,i.r,i.s,i.i);if(i.compressed!==true)return n;var a=this.ecparams["curve"];return a.encodePointHex(a.decodePointHex(n),true)};this.readPKCS5PrvKeyHex=function(e){var r=ASN1HEX;var t=KJUR.crypto.ECDSA.getName;var i=r.getVbyList;if(r.isASN1HEX(e)===false)throw"not ASN.1 hex string";var n,a,s;try{n=i(e,0,[2,0],"06");a=i(e,0,[1],"04");try{s=i(e,0,[3,0],"03").substr(2)}catch(e){}}catch(e){throw"malformed PKCS#1/5 plain ECC private key"}this.curveName=t(n);if(this.curveName===undefined)throw"unsupported curve name";this.setNamedCurve(this.curveName);this.setPublicKeyHex(s);this.setPrivateKeyHex(a);this.isPublic=false};this.readPKCS8PrvKeyHex=function(e){var r=ASN1HEX;var t=KJUR.crypto.ECDSA.getName;var i=r.getVbyList;if(r.isASN1HEX(e)===false)throw"not ASN.1 hex string";var n,a,s,o;try{n=i(e,0,[1,0],"06");a=i(e,0,[1,1],"06");s=i(e,0,[2,0,1],"04");try{o=i(e,0,[2,0,2,0],"03").substr(2)}catch(e){}}catch(e){throw"malformed PKCS#8 plain ECC private key"}this.curveName=t(a);if(this.curveName===undefined)throw"unsupported curve name";this.setNamedCurve(this.curveName);this.setPublicKeyHex(o);this.setPrivateKeyHex(s);this.isPublic=false};this.readPKCS8PubKeyHex=function(e){var r=ASN1HEX;var t=KJUR.crypto.ECDSA.getName;var i=r.getVbyList;if(r.isASN1HEX(e)===false)throw"not ASN.1 hex string";var n,a,s;try{n=i(e,0,[0,0],"06");a=i(e,0,[0,1],"06");s=i(e,0,[1],"03").substr(2)}catch(e){throw"malformed PKCS#8 ECC public key"}this.curveName=t(a);if(this.curveName===null)throw"unsupported curve name";this.setNamedCurve(this.curveName);this.setPublicKeyHex(s)};this.readCertPubKeyHex=function(e,r){if(r!==5)r=6;var t=ASN1HEX;var i=KJUR.crypto.ECDSA.getName;var n=t.getVbyList;if(t.isASN1HEX(e)===false)throw"not ASN.1 hex string";var a,s;try{a=n(e,0,[0,r,0,1],"06");s=n(e,0,[0,r,1],"03").substr(2)}catch(e){throw"malformed X.509 certificate ECC public key"}this.curveName=i(a);if(this.curveName===null)throw"unsupported curve name";this.setNamedCurve(this.curveName);this.setPublicKeyHex(s)};this.computeSharedSecretHex=function(e){var r=KJUR.crypto.ECDSA;if(!this.isPrivate||typeof this.prvKeyHex!="string")throw"ECDH: private key is not set";var t=e;if(e instanceof r){if(e.ecparams.name!==this.ecparams.name)throw"ECDH: curve mismatch: "+e.ecparams.name;t=e.pubKeyHex}if(typeof t!="string"||!r.isValidPublicKeyHex(t,this.ecparams.name))throw"ECDH: invalid public key for "+this.ecparams.name;var i=ECPointFp.decodeFromHex(this.ecparams.curve,t);var n=new BigInteger(this.prvKeyHex,16);var a=i.multiply(n);if(a.isInfinity())throw"ECDH: shared point is infinity";var s=Math.ceil(this.ecparams.keylen/8)*2;var o=a.getX().toBigInteger().toString(16);while(o.length<s)o="0"+o;return o};if(e!==undefined){if(e["curve"]!==undefined){this.curveName=e["curve"]}}if(this.curveName===undefined)this.curveName=r;this.setNamedCurve(this.curveName);if(e!==undefined){if(e.prv!==undefined)this.setPrivateKeyHex(e.prv);if(e.pub!==undefined)this.setPublicKeyHex(e.pub);if(e.compress!==undefined)this.compressed=e.compress===true}};KJUR.crypto.ECDSA.parseSigHex=function(e){var r=KJUR.crypto.ECDSA.parseSigHexInHexRS(e);var t=new BigInteger(r.r,16);var i=new BigInteger(r.s,16);return{r:t,s:i}};KJUR.crypto.ECDSA.parseSigHexInHexRS=function(e){var r=ASN1HEX;var t=r.getChildIdx;var i=r.getV;if(e.substr(0,2)!="30")throw"signature is not a ASN.1 sequence";var n=t(e,0);if(n.length!=2)throw"number of signature ASN.1 sequence elements seem wrong";var a=n[0];var s=n[1];if(e.substr(a,2)!="02")throw"1st item of sequene of signature is not ASN.1 integer";if(e.substr(s,2)!="02")throw"2nd item of sequene of signature is not ASN.1 integer";var o=i(e,a);var u=i(e,s);return{r:o,s:u}};KJUR.crypto.ECDSA.parseSigCompactHex=function(e,r){if(typeof e!="string"||e.length%4!=2||e.length<6||!e.match(/^[0-9a-fA-F]+$/))throw"malformed compact signature";var t=(e.length-2)/2;var i,n;if(r==="ethereum"){n=e.substr(0,t*2);i=e.substr(t*2)}else if(r===undefined||r==="bitcoin"){i=e.substr(0,2);n=e.substr(2)}else{throw"unsupported compact signature format: "+r}var a=parseInt(i,16);var s,o=false;if(r==="ethereum"){if(a>=27)a-=27;if(a<0||a>1)throw"invalid compact signature v value: "+i;s=a}else{s=a-27;if(s<0||s>7)throw"invalid compact signature header: "+i;o=s>=4;s=s&3}return{r:new BigInteger(n.substr(0,t),16),s:new BigInteger(n.substr(t),16),i:s,compressed:o}};KJUR.crypto.ECDSA.asn1SigToConcatSig=function(e,r){var t=KJUR.crypto.ECDSA.parseSigHexInHexRS(e);var i=t.r.replace(/^(00)+/,"");var n=t.s.replace(/^(00)+/,"");if(i.length%2!=0)i="0"+i;if(n.length%2!=0)n="0"+n;var a;if(r!==undefined){a=Math.ceil(r/8)*2}else{var s=Math.max(i.length,n.length);if(s>128&&s<=132){a=132}else{a=Math.ceil(s/32)*32}}if(i.length>a)throw"unknown ECDSA sig r length error";if(n.length>a)throw"unknown ECDSA sig s length error";while(i.length<a)i="00"+i;while(n.length<a)n="00"+n;return i+n};KJUR.crypto.ECDSA.concatSigToASN1Sig=function(e){if(e.length/2*8%(16*8)!=0&&e.length!=264)throw"unknown ECDSA concatinated r-s sig  length error";var r=e.substr(0,e.length/2);var t=e.substr(e.length/2);return KJUR.crypto.ECDSA.hexRSSigToASN1Sig(r,t)};KJUR.crypto.ECDSA.hexRSSigToASN1Sig=function(e,r){var t=new BigInteger(e,16);var i=new BigInteger(r,16);return KJUR.crypto.ECDSA.biRSSigToASN1Sig(t,i)};KJUR.crypto.ECDSA.biRSSigToASN1Sig=function(e,r){var t=KJUR.asn1;var i=new t.DERInteger({bigint:e});var n=new t.DERInteger({bigint:r});var a=new t.DERSequence({array:[i,n]});return a.getEncodedHex()};KJUR.crypto.ECDSA.getName=function(e){if(e==="2a8648ce3d030107")return"secp256r1";if(e==="2b8104000a")return"secp256k1";if(e==="2b81040022")return"secp384r1";if(e==="2b81040023")return"secp521r1";if("|secp256r1|NIST P-256|P-256|prime256v1|".indexOf(e)!==-1)return"secp256r1";if("|secp256k1|".indexOf(e)!==-1)return"secp256k1";if("|secp384r1|NIST P-384|P-384|".indexOf(e)!==-1)return"secp384r1";if("|secp521r1|NIST P-521|P-521|".indexOf(e)!==-1)return"secp521r1";var r=["brainpoolP160r1","brainpoolP160t1","brainpoolP192r1","brainpoolP192t1","brainpoolP224r1","brainpoolP224t1","brainpoolP256r1","brainpoolP256t1","brainpoolP320r1","brainpoolP320t1","brainpoolP384r1","brainpoolP384t1","brainpoolP512r1","brainpoolP512t1"];if(e.length===18&&e.substr(0,16)==="2b24030302080101"){var t=parseInt(e.substr(16),16)-1;if(t>=0&&t<r.length)return r[t]}for(var i=0;i<r.length;i++){if(e===r[i])return e}return null};KJUR.crypto.ECDSA.isValidPublicKeyHex=function(e,r){var t=KJUR.crypto.ECParameterDB.getByName(r);var i=Math.ceil(t.keylen/8)*2;if(typeof e!="string"||!e.match(/^[0-9A-Fa-f]*$/))return false;if(e.length===2+i&&(e.substr(0,2)==="02"||e.substr(0,2)==="03")){var n=t.curve.decodePointHex(e);if(n==null)return false;e=t.curve.encodePointHex(n,false)}if(e.length!==2+i*2||e.substr(0,2)!=="04")return false;var a=t.curve;var s=a.getQ();var o=new BigInteger(e.substr(2,i),16);var u=new BigInteger(e.substr(2+i),16);if(o.compareTo(s)>=0||u.compareTo(s)>=0)return false;var c=u.multiply(u).mod(s);var h=o.multiply(o).multiply(o).add(a.getA().toBigInteger().multiply(o)).add(a.getB().toBigInteger()).mod(s);if(!c.equals(h))return false;if(!t.h.equals(BigInteger.ONE)){var n=new ECPointFp(a,a.fromBigInteger(o),a.fromBigInteger(u));if(!n.multiply(t.n).isInfinity())return false}return true};
\ No newline at end of file
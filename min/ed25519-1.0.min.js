@@ -0,0 +1 @@
+if(typeof KJUR=="undefined"||!KJUR)KJUR={};if(typeof KJUR.crypto=="undefined"||!KJUR.crypto)KJUR.crypto={};KJUR.crypto.Ed25519=function(t){var o=KJUR.crypto.Ed25519,d=o.P,y=o.D.shiftLeft(1).mod(d),c=o.L,s=BigInteger.ONE,a=BigInteger.ZERO;this.type="Ed25519";this.isPrivate=false;this.isPublic=false;this.prvKeyHex=null;this.pubKeyHex=null;function h(t,e){var r=t[1].subtract(t[0]).multiply(e[1].subtract(e[0])).mod(d);var i=t[1].add(t[0]).multiply(e[1].add(e[0])).mod(d);var f=t[3].multiply(y).multiply(e[3]).mod(d);var n=t[2].shiftLeft(1).multiply(e[2]).mod(d);var u=i.subtract(r),a=n.subtract(f),l=n.add(f),s=i.add(r);return[u.multiply(a).mod(d),l.multiply(s).mod(d),a.multiply(l).mod(d),u.multiply(s).mod(d)]}function p(t,e){var r=[[a,s,s,a],e];var i;for(i=2;i<16;i++)r.push(h(r[i-1],e));var f=Math.ceil(Math.max(t.bitLength(),256)/4);var n=t.toString(16);while(n.length<f)n="0"+n;var u=r[0];for(i=0;i<n.length;i++){u=h(u,u);u=h(u,u);u=h(u,u);u=h(u,u);u=h(u,r[parseInt(n.charAt(i),16)])}return u}function v(t,e){return t[0].multiply(e[2]).subtract(e[0].multiply(t[2])).mod(d).signum()==0&&t[1].multiply(e[2]).subtract(e[1].multiply(t[2])).mod(d).signum()==0}function l(t){var e=t[2].modInverse(d);var r=t[0].multiply(e).mod(d);var i=t[1].multiply(e).mod(d);if(r.testBit(0))i=i.setBit(255);return b(i)}function m(t){if(t.length!=64)return null;var e=K(t);var r=e.testBit(255);e=e.clearBit(255);if(e.compareTo(d)>=0)return null;var i=f(e,r);if(i===null)return null;return[i,e,s,i.multiply(e).mod(d)]}function f(t,e){var r=t.multiply(t).mod(d);var i=r.subtract(s).mod(d);var f=o.D.multiply(r).add(s).mod(d);var n=f.multiply(f).multiply(f).mod(d);var u=n.multiply(n).multiply(f).mod(d);var a=i.multiply(n).multiply(i.multiply(u).modPow(o.P58,d)).mod(d);var l=f.multiply(a).multiply(a).mod(d);if(l.compareTo(i)!=0){if(l.compareTo(d.subtract(i).mod(d))!=0)return null;a=a.multiply(o.SQRTM1).mod(d)}if(a.signum()==0&&e)return null;if(a.testBit(0)!=e)a=d.subtract(a);return a}function b(t){var e=("0000000000000000000000000000000000000000000000000000000000000000"+t.toString(16)).slice(-64);return r(e)}function K(t){return new BigInteger(r(t),16)}function r(t){var e="";for(var r=t.length-2;r>=0;r-=2)e+=t.substr(r,2);return e}function g(t){return KJUR.crypto.Util.hashHex(t,"sha512")}function x(t){if(t.length!=64)throw"Ed25519 private key shall be 32 bytes";var e=g(t);var r=K(e.substr(0,64));r=r.clearBit(0).clearBit(1).clearBit(2).clearBit(255).setBit(254);return[r,e.substr(64)]}function e(t,e){var r=l(p(x(t)[0],o.B));if(e!==null&&e!==r)throw"Ed25519 public key doesn't match private key";return r}this.setPrivateKeyHex=function(t){t=t.toLowerCase();this.pubKeyHex=e(t,this.pubKeyHex);this.isPrivate=true;this.prvKeyHex=t};this.setPublicKeyHex=function(t){t=t.toLowerCase();if(this.prvKeyHex!==null)e(this.prvKeyHex,t);this.isPublic=true;this.pubKeyHex=t};this.getPublicKeyHex=function(){if(this.pubKeyHex===null){if(this.prvKeyHex===null)throw"key not set";var t=x(this.prvKeyHex)[0];this.pubKeyHex=l(p(t,o.B))}return this.pubKeyHex};this.generateKeyPairHex=function(){this.prvKeyHex=null;this.pubKeyHex=null;this.setPrivateKeyHex(KJUR.crypto.Util.getRandomHexOfNbytes(32));this.getPublicKeyHex();return{prvhex:this.prvKeyHex,pubhex:this.pubKeyHex}};this.signHex=function(t){if(this.prvKeyHex===null)throw"private key not set";var e=x(this.prvKeyHex);var r=e[0];var i=l(p(r,o.B));var f=K(g(e[1]+t)).mod(c);var n=l(p(f,o.B));var u=K(g(n+i+t)).mod(c);var a=f.add(u.multiply(r)).mod(c);return n+b(a)};this.verifyHex=function(t,e){if(typeof e!="string"||e.length!=128)return false;e=e.toLowerCase();var r=this.getPublicKeyHex();var i=m(r);var f=e.substr(0,64);var n=m(f);if(i===null||n===null)return false;var u=K(e.substr(64));if(u.compareTo(c)>=0)return false;var a=K(g(f+r+t)).mod(c);var l=p(u.shiftLeft(3),o.B);var s=h(p(new BigInteger("8"),n),p(a.shiftLeft(3),i));return v(l,s)};this.readPKCS8PrvKeyHex=function(t){var e=ASN1HEX;var r=e.getVbyList;if(e.isASN1HEX(t)===false)throw"not ASN.1 hex string";var i,f,n;try{i=r(t,0,[1,0],"06");f=r(t,0,[2,0],"04");var u=e.getChildIdx(t,0);var a=u[u.length-1];if(u.length>3&&t.substr(a,2)==="81")n=e.getV(t,a).substr(2)}catch(t){throw"malformed PKCS#8 plain Ed25519 private key"}if(i!=="2b6570")throw"not Ed25519 private key";this.prvKeyHex=null;this.pubKeyHex=n===undefined?null:n.toLowerCase();this.setPrivateKeyHex(f);this.isPublic=false};this.readPKCS8PubKeyHex=function(t){var e=ASN1HEX;var r=e.getVbyList;if(e.isASN1HEX(t)===false)throw"not ASN.1 hex string";var i,f;try{i=r(t,0,[0,0],"06");f=r(t,0,[1],"03").substr(2)}catch(t){throw"malformed PKCS#8 Ed25519 public key"}if(i!=="2b6570")throw"not Ed25519 public key";this.prvKeyHex=null;this.isPrivate=false;this.setPublicKeyHex(f)};this.readCertPubKeyHex=function(t,e){if(e!==5)e=6;var r=ASN1HEX;var i=r.getTLVbyList;if(r.isASN1HEX(t)===false)throw"not ASN.1 hex string";var f=i(t,0,[0,e],"30");if(f===null)throw"malformed X.509 certificate Ed25519 public key";this.readPKCS8PubKeyHex(f)};if(t!==undefined){if(t.prv!==undefined)this.setPrivateKeyHex(t.prv);if(t.pub!==undefined)this.setPublicKeyHex(t.pub)}};KJUR.crypto.Ed25519.P=new BigInteger("7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffed",16);KJUR.crypto.Ed25519.D=new BigInteger("52036cee2b6ffe738cc740797779e89800700a4d4141d8ab75eb4dca135978a3",16);KJUR.crypto.Ed25519.L=new BigInteger("1000000000000000000000000000000014def9dea2f79cd65812631a5cf5d3ed",16);KJUR.crypto.Ed25519.SQRTM1=new BigInteger("2b8324804fc1df0b2b4d00993dfbd7a72f431806ad2fe478c4ee1b274a0ea0b0",16);KJUR.crypto.Ed25519.P58=KJUR.crypto.Ed25519.P.subtract(new BigInteger("5")).shiftRight(3);KJUR.crypto.Ed25519.B=[new BigInteger("216936d3cd6e53fec0a4e231fdd6dc5c692cc7609525a7b2c9562d608f25d51a",16),new BigInteger("6666666666666666666666666666666666666666666666666666666666666658",16),BigInteger.ONE,new BigInteger("67875f0fd78b766566ea4e8e64abe37d20f09f80775152f56dde8ab3a5b7dda3",16)];
\ No newline at end of file
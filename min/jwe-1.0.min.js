@@ -0,0 +1 @@
+if(typeof KJUR=="undefined"||!KJUR)KJUR={};if(typeof KJUR.jws=="undefined"||!KJUR.jws)KJUR.jws={};KJUR.jws.JWE=function(){};KJUR.jws.JWE.ENCPARAM={"A128CBC-HS256":[32,16,"HmacSHA256",16],"A256CBC-HS512":[64,32,"HmacSHA512",32]};KJUR.jws.JWE.ALGPARAM={"RSA-OAEP":"RSAOAEP","RSA-OAEP-256":"RSAOAEP256"};KJUR.jws.JWE.encrypt=function(e,t,r){var n=KJUR,i=n.jws,a=i.JWE,o=n.crypto.Util;var h=typeof e=="string"?e:JSON.stringify(e);var s=i.JWS.readSafeJSONString(h);if(s==null)throw"JWE header is not valid JSON: "+h;var f=s.alg;var u=s.enc;var d=a.ENCPARAM[u];if(d===undefined)throw"unsupported enc name: "+u;if(s.zip!==undefined)throw"unsupported zip: "+s.zip;var p,c;if(f==="dir"){p=a.getSharedKeyHex(r);if(p.length!=d[0]*2)throw"shared key length mismatch for "+u;c=""}else if(a.ALGPARAM[f]!==undefined){var y=a.getRSAKey(r);p=o.getRandomHexOfNbytes(d[0]);c=n.crypto.Cipher.encrypt(hextorstr(p),y,a.ALGPARAM[f])}else{throw"unsupported alg name: "+f}var l=utf8tob64u(h);var A=o.getRandomHexOfNbytes(16);var J=a.encryptContent(u,p,A,rstrtohex(l),utf8tohex(t));return l+"."+hextob64u(c)+"."+hextob64u(A)+"."+hextob64u(J.ciphertext)+"."+hextob64u(J.tag)};KJUR.jws.JWE.decrypt=function(e,t,r){var n=KJUR,i=n.jws,a=i.JWE;var o=a.parse(e);var h=o.headerObj;var s=h.alg;var f=h.enc;var u=a.ENCPARAM[f];if(u===undefined)throw"unsupported enc name: "+f;if(h.zip!==undefined)throw"unsupported zip: "+h.zip;i.JWS.checkCrit(h);if(r===undefined){var d=true;try{a.getSharedKeyHex(t)}catch(e){d=false}r=d?["dir"]:["RSA-OAEP","RSA-OAEP-256"]}if(!i.JWS.inArray(s,r))throw"not acceptable alg name: "+s;var p;if(s==="dir"){if(o.encryptedKey!=="")throw"encrypted key shall be empty for dir";p=a.getSharedKeyHex(t)}else if(a.ALGPARAM[s]!==undefined){var c=a.getRSAKey(t);p=rstrtohex(n.crypto.Cipher.decrypt(o.encryptedKey,c,a.ALGPARAM[s]))}else{throw"unsupported alg name: "+s}if(p.length!=u[0]*2)throw"content encryption key length mismatch for "+f;var y=a.decryptContent(f,p,o.iv,rstrtohex(o.headerB64U),o.ciphertext,o.tag);return hextoutf8(y)};KJUR.jws.JWE.parse=function(e){var t=e.split(".");if(t.length!=5)throw"JWE shall have five parts: "+t.length;var r=KJUR.jws.JWS.readSafeJSONString(b64utoutf8(t[0]));if(r==null)throw"malformed JWE header";return{headerB64U:t[0],headerObj:r,encryptedKey:b64utohex(t[1]),iv:b64utohex(t[2]),ciphertext:b64utohex(t[3]),tag:b64utohex(t[4])}};KJUR.jws.JWE.encryptContent=function(e,t,r,n,i){var a=KJUR.jws.JWE,o=CryptoJS,h=o.enc.Hex;var s=a.ENCPARAM[e];if(s===undefined)throw"unsupported enc name: "+e;if(t.length!=s[0]*2)throw"content encryption key length mismatch for "+e;if(r.length!=32)throw"initialization vector shall be 16 bytes";var f=t.substr(0,s[1]*2);var u=t.substr(s[1]*2);var d=o.AES.encrypt(h.parse(i),h.parse(u),{iv:h.parse(r)});var p=h.stringify(d.ciphertext);var c=a._getTag(s,f,n,r,p);return{ciphertext:p,tag:c}};KJUR.jws.JWE.decryptContent=function(e,t,r,n,i,a){var o=KJUR.jws.JWE,h=CryptoJS,s=h.enc.Hex;var f=o.ENCPARAM[e];if(f===undefined)throw"unsupported enc name: "+e;if(t.length!=f[0]*2)throw"content encryption key length mismatch for "+e;if(r.length!=32)throw"initialization vector shall be 16 bytes";var u=t.substr(0,f[1]*2);var d=t.substr(f[1]*2);var p=o._getTag(f,u,n,r,i);if(!KJUR.crypto.Util._equalsHex(a,p))throw"authentication tag mismatch";var c=h.AES.decrypt({ciphertext:s.parse(i)},s.parse(d),{iv:s.parse(r)});return s.stringify(c)};KJUR.jws.JWE._getTag=function(e,t,r,n,i){var a=(r.length*4).toString(16);a=("0000000000000000"+a).slice(-16);var o=new KJUR.crypto.Mac({alg:e[2],pass:{hex:t}});o.updateHex(r+n+i+a);return o.doFinal().substr(0,e[3]*2)};KJUR.jws.JWE.getSharedKeyHex=function(e){if(typeof e=="string"){if(!e.match(/^([0-9A-Fa-f]{2})+$/))throw"shared key shall be a hexadecimal string";return e.toLowerCase()}if(typeof e!="object"||e===null)throw"shared key not specified";if(e.hex!==undefined)return e.hex.toLowerCase();if(e.utf8!==undefined)return utf8tohex(e.utf8);if(e.rstr!==undefined)return rstrtohex(e.rstr);if(e.b64!==undefined)return b64tohex(e.b64);if(e.b64u!==undefined)return b64utohex(e.b64u);throw"unsupported shared key: "+e};KJUR.jws.JWE.getRSAKey=function(e){if(!(e instanceof RSAKey))e=KEYUTIL.getKey(e);if(!(e instanceof RSAKey))throw"RSA key is required for RSA-OAEP algorithm";return e};
\ No newline at end of file
@@ -0,0 +1 @@
+if(typeof KJUR=="undefined"||!KJUR)KJUR={};if(typeof KJUR.jws=="undefined"||!KJUR.jws)KJUR.jws={};KJUR.jws.JWKSet=function(e){var t=KJUR,K=t.jws,d=K.JWKSet,r=KEYUTIL;this.aJWK=[];this.aKey=[];this.init=function(){this.aJWK=[];this.aKey=[]};this.readJWKSet=function(e){var t=e;if(typeof e=="string")t=K.JWS.readSafeJSONString(e);if(t==null||typeof t!="object"||Object.prototype.toString.call(t.keys)!=="[object Array]")throw'JWK Set shall have "keys" array';this.init();for(var n=0;n<t.keys.length;n++){var i=t.keys[n];var r;try{r=d.getKeyFromJWK(i)}catch(e){continue}this.aJWK.push(i);this.aKey.push(r)}};this.addKey=function(e,t){var n=r.getJWKFromKey(e);if(t!==undefined){for(var i in t){if(t.hasOwnProperty(i))n[i]=t[i]}}this.aJWK.push(n);this.aKey.push(e);return n};this.getKeys=function(e){var t=this._getIndexes(e);var n=[];for(var i=0;i<t.length;i++)n.push(this.aKey[t[i]]);return n};this._getIndexes=function(e){if(e===undefined)e={};var t=[];for(var n=0;n<this.aJWK.length;n++){var i=this.aJWK[n];if(e.kid!==undefined&&i.kid!==e.kid)continue;if(e.kty!==undefined&&i.kty!==e.kty)continue;if(e.alg!==undefined&&i.alg!==undefined&&i.alg!==e.alg)continue;if(e.use!==undefined&&i.use!==undefined&&i.use!==e.use)continue;t.push(n)}return t};this.getCandidateKeys=function(e){var t={alg:e.alg,use:"sig"};if(e.kid!==undefined)t.kid=e.kid;var n=d.getKtyByAlg(e.alg);if(n===null)return[];t.kty=n;var i=K.JWS.jwsalg2curve[e.alg];var r=this._getIndexes(t);var s=[];for(var a=0;a<r.length;a++){var u=this.aJWK[r[a]];var f=this.aKey[r[a]];if(u.key_ops!==undefined&&!K.JWS.inArray("verify",u.key_ops))continue;if(n==="EC"&&i!==undefined&&f.ecparams.name!==i)continue;s.push(f)}return s};this.getJSON=function(){return{keys:this.aJWK.slice(0)}};if(e!==undefined)this.readJWKSet(e)};KJUR.jws.JWKSet.getKeyFromJWK=function(e){if(e.kty==="oct"){if(typeof e.k!="string")throw"oct JWK shall have k";return{b64u:e.k}}return KEYUTIL.getKey(e)};KJUR.jws.JWKSet.getKtyByAlg=function(e){if(typeof e!="string")return null;var t=e.substr(0,2);if(t=="RS"||t=="PS")return"RSA";if(t=="ES"||t=="BP")return"EC";if(t=="HS")return"oct";if(e=="EdDSA")return"OKP";return null};KJUR.jws.JWKSet.getJWKSetFromKeys=function(e,t){var n=new KJUR.jws.JWKSet;for(var i=0;i<e.length;i++){n.addKey(e[i],t!==undefined?t[i]:undefined)}return n.getJSON()};
\ No newline at end of file
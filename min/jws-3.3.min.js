@@ -1 +1 @@
-if(typeof KJUR=="undefined"||!KJUR){KJUR={}}if(typeof KJUR.jws=="undefined"||!KJUR.jws){KJUR.jws={}}KJUR.jws.JWS=function(){var b=KJUR,a=b.jws.JWS,c=a.isSafeJSONString;this.parseJWS=function(g,j){if((this.parsedJWS!==undefined)&&(j||(this.parsedJWS.sigvalH!==undefined))){return}var i=g.match(/^([^.]+)\.([^.]+)\.([^.]+)$/);if(i==null){throw"JWS signature is not a form of 'Head.Payload.SigValue'."}var k=i[1];var e=i[2];var l=i[3];var n=k+"."+e;this.parsedJWS={};this.parsedJWS.headB64U=k;this.parsedJWS.payloadB64U=e;this.parsedJWS.sigvalB64U=l;this.parsedJWS.si=n;if(!j){var h=b64utohex(l);var f=parseBigInt(h,16);this.parsedJWS.sigvalH=h;this.parsedJWS.sigvalBI=f}var d=b64utoutf8(k);var m=b64utoutf8(e);this.parsedJWS.headS=d;this.parsedJWS.payloadS=m;if(!c(d,this.parsedJWS,"headP")){throw"malformed JSON string for JWS Head: "+d}}};KJUR.jws.JWS.sign=function(i,w,z,A,a){var x=KJUR,n=x.jws,r=n.JWS,g=r.readSafeJSONString,q=r.isSafeJSONString,d=x.crypto,l=d.ECDSA,p=d.Mac,c=d.Signature,k=RSAKey,u=JSON;var t,j,o;if(typeof w!="string"&&typeof w!="object"){throw"spHeader must be JSON string or object: "+w}if(typeof w=="object"){j=w;t=u.stringify(j)}if(typeof w=="string"){t=w;if(!q(t)){throw"JWS Head is not safe JSON string: "+t}j=g(t)}o=z;if(typeof z=="object"){o=u.stringify(z)}if((i==""||i==null)&&j.alg!==undefined){i=j.alg}if((i!=""&&i!=null)&&j.alg===undefined){j.alg=i;t=u.stringify(j)}if(i!==j.alg){throw"alg and sHeader.alg doesn't match: "+i+"!="+j.alg}var s=null;if(r.jwsalg2sigalg[i]===undefined){throw"unsupported alg name: "+i}else{s=r.jwsalg2sigalg[i]}var e=utf8tob64u(t);var m=utf8tob64u(o);var b=e+"."+m;var y="";if(s.substr(0,4)=="Hmac"){if(A===undefined){throw"mac key shall be specified for HS* alg"}var h=new p({alg:s,prov:"cryptojs",pass:A});h.updateString(b);y=h.doFinal()}else{if(s.indexOf("withECDSA")!=-1){var f=new c({alg:s});f.init(A,a);f.updateString(b);hASN1Sig=f.sign();y=KJUR.crypto.ECDSA.asn1SigToConcatSig(hASN1Sig)}else{if(s!="none"){var f=new c({alg:s});f.init(A,a);f.updateString(b);y=f.sign()}}}var v=hextob64u(y);return b+"."+v};KJUR.jws.JWS.verify=function(w,B,n){var x=KJUR,q=x.jws,t=q.JWS,i=t.readSafeJSONString,e=x.crypto,p=e.ECDSA,s=e.Mac,d=e.Signature,m=RSAKey;var y=w.split(".");var f=y[0];var r=y[1];var c=f+"."+r;var A=b64utohex(y[2]);var l=i(b64utoutf8(y[0]));var k=null;var z=null;if(l.alg===undefined){throw"algorithm not specified in header"}else{k=l.alg;z=k.substr(0,2)}if(n!=null&&Object.prototype.toString.call(n)==="[object Array]"&&n.length>0){var b=":"+n.join(":")+":";if(b.indexOf(":"+k+":")==-1){throw"algorithm '"+k+"' not accepted in the list"}}if(k!="none"&&B===null){throw"key shall be specified to verify."}if(typeof B=="string"&&B.indexOf("-----BEGIN ")!=-1){B=KEYUTIL.getKey(B)}if(z=="RS"||z=="PS"){if(!(B instanceof m)){throw"key shall be a RSAKey obj for RS* and PS* algs"}}if(z=="ES"){if(!(B instanceof p)){throw"key shall be a ECDSA obj for ES* algs"}}if(k=="none"){}var u=null;if(t.jwsalg2sigalg[l.alg]===undefined){throw"unsupported alg name: "+k}else{u=t.jwsalg2sigalg[k]}if(u=="none"){throw"not supported"}else{if(u.substr(0,4)=="Hmac"){var o=null;if(B===undefined){throw"hexadecimal key shall be specified for HMAC"}var j=new s({alg:u,pass:B});j.updateString(c);o=j.doFinal();return A==o}else{if(u.indexOf("withECDSA")!=-1){var h=null;try{h=p.concatSigToASN1Sig(A)}catch(v){return false}var g=new d({alg:u});g.init(B);g.updateString(c);return g.verify(h)}else{var g=new d({alg:u});g.init(B);g.updateString(c);return g.verify(A)}}}};KJUR.jws.JWS.parse=function(g){var c=g.split(".");var b={};var f,e,d;if(c.length!=2&&c.length!=3){throw"malformed sJWS: wrong number of '.' splitted elements"}f=c[0];e=c[1];if(c.length==3){d=c[2]}b.headerObj=KJUR.jws.JWS.readSafeJSONString(b64utoutf8(f));b.payloadObj=KJUR.jws.JWS.readSafeJSONString(b64utoutf8(e));b.headerPP=JSON.stringify(b.headerObj,null,"  ");if(b.payloadObj==null){b.payloadPP=b64utoutf8(e)}else{b.payloadPP=JSON.stringify(b.payloadObj,null,"  ")}if(d!==undefined){b.sigHex=b64utohex(d)}return b};KJUR.jws.JWS.verifyJWT=function(e,l,r){var d=KJUR,j=d.jws,o=j.JWS,n=o.readSafeJSONString,p=o.inArray,f=o.includedArray;var k=e.split(".");var c=k[0];var i=k[1];var q=c+"."+i;var m=b64utohex(k[2]);var h=n(b64utoutf8(c));var g=n(b64utoutf8(i));if(h.alg===undefined){return false}if(r.alg===undefined){throw"acceptField.alg shall be specified"}if(!p(h.alg,r.alg)){return false}if(g.iss!==undefined&&typeof r.iss==="object"){if(!p(g.iss,r.iss)){return false}}if(g.sub!==undefined&&typeof r.sub==="object"){if(!p(g.sub,r.sub)){return false}}if(g.aud!==undefined&&typeof r.aud==="object"){if(typeof g.aud=="string"){if(!p(g.aud,r.aud)){return false}}else{if(typeof g.aud=="object"){if(!f(g.aud,r.aud)){return false}}}}var b=j.IntDate.getNow();if(r.verifyAt!==undefined&&typeof r.verifyAt==="number"){b=r.verifyAt}if(r.gracePeriod===undefined||typeof r.gracePeriod!=="number"){r.gracePeriod=0}if(g.exp!==undefined&&typeof g.exp=="number"){if(g.exp+r.gracePeriod<b){return false}}if(g.nbf!==undefined&&typeof g.nbf=="number"){if(b<g.nbf-r.gracePeriod){return false}}if(g.iat!==undefined&&typeof g.iat=="number"){if(b<g.iat-r.gracePeriod){return false}}if(g.jti!==undefined&&r.jti!==undefined){if(g.jti!==r.jti){return false}}if(!o.verify(e,l,r.alg)){return false}return true};KJUR.jws.JWS.includedArray=function(b,a){var c=KJUR.jws.JWS.inArray;if(b===null){return false}if(typeof b!=="object"){return false}if(typeof b.length!=="number"){return false}for(var d=0;d<b.length;d++){if(!c(b[d],a)){return false}}return true};KJUR.jws.JWS.inArray=function(d,b){if(b===null){return false}if(typeof b!=="object"){return false}if(typeof b.length!=="number"){return false}for(var c=0;c<b.length;c++){if(b[c]==d){return true}}return false};KJUR.jws.JWS.jwsalg2sigalg={HS256:"HmacSHA256",HS384:"HmacSHA384",HS512:"HmacSHA512",RS256:"SHA256withRSA",RS384:"SHA384withRSA",RS512:"SHA512withRSA",ES256:"SHA256withECDSA",ES384:"SHA384withECDSA",PS256:"SHA256withRSAandMGF1",PS384:"SHA384withRSAandMGF1",PS512:"SHA512withRSAandMGF1",none:"none",};KJUR.jws.JWS.isSafeJSONString=function(c,b,d){var e=null;try{e=jsonParse(c);if(typeof e!="object"){return 0}if(e.constructor===Array){return 0}if(b){b[d]=e}return 1}catch(a){return 0}};KJUR.jws.JWS.readSafeJSONString=function(b){var c=null;try{c=jsonParse(b);if(typeof c!="object"){return null}if(c.constructor===Array){return null}return c}catch(a){return null}};KJUR.jws.JWS.getEncodedSignatureValueFromJWS=function(b){var a=b.match(/^[^.]+\.[^.]+\.([^.]+)$/);if(a==null){throw"JWS signature is not a form of 'Head.Payload.SigValue'."}return a[1]};KJUR.jws.JWS.getJWKthumbprint=function(d){if(d.kty!=="RSA"&&d.kty!=="EC"&&d.kty!=="oct"){throw"unsupported algorithm for JWK Thumprint"}var a="{";if(d.kty==="RSA"){if(typeof d.n!="string"||typeof d.e!="string"){throw"wrong n and e value for RSA key"}a+='"e":"'+d.e+'",';a+='"kty":"'+d.kty+'",';a+='"n":"'+d.n+'"}'}else{if(d.kty==="EC"){if(typeof d.crv!="string"||typeof d.x!="string"||typeof d.y!="string"){throw"wrong crv, x and y value for EC key"}a+='"crv":"'+d.crv+'",';a+='"kty":"'+d.kty+'",';a+='"x":"'+d.x+'",';a+='"y":"'+d.y+'"}'}else{if(d.kty==="oct"){if(typeof d.k!="string"){throw"wrong k value for oct(symmetric) key"}a+='"kty":"'+d.kty+'",';a+='"k":"'+d.k+'"}'}}}var b=rstrtohex(a);var c=KJUR.crypto.Util.hashHex(b,"sha256");var e=hextob64u(c);return e};KJUR.jws.IntDate={};KJUR.jws.IntDate.get=function(c){var b=KJUR.jws.IntDate,d=b.getNow,a=b.getZulu;if(c=="now"){return d()}else{if(c=="now + 1hour"){return d()+60*60}else{if(c=="now + 1day"){return d()+60*60*24}else{if(c=="now + 1month"){return d()+60*60*24*30}else{if(c=="now + 1year"){return d()+60*60*24*365}else{if(c.match(/Z$/)){return a(c)}else{if(c.match(/^[0-9]+$/)){return parseInt(c)}}}}}}}throw"unsupported format: "+c};KJUR.jws.IntDate.getZulu=function(a){return zulutosec(a)};KJUR.jws.IntDate.getNow=function(){var a=~~(new Date()/1000);return a};KJUR.jws.IntDate.intDate2UTCString=function(a){var b=new Date(a*1000);return b.toUTCString()};KJUR.jws.IntDate.intDate2Zulu=function(e){var i=new Date(e*1000),h=("0000"+i.getUTCFullYear()).slice(-4),g=("00"+(i.getUTCMonth()+1)).slice(-2),b=("00"+i.getUTCDate()).slice(-2),a=("00"+i.getUTCHours()).slice(-2),c=("00"+i.getUTCMinutes()).slice(-2),f=("00"+i.getUTCSeconds()).slice(-2);return h+g+b+a+c+f+"Z"};
\ No newline at end of file
+if(typeof KJUR=="undefined"||!KJUR)KJUR={};if(typeof KJUR.jws=="undefined"||!KJUR.jws)KJUR.jws={};KJUR.jws.JWS=function(){var e=KJUR,t=e.jws.JWS,l=t.isSafeJSONString;this.parseJWS=function(e,t){if(this.parsedJWS!==undefined&&(t||this.parsedJWS.sigvalH!==undefined)){return}var a=e.match(/^([^.]+)\.([^.]+)\.([^.]+)$/);if(a==null){throw"JWS signature is not a form of 'Head.Payload.SigValue'."}var r=a[1];var i=a[2];var n=a[3];var f=r+"."+i;this.parsedJWS={};this.parsedJWS.headB64U=r;this.parsedJWS.payloadB64U=i;this.parsedJWS.sigvalB64U=n;this.parsedJWS.si=f;if(!t){var s=b64utohex(n);var o=parseBigInt(s,16);this.parsedJWS.sigvalH=s;this.parsedJWS.sigvalBI=o}var u=b64utoutf8(r);var d=b64utoutf8(i);this.parsedJWS.headS=u;this.parsedJWS.payloadS=d;if(!l(u,this.parsedJWS,"headP"))throw"malformed JSON string for JWS Head: "+u}};KJUR.jws.JWS.sign=function(e,t,a,r,i,n){var f=KJUR,s=f.jws,o=s.JWS,u=o.readSafeJSONString,d=o.isSafeJSONString,l=f.crypto,c=l.ECDSA,h=l.Mac,g=l.Signature,S=RSAKey,p=JSON;var y,v,J;if(typeof t!="string"&&typeof t!="object")throw"spHeader must be JSON string or object: "+t;if(typeof t=="object"){v=t;y=p.stringify(v)}if(typeof t=="string"){y=t;if(!d(y))throw"JWS Head is not safe JSON string: "+y;v=u(y)}J=a;if(typeof a=="object")J=p.stringify(a);if((e==""||e==null)&&v["alg"]!==undefined){e=v["alg"]}if(e!=""&&e!=null&&v["alg"]===undefined){v["alg"]=e;y=p.stringify(v)}if(e!==v.alg)throw"alg and sHeader.alg doesn't match: "+e+"!="+v.alg;var w=null;if(o.jwsalg2sigalg[e]===undefined){throw"unsupported alg name: "+e}else{w=o.jwsalg2sigalg[e]}var b=o.isB64Payload(v);if(!b&&n!==true&&J.indexOf(".")!=-1)throw"unencoded payload including '.' shall be detached";var j=utf8tob64u(y);var R=b?utf8tob64u(J):J;var m=j+"."+R;var W="";if(w.substr(0,4)=="Hmac"){if(r===undefined)throw"mac key shall be specified for HS* alg";var A=new h({alg:w,prov:"cryptojs",pass:r});A.updateString(m);W=A.doFinal()}else if(w.indexOf("withECDSA")!=-1){var K=new g({alg:w});K.init(r,i);K.updateString(m);hASN1Sig=K.sign();W=KJUR.crypto.ECDSA.asn1SigToConcatSig(hASN1Sig,K.prvKey.ecparams.keylen)}else if(w!="none"){var K=new g({alg:w});K.init(r,i);K.updateString(m);W=K.sign()}var U=hextob64u(W);if(n===true)return j+".."+U;return m+"."+U};KJUR.jws.JWS.verify=function(e,t,a,r){var i=KJUR,n=i.jws,f=n.JWS,s=f.readSafeJSONString,o=i.crypto,u=o.ECDSA,d=o.Mac,l=o.Signature,c=RSAKey;var h=e.split(".");var g=h[0];var S=h[1];var p=b64utohex(h[2]);var y=s(b64utoutf8(h[0]));var v=null;var J=null;if(y.alg===undefined){throw"algorithm not specified in header"}else{v=y.alg;J=v.substr(0,2)}var w=f.isB64Payload(y);if(r!==undefined&&r!==null){if(S!=="")throw"payload shall be detached when spPayload specified";var b=r;if(typeof r=="object")b=JSON.stringify(r);S=w?utf8tob64u(b):b}var j=g+"."+S;f.checkCrit(y);if(a!=null&&Object.prototype.toString.call(a)==="[object Array]"&&a.length>0){var R=":"+a.join(":")+":";if(R.indexOf(":"+v+":")==-1){throw"algorithm '"+v+"' not accepted in the list"}}if(t!==null&&typeof t=="object"&&Object.prototype.toString.call(t.keys)==="[object Array]"){if(n.JWKSet===undefined)throw"KJUR.jws.JWKSet is required to verify by JWK Set";t=new n.JWKSet(t)}if(n.JWKSet!==undefined&&t instanceof n.JWKSet){var m=t.getCandidateKeys(y);for(var W=0;W<m.length;W++){if(f.verify(e,m[W],a,r))return true}return false}if(v!="none"&&t===null){throw"key shall be specified to verify."}if(J=="HS"){if(typeof t=="string"){if(t.indexOf("-----BEGIN ")!=-1)throw"PEM key shall not be used for HS* algs"}else if(typeof t!="object"||t.hex===undefined&&t.utf8===undefined&&t.rstr===undefined&&t.b64===undefined&&t.b64u===undefined){throw"key shall be a string or an object of hex, utf8, rstr, "+"b64 or b64u for HS* algs"}}if(typeof t=="string"&&t.indexOf("-----BEGIN ")!=-1){t=KEYUTIL.getKey(t)}if(J=="RS"||J=="PS"){if(!(t instanceof c)){throw"key shall be a RSAKey obj for RS* and PS* algs"}}if(J=="ES"||J=="BP"){if(!(t instanceof u)){throw"key shall be a ECDSA obj for ES* and BP* algs"}var A=f.jwsalg2curve[v];if(A!==undefined&&t.ecparams.name!==A){throw"key curve "+t.ecparams.name+" doesn't match "+A+" for "+v}}if(v=="EdDSA"){if(KJUR.crypto.Ed25519===undefined||!(t instanceof KJUR.crypto.Ed25519)){throw"key shall be a Ed25519 obj for EdDSA alg"}}if(v=="none"){}var K=null;if(f.jwsalg2sigalg[y.alg]===undefined){throw"unsupported alg name: "+v}else{K=f.jwsalg2sigalg[v]}if(K=="none"){throw"not supported"}else if(K.substr(0,4)=="Hmac"){var U=null;if(t===undefined)throw"hexadecimal key shall be specified for HMAC";var H=new d({alg:K,pass:t});H.updateString(j);U=H.doFinal();return p==U}else if(K.indexOf("withECDSA")!=-1){var P=null;try{P=u.concatSigToASN1Sig(p)}catch(e){return false}var k=new l({alg:K});k.init(t);k.updateString(j);return k.verify(P)}else{var k=new l({alg:K});k.init(t);k.updateString(j);return k.verify(p)}};KJUR.jws.JWS.parse=function(e){var t=e.split(".");var a={};var r,i,n;if(t.length!=2&&t.length!=3)throw"malformed sJWS: wrong number of '.' splitted elements";r=t[0];i=t[1];if(t.length==3)n=t[2];a.headerObj=KJUR.jws.JWS.readSafeJSONString(b64utoutf8(r));a.payloadObj=KJUR.jws.JWS.readSafeJSONString(b64utoutf8(i));a.headerPP=JSON.stringify(a.headerObj,null,"  ");if(a.payloadObj==null){a.payloadPP=b64utoutf8(i)}else{a.payloadPP=JSON.stringify(a.payloadObj,null,"  ")}if(n!==undefined){a.sigHex=b64utohex(n)}return a};KJUR.jws.JWS.verifyJWT=function(e,t,a){var r=KJUR.jws.JWS;var i=r.verifyJWTDetail(e,t,a);if(i.failed.length==1&&i.failed[0]=="signature")return r.verify(e,t,a.alg);return i.valid};KJUR.jws.JWS.verifyJWTDetail=function(e,t,a){var r=KJUR,i=r.jws,n=i.JWS,f=n.readSafeJSONString,s=n.inArray,o=n.includedArray;var u={valid:true,checks:[],failed:[]};var d=function(e,t,a,r,i){var n={name:e,valid:t,value:a};if(r!==undefined)n.accept=r;if(!t){n.message=i;u.valid=false;u.failed.push(e)}u.checks.push(n)};var l=e.split(".");var c=l[0];var h=l[1];var g=f(b64utoutf8(c));u.headerObj=g;var S=f(b64utoutf8(h));u.payloadObj=S;if(g.alg===undefined){d("alg",false,undefined,a.alg,"alg is not specified in JWT header")}else{if(a.alg===undefined)throw"acceptField.alg shall be specified";d("alg",s(g.alg,a.alg),g.alg,a.alg,"alg is not acceptable")}if(g.crit!==undefined){try{n.checkCrit(g);d("crit",true,g.crit)}catch(e){d("crit",false,g.crit,undefined,e)}}if(S.iss!==undefined&&typeof a.iss==="object"){d("iss",s(S.iss,a.iss),S.iss,a.iss,"iss is not acceptable")}if(S.sub!==undefined&&typeof a.sub==="object"){d("sub",s(S.sub,a.sub),S.sub,a.sub,"sub is not acceptable")}if(S.aud!==undefined&&typeof a.aud==="object"){if(typeof S.aud=="string"){d("aud",s(S.aud,a.aud),S.aud,a.aud,"aud is not acceptable")}else if(typeof S.aud=="object"){d("aud",o(S.aud,a.aud),S.aud,a.aud,"aud includes unacceptable audience")}}var p=i.IntDate.getNow();if(a.verifyAt!==undefined&&typeof a.verifyAt==="number"){p=a.verifyAt}if(a.gracePeriod===undefined||typeof a.gracePeriod!=="number"){a.gracePeriod=0}var y=a.gracePeriod;if(S.exp!==undefined&&typeof S.exp=="number"){d("exp",!(S.exp+y<p),S.exp,p-y,"JWT has expired")}if(S.nbf!==undefined&&typeof S.nbf=="number"){d("nbf",!(p<S.nbf-y),S.nbf,p+y,"JWT is not yet valid")}if(S.iat!==undefined&&typeof S.iat=="number"){d("iat",!(p<S.iat-y),S.iat,p+y,"JWT is issued in the future")}if(S.jti!==undefined&&a.jti!==undefined){d("jti",S.jti===a.jti,S.jti,a.jti,"jti is not acceptable")}if(!s("alg",u.failed)&&!s("crit",u.failed)){try{d("signature",n.verify(e,t,a.alg),g.alg,undefined,"signature is invalid")}catch(e){d("signature",false,g.alg,undefined,e)}}return u};KJUR.jws.JWS.verifyIDToken=function(e,t,a){var r=KJUR.jws,i=r.JWS,n=i.inArray,f=i.includedArray;if(typeof a.iss!=="string")throw"acceptField.iss shall be specified";if(typeof a.clientId!=="string")throw"acceptField.clientId shall be specified";var s=i.verifyJWTDetail(e,t,{alg:a.alg,iss:[a.iss],verifyAt:a.verifyAt,gracePeriod:a.gracePeriod});var o=s.headerObj;var u=s.payloadObj;var d=function(e,t,a,r,i){var n={name:e,valid:t,value:a};if(r!==undefined)n.accept=r;if(!t){n.message=i;s.valid=false;s.failed.push(e)}s.checks.push(n)};var l=["iss","sub","aud","exp","iat"];for(var c=0;c<l.length;c++){var h=l[c];if(u[h]===undefined)d(h,false,undefined,undefined,h+" is required in ID Token")}var g=[];if(typeof u.aud=="string"){g=[u.aud]}else if(typeof u.aud=="object"&&u.aud!==null){g=u.aud}if(u.aud!==undefined){if(!n(a.clientId,g)){d("aud",false,u.aud,a.clientId,"aud doesn't include client_id")}else if(typeof a.aud==="object"&&!f(g,[a.clientId].concat(a.aud))){d("aud",false,u.aud,a.aud,"aud includes untrusted audience")}else{d("aud",true,u.aud,a.clientId)}}if(u.azp!==undefined){d("azp",u.azp===a.clientId,u.azp,a.clientId,"azp is not client_id")}else if(g.length>1){d("azp",false,undefined,a.clientId,"azp is required for multiple audiences")}if(a.nonce!==undefined){d("nonce",u.nonce===a.nonce,u.nonce,a.nonce,"nonce is not matched")}if(typeof a.maxAge=="number"){var S=r.IntDate.getNow();if(typeof a.verifyAt=="number")S=a.verifyAt;var p=0;if(typeof a.gracePeriod=="number")p=a.gracePeriod;var y=S-p-a.maxAge;if(typeof u.auth_time!="number"){d("auth_time",false,u.auth_time,y,"auth_time is required for max_age")}else{d("auth_time",!(u.auth_time<y),u.auth_time,y,"authentication is too old for max_age")}}if(typeof a.acr=="object"){d("acr",n(u.acr,a.acr),u.acr,a.acr,"acr is not acceptable")}var v=function(t,e){if(e===undefined)return;if(u[t]===undefined){d(t,false,undefined,undefined,t+" is required in ID Token");return}var a;try{a=i.getOIDCHash(e,o.alg)}catch(e){d(t,false,u[t],undefined,e);return}d(t,u[t]===a,u[t],a,t+" is not matched")};v("at_hash",a.accessToken);v("c_hash",a.code);return s};KJUR.jws.JWS.getOIDCHash=function(e,t){var a=KJUR.jws.JWS.jwsalg2hashalg[t];if(a===undefined)throw"unsupported alg for token hash: "+t;var r=new KJUR.crypto.MessageDigest({alg:a,prov:"cryptojs"});var i=r.digestString(e);return hextob64u(i.substr(0,i.length/2))};KJUR.jws.JWS.includedArray=function(e,t){var a=KJUR.jws.JWS.inArray;if(e===null)return false;if(typeof e!=="object")return false;if(typeof e.length!=="number")return false;for(var r=0;r<e.length;r++){if(!a(e[r],t))return false}return true};KJUR.jws.JWS.inArray=function(e,t){if(t===null)return false;if(typeof t!=="object")return false;if(typeof t.length!=="number")return false;for(var a=0;a<t.length;a++){if(t[a]==e)return true}return false};KJUR.jws.JWS.isB64Payload=function(e){if(e.b64===undefined)return true;if(typeof e.b64!="boolean")throw"b64 header parameter shall be boolean";if(e.b64===false&&!KJUR.jws.JWS.inArray("b64",e.crit))throw"crit header parameter shall have b64 for unencoded payload";return e.b64};KJUR.jws.JWS.critHandler={b64:function(e,t){return typeof e=="boolean"}};KJUR.jws.JWS.registerCritHandler=function(e,t){if(typeof e!="string")throw"name shall be string";if(t===undefined)t=function(e,t){return true};if(typeof t!="function")throw"handler shall be function";KJUR.jws.JWS.critHandler[e]=t};KJUR.jws.JWS.unregisterCritHandler=function(e){delete KJUR.jws.JWS.critHandler[e]};KJUR.jws.JWS.checkCrit=function(e){var t=KJUR.jws.JWS;var a=e.crit;if(a===undefined)return;if(Object.prototype.toString.call(a)!=="[object Array]"||a.length==0)throw"crit header parameter shall be non-empty array";var r=["alg","jku","jwk","kid","x5u","x5c","x5t","x5t#S256","typ","cty","crit"];var i={};for(var n=0;n<a.length;n++){var f=a[n];if(typeof f!="string")throw"crit header parameter shall be array of string";if(i[f]===true)throw"crit header parameter has duplicated name: "+f;i[f]=true;if(t.inArray(f,r))throw"crit header parameter shall not have "+f;if(e[f]===undefined)throw"critical header parameter not in header: "+f;if(!t.critHandler.hasOwnProperty(f))throw"critical header parameter not understood: "+f;if(t.critHandler[f](e[f],e)!==true)throw"critical header parameter not accepted: "+f}};KJUR.jws.JWS.jwsalg2sigalg={HS256:"HmacSHA256",HS384:"HmacSHA384",HS512:"HmacSHA512",RS256:"SHA256withRSA",RS384:"SHA384withRSA",RS512:"SHA512withRSA",ES256:"SHA256withECDSA",ES384:"SHA384withECDSA",ES512:"SHA512withECDSA",BP256R1:"SHA256withECDSA",BP384R1:"SHA384withECDSA",BP512R1:"SHA512withECDSA",PS256:"SHA256withRSAandMGF1",PS384:"SHA384withRSAandMGF1",PS512:"SHA512withRSAandMGF1",EdDSA:"Ed25519",none:"none"};KJUR.jws.JWS.jwsalg2curve={ES256:"secp256r1",ES384:"secp384r1",ES512:"secp521r1",BP256R1:"brainpoolP256r1",BP384R1:"brainpoolP384r1",BP512R1:"brainpoolP512r1"};KJUR.jws.JWS.jwsalg2hashalg={HS256:"sha256",HS384:"sha384",HS512:"sha512",RS256:"sha256",RS384:"sha384",RS512:"sha512",ES256:"sha256",ES384:"sha384",ES512:"sha512",BP256R1:"sha256",BP384R1:"sha384",BP512R1:"sha512",PS256:"sha256",PS384:"sha384",PS512:"sha512",EdDSA:"sha512"};KJUR.jws.JWS.isSafeJSONString=function(e,t,a){var r=null;try{r=jsonParse(e);if(typeof r!="object")return 0;if(r.constructor===Array)return 0;if(t)t[a]=r;return 1}catch(e){return 0}};KJUR.jws.JWS.readSafeJSONString=function(e){var t=null;try{t=jsonParse(e);if(typeof t!="object")return null;if(t.constructor===Array)return null;return t}catch(e){return null}};KJUR.jws.JWS.getEncodedSignatureValueFromJWS=function(e){var t=e.match(/^[^.]+\.[^.]+\.([^.]+)$/);if(t==null){throw"JWS signature is not a form of 'Head.Payload.SigValue'."}return t[1]};KJUR.jws.JWS.getJWKthumbprint=function(e){if(e.kty!=="RSA"&&e.kty!=="EC"&&e.kty!=="oct")throw"unsupported algorithm for JWK Thumprint";var t="{";if(e.kty==="RSA"){if(typeof e.n!="string"||typeof e.e!="string")throw"wrong n and e value for RSA key";t+='"'+"e"+'":"'+e.e+'",';t+='"'+"kty"+'":"'+e.kty+'",';t+='"'+"n"+'":"'+e.n+'"}'}else if(e.kty==="EC"){if(typeof e.crv!="string"||typeof e.x!="string"||typeof e.y!="string")throw"wrong crv, x and y value for EC key";t+='"'+"crv"+'":"'+e.crv+'",';t+='"'+"kty"+'":"'+e.kty+'",';t+='"'+"x"+'":"'+e.x+'",';t+='"'+"y"+'":"'+e.y+'"}'}else if(e.kty==="oct"){if(typeof e.k!="string")throw"wrong k value for oct(symmetric) key";t+='"'+"kty"+'":"'+e.kty+'",';t+='"'+"k"+'":"'+e.k+'"}'}var a=rstrtohex(t);var r=KJUR.crypto.Util.hashHex(a,"sha256");var i=hextob64u(r);return i};KJUR.jws.IntDate={};KJUR.jws.IntDate.get=function(e){var t=KJUR.jws.IntDate,a=t.getNow,r=t.getZulu;if(e=="now"){return a()}else if(e=="now + 1hour"){return a()+60*60}else if(e=="now + 1day"){return a()+60*60*24}else if(e=="now + 1month"){return a()+60*60*24*30}else if(e=="now + 1year"){return a()+60*60*24*365}else if(e.match(/Z$/)){return r(e)}else if(e.match(/^[0-9]+$/)){return parseInt(e)}throw"unsupported format: "+e};KJUR.jws.IntDate.getZulu=function(e){return zulutosec(e)};KJUR.jws.IntDate.getNow=function(){var e=~~(new Date/1e3);return e};KJUR.jws.IntDate.intDate2UTCString=function(e){var t=new Date(e*1e3);return t.toUTCString()};KJUR.jws.IntDate.intDate2Zulu=function(e){var t=new Date(e*1e3),a=("0000"+t.getUTCFullYear()).slice(-4),r=("00"+(t.getUTCMonth()+1)).slice(-2),i=("00"+t.getUTCDate()).slice(-2),n=("00"+t.getUTCHours()).slice(-2),f=("00"+t.getUTCMinutes()).slice(-2),s=("00"+t.getUTCSeconds()).slice(-2);return a+r+i+n+f+s+"Z"};
\ No newline at end of file
@@ -1 +1 @@
-if(typeof KJUR=="undefined"||!KJUR){KJUR={}}if(typeof KJUR.jws=="undefined"||!KJUR.jws){KJUR.jws={}}KJUR.jws.JWSJS=function(){var c=KJUR,b=c.jws,a=b.JWS,d=a.readSafeJSONString;this.aHeader=[];this.sPayload="";this.aSignature=[];this.init=function(){this.aHeader=[];this.sPayload=undefined;this.aSignature=[]};this.initWithJWS=function(f){this.init();var e=f.split(".");if(e.length!=3){throw"malformed input JWS"}this.aHeader.push(e[0]);this.sPayload=e[1];this.aSignature.push(e[2])};this.addSignature=function(e,h,m,k){if(this.sPayload===undefined||this.sPayload===null){throw"there's no JSON-JS signature to add."}var l=this.aHeader.length;if(this.aHeader.length!=this.aSignature.length){throw"aHeader.length != aSignature.length"}try{var f=KJUR.jws.JWS.sign(e,h,this.sPayload,m,k);var j=f.split(".");var n=j[0];var g=j[2];this.aHeader.push(j[0]);this.aSignature.push(j[2])}catch(i){if(this.aHeader.length>l){this.aHeader.pop()}if(this.aSignature.length>l){this.aSignature.pop()}throw"addSignature failed: "+i}};this.addSignatureByHeaderKey=function(h,e){var g=b64utoutf8(this.sPayload);var f=new KJUR.jws.JWS();var i=f.generateJWSByP1PrvKey(h,g,e);this.aHeader.push(f.parsedJWS.headB64U);this.aSignature.push(f.parsedJWS.sigvalB64U)};this.addSignatureByHeaderPayloadKey=function(h,g,e){var f=new KJUR.jws.JWS();var i=f.generateJWSByP1PrvKey(h,g,e);this.aHeader.push(f.parsedJWS.headB64U);this.sPayload=f.parsedJWS.payloadB64U;this.aSignature.push(f.parsedJWS.sigvalB64U)};this.verifyAll=function(h){if(this.aHeader.length!==h.length||this.aSignature.length!==h.length){return false}for(var g=0;g<h.length;g++){var f=h[g];if(f.length!==2){return false}var e=this.verifyNth(g,f[0],f[1]);if(e===false){return false}}return true};this.verifyNth=function(f,j,g){if(this.aHeader.length<=f||this.aSignature.length<=f){return false}var h=this.aHeader[f];var k=this.aSignature[f];var l=h+"."+this.sPayload+"."+k;var e=false;try{e=a.verify(l,j,g)}catch(i){return false}return e};this.verifyWithCerts=function(f){if(this.aHeader.length!=f.length){throw"num headers does not match with num certs"}if(this.aSignature.length!=f.length){throw"num signatures does not match with num certs"}var n=this.sPayload;var k="";for(var g=0;g<f.length;g++){var h=f[g];var j=this.aHeader[g];var p=this.aSignature[g];var e=j+"."+n+"."+p;var m=new KJUR.jws.JWS();try{var o=m.verifyJWSByPemX509Cert(e,h);if(o!=1){k+=(g+1)+"th signature unmatch. "}}catch(l){k+=(g+1)+"th signature fail("+l+"). "}}if(k==""){return 1}else{throw k}};this.readJWSJS=function(g){if(typeof g==="string"){var f=d(g);if(f==null){throw"argument is not safe JSON object string"}this.aHeader=f.headers;this.sPayload=f.payload;this.aSignature=f.signatures}else{try{if(g.headers.length>0){this.aHeader=g.headers}else{throw"malformed header"}if(typeof g.payload==="string"){this.sPayload=g.payload}else{throw"malformed signatures"}if(g.signatures.length>0){this.signatures=g.signatures}else{throw"malformed signatures"}}catch(e){throw"malformed JWS-JS JSON object: "+e}}};this.getJSON=function(){return{headers:this.aHeader,payload:this.sPayload,signatures:this.aSignature}};this.isEmpty=function(){if(this.aHeader.length==0){return 1}return 0}};
\ No newline at end of file
+if(typeof KJUR=="undefined"||!KJUR)KJUR={};if(typeof KJUR.jws=="undefined"||!KJUR.jws)KJUR.jws={};KJUR.jws.JWSJS=function(){var a=KJUR,t=a.jws,n=t.JWS,e=n.readSafeJSONString;this.aHeader=[];this.sPayload="";this.aSignature=[];this.init=function(){this.aHeader=[];this.sPayload=undefined;this.aSignature=[]};this.initWithJWS=function(a){this.init();var t=a.split(".");if(t.length!=3)throw"malformed input JWS";this.aHeader.push(t[0]);this.sPayload=t[1];this.aSignature.push(t[2])};this.addSignature=function(a,t,e,r){if(this.sPayload===undefined||this.sPayload===null)throw"there's no JSON-JS signature to add.";var i=this.aHeader.length;if(this.aHeader.length!=this.aSignature.length)throw"aHeader.length != aSignature.length";try{var s=KJUR.jws.JWS.sign(a,t,this.sPayload,e,r);var h=s.split(".");var n=h[0];var d=h[2];this.aHeader.push(h[0]);this.aSignature.push(h[2])}catch(a){if(this.aHeader.length>i)this.aHeader.pop();if(this.aSignature.length>i)this.aSignature.pop();throw"addSignature failed: "+a}};this.addSignatureByHeaderKey=function(a,t){var e=b64utoutf8(this.sPayload);var r=new KJUR.jws.JWS;var i=r.generateJWSByP1PrvKey(a,e,t);this.aHeader.push(r.parsedJWS.headB64U);this.aSignature.push(r.parsedJWS.sigvalB64U)};this.addSignatureByHeaderPayloadKey=function(a,t,e){var r=new KJUR.jws.JWS;var i=r.generateJWSByP1PrvKey(a,t,e);this.aHeader.push(r.parsedJWS.headB64U);this.sPayload=r.parsedJWS.payloadB64U;this.aSignature.push(r.parsedJWS.sigvalB64U)};this.verifyAll=function(a){if(this.aHeader.length!==a.length||this.aSignature.length!==a.length)return false;for(var t=0;t<a.length;t++){var e=a[t];if(e.length!==2)return false;var r=this.verifyNth(t,e[0],e[1]);if(r===false)return false}return true};this.verifyNth=function(a,t,e){if(this.aHeader.length<=a||this.aSignature.length<=a)return false;var r=this.aHeader[a];var i=this.aSignature[a];var s=r+"."+this.sPayload+"."+i;var h=false;try{h=n.verify(s,t,e)}catch(a){return false}return h};this.verifyWithCerts=function(a){if(this.aHeader.length!=a.length)throw"num headers does not match with num certs";if(this.aSignature.length!=a.length)throw"num signatures does not match with num certs";var t=this.sPayload;var e="";for(var r=0;r<a.length;r++){var i=a[r];var s=this.aHeader[r];var h=this.aSignature[r];var n=s+"."+t+"."+h;var d=new KJUR.jws.JWS;try{var u=d.verifyJWSByPemX509Cert(n,i);if(u!=1){e+=r+1+"th signature unmatch. "}}catch(a){e+=r+1+"th signature fail("+a+"). "}}if(e==""){return 1}else{throw e}};this.readJWSJS=function(a){if(typeof a==="string"){var t=e(a);if(t==null)throw"argument is not safe JSON object string";this.aHeader=t.headers;this.sPayload=t.payload;this.aSignature=t.signatures}else{try{if(a.headers.length>0){this.aHeader=a.headers}else{throw"malformed header"}if(typeof a.payload==="string"){this.sPayload=a.payload}else{throw"malformed signatures"}if(a.signatures.length>0){this.signatures=a.signatures}else{throw"malformed signatures"}}catch(a){throw"malformed JWS-JS JSON object: "+a}}};this.getJSON=function(){return{headers:this.aHeader,payload:this.sPayload,signatures:this.aSignature}};this.isEmpty=function(){if(this.aHeader.length==0)return 1;return 0}};
\ No newline at end of file
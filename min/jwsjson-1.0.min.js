@@ -0,0 +1 @@
+if(typeof KJUR=="undefined"||!KJUR)KJUR={};if(typeof KJUR.jws=="undefined"||!KJUR.jws)KJUR.jws={};KJUR.jws.JWSJSON=function(e){var t=KJUR,o=t.jws,h=o.JWS,u=h.readSafeJSONString,r=JSON;this.sPayload=undefined;this.isB64=true;this.aSig=[];this.init=function(){this.sPayload=undefined;this.isB64=true;this.aSig=[]};this.setPayload=function(e,t){this.init();var i=e;if(typeof e=="object")i=r.stringify(e);if(typeof i!="string")throw"payload shall be string or object";this.isB64=t!==false;this.sPayload=this.isB64?utf8tob64u(i):i};this.getPayload=function(){if(this.sPayload===undefined)throw"payload not set";return this.isB64?b64utoutf8(this.sPayload):this.sPayload};this.initWithJWS=function(e,t){var i=e.split(".");if(i.length!=3)throw"malformed input JWS";var r=u(b64utoutf8(i[0]));if(r==null)throw"malformed JWS header";this.init();this.isB64=h.isB64Payload(r);this.sPayload=i[1];this._addSig(i[0],t,i[2])};this.readJSON=function(e){var t=e;if(typeof e=="string"){t=u(e);if(t==null)throw"argument is not safe JSON object string"}if(t===null||typeof t!="object")throw"JWS JSON Serialization shall be string or object";if(typeof t.payload!="string")throw"payload member shall be string";var i;if(t.signatures!==undefined){if(Object.prototype.toString.call(t.signatures)!=="[object Array]"||t.signatures.length==0)throw"signatures member shall be non-empty array";if(t.signature!==undefined)throw"both signatures and signature member specified";i=t.signatures}else{i=[t]}this.init();this.sPayload=t.payload;if(typeof i[0]["protected"]=="string"){var r=u(b64utoutf8(i[0]["protected"]));if(r!=null)this.isB64=h.isB64Payload(r)}for(var a=0;a<i.length;a++){var n=i[a];if(typeof n.signature!="string")throw"signature member shall be string";this._addSig(n["protected"],n.header,n.signature)}};this.addSignature=function(e,t,i,r,a){if(this.sPayload===undefined)throw"payload not set";var n=h.sign(e,t,this.getPayload(),i,r,true);var s=n.split(".");this._addSig(s[0],a,s[2])};this.verifyNth=function(e,t,i){if(e<0||this.aSig.length<=e)return false;var r=this.aSig[e];if(r["protected"]===undefined)return false;try{var a=u(b64utoutf8(r["protected"]));if(a.alg===undefined)return false;var n,s;if(this.isB64){n=r["protected"]+"."+this.sPayload+"."+r.signature}else{n=r["protected"]+".."+r.signature;s=this.sPayload}if(t!==null&&typeof t=="object"&&Object.prototype.toString.call(t.keys)==="[object Array]")t=new o.JWKSet(t);if(o.JWKSet!==undefined&&t instanceof o.JWKSet){var d=t.getCandidateKeys(this.getHeader(e));for(var f=0;f<d.length;f++){if(h.verify(n,d[f],i,s))return true}return false}return h.verify(n,t,i,s)}catch(e){return false}};this.verifyAll=function(e){if(this.aSig.length==0||this.aSig.length!==e.length)return false;for(var t=0;t<e.length;t++){var i=e[t];if(i.length!==2)return false;if(this.verifyNth(t,i[0],i[1])===false)return false}return true};this.getHeader=function(e){if(e<0||this.aSig.length<=e)throw"no such signature: "+e;var t=this.aSig[e];var i={};if(t["protected"]!==undefined){var r=u(b64utoutf8(t["protected"]));for(var a in r)i[a]=r[a]}if(t.header!==undefined){for(var a in t.header)i[a]=t.header[a]}return i};this.getJSON=function(){var e=[];for(var t=0;t<this.aSig.length;t++){e.push(this._getSigJSON(this.aSig[t],{}))}return{payload:this.sPayload,signatures:e}};this.getFlattenedJSON=function(){if(this.aSig.length!==1)throw"flattened JSON shall have just one signature";return this._getSigJSON(this.aSig[0],{payload:this.sPayload})};this._getSigJSON=function(e,t){if(e["protected"]!==undefined)t["protected"]=e["protected"];if(e.header!==undefined)t.header=e.header;t.signature=e.signature;return t};this._addSig=function(e,t,i){var r={},a;if(e!==undefined){if(typeof e!="string")throw"protected member shall be string";r=u(b64utoutf8(e));if(r==null)throw"malformed protected header"}if(t!==undefined&&t!==null){a=t;if(typeof t=="string")a=u(t);if(a==null||typeof a!="object")throw"malformed unprotected header";for(var n in a){if(r[n]!==undefined)throw"header parameter in both protected and header: "+n}}if(e===undefined&&a===undefined)throw"protected or header member shall be specified";if(a!==undefined&&a.b64!==undefined)throw"b64 header parameter shall be in protected header";if(a!==undefined&&a.crit!==undefined)throw"crit header parameter shall be in protected header";if(h.isB64Payload(r)!==this.isB64)throw"b64 header parameter shall be the same for all signatures";var s={};if(e!==undefined)s["protected"]=e;if(a!==undefined)s.header=a;s.signature=i;this.aSig.push(s)};if(e!==undefined)this.readJSON(e)};
\ No newline at end of file
@@ -1 +1 @@
-var KEYUTIL=function(){var d=function(p,r,q){return k(CryptoJS.AES,p,r,q)};var e=function(p,r,q){return k(CryptoJS.TripleDES,p,r,q)};var a=function(p,r,q){return k(CryptoJS.DES,p,r,q)};var k=function(s,x,u,q){var r=CryptoJS.enc.Hex.parse(x);var w=CryptoJS.enc.Hex.parse(u);var p=CryptoJS.enc.Hex.parse(q);var t={};t.key=w;t.iv=p;t.ciphertext=r;var v=s.decrypt(t,w,{iv:p});return CryptoJS.enc.Hex.stringify(v)};var l=function(p,r,q){return g(CryptoJS.AES,p,r,q)};var o=function(p,r,q){return g(CryptoJS.TripleDES,p,r,q)};var f=function(p,r,q){return g(CryptoJS.DES,p,r,q)};var g=function(t,y,v,q){var s=CryptoJS.enc.Hex.parse(y);var x=CryptoJS.enc.Hex.parse(v);var p=CryptoJS.enc.Hex.parse(q);var w=t.encrypt(s,x,{iv:p});var r=CryptoJS.enc.Hex.parse(w.toString());var u=CryptoJS.enc.Base64.stringify(r);return u};var i={"AES-256-CBC":{proc:d,eproc:l,keylen:32,ivlen:16},"AES-192-CBC":{proc:d,eproc:l,keylen:24,ivlen:16},"AES-128-CBC":{proc:d,eproc:l,keylen:16,ivlen:16},"DES-EDE3-CBC":{proc:e,eproc:o,keylen:24,ivlen:8},"DES-CBC":{proc:a,eproc:f,keylen:8,ivlen:8}};var c=function(p){return i[p]["proc"]};var m=function(p){var r=CryptoJS.lib.WordArray.random(p);var q=CryptoJS.enc.Hex.stringify(r);return q};var n=function(v){var w={};var q=v.match(new RegExp("DEK-Info: ([^,]+),([0-9A-Fa-f]+)","m"));if(q){w.cipher=q[1];w.ivsalt=q[2]}var p=v.match(new RegExp("-----BEGIN ([A-Z]+) PRIVATE KEY-----"));if(p){w.type=p[1]}var u=-1;var x=0;if(v.indexOf("\r\n\r\n")!=-1){u=v.indexOf("\r\n\r\n");x=2}if(v.indexOf("\n\n")!=-1){u=v.indexOf("\n\n");x=1}var t=v.indexOf("-----END");if(u!=-1&&t!=-1){var r=v.substring(u+x*2,t-x);r=r.replace(/\s+/g,"");w.data=r}return w};var j=function(q,y,p){var v=p.substring(0,16);var t=CryptoJS.enc.Hex.parse(v);var r=CryptoJS.enc.Utf8.parse(y);var u=i[q]["keylen"]+i[q]["ivlen"];var x="";var w=null;for(;;){var s=CryptoJS.algo.MD5.create();if(w!=null){s.update(w)}s.update(r);s.update(t);w=s.finalize();x=x+CryptoJS.enc.Hex.stringify(w);if(x.length>=u*2){break}}var z={};z.keyhex=x.substr(0,i[q]["keylen"]*2);z.ivhex=x.substr(i[q]["keylen"]*2,i[q]["ivlen"]*2);return z};var b=function(p,v,r,w){var s=CryptoJS.enc.Base64.parse(p);var q=CryptoJS.enc.Hex.stringify(s);var u=i[v]["proc"];var t=u(q,r,w);return t};var h=function(p,s,q,u){var r=i[s]["eproc"];var t=r(p,q,u);return t};return{version:"1.0.0",getHexFromPEM:function(p,q){return pemtohex(p,q)},getDecryptedKeyHexByKeyIV:function(q,t,s,r){var p=c(t);return p(q,s,r)},parsePKCS5PEM:function(p){return n(p)},getKeyAndUnusedIvByPasscodeAndIvsalt:function(q,p,r){return j(q,p,r)},decryptKeyB64:function(p,r,q,s){return b(p,r,q,s)},getDecryptedKeyHex:function(y,x){var q=n(y);var t=q.type;var r=q.cipher;var p=q.ivsalt;var s=q.data;var w=j(r,x,p);var v=w.keyhex;var u=b(s,r,v,p);return u},getRSAKeyFromEncryptedPKCS5PEM:function(r,q){var s=this.getDecryptedKeyHex(r,q);var p=new RSAKey();p.readPrivateKeyFromASN1HexString(s);return p},getEncryptedPKCS5PEMFromPrvKeyHex:function(x,s,A,t,r){var p="";if(typeof t=="undefined"||t==null){t="AES-256-CBC"}if(typeof i[t]=="undefined"){throw"KEYUTIL unsupported algorithm: "+t}if(typeof r=="undefined"||r==null){var v=i[t]["ivlen"];var u=m(v);r=u.toUpperCase()}var z=j(t,A,r);var y=z.keyhex;var w=h(s,t,y,r);var q=w.replace(/(.{64})/g,"$1\r\n");var p="-----BEGIN "+x+" PRIVATE KEY-----\r\n";p+="Proc-Type: 4,ENCRYPTED\r\n";p+="DEK-Info: "+t+","+r+"\r\n";p+="\r\n";p+=q;p+="\r\n-----END "+x+" PRIVATE KEY-----\r\n";return p},getEncryptedPKCS5PEMFromRSAKey:function(D,E,r,t){var B=new KJUR.asn1.DERInteger({"int":0});var w=new KJUR.asn1.DERInteger({bigint:D.n});var A=new KJUR.asn1.DERInteger({"int":D.e});var C=new KJUR.asn1.DERInteger({bigint:D.d});var u=new KJUR.asn1.DERInteger({bigint:D.p});var s=new KJUR.asn1.DERInteger({bigint:D.q});var z=new KJUR.asn1.DERInteger({bigint:D.dmp1});var v=new KJUR.asn1.DERInteger({bigint:D.dmq1});var y=new KJUR.asn1.DERInteger({bigint:D.coeff});var F=new KJUR.asn1.DERSequence({array:[B,w,A,C,u,s,z,v,y]});var x=F.getEncodedHex();return this.getEncryptedPKCS5PEMFromPrvKeyHex("RSA",x,E,r,t)},newEncryptedPKCS5PEM:function(p,q,t,u){if(typeof q=="undefined"||q==null){q=1024}if(typeof t=="undefined"||t==null){t="10001"}var r=new RSAKey();r.generate(q,t);var s=null;if(typeof u=="undefined"||u==null){s=this.getEncryptedPKCS5PEMFromRSAKey(r,p)}else{s=this.getEncryptedPKCS5PEMFromRSAKey(r,p,u)}return s},getRSAKeyFromPlainPKCS8PEM:function(r){if(r.match(/ENCRYPTED/)){throw"pem shall be not ENCRYPTED"}var q=pemtohex(r,"PRIVATE KEY");var p=this.getRSAKeyFromPlainPKCS8Hex(q);return p},getRSAKeyFromPlainPKCS8Hex:function(q){var p=new RSAKey();p.readPKCS8PrvKeyHex(q);return p},parseHexOfEncryptedPKCS8:function(y){var B=ASN1HEX;var z=B.getChildIdx;var w=B.getV;var t={};var r=z(y,0);if(r.length!=2){throw"malformed format: SEQUENCE(0).items != 2: "+r.length}t.ciphertext=w(y,r[1]);var A=z(y,r[0]);if(A.length!=2){throw"malformed format: SEQUENCE(0.0).items != 2: "+A.length}if(w(y,A[0])!="2a864886f70d01050d"){throw"this only supports pkcs5PBES2"}var p=z(y,A[1]);if(A.length!=2){throw"malformed format: SEQUENCE(0.0.1).items != 2: "+p.length}var q=z(y,p[1]);if(q.length!=2){throw"malformed format: SEQUENCE(0.0.1.1).items != 2: "+q.length}if(w(y,q[0])!="2a864886f70d0307"){throw"this only supports TripleDES"}t.encryptionSchemeAlg="TripleDES";t.encryptionSchemeIV=w(y,q[1]);var s=z(y,p[0]);if(s.length!=2){throw"malformed format: SEQUENCE(0.0.1.0).items != 2: "+s.length}if(w(y,s[0])!="2a864886f70d01050c"){throw"this only supports pkcs5PBKDF2"}var x=z(y,s[1]);if(x.length<2){throw"malformed format: SEQUENCE(0.0.1.0.1).items < 2: "+x.length}t.pbkdf2Salt=w(y,x[0]);var u=w(y,x[1]);try{t.pbkdf2Iter=parseInt(u,16)}catch(v){throw"malformed format pbkdf2Iter: "+u}return t},getPBKDF2KeyHexFromParam:function(u,p){var t=CryptoJS.enc.Hex.parse(u.pbkdf2Salt);var q=u.pbkdf2Iter;var s=CryptoJS.PBKDF2(p,t,{keySize:192/32,iterations:q});var r=CryptoJS.enc.Hex.stringify(s);return r},getPlainPKCS8HexFromEncryptedPKCS8PEM:function(x,y){var r=pemtohex(x,"ENCRYPTED PRIVATE KEY");var p=this.parseHexOfEncryptedPKCS8(r);var u=KEYUTIL.getPBKDF2KeyHexFromParam(p,y);var v={};v.ciphertext=CryptoJS.enc.Hex.parse(p.ciphertext);var t=CryptoJS.enc.Hex.parse(u);var s=CryptoJS.enc.Hex.parse(p.encryptionSchemeIV);var w=CryptoJS.TripleDES.decrypt(v,t,{iv:s});var q=CryptoJS.enc.Hex.stringify(w);return q},getRSAKeyFromEncryptedPKCS8PEM:function(s,r){var q=this.getPlainPKCS8HexFromEncryptedPKCS8PEM(s,r);var p=this.getRSAKeyFromPlainPKCS8Hex(q);return p},getKeyFromEncryptedPKCS8PEM:function(s,q){var p=this.getPlainPKCS8HexFromEncryptedPKCS8PEM(s,q);var r=this.getKeyFromPlainPrivatePKCS8Hex(p);return r},parsePlainPrivatePKCS8Hex:function(s){var v=ASN1HEX;var u=v.getChildIdx;var t=v.getV;var q={};q.algparam=null;if(s.substr(0,2)!="30"){throw"malformed plain PKCS8 private key(code:001)"}var r=u(s,0);if(r.length!=3){throw"malformed plain PKCS8 private key(code:002)"}if(s.substr(r[1],2)!="30"){throw"malformed PKCS8 private key(code:003)"}var p=u(s,r[1]);if(p.length!=2){throw"malformed PKCS8 private key(code:004)"}if(s.substr(p[0],2)!="06"){throw"malformed PKCS8 private key(code:005)"}q.algoid=t(s,p[0]);if(s.substr(p[1],2)=="06"){q.algparam=t(s,p[1])}if(s.substr(r[2],2)!="04"){throw"malformed PKCS8 private key(code:006)"}q.keyidx=v.getVidx(s,r[2]);return q},getKeyFromPlainPrivatePKCS8PEM:function(q){var p=pemtohex(q,"PRIVATE KEY");var r=this.getKeyFromPlainPrivatePKCS8Hex(p);return r},getKeyFromPlainPrivatePKCS8Hex:function(p){var q=this.parsePlainPrivatePKCS8Hex(p);var r;if(q.algoid=="2a864886f70d010101"){r=new RSAKey()}else{if(q.algoid=="2a8648ce380401"){r=new KJUR.crypto.DSA()}else{if(q.algoid=="2a8648ce3d0201"){r=new KJUR.crypto.ECDSA()}else{throw"unsupported private key algorithm"}}}r.readPKCS8PrvKeyHex(p);return r},getRSAKeyFromPublicPKCS8PEM:function(q){var r=pemtohex(q,"PUBLIC KEY");var p=this.getRSAKeyFromPublicPKCS8Hex(r);return p},getKeyFromPublicPKCS8PEM:function(q){var r=pemtohex(q,"PUBLIC KEY");var p=this.getKeyFromPublicPKCS8Hex(r);return p},getKeyFromPublicPKCS8Hex:function(q){var p;var r=ASN1HEX.getVbyList(q,0,[0,0],"06");if(r==="2a864886f70d010101"){p=new RSAKey()}else{if(r==="2a8648ce380401"){p=new KJUR.crypto.DSA()}else{if(r==="2a8648ce3d0201"){p=new KJUR.crypto.ECDSA()}else{throw"unsupported PKCS#8 public key hex"}}}p.readPKCS8PubKeyHex(q);return p},parsePublicRawRSAKeyHex:function(r){var u=ASN1HEX;var t=u.getChildIdx;var s=u.getV;var p={};if(r.substr(0,2)!="30"){throw"malformed RSA key(code:001)"}var q=t(r,0);if(q.length!=2){throw"malformed RSA key(code:002)"}if(r.substr(q[0],2)!="02"){throw"malformed RSA key(code:003)"}p.n=s(r,q[0]);if(r.substr(q[1],2)!="02"){throw"malformed RSA key(code:004)"}p.e=s(r,q[1]);return p},parsePrivateRawRSAKeyHexAtObj:function(q,v){var u=ASN1HEX;var t=u.getChildIdx;var r=u.getV;var s=u.getIdxbyList(q,0,[2,0]);var p=t(q,s);if(p.length!==9){throw"malformed PKCS#8 plain RSA private key"}v.key={};v.key.n=r(q,p[1]);v.key.e=r(q,p[2]);v.key.d=r(q,p[3]);v.key.p=r(q,p[4]);v.key.q=r(q,p[5]);v.key.dp=r(q,p[6]);v.key.dq=r(q,p[7]);v.key.co=r(q,p[8])},parsePrivateRawECKeyHexAtObj:function(p,s){var q=s.keyidx;var r=new KJUR.crypto.ECDSA();r.readPKCS8PrvKeyHex(p);s.key=r.prvKeyHex;s.pubkey=r.pubKeyHex},parsePublicPKCS8Hex:function(t){var v=ASN1HEX;var u=v.getChildIdx;var s=v.getV;var q={};q.algparam=null;var r=u(t,0);if(r.length!=2){throw"outer DERSequence shall have 2 elements: "+r.length}var w=r[0];if(t.substr(w,2)!="30"){throw"malformed PKCS8 public key(code:001)"}var p=u(t,w);if(p.length!=2){throw"malformed PKCS8 public key(code:002)"}if(t.substr(p[0],2)!="06"){throw"malformed PKCS8 public key(code:003)"}q.algoid=s(t,p[0]);if(t.substr(p[1],2)=="06"){q.algparam=s(t,p[1])}else{if(t.substr(p[1],2)=="30"){q.algparam={};q.algparam.p=v.getVbyList(t,p[1],[0],"02");q.algparam.q=v.getVbyList(t,p[1],[1],"02");q.algparam.g=v.getVbyList(t,p[1],[2],"02")}}if(t.substr(r[1],2)!="03"){throw"malformed PKCS8 public key(code:004)"}q.key=s(t,r[1]).substr(2);return q},getRSAKeyFromPublicPKCS8Hex:function(p){var q=new RSAKey();q.readPKCS8PubKeyHex(p);return q},}}();KEYUTIL.getKey=function(l,k,n){var E=ASN1HEX,I=E.getChildIdx,u=E.getV,d=E.getVbyList,c=KJUR.crypto,i=c.ECDSA,B=c.DSA,v=RSAKey,J=pemtohex;if(typeof v!="undefined"&&l instanceof v){return l}if(typeof i!="undefined"&&l instanceof i){return l}if(typeof B!="undefined"&&l instanceof B){return l}if(l.curve!==undefined&&l.xy!==undefined&&l.d===undefined){return new i({pub:l.xy,curve:l.curve})}if(l.curve!==undefined&&l.d!==undefined){return new i({prv:l.d,curve:l.curve})}if(l.kty===undefined&&l.n!==undefined&&l.e!==undefined&&l.d===undefined){var L=new v();L.setPublic(l.n,l.e);return L}if(l.kty===undefined&&l.n!==undefined&&l.e!==undefined&&l.d!==undefined&&l.p!==undefined&&l.q!==undefined&&l.dp!==undefined&&l.dq!==undefined&&l.co!==undefined&&l.qi===undefined){var L=new v();L.setPrivateEx(l.n,l.e,l.d,l.p,l.q,l.dp,l.dq,l.co);return L}if(l.kty===undefined&&l.n!==undefined&&l.e!==undefined&&l.d!==undefined&&l.p===undefined){var L=new v();L.setPrivate(l.n,l.e,l.d);return L}if(l.p!==undefined&&l.q!==undefined&&l.g!==undefined&&l.y!==undefined&&l.x===undefined){var L=new B();L.setPublic(l.p,l.q,l.g,l.y);return L}if(l.p!==undefined&&l.q!==undefined&&l.g!==undefined&&l.y!==undefined&&l.x!==undefined){var L=new B();L.setPrivate(l.p,l.q,l.g,l.y,l.x);return L}if(l.kty==="RSA"&&l.n!==undefined&&l.e!==undefined&&l.d===undefined){var L=new v();L.setPublic(b64utohex(l.n),b64utohex(l.e));return L}if(l.kty==="RSA"&&l.n!==undefined&&l.e!==undefined&&l.d!==undefined&&l.p!==undefined&&l.q!==undefined&&l.dp!==undefined&&l.dq!==undefined&&l.qi!==undefined){var L=new v();L.setPrivateEx(b64utohex(l.n),b64utohex(l.e),b64utohex(l.d),b64utohex(l.p),b64utohex(l.q),b64utohex(l.dp),b64utohex(l.dq),b64utohex(l.qi));return L}if(l.kty==="RSA"&&l.n!==undefined&&l.e!==undefined&&l.d!==undefined){var L=new v();L.setPrivate(b64utohex(l.n),b64utohex(l.e),b64utohex(l.d));return L}if(l.kty==="EC"&&l.crv!==undefined&&l.x!==undefined&&l.y!==undefined&&l.d===undefined){var j=new i({curve:l.crv});var s=j.ecparams.keylen/4;var A=("0000000000"+b64utohex(l.x)).slice(-s);var w=("0000000000"+b64utohex(l.y)).slice(-s);var t="04"+A+w;j.setPublicKeyHex(t);return j}if(l.kty==="EC"&&l.crv!==undefined&&l.x!==undefined&&l.y!==undefined&&l.d!==undefined){var j=new i({curve:l.crv});var s=j.ecparams.keylen/4;var A=("0000000000"+b64utohex(l.x)).slice(-s);var w=("0000000000"+b64utohex(l.y)).slice(-s);var t="04"+A+w;var b=("0000000000"+b64utohex(l.d)).slice(-s);j.setPublicKeyHex(t);j.setPrivateKeyHex(b);return j}if(n==="pkcs5prv"){var G=l,E=ASN1HEX,K,L;K=I(G,0);if(K.length===9){L=new v();L.readPrivateKeyFromASN1HexString(l)}else{if(K.length===6){L=new B();L.readPKCS5PrvKeyHex(G)}else{if(K.length>2&&G.substr(K[1],2)==="04"){L=new i();L.readPKCS5PrvKeyHex(G)}else{throw"unsupported PKCS#1/5 hexadecimal key"}}}return L}if(n==="pkcs8prv"){var L=KEYUTIL.getKeyFromPlainPrivatePKCS8Hex(l);return L}if(n==="pkcs8pub"){return KEYUTIL.getKeyFromPublicPKCS8Hex(l)}if(n==="x509pub"){return X509.getPublicKeyFromCertHex(l)}if(l.indexOf("-END CERTIFICATE-",0)!=-1||l.indexOf("-END X509 CERTIFICATE-",0)!=-1||l.indexOf("-END TRUSTED CERTIFICATE-",0)!=-1){return X509.getPublicKeyFromCertPEM(l)}if(l.indexOf("-END PUBLIC KEY-")!=-1){return KEYUTIL.getKeyFromPublicPKCS8PEM(l)}if(l.indexOf("-END RSA PRIVATE KEY-")!=-1&&l.indexOf("4,ENCRYPTED")==-1){var m=J(l,"RSA PRIVATE KEY");return KEYUTIL.getKey(m,null,"pkcs5prv")}if(l.indexOf("-END DSA PRIVATE KEY-")!=-1&&l.indexOf("4,ENCRYPTED")==-1){var F=J(l,"DSA PRIVATE KEY");var D=d(F,0,[1],"02");var C=d(F,0,[2],"02");var H=d(F,0,[3],"02");var o=d(F,0,[4],"02");var r=d(F,0,[5],"02");var L=new B();L.setPrivate(new BigInteger(D,16),new BigInteger(C,16),new BigInteger(H,16),new BigInteger(o,16),new BigInteger(r,16));return L}if(l.indexOf("-END PRIVATE KEY-")!=-1){return KEYUTIL.getKeyFromPlainPrivatePKCS8PEM(l)}if(l.indexOf("-END RSA PRIVATE KEY-")!=-1&&l.indexOf("4,ENCRYPTED")!=-1){return KEYUTIL.getRSAKeyFromEncryptedPKCS5PEM(l,k)}if(l.indexOf("-END EC PRIVATE KEY-")!=-1&&l.indexOf("4,ENCRYPTED")!=-1){var F=KEYUTIL.getDecryptedKeyHex(l,k);var L=d(F,0,[1],"04");var f=d(F,0,[2,0],"06");var z=d(F,0,[3,0],"03").substr(2);var e="";if(KJUR.crypto.OID.oidhex2name[f]!==undefined){e=KJUR.crypto.OID.oidhex2name[f]}else{throw"undefined OID(hex) in KJUR.crypto.OID: "+f}var j=new i({curve:e});j.setPublicKeyHex(z);j.setPrivateKeyHex(L);j.isPublic=false;return j}if(l.indexOf("-END DSA PRIVATE KEY-")!=-1&&l.indexOf("4,ENCRYPTED")!=-1){var F=KEYUTIL.getDecryptedKeyHex(l,k);var D=d(F,0,[1],"02");var C=d(F,0,[2],"02");var H=d(F,0,[3],"02");var o=d(F,0,[4],"02");var r=d(F,0,[5],"02");var L=new B();L.setPrivate(new BigInteger(D,16),new BigInteger(C,16),new BigInteger(H,16),new BigInteger(o,16),new BigInteger(r,16));return L}if(l.indexOf("-END ENCRYPTED PRIVATE KEY-")!=-1){return KEYUTIL.getKeyFromEncryptedPKCS8PEM(l,k)}throw"not supported argument"};KEYUTIL.generateKeypair=function(a,c){if(a=="RSA"){var b=c;var h=new RSAKey();h.generate(b,"10001");h.isPrivate=true;h.isPublic=true;var f=new RSAKey();var e=h.n.toString(16);var i=h.e.toString(16);f.setPublic(e,i);f.isPrivate=false;f.isPublic=true;var k={};k.prvKeyObj=h;k.pubKeyObj=f;return k}else{if(a=="EC"){var d=c;var g=new KJUR.crypto.ECDSA({curve:d});var j=g.generateKeyPairHex();var h=new KJUR.crypto.ECDSA({curve:d});h.setPublicKeyHex(j.ecpubhex);h.setPrivateKeyHex(j.ecprvhex);h.isPrivate=true;h.isPublic=false;var f=new KJUR.crypto.ECDSA({curve:d});f.setPublicKeyHex(j.ecpubhex);f.isPrivate=false;f.isPublic=true;var k={};k.prvKeyObj=h;k.pubKeyObj=f;return k}else{throw"unknown algorithm: "+a}}};KEYUTIL.getPEM=function(b,C,x,l,p){var E=KJUR,j=E.asn1,y=j.DERObjectIdentifier,f=j.DERInteger,k=j.ASN1Util.newObject,a=j.x509,B=a.SubjectPublicKeyInfo,e=E.crypto,t=e.DSA,q=e.ECDSA,m=RSAKey;function z(s){var F=k({seq:[{"int":0},{"int":{bigint:s.n}},{"int":s.e},{"int":{bigint:s.d}},{"int":{bigint:s.p}},{"int":{bigint:s.q}},{"int":{bigint:s.dmp1}},{"int":{bigint:s.dmq1}},{"int":{bigint:s.coeff}}]});return F}function A(F){var s=k({seq:[{"int":1},{octstr:{hex:F.prvKeyHex}},{tag:["a0",true,{oid:{name:F.curveName}}]},{tag:["a1",true,{bitstr:{hex:"00"+F.pubKeyHex}}]}]});return s}function w(s){var F=k({seq:[{"int":0},{"int":{bigint:s.p}},{"int":{bigint:s.q}},{"int":{bigint:s.g}},{"int":{bigint:s.y}},{"int":{bigint:s.x}}]});return F}if(((m!==undefined&&b instanceof m)||(t!==undefined&&b instanceof t)||(q!==undefined&&b instanceof q))&&b.isPublic==true&&(C===undefined||C=="PKCS8PUB")){var D=new B(b);var v=D.getEncodedHex();return hextopem(v,"PUBLIC KEY")}if(C=="PKCS1PRV"&&m!==undefined&&b instanceof m&&(x===undefined||x==null)&&b.isPrivate==true){var D=z(b);var v=D.getEncodedHex();return hextopem(v,"RSA PRIVATE KEY")}if(C=="PKCS1PRV"&&q!==undefined&&b instanceof q&&(x===undefined||x==null)&&b.isPrivate==true){var i=new y({name:b.curveName});var u=i.getEncodedHex();var h=A(b);var r=h.getEncodedHex();var o="";o+=hextopem(u,"EC PARAMETERS");o+=hextopem(r,"EC PRIVATE KEY");return o}if(C=="PKCS1PRV"&&t!==undefined&&b instanceof t&&(x===undefined||x==null)&&b.isPrivate==true){var D=w(b);var v=D.getEncodedHex();return hextopem(v,"DSA PRIVATE KEY")}if(C=="PKCS5PRV"&&m!==undefined&&b instanceof m&&(x!==undefined&&x!=null)&&b.isPrivate==true){var D=z(b);var v=D.getEncodedHex();if(l===undefined){l="DES-EDE3-CBC"}return this.getEncryptedPKCS5PEMFromPrvKeyHex("RSA",v,x,l)}if(C=="PKCS5PRV"&&q!==undefined&&b instanceof q&&(x!==undefined&&x!=null)&&b.isPrivate==true){var D=A(b);var v=D.getEncodedHex();if(l===undefined){l="DES-EDE3-CBC"}return this.getEncryptedPKCS5PEMFromPrvKeyHex("EC",v,x,l)}if(C=="PKCS5PRV"&&t!==undefined&&b instanceof t&&(x!==undefined&&x!=null)&&b.isPrivate==true){var D=w(b);var v=D.getEncodedHex();if(l===undefined){l="DES-EDE3-CBC"}return this.getEncryptedPKCS5PEMFromPrvKeyHex("DSA",v,x,l)}var n=function(F,s){var H=c(F,s);var G=new k({seq:[{seq:[{oid:{name:"pkcs5PBES2"}},{seq:[{seq:[{oid:{name:"pkcs5PBKDF2"}},{seq:[{octstr:{hex:H.pbkdf2Salt}},{"int":H.pbkdf2Iter}]}]},{seq:[{oid:{name:"des-EDE3-CBC"}},{octstr:{hex:H.encryptionSchemeIV}}]}]}]},{octstr:{hex:H.ciphertext}}]});return G.getEncodedHex()};var c=function(M,N){var G=100;var L=CryptoJS.lib.WordArray.random(8);var K="DES-EDE3-CBC";var s=CryptoJS.lib.WordArray.random(8);var H=CryptoJS.PBKDF2(N,L,{keySize:192/32,iterations:G});var I=CryptoJS.enc.Hex.parse(M);var J=CryptoJS.TripleDES.encrypt(I,H,{iv:s})+"";var F={};F.ciphertext=J;F.pbkdf2Salt=CryptoJS.enc.Hex.stringify(L);F.pbkdf2Iter=G;F.encryptionSchemeAlg=K;F.encryptionSchemeIV=CryptoJS.enc.Hex.stringify(s);return F};if(C=="PKCS8PRV"&&m!=undefined&&b instanceof m&&b.isPrivate==true){var g=z(b);var d=g.getEncodedHex();var D=k({seq:[{"int":0},{seq:[{oid:{name:"rsaEncryption"}},{"null":true}]},{octstr:{hex:d}}]});var v=D.getEncodedHex();if(x===undefined||x==null){return hextopem(v,"PRIVATE KEY")}else{var r=n(v,x);return hextopem(r,"ENCRYPTED PRIVATE KEY")}}if(C=="PKCS8PRV"&&q!==undefined&&b instanceof q&&b.isPrivate==true){var g=new k({seq:[{"int":1},{octstr:{hex:b.prvKeyHex}},{tag:["a1",true,{bitstr:{hex:"00"+b.pubKeyHex}}]}]});var d=g.getEncodedHex();var D=k({seq:[{"int":0},{seq:[{oid:{name:"ecPublicKey"}},{oid:{name:b.curveName}}]},{octstr:{hex:d}}]});var v=D.getEncodedHex();if(x===undefined||x==null){return hextopem(v,"PRIVATE KEY")}else{var r=n(v,x);return hextopem(r,"ENCRYPTED PRIVATE KEY")}}if(C=="PKCS8PRV"&&t!==undefined&&b instanceof t&&b.isPrivate==true){var g=new f({bigint:b.x});var d=g.getEncodedHex();var D=k({seq:[{"int":0},{seq:[{oid:{name:"dsa"}},{seq:[{"int":{bigint:b.p}},{"int":{bigint:b.q}},{"int":{bigint:b.g}}]}]},{octstr:{hex:d}}]});var v=D.getEncodedHex();if(x===undefined||x==null){return hextopem(v,"PRIVATE KEY")}else{var r=n(v,x);return hextopem(r,"ENCRYPTED PRIVATE KEY")}}throw"unsupported object nor format"};KEYUTIL.getKeyFromCSRPEM=function(b){var a=pemtohex(b,"CERTIFICATE REQUEST");var c=KEYUTIL.getKeyFromCSRHex(a);return c};KEYUTIL.getKeyFromCSRHex=function(a){var c=KEYUTIL.parseCSRHex(a);var b=KEYUTIL.getKey(c.p8pubkeyhex,null,"pkcs8pub");return b};KEYUTIL.parseCSRHex=function(d){var i=ASN1HEX;var f=i.getChildIdx;var c=i.getTLV;var b={};var g=d;if(g.substr(0,2)!="30"){throw"malformed CSR(code:001)"}var e=f(g,0);if(e.length<1){throw"malformed CSR(code:002)"}if(g.substr(e[0],2)!="30"){throw"malformed CSR(code:003)"}var a=f(g,e[0]);if(a.length<3){throw"malformed CSR(code:004)"}b.p8pubkeyhex=c(g,a[2]);return b};KEYUTIL.getJWKFromKey=function(d){var b={};if(d instanceof RSAKey&&d.isPrivate){b.kty="RSA";b.n=hextob64u(d.n.toString(16));b.e=hextob64u(d.e.toString(16));b.d=hextob64u(d.d.toString(16));b.p=hextob64u(d.p.toString(16));b.q=hextob64u(d.q.toString(16));b.dp=hextob64u(d.dmp1.toString(16));b.dq=hextob64u(d.dmq1.toString(16));b.qi=hextob64u(d.coeff.toString(16));return b}else{if(d instanceof RSAKey&&d.isPublic){b.kty="RSA";b.n=hextob64u(d.n.toString(16));b.e=hextob64u(d.e.toString(16));return b}else{if(d instanceof KJUR.crypto.ECDSA&&d.isPrivate){var a=d.getShortNISTPCurveName();if(a!=="P-256"&&a!=="P-384"){throw"unsupported curve name for JWT: "+a}var c=d.getPublicKeyXYHex();b.kty="EC";b.crv=a;b.x=hextob64u(c.x);b.y=hextob64u(c.y);b.d=hextob64u(d.prvKeyHex);return b}else{if(d instanceof KJUR.crypto.ECDSA&&d.isPublic){var a=d.getShortNISTPCurveName();if(a!=="P-256"&&a!=="P-384"){throw"unsupported curve name for JWT: "+a}var c=d.getPublicKeyXYHex();b.kty="EC";b.crv=a;b.x=hextob64u(c.x);b.y=hextob64u(c.y);return b}}}}throw"not supported key object"};
\ No newline at end of file
+var KEYUTIL=function(){var e=function(e,r,n){return t(CryptoJS.AES,e,r,n)};var r=function(e,r,n){return t(CryptoJS.TripleDES,e,r,n)};var n=function(e,r,n){return t(CryptoJS.DES,e,r,n)};var t=function(e,r,n,t){var i=CryptoJS.enc.Hex.parse(r);var a=CryptoJS.enc.Hex.parse(n);var d=CryptoJS.enc.Hex.parse(t);var u={};u.key=a;u.iv=d;u.ciphertext=i;var o=e.decrypt(u,a,{iv:d});return CryptoJS.enc.Hex.stringify(o)};var i=function(e,r,n){return u(CryptoJS.AES,e,r,n)};var a=function(e,r,n){return u(CryptoJS.TripleDES,e,r,n)};var d=function(e,r,n){return u(CryptoJS.DES,e,r,n)};var u=function(e,r,n,t){var i=CryptoJS.enc.Hex.parse(r);var a=CryptoJS.enc.Hex.parse(n);var d=CryptoJS.enc.Hex.parse(t);var u=e.encrypt(i,a,{iv:d});var o=CryptoJS.enc.Hex.parse(u.toString());var f=CryptoJS.enc.Base64.stringify(o);return f};var p={"AES-256-CBC":{proc:e,eproc:i,keylen:32,ivlen:16},"AES-192-CBC":{proc:e,eproc:i,keylen:24,ivlen:16},"AES-128-CBC":{proc:e,eproc:i,keylen:16,ivlen:16},"DES-EDE3-CBC":{proc:r,eproc:a,keylen:24,ivlen:8},"DES-CBC":{proc:n,eproc:d,keylen:8,ivlen:8}};var o=function(e){return p[e]["proc"]};var y=function(e){var r=CryptoJS.lib.WordArray.random(e);var n=CryptoJS.enc.Hex.stringify(r);return n};var v=function(e){var r={};var n=e.match(new RegExp("DEK-Info: ([^,]+),([0-9A-Fa-f]+)","m"));if(n){r.cipher=n[1];r.ivsalt=n[2]}var t=e.match(new RegExp("-----BEGIN ([A-Z]+) PRIVATE KEY-----"));if(t){r.type=t[1]}var i=-1;var a=0;if(e.indexOf("\r\n\r\n")!=-1){i=e.indexOf("\r\n\r\n");a=2}if(e.indexOf("\n\n")!=-1){i=e.indexOf("\n\n");a=1}var d=e.indexOf("-----END");if(i!=-1&&d!=-1){var u=e.substring(i+a*2,d-a);u=u.replace(/\s+/g,"");r.data=u}return r};var E=function(e,r,n){var t=n.substring(0,16);var i=CryptoJS.enc.Hex.parse(t);var a=CryptoJS.enc.Utf8.parse(r);var d=p[e]["keylen"]+p[e]["ivlen"];var u="";var o=null;for(;;){var f=CryptoJS.algo.MD5.create();if(o!=null){f.update(o)}f.update(a);f.update(i);o=f.finalize();u=u+CryptoJS.enc.Hex.stringify(o);if(u.length>=d*2){break}}var v={};v.keyhex=u.substr(0,p[e]["keylen"]*2);v.ivhex=u.substr(p[e]["keylen"]*2,p[e]["ivlen"]*2);return v};var c=function(e,r,n,t){var i=CryptoJS.enc.Base64.parse(e);var a=CryptoJS.enc.Hex.stringify(i);var d=p[r]["proc"];var u=d(a,n,t);return u};var s=function(e,r,n,t){var i=p[r]["eproc"];var a=i(e,n,t);return a};return{version:"1.0.0",getHexFromPEM:function(e,r){return pemtohex(e,r)},getDecryptedKeyHexByKeyIV:function(e,r,n,t){var i=o(r);return i(e,n,t)},parsePKCS5PEM:function(e){return v(e)},getKeyAndUnusedIvByPasscodeAndIvsalt:function(e,r,n){return E(e,r,n)},decryptKeyB64:function(e,r,n,t){return c(e,r,n,t)},getDecryptedKeyHex:function(e,r){var n=v(e);var t=n.type;var i=n.cipher;var a=n.ivsalt;var d=n.data;var u=E(i,r,a);var o=u.keyhex;var f=c(d,i,o,a);return f},getRSAKeyFromEncryptedPKCS5PEM:function(e,r){var n=this.getDecryptedKeyHex(e,r);var t=new RSAKey;t.readPrivateKeyFromASN1HexString(n);return t},getEncryptedPKCS5PEMFromPrvKeyHex:function(e,r,n,t,i){var a="";if(typeof t=="undefined"||t==null){t="AES-256-CBC"}if(typeof p[t]=="undefined")throw"KEYUTIL unsupported algorithm: "+t;if(typeof i=="undefined"||i==null){var d=p[t]["ivlen"];var u=y(d);i=u.toUpperCase()}var o=E(t,n,i);var f=o.keyhex;var v=s(r,t,f,i);var c=v.replace(/(.{64})/g,"$1\r\n");var a="-----BEGIN "+e+" PRIVATE KEY-----\r\n";a+="Proc-Type: 4,ENCRYPTED\r\n";a+="DEK-Info: "+t+","+i+"\r\n";a+="\r\n";a+=c;a+="\r\n-----END "+e+" PRIVATE KEY-----\r\n";return a},getEncryptedPKCS5PEMFromRSAKey:function(e,r,n,t){var i=new KJUR.asn1.DERInteger({int:0});var a=new KJUR.asn1.DERInteger({bigint:e.n});var d=new KJUR.asn1.DERInteger({int:e.e});var u=new KJUR.asn1.DERInteger({bigint:e.d});var o=new KJUR.asn1.DERInteger({bigint:e.p});var f=new KJUR.asn1.DERInteger({bigint:e.q});var v=new KJUR.asn1.DERInteger({bigint:e.dmp1});var c=new KJUR.asn1.DERInteger({bigint:e.dmq1});var p=new KJUR.asn1.DERInteger({bigint:e.coeff});var y=new KJUR.asn1.DERSequence({array:[i,a,d,u,o,f,v,c,p]});var E=y.getEncodedHex();return this.getEncryptedPKCS5PEMFromPrvKeyHex("RSA",E,r,n,t)},newEncryptedPKCS5PEM:function(e,r,n,t){if(typeof r=="undefined"||r==null){r=1024}if(typeof n=="undefined"||n==null){n="10001"}var i=new RSAKey;i.generate(r,n);var a=null;if(typeof t=="undefined"||t==null){a=this.getEncryptedPKCS5PEMFromRSAKey(i,e)}else{a=this.getEncryptedPKCS5PEMFromRSAKey(i,e,t)}return a},getRSAKeyFromPlainPKCS8PEM:function(e){if(e.match(/ENCRYPTED/))throw"pem shall be not ENCRYPTED";var r=pemtohex(e,"PRIVATE KEY");var n=this.getRSAKeyFromPlainPKCS8Hex(r);return n},getRSAKeyFromPlainPKCS8Hex:function(e){var r=new RSAKey;r.readPKCS8PrvKeyHex(e);return r},parseHexOfEncryptedPKCS8:function(e){var r=ASN1HEX;var n=r.getChildIdx;var t=r.getV;var i={};var a=n(e,0);if(a.length!=2)throw"malformed format: SEQUENCE(0).items != 2: "+a.length;i.ciphertext=t(e,a[1]);var d=n(e,a[0]);if(d.length!=2)throw"malformed format: SEQUENCE(0.0).items != 2: "+d.length;if(t(e,d[0])!="2a864886f70d01050d")throw"this only supports pkcs5PBES2";var u=n(e,d[1]);if(d.length!=2)throw"malformed format: SEQUENCE(0.0.1).items != 2: "+u.length;var o=n(e,u[1]);if(o.length!=2)throw"malformed format: SEQUENCE(0.0.1.1).items != 2: "+o.length;if(t(e,o[0])!="2a864886f70d0307")throw"this only supports TripleDES";i.encryptionSchemeAlg="TripleDES";i.encryptionSchemeIV=t(e,o[1]);var f=n(e,u[0]);if(f.length!=2)throw"malformed format: SEQUENCE(0.0.1.0).items != 2: "+f.length;if(t(e,f[0])!="2a864886f70d01050c")throw"this only supports pkcs5PBKDF2";var v=n(e,f[1]);if(v.length<2)throw"malformed format: SEQUENCE(0.0.1.0.1).items < 2: "+v.length;i.pbkdf2Salt=t(e,v[0]);var c=t(e,v[1]);try{i.pbkdf2Iter=parseInt(c,16)}catch(e){throw"malformed format pbkdf2Iter: "+c}return i},getPBKDF2KeyHexFromParam:function(e,r){var n=CryptoJS.enc.Hex.parse(e.pbkdf2Salt);var t=e.pbkdf2Iter;var i=CryptoJS.PBKDF2(r,n,{keySize:192/32,iterations:t});var a=CryptoJS.enc.Hex.stringify(i);return a},getPlainPKCS8HexFromEncryptedPKCS8PEM:function(e,r){var n=pemtohex(e,"ENCRYPTED PRIVATE KEY");var t=this.parseHexOfEncryptedPKCS8(n);var i=KEYUTIL.getPBKDF2KeyHexFromParam(t,r);var a={};a.ciphertext=CryptoJS.enc.Hex.parse(t.ciphertext);var d=CryptoJS.enc.Hex.parse(i);var u=CryptoJS.enc.Hex.parse(t.encryptionSchemeIV);var o=CryptoJS.TripleDES.decrypt(a,d,{iv:u});var f=CryptoJS.enc.Hex.stringify(o);return f},getRSAKeyFromEncryptedPKCS8PEM:function(e,r){var n=this.getPlainPKCS8HexFromEncryptedPKCS8PEM(e,r);var t=this.getRSAKeyFromPlainPKCS8Hex(n);return t},getKeyFromEncryptedPKCS8PEM:function(e,r){var n=this.getPlainPKCS8HexFromEncryptedPKCS8PEM(e,r);var t=this.getKeyFromPlainPrivatePKCS8Hex(n);return t},parsePlainPrivatePKCS8Hex:function(e){var r=ASN1HEX;var n=r.getChildIdx;var t=r.getV;var i={};i.algparam=null;if(e.substr(0,2)!="30")throw"malformed plain PKCS8 private key(code:001)";var a=n(e,0);if(a.length<3)throw"malformed plain PKCS8 private key(code:002)";if(e.substr(a[1],2)!="30")throw"malformed PKCS8 private key(code:003)";var d=n(e,a[1]);if(d.length!=1&&d.length!=2)throw"malformed PKCS8 private key(code:004)";if(e.substr(d[0],2)!="06")throw"malformed PKCS8 private key(code:005)";i.algoid=t(e,d[0]);if(d.length==2&&e.substr(d[1],2)=="06"){i.algparam=t(e,d[1])}if(e.substr(a[2],2)!="04")throw"malformed PKCS8 private key(code:006)";i.keyidx=r.getVidx(e,a[2]);return i},getKeyFromPlainPrivatePKCS8PEM:function(e){var r=pemtohex(e,"PRIVATE KEY");var n=this.getKeyFromPlainPrivatePKCS8Hex(r);return n},getKeyFromPlainPrivatePKCS8Hex:function(e){var r=this.parsePlainPrivatePKCS8Hex(e);var n;if(r.algoid=="2a864886f70d010101"||r.algoid=="2a864886f70d01010a"){n=new RSAKey}else if(r.algoid=="2a8648ce380401"){n=new KJUR.crypto.DSA}else if(r.algoid=="2a8648ce3d0201"){n=new KJUR.crypto.ECDSA}else if(r.algoid=="2b6570"){n=new KJUR.crypto.Ed25519}else{throw"unsupported private key algorithm"}n.readPKCS8PrvKeyHex(e);return n},getRSAKeyFromPublicPKCS8PEM:function(e){var r=pemtohex(e,"PUBLIC KEY");var n=this.getRSAKeyFromPublicPKCS8Hex(r);return n},getKeyFromPublicPKCS8PEM:function(e){var r=pemtohex(e,"PUBLIC KEY");var n=this.getKeyFromPublicPKCS8Hex(r);return n},getKeyFromPublicPKCS8Hex:function(e){var r;var n=ASN1HEX.getVbyList(e,0,[0,0],"06");if(n==="2a864886f70d010101"||n==="2a864886f70d01010a"){r=new RSAKey}else if(n==="2a8648ce380401"){r=new KJUR.crypto.DSA}else if(n==="2a8648ce3d0201"){r=new KJUR.crypto.ECDSA}else if(n==="2b6570"){r=new KJUR.crypto.Ed25519}else{throw"unsupported PKCS#8 public key hex"}r.readPKCS8PubKeyHex(e);return r},parsePublicRawRSAKeyHex:function(e){var r=ASN1HEX;var n=r.getChildIdx;var t=r.getV;var i={};if(e.substr(0,2)!="30")throw"malformed RSA key(code:001)";var a=n(e,0);if(a.length!=2)throw"malformed RSA key(code:002)";if(e.substr(a[0],2)!="02")throw"malformed RSA key(code:003)";i.n=t(e,a[0]);if(e.substr(a[1],2)!="02")throw"malformed RSA key(code:004)";i.e=t(e,a[1]);return i},parsePrivateRawRSAKeyHexAtObj:function(e,r){var n=ASN1HEX;var t=n.getChildIdx;var i=n.getV;var a=n.getIdxbyList(e,0,[2,0]);var d=t(e,a);if(d.length!==9)throw"malformed PKCS#8 plain RSA private key";r.key={};r.key.n=i(e,d[1]);r.key.e=i(e,d[2]);r.key.d=i(e,d[3]);r.key.p=i(e,d[4]);r.key.q=i(e,d[5]);r.key.dp=i(e,d[6]);r.key.dq=i(e,d[7]);r.key.co=i(e,d[8])},parsePrivateRawECKeyHexAtObj:function(e,r){var n=r.keyidx;var t=new KJUR.crypto.ECDSA;t.readPKCS8PrvKeyHex(e);r.key=t.prvKeyHex;r.pubkey=t.pubKeyHex},parsePublicPKCS8Hex:function(e){var r=ASN1HEX;var n=r.getChildIdx;var t=r.getV;var i={};i.algparam=null;var a=n(e,0);if(a.length!=2)throw"outer DERSequence shall have 2 elements: "+a.length;var d=a[0];if(e.substr(d,2)!="30")throw"malformed PKCS8 public key(code:001)";var u=n(e,d);if(u.length!=2)throw"malformed PKCS8 public key(code:002)";if(e.substr(u[0],2)!="06")throw"malformed PKCS8 public key(code:003)";i.algoid=t(e,u[0]);if(e.substr(u[1],2)=="06"){i.algparam=t(e,u[1])}else if(e.substr(u[1],2)=="30"){i.algparam={};i.algparam.p=r.getVbyList(e,u[1],[0],"02");i.algparam.q=r.getVbyList(e,u[1],[1],"02");i.algparam.g=r.getVbyList(e,u[1],[2],"02")}if(e.substr(a[1],2)!="03")throw"malformed PKCS8 public key(code:004)";i.key=t(e,a[1]).substr(2);return i},getRSAKeyFromPublicPKCS8Hex:function(e){var r=new RSAKey;r.readPKCS8PubKeyHex(e);return r}}}();KEYUTIL.getKey=function(e,r,n){var t=ASN1HEX,i=t.getChildIdx,a=t.getV,d=t.getVbyList,u=KJUR.crypto,o=u.ECDSA,f=u.DSA,v=u.Ed25519,c=RSAKey,p=pemtohex;if(typeof c!="undefined"&&e instanceof c)return e;if(typeof o!="undefined"&&e instanceof o)return e;if(typeof f!="undefined"&&e instanceof f)return e;if(typeof v!="undefined"&&e instanceof v)return e;if(e.curve!==undefined&&e.xy!==undefined&&e.d===undefined){return new o({pub:e.xy,curve:e.curve})}if(e.curve!==undefined&&e.d!==undefined){return new o({prv:e.d,curve:e.curve})}if(e.kty===undefined&&e.n!==undefined&&e.e!==undefined&&e.d===undefined){var y=new c;y.setPublic(e.n,e.e);return y}if(e.kty===undefined&&e.n!==undefined&&e.e!==undefined&&e.d!==undefined&&e.p!==undefined&&e.q!==undefined&&e.dp!==undefined&&e.dq!==undefined&&e.co!==undefined&&e.qi===undefined){var y=new c;y.setPrivateEx(e.n,e.e,e.d,e.p,e.q,e.dp,e.dq,e.co);return y}if(e.kty===undefined&&e.n!==undefined&&e.e!==undefined&&e.d!==undefined&&e.p===undefined){var y=new c;y.setPrivate(e.n,e.e,e.d);return y}if(e.p!==undefined&&e.q!==undefined&&e.g!==undefined&&e.y!==undefined&&e.x===undefined){var y=new f;y.setPublic(e.p,e.q,e.g,e.y);return y}if(e.p!==undefined&&e.q!==undefined&&e.g!==undefined&&e.y!==undefined&&e.x!==undefined){var y=new f;y.setPrivate(e.p,e.q,e.g,e.y,e.x);return y}if(e.kty==="RSA"&&e.n!==undefined&&e.e!==undefined&&e.d===undefined){var y=new c;y.setPublic(b64utohex(e.n),b64utohex(e.e));return y}if(e.kty==="RSA"&&e.n!==undefined&&e.e!==undefined&&e.d!==undefined&&e.p!==undefined&&e.q!==undefined&&e.dp!==undefined&&e.dq!==undefined&&e.qi!==undefined){var y=new c;y.setPrivateEx(b64utohex(e.n),b64utohex(e.e),b64utohex(e.d),b64utohex(e.p),b64utohex(e.q),b64utohex(e.dp),b64utohex(e.dq),b64utohex(e.qi));return y}if(e.kty==="RSA"&&e.n!==undefined&&e.e!==undefined&&e.d!==undefined){var y=new c;y.setPrivate(b64utohex(e.n),b64utohex(e.e),b64utohex(e.d));return y}if(e.kty==="EC"&&e.crv!==undefined&&e.x!==undefined&&e.y!==undefined&&e.d===undefined){var E=new o({curve:e.crv});var s=Math.ceil(E.ecparams.keylen/8)*2;var P=("0000000000"+b64utohex(e.x)).slice(-s);var l=("0000000000"+b64utohex(e.y)).slice(-s);var K="04"+P+l;E.setPublicKeyHex(K);return E}if(e.kty==="EC"&&e.crv!==undefined&&e.x!==undefined&&e.y!==undefined&&e.d!==undefined){var E=new o({curve:e.crv});var s=Math.ceil(E.ecparams.keylen/8)*2;var P=("0000000000"+b64utohex(e.x)).slice(-s);var l=("0000000000"+b64utohex(e.y)).slice(-s);var K="04"+P+l;var S=("0000000000"+b64utohex(e.d)).slice(-s);E.setPublicKeyHex(K);E.setPrivateKeyHex(S);return E}if(e.kty==="OKP"&&e.crv==="Ed25519"&&e.x!==undefined){if(v===undefined)throw"KJUR.crypto.Ed25519 is required for Ed25519 key";var x=new v({pub:b64utohex(e.x)});if(e.d!==undefined){x.setPrivateKeyHex(b64utohex(e.d));x.isPublic=false}return x}if(n==="pkcs5prv"){var g=e,t=ASN1HEX,h,y;h=i(g,0);if(h.length===9){y=new c;y.readPrivateKeyFromASN1HexString(e)}else if(h.length===6){y=new f;y.readPKCS5PrvKeyHex(g)}else if(h.length>2&&g.substr(h[1],2)==="04"){y=new o;y.readPKCS5PrvKeyHex(g)}else{throw"unsupported PKCS#1/5 hexadecimal key"}return y}if(n==="pkcs8prv"){var y=KEYUTIL.getKeyFromPlainPrivatePKCS8Hex(e);return y}if(n==="pkcs8pub"){return KEYUTIL.getKeyFromPublicPKCS8Hex(e)}if(n==="x509pub"){return X509.getPublicKeyFromCertHex(e)}if(e.indexOf("-END CERTIFICATE-",0)!=-1||e.indexOf("-END X509 CERTIFICATE-",0)!=-1||e.indexOf("-END TRUSTED CERTIFICATE-",0)!=-1){return X509.getPublicKeyFromCertPEM(e)}if(e.indexOf("-END PUBLIC KEY-")!=-1){return KEYUTIL.getKeyFromPublicPKCS8PEM(e)}if(e.indexOf("-END RSA PRIVATE KEY-")!=-1&&e.indexOf("4,ENCRYPTED")==-1){var C=p(e,"RSA PRIVATE KEY");return KEYUTIL.getKey(C,null,"pkcs5prv")}if(e.indexOf("-END DSA PRIVATE KEY-")!=-1&&e.indexOf("4,ENCRYPTED")==-1){var m=p(e,"DSA PRIVATE KEY");var b=d(m,0,[1],"02");var R=d(m,0,[2],"02");var A=d(m,0,[3],"02");var w=d(m,0,[4],"02");var H=d(m,0,[5],"02");var y=new f;y.setPrivate(new BigInteger(b,16),new BigInteger(R,16),new BigInteger(A,16),new BigInteger(w,16),new BigInteger(H,16));return y}if(e.indexOf("-END PRIVATE KEY-")!=-1){return KEYUTIL.getKeyFromPlainPrivatePKCS8PEM(e)}if(e.indexOf("-END RSA PRIVATE KEY-")!=-1&&e.indexOf("4,ENCRYPTED")!=-1){return KEYUTIL.getRSAKeyFromEncryptedPKCS5PEM(e,r)}if(e.indexOf("-END EC PRIVATE KEY-")!=-1&&e.indexOf("4,ENCRYPTED")!=-1){var m=KEYUTIL.getDecryptedKeyHex(e,r);var y=d(m,0,[1],"04");var I=d(m,0,[2,0],"06");var D=d(m,0,[3,0],"03").substr(2);var k="";if(KJUR.crypto.OID.oidhex2name[I]!==undefined){k=KJUR.crypto.OID.oidhex2name[I]}else{throw"undefined OID(hex) in KJUR.crypto.OID: "+I}var E=new o({curve:k});E.setPublicKeyHex(D);E.setPrivateKeyHex(y);E.isPublic=false;return E}if(e.indexOf("-END DSA PRIVATE KEY-")!=-1&&e.indexOf("4,ENCRYPTED")!=-1){var m=KEYUTIL.getDecryptedKeyHex(e,r);var b=d(m,0,[1],"02");var R=d(m,0,[2],"02");var A=d(m,0,[3],"02");var w=d(m,0,[4],"02");var H=d(m,0,[5],"02");var y=new f;y.setPrivate(new BigInteger(b,16),new BigInteger(R,16),new BigInteger(A,16),new BigInteger(w,16),new BigInteger(H,16));return y}if(e.indexOf("-END ENCRYPTED PRIVATE KEY-")!=-1){return KEYUTIL.getKeyFromEncryptedPKCS8PEM(e,r)}throw"not supported argument"};KEYUTIL.generateKeypair=function(e,r){if(e=="RSA"){var n=r;var t=new RSAKey;t.generate(n,"10001");t.isPrivate=true;t.isPublic=true;var i=new RSAKey;var a=t.n.toString(16);var d=t.e.toString(16);i.setPublic(a,d);i.isPrivate=false;i.isPublic=true;var u={};u.prvKeyObj=t;u.pubKeyObj=i;return u}else if(e=="EC"){var o=r;var f=new KJUR.crypto.ECDSA({curve:o});var v=f.generateKeyPairHex();var t=new KJUR.crypto.ECDSA({curve:o});t.setPublicKeyHex(v.ecpubhex);t.setPrivateKeyHex(v.ecprvhex);t.isPrivate=true;t.isPublic=false;var i=new KJUR.crypto.ECDSA({curve:o});i.setPublicKeyHex(v.ecpubhex);i.isPrivate=false;i.isPublic=true;var u={};u.prvKeyObj=t;u.pubKeyObj=i;return u}else if(e=="DSA"){var c=KJUR.crypto.DSA;var p=r;if(typeof p=="number")p={L:p};if(p.p===undefined){var y=p.L;var E=p.N!==undefined?p.N:y==3072?256:224;p=c.generateParameters(y,E,p)}var t=new c;t.generateKeyPairHex(p.p,p.q,p.g);t.isPrivate=true;t.isPublic=false;var i=new c;i.setPublic(p.p,p.q,p.g,t.y);i.isPrivate=false;i.isPublic=true;var u={};u.prvKeyObj=t;u.pubKeyObj=i;return u}else if(e=="Ed25519"){var s=new KJUR.crypto.Ed25519;var v=s.generateKeyPairHex();var t=new KJUR.crypto.Ed25519({prv:v.prvhex,pub:v.pubhex});t.isPrivate=true;t.isPublic=false;var i=new KJUR.crypto.Ed25519({pub:v.pubhex});var u={};u.prvKeyObj=t;u.pubKeyObj=i;return u}else{throw"unknown algorithm: "+e}};KEYUTIL.getPEM=function(e,r,n,t,i){var a=KJUR,d=a.asn1,u=d.DERObjectIdentifier,o=d.DERInteger,f=d.ASN1Util.newObject,v=d.x509,c=v.SubjectPublicKeyInfo,p=a.crypto,y=p.DSA,E=p.ECDSA,s=p.Ed25519,P=RSAKey;function l(e){var r=f({seq:[{int:0},{int:{bigint:e.n}},{int:e.e},{int:{bigint:e.d}},{int:{bigint:e.p}},{int:{bigint:e.q}},{int:{bigint:e.dmp1}},{int:{bigint:e.dmq1}},{int:{bigint:e.coeff}}]});return r}function K(e){var r=f({seq:[{int:1},{octstr:{hex:e.prvKeyHex}},{tag:["a0",true,{oid:{name:e.curveName}}]},{tag:["a1",true,{bitstr:{hex:"00"+e.getPublicKeyHex()}}]}]});return r}function S(e){var r=f({seq:[{int:0},{int:{bigint:e.p}},{int:{bigint:e.q}},{int:{bigint:e.g}},{int:{bigint:e.y}},{int:{bigint:e.x}}]});return r}if((P!==undefined&&e instanceof P||y!==undefined&&e instanceof y||E!==undefined&&e instanceof E||s!==undefined&&e instanceof s)&&e.isPublic==true&&(r===undefined||r=="PKCS8PUB")){var x=new c(e);var g=x.getEncodedHex();return hextopem(g,"PUBLIC KEY")}if(r=="PKCS1PRV"&&P!==undefined&&e instanceof P&&(n===undefined||n==null)&&e.isPrivate==true){var x=l(e);var g=x.getEncodedHex();return hextopem(g,"RSA PRIVATE KEY")}if(r=="PKCS1PRV"&&E!==undefined&&e instanceof E&&(n===undefined||n==null)&&e.isPrivate==true){var h=new u({name:e.curveName});var C=h.getEncodedHex();var m=K(e);var b=m.getEncodedHex();var R="";R+=hextopem(C,"EC PARAMETERS");R+=hextopem(b,"EC PRIVATE KEY");return R}if(r=="PKCS1PRV"&&y!==undefined&&e instanceof y&&(n===undefined||n==null)&&e.isPrivate==true){var x=S(e);var g=x.getEncodedHex();return hextopem(g,"DSA PRIVATE KEY")}if(r=="PKCS5PRV"&&P!==undefined&&e instanceof P&&(n!==undefined&&n!=null)&&e.isPrivate==true){var x=l(e);var g=x.getEncodedHex();if(t===undefined)t="DES-EDE3-CBC";return this.getEncryptedPKCS5PEMFromPrvKeyHex("RSA",g,n,t)}if(r=="PKCS5PRV"&&E!==undefined&&e instanceof E&&(n!==undefined&&n!=null)&&e.isPrivate==true){var x=K(e);var g=x.getEncodedHex();if(t===undefined)t="DES-EDE3-CBC";return this.getEncryptedPKCS5PEMFromPrvKeyHex("EC",g,n,t)}if(r=="PKCS5PRV"&&y!==undefined&&e instanceof y&&(n!==undefined&&n!=null)&&e.isPrivate==true){var x=S(e);var g=x.getEncodedHex();if(t===undefined)t="DES-EDE3-CBC";return this.getEncryptedPKCS5PEMFromPrvKeyHex("DSA",g,n,t)}var A=function(e,r){var n=w(e,r);var t=new f({seq:[{seq:[{oid:{name:"pkcs5PBES2"}},{seq:[{seq:[{oid:{name:"pkcs5PBKDF2"}},{seq:[{octstr:{hex:n.pbkdf2Salt}},{int:n.pbkdf2Iter}]}]},{seq:[{oid:{name:"des-EDE3-CBC"}},{octstr:{hex:n.encryptionSchemeIV}}]}]}]},{octstr:{hex:n.ciphertext}}]});return t.getEncodedHex()};var w=function(e,r){var n=100;var t=CryptoJS.lib.WordArray.random(8);var i="DES-EDE3-CBC";var a=CryptoJS.lib.WordArray.random(8);var d=CryptoJS.PBKDF2(r,t,{keySize:192/32,iterations:n});var u=CryptoJS.enc.Hex.parse(e);var o=CryptoJS.TripleDES.encrypt(u,d,{iv:a})+"";var f={};f.ciphertext=o;f.pbkdf2Salt=CryptoJS.enc.Hex.stringify(t);f.pbkdf2Iter=n;f.encryptionSchemeAlg=i;f.encryptionSchemeIV=CryptoJS.enc.Hex.stringify(a);return f};if(r=="PKCS8PRV"&&P!=undefined&&e instanceof P&&e.isPrivate==true){var H=l(e);var I=H.getEncodedHex();var D=new c(e).asn1AlgId;var x=new d.DERSequence({array:[new o({int:0}),D,new d.DEROctetString({hex:I})]});var g=x.getEncodedHex();if(n===undefined||n==null){return hextopem(g,"PRIVATE KEY")}else{var b=A(g,n);return hextopem(b,"ENCRYPTED PRIVATE KEY")}}if(r=="PKCS8PRV"&&E!==undefined&&e instanceof E&&e.isPrivate==true){var H=new f({seq:[{int:1},{octstr:{hex:e.prvKeyHex}},{tag:["a1",true,{bitstr:{hex:"00"+e.getPublicKeyHex()}}]}]});var I=H.getEncodedHex();var x=f({seq:[{int:0},{seq:[{oid:{name:"ecPublicKey"}},{oid:{name:e.curveName}}]},{octstr:{hex:I}}]});var g=x.getEncodedHex();if(n===undefined||n==null){return hextopem(g,"PRIVATE KEY")}else{var b=A(g,n);return hextopem(b,"ENCRYPTED PRIVATE KEY")}}if(r=="PKCS8PRV"&&y!==undefined&&e instanceof y&&e.isPrivate==true){var H=new o({bigint:e.x});var I=H.getEncodedHex();var x=f({seq:[{int:0},{seq:[{oid:{name:"dsa"}},{seq:[{int:{bigint:e.p}},{int:{bigint:e.q}},{int:{bigint:e.g}}]}]},{octstr:{hex:I}}]});var g=x.getEncodedHex();if(n===undefined||n==null){return hextopem(g,"PRIVATE KEY")}else{var b=A(g,n);return hextopem(b,"ENCRYPTED PRIVATE KEY")}}if(r=="PKCS8PRV"&&s!==undefined&&e instanceof s&&e.isPrivate==true){var x=f({seq:[{int:0},{seq:[{oid:{name:"Ed25519"}}]},{octstr:{hex:"0420"+e.prvKeyHex}}]});var g=x.getEncodedHex();if(n===undefined||n==null){return hextopem(g,"PRIVATE KEY")}else{var b=A(g,n);return hextopem(b,"ENCRYPTED PRIVATE KEY")}}throw"unsupported object nor format"};KEYUTIL.getKeyFromCSRPEM=function(e){var r=pemtohex(e,"CERTIFICATE REQUEST");var n=KEYUTIL.getKeyFromCSRHex(r);return n};KEYUTIL.getKeyFromCSRHex=function(e){var r=KEYUTIL.parseCSRHex(e);var n=KEYUTIL.getKey(r.p8pubkeyhex,null,"pkcs8pub");return n};KEYUTIL.parseCSRHex=function(e){var r=ASN1HEX;var n=r.getChildIdx;var t=r.getTLV;var i={};var a=e;if(a.substr(0,2)!="30")throw"malformed CSR(code:001)";var d=n(a,0);if(d.length<1)throw"malformed CSR(code:002)";if(a.substr(d[0],2)!="30")throw"malformed CSR(code:003)";var u=n(a,d[0]);if(u.length<3)throw"malformed CSR(code:004)";i.p8pubkeyhex=t(a,u[2]);return i};KEYUTIL.getJWKFromKey=function(e){var r={};if(e instanceof RSAKey&&e.isPrivate){r.kty="RSA";r.n=hextob64u(e.n.toString(16));r.e=hextob64u(e.e.toString(16));r.d=hextob64u(e.d.toString(16));r.p=hextob64u(e.p.toString(16));r.q=hextob64u(e.q.toString(16));r.dp=hextob64u(e.dmp1.toString(16));r.dq=hextob64u(e.dmq1.toString(16));r.qi=hextob64u(e.coeff.toString(16));return r}else if(e instanceof RSAKey&&e.isPublic){r.kty="RSA";r.n=hextob64u(e.n.toString(16));r.e=hextob64u(e.e.toString(16));return r}else if(e instanceof KJUR.crypto.ECDSA&&e.isPrivate){var n=e.getShortNISTPCurveName();if(n!=="P-256"&&n!=="P-384"&&n!=="P-521")throw"unsupported curve name for JWT: "+n;var t=e.getPublicKeyXYHex();r.kty="EC";r.crv=n;r.x=hextob64u(t.x);r.y=hextob64u(t.y);var i=e.prvKeyHex;while(i.length<t.x.length)i="00"+i;r.d=hextob64u(i);return r}else if(e instanceof KJUR.crypto.ECDSA&&e.isPublic){var n=e.getShortNISTPCurveName();if(n!=="P-256"&&n!=="P-384"&&n!=="P-521")throw"unsupported curve name for JWT: "+n;var t=e.getPublicKeyXYHex();r.kty="EC";r.crv=n;r.x=hextob64u(t.x);r.y=hextob64u(t.y);return r}else if(KJUR.crypto.Ed25519!==undefined&&e instanceof KJUR.crypto.Ed25519){r.kty="OKP";r.crv="Ed25519";r.x=hextob64u(e.getPublicKeyHex());if(e.isPrivate)r.d=hextob64u(e.prvKeyHex);return r}throw"not supported key object"};
\ No newline at end of file
@@ -1 +1 @@
-RSAKey.pemToBase64=function(a){return hextob64(pemtohex(a))};RSAKey.getPosArrayOfChildrenFromHex=function(a){return ASN1HEX.getChildIdx(a,0)};RSAKey.getHexValueArrayOfChildrenFromHex=function(f){var n=ASN1HEX;var i=n.getV;var k=RSAKey.getPosArrayOfChildrenFromHex(f);var e=i(f,k[0]);var j=i(f,k[1]);var b=i(f,k[2]);var c=i(f,k[3]);var h=i(f,k[4]);var g=i(f,k[5]);var m=i(f,k[6]);var l=i(f,k[7]);var d=i(f,k[8]);var k=new Array();k.push(e,j,b,c,h,g,m,l,d);return k};RSAKey.prototype.readPrivateKeyFromPEMString=function(e){var c=RSAKey.pemToBase64(e);var d=b64tohex(c);var b=RSAKey.getHexValueArrayOfChildrenFromHex(d);this.setPrivateEx(b[1],b[2],b[3],b[4],b[5],b[6],b[7],b[8])};RSAKey.prototype.readPrivateKeyFromASN1HexString=function(a){this.readPKCS5PrvKeyHex(a)};RSAKey.prototype.readPKCS5PrvKeyHex=function(c){var b=RSAKey.getHexValueArrayOfChildrenFromHex(c);this.setPrivateEx(b[1],b[2],b[3],b[4],b[5],b[6],b[7],b[8])};RSAKey.prototype.readPKCS8PrvKeyHex=function(e){var c,j,l,b,a,f,d,k;var m=ASN1HEX;var g=m.getVbyList;if(m.isASN1HEX(e)===false){throw"not ASN.1 hex string"}try{c=g(e,0,[2,0,1],"02");j=g(e,0,[2,0,2],"02");l=g(e,0,[2,0,3],"02");b=g(e,0,[2,0,4],"02");a=g(e,0,[2,0,5],"02");f=g(e,0,[2,0,6],"02");d=g(e,0,[2,0,7],"02");k=g(e,0,[2,0,8],"02")}catch(i){throw"malformed PKCS#8 plain RSA private key"}this.setPrivateEx(c,j,l,b,a,f,d,k)};RSAKey.prototype.readPKCS5PubKeyHex=function(c){var e=ASN1HEX;var b=e.getV;if(e.isASN1HEX(c)===false){throw"keyHex is not ASN.1 hex string"}var a=e.getChildIdx(c,0);if(a.length!==2||c.substr(a[0],2)!=="02"||c.substr(a[1],2)!=="02"){throw"wrong hex for PKCS#5 public key"}var f=b(c,a[0]);var d=b(c,a[1]);this.setPublic(f,d)};RSAKey.prototype.readPKCS8PubKeyHex=function(b){var c=ASN1HEX;if(c.isASN1HEX(b)===false){throw"not ASN.1 hex string"}if(c.getTLVbyList(b,0,[0,0])!=="06092a864886f70d010101"){throw"not PKCS8 RSA public key"}var a=c.getTLVbyList(b,0,[1,0]);this.readPKCS5PubKeyHex(a)};RSAKey.prototype.readCertPubKeyHex=function(b,d){var a,c;a=new X509();a.readCertHex(b);c=a.getPublicKeyHex();this.readPKCS8PubKeyHex(c)};
\ No newline at end of file
+RSAKey.pemToBase64=function(e){return hextob64(pemtohex(e))};RSAKey.getPosArrayOfChildrenFromHex=function(e){return ASN1HEX.getChildIdx(e,0)};RSAKey.getHexValueArrayOfChildrenFromHex=function(e){var r=ASN1HEX;var t=r.getV;var a=RSAKey.getPosArrayOfChildrenFromHex(e);var i=t(e,a[0]);var n=t(e,a[1]);var o=t(e,a[2]);var y=t(e,a[3]);var S=t(e,a[4]);var s=t(e,a[5]);var v=t(e,a[6]);var A=t(e,a[7]);var h=t(e,a[8]);var a=new Array;a.push(i,n,o,y,S,s,v,A,h);return a};RSAKey.prototype.readPrivateKeyFromPEMString=function(e){var r=RSAKey.pemToBase64(e);var t=b64tohex(r);var a=RSAKey.getHexValueArrayOfChildrenFromHex(t);this.setPrivateEx(a[1],a[2],a[3],a[4],a[5],a[6],a[7],a[8])};RSAKey.prototype.readPrivateKeyFromASN1HexString=function(e){this.readPKCS5PrvKeyHex(e)};RSAKey.prototype.readPKCS5PrvKeyHex=function(e){var r=RSAKey.getHexValueArrayOfChildrenFromHex(e);this.setPrivateEx(r[1],r[2],r[3],r[4],r[5],r[6],r[7],r[8])};RSAKey.prototype.readPKCS8PrvKeyHex=function(e){var r,t,a,i,n,o,y,S;var s=ASN1HEX;var v=s.getVbyList;if(s.isASN1HEX(e)===false)throw"not ASN.1 hex string";try{r=v(e,0,[2,0,1],"02");t=v(e,0,[2,0,2],"02");a=v(e,0,[2,0,3],"02");i=v(e,0,[2,0,4],"02");n=v(e,0,[2,0,5],"02");o=v(e,0,[2,0,6],"02");y=v(e,0,[2,0,7],"02");S=v(e,0,[2,0,8],"02")}catch(e){throw"malformed PKCS#8 plain RSA private key"}var A=RSAKey._getPSSParam(e,s.getIdxbyList(e,0,[1],"30"));this.setPrivateEx(r,t,a,i,n,o,y,S);if(A!==undefined)this.pssParam=A};RSAKey.prototype.readPKCS5PubKeyHex=function(e){var r=ASN1HEX;var t=r.getV;if(r.isASN1HEX(e)===false)throw"keyHex is not ASN.1 hex string";var a=r.getChildIdx(e,0);if(a.length!==2||e.substr(a[0],2)!=="02"||e.substr(a[1],2)!=="02")throw"wrong hex for PKCS#5 public key";var i=t(e,a[0]);var n=t(e,a[1]);this.setPublic(i,n)};RSAKey.prototype.readPKCS8PubKeyHex=function(e){var r=ASN1HEX;if(r.isASN1HEX(e)===false)throw"not ASN.1 hex string";var t;try{t=RSAKey._getPSSParam(e,r.getIdxbyList(e,0,[0],"30"))}catch(e){throw"not PKCS8 RSA public key"}var a=r.getTLVbyList(e,0,[1,0]);this.readPKCS5PubKeyHex(a);if(t!==undefined)this.pssParam=t};RSAKey._getPSSParam=function(e,r){var t=ASN1HEX;var a=t.getVbyList(e,r,[0],"06");if(a==="2a864886f70d010101")return undefined;if(a!=="2a864886f70d01010a")throw"not RSA key algorithm: "+a;var i=t.getChildIdx(e,r);if(i.length<2)return null;return X509.hex2pssparam(e,i[1])};RSAKey.prototype.readCertPubKeyHex=function(e,r){var t,a;t=new X509;t.readCertHex(e);a=t.getPublicKeyHex();this.readPKCS8PubKeyHex(a)};
\ No newline at end of file
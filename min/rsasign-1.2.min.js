@@ -1 +1 @@
-var _RE_HEXDECONLY=new RegExp("");_RE_HEXDECONLY.compile("[^0-9a-f]","gi");function _rsasign_getHexPaddedDigestInfoForString(d,e,a){var b=function(f){return KJUR.crypto.Util.hashString(f,a)};var c=b(d);return KJUR.crypto.Util.getPaddedDigestInfoHex(c,a,e)}function _zeroPaddingOfSignature(e,d){var c="";var a=d/4-e.length;for(var b=0;b<a;b++){c=c+"0"}return c+e}function _rsasign_signString(d,a){var b=function(e){return KJUR.crypto.Util.hashString(e,a)};var c=b(d);return this.signWithMessageHash(c,a)}function _rsasign_signWithMessageHash(e,c){var f=KJUR.crypto.Util.getPaddedDigestInfoHex(e,c,this.n.bitLength());var b=parseBigInt(f,16);var d=this.doPrivate(b);var a=d.toString(16);return _zeroPaddingOfSignature(a,this.n.bitLength())}function _rsasign_signStringWithSHA1(a){return _rsasign_signString.call(this,a,"sha1")}function _rsasign_signStringWithSHA256(a){return _rsasign_signString.call(this,a,"sha256")}function pss_mgf1_str(c,a,e){var b="",d=0;while(b.length<a){b+=hextorstr(e(rstrtohex(c+String.fromCharCode.apply(String,[(d&4278190080)>>24,(d&16711680)>>16,(d&65280)>>8,d&255]))));d+=1}return b}function _rsasign_signStringPSS(e,a,d){var c=function(f){return KJUR.crypto.Util.hashHex(f,a)};var b=c(rstrtohex(e));if(d===undefined){d=-1}return this.signWithMessageHashPSS(b,a,d)}function _rsasign_signWithMessageHashPSS(l,a,k){var b=hextorstr(l);var g=b.length;var m=this.n.bitLength()-1;var c=Math.ceil(m/8);var d;var o=function(i){return KJUR.crypto.Util.hashHex(i,a)};if(k===-1||k===undefined){k=g}else{if(k===-2){k=c-g-2}else{if(k<-2){throw"invalid salt length"}}}if(c<(g+k+2)){throw"data too long"}var f="";if(k>0){f=new Array(k);new SecureRandom().nextBytes(f);f=String.fromCharCode.apply(String,f)}var n=hextorstr(o(rstrtohex("\x00\x00\x00\x00\x00\x00\x00\x00"+b+f)));var j=[];for(d=0;d<c-k-g-2;d+=1){j[d]=0}var e=String.fromCharCode.apply(String,j)+"\x01"+f;var h=pss_mgf1_str(n,e.length,o);var q=[];for(d=0;d<e.length;d+=1){q[d]=e.charCodeAt(d)^h.charCodeAt(d)}var p=(65280>>(8*c-m))&255;q[0]&=~p;for(d=0;d<g;d++){q.push(n.charCodeAt(d))}q.push(188);return _zeroPaddingOfSignature(this.doPrivate(new BigInteger(q)).toString(16),this.n.bitLength())}function _rsasign_getDecryptSignatureBI(a,d,c){var b=new RSAKey();b.setPublic(d,c);var e=b.doPublic(a);return e}function _rsasign_getHexDigestInfoFromSig(a,c,b){var e=_rsasign_getDecryptSignatureBI(a,c,b);var d=e.toString(16).replace(/^1f+00/,"");return d}function _rsasign_getAlgNameAndHashFromHexDisgestInfo(f){for(var e in KJUR.crypto.Util.DIGESTINFOHEAD){var d=KJUR.crypto.Util.DIGESTINFOHEAD[e];var b=d.length;if(f.substring(0,b)==d){var c=[e,f.substring(b)];return c}}return[]}function _rsasign_verifySignatureWithArgs(f,b,g,j){var e=_rsasign_getHexDigestInfoFromSig(b,g,j);var h=_rsasign_getAlgNameAndHashFromHexDisgestInfo(e);if(h.length==0){return false}var d=h[0];var i=h[1];var a=function(k){return KJUR.crypto.Util.hashString(k,d)};var c=a(f);return(i==c)}function _rsasign_verifyHexSignatureForMessage(c,b){var d=parseBigInt(c,16);var a=_rsasign_verifySignatureWithArgs(b,d,this.n.toString(16),this.e.toString(16));return a}function _rsasign_verifyString(f,j){j=j.replace(_RE_HEXDECONLY,"");j=j.replace(/[ \n]+/g,"");var b=parseBigInt(j,16);if(b.bitLength()>this.n.bitLength()){return 0}var i=this.doPublic(b);var e=i.toString(16).replace(/^1f+00/,"");var g=_rsasign_getAlgNameAndHashFromHexDisgestInfo(e);if(g.length==0){return false}var d=g[0];var h=g[1];var a=function(k){return KJUR.crypto.Util.hashString(k,d)};var c=a(f);return(h==c)}function _rsasign_verifyWithMessageHash(e,a){a=a.replace(_RE_HEXDECONLY,"");a=a.replace(/[ \n]+/g,"");var b=parseBigInt(a,16);if(b.bitLength()>this.n.bitLength()){return 0}var h=this.doPublic(b);var g=h.toString(16).replace(/^1f+00/,"");var c=_rsasign_getAlgNameAndHashFromHexDisgestInfo(g);if(c.length==0){return false}var d=c[0];var f=c[1];return(f==e)}function _rsasign_verifyStringPSS(c,b,a,f){var e=function(g){return KJUR.crypto.Util.hashHex(g,a)};var d=e(rstrtohex(c));if(f===undefined){f=-1}return this.verifyWithMessageHashPSS(d,b,a,f)}function _rsasign_verifyWithMessageHashPSS(f,s,l,c){var k=new BigInteger(s,16);if(k.bitLength()>this.n.bitLength()){return false}var r=function(i){return KJUR.crypto.Util.hashHex(i,l)};var j=hextorstr(f);var h=j.length;var g=this.n.bitLength()-1;var m=Math.ceil(g/8);var q;if(c===-1||c===undefined){c=h}else{if(c===-2){c=m-h-2}else{if(c<-2){throw"invalid salt length"}}}if(m<(h+c+2)){throw"data too long"}var a=this.doPublic(k).toByteArray();for(q=0;q<a.length;q+=1){a[q]&=255}while(a.length<m){a.unshift(0)}if(a[m-1]!==188){throw"encoded message does not end in 0xbc"}a=String.fromCharCode.apply(String,a);var d=a.substr(0,m-h-1);var e=a.substr(d.length,h);var p=(65280>>(8*m-g))&255;if((d.charCodeAt(0)&p)!==0){throw"bits beyond keysize not zero"}var n=pss_mgf1_str(e,d.length,r);var o=[];for(q=0;q<d.length;q+=1){o[q]=d.charCodeAt(q)^n.charCodeAt(q)}o[0]&=~p;var b=m-h-c-2;for(q=0;q<b;q+=1){if(o[q]!==0){throw"leftmost octets not zero"}}if(o[b]!==1){throw"0x01 marker not found"}return e===hextorstr(r(rstrtohex("\x00\x00\x00\x00\x00\x00\x00\x00"+j+String.fromCharCode.apply(String,o.slice(-c)))))}RSAKey.prototype.signWithMessageHash=_rsasign_signWithMessageHash;RSAKey.prototype.signString=_rsasign_signString;RSAKey.prototype.signStringWithSHA1=_rsasign_signStringWithSHA1;RSAKey.prototype.signStringWithSHA256=_rsasign_signStringWithSHA256;RSAKey.prototype.sign=_rsasign_signString;RSAKey.prototype.signWithSHA1=_rsasign_signStringWithSHA1;RSAKey.prototype.signWithSHA256=_rsasign_signStringWithSHA256;RSAKey.prototype.signWithMessageHashPSS=_rsasign_signWithMessageHashPSS;RSAKey.prototype.signStringPSS=_rsasign_signStringPSS;RSAKey.prototype.signPSS=_rsasign_signStringPSS;RSAKey.SALT_LEN_HLEN=-1;RSAKey.SALT_LEN_MAX=-2;RSAKey.prototype.verifyWithMessageHash=_rsasign_verifyWithMessageHash;RSAKey.prototype.verifyString=_rsasign_verifyString;RSAKey.prototype.verifyHexSignatureForMessage=_rsasign_verifyHexSignatureForMessage;RSAKey.prototype.verify=_rsasign_verifyString;RSAKey.prototype.verifyHexSignatureForByteArrayMessage=_rsasign_verifyHexSignatureForMessage;RSAKey.prototype.verifyWithMessageHashPSS=_rsasign_verifyWithMessageHashPSS;RSAKey.prototype.verifyStringPSS=_rsasign_verifyStringPSS;RSAKey.prototype.verifyPSS=_rsasign_verifyStringPSS;RSAKey.SALT_LEN_RECOVER=-2;
\ No newline at end of file
+var _RE_HEXDECONLY=new RegExp("");_RE_HEXDECONLY.compile("[^0-9a-f]","gi");function _rsasign_getHexPaddedDigestInfoForString(r,e,t){var i=function(r){return KJUR.crypto.Util.hashString(r,t)};var n=i(r);return KJUR.crypto.Util.getPaddedDigestInfoHex(n,t,e)}function _zeroPaddingOfSignature(r,e){var t="";var i=e/4-r.length;for(var n=0;n<i;n++){t=t+"0"}return t+r}function _rsasign_signString(r,e){var t=function(r){return KJUR.crypto.Util.hashString(r,e)};var i=t(r);return this.signWithMessageHash(i,e)}function _rsasign_signWithMessageHash(r,e){var t=KJUR.crypto.Util.getPaddedDigestInfoHex(r,e,this.n.bitLength());var i=parseBigInt(t,16);var n=this.doPrivate(i);var s=n.toString(16);return _zeroPaddingOfSignature(s,this.n.bitLength())}function _rsasign_signStringWithSHA1(r){return _rsasign_signString.call(this,r,"sha1")}function _rsasign_signStringWithSHA256(r){return _rsasign_signString.call(this,r,"sha256")}function pss_mgf1_str(r,e,t){var i="",n=0;while(i.length<e){i+=hextorstr(t(rstrtohex(r+String.fromCharCode.apply(String,[(n&4278190080)>>24,(n&16711680)>>16,(n&65280)>>8,n&255]))));n+=1}return i}function _rsasign_signStringPSS(r,e,t){var i=function(r){return KJUR.crypto.Util.hashHex(r,e)};var n=i(rstrtohex(r));if(t===undefined)t=-1;return this.signWithMessageHashPSS(n,e,t)}function _rsasign_signWithMessageHashPSS(r,e,t){var i=r.length/2;var n=this.n.bitLength()-1;var s=Math.ceil(n/8);if(t===-1||t===undefined){t=i}else if(t===-2){t=s-i-2}else if(t<-2){throw"invalid salt length"}_rsasign_checkPSSParam(this,e,t);if(s<i+t+2){throw"data too long"}var a="";if(t>0){a=new Array(t);(new SecureRandom).nextBytes(a);a=String.fromCharCode.apply(String,a)}var g=_rsasign_encodePSS(r,e,a,n);return _zeroPaddingOfSignature(this.doPrivate(new BigInteger(g)).toString(16),this.n.bitLength())}function _rsasign_checkPSSParam(r,e,t){var i=r.pssParam;if(i===undefined||i===null)return;if(e.toLowerCase()!==i.hash||e.toLowerCase()!==i.mgfhash)throw"hash algorithm not allowed for RSASSA-PSS key: "+e;if(t<i.saltlen)throw"salt length less than RSASSA-PSS key's one: "+t}function _rsasign_encodePSS(r,e,t,i){var n=hextorstr(r);var s=n.length;var a=t.length;var g=Math.ceil(i/8);var o;var h=function(r){return KJUR.crypto.Util.hashHex(r,e)};if(g<s+a+2){throw"data too long"}var S=hextorstr(h(rstrtohex("\0\0\0\0\0\0\0\0"+n+t)));var f=[];for(o=0;o<g-a-s-2;o+=1){f[o]=0}var l=String.fromCharCode.apply(String,f)+""+t;var _=pss_mgf1_str(S,l.length,h);var v=[];for(o=0;o<l.length;o+=1){v[o]=l.charCodeAt(o)^_.charCodeAt(o)}var u=65280>>8*g-i&255;v[0]&=~u;for(o=0;o<s;o++){v.push(S.charCodeAt(o))}v.push(188);return v}function _rsasign_getDecryptSignatureBI(r,e,t){var i=new RSAKey;i.setPublic(e,t);var n=i.doPublic(r);return n}function _rsasign_getHexDigestInfoFromSig(r,e,t){var i=_rsasign_getDecryptSignatureBI(r,e,t);var n=i.toString(16).replace(/^1f+00/,"");return n}function _rsasign_getAlgNameAndHashFromHexDisgestInfo(r){for(var e in KJUR.crypto.Util.DIGESTINFOHEAD){var t=KJUR.crypto.Util.DIGESTINFOHEAD[e];var i=t.length;if(r.substring(0,i)==t){var n=[e,r.substring(i)];return n}}return[]}function _rsasign_verifySignatureWithArgs(r,e,t,i){var n=_rsasign_getHexDigestInfoFromSig(e,t,i);var s=_rsasign_getAlgNameAndHashFromHexDisgestInfo(n);if(s.length==0)return false;var a=s[0];var g=s[1];var o=function(r){return KJUR.crypto.Util.hashString(r,a)};var h=o(r);return g==h}function _rsasign_verifyHexSignatureForMessage(r,e){var t=parseBigInt(r,16);var i=_rsasign_verifySignatureWithArgs(e,t,this.n.toString(16),this.e.toString(16));return i}function _rsasign_verifyString(r,e){e=e.replace(_RE_HEXDECONLY,"");e=e.replace(/[ \n]+/g,"");var t=parseBigInt(e,16);if(t.bitLength()>this.n.bitLength())return 0;var i=this.doPublic(t);var n=i.toString(16).replace(/^1f+00/,"");var s=_rsasign_getAlgNameAndHashFromHexDisgestInfo(n);if(s.length==0)return false;var a=s[0];var g=s[1];var o=function(r){return KJUR.crypto.Util.hashString(r,a)};var h=o(r);return g==h}function _rsasign_verifyWithMessageHash(r,e){e=e.replace(_RE_HEXDECONLY,"");e=e.replace(/[ \n]+/g,"");var t=parseBigInt(e,16);if(t.bitLength()>this.n.bitLength())return 0;var i=this.doPublic(t);var n=i.toString(16).replace(/^1f+00/,"");var s=_rsasign_getAlgNameAndHashFromHexDisgestInfo(n);if(s.length==0)return false;var a=s[0];var g=s[1];return g==r}function _rsasign_verifyStringPSS(r,e,t,i){var n=function(r){return KJUR.crypto.Util.hashHex(r,t)};var s=n(rstrtohex(r));if(i===undefined)i=-1;return this.verifyWithMessageHashPSS(s,e,t,i)}function _rsasign_verifyWithMessageHashPSS(r,e,t,i){var n=new BigInteger(e,16);if(n.bitLength()>this.n.bitLength()){return false}var s=function(r){return KJUR.crypto.Util.hashHex(r,t)};var a=hextorstr(r);var g=a.length;var o=this.n.bitLength()-1;var h=Math.ceil(o/8);var S;if(i===-1||i===undefined){i=g}else if(i===-2){i=h-g-2}else if(i<-2){throw"invalid salt length"}_rsasign_checkPSSParam(this,t,i);if(h<g+i+2){throw"data too long"}var f=this.doPublic(n).toByteArray();for(S=0;S<f.length;S+=1){f[S]&=255}while(f.length<h){f.unshift(0)}if(f[h-1]!==188){throw"encoded message does not end in 0xbc"}f=String.fromCharCode.apply(String,f);var l=f.substr(0,h-g-1);var _=f.substr(l.length,g);var v=65280>>8*h-o&255;if((l.charCodeAt(0)&v)!==0){throw"bits beyond keysize not zero"}var u=pss_mgf1_str(_,l.length,s);var d=[];for(S=0;S<l.length;S+=1){d[S]=l.charCodeAt(S)^u.charCodeAt(S)}d[0]&=~v;var y=h-g-i-2;for(S=0;S<y;S+=1){if(d[S]!==0){throw"leftmost octets not zero"}}if(d[y]!==1){throw"0x01 marker not found"}return _===hextorstr(s(rstrtohex("\0\0\0\0\0\0\0\0"+a+String.fromCharCode.apply(String,d.slice(d.length-i)))))}function _rsasign_getBlindVariant(r){if(r===undefined)r="RSABSSA-SHA384-PSS-Randomized";var e=r.match(/^RSABSSA-(SHA[0-9]+)-(PSS|PSSZERO)-(Randomized|Deterministic)$/);if(e===null)throw"unsupported RSABSSA variant: "+r;var t=KJUR.crypto.MessageDigest.getCanonicalAlgName(e[1]);var i=KJUR.crypto.MessageDigest.getHashLength(t);return{hashAlg:t,sLen:e[2]==="PSS"?i:0,randomized:e[3]==="Randomized"}}function _rsasign_bitohexlen(r,e){return _zeroPaddingOfSignature(r.toString(16),e*8)}RSAKey.prepareBlindMessage=function(r,e,t){var i=_rsasign_getBlindVariant(e);if(!i.randomized)return r;if(t===undefined){var n=new Array(32);(new SecureRandom).nextBytes(n);t=BAtohex(n)}if(t.length!==64)throw"message prefix shall be 32 bytes";return t+r};function _rsasign_blindMessage(r,e,t,i){var n=_rsasign_getBlindVariant(e);var s=n.hashAlg;var a=this.n.bitLength()+7>>3;var g="";if(t!==undefined){g=hextorstr(t);if(g.length!==n.sLen)throw"invalid salt length"}else if(n.sLen>0){g=new Array(n.sLen);(new SecureRandom).nextBytes(g);g=String.fromCharCode.apply(String,g)}var o=KJUR.crypto.Util.hashHex(r,s);var h=_rsasign_encodePSS(o,s,g,this.n.bitLength()-1);var S=new BigInteger(BAtohex(h),16);if(S.gcd(this.n).compareTo(BigInteger.ONE)!==0)throw"invalid input";var f,l;if(i!==undefined){l=new BigInteger(i,16);if(l.signum()<=0||l.compareTo(this.n)>=0)throw"invalid blind";f=l.modInverse(this.n);if(f.signum()===0)throw"invalid blind"}else{var _=this.n.subtract(BigInteger.ONE);while(1){f=KJUR.crypto.Util.getRandomBigIntegerMinToMax(BigInteger.ONE,_);l=f.modInverse(this.n);if(l.signum()!==0)break}}var v=this.doPublic(f);var u=S.multiply(v).mod(this.n);return{blindmsg:_rsasign_bitohexlen(u,a),inv:_rsasign_bitohexlen(l,a)}}function _rsasign_blindSign(r){var e=this.n.bitLength()+7>>3;if(r.length!==e*2)throw"unexpected input size";var t=new BigInteger(r,16);if(t.compareTo(this.n)>=0)throw"message representative out of range";var i=this.doPrivate(t);if(this.doPublic(i).compareTo(t)!==0)throw"signing failure";return _rsasign_bitohexlen(i,e)}function _rsasign_finalizeBlindSignature(r,e,t,i){var n=this.n.bitLength()+7>>3;if(e.length!==n*2)throw"unexpected input size";var s=new BigInteger(e,16);var a=s.multiply(new BigInteger(t,16)).mod(this.n);var g=_rsasign_bitohexlen(a,n);if(!this.verifyBlindSignature(r,g,i))throw"invalid signature";return g}function _rsasign_verifyBlindSignature(r,e,t){var i=_rsasign_getBlindVariant(t);var n=this.n.bitLength()+7>>3;if(e.length!==n*2)return false;var s=KJUR.crypto.Util.hashHex(r,i.hashAlg);try{return this.verifyWithMessageHashPSS(s,e,i.hashAlg,i.sLen)}catch(r){return false}}RSAKey.prototype.signWithMessageHash=_rsasign_signWithMessageHash;RSAKey.prototype.signString=_rsasign_signString;RSAKey.prototype.signStringWithSHA1=_rsasign_signStringWithSHA1;RSAKey.prototype.signStringWithSHA256=_rsasign_signStringWithSHA256;RSAKey.prototype.sign=_rsasign_signString;RSAKey.prototype.signWithSHA1=_rsasign_signStringWithSHA1;RSAKey.prototype.signWithSHA256=_rsasign_signStringWithSHA256;RSAKey.prototype.signWithMessageHashPSS=_rsasign_signWithMessageHashPSS;RSAKey.prototype.signStringPSS=_rsasign_signStringPSS;RSAKey.prototype.signPSS=_rsasign_signStringPSS;RSAKey.SALT_LEN_HLEN=-1;RSAKey.SALT_LEN_MAX=-2;RSAKey.prototype.verifyWithMessageHash=_rsasign_verifyWithMessageHash;RSAKey.prototype.verifyString=_rsasign_verifyString;RSAKey.prototype.verifyHexSignatureForMessage=_rsasign_verifyHexSignatureForMessage;RSAKey.prototype.verify=_rsasign_verifyString;RSAKey.prototype.verifyHexSignatureForByteArrayMessage=_rsasign_verifyHexSignatureForMessage;RSAKey.prototype.verifyWithMessageHashPSS=_rsasign_verifyWithMessageHashPSS;RSAKey.prototype.verifyStringPSS=_rsasign_verifyStringPSS;RSAKey.prototype.verifyPSS=_rsasign_verifyStringPSS;RSAKey.SALT_LEN_RECOVER=-2;RSAKey.prototype.blindMessage=_rsasign_blindMessage;RSAKey.prototype.blindSign=_rsasign_blindSign;RSAKey.prototype.finalizeBlindSignature=_rsasign_finalizeBlindSignature;RSAKey.prototype.verifyBlindSignature=_rsasign_verifyBlindSignature;
\ No newline at end of file
@@ -0,0 +1 @@
+(function(){var t=CryptoJS,e=t.lib.Hasher,s=t.lib.WordArray;var _=[1,0,32898,0,32906,2147483648,2147516416,2147483648,32907,0,2147483649,0,2147516545,2147483648,32777,2147483648,138,0,136,0,2147516425,0,2147483658,0,2147516555,0,139,2147483648,32905,2147483648,32771,2147483648,32770,2147483648,128,2147483648,32778,0,2147483658,2147483648,2147516545,2147483648,32896,2147483648,2147483649,0,2147516424,2147483648];var x=[0,1,62,28,27,36,44,6,55,20,3,10,43,25,39,41,45,15,21,8,18,2,61,56,14];var c=function(t){var e=[],r=[];var f,i,n,o,a,s,c;for(var u=0;u<24;u++){for(f=0;f<5;f++){e[2*f]=t[2*f]^t[2*f+10]^t[2*f+20]^t[2*f+30]^t[2*f+40];e[2*f+1]=t[2*f+1]^t[2*f+11]^t[2*f+21]^t[2*f+31]^t[2*f+41]}for(f=0;f<5;f++){var h=(f+1)%5,g=(f+4)%5;a=e[2*h];s=e[2*h+1];var l=e[2*g]^(a<<1|s>>>31);var v=e[2*g+1]^(s<<1|a>>>31);for(i=0;i<25;i+=5){t[2*(f+i)]^=l;t[2*(f+i)+1]^=v}}for(i=0;i<5;i++){for(f=0;f<5;f++){n=f+5*i;a=t[2*n];s=t[2*n+1];c=x[n];o=i+5*((2*f+3*i)%5);if(c===0){r[2*o]=a;r[2*o+1]=s}else if(c<32){r[2*o]=a<<c|s>>>32-c;r[2*o+1]=s<<c|a>>>32-c}else{c-=32;r[2*o]=s<<c|a>>>32-c;r[2*o+1]=a<<c|s>>>32-c}}}for(i=0;i<25;i+=5){for(f=0;f<5;f++){n=2*(f+i);var d=2*((f+1)%5+i),S=2*((f+2)%5+i);t[n]=r[n]^~r[d]&r[S];t[n+1]=r[n+1]^~r[d+1]&r[S+1]}}t[0]^=_[2*u];t[1]^=_[2*u+1]}};var u=function(t){return t<<24|t<<8&16711680|t>>>8&65280|t>>>24};var r=e.extend({cfg:e.cfg.extend({outputLength:256}),_doReset:function(){this._state=[];for(var t=0;t<50;t++)this._state.push(0)},_doProcessBlock:function(t,e){var r=this._state;for(var f=0;f<this.blockSize;f++){r[f]^=u(t[e+f])}c(r)},_doFinalize:function(){var t=this._data;var e=t.words;var r=t.sigBytes*8;var f=this.blockSize*32;e[r>>>5]|=this._suffix<<24-r%32;e[(Math.ceil((r+1)/f)*f>>>5)-1]|=128;t.sigBytes=e.length*4;this._process();var i=this._state;var n=this.cfg.outputLength/8;var o=[];while(true){for(var a=0;a<this.blockSize&&o.length*4<n;a++){o.push(u(i[a]))}if(o.length*4>=n)break;c(i)}return s.create(o,n)},clone:function(){var t=e.clone.call(this);t._state=this._state.slice(0);return t}});var f=t.algo;f.SHA3_224=r.extend({blockSize:36,_suffix:6,cfg:r.cfg.extend({outputLength:224})});f.SHA3_256=r.extend({blockSize:34,_suffix:6,cfg:r.cfg.extend({outputLength:256})});f.SHA3_384=r.extend({blockSize:26,_suffix:6,cfg:r.cfg.extend({outputLength:384})});f.SHA3_512=r.extend({blockSize:18,_suffix:6,cfg:r.cfg.extend({outputLength:512})});f.SHAKE128=r.extend({blockSize:42,_suffix:31,cfg:r.cfg.extend({outputLength:256})});f.SHAKE256=r.extend({blockSize:34,_suffix:31,cfg:r.cfg.extend({outputLength:512})});if(typeof KJUR!="undefined"&&KJUR.crypto!==undefined&&KJUR.crypto.Util!==undefined){var i=KJUR.crypto.Util.CRYPTOJSMESSAGEDIGESTNAME;i["sha3-224"]=f.SHA3_224;i["sha3-256"]=f.SHA3_256;i["sha3-384"]=f.SHA3_384;i["sha3-512"]=f.SHA3_512;i["shake128"]=f.SHAKE128;i["shake256"]=f.SHAKE256}})();
\ No newline at end of file
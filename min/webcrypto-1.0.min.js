@@ -0,0 +1 @@
+if(typeof KJUR=="undefined"||!KJUR)KJUR={};if(typeof KJUR.crypto=="undefined"||!KJUR.crypto)KJUR.crypto={};KJUR.crypto.WebCrypto=function(){};KJUR.crypto.WebCrypto.getSubtle=function(){if(typeof Promise=="undefined")return null;if(typeof window=="object"&&window!==null&&typeof window.crypto=="object"&&window.crypto!==null&&typeof window.crypto.subtle=="object"&&window.crypto.subtle!==null)return window.crypto.subtle;if(typeof crypto=="object"&&crypto!==null&&typeof crypto.subtle=="object"&&crypto.subtle!==null)return crypto.subtle;return null};KJUR.crypto.WebCrypto.digestHex=function(e,t){var r=KJUR.crypto.WebCrypto,n=r.getSubtle(),o=r._getHashName(e);if(n===null||o===null){return r._sync(function(){return new KJUR.crypto.MessageDigest({alg:e}).digestHex(t)})}return r._sync(function(){return n.digest(o,r._hextou8(t))}).then(r._buftohex)};KJUR.crypto.WebCrypto.digestString=function(e,t){return KJUR.crypto.WebCrypto.digestHex(e,utf8tohex(t))};KJUR.crypto.WebCrypto.macHex=function(e,n,t){var o=KJUR.crypto.WebCrypto,u=o.getSubtle(),i=null;if(typeof e=="string"&&e.toLowerCase().substr(0,4)=="hmac")i=o._getHashName(e.substr(4));if(u===null||i===null){return o._sync(function(){return new KJUR.crypto.Mac({alg:e,pass:n}).doFinalHex(t)})}return o._sync(function(){var e=new KJUR.crypto.Mac;e.setPassword(n);var t=CryptoJS.enc.Hex.stringify(e.pass);var r={name:"HMAC",hash:i};if(t==="")t="00";return u.importKey("raw",o._hextou8(t),r,false,["sign"])}).then(function(e){return u.sign("HMAC",e,o._hextou8(t))}).then(o._buftohex)};KJUR.crypto.WebCrypto.signHex=function(t,e,r,n){var o=KJUR.crypto.WebCrypto,u=o.getSubtle();if(n===undefined)n={};var i,y;try{i=typeof e=="string"?KEYUTIL.getKey(e):e;y=o._getSignAlgParam(t,i,n,true)}catch(e){return Promise.reject(e)}if(u===null||y===null){return o._sync(function(){var e=new KJUR.crypto.Signature({alg:t,psssaltlen:n.psssaltlen});e.init(i);e.updateHex(r);return e.sign()})}return o.getCryptoKey(i,y,["sign"]).then(function(e){return u.sign(y,e,o._hextou8(r))}).then(function(e){var t=o._buftohex(e);if(y.name==="ECDSA")return KJUR.crypto.ECDSA.concatSigToASN1Sig(t);return t})};KJUR.crypto.WebCrypto.verifyHex=function(t,e,r,n,o){var u=KJUR.crypto.WebCrypto,i=u.getSubtle();if(o===undefined)o={};var y,a;try{y=typeof e=="string"?KEYUTIL.getKey(e):e;a=u._getSignAlgParam(t,y,o,false)}catch(e){return Promise.reject(e)}if(i===null||a===null){return u._sync(function(){var e=new KJUR.crypto.Signature({alg:t,psssaltlen:o.psssaltlen});e.init(y);e.updateHex(r);try{return e.verify(n)}catch(e){return false}})}var c;try{if(a.name==="ECDSA"){c=KJUR.crypto.ECDSA.asn1SigToConcatSig(n,y.ecparams.keylen)}else{c=n;var l=y.n.bitLength()+7>>3;while(c.length<l*2)c="0"+c}}catch(e){return Promise.resolve(false)}return u.getCryptoKey(y,a,["verify"]).then(function(e){return i.verify(a,e,u._hextou8(c),u._hextou8(r))})};KJUR.crypto.WebCrypto.generateKeypair=function(e,t){var r=KJUR.crypto.WebCrypto,n=r.getSubtle(),o=null;try{if(e=="RSA"){o={name:"RSASSA-PKCS1-v1_5",modulusLength:t,publicExponent:new Uint8Array([1,0,1]),hash:"SHA-256"}}else if(e=="EC"){var u=new KJUR.crypto.ECDSA({curve:t}).getShortNISTPCurveName();if(u!==null)o={name:"ECDSA",namedCurve:u}}}catch(e){return Promise.reject(e)}if(n===null||o===null){return r._sync(function(){return KEYUTIL.generateKeypair(e,t)})}return r._sync(function(){return n.generateKey(o,true,["sign","verify"])}).then(function(e){return Promise.all([r.getKeyFromCryptoKey(e.privateKey),r.getKeyFromCryptoKey(e.publicKey)])}).then(function(e){return{prvKeyObj:e[0],pubKeyObj:e[1]}})};KJUR.crypto.WebCrypto.getCryptoKey=function(n,o,u){var i=KJUR.crypto.WebCrypto.getSubtle();if(i===null)return Promise.reject("WebCrypto: SubtleCrypto not available");return KJUR.crypto.WebCrypto._sync(function(){var e=KEYUTIL.getJWKFromKey(n);if(u.indexOf("sign")==-1){var t=["d","p","q","dp","dq","qi"];for(var r=0;r<t.length;r++)delete e[t[r]]}return i.importKey("jwk",e,o,false,u)})};KJUR.crypto.WebCrypto.getKeyFromCryptoKey=function(e){var t=KJUR.crypto.WebCrypto.getSubtle();if(t===null)return Promise.reject("WebCrypto: SubtleCrypto not available");return KJUR.crypto.WebCrypto._sync(function(){return t.exportKey("jwk",e)}).then(function(e){return KEYUTIL.getKey(e)})};KJUR.crypto.WebCrypto._getHashName=function(e){var t={sha1:"SHA-1",sha256:"SHA-256",sha384:"SHA-384",sha512:"SHA-512"};var r=KJUR.crypto.MessageDigest.getCanonicalAlgName(e);return t[r]===undefined?null:t[r]};KJUR.crypto.WebCrypto._getSignAlgParam=function(e,t,r,n){var o=e.match(/^(.+)with(.+)$/);if(o===null)return null;var u=KJUR.crypto.WebCrypto._getHashName(o[1]);var i=o[2].toLowerCase();if(u===null)return null;var y=t instanceof RSAKey&&t.n!=null&&(!n||t.isPrivate&&t.p!=null);var a=t instanceof KJUR.crypto.ECDSA&&typeof t.pubKeyHex=="string"&&(!n||t.isPrivate);if(i==="rsa"&&y){return{name:"RSASSA-PKCS1-v1_5",hash:u}}if(i==="rsaandmgf1"&&y){var c=KJUR.crypto.MessageDigest.getHashLength(o[1]);var l=r.psssaltlen;if(l===undefined||l===-1){l=c}else if(l===-2){if(!n)return null;l=Math.ceil((t.n.bitLength()-1)/8)-c-2}return{name:"RSA-PSS",hash:u,saltLength:l}}if(i==="ecdsa"&&a){var p=t.getShortNISTPCurveName();if(p===null)return null;return{name:"ECDSA",hash:u,namedCurve:p}}return null};KJUR.crypto.WebCrypto._sync=function(t){return new Promise(function(e){e(t())})};KJUR.crypto.WebCrypto._hextou8=function(e){var t=new Uint8Array(e.length/2);for(var r=0;r<t.length;r++){t[r]=parseInt(e.substr(r*2,2),16)}return t};KJUR.crypto.WebCrypto._buftohex=function(e){var t=new Uint8Array(e);var r="";for(var n=0;n<t.length;n++){r+=("0"+t[n].toString(16)).slice(-2)}return r};
\ No newline at end of file
@@ -1 +1 @@
-function X509(){var k=ASN1HEX,j=k.getChildIdx,h=k.getV,b=k.getTLV,f=k.getVbyList,c=k.getTLVbyList,g=k.getIdxbyList,d=k.getVidx,i=k.oidname,a=X509,e=pemtohex;this.hex=null;this.version=0;this.foffset=0;this.aExtInfo=null;this.subjectPublicKeyRSA=null;this.subjectPublicKeyRSA_hN=null;this.subjectPublicKeyRSA_hE=null;this.getVersion=function(){if(this.hex===null||this.version!==0){return this.version}if(c(this.hex,0,[0,0])!=="a003020102"){this.version=1;this.foffset=-1;return 1}this.version=3;return 3};this.getSerialNumberHex=function(){return f(this.hex,0,[0,1+this.foffset],"02")};this.getSignatureAlgorithmField=function(){return i(f(this.hex,0,[0,2+this.foffset,0],"06"))};this.getIssuerHex=function(){return c(this.hex,0,[0,3+this.foffset],"30")};this.getIssuerString=function(){return a.hex2dn(this.getIssuerHex())};this.getSubjectHex=function(){return c(this.hex,0,[0,5+this.foffset],"30")};this.getSubjectString=function(){return a.hex2dn(this.getSubjectHex())};this.getNotBefore=function(){var l=f(this.hex,0,[0,4+this.foffset,0]);l=l.replace(/(..)/g,"%$1");l=decodeURIComponent(l);return l};this.getNotAfter=function(){var l=f(this.hex,0,[0,4+this.foffset,1]);l=l.replace(/(..)/g,"%$1");l=decodeURIComponent(l);return l};this.getPublicKeyHex=function(){return k.getTLVbyList(this.hex,0,[0,6+this.foffset],"30")};this.getPublicKeyIdx=function(){return g(this.hex,0,[0,6+this.foffset],"30")};this.getPublicKey=function(){return KEYUTIL.getKey(this.getPublicKeyHex(),null,"pkcs8pub")};this.getSignatureAlgorithmName=function(){return i(f(this.hex,0,[1,0],"06"))};this.getSignatureValueHex=function(){return f(this.hex,0,[2],"03",true)};this.verifySignature=function(n){var o=this.getSignatureAlgorithmName();var l=this.getSignatureValueHex();var m=c(this.hex,0,[0],"30");var p=new KJUR.crypto.Signature({alg:o});p.init(n);p.updateHex(m);return p.verify(l)};this.parseExt=function(){if(this.version!==3){return -1}var p=g(this.hex,0,[0,7,0],"30");var m=j(this.hex,p);this.aExtInfo=new Array();for(var n=0;n<m.length;n++){var q={};q.critical=false;var l=j(this.hex,m[n]);var r=0;if(l.length===3){q.critical=true;r=1}q.oid=k.hextooidstr(f(this.hex,m[n],[0],"06"));var o=g(this.hex,m[n],[1+r]);q.vidx=d(this.hex,o);this.aExtInfo.push(q)}};this.getExtInfo=function(n){var l=this.aExtInfo;var o=n;if(!n.match(/^[0-9.]+$/)){o=KJUR.asn1.x509.OID.name2oid(n)}if(o===""){return undefined}for(var m=0;m<l.length;m++){if(l[m].oid===o){return l[m]}}return undefined};this.getExtBasicConstraints=function(){var n=this.getExtInfo("basicConstraints");if(n===undefined){return n}var l=h(this.hex,n.vidx);if(l===""){return{}}if(l==="0101ff"){return{cA:true}}if(l.substr(0,8)==="0101ff02"){var o=h(l,6);var m=parseInt(o,16);return{cA:true,pathLen:m}}throw"basicConstraints parse error"};this.getExtKeyUsageBin=function(){var o=this.getExtInfo("keyUsage");if(o===undefined){return""}var m=h(this.hex,o.vidx);if(m.length%2!=0||m.length<=2){throw"malformed key usage value"}var l=parseInt(m.substr(0,2));var n=parseInt(m.substr(2),16).toString(2);return n.substr(0,n.length-l)};this.getExtKeyUsageString=function(){var n=this.getExtKeyUsageBin();var l=new Array();for(var m=0;m<n.length;m++){if(n.substr(m,1)=="1"){l.push(X509.KEYUSAGE_NAME[m])}}return l.join(",")};this.getExtSubjectKeyIdentifier=function(){var l=this.getExtInfo("subjectKeyIdentifier");if(l===undefined){return l}return h(this.hex,l.vidx)};this.getExtAuthorityKeyIdentifier=function(){var p=this.getExtInfo("authorityKeyIdentifier");if(p===undefined){return p}var l={};var o=b(this.hex,p.vidx);var m=j(o,0);for(var n=0;n<m.length;n++){if(o.substr(m[n],2)==="80"){l.kid=h(o,m[n])}}return l};this.getExtExtKeyUsageName=function(){var p=this.getExtInfo("extKeyUsage");if(p===undefined){return p}var l=new Array();var o=b(this.hex,p.vidx);if(o===""){return l}var m=j(o,0);for(var n=0;n<m.length;n++){l.push(i(h(o,m[n])))}return l};this.getExtSubjectAltName=function(){var q=this.getExtInfo("subjectAltName");if(q===undefined){return q}var l=new Array();var p=b(this.hex,q.vidx);var m=j(p,0);for(var o=0;o<m.length;o++){if(p.substr(m[o],2)==="82"){var n=hextoutf8(h(p,m[o]));l.push(n)}}return l};this.getExtCRLDistributionPointsURI=function(){var p=this.getExtInfo("cRLDistributionPoints");if(p===undefined){return p}var l=new Array();var m=j(this.hex,p.vidx);for(var n=0;n<m.length;n++){var q=f(this.hex,m[n],[0,0,0],"86");var o=hextoutf8(q);l.push(o)}return l};this.getExtAIAInfo=function(){var p=this.getExtInfo("authorityInfoAccess");if(p===undefined){return p}var l={ocsp:[],caissuer:[]};var m=j(this.hex,p.vidx);for(var n=0;n<m.length;n++){var q=f(this.hex,m[n],[0],"06");var o=f(this.hex,m[n],[1],"86");if(q==="2b06010505073001"){l.ocsp.push(hextoutf8(o))}if(q==="2b06010505073002"){l.caissuer.push(hextoutf8(o))}}return l};this.getExtCertificatePolicies=function(){var o=this.getExtInfo("certificatePolicies");if(o===undefined){return o}var l=b(this.hex,o.vidx);var u=[];var s=j(l,0);for(var r=0;r<s.length;r++){var t={};var n=j(l,s[r]);t.id=i(h(l,n[0]));if(n.length===2){var m=j(l,n[1]);for(var q=0;q<m.length;q++){var p=f(l,m[q],[0],"06");if(p==="2b06010505070201"){t.cps=hextoutf8(f(l,m[q],[1]))}else{if(p==="2b06010505070202"){t.unotice=hextoutf8(f(l,m[q],[1,0]))}}}}u.push(t)}return u};this.readCertPEM=function(l){this.readCertHex(e(l))};this.readCertHex=function(l){this.hex=l;this.getVersion();this.parseExt();try{pubkey=this.getPublicKey();if(pubkey instanceof RSAKey){this.subjectPublicKeyRSA=pubkey;this.subjectPublicKeyRSA_hN=hextoposhex(pubkey.n.toString(16));this.subjectPublicKeyRSA_hE=hextoposhex(pubkey.e.toString(16))}}catch(m){}};this.readCertPEMWithoutRSAInit=function(m){var n=e(m);var l=a.getPublicKeyHexArrayFromCertHex(n);if(typeof this.subjectPublicKeyRSA.setPublic==="function"){this.subjectPublicKeyRSA.setPublic(l[0],l[1])}this.subjectPublicKeyRSA_hN=l[0];this.subjectPublicKeyRSA_hE=l[1];this.hex=n};this.getInfo=function(){var m=X509;var z,r,x;z="Basic Fields\n";z+="  serial number: "+this.getSerialNumberHex()+"\n";z+="  signature algorithm: "+this.getSignatureAlgorithmField()+"\n";z+="  issuer: "+this.getIssuerString()+"\n";z+="  notBefore: "+this.getNotBefore()+"\n";z+="  notAfter: "+this.getNotAfter()+"\n";z+="  subject: "+this.getSubjectString()+"\n";z+="  subject public key info: \n";r=this.getPublicKey();z+="    key algorithm: "+r.type+"\n";if(r.type==="RSA"){z+="    n="+hextoposhex(r.n.toString(16)).substr(0,16)+"...\n";z+="    e="+hextoposhex(r.e.toString(16))+"\n"}z+="X509v3 Extensions:\n";x=this.aExtInfo;for(var p=0;p<x.length;p++){var n=x[p];var y=KJUR.asn1.x509.OID.oid2name(n.oid);if(y===""){y=n.oid}var v="";if(n.critical===true){v="CRITICAL"}z+="  "+y+" "+v+":\n";if(y==="basicConstraints"){var t=this.getExtBasicConstraints();if(t.cA===undefined){z+="    {}\n"}else{z+="    cA=true";if(t.pathLen!==undefined){z+=", pathLen="+t.pathLen}z+="\n"}}else{if(y==="keyUsage"){z+="    "+this.getExtKeyUsageString()+"\n"}else{if(y==="subjectKeyIdentifier"){z+="    "+this.getExtSubjectKeyIdentifier()+"\n"}else{if(y==="authorityKeyIdentifier"){var l=m.getExtAuthorityKeyIdentifier(this.hex);if(l.kid!==undefined){z+="    kid="+l.kid+"\n"}}else{if(y==="extKeyUsage"){var u=this.getExtExtKeyUsageName();z+="    "+u.join(", ")+"\n"}else{if(y==="subjectAltName"){var q=this.getExtSubjectAltName();z+="    "+q.join(", ")+"\n"}else{if(y==="cRLDistributionPoints"){var w=this.getExtCRLDistributionPointsURI();z+="    "+w+"\n"}else{if(y==="authorityInfoAccess"){var o=this.getExtAIAInfo();if(o.ocsp!==undefined){z+="    ocsp: "+o.ocsp.join(",")+"\n"}if(o.caissuer!==undefined){z+="    caissuer: "+o.caissuer.join(",")+"\n"}}}}}}}}}}z+="signature algorithm: "+this.getSignatureAlgorithmName()+"\n";z+="signature: "+this.getSignatureValueHex().substr(0,16)+"...\n";return z}}X509.pemToBase64=function(a){return hextob64(pemtohex(a))};X509.pemToHex=function(a){return pemtohex(a)};X509.getSubjectPublicKeyPosFromCertHex=function(f){var e=X509.getSubjectPublicKeyInfoPosFromCertHex(f);if(e==-1){return -1}var b=ASN1HEX.getChildIdx(f,e);if(b.length!=2){return -1}var d=b[1];if(f.substr(d,2)!="03"){return -1}var c=ASN1HEX.getVidx(f,d);if(f.substr(c,2)!="00"){return -1}return c+2};X509.getSubjectPublicKeyInfoPosFromCertHex=function(b){var a=new X509();a.readCertHex(b);return a.getPublicKeyIdx()};X509.getPublicKeyHexArrayFromCertHex=function(g){var d=ASN1HEX;var f,b,e,c;f=X509.getSubjectPublicKeyPosFromCertHex(g);b=d.getChildIdx(g,f);if(b.length!=2){return[]}e=d.getV(g,b[0]);c=d.getV(g,b[1]);if(e!=null&&c!=null){return[e,c]}else{return[]}};X509.getHexTbsCertificateFromCert=function(b){var a=ASN1HEX.getVidx(b,0);return a};X509.getPublicKeyHexArrayFromCertPEM=function(c){var d=pemtohex(c);var b=X509.getPublicKeyHexArrayFromCertHex(d);return b};X509.hex2dn=function(f,b){if(b===undefined){b=0}if(f.substr(b,2)!=="30"){throw"malformed DN"}var c=new Array();var d=ASN1HEX.getChildIdx(f,b);for(var e=0;e<d.length;e++){c.push(X509.hex2rdn(f,d[e]))}c=c.map(function(a){return a.replace("/","\\/")});return"/"+c.join("/")};X509.hex2rdn=function(f,b){if(b===undefined){b=0}if(f.substr(b,2)!=="31"){throw"malformed RDN"}var c=new Array();var d=ASN1HEX.getChildIdx(f,b);for(var e=0;e<d.length;e++){c.push(X509.hex2attrTypeValue(f,d[e]))}c=c.map(function(a){return a.replace("+","\\+")});return c.join("+")};X509.hex2attrTypeValue=function(d,i){var j=ASN1HEX;var h=j.getV;if(i===undefined){i=0}if(d.substr(i,2)!=="30"){throw"malformed attribute type and value"}var g=j.getChildIdx(d,i);if(g.length!==2||d.substr(g[0],2)!=="06"){"malformed attribute type and value"}var b=h(d,g[0]);var f=KJUR.asn1.ASN1Util.oidHexToInt(b);var e=KJUR.asn1.x509.OID.oid2atype(f);var a=h(d,g[1]);var c=hextorstr(a);return e+"="+c};X509.getPublicKeyFromCertHex=function(b){var a=new X509();a.readCertHex(b);return a.getPublicKey()};X509.getPublicKeyFromCertPEM=function(b){var a=new X509();a.readCertPEM(b);return a.getPublicKey()};X509.getPublicKeyInfoPropOfCertPEM=function(c){var e=ASN1HEX;var g=e.getVbyList;var b={};var a,f,d;b.algparam=null;a=new X509();a.readCertPEM(c);f=a.getPublicKeyHex();b.keyhex=g(f,0,[1],"03").substr(2);b.algoid=g(f,0,[0,0],"06");if(b.algoid==="2a8648ce3d0201"){b.algparam=g(f,0,[0,1],"06")}return b};X509.getPublicKeyInfoPosOfCertHEX=function(b){var a=new X509();a.readCertHex(b);return a.getPublicKeyIdx()};X509.getV3ExtInfoListOfCertHex=function(f){var d=ASN1HEX;var g=d.getIdxbyList(f,0,[0,7,0],"30");var e=d.getChildIdx(f,g);var c=e.length;var b=new Array(c);for(var a=0;a<c;a++){b[a]=X509.getV3ExtItemInfo_AtObj(f,e[a])}return b};X509.getV3ExtItemInfo_AtObj=function(g,h){var d=ASN1HEX;var f={};f.posTLV=h;var b=d.getChildIdx(g,h);if(b.length!=2&&b.length!=3){throw"malformed X.509v3 Ext (code:001)"}if(g.substr(b[0],2)!="06"){throw"malformed X.509v3 Ext (code:002)"}var e=d.getV(g,b[0]);f.oid=d.hextooidstr(e);f.critical=false;if(b.length==3){f.critical=true}var c=b[b.length-1];if(g.substr(c,2)!="04"){throw"malformed X.509v3 Ext (code:003)"}f.posV=d.getVidx(g,c);return f};X509.getHexOfTLV_V3ExtValue=function(c,b){var a=X509.getPosOfTLV_V3ExtValue(c,b);if(a==-1){return null}return ASN1HEX.getTLV(c,a)};X509.getHexOfV_V3ExtValue=function(c,b){var a=X509.getPosOfTLV_V3ExtValue(c,b);if(a==-1){return null}return ASN1HEX.getV(c,a)};X509.getPosOfTLV_V3ExtValue=function(f,b){var d=b;if(!b.match(/^[0-9.]+$/)){d=KJUR.asn1.x509.OID.name2oid(b)}if(d==""){return -1}var c=X509.getV3ExtInfoListOfCertHex(f);for(var a=0;a<c.length;a++){var e=c[a];if(e.oid==d){return e.posV}}return -1};X509.getExtBasicConstraints=function(b){var a=new X509();a.readCertHex(b);return a.getExtBasicConstraints()};X509.KEYUSAGE_NAME=["digitalSignature","nonRepudiation","keyEncipherment","dataEncipherment","keyAgreement","keyCertSign","cRLSign","encipherOnly","decipherOnly"];X509.getExtKeyUsageBin=function(b){var a=new X509();a.readCertHex(b);return a.getExtKeyUsageBin()};X509.getExtKeyUsageString=function(b){var a=new X509();a.readCertHex(b);return a.getExtKeyUsageString()};X509.getExtSubjectKeyIdentifier=function(b){var a=new X509();a.readCertHex(b);return a.getExtSubjectKeyIdentifier()};X509.getExtAuthorityKeyIdentifier=function(b){var a=new X509();a.readCertHex(b);return a.getExtAuthorityKeyIdentifier()};X509.getExtExtKeyUsageName=function(b){var a=new X509();a.readCertHex(b);return a.getExtExtKeyUsageName()};X509.getExtSubjectAltName=function(b){var a=new X509();a.readCertHex(b);return a.getExtSubjectAltName()};X509.getExtCRLDistributionPointsURI=function(b){var a=new X509();a.readCertHex(b);return a.getExtCRLDistributionPointsURI()};X509.getExtAIAInfo=function(b){var a=new X509();a.readCertHex(b);return a.getExtAIAInfo()};X509.getSignatureAlgorithmName=function(b){var a=new X509();a.readCertHex(b);return a.getSignatureAlgorithmName()};X509.getSignatureValueHex=function(b){var a=new X509();a.readCertHex(b);return a.getSignatureValueHex()};X509.getSerialNumberHex=function(b){var a=new X509();a.readCertHex(b);return a.getSerialNumberHex()};X509.verifySignature=function(c,b){var a=new X509();a.readCertHex(c);return a.verifySignature(b)};
\ No newline at end of file
+function X509(){var u=ASN1HEX,o=u.getChildIdx,g=u.getV,x=u.getTLV,c=u.getVbyList,h=u.getTLVbyList,f=u.getIdxbyList,l=u.getVidx,v=u.oidname,i=X509,n=pemtohex;this.hex=null;this.version=0;this.foffset=0;this.aExtInfo=null;this.subjectPublicKeyRSA=null;this.subjectPublicKeyRSA_hN=null;this.subjectPublicKeyRSA_hE=null;this.getVersion=function(){if(this.hex===null||this.version!==0)return this.version;if(h(this.hex,0,[0,0])!=="a003020102"){this.version=1;this.foffset=-1;return 1}this.version=3;return 3};this.getSerialNumberHex=function(){return c(this.hex,0,[0,1+this.foffset],"02")};this.getSignatureAlgorithmField=function(){var e=h(this.hex,0,[0,2+this.foffset],"30");return this.getAlgorithmIdentifierName(e)};this.getIssuerHex=function(){return h(this.hex,0,[0,3+this.foffset],"30")};this.getIssuerString=function(){return i.hex2dn(this.getIssuerHex())};this.getSubjectHex=function(){return h(this.hex,0,[0,5+this.foffset],"30")};this.getSubjectString=function(){return i.hex2dn(this.getSubjectHex())};this.getNotBefore=function(){var e=c(this.hex,0,[0,4+this.foffset,0]);e=e.replace(/(..)/g,"%$1");e=decodeURIComponent(e);return e};this.getNotAfter=function(){var e=c(this.hex,0,[0,4+this.foffset,1]);e=e.replace(/(..)/g,"%$1");e=decodeURIComponent(e);return e};this.getPublicKeyHex=function(){return u.getTLVbyList(this.hex,0,[0,6+this.foffset],"30")};this.getPublicKeyIdx=function(){return f(this.hex,0,[0,6+this.foffset],"30")};this.getPublicKey=function(){return KEYUTIL.getKey(this.getPublicKeyHex(),null,"pkcs8pub")};this.getSignatureAlgorithmName=function(){return this.getAlgorithmIdentifierName(h(this.hex,0,[1],"30"))};this.getAlgorithmIdentifierName=function(e){var t=c(e,0,[0],"06");if(t!=="2a864886f70d01010a")return v(t);var r=d(e);if(r.hash!==r.mgfhash)return"rsassaPss";return r.hash.toUpperCase()+"withRSAandMGF1"};var d=function(e){var t=o(e,0);if(t.length<2)return{hash:"sha1",mgfhash:"sha1",saltlen:20};return i.hex2pssparam(e,t[1])};this.getSignatureValueHex=function(){return c(this.hex,0,[2],"03",true)};this.verifySignature=function(e){var t=h(this.hex,0,[1],"30");var r=this.getAlgorithmIdentifierName(t);var i=this.getSignatureValueHex();var n=h(this.hex,0,[0],"30");if(r==="rsassaPss")throw"unsupported RSASSA-PSS-params: MGF1 hash differs from hash";var a={alg:r};if(c(t,0,[0],"06")==="2a864886f70d01010a")a.psssaltlen=d(t).saltlen;var s=new KJUR.crypto.Signature(a);s.init(e);s.updateHex(n);return s.verify(i)};this.parseExt=function(){if(this.version!==3)return-1;var e=f(this.hex,0,[0,7,0],"30");var t=o(this.hex,e);this.aExtInfo=new Array;for(var r=0;r<t.length;r++){var i={};i.critical=false;var n=o(this.hex,t[r]);var a=0;if(n.length===3){i.critical=true;a=1}i.oid=u.hextooidstr(c(this.hex,t[r],[0],"06"));var s=f(this.hex,t[r],[1+a]);i.vidx=l(this.hex,s);this.aExtInfo.push(i)}};this.getExtInfo=function(e){var t=this.aExtInfo;var r=e;if(!e.match(/^[0-9.]+$/)){r=KJUR.asn1.x509.OID.name2oid(e)}if(r==="")return undefined;for(var i=0;i<t.length;i++){if(t[i].oid===r)return t[i]}return undefined};this.getExtBasicConstraints=function(){var e=this.getExtInfo("basicConstraints");if(e===undefined)return e;var t=g(this.hex,e.vidx);if(t==="")return{};if(t==="0101ff")return{cA:true};if(t.substr(0,8)==="0101ff02"){var r=g(t,6);var i=parseInt(r,16);return{cA:true,pathLen:i}}throw"basicConstraints parse error"};this.getExtKeyUsageBin=function(){var e=this.getExtInfo("keyUsage");if(e===undefined)return"";var t=g(this.hex,e.vidx);if(t.length%2!=0||t.length<=2)throw"malformed key usage value";var r=parseInt(t.substr(0,2));var i=parseInt(t.substr(2),16).toString(2);return i.substr(0,i.length-r)};this.getExtKeyUsageString=function(){var e=this.getExtKeyUsageBin();var t=new Array;for(var r=0;r<e.length;r++){if(e.substr(r,1)=="1")t.push(X509.KEYUSAGE_NAME[r])}return t.join(",")};this.getExtSubjectKeyIdentifier=function(){var e=this.getExtInfo("subjectKeyIdentifier");if(e===undefined)return e;return g(this.hex,e.vidx)};this.getExtAuthorityKeyIdentifier=function(){var e=this.getExtInfo("authorityKeyIdentifier");if(e===undefined)return e;var t={};var r=x(this.hex,e.vidx);var i=o(r,0);for(var n=0;n<i.length;n++){if(r.substr(i[n],2)==="80")t.kid=g(r,i[n])}return t};this.getExtExtKeyUsageName=function(){var e=this.getExtInfo("extKeyUsage");if(e===undefined)return e;var t=new Array;var r=x(this.hex,e.vidx);if(r==="")return t;var i=o(r,0);for(var n=0;n<i.length;n++){t.push(v(g(r,i[n])))}return t};this.getExtSubjectAltName=function(){var e=this.getExtInfo("subjectAltName");if(e===undefined)return e;var t=new Array;var r=x(this.hex,e.vidx);var i=o(r,0);for(var n=0;n<i.length;n++){if(r.substr(i[n],2)==="82"){var a=hextoutf8(g(r,i[n]));t.push(a)}}return t};this.getExtCRLDistributionPointsURI=function(){var e=this.getExtInfo("cRLDistributionPoints");if(e===undefined)return e;var t=new Array;var r=o(this.hex,e.vidx);for(var i=0;i<r.length;i++){var n=c(this.hex,r[i],[0,0,0],"86");var a=hextoutf8(n);t.push(a)}return t};this.getExtAIAInfo=function(){var e=this.getExtInfo("authorityInfoAccess");if(e===undefined)return e;var t={ocsp:[],caissuer:[]};var r=o(this.hex,e.vidx);for(var i=0;i<r.length;i++){var n=c(this.hex,r[i],[0],"06");var a=c(this.hex,r[i],[1],"86");if(n==="2b06010505073001"){t.ocsp.push(hextoutf8(a))}if(n==="2b06010505073002"){t.caissuer.push(hextoutf8(a))}}return t};this.getExtCertificatePolicies=function(){var e=this.getExtInfo("certificatePolicies");if(e===undefined)return e;var t=x(this.hex,e.vidx);var r=[];var i=o(t,0);for(var n=0;n<i.length;n++){var a={};var s=o(t,i[n]);a.id=v(g(t,s[0]));if(s.length===2){var u=o(t,s[1]);for(var h=0;h<u.length;h++){var f=c(t,u[h],[0],"06");if(f==="2b06010505070201"){a.cps=hextoutf8(c(t,u[h],[1]))}else if(f==="2b06010505070202"){a.unotice=hextoutf8(c(t,u[h],[1,0]))}}}r.push(a)}return r};this.readCertPEM=function(e){this.readCertHex(n(e))};this.readCertHex=function(e){this.hex=e;this.getVersion();this.parseExt();try{pubkey=this.getPublicKey();if(pubkey instanceof RSAKey){this.subjectPublicKeyRSA=pubkey;this.subjectPublicKeyRSA_hN=hextoposhex(pubkey.n.toString(16));this.subjectPublicKeyRSA_hE=hextoposhex(pubkey.e.toString(16))}}catch(e){}};this.readCertPEMWithoutRSAInit=function(e){var t=n(e);var r=i.getPublicKeyHexArrayFromCertHex(t);if(typeof this.subjectPublicKeyRSA.setPublic==="function"){this.subjectPublicKeyRSA.setPublic(r[0],r[1])}this.subjectPublicKeyRSA_hN=r[0];this.subjectPublicKeyRSA_hE=r[1];this.hex=t};this.getInfo=function(){var e=X509;var t,r,i;t="Basic Fields\n";t+="  serial number: "+this.getSerialNumberHex()+"\n";t+="  signature algorithm: "+this.getSignatureAlgorithmField()+"\n";t+="  issuer: "+this.getIssuerString()+"\n";t+="  notBefore: "+this.getNotBefore()+"\n";t+="  notAfter: "+this.getNotAfter()+"\n";t+="  subject: "+this.getSubjectString()+"\n";t+="  subject public key info: "+"\n";r=this.getPublicKey();t+="    key algorithm: "+r.type+"\n";if(r.type==="RSA"){t+="    n="+hextoposhex(r.n.toString(16)).substr(0,16)+"...\n";t+="    e="+hextoposhex(r.e.toString(16))+"\n"}t+="X509v3 Extensions:\n";i=this.aExtInfo;for(var n=0;n<i.length;n++){var a=i[n];var s=KJUR.asn1.x509.OID.oid2name(a["oid"]);if(s==="")s=a["oid"];var u="";if(a["critical"]===true)u="CRITICAL";t+="  "+s+" "+u+":\n";if(s==="basicConstraints"){var h=this.getExtBasicConstraints();if(h.cA===undefined){t+="    {}\n"}else{t+="    cA=true";if(h.pathLen!==undefined)t+=", pathLen="+h.pathLen;t+="\n"}}else if(s==="keyUsage"){t+="    "+this.getExtKeyUsageString()+"\n"}else if(s==="subjectKeyIdentifier"){t+="    "+this.getExtSubjectKeyIdentifier()+"\n"}else if(s==="authorityKeyIdentifier"){var f=e.getExtAuthorityKeyIdentifier(this.hex);if(f.kid!==undefined)t+="    kid="+f.kid+"\n"}else if(s==="extKeyUsage"){var o=this.getExtExtKeyUsageName();t+="    "+o.join(", ")+"\n"}else if(s==="subjectAltName"){var g=this.getExtSubjectAltName();t+="    "+g.join(", ")+"\n"}else if(s==="cRLDistributionPoints"){var x=this.getExtCRLDistributionPointsURI();t+="    "+x+"\n"}else if(s==="authorityInfoAccess"){var c=this.getExtAIAInfo();if(c.ocsp!==undefined)t+="    ocsp: "+c.ocsp.join(",")+"\n";if(c.caissuer!==undefined)t+="    caissuer: "+c.caissuer.join(",")+"\n"}}t+="signature algorithm: "+this.getSignatureAlgorithmName()+"\n";t+="signature: "+this.getSignatureValueHex().substr(0,16)+"...\n";return t}}X509.hex2pssparam=function(e,t){var r=ASN1HEX,i=r.getVbyList,n=r.oidname;if(t===undefined)t=0;if(e.substr(t,2)!=="30")throw"malformed RSASSA-PSS-params";var a={hash:"sha1",mgfhash:"sha1",saltlen:20};if(r.getVblen(e,t)===0)return a;var s=r.getChildIdx(e,t);for(var u=0;u<s.length;u++){var h=e.substr(s[u],2);if(h==="a0"){a.hash=n(i(e,s[u],[0,0],"06"))}else if(h==="a1"){if(i(e,s[u],[0,0],"06")!=="2a864886f70d010108")throw"unsupported mask generation function";a.mgfhash=n(i(e,s[u],[0,1,0],"06"))}else if(h==="a2"){a.saltlen=parseInt(i(e,s[u],[0],"02"),16)}else if(h==="a3"){if(parseInt(i(e,s[u],[0],"02"),16)!==1)throw"unsupported trailer field"}else{throw"malformed RSASSA-PSS-params"}}return a};X509.pemToBase64=function(e){return hextob64(pemtohex(e))};X509.pemToHex=function(e){return pemtohex(e)};X509.getSubjectPublicKeyPosFromCertHex=function(e){var t=X509.getSubjectPublicKeyInfoPosFromCertHex(e);if(t==-1)return-1;var r=ASN1HEX.getChildIdx(e,t);if(r.length!=2)return-1;var i=r[1];if(e.substr(i,2)!="03")return-1;var n=ASN1HEX.getVidx(e,i);if(e.substr(n,2)!="00")return-1;return n+2};X509.getSubjectPublicKeyInfoPosFromCertHex=function(e){var t=new X509;t.readCertHex(e);return t.getPublicKeyIdx()};X509.getPublicKeyHexArrayFromCertHex=function(e){var t=ASN1HEX;var r,i,n,a;r=X509.getSubjectPublicKeyPosFromCertHex(e);i=t.getChildIdx(e,r);if(i.length!=2)return[];n=t.getV(e,i[0]);a=t.getV(e,i[1]);if(n!=null&&a!=null){return[n,a]}else{return[]}};X509.getHexTbsCertificateFromCert=function(e){var t=ASN1HEX.getVidx(e,0);return t};X509.getPublicKeyHexArrayFromCertPEM=function(e){var t=pemtohex(e);var r=X509.getPublicKeyHexArrayFromCertHex(t);return r};X509.hex2dn=function(e,t){if(t===undefined)t=0;if(e.substr(t,2)!=="30")throw"malformed DN";var r=new Array;var i=ASN1HEX.getChildIdx(e,t);for(var n=0;n<i.length;n++){r.push(X509.hex2rdn(e,i[n]))}r=r.map(function(e){return e.replace("/","\\/")});return"/"+r.join("/")};X509.hex2rdn=function(e,t){if(t===undefined)t=0;if(e.substr(t,2)!=="31")throw"malformed RDN";var r=new Array;var i=ASN1HEX.getChildIdx(e,t);for(var n=0;n<i.length;n++){r.push(X509.hex2attrTypeValue(e,i[n]))}r=r.map(function(e){return e.replace("+","\\+")});return r.join("+")};X509.hex2attrTypeValue=function(e,t){var r=ASN1HEX;var i=r.getV;if(t===undefined)t=0;if(e.substr(t,2)!=="30")throw"malformed attribute type and value";var n=r.getChildIdx(e,t);if(n.length!==2||e.substr(n[0],2)!=="06")"malformed attribute type and value";var a=i(e,n[0]);var s=KJUR.asn1.ASN1Util.oidHexToInt(a);var u=KJUR.asn1.x509.OID.oid2atype(s);var h=i(e,n[1]);var f=hextorstr(h);return u+"="+f};X509.getPublicKeyFromCertHex=function(e){var t=new X509;t.readCertHex(e);return t.getPublicKey()};X509.getPublicKeyFromCertPEM=function(e){var t=new X509;t.readCertPEM(e);return t.getPublicKey()};X509.getPublicKeyInfoPropOfCertPEM=function(e){var t=ASN1HEX;var r=t.getVbyList;var i={};var n,a,s;i.algparam=null;n=new X509;n.readCertPEM(e);a=n.getPublicKeyHex();i.keyhex=r(a,0,[1],"03").substr(2);i.algoid=r(a,0,[0,0],"06");if(i.algoid==="2a8648ce3d0201"){i.algparam=r(a,0,[0,1],"06")}return i};X509.getPublicKeyInfoPosOfCertHEX=function(e){var t=new X509;t.readCertHex(e);return t.getPublicKeyIdx()};X509.getV3ExtInfoListOfCertHex=function(e){var t=ASN1HEX;var r=t.getIdxbyList(e,0,[0,7,0],"30");var i=t.getChildIdx(e,r);var n=i.length;var a=new Array(n);for(var s=0;s<n;s++){a[s]=X509.getV3ExtItemInfo_AtObj(e,i[s])}return a};X509.getV3ExtItemInfo_AtObj=function(e,t){var r=ASN1HEX;var i={};i.posTLV=t;var n=r.getChildIdx(e,t);if(n.length!=2&&n.length!=3)throw"malformed X.509v3 Ext (code:001)";if(e.substr(n[0],2)!="06")throw"malformed X.509v3 Ext (code:002)";var a=r.getV(e,n[0]);i.oid=r.hextooidstr(a);i.critical=false;if(n.length==3)i.critical=true;var s=n[n.length-1];if(e.substr(s,2)!="04")throw"malformed X.509v3 Ext (code:003)";i.posV=r.getVidx(e,s);return i};X509.getHexOfTLV_V3ExtValue=function(e,t){var r=X509.getPosOfTLV_V3ExtValue(e,t);if(r==-1)return null;return ASN1HEX.getTLV(e,r)};X509.getHexOfV_V3ExtValue=function(e,t){var r=X509.getPosOfTLV_V3ExtValue(e,t);if(r==-1)return null;return ASN1HEX.getV(e,r)};X509.getPosOfTLV_V3ExtValue=function(e,t){var r=t;if(!t.match(/^[0-9.]+$/)){r=KJUR.asn1.x509.OID.name2oid(t)}if(r=="")return-1;var i=X509.getV3ExtInfoListOfCertHex(e);for(var n=0;n<i.length;n++){var a=i[n];if(a.oid==r)return a.posV}return-1};X509.getExtBasicConstraints=function(e){var t=new X509;t.readCertHex(e);return t.getExtBasicConstraints()};X509.KEYUSAGE_NAME=["digitalSignature","nonRepudiation","keyEncipherment","dataEncipherment","keyAgreement","keyCertSign","cRLSign","encipherOnly","decipherOnly"];X509.getExtKeyUsageBin=function(e){var t=new X509;t.readCertHex(e);return t.getExtKeyUsageBin()};X509.getExtKeyUsageString=function(e){var t=new X509;t.readCertHex(e);return t.getExtKeyUsageString()};X509.getExtSubjectKeyIdentifier=function(e){var t=new X509;t.readCertHex(e);return t.getExtSubjectKeyIdentifier()};X509.getExtAuthorityKeyIdentifier=function(e){var t=new X509;t.readCertHex(e);return t.getExtAuthorityKeyIdentifier()};X509.getExtExtKeyUsageName=function(e){var t=new X509;t.readCertHex(e);return t.getExtExtKeyUsageName()};X509.getExtSubjectAltName=function(e){var t=new X509;t.readCertHex(e);return t.getExtSubjectAltName()};X509.getExtCRLDistributionPointsURI=function(e){var t=new X509;t.readCertHex(e);return t.getExtCRLDistributionPointsURI()};X509.getExtAIAInfo=function(e){var t=new X509;t.readCertHex(e);return t.getExtAIAInfo()};X509.getSignatureAlgorithmName=function(e){var t=new X509;t.readCertHex(e);return t.getSignatureAlgorithmName()};X509.getSignatureValueHex=function(e){var t=new X509;t.readCertHex(e);return t.getSignatureValueHex()};X509.getSerialNumberHex=function(e){var t=new X509;t.readCertHex(e);return t.getSerialNumberHex()};X509.verifySignature=function(e,t){var r=new X509;r.readCertHex(e);return r.verifySignature(t)};
\ No newline at end of file
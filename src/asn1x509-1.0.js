@@ -56,6 +56,7 @@ if (typeof KJUR.asn1 == "undefined" || !KJUR.asn1) KJUR.asn1 = {};
  * <li>{@link KJUR.asn1.x509.AttributeTypeAndValue}</li>
  * <li>{@link KJUR.asn1.x509.SubjectPublicKeyInfo}</li>
  * <li>{@link KJUR.asn1.x509.AlgorithmIdentifier}</li>
+ * <li>{@link KJUR.asn1.x509.RSASSAPSSParams}</li>
  * <li>{@link KJUR.asn1.x509.GeneralName}</li>
  * <li>{@link KJUR.asn1.x509.GeneralNames}</li>
  * <li>{@link KJUR.asn1.x509.DistributionPointName}</li>
@@ -103,7 +104,11 @@ if (typeof KJUR.asn1.x509 == "undefined" || !KJUR.asn1.x509) KJUR.asn1.x509 = {}
  * <li>(DEPRECATED)rsaprvpem - specify PEM string of RSA CA private key</li>
  * </ul>
  * NOTE1: 'params' can be omitted.<br/>
- * NOTE2: DSA/ECDSA is also supported for CA signging key from asn1x509 1.0.6.
+ * NOTE2: DSA/ECDSA is also supported for CA signging key from asn1x509 1.0.6.<br/>
+ * NOTE3: RSA-PSS signature algorithm such as "SHA256withRSAandMGF1" is
+ * also supported from jsrsasign 7.2.1 asn1x509 1.0.25.
+ * Its salt length can be specified by 'psssaltlen' parameter of
+ * {@link KJUR.asn1.x509.AlgorithmIdentifier}.
  * @example
  * var caKey = KEYUTIL.getKey(caKeyPEM); // CA's private key
  * var cert = new KJUR.asn1x509.Certificate({'tbscertobj': tbs, 'prvkeyobj': caKey});
@@ -165,7 +170,10 @@ KJUR.asn1.x509.Certificate = function(params) {
     this.sign = function() {
         this.asn1SignatureAlg = this.asn1TBSCert.asn1SignatureAlg;
 	
-        var sig = new KJUR.crypto.Signature({alg: this.asn1SignatureAlg.nameAlg});
+        var sigParam = {alg: this.asn1SignatureAlg.nameAlg};
+        if (this.asn1SignatureAlg.pssSaltLen !== undefined)
+            sigParam.psssaltlen = this.asn1SignatureAlg.pssSaltLen;
+        var sig = new KJUR.crypto.Signature(sigParam);
         sig.init(this.prvKey);
         sig.updateHex(this.asn1TBSCert.getEncodedHex());
         this.hexSig = sig.sign();
@@ -1840,16 +1848,23 @@ YAHOO.lang.extend(KJUR.asn1.x509.AttributeTypeAndValue, KJUR.asn1.ASN1Object);
  * <li>{@link RSAKey} object</li>
  * <li>{@link KJUR.crypto.ECDSA} object</li>
  * <li>{@link KJUR.crypto.DSA} object</li>
+ * <li>{@link KJUR.crypto.Ed25519} object</li>
  * <li>(DEPRECATED)rsakey - specify {@link RSAKey} object of subject public key</li>
  * <li>(DEPRECATED)rsapem - specify a string of PEM public key of RSA key</li>
  * </ul>
  * NOTE1: 'params' can be omitted.<br/>
  * NOTE2: DSA/ECDSA key object is also supported since asn1x509 1.0.6.<br/>
+ * NOTE3: Ed25519 key object defined in RFC 8410 is also supported
+ * since jsrsasign 7.2.1.<br/>
+ * NOTE4: RSAKey object having 'pssParam' property such as loaded from
+ * id-RSASSA-PSS public key is encoded as id-RSASSA-PSS
+ * with RSASSA-PSS-params since jsrsasign 7.2.1 asn1x509 1.0.25.<br/>
  * <h4>EXAMPLE</h4>
  * @example
  * var spki = new KJUR.asn1.x509.SubjectPublicKeyInfo(RSAKey_object);
  * var spki = new KJUR.asn1.x509.SubjectPublicKeyInfo(KJURcryptoECDSA_object);
  * var spki = new KJUR.asn1.x509.SubjectPublicKeyInfo(KJURcryptoDSA_object);
+ * var spki = new KJUR.asn1.x509.SubjectPublicKeyInfo(KJURcryptoEd25519_object);
  */
 KJUR.asn1.x509.SubjectPublicKeyInfo = function(params) {
     KJUR.asn1.x509.SubjectPublicKeyInfo.superclass.constructor.call(this);
@@ -1865,9 +1880,11 @@ KJUR.asn1.x509.SubjectPublicKeyInfo = function(params) {
 	_newObject = _KJUR_asn1.ASN1Util.newObject,
 	_KJUR_asn1_x509 = _KJUR_asn1.x509,
 	_AlgorithmIdentifier = _KJUR_asn1_x509.AlgorithmIdentifier,
+	_RSASSAPSSParams = _KJUR_asn1_x509.RSASSAPSSParams,
 	_KJUR_crypto = _KJUR.crypto,
 	_KJUR_crypto_ECDSA = _KJUR_crypto.ECDSA,
-	_KJUR_crypto_DSA = _KJUR_crypto.DSA;
+	_KJUR_crypto_DSA = _KJUR_crypto.DSA,
+	_KJUR_crypto_Ed25519 = _KJUR_crypto.Ed25519;
 
     /**
      * (DEPRECATED) set RSAKey object as subject public key
@@ -1940,7 +1957,14 @@ KJUR.asn1.x509.SubjectPublicKeyInfo = function(params) {
             'seq': [{'int': {'bigint': key.n}}, {'int': {'int': key.e}}]
         });
         var rsaKeyHex = asn1RsaPub.getEncodedHex();
-        this.asn1AlgId = new _AlgorithmIdentifier({'name':'rsaEncryption'});
+        if (key.pssParam !== undefined) { // RSASSA-PSS key
+            var algIdParam = {'name': 'rsassaPss'};
+            if (key.pssParam !== null)
+                algIdParam.asn1params = new _RSASSAPSSParams(key.pssParam);
+            this.asn1AlgId = new _AlgorithmIdentifier(algIdParam);
+        } else {
+            this.asn1AlgId = new _AlgorithmIdentifier({'name':'rsaEncryption'});
+        }
         this.asn1SubjPKey = new _DERBitString({'hex':'00'+rsaKeyHex});
     };
 
@@ -1949,7 +1973,7 @@ KJUR.asn1.x509.SubjectPublicKeyInfo = function(params) {
         this.asn1AlgId =
             new _AlgorithmIdentifier({'name': 'ecPublicKey',
                                       'asn1params': asn1Params});
-        this.asn1SubjPKey = new _DERBitString({'hex': '00' + key.pubKeyHex});
+        this.asn1SubjPKey = new _DERBitString({'hex': '00' + key.getPublicKeyHex()});
     };
 
     this._setDSA = function(key) {
@@ -1966,6 +1990,12 @@ KJUR.asn1.x509.SubjectPublicKeyInfo = function(params) {
 	    new _DERBitString({'hex': '00' + pubInt.getEncodedHex()});
     };
 
+    this._setEd25519 = function(key) {
+        this.asn1AlgId = new _AlgorithmIdentifier({'name': 'Ed25519'});
+        this.asn1SubjPKey =
+	    new _DERBitString({'hex': '00' + key.getPublicKeyHex()});
+    };
+
     if (typeof params != "undefined") {
         if (typeof RSAKey != 'undefined' && params instanceof RSAKey) {
             this._setRSAKey(params);
@@ -1975,6 +2005,9 @@ KJUR.asn1.x509.SubjectPublicKeyInfo = function(params) {
         } else if (typeof _KJUR_crypto_DSA != 'undefined' &&
                    params instanceof _KJUR_crypto_DSA) {
             this._setDSA(params);
+        } else if (typeof _KJUR_crypto_Ed25519 != 'undefined' &&
+                   params instanceof _KJUR_crypto_Ed25519) {
+            this._setEd25519(params);
         } else if (params.rsakey !== undefined) {
             this.setRSAKey(params.rsakey);
         } else if (params.rsapem !== undefined) {
@@ -2059,11 +2092,19 @@ YAHOO.lang.extend(KJUR.asn1.x509.Time, KJUR.asn1.ASN1Object);
  * (OPTION)</li>
  * <li>paramempty: set algorithm parameter to NULL by force.
  * If paramempty is false, algorithm parameter will be set automatically.
- * If paramempty is false and algorithm name is "*withDSA" or "withECDSA" parameter field of
+ * If paramempty is false and algorithm name is "*withDSA", "withECDSA" or
+ * "Ed25519" parameter field of
  * AlgorithmIdentifier will be ommitted otherwise
  * it will be NULL by default.
  * (OPTION, DEFAULT = false)</li>
+ * <li>psssaltlen: salt length for RSA-PSS signature algorithm
+ * "*withRSAandMGF1". (OPTION, DEFAULT = hash length)</li>
  * </ul>
+ * NOTE: Since jsrsasign 7.2.1 asn1x509 1.0.25, RSA-PSS signature
+ * algorithm name such as "SHA256withRSAandMGF1" is encoded as
+ * id-RSASSA-PSS with RSASSA-PSS-params defined in RFC 4055
+ * (see {@link KJUR.asn1.x509.RSASSAPSSParams}).
+ * The same hash algorithm is used for MGF1.
  * @example
  * algId = new KJUR.asn1.x509.AlgorithmIdentifier({name: "sha1"});
  * // set parameter to NULL authomatically if algorithm name is "*withRSA".
@@ -2072,6 +2113,9 @@ YAHOO.lang.extend(KJUR.asn1.x509.Time, KJUR.asn1.ASN1Object);
  * algId = new KJUR.asn1.x509.AlgorithmIdentifier({name: "rsaEncryption"});
  * // SHA256withRSA and set parameter empty by force
  * algId = new KJUR.asn1.x509.AlgorithmIdentifier({name: "SHA256withRSA", paramempty: true});
+ * // id-RSASSA-PSS with SHA-256, MGF1 with SHA-256 and 32 bytes salt
+ * algId = new KJUR.asn1.x509.AlgorithmIdentifier({name: "SHA256withRSAandMGF1"});
+ * algId = new KJUR.asn1.x509.AlgorithmIdentifier({name: "SHA256withRSAandMGF1", psssaltlen: 20});
  */
 KJUR.asn1.x509.AlgorithmIdentifier = function(params) {
     KJUR.asn1.x509.AlgorithmIdentifier.superclass.constructor.call(this);
@@ -2107,22 +2151,131 @@ KJUR.asn1.x509.AlgorithmIdentifier = function(params) {
         if (params.paramempty !== undefined) {
             this.paramEmpty = params.paramempty;
         }
+        if (params.psssaltlen !== undefined) {
+            this.pssSaltLen = params.psssaltlen;
+        }
+    }
+
+    // "*withRSAandMGF1" will be id-RSASSA-PSS with RSASSA-PSS-params.
+    var matchPSS = (this.nameAlg !== null) ?
+	this.nameAlg.match(/^(.+)withRSAandMGF1$/) : null;
+    if (matchPSS !== null) {
+	var hashAlg = KJUR.crypto.MessageDigest.getCanonicalAlgName(matchPSS[1]);
+	if (this.pssSaltLen === undefined || this.pssSaltLen === -1)
+	    this.pssSaltLen = KJUR.crypto.MessageDigest.getHashLength(hashAlg);
+	if (this.pssSaltLen < 0)
+	    throw "psssaltlen shall be zero or positive: " + this.pssSaltLen;
+	this.asn1Alg = _KJUR_asn1.x509.OID.name2obj("rsassaPss");
+	if (this.asn1Params === null) {
+	    this.asn1Params =
+		new _KJUR_asn1.x509.RSASSAPSSParams({hash: hashAlg,
+						     saltlen: this.pssSaltLen});
+	}
     }
 
     // set algorithm parameters will be ommitted for
-    // "*withDSA" or "*withECDSA" otherwise will be NULL.
+    // "*withDSA", "*withECDSA", "Ed25519" or "rsassaPss"
+    // otherwise will be NULL.
     if (this.asn1Params === null &&
 	this.paramEmpty === false &&
 	this.nameAlg !== null) {
 	var lcNameAlg = this.nameAlg.toLowerCase();
 	if (lcNameAlg.substr(-7, 7) !== "withdsa" &&
-	    lcNameAlg.substr(-9, 9) !== "withecdsa") {
+	    lcNameAlg.substr(-9, 9) !== "withecdsa" &&
+	    lcNameAlg !== "ed25519" &&
+	    lcNameAlg !== "rsassapss") {
             this.asn1Params = new _KJUR_asn1.DERNull();
 	}
     }
 };
 YAHOO.lang.extend(KJUR.asn1.x509.AlgorithmIdentifier, KJUR.asn1.ASN1Object);
 
+/**
+ * RSASSA-PSS-params ASN.1 structure class<br/>
+ * @name KJUR.asn1.x509.RSASSAPSSParams
+ * @class RSASSA-PSS-params ASN.1 structure class
+ * @param {Array} params associative array of parameters (ex. {hash: "sha256", saltlen: 32})
+ * @extends KJUR.asn1.ASN1Object
+ * @since jsrsasign 7.2.1 asn1x509 1.0.25
+ * @description
+ * This class represents RSASSA-PSS-params defined in
+ * <a href="https://tools.ietf.org/html/rfc4055#section-3.1">RFC 4055 section 3.1</a>
+ * for AlgorithmIdentifier parameters of id-RSASSA-PSS.
+ * <pre>
+ * RSASSA-PSS-params  ::=  SEQUENCE  {
+ *    hashAlgorithm      [0] HashAlgorithm DEFAULT sha1Identifier,
+ *    maskGenAlgorithm   [1] MaskGenAlgorithm DEFAULT mgf1SHA1Identifier,
+ *    saltLength         [2] INTEGER DEFAULT 20,
+ *    trailerField       [3] INTEGER DEFAULT 1  }
+ * </pre>
+ * The 'params' argument is an associative array and has following parameters:
+ * <ul>
+ * <li>hash: hash algorithm name (OPTION, DEFAULT = "sha1")</li>
+ * <li>mgfhash: hash algorithm name for MGF1 (OPTION, DEFAULT = hash)</li>
+ * <li>saltlen: salt length (OPTION, DEFAULT = hash length)</li>
+ * </ul>
+ * Fields which have default value will be omitted in DER encoding.
+ * Hash algorithm names are the same as {@link KJUR.crypto.MessageDigest}
+ * (ex. sha1, sha256).
+ * @example
+ * o = new KJUR.asn1.x509.RSASSAPSSParams({hash: "sha256"});
+ * o = new KJUR.asn1.x509.RSASSAPSSParams({hash: "sha384", mgfhash: "sha384", saltlen: 48});
+ * o = new KJUR.asn1.x509.RSASSAPSSParams(); // all default (i.e. SHA-1)
+ */
+KJUR.asn1.x509.RSASSAPSSParams = function(params) {
+    KJUR.asn1.x509.RSASSAPSSParams.superclass.constructor.call(this);
+    var _KJUR = KJUR,
+	_KJUR_asn1 = _KJUR.asn1,
+	_DERInteger = _KJUR_asn1.DERInteger,
+	_DERSequence = _KJUR_asn1.DERSequence,
+	_DERTaggedObject = _KJUR_asn1.DERTaggedObject,
+	_AlgorithmIdentifier = _KJUR_asn1.x509.AlgorithmIdentifier,
+	_MessageDigest = _KJUR.crypto.MessageDigest;
+
+    this.hashAlg = "sha1";
+    this.mgfHashAlg = "sha1";
+    this.saltLen = 20;
+
+    this.getEncodedHex = function() {
+	var a = [];
+	if (this.hashAlg !== "sha1") {
+	    a.push(new _DERTaggedObject({
+		tag: 'a0', explicit: true,
+		obj: new _AlgorithmIdentifier({name: this.hashAlg})}));
+	}
+	if (this.mgfHashAlg !== "sha1") {
+	    a.push(new _DERTaggedObject({
+		tag: 'a1', explicit: true,
+		obj: new _AlgorithmIdentifier({
+		    name: "mgf1",
+		    asn1params: new _AlgorithmIdentifier({name: this.mgfHashAlg})})}));
+	}
+	if (this.saltLen !== 20) {
+	    a.push(new _DERTaggedObject({
+		tag: 'a2', explicit: true,
+		obj: new _DERInteger({'int': this.saltLen})}));
+	}
+	var o = new _DERSequence({'array': a});
+	this.hTLV = o.getEncodedHex();
+	return this.hTLV;
+    };
+
+    if (params !== undefined) {
+	if (params.hash !== undefined) {
+	    this.hashAlg = _MessageDigest.getCanonicalAlgName(params.hash);
+	    this.mgfHashAlg = this.hashAlg;
+	    this.saltLen = _MessageDigest.getHashLength(this.hashAlg);
+	}
+	if (params.mgfhash !== undefined) {
+	    this.mgfHashAlg = _MessageDigest.getCanonicalAlgName(params.mgfhash);
+	}
+	if (params.saltlen !== undefined) {
+	    this.saltLen = params.saltlen;
+	}
+    }
+};
+YAHOO.lang.extend(KJUR.asn1.x509.RSASSAPSSParams, KJUR.asn1.ASN1Object);
+
 /**
  * GeneralName ASN.1 structure class<br/>
  * @name KJUR.asn1.x509.GeneralName
@@ -2503,6 +2656,10 @@ KJUR.asn1.x509.OID = new function(params) {
         'md5':                  '1.2.840.113549.2.5',
         'md2':                  '1.3.14.7.2.2.1',
         'ripemd160':            '1.3.36.3.2.1',
+        'sha3-224':             '2.16.840.1.101.3.4.2.7',
+        'sha3-256':             '2.16.840.1.101.3.4.2.8',
+        'sha3-384':             '2.16.840.1.101.3.4.2.9',
+        'sha3-512':             '2.16.840.1.101.3.4.2.10',
 
         'MD2withRSA':           '1.2.840.113549.1.1.2',
         'MD4withRSA':           '1.2.840.113549.1.1.3',
@@ -2512,19 +2669,31 @@ KJUR.asn1.x509.OID = new function(params) {
         'SHA256withRSA':        '1.2.840.113549.1.1.11',
         'SHA384withRSA':        '1.2.840.113549.1.1.12',
         'SHA512withRSA':        '1.2.840.113549.1.1.13',
+        'SHA3-224withRSA':      '2.16.840.1.101.3.4.3.13',
+        'SHA3-256withRSA':      '2.16.840.1.101.3.4.3.14',
+        'SHA3-384withRSA':      '2.16.840.1.101.3.4.3.15',
+        'SHA3-512withRSA':      '2.16.840.1.101.3.4.3.16',
 
         'SHA1withECDSA':        '1.2.840.10045.4.1',
         'SHA224withECDSA':      '1.2.840.10045.4.3.1',
         'SHA256withECDSA':      '1.2.840.10045.4.3.2',
         'SHA384withECDSA':      '1.2.840.10045.4.3.3',
         'SHA512withECDSA':      '1.2.840.10045.4.3.4',
+        'SHA3-224withECDSA':    '2.16.840.1.101.3.4.3.9',
+        'SHA3-256withECDSA':    '2.16.840.1.101.3.4.3.10',
+        'SHA3-384withECDSA':    '2.16.840.1.101.3.4.3.11',
+        'SHA3-512withECDSA':    '2.16.840.1.101.3.4.3.12',
 
         'dsa':                  '1.2.840.10040.4.1',
         'SHA1withDSA':          '1.2.840.10040.4.3',
         'SHA224withDSA':        '2.16.840.1.101.3.4.3.1',
         'SHA256withDSA':        '2.16.840.1.101.3.4.3.2',
 
+        'Ed25519':              '1.3.101.112',
+
         'rsaEncryption':        '1.2.840.113549.1.1.1',
+        'rsassaPss':            '1.2.840.113549.1.1.10', // RFC 4055 id-RSASSA-PSS
+        'mgf1':                 '1.2.840.113549.1.1.8',
 
 	// X.500 AttributeType defined in RFC 4514
         'commonName':			'2.5.4.3',
@@ -2574,6 +2743,21 @@ KJUR.asn1.x509.OID = new function(params) {
         'secp256r1':            '1.2.840.10045.3.1.7',
         'secp256k1':            '1.3.132.0.10',
         'secp384r1':            '1.3.132.0.34',
+        'secp521r1':            '1.3.132.0.35',
+        'brainpoolP160r1':      '1.3.36.3.3.2.8.1.1.1',
+        'brainpoolP160t1':      '1.3.36.3.3.2.8.1.1.2',
+        'brainpoolP192r1':      '1.3.36.3.3.2.8.1.1.3',
+        'brainpoolP192t1':      '1.3.36.3.3.2.8.1.1.4',
+        'brainpoolP224r1':      '1.3.36.3.3.2.8.1.1.5',
+        'brainpoolP224t1':      '1.3.36.3.3.2.8.1.1.6',
+        'brainpoolP256r1':      '1.3.36.3.3.2.8.1.1.7',
+        'brainpoolP256t1':      '1.3.36.3.3.2.8.1.1.8',
+        'brainpoolP320r1':      '1.3.36.3.3.2.8.1.1.9',
+        'brainpoolP320t1':      '1.3.36.3.3.2.8.1.1.10',
+        'brainpoolP384r1':      '1.3.36.3.3.2.8.1.1.11',
+        'brainpoolP384t1':      '1.3.36.3.3.2.8.1.1.12',
+        'brainpoolP512r1':      '1.3.36.3.3.2.8.1.1.13',
+        'brainpoolP512t1':      '1.3.36.3.3.2.8.1.1.14',
 
         'pkcs5PBES2':           '1.2.840.113549.1.5.13',
         'pkcs5PBKDF2':          '1.2.840.113549.1.5.12',
@@ -35,6 +35,7 @@ if (typeof KJUR == "undefined" || !KJUR) KJUR = {};
  * <li>{@link KJUR.crypto.MessageDigest} - Java JCE(cryptograhic extension) style MessageDigest class</li>
  * <li>{@link KJUR.crypto.Signature} - Java JCE(cryptograhic extension) style Signature class</li>
  * <li>{@link KJUR.crypto.Cipher} - class for encrypting and decrypting data</li>
+ * <li>{@link KJUR.crypto.KDF} - key derivation functions</li>
  * <li>{@link KJUR.crypto.Util} - cryptographic utility functions and properties</li>
  * </ul>
  * NOTE: Please ignore method summary and document of this namespace. This caused by a bug of jsdoc2.
@@ -50,7 +51,30 @@ if (typeof KJUR.crypto == "undefined" || !KJUR.crypto) KJUR.crypto = {};
  * @class static object for cryptographic function utilities
  * @property {Array} DIGESTINFOHEAD PKCS#1 DigestInfo heading hexadecimal bytes for each hash algorithms
  * @property {Array} DEFAULTPROVIDER associative array of default provider name for each hash and signature algorithms
+ * @property {Object} NODECRYPTO Node.js crypto module or null in other environments
  * @description
+ * <h4>NODECRYPTO PROVIDER</h4>
+ * Since jsrsasign 7.2.1 crypto 1.1.13, when running under Node.js,
+ * "nodecrypto" provider which uses Node.js crypto module becomes
+ * default provider in DEFAULTPROVIDER for following algorithms:
+ * <ul>
+ * <li>hash algorithms for {@link KJUR.crypto.MessageDigest} supported by Node.js</li>
+ * <li>HMAC algorithms for {@link KJUR.crypto.Mac} with hash supported by Node.js</li>
+ * <li>RSA and RSA-PSS signature algorithms for {@link KJUR.crypto.Signature}</li>
+ * <li>RSA, RSAOAEP*, AESCBC, AESCTR and AESGCM for {@link KJUR.crypto.Cipher}</li>
+ * </ul>
+ * Results are the same as pure JavaScript implementation.
+ * For RSA, only private key operation is done by Node.js
+ * and padding is done by jsrsasign as before.
+ * When "nodecrypto" provider is specified in other environments such as
+ * browsers, pure JavaScript implementation is used instead.
+ * <br/>
+ * NOTE: DEFAULTPROVIDER is changed for all callers under Node.js,
+ * so provider names of {@link KJUR.crypto.MessageDigest},
+ * {@link KJUR.crypto.Mac} and {@link KJUR.crypto.Signature} objects
+ * without "prov" parameter become "nodecrypto".
+ * To keep former default providers, call
+ * {@link KJUR.crypto.Util.setNodeCryptoDefault} with false.
  */
 KJUR.crypto.Util = new function() {
     this.DIGESTINFOHEAD = {
@@ -62,6 +86,10 @@ KJUR.crypto.Util = new function() {
 	'md2':       "3020300c06082a864886f70d020205000410",
 	'md5':       "3020300c06082a864886f70d020505000410",
 	'ripemd160': "3021300906052b2403020105000414",
+	'sha3-224':  "302d300d06096086480165030402070500041c",
+	'sha3-256':  "3031300d060960864801650304020805000420",
+	'sha3-384':  "3041300d060960864801650304020905000430",
+	'sha3-512':  "3051300d060960864801650304020a05000440",
     };
 
     /*
@@ -75,6 +103,12 @@ KJUR.crypto.Util = new function() {
 	'sha384':		'cryptojs',
 	'sha512':		'cryptojs',
 	'ripemd160':		'cryptojs',
+	'sha3-224':		'cryptojs',
+	'sha3-256':		'cryptojs',
+	'sha3-384':		'cryptojs',
+	'sha3-512':		'cryptojs',
+	'shake128':		'cryptojs',
+	'shake256':		'cryptojs',
 	'hmacmd5':		'cryptojs',
 	'hmacsha1':		'cryptojs',
 	'hmacsha224':		'cryptojs',
@@ -82,6 +116,12 @@ KJUR.crypto.Util = new function() {
 	'hmacsha384':		'cryptojs',
 	'hmacsha512':		'cryptojs',
 	'hmacripemd160':	'cryptojs',
+	'hmacsha3-224':		'cryptojs',
+	'hmacsha3-256':		'cryptojs',
+	'hmacsha3-384':		'cryptojs',
+	'hmacsha3-512':		'cryptojs',
+	'aescmac':		'cryptojs',
+	'aesgmac':		'cryptojs',
 
 	'MD5withRSA':		'cryptojs/jsrsa',
 	'SHA1withRSA':		'cryptojs/jsrsa',
@@ -90,6 +130,10 @@ KJUR.crypto.Util = new function() {
 	'SHA384withRSA':	'cryptojs/jsrsa',
 	'SHA512withRSA':	'cryptojs/jsrsa',
 	'RIPEMD160withRSA':	'cryptojs/jsrsa',
+	'SHA3-224withRSA':	'cryptojs/jsrsa',
+	'SHA3-256withRSA':	'cryptojs/jsrsa',
+	'SHA3-384withRSA':	'cryptojs/jsrsa',
+	'SHA3-512withRSA':	'cryptojs/jsrsa',
 
 	'MD5withECDSA':		'cryptojs/jsrsa',
 	'SHA1withECDSA':	'cryptojs/jsrsa',
@@ -98,11 +142,17 @@ KJUR.crypto.Util = new function() {
 	'SHA384withECDSA':	'cryptojs/jsrsa',
 	'SHA512withECDSA':	'cryptojs/jsrsa',
 	'RIPEMD160withECDSA':	'cryptojs/jsrsa',
+	'SHA3-224withECDSA':	'cryptojs/jsrsa',
+	'SHA3-256withECDSA':	'cryptojs/jsrsa',
+	'SHA3-384withECDSA':	'cryptojs/jsrsa',
+	'SHA3-512withECDSA':	'cryptojs/jsrsa',
 
 	'SHA1withDSA':		'cryptojs/jsrsa',
 	'SHA224withDSA':	'cryptojs/jsrsa',
 	'SHA256withDSA':	'cryptojs/jsrsa',
 
+	'Ed25519':		'cryptojs/jsrsa',
+
 	'MD5withRSAandMGF1':		'cryptojs/jsrsa',
 	'SHA1withRSAandMGF1':		'cryptojs/jsrsa',
 	'SHA224withRSAandMGF1':		'cryptojs/jsrsa',
@@ -110,6 +160,16 @@ KJUR.crypto.Util = new function() {
 	'SHA384withRSAandMGF1':		'cryptojs/jsrsa',
 	'SHA512withRSAandMGF1':		'cryptojs/jsrsa',
 	'RIPEMD160withRSAandMGF1':	'cryptojs/jsrsa',
+
+	'RSA':			'cryptojs/jsrsa',
+	'RSAOAEP':		'cryptojs/jsrsa',
+	'RSAOAEP224':		'cryptojs/jsrsa',
+	'RSAOAEP256':		'cryptojs/jsrsa',
+	'RSAOAEP384':		'cryptojs/jsrsa',
+	'RSAOAEP512':		'cryptojs/jsrsa',
+	'AESCBC':		'cryptojs',
+	'AESCTR':		'cryptojs',
+	'AESGCM':		'cryptojs',
     };
 
     /*
@@ -122,8 +182,78 @@ KJUR.crypto.Util = new function() {
 	'sha256':	CryptoJS.algo.SHA256,
 	'sha384':	CryptoJS.algo.SHA384,
 	'sha512':	CryptoJS.algo.SHA512,
-	'ripemd160':	CryptoJS.algo.RIPEMD160
+	'ripemd160':	CryptoJS.algo.RIPEMD160,
+	'sha3-224':	CryptoJS.algo.SHA3_224,
+	'sha3-256':	CryptoJS.algo.SHA3_256,
+	'sha3-384':	CryptoJS.algo.SHA3_384,
+	'sha3-512':	CryptoJS.algo.SHA3_512,
+	'shake128':	CryptoJS.algo.SHAKE128,
+	'shake256':	CryptoJS.algo.SHAKE256
+    };
+
+    /*
+     * Node.js crypto module or null when not running under Node.js
+     * @since crypto 1.1.13
+     */
+    this.NODECRYPTO = null;
+    if (typeof process == "object" && process !== null &&
+	process.versions !== undefined &&
+	typeof process.versions.node == "string" &&
+	typeof require == "function") {
+	try {
+	    this.NODECRYPTO = require("crypto");
+	} catch (ex) {}
+    }
+
+    /*
+     * original providers in DEFAULTPROVIDER replaced by "nodecrypto"
+     * @since crypto 1.1.13
+     */
+    var oProvBeforeNodeCrypto = {};
+
+    /**
+     * use "nodecrypto" provider by default or restore original default providers<br/>
+     * @name setNodeCryptoDefault
+     * @memberOf KJUR.crypto.Util
+     * @function
+     * @param {Boolean} flag true to use "nodecrypto" provider by default or false to restore original ones
+     * @since jsrsasign 7.2.1 crypto 1.1.13
+     * @description
+     * This method changes DEFAULTPROVIDER for algorithms described in
+     * "NODECRYPTO PROVIDER" of {@link KJUR.crypto.Util}.
+     * It is called with true when this library is loaded, so
+     * call it with false to keep "cryptojs" and "cryptojs/jsrsa"
+     * providers under Node.js.
+     * It does nothing for true when not running under Node.js.
+     * @example
+     * KJUR.crypto.Util.setNodeCryptoDefault(false);
+     * KJUR.crypto.Util.DEFAULTPROVIDER['SHA256withRSA'] &rarr; "cryptojs/jsrsa"
+     */
+    this.setNodeCryptoDefault = function(flag) {
+	var name;
+	if (flag === false) {
+	    for (name in oProvBeforeNodeCrypto) {
+		this.DEFAULTPROVIDER[name] = oProvBeforeNodeCrypto[name];
+	    }
+	    oProvBeforeNodeCrypto = {};
+	    return;
+	}
+	if (this.NODECRYPTO === null) return;
+
+	// hash, HMAC, RSA and AES algorithms which Node.js supports
+	var aNodeHash = this.NODECRYPTO.getHashes();
+	for (name in this.DEFAULTPROVIDER) {
+	    var prov = this.DEFAULTPROVIDER[name];
+	    if ((prov == 'cryptojs' &&
+		 aNodeHash.indexOf(name.replace(/^hmac/, '')) != -1) ||
+		(prov != 'nodecrypto' &&
+		 name.match(/withRSA|^RSA|^AES/) !== null)) {
+		oProvBeforeNodeCrypto[name] = prov;
+		this.DEFAULTPROVIDER[name] = 'nodecrypto';
+	    }
+	}
     };
+    this.setNodeCryptoDefault(true);
 
     /**
      * get hexadecimal DigestInfo
@@ -208,7 +338,7 @@ KJUR.crypto.Util = new function() {
      * @since 1.0.3
      */
     this.sha1 = function(s) {
-        var md = new KJUR.crypto.MessageDigest({'alg':'sha1', 'prov':'cryptojs'});
+        var md = new KJUR.crypto.MessageDigest({'alg':'sha1'});
         return md.digestString(s);
     };
 
@@ -222,12 +352,12 @@ KJUR.crypto.Util = new function() {
      * @since 1.0.3
      */
     this.sha256 = function(s) {
-        var md = new KJUR.crypto.MessageDigest({'alg':'sha256', 'prov':'cryptojs'});
+        var md = new KJUR.crypto.MessageDigest({'alg':'sha256'});
         return md.digestString(s);
     };
 
     this.sha256Hex = function(s) {
-        var md = new KJUR.crypto.MessageDigest({'alg':'sha256', 'prov':'cryptojs'});
+        var md = new KJUR.crypto.MessageDigest({'alg':'sha256'});
         return md.digestHex(s);
     };
 
@@ -241,12 +371,12 @@ KJUR.crypto.Util = new function() {
      * @since 1.0.3
      */
     this.sha512 = function(s) {
-        var md = new KJUR.crypto.MessageDigest({'alg':'sha512', 'prov':'cryptojs'});
+        var md = new KJUR.crypto.MessageDigest({'alg':'sha512'});
         return md.digestString(s);
     };
 
     this.sha512Hex = function(s) {
-        var md = new KJUR.crypto.MessageDigest({'alg':'sha512', 'prov':'cryptojs'});
+        var md = new KJUR.crypto.MessageDigest({'alg':'sha512'});
         return md.digestHex(s);
     };
 
@@ -264,7 +394,7 @@ KJUR.crypto.Util = new function() {
  * Util.md5('aaa') &rarr; 47bce5c74f589f4867dbd57e9ca9f808
  */
 KJUR.crypto.Util.md5 = function(s) {
-    var md = new KJUR.crypto.MessageDigest({'alg':'md5', 'prov':'cryptojs'});
+    var md = new KJUR.crypto.MessageDigest({'alg':'md5'});
     return md.digestString(s);
 };
 
@@ -280,10 +410,78 @@ KJUR.crypto.Util.md5 = function(s) {
  * KJUR.crypto.Util.ripemd160("aaa") &rarr; 08889bd7b151aa174c21f33f59147fa65381edea
  */
 KJUR.crypto.Util.ripemd160 = function(s) {
-    var md = new KJUR.crypto.MessageDigest({'alg':'ripemd160', 'prov':'cryptojs'});
+    var md = new KJUR.crypto.MessageDigest({'alg':'ripemd160'});
     return md.digestString(s);
 };
 
+/*
+ * compare hexadecimal strings such as MAC or authentication tag
+ * without early exit so that time doesn't depend on where they differ.
+ * (since jsrsasign 7.2.1 crypto 1.1.13)
+ */
+KJUR.crypto.Util._equalsHex = function(h1, h2) {
+    if (h1.length !== h2.length) return false;
+    h1 = h1.toLowerCase();
+    h2 = h2.toLowerCase();
+    var diff = 0;
+    for (var i = 0; i < h1.length; i++) {
+	diff |= h1.charCodeAt(i) ^ h2.charCodeAt(i);
+    }
+    return diff === 0;
+};
+
+/*
+ * get RSAKey like object whose private key operation is done by
+ * Node.js crypto module. The RSAKey itself is returned when
+ * Node.js crypto is not available or it doesn't have CRT parameters.
+ * The last result is cached since importing a key is slow.
+ * (since jsrsasign 7.2.1 crypto 1.1.13)
+ */
+KJUR.crypto.Util._getNodeRSAKey = function(rsaKey) {
+    var _Util = KJUR.crypto.Util,
+	_nodeCrypto = _Util.NODECRYPTO,
+	_cache = _Util._nodeRSAKeyCache;
+    if (_nodeCrypto === null || ! (rsaKey instanceof RSAKey) ||
+	rsaKey.isPrivate !== true || rsaKey.p == null || rsaKey.q == null)
+	return rsaKey;
+    if (_cache !== undefined && _cache.rsaKey === rsaKey && _cache.d === rsaKey.d)
+	return _cache.nodeRSAKey;
+
+    var _b64u = function(x) {
+	var h = x.toString(16);
+	if (h.length % 2 == 1) h = "0" + h;
+	return hextob64u(h);
+    };
+
+    var nodeKey;
+    try {
+	nodeKey = _nodeCrypto.createPrivateKey({
+	    format: "jwk",
+	    key: {kty: "RSA",
+		  n: _b64u(rsaKey.n), e: _b64u(rsaKey.e),
+		  d: _b64u(rsaKey.d), p: _b64u(rsaKey.p), q: _b64u(rsaKey.q),
+		  dp: _b64u(rsaKey.dmp1), dq: _b64u(rsaKey.dmq1),
+		  qi: _b64u(rsaKey.coeff)}
+	});
+    } catch (ex) {
+	return rsaKey;
+    }
+
+    var keyLen = (rsaKey.n.bitLength() + 7) >> 3;
+    var nodeRSAKey = Object.create(rsaKey);
+    nodeRSAKey.doPrivate = function(x) {
+	var h = x.toString(16);
+	while (h.length < keyLen * 2) h = "0" + h;
+	var buf = _nodeCrypto.privateDecrypt({
+	    key: nodeKey,
+	    padding: _nodeCrypto.constants.RSA_NO_PADDING
+	}, Buffer.from(h, "hex"));
+	return new BigInteger(buf.toString("hex"), 16);
+    };
+    _Util._nodeRSAKeyCache = {rsaKey: rsaKey, d: rsaKey.d, nodeRSAKey: nodeRSAKey};
+    return nodeRSAKey;
+};
+
 // @since jsrsasign 7.0.0 crypto 1.1.11
 KJUR.crypto.Util.SECURERANDOMGEN = new SecureRandom();
 
@@ -370,6 +568,10 @@ KJUR.crypto.Util.getRandomBigIntegerOfNbits = function(n) {
  * This static method generates a BigInteger object with random value
  * greater than or equal to zero and smaller than or equal to biMax
  * (i.e. 0 &le; result &le; biMax).
+ * <br/>
+ * NOTE: Before jsrsasign 7.2.1 crypto 1.1.13, this method could return
+ * a value greater than biMax since it expected BigInteger.compareTo
+ * to return -1 or 1, however it returns difference of values.
  * @example
  * biMax = new BigInteger("3fa411...", 16);
  * KJUR.crypto.Util.getRandomBigIntegerZeroToMax(biMax) &rarr; 8fbc... of BigInteger
@@ -378,7 +580,7 @@ KJUR.crypto.Util.getRandomBigIntegerZeroToMax = function(biMax) {
     var bitLenMax = biMax.bitLength();
     while (1) {
 	var biRand = KJUR.crypto.Util.getRandomBigIntegerOfNbits(bitLenMax);
-	if (biMax.compareTo(biRand) != -1) return biRand;
+	if (biMax.compareTo(biRand) >= 0) return biRand;
     }
 };
 
@@ -395,6 +597,11 @@ KJUR.crypto.Util.getRandomBigIntegerZeroToMax = function(biMax) {
  * This static method generates a BigInteger object with random value
  * greater than or equal to biMin and smaller than or equal to biMax
  * (i.e. biMin &le; result &le; biMax).
+ * <br/>
+ * NOTE: Before jsrsasign 7.2.1 crypto 1.1.13, this method didn't raise
+ * an error for some biMin greater than biMax and could return a value
+ * out of the range in the same way as
+ * {@link KJUR.crypto.Util.getRandomBigIntegerZeroToMax}.
  * @example
  * biMin = new BigInteger("2fa411...", 16);
  * biMax = new BigInteger("3fa411...", 16);
@@ -402,7 +609,7 @@ KJUR.crypto.Util.getRandomBigIntegerZeroToMax = function(biMax) {
  */
 KJUR.crypto.Util.getRandomBigIntegerMinToMax = function(biMin, biMax) {
     var flagCompare = biMin.compareTo(biMax);
-    if (flagCompare == 1) throw "biMin is greater than biMax";
+    if (flagCompare > 0) throw "biMin is greater than biMax";
     if (flagCompare == 0) return biMin;
 
     var biDiff = biMax.subtract(biMin);
@@ -410,6 +617,113 @@ KJUR.crypto.Util.getRandomBigIntegerMinToMax = function(biMin, biMax) {
     return biRand.add(biMin);
 };
 
+/**
+ * get RFC 6979 deterministic per-message secret number generator<br/>
+ * @name getRFC6979KGenerator
+ * @memberOf KJUR.crypto.Util
+ * @function
+ * @param {BigInteger} biQ order of group q (i.e. DSA parameter q or EC curve order n)
+ * @param {BigInteger} biX private key x
+ * @param {String} hHash hexadecimal string of message hash value h1
+ * @param {String} alg hash algorithm name for HMAC (ex. "sha256") (OPTION)
+ * @return {Function} function which returns BigInteger object of next secret number k
+ * @since jsrsasign 7.2.1 crypto 1.1.13
+ * @description
+ * This static method returns a function which generates
+ * per-message secret number k for DSA and ECDSA
+ * as described in
+ * <a href="https://tools.ietf.org/html/rfc6979#section-3.2">RFC 6979 section 3.2</a>.
+ * When resulted signature value r or s is zero,
+ * call the function again to get the next candidate of k
+ * as described in step h.3.
+ * <br/>
+ * HMAC shall be calculated with the same hash algorithm as message hash.
+ * When "alg" is omitted, it is guessed from length of message hash value
+ * as "sha1", "sha224", "sha256", "sha384" or "sha512".
+ * For other length, "sha256" is used as a variant described in
+ * RFC 6979 section 3.6.
+ * @example
+ * var nextK = KJUR.crypto.Util.getRFC6979KGenerator(biN, biPrv, hHash, "sha256");
+ * var k = nextK(); &rarr; BigInteger of k where 0 &lt; k &lt; q
+ */
+KJUR.crypto.Util.getRFC6979KGenerator = function(biQ, biX, hHash, alg) {
+    if (alg === undefined) {
+	alg = {40: "sha1", 56: "sha224", 64: "sha256",
+	       96: "sha384", 128: "sha512"}[hHash.length];
+	if (alg === undefined) alg = "sha256";
+    }
+    var _MD = KJUR.crypto.MessageDigest;
+    var hmacAlg = "hmac" + _MD.getCanonicalAlgName(alg);
+    var hlen = _MD.getHashLength(alg);
+
+    var qlen = biQ.bitLength();
+    var rlen = Math.ceil(qlen / 8) * 8;
+
+    var _hmac = function(hKey, hData) {
+	var mac = new KJUR.crypto.Mac({alg: hmacAlg, pass: {hex: hKey}});
+	return mac.doFinalHex(hData);
+    };
+
+    // 2.3.2. bits2int
+    var _bits2int = function(h) {
+	var bi = new BigInteger(h, 16);
+	var blen = h.length * 4;
+	if (blen > qlen) bi = bi.shiftRight(blen - qlen);
+	return bi;
+    };
+
+    // 2.3.3. int2octets
+    var _int2octets = function(bi) {
+	var h = bi.toString(16);
+	while (h.length < rlen / 4) h = "0" + h;
+	return h;
+    };
+
+    // 2.3.4. bits2octets
+    var _bits2octets = function(h) {
+	var z1 = _bits2int(h);
+	if (z1.compareTo(biQ) >= 0) z1 = z1.subtract(biQ);
+	return _int2octets(z1);
+    };
+
+    // 3.2. b. V = 0x01 0x01 ... 0x01, c. K = 0x00 0x00 ... 0x00
+    var hV = "", hK = "";
+    for (var i = 0; i < hlen; i++) {
+	hV += "01";
+	hK += "00";
+    }
+
+    // 3.2. d. - g.
+    var hXH = _int2octets(biX) + _bits2octets(hHash);
+    hK = _hmac(hK, hV + "00" + hXH);
+    hV = _hmac(hK, hV);
+    hK = _hmac(hK, hV + "01" + hXH);
+    hV = _hmac(hK, hV);
+
+    var isFirst = true;
+    return function() {
+	while (true) {
+	    // 3.2. h.3. K = HMAC_K(V || 0x00), V = HMAC_K(V) for next candidate
+	    if (! isFirst) {
+		hK = _hmac(hK, hV + "00");
+		hV = _hmac(hK, hV);
+	    }
+	    isFirst = false;
+
+	    // 3.2. h.2. T = V1 || V2 || ... until tlen >= qlen
+	    var hT = "";
+	    while (hT.length * 4 < qlen) {
+		hV = _hmac(hK, hV);
+		hT += hV;
+	    }
+
+	    // 3.2. h.3. k = bits2int(T) where 1 <= k <= q - 1
+	    var k = _bits2int(hT);
+	    if (k.signum() > 0 && k.compareTo(biQ) < 0) return k;
+	}
+    };
+};
+
 // === Mac ===============================================================
 
 /**
@@ -430,7 +744,15 @@ KJUR.crypto.Util.getRandomBigIntegerMinToMax = function(biMin, biMax) {
  * <li>sha512 - cryptojs</li>
  * <li>ripemd160 - cryptojs</li>
  * <li>sha256 - sjcl (NEW from crypto.js 1.0.4)</li>
+ * <li>sha3-224, sha3-256, sha3-384, sha3-512 - cryptojs (NEW from crypto 1.1.13)</li>
+ * <li>shake128, shake256 - cryptojs (NEW from crypto 1.1.13)</li>
+ * <li>hash algorithms supported by Node.js - nodecrypto (NEW from crypto 1.1.13)</li>
  * </ul>
+ * Under Node.js, "nodecrypto" provider is used by default.
+ * See {@link KJUR.crypto.Util} for detail.
+ * SHA-3 and SHAKE require sha3-1.0.js.
+ * Output byte length of SHAKE128 and SHAKE256 can be specified by
+ * "outlen" parameter. Its default is 32 and 64 respectively.
  * @example
  * // CryptoJS provider sample
  * var md = new KJUR.crypto.MessageDigest({alg: "sha1", prov: "cryptojs"});
@@ -442,6 +764,10 @@ KJUR.crypto.Util.getRandomBigIntegerMinToMax = function(biMin, biMax) {
  * md.updateString('aaa')
  * var mdHex = md.digest()
  *
+ * // SHA-3 and SHAKE
+ * var md = new KJUR.crypto.MessageDigest({alg: "SHA3-256"});
+ * var md = new KJUR.crypto.MessageDigest({alg: "shake128", outlen: 64});
+ *
  * // HASHLENGTH property
  * KJUR.crypto.MessageDigest.HASHLENGTH['sha1'] &rarr 20
  * KJUR.crypto.MessageDigest.HASHLENGTH['sha512'] &rarr 64
@@ -469,10 +795,13 @@ KJUR.crypto.MessageDigest = function(params) {
      * <li>SHA384</li>
      * <li>SHA512</li>
      * <li>RIPEMD160</li>
+     * <li>SHA3-224, SHA3-256, SHA3-384, SHA3-512</li>
+     * <li>SHAKE128, SHAKE256</li>
      * </ul>
      * NOTE: Since jsrsasign 6.2.0 crypto 1.1.10, this method ignores
      * upper or lower cases. Also any hyphens (i.e. "-") will be ignored
      * so that "SHA1" or "SHA-1" will be acceptable.
+     * The hyphen of SHA-3 names such as "SHA3-256" is kept.
      * @example
      * // for SHA1
      * md.setAlgAndProvider('sha1', 'cryptojs');
@@ -485,11 +814,49 @@ KJUR.crypto.MessageDigest = function(params) {
 
 	if (alg !== null && prov === undefined) prov = KJUR.crypto.Util.DEFAULTPROVIDER[alg];
 
+	// nodecrypto falls back to cryptojs when Node.js doesn't support alg
+	var _nodeCrypto = KJUR.crypto.Util.NODECRYPTO;
+	if (prov == 'nodecrypto' &&
+	    (_nodeCrypto === null || _nodeCrypto.getHashes().indexOf(alg) == -1))
+	    prov = 'cryptojs';
+
+	// for nodecrypto (since jsrsasign 7.2.1 crypto 1.1.13)
+	if (prov == 'nodecrypto') {
+	    var nodeOpt = {};
+	    if (alg.substr(0, 5) == 'shake')
+		nodeOpt.outputLength = (this.outlen !== undefined) ? this.outlen :
+		    KJUR.crypto.MessageDigest.HASHLENGTH[alg];
+	    this.md = _nodeCrypto.createHash(alg, nodeOpt);
+	    this.updateString = function(str) {
+		this.md.update(str, "utf8");
+	    };
+	    this.updateHex = function(hex) {
+		this.md.update(hex, "hex");
+	    };
+	    this.digest = function() {
+		var hHash = this.md.digest("hex");
+		this.md = _nodeCrypto.createHash(alg, nodeOpt);
+		return hHash;
+	    };
+	    this.digestString = function(str) {
+		this.updateString(str);
+		return this.digest();
+	    };
+	    this.digestHex = function(hex) {
+		this.updateHex(hex);
+		return this.digest();
+	    };
+	}
+
 	// for cryptojs
-	if (':md5:sha1:sha224:sha256:sha384:sha512:ripemd160:'.indexOf(alg) != -1 &&
+	if ((':md5:sha1:sha224:sha256:sha384:sha512:ripemd160:' +
+	     'sha3-224:sha3-256:sha3-384:sha3-512:shake128:shake256:').indexOf(alg) != -1 &&
 	    prov == 'cryptojs') {
 	    try {
-		this.md = KJUR.crypto.Util.CRYPTOJSMESSAGEDIGESTNAME[alg].create();
+		var cfg = {};
+		if (this.outlen !== undefined && alg.substr(0, 5) == 'shake')
+		    cfg.outputLength = this.outlen * 8;
+		this.md = KJUR.crypto.Util.CRYPTOJSMESSAGEDIGESTNAME[alg].create(cfg);
 	    } catch (ex) {
 		throw "setAlgAndProvider hash alg set fail alg=" + alg + "/" + ex;
 	    }
@@ -612,6 +979,7 @@ KJUR.crypto.MessageDigest = function(params) {
     };
 
     if (params !== undefined) {
+	if (params['outlen'] !== undefined) this.outlen = params['outlen'];
 	if (params['alg'] !== undefined) {
 	    this.algName = params['alg'];
 	    if (params['prov'] === undefined)
@@ -633,14 +1001,17 @@ KJUR.crypto.MessageDigest = function(params) {
  * This static method normalizes from any hash algorithm name such as
  * "SHA-1", "SHA1", "MD5", "sha512" to lower case name without hyphens
  * such as "sha1".
+ * Since jsrsasign 7.2.1 crypto 1.1.13, SHA-3 names keep its hyphen
+ * such as "sha3-256".
  * @example
  * KJUR.crypto.MessageDigest.getCanonicalAlgName("SHA-1") &rarr "sha1"
  * KJUR.crypto.MessageDigest.getCanonicalAlgName("MD5")   &rarr "md5"
+ * KJUR.crypto.MessageDigest.getCanonicalAlgName("SHA3-256") &rarr "sha3-256"
  */
 KJUR.crypto.MessageDigest.getCanonicalAlgName = function(alg) {
     if (typeof alg === "string") {
 	alg = alg.toLowerCase();
-	alg = alg.replace(/-/, '');
+	if (alg.match(/^sha3-/) === null) alg = alg.replace(/-/, '');
     }
     return alg;
 };
@@ -675,7 +1046,13 @@ KJUR.crypto.MessageDigest.HASHLENGTH = {
     'sha256':		32,
     'sha384':		48,
     'sha512':		64,
-    'ripemd160':	20
+    'ripemd160':	20,
+    'sha3-224':		28,
+    'sha3-256':		32,
+    'sha3-384':		48,
+    'sha3-512':		64,
+    'shake128':		32,
+    'shake256':		64
 };
 
 // === Mac ===============================================================
@@ -695,7 +1072,25 @@ KJUR.crypto.MessageDigest.HASHLENGTH = {
  * <li>hmacsha256 - cryptojs</li>
  * <li>hmacsha384 - cryptojs</li>
  * <li>hmacsha512 - cryptojs</li>
+ * <li>hmacsha3-224, hmacsha3-256, hmacsha3-384, hmacsha3-512 - cryptojs (NEW from crypto 1.1.13, requires sha3-1.0.js)</li>
+ * <li>HMAC with hash algorithms supported by Node.js - nodecrypto (NEW from crypto 1.1.13)</li>
+ * <li>aescmac - AES-CMAC by RFC 4493 and NIST SP 800-38B - cryptojs (NEW from crypto 1.1.13)</li>
+ * <li>aesgmac - AES-GMAC by NIST SP 800-38D - cryptojs (NEW from crypto 1.1.13)</li>
  * </ul>
+ * Under Node.js, "nodecrypto" provider is used by default.
+ * See {@link KJUR.crypto.Util} for detail.
+ * <br/>
+ * For "AESCMAC" and "AESGMAC", AES key of 16, 24 or 32 bytes shall be
+ * specified by "pass" and following parameters can also be specified:
+ * <ul>
+ * <li>iv - hexadecimal string of initialization vector for "AESGMAC".
+ * 12 bytes is recommended. The same IV must not be used twice with the same key.</li>
+ * <li>tagLen - bit length of MAC (OPTION, default 128).
+ * Truncated MAC by NIST SP 800-38B can be calculated by multiple of 8 from
+ * 32 to 128 for "AESCMAC". 128, 120, 112, 104, 96, 64 or 32 can be
+ * specified for "AESGMAC".</li>
+ * </ul>
+ * <br/>
  * NOTE: HmacSHA224 and HmacSHA384 issue was fixed since jsrsasign 4.1.4.
  * Please use 'ext/cryptojs-312-core-fix*.js' instead of 'core.js' of original CryptoJS
  * to avoid those issue.
@@ -716,6 +1111,13 @@ KJUR.crypto.MessageDigest.HASHLENGTH = {
  * var mac = new KJUR.crypto.Mac({alg: "HmacSHA256", "pass": {"rstr": "\x61\x61"}});
  * var mac = new KJUR.crypto.Mac({alg: "HmacSHA256", "pass": {"b64":  "Mi02/+...a=="}});
  * var mac = new KJUR.crypto.Mac({alg: "HmacSHA256", "pass": {"b64u": "Mi02_-...a"}});
+ *
+ * // AES-CMAC, 64 bit truncated AES-CMAC and AES-GMAC
+ * var mac = new KJUR.crypto.Mac({alg: "AESCMAC", "pass": {"hex": "2b7e...3c"}});
+ * mac.updateHex("6bc1...2a");
+ * mac.doFinal() &rarr; "070a16b46b4d4144f79bdd9dd04a287c"
+ * var mac = new KJUR.crypto.Mac({alg: "AESCMAC", "pass": {"hex": "2b7e...3c"}, tagLen: 64});
+ * var mac = new KJUR.crypto.Mac({alg: "AESGMAC", "pass": {"hex": "2b7e...3c"}, iv: "cafe...88"});
  */
 KJUR.crypto.Mac = function(params) {
     var mac = null;
@@ -730,6 +1132,34 @@ KJUR.crypto.Mac = function(params) {
 	if (alg == null) alg = "hmacsha1";
 
 	alg = alg.toLowerCase();
+
+	// for AES-CMAC and AES-GMAC (since jsrsasign 7.2.1 crypto 1.1.13)
+	if (alg == "aescmac" || alg == "aesgmac") {
+	    this.algProv = alg + "/cryptojs";
+	    this.hInput = "";
+	    this.updateString = function(str) {
+		this.hInput += utf8tohex(str);
+	    };
+	    this.updateHex = function(hex) {
+		this.hInput += hex.toLowerCase();
+	    };
+	    this.doFinal = function() {
+		var hKey = (this.pass == null) ? "" : CryptoJS.enc.Hex.stringify(this.pass);
+		var hInput = this.hInput;
+		this.hInput = "";
+		return KJUR.crypto.Mac._aesMac(alg, hKey, hInput, this.iv, this.tagLen);
+	    };
+	    this.doFinalString = function(str) {
+		this.updateString(str);
+		return this.doFinal();
+	    };
+	    this.doFinalHex = function(hex) {
+		this.updateHex(hex);
+		return this.doFinal();
+	    };
+	    return;
+	}
+
         if (alg.substr(0, 4) != "hmac") {
 	    throw "setAlgAndProvider unsupported HMAC alg: " + alg;
 	}
@@ -739,8 +1169,40 @@ KJUR.crypto.Mac = function(params) {
 
 	var hashAlg = alg.substr(4);
 
+	// nodecrypto falls back to cryptojs when Node.js doesn't support hashAlg
+	var _nodeCrypto = KJUR.crypto.Util.NODECRYPTO;
+	if (prov == 'nodecrypto' &&
+	    (_nodeCrypto === null || _nodeCrypto.getHashes().indexOf(hashAlg) == -1))
+	    prov = 'cryptojs';
+
+	// for nodecrypto (since jsrsasign 7.2.1 crypto 1.1.13)
+	if (prov == 'nodecrypto') {
+	    var hPass = (this.pass == null) ? "" : CryptoJS.enc.Hex.stringify(this.pass);
+	    this.mac = _nodeCrypto.createHmac(hashAlg, Buffer.from(hPass, "hex"));
+	    this.updateString = function(str) {
+		this.mac.update(str, "utf8");
+	    };
+	    this.updateHex = function(hex) {
+		this.mac.update(hex, "hex");
+	    };
+	    this.doFinal = function() {
+		var hMac = this.mac.digest("hex");
+		this.mac = _nodeCrypto.createHmac(hashAlg, Buffer.from(hPass, "hex"));
+		return hMac;
+	    };
+	    this.doFinalString = function(str) {
+		this.updateString(str);
+		return this.doFinal();
+	    };
+	    this.doFinalHex = function(hex) {
+		this.updateHex(hex);
+		return this.doFinal();
+	    };
+	}
+
 	// for cryptojs
-	if (':md5:sha1:sha224:sha256:sha384:sha512:ripemd160:'.indexOf(hashAlg) != -1 &&
+	if ((':md5:sha1:sha224:sha256:sha384:sha512:ripemd160:' +
+	     'sha3-224:sha3-256:sha3-384:sha3-512:').indexOf(hashAlg) != -1 &&
 	    prov == 'cryptojs') {
 	    try {
 		var mdObj = KJUR.crypto.Util.CRYPTOJSMESSAGEDIGESTNAME[hashAlg];
@@ -922,6 +1384,8 @@ KJUR.crypto.Mac = function(params) {
 	if (params.pass !== undefined) {
 	    this.setPassword(params.pass);
 	}
+	if (params.iv !== undefined) this.iv = params.iv;
+	if (params.tagLen !== undefined) this.tagLen = params.tagLen;
 	if (params.alg !== undefined) {
 	    this.algName = params.alg;
 	    if (params['prov'] === undefined)
@@ -931,6 +1395,28 @@ KJUR.crypto.Mac = function(params) {
     }
 };
 
+/*
+ * calculate AES-CMAC or AES-GMAC for hexadecimal string.
+ * Truncated MAC of tagLen bits is returned.
+ */
+KJUR.crypto.Mac._aesMac = function(alg, hKey, hInput, hIV, tagLen) {
+    if (hKey.length != 32 && hKey.length != 48 && hKey.length != 64)
+	throw "Mac: AES key shall be 16, 24 or 32 bytes for " + alg;
+    if (tagLen === undefined) tagLen = 128;
+
+    if (alg == "aescmac") {
+	if (tagLen % 8 != 0 || tagLen < 32 || tagLen > 128)
+	    throw "Mac: unsupported tagLen for AESCMAC: " + tagLen;
+	return KJUR.crypto.Cipher._aesCMAC(hKey, hInput).substr(0, tagLen / 4);
+    }
+
+    // GMAC is GCM tag for empty plaintext with input as AAD
+    if (hIV === undefined) throw "Mac: iv shall be specified for AESGMAC";
+    return KJUR.crypto.Cipher._cryptAES("", hKey, "AESGCM",
+					{iv: hIV, aad: hInput, tagLen: tagLen},
+					true);
+};
+
 // ====== Signature class =========================================================
 /**
  * Signature class which is very similar to java.security.Signature class
@@ -943,7 +1429,12 @@ KJUR.crypto.Mac = function(params) {
  * As for params of constructor's argument, it can be specify following attributes:
  * <ul>
  * <li>alg - signature algorithm name (ex. {MD5,SHA1,SHA224,SHA256,SHA384,SHA512,RIPEMD160}with{RSA,ECDSA,DSA})</li>
- * <li>provider - currently 'cryptojs/jsrsa' only</li>
+ * <li>provider - 'cryptojs/jsrsa' or 'nodecrypto' (since crypto 1.1.13)</li>
+ * <li>psssaltlen - salt length for RSA-PSS signature</li>
+ * <li>deterministic - true for RFC 6979 deterministic ECDSA and DSA signature,
+ * false for random secret number k (DEFAULT: true, since crypto 1.1.13)</li>
+ * <li>lowS - true to normalize ECDSA signature to low-S form in signing and
+ * to reject high-S signature in verification (DEFAULT: false, since crypto 1.1.13)</li>
  * </ul>
  * <h4>SUPPORTED ALGORITHMS AND PROVIDERS</h4>
  * This Signature class supports following signature algorithm and provider names:
@@ -955,6 +1446,7 @@ KJUR.crypto.Mac = function(params) {
  * <li>SHA384withRSA - cryptojs/jsrsa</li>
  * <li>SHA512withRSA - cryptojs/jsrsa</li>
  * <li>RIPEMD160withRSA - cryptojs/jsrsa</li>
+ * <li>SHA3-224withRSA, SHA3-256withRSA, SHA3-384withRSA, SHA3-512withRSA - cryptojs/jsrsa</li>
  * <li>MD5withECDSA - cryptojs/jsrsa</li>
  * <li>SHA1withECDSA - cryptojs/jsrsa</li>
  * <li>SHA224withECDSA - cryptojs/jsrsa</li>
@@ -962,6 +1454,7 @@ KJUR.crypto.Mac = function(params) {
  * <li>SHA384withECDSA - cryptojs/jsrsa</li>
  * <li>SHA512withECDSA - cryptojs/jsrsa</li>
  * <li>RIPEMD160withECDSA - cryptojs/jsrsa</li>
+ * <li>SHA3-224withECDSA, SHA3-256withECDSA, SHA3-384withECDSA, SHA3-512withECDSA - cryptojs/jsrsa</li>
  * <li>MD5withRSAandMGF1 - cryptojs/jsrsa</li>
  * <li>SHA1withRSAandMGF1 - cryptojs/jsrsa</li>
  * <li>SHA224withRSAandMGF1 - cryptojs/jsrsa</li>
@@ -972,14 +1465,36 @@ KJUR.crypto.Mac = function(params) {
  * <li>SHA1withDSA - cryptojs/jsrsa</li>
  * <li>SHA224withDSA - cryptojs/jsrsa</li>
  * <li>SHA256withDSA - cryptojs/jsrsa</li>
+ * <li>Ed25519 - cryptojs/jsrsa</li>
  * </ul>
  * Here are supported elliptic cryptographic curve names and their aliases for ECDSA:
  * <ul>
  * <li>secp256k1</li>
  * <li>secp256r1, NIST P-256, P-256, prime256v1</li>
  * <li>secp384r1, NIST P-384, P-384</li>
+ * <li>secp521r1, NIST P-521, P-521</li>
  * </ul>
  * NOTE1: DSA signing algorithm is also supported since crypto 1.1.5.
+ * <br/>
+ * NOTE2: Ed25519 (RFC 8032 PureEdDSA) is supported since jsrsasign 7.2.1.
+ * It requires {@link KJUR.crypto.Ed25519} class and
+ * whole message will be signed by {@link KJUR.crypto.Ed25519} key object
+ * without pre-hashing.
+ * <br/>
+ * NOTE3: SHA-3 signature algorithms such as "SHA3-256withRSA" and
+ * "SHA3-256withECDSA" are supported since jsrsasign 7.2.1 crypto 1.1.13.
+ * They require sha3-1.0.js.
+ * <br/>
+ * NOTE4: Since jsrsasign 7.2.1 crypto 1.1.13, "nodecrypto" provider is
+ * used by default for RSA and RSA-PSS signature algorithms under Node.js.
+ * It does RSA private key operation by Node.js crypto module and
+ * signature values are the same as 'cryptojs/jsrsa' provider.
+ * <br/>
+ * NOTE5: Since jsrsasign 7.2.1 crypto 1.1.13, ECDSA and DSA signatures are
+ * deterministic as described in
+ * <a href="https://tools.ietf.org/html/rfc6979">RFC 6979</a> by default
+ * so that signing doesn't depend on quality of random number generator.
+ * Random secret number k is used when "deterministic" parameter is false.
  * <h4>EXAMPLES</h4>
  * @example
  * // RSA signature generation
@@ -1005,6 +1520,12 @@ KJUR.crypto.Mac = function(params) {
  * sig.init(certPEM);
  * sig.updateString('aaa');
  * var isValid = sig.verify(sigValueHex);
+ *
+ * // Ed25519 signing
+ * var sig = new KJUR.crypto.Signature({'alg':'Ed25519'});
+ * sig.init(prvKeyPEM); // RFC 8410 PKCS#8 private key
+ * sig.updateString('aaa');
+ * var sigValueHex = sig.sign(); // 64 bytes signature value
  */
 KJUR.crypto.Signature = function(params) {
     var prvKey = null; // RSAKey/KJUR.crypto.{ECDSA,DSA} object for signing
@@ -1056,10 +1577,23 @@ KJUR.crypto.Signature = function(params) {
      */
     this.setAlgAndProvider = function(alg, prov) {
 	this._setAlgNames();
-	if (prov != 'cryptojs/jsrsa')
+	if (prov != 'cryptojs/jsrsa' && prov != 'nodecrypto')
 	    throw "provider not supported: " + prov;
-
-	if (':md5:sha1:sha224:sha256:sha384:sha512:ripemd160:'.indexOf(this.mdAlgName) != -1) {
+	// RSA private key operation by Node.js for nodecrypto provider
+	var _getRSAKey = function(rsaKey) {
+	    if (prov == 'nodecrypto')
+		return KJUR.crypto.Util._getNodeRSAKey(rsaKey);
+	    return rsaKey;
+	};
+	// RSASSA-PSS key (RFC 4055) can only be used for RSA-PSS signature
+	var _checkPSSKey = function(keyObj, sig) {
+	    if (keyObj instanceof RSAKey && keyObj.pssParam !== undefined &&
+		sig.pubkeyAlgName != "rsaandmgf1")
+		throw "RSASSA-PSS key can't be used for " + sig.algName;
+	};
+
+	if ((':md5:sha1:sha224:sha256:sha384:sha512:ripemd160:' +
+	     'sha3-224:sha3-256:sha3-384:sha3-512:').indexOf(this.mdAlgName) != -1) {
 	    try {
 		this.md = new KJUR.crypto.MessageDigest({'alg':this.mdAlgName});
 	    } catch (ex) {
@@ -1078,6 +1612,7 @@ KJUR.crypto.Signature = function(params) {
 		} catch (ex) {
 		    throw "init failed:" + ex;
 		}
+		_checkPSSKey(keyObj, this);
 
 		if (keyObj.isPrivate === true) {
 		    this.prvKey = keyObj;
@@ -1096,6 +1631,7 @@ KJUR.crypto.Signature = function(params) {
 		    this.ecprvhex = params['ecprvhex'];
 		    this.eccurvename = params['eccurvename'];
 		} else {
+		    _checkPSSKey(params, this);
 		    this.prvKey = params;
 		}
 		this.state = "SIGN";
@@ -1109,6 +1645,7 @@ KJUR.crypto.Signature = function(params) {
 		} else if (params instanceof KJUR.crypto.ECDSA) {
 		    this.pubKey = params;
 		} else if (params instanceof RSAKey) {
+		    _checkPSSKey(params, this);
 		    this.pubKey = params;
 		}
 		this.state = "VERIFY";
@@ -1131,23 +1668,27 @@ KJUR.crypto.Signature = function(params) {
 
 	    this.sign = function() {
 		this.sHashHex = this.md.digest();
+		// RFC 6979 parameters for ECDSA and DSA
+		var signParams = {deterministic: this.deterministic,
+				  alg: this.mdAlgName,
+				  lowS: this.lowS};
 		if (typeof this.ecprvhex != "undefined" &&
 		    typeof this.eccurvename != "undefined") {
 		    var ec = new KJUR.crypto.ECDSA({'curve': this.eccurvename});
-		    this.hSign = ec.signHex(this.sHashHex, this.ecprvhex);
+		    this.hSign = ec.signHex(this.sHashHex, this.ecprvhex, signParams);
 		} else if (this.prvKey instanceof RSAKey &&
 		           this.pubkeyAlgName == "rsaandmgf1") {
-		    this.hSign = this.prvKey.signWithMessageHashPSS(this.sHashHex,
-								    this.mdAlgName,
-								    this.pssSaltLen);
+		    this.hSign = _getRSAKey(this.prvKey).signWithMessageHashPSS(this.sHashHex,
+										this.mdAlgName,
+										this.pssSaltLen);
 		} else if (this.prvKey instanceof RSAKey &&
 			   this.pubkeyAlgName == "rsa") {
-		    this.hSign = this.prvKey.signWithMessageHash(this.sHashHex,
-								 this.mdAlgName);
+		    this.hSign = _getRSAKey(this.prvKey).signWithMessageHash(this.sHashHex,
+									     this.mdAlgName);
 		} else if (this.prvKey instanceof KJUR.crypto.ECDSA) {
-		    this.hSign = this.prvKey.signWithMessageHash(this.sHashHex);
+		    this.hSign = this.prvKey.signWithMessageHash(this.sHashHex, signParams);
 		} else if (this.prvKey instanceof KJUR.crypto.DSA) {
-		    this.hSign = this.prvKey.signWithMessageHash(this.sHashHex);
+		    this.hSign = this.prvKey.signWithMessageHash(this.sHashHex, signParams);
 		} else {
 		    throw "Signature: unsupported public key alg: " + this.pubkeyAlgName;
 		}
@@ -1166,7 +1707,8 @@ KJUR.crypto.Signature = function(params) {
 		if (typeof this.ecpubhex != "undefined" &&
 		    typeof this.eccurvename != "undefined") {
 		    var ec = new KJUR.crypto.ECDSA({curve: this.eccurvename});
-		    return ec.verifyHex(this.sHashHex, hSigVal, this.ecpubhex);
+		    return ec.verifyHex(this.sHashHex, hSigVal, this.ecpubhex,
+					{lowS: this.lowS});
 		} else if (this.pubKey instanceof RSAKey &&
 			   this.pubkeyAlgName == "rsaandmgf1") {
 		    return this.pubKey.verifyWithMessageHashPSS(this.sHashHex, hSigVal, 
@@ -1176,7 +1718,8 @@ KJUR.crypto.Signature = function(params) {
 			   this.pubkeyAlgName == "rsa") {
 		    return this.pubKey.verifyWithMessageHash(this.sHashHex, hSigVal);
 		} else if (this.pubKey instanceof KJUR.crypto.ECDSA) {
-		    return this.pubKey.verifyWithMessageHash(this.sHashHex, hSigVal);
+		    return this.pubKey.verifyWithMessageHash(this.sHashHex, hSigVal,
+							     {lowS: this.lowS});
 		} else if (this.pubKey instanceof KJUR.crypto.DSA) {
 		    return this.pubKey.verifyWithMessageHash(this.sHashHex, hSigVal);
 		} else {
@@ -1184,6 +1727,64 @@ KJUR.crypto.Signature = function(params) {
 		}
 	    };
 	}
+
+	// Ed25519 signs whole message without message digest
+	// since jsrsasign 7.2.1
+	if (this.algName == "Ed25519") {
+	    this.hMsg = "";
+
+	    this.init = function(keyparam, pass) {
+		var keyObj = null;
+		try {
+		    if (pass === undefined) {
+			keyObj = KEYUTIL.getKey(keyparam);
+		    } else {
+			keyObj = KEYUTIL.getKey(keyparam, pass);
+		    }
+		} catch (ex) {
+		    throw "init failed:" + ex;
+		}
+
+		if (! (keyObj instanceof KJUR.crypto.Ed25519))
+		    throw "init failed: not Ed25519 key";
+		if (keyObj.isPrivate === true) {
+		    this.prvKey = keyObj;
+		    this.state = "SIGN";
+		} else if (keyObj.isPublic === true) {
+		    this.pubKey = keyObj;
+		    this.state = "VERIFY";
+		} else {
+		    throw "init failed.:" + keyObj;
+		}
+	    };
+
+	    this.updateString = function(str) {
+		this.hMsg += utf8tohex(str);
+	    };
+
+	    this.updateHex = function(hex) {
+		this.hMsg += hex;
+	    };
+
+	    this.sign = function() {
+		this.hSign = this.prvKey.signHex(this.hMsg);
+		this.hMsg = "";
+		return this.hSign;
+	    };
+	    this.signString = function(str) {
+		this.updateString(str);
+		return this.sign();
+	    };
+	    this.signHex = function(hex) {
+		this.updateHex(hex);
+		return this.sign();
+	    };
+	    this.verify = function(hSigVal) {
+		var result = this.pubKey.verifyHex(this.hMsg, hSigVal);
+		this.hMsg = "";
+		return result;
+	    };
+	}
     };
 
     /**
@@ -1393,6 +1994,8 @@ KJUR.crypto.Signature = function(params) {
 	}
 
 	if (params['psssaltlen'] !== undefined) this.pssSaltLen = params['psssaltlen'];
+	if (params['deterministic'] !== undefined) this.deterministic = params['deterministic'];
+	if (params['lowS'] !== undefined) this.lowS = params['lowS'];
 
 	if (params['prvkeypem'] !== undefined) {
 	    if (params['prvkeypas'] !== undefined) {
@@ -1426,10 +2029,34 @@ KJUR.crypto.Signature = function(params) {
  * <li>RSAOAEP256 - RSA/ECB/OAEPWithSHA-256AndMGF1Padding</li>
  * <li>RSAOAEP384 - RSA/ECB/OAEPWithSHA-384AndMGF1Padding(*)</li>
  * <li>RSAOAEP512 - RSA/ECB/OAEPWithSHA-512AndMGF1Padding(*)</li>
+ * <li>AESCBC - AES/CBC/PKCS5Padding (since jsrsasign 7.2.1 crypto 1.1.13)</li>
+ * <li>AESCTR - AES/CTR/NoPadding (since jsrsasign 7.2.1 crypto 1.1.13)</li>
+ * <li>AESGCM - AES/GCM/NoPadding (since jsrsasign 7.2.1 crypto 1.1.13)</li>
+ * <li>ECIESAES128 - ECIES with AES-128-CBC and HMAC-SHA256 (default for ECDSA key, since jsrsasign 7.2.1 crypto 1.1.13)</li>
+ * <li>ECIESAES256 - ECIES with AES-256-CBC and HMAC-SHA256 (since jsrsasign 7.2.1 crypto 1.1.13)</li>
  * </ul>
  * NOTE: (*) is not supported in Java JCE.<br/>
- * Currently this class supports only RSA encryption and decryption. 
- * However it is planning to implement also symmetric ciphers near in the future.
+ * For AES ciphers, a key shall be a hexadecimal string of
+ * 16, 24 or 32 bytes for AES-128, AES-192 or AES-256 respectively and
+ * an algorithm name shall be specified explicitly.
+ * <br/>
+ * ECIES ciphers are based on
+ * <a href="http://www.secg.org/sec1-v2.pdf">SEC 1</a> 5.1 with
+ * following options:
+ * <ul>
+ * <li>ephemeral EC key pair on the same curve as recipient's public key</li>
+ * <li>ECDH shared secret by {@link KJUR.crypto.ECDSA#computeSharedSecretHex}</li>
+ * <li>ANSI-X9.63-KDF with SHA-256 and empty SharedInfo to derive
+ * encryption key and 32 bytes MAC key</li>
+ * <li>AES-CBC with PKCS#7 padding and zero IV</li>
+ * <li>HMAC-SHA256 of ciphertext with 32 bytes tag</li>
+ * </ul>
+ * Its output is a concatenation of uncompressed ephemeral public key,
+ * ciphertext and tag.
+ * <br/>
+ * Under Node.js, RSA private key operation and AES ciphers are done by
+ * Node.js crypto module since "nodecrypto" is the default provider of them.
+ * See {@link KJUR.crypto.Util} for detail.
  * @example
  */
 KJUR.crypto.Cipher = function(params) {
@@ -1441,18 +2068,46 @@ KJUR.crypto.Cipher = function(params) {
  * @memberOf KJUR.crypto.Cipher
  * @function
  * @param {String} s input string to encrypt
- * @param {Object} keyObj RSAKey object or hexadecimal string of symmetric cipher key
+ * @param {Object} keyObj RSAKey object, ECDSA object or hexadecimal string of symmetric cipher key
  * @param {String} algName short/long algorithm name for encryption/decryption 
+ * @param {Array} param associative array of parameters for AES (OPTION)
  * @return {String} hexadecimal encrypted string
  * @since jsrsasign 6.2.0 crypto 1.1.10
  * @description
  * This static method encrypts raw string with specified key and algorithm.
+ * <br/>
+ * For AES ciphers (since jsrsasign 7.2.1 crypto 1.1.13),
+ * following members of "param" are available:
+ * <ul>
+ * <li>iv - hexadecimal string of initialization vector.
+ * It shall be 16 bytes for "AESCBC", initial counter block of 16 bytes for
+ * "AESCTR" and 12 bytes is recommended for "AESGCM".</li>
+ * <li>aad - hexadecimal string of additional authenticated data for "AESGCM" (OPTION)</li>
+ * <li>tagLen - bit length of authentication tag for "AESGCM" (OPTION, default 128)</li>
+ * </ul>
+ * For "AESGCM", authentication tag is appended to the ciphertext.
+ * The counter block of "AESCTR" is incremented as 128 bit integer.
+ * <br/>
+ * RSASSA-PSS key (i.e. RSAKey with 'pssParam' property) can't be used
+ * for encryption and decryption.
  * @example 
  * KJUR.crypto.Cipher.encrypt("aaa", pubRSAKeyObj) &rarr; "1abc2d..."
  * KJUR.crypto.Cipher.encrypt("aaa", pubRSAKeyObj, "RSAOAEP") &rarr; "23ab02..."
+ * KJUR.crypto.Cipher.encrypt("aaa", "000102...0f", "AESCBC", {iv: "a1b2..."}) &rarr; "6a92..."
+ * KJUR.crypto.Cipher.encrypt("aaa", "000102...0f", "AESGCM", {iv: "cafe...", aad: "feed..."}) &rarr; "42831e...(ciphertext and tag)"
+ * KJUR.crypto.Cipher.encrypt("aaa", pubECDSAKeyObj) &rarr; "04a1b2...(ephemeral key, ciphertext and tag)"
  */
-KJUR.crypto.Cipher.encrypt = function(s, keyObj, algName) {
-    if (keyObj instanceof RSAKey && keyObj.isPublic) {
+KJUR.crypto.Cipher.encrypt = function(s, keyObj, algName, param) {
+    if (typeof keyObj == "string") {
+	var algName2 = KJUR.crypto.Cipher.getAlgByKeyAndName(keyObj, algName);
+	return KJUR.crypto.Cipher._cryptAES(rstrtohex(s), keyObj, algName2,
+					    param, true);
+    } else if (keyObj instanceof KJUR.crypto.ECDSA && keyObj.isPublic) {
+	var algName2 = KJUR.crypto.Cipher.getAlgByKeyAndName(keyObj, algName);
+	return KJUR.crypto.Cipher._encryptECIES(rstrtohex(s), keyObj, algName2);
+    } else if (keyObj instanceof RSAKey && keyObj.isPublic) {
+	if (keyObj.pssParam !== undefined)
+	    throw "Cipher.encrypt: RSASSA-PSS key can't be used for encryption";
 	var algName2 = KJUR.crypto.Cipher.getAlgByKeyAndName(keyObj, algName);
 	if (algName2 === "RSA") return keyObj.encrypt(s);
 	if (algName2 === "RSAOAEP") return keyObj.encryptOAEP(s, "sha1");
@@ -1472,19 +2127,39 @@ KJUR.crypto.Cipher.encrypt = function(s, keyObj, algName) {
  * @memberOf KJUR.crypto.Cipher
  * @function
  * @param {String} hex hexadecial string of encrypted message
- * @param {Object} keyObj RSAKey object or hexadecimal string of symmetric cipher key
+ * @param {Object} keyObj RSAKey object, ECDSA object or hexadecimal string of symmetric cipher key
  * @param {String} algName short/long algorithm name for encryption/decryption
+ * @param {Array} param associative array of parameters for AES (OPTION)
  * @return {String} hexadecimal encrypted string
  * @since jsrsasign 6.2.0 crypto 1.1.10
  * @description
  * This static method decrypts encrypted hexadecimal string with specified key and algorithm.
+ * <br/>
+ * For AES ciphers, "param" is the same as {@link KJUR.crypto.Cipher.encrypt}.
+ * An exception will be thrown when PKCS#7 padding of "AESCBC" is invalid or
+ * authentication tag of "AESGCM" doesn't match.
+ * For ECIES, an exception will be thrown when ephemeral public key is
+ * invalid or MAC doesn't match.
  * @example 
  * KJUR.crypto.Cipher.decrypt("aaa", prvRSAKeyObj) &rarr; "1abc2d..."
  * KJUR.crypto.Cipher.decrypt("aaa", prvRSAKeyObj, "RSAOAEP) &rarr; "23ab02..."
+ * KJUR.crypto.Cipher.decrypt("42831e...", "000102...0f", "AESGCM", {iv: "cafe...", aad: "feed..."}) &rarr; "aaa"
+ * KJUR.crypto.Cipher.decrypt("04a1b2...", prvECDSAKeyObj) &rarr; "aaa"
  */
-KJUR.crypto.Cipher.decrypt = function(hex, keyObj, algName) {
-    if (keyObj instanceof RSAKey && keyObj.isPrivate) {
+KJUR.crypto.Cipher.decrypt = function(hex, keyObj, algName, param) {
+    if (typeof keyObj == "string") {
+	var algName2 = KJUR.crypto.Cipher.getAlgByKeyAndName(keyObj, algName);
+	return hextorstr(KJUR.crypto.Cipher._cryptAES(hex, keyObj, algName2,
+						      param, false));
+    } else if (keyObj instanceof KJUR.crypto.ECDSA && keyObj.isPrivate) {
 	var algName2 = KJUR.crypto.Cipher.getAlgByKeyAndName(keyObj, algName);
+	return hextorstr(KJUR.crypto.Cipher._decryptECIES(hex, keyObj, algName2));
+    } else if (keyObj instanceof RSAKey && keyObj.isPrivate) {
+	if (keyObj.pssParam !== undefined)
+	    throw "Cipher.decrypt: RSASSA-PSS key can't be used for decryption";
+	var algName2 = KJUR.crypto.Cipher.getAlgByKeyAndName(keyObj, algName);
+	if (KJUR.crypto.Util.DEFAULTPROVIDER[algName2] == 'nodecrypto')
+	    keyObj = KJUR.crypto.Util._getNodeRSAKey(keyObj);
 	if (algName2 === "RSA") return keyObj.decrypt(hex);
 	if (algName2 === "RSAOAEP") return keyObj.decryptOAEP(hex, "sha1");
 
@@ -1502,7 +2177,7 @@ KJUR.crypto.Cipher.decrypt = function(hex, keyObj, algName) {
  * @name getAlgByKeyAndName
  * @memberOf KJUR.crypto.Cipher
  * @function
- * @param {Object} keyObj RSAKey object or hexadecimal string of symmetric cipher key
+ * @param {Object} keyObj RSAKey object, ECDSA object or hexadecimal string of symmetric cipher key
  * @param {String} algName short/long algorithm name for encryption/decryption
  * @return {String} canonicalized algorithm name for encryption/decryption
  * @since jsrsasign 6.2.0 crypto 1.1.10
@@ -1515,13 +2190,36 @@ KJUR.crypto.Cipher.decrypt = function(hex, keyObj, algName) {
  * <li>RSAOAEP256 - RSA/ECB/OAEPWithSHA-256AndMGF1Padding</li>
  * <li>RSAOAEP384 - RSA/ECB/OAEPWithSHA-384AndMGF1Padding(*)</li>
  * <li>RSAOAEP512 - RSA/ECB/OAEPWithSHA-512AndMGF1Padding(*)</li>
+ * <li>AESCBC - AES/CBC/PKCS5Padding</li>
+ * <li>AESCTR - AES/CTR/NoPadding</li>
+ * <li>AESGCM - AES/GCM/NoPadding</li>
+ * <li>ECIESAES128 - ECIES with AES-128-CBC and HMAC-SHA256 (default for ECDSA key)</li>
+ * <li>ECIESAES256 - ECIES with AES-256-CBC and HMAC-SHA256</li>
  * </ul>
- * NOTE: (*) is not supported in Java JCE.
+ * NOTE: (*) is not supported in Java JCE.<br/>
+ * For a hexadecimal string of AES key, there is no default algorithm name and
+ * its length shall be 16, 24 or 32 bytes.
  * @example 
  * KJUR.crypto.Cipher.getAlgByKeyAndName(objRSAKey) &rarr; "RSA"
  * KJUR.crypto.Cipher.getAlgByKeyAndName(objRSAKey, "RSAOAEP") &rarr; "RSAOAEP"
+ * KJUR.crypto.Cipher.getAlgByKeyAndName("000102...0f", "AESGCM") &rarr; "AESGCM"
+ * KJUR.crypto.Cipher.getAlgByKeyAndName(objECDSAKey) &rarr; "ECIESAES128"
  */
 KJUR.crypto.Cipher.getAlgByKeyAndName = function(keyObj, algName) {
+    if (typeof keyObj == "string") {
+	if (! keyObj.match(/^[0-9A-Fa-f]*$/) ||
+	    ":32:48:64:".indexOf(":" + keyObj.length + ":") == -1)
+	    throw "getAlgByKeyAndName: symmetric key shall be hexadecimal string of 16, 24 or 32 bytes";
+	if (algName === "AESCBC" || algName === "AESCTR" || algName === "AESGCM")
+	    return algName;
+	throw "getAlgByKeyAndName: not supported algorithm name for AES key: " + algName;
+    }
+    if (keyObj instanceof KJUR.crypto.ECDSA) {
+	if (algName === "ECIESAES128" || algName === "ECIESAES256")
+	    return algName;
+	if (algName === null || algName === undefined) return "ECIESAES128";
+	throw "getAlgByKeyAndName: not supported algorithm name for ECDSA: " + algName;
+    }
     if (keyObj instanceof RSAKey) {
 	if (":RSA:RSAOAEP:RSAOAEP224:RSAOAEP256:RSAOAEP384:RSAOAEP512:".indexOf(algName) != -1)
 	    return algName;
@@ -1531,6 +2229,638 @@ KJUR.crypto.Cipher.getAlgByKeyAndName = function(keyObj, algName) {
     throw "getAlgByKeyAndName: not supported algorithm name: " + algName;
 }
 
+/*
+ * encrypt or decrypt hexadecimal string by AESCBC, AESCTR or AESGCM
+ */
+KJUR.crypto.Cipher._cryptAES = function(hInput, hKey, algName, param, isEncrypt) {
+    var _Cipher = KJUR.crypto.Cipher,
+	_CryptoJS = CryptoJS,
+	_Hex = _CryptoJS.enc.Hex;
+    var sFunc = (isEncrypt) ? "Cipher.encrypt: " : "Cipher.decrypt: ";
+    var isNode = (KJUR.crypto.Util.DEFAULTPROVIDER[algName] == 'nodecrypto' &&
+		  KJUR.crypto.Util.NODECRYPTO !== null);
+
+    if (param === undefined || typeof param.iv != "string" ||
+	! param.iv.match(/^([0-9A-Fa-f]{2})+$/))
+	throw sFunc + "iv shall be specified for " + algName;
+    var hIV = param.iv.toLowerCase();
+
+    // 1. AES-CBC with PKCS#7 padding
+    if (algName === "AESCBC") {
+	if (hIV.length != 32)
+	    throw sFunc + "iv shall be 16 bytes for AESCBC";
+	if (isEncrypt && isNode)
+	    return _Cipher._cryptAESNode(hInput, hKey, algName, hIV, true);
+	if (isEncrypt) {
+	    var encrypted = _CryptoJS.AES.encrypt(_Hex.parse(hInput),
+						  _Hex.parse(hKey),
+						  { iv: _Hex.parse(hIV) });
+	    return _Hex.stringify(encrypted.ciphertext);
+	}
+
+	var ctLen = hInput.length / 2;
+	if (ctLen == 0 || ctLen % 16 != 0)
+	    throw sFunc + "ciphertext length shall be multiple of 16 bytes";
+	if (isNode)
+	    return _Cipher._cryptAESNode(hInput, hKey, algName, hIV, false);
+	var decrypted = _CryptoJS.AES.decrypt({ ciphertext: _Hex.parse(hInput) },
+					      _Hex.parse(hKey),
+					      { iv: _Hex.parse(hIV) });
+	// CryptoJS only truncates padding, so verify all padding octets here
+	var padLen = ctLen - decrypted.sigBytes;
+	if (padLen < 1 || padLen > 16)
+	    throw sFunc + "invalid padding";
+	for (var i = decrypted.sigBytes; i < ctLen; i++) {
+	    var b = (decrypted.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+	    if (b !== padLen) throw sFunc + "invalid padding";
+	}
+	return _Hex.stringify(decrypted);
+    }
+
+    // 2. AES-CTR with 128 bit counter
+    if (algName === "AESCTR") {
+	if (hIV.length != 32)
+	    throw sFunc + "iv shall be 16 bytes for AESCTR";
+	if (isNode)
+	    return _Cipher._cryptAESNode(hInput, hKey, algName, hIV, isEncrypt);
+	return _Cipher._aesCTR(hKey, hIV, hInput, false);
+    }
+
+    // 3. AES-GCM
+    if (algName === "AESGCM") {
+	var tagLen = (param.tagLen === undefined) ? 128 : param.tagLen;
+	if (":128:120:112:104:96:64:32:".indexOf(":" + tagLen + ":") == -1)
+	    throw sFunc + "unsupported tagLen for AESGCM: " + tagLen;
+	var hAAD = (param.aad === undefined) ? "" : param.aad.toLowerCase();
+
+	if (isEncrypt && isNode)
+	    return _Cipher._cryptAESNode(hInput, hKey, algName, hIV, true,
+					 {aad: hAAD, tagLen: tagLen});
+	if (isEncrypt) {
+	    var r = _Cipher._aesGCM(hKey, hIV, hInput, hAAD, true);
+	    return r.output + r.tag.substr(0, tagLen / 4);
+	}
+
+	if (hInput.length < tagLen / 4)
+	    throw sFunc + "ciphertext is shorter than tag";
+	var hCT = hInput.substr(0, hInput.length - tagLen / 4);
+	var hTag = hInput.substr(hInput.length - tagLen / 4).toLowerCase();
+	if (isNode)
+	    return _Cipher._cryptAESNode(hCT, hKey, algName, hIV, false,
+					 {aad: hAAD, tagLen: tagLen, tag: hTag});
+	var r = _Cipher._aesGCM(hKey, hIV, hCT, hAAD, false);
+	if (! KJUR.crypto.Util._equalsHex(r.tag.substr(0, tagLen / 4), hTag))
+	    throw sFunc + "authentication tag mismatch";
+	return r.output;
+    }
+
+    throw sFunc + "unsupported algorithm: " + algName;
+};
+
+/*
+ * encrypt or decrypt hexadecimal string by AESCBC, AESCTR or AESGCM
+ * with Node.js crypto module. Parameters shall be checked by _cryptAES.
+ * For AESGCM, "gcm" has aad, tagLen and tag for decryption and
+ * tag is appended to the ciphertext for encryption.
+ */
+KJUR.crypto.Cipher._cryptAESNode = function(hInput, hKey, algName, hIV,
+					    isEncrypt, gcm) {
+    var _nodeCrypto = KJUR.crypto.Util.NODECRYPTO;
+    var sFunc = (isEncrypt) ? "Cipher.encrypt: " : "Cipher.decrypt: ";
+    var nodeAlg = "aes-" + (hKey.length * 4) + "-" +
+	algName.substr(3).toLowerCase();
+    var opt = (gcm === undefined) ? undefined : {authTagLength: gcm.tagLen / 8};
+    var bKey = Buffer.from(hKey, "hex");
+    var bIV = Buffer.from(hIV, "hex");
+
+    var cipher = (isEncrypt) ?
+	_nodeCrypto.createCipheriv(nodeAlg, bKey, bIV, opt) :
+	_nodeCrypto.createDecipheriv(nodeAlg, bKey, bIV, opt);
+    if (gcm !== undefined) {
+	if (gcm.aad !== "") cipher.setAAD(Buffer.from(gcm.aad, "hex"));
+	if (! isEncrypt) cipher.setAuthTag(Buffer.from(gcm.tag, "hex"));
+    }
+
+    var hOutput;
+    try {
+	hOutput = cipher.update(hInput, "hex", "hex") + cipher.final("hex");
+    } catch (ex) {
+	if (gcm !== undefined) throw sFunc + "authentication tag mismatch";
+	throw sFunc + "invalid padding";
+    }
+    if (isEncrypt && gcm !== undefined)
+	hOutput += cipher.getAuthTag().toString("hex");
+    return hOutput;
+};
+
+/*
+ * ECIES encryption with ephemeral key, X9.63 KDF, AES-CBC and HMAC-SHA256.
+ * This returns hexadecimal string of ephemeral public key || ciphertext || tag.
+ */
+KJUR.crypto.Cipher._encryptECIES = function(hPlain, pubKey, algName) {
+    var _KJUR_crypto = KJUR.crypto,
+	_Cipher = _KJUR_crypto.Cipher;
+    var keyLen = (algName === "ECIESAES256") ? 32 : 16;
+
+    // 1. ephemeral key pair and shared secret
+    var ecEph = new _KJUR_crypto.ECDSA({curve: pubKey.ecparams.name});
+    var hEphPub = ecEph.generateKeyPairHex().ecpubhex;
+    var hZ = ecEph.computeSharedSecretHex(pubKey);
+
+    // 2. derive encryption key and MAC key
+    var hK = _KJUR_crypto.KDF.x963KDF("sha256", hZ, "", keyLen + 32);
+    var hEncKey = hK.substr(0, keyLen * 2);
+    var hMacKey = hK.substr(keyLen * 2);
+
+    // 3. encrypt and MAC
+    var hCT = _Cipher._cryptAES(hPlain, hEncKey, "AESCBC",
+				{iv: "00000000000000000000000000000000"}, true);
+    var mac = new _KJUR_crypto.Mac({alg: "HmacSHA256", pass: {hex: hMacKey}});
+    mac.updateHex(hCT);
+
+    return hEphPub + hCT + mac.doFinal();
+};
+
+/*
+ * ECIES decryption for hexadecimal string of
+ * ephemeral public key || ciphertext || tag.
+ */
+KJUR.crypto.Cipher._decryptECIES = function(hEnc, prvKey, algName) {
+    var _KJUR_crypto = KJUR.crypto,
+	_Cipher = _KJUR_crypto.Cipher;
+    var keyLen = (algName === "ECIESAES256") ? 32 : 16;
+    var pubLen = 2 + Math.ceil(prvKey.ecparams.keylen / 8) * 4;
+
+    if (hEnc.length < pubLen + 64 + 32)
+	throw "Cipher.decrypt: ECIES message is too short";
+    var hEphPub = hEnc.substr(0, pubLen);
+    var hCT = hEnc.substr(pubLen, hEnc.length - pubLen - 64);
+    var hTag = hEnc.substr(hEnc.length - 64).toLowerCase();
+
+    // 1. shared secret with validated ephemeral public key
+    var hZ = prvKey.computeSharedSecretHex(hEphPub);
+
+    // 2. derive encryption key and MAC key
+    var hK = _KJUR_crypto.KDF.x963KDF("sha256", hZ, "", keyLen + 32);
+    var hEncKey = hK.substr(0, keyLen * 2);
+    var hMacKey = hK.substr(keyLen * 2);
+
+    // 3. verify MAC and decrypt
+    var mac = new _KJUR_crypto.Mac({alg: "HmacSHA256", pass: {hex: hMacKey}});
+    mac.updateHex(hCT);
+    if (! _KJUR_crypto.Util._equalsHex(mac.doFinal(), hTag))
+	throw "Cipher.decrypt: ECIES MAC mismatch";
+
+    return _Cipher._cryptAES(hCT, hEncKey, "AESCBC",
+			     {iv: "00000000000000000000000000000000"}, false);
+};
+
+/*
+ * AES counter mode keystream XOR for hexadecimal string.
+ * When isInc32 is true, only right most 32 bits of counter is incremented
+ * as GCM. Otherwise whole 128 bits are incremented.
+ */
+KJUR.crypto.Cipher._aesCTR = function(hKey, hCounter, hInput, isInc32) {
+    var _Cipher = KJUR.crypto.Cipher;
+    var aes = CryptoJS.algo.AES.createEncryptor(CryptoJS.enc.Hex.parse(hKey));
+    var wCounter = _Cipher._hextowords(hCounter);
+    var hOutput = "";
+
+    for (var i = 0; i < hInput.length; i += 32) {
+	var wKS = wCounter.slice(0);
+	aes.encryptBlock(wKS, 0);
+	var hIn = hInput.substr(i, 32);
+	var hKS = _Cipher._wordstohex(wKS).substr(0, hIn.length);
+	hOutput += _Cipher._xorhex(hIn, hKS);
+
+	for (var j = 3; j >= 0; j--) {
+	    wCounter[j] = (wCounter[j] + 1) | 0;
+	    if (wCounter[j] !== 0 || isInc32) break;
+	}
+    }
+    return hOutput;
+};
+
+/*
+ * AES-GCM defined in NIST SP 800-38D.
+ * This returns associative array of hexadecimal output and full 16 bytes tag.
+ */
+KJUR.crypto.Cipher._aesGCM = function(hKey, hIV, hInput, hAAD, isEncrypt) {
+    var _Cipher = KJUR.crypto.Cipher,
+	_hextowords = _Cipher._hextowords,
+	_wordstohex = _Cipher._wordstohex;
+    var aes = CryptoJS.algo.AES.createEncryptor(CryptoJS.enc.Hex.parse(hKey));
+
+    var _pad16 = function(h) {
+	if (h.length % 32 == 0) return h;
+	return h + "00000000000000000000000000000000".substr(h.length % 32);
+    };
+    var _len64 = function(h) {
+	return ("0000000000000000" + (h.length * 4).toString(16)).slice(-16);
+    };
+
+    // 1. hash subkey H = E(K, 0^128)
+    var wH = [0, 0, 0, 0];
+    aes.encryptBlock(wH, 0);
+
+    // 2. pre-counter block J0
+    var wJ0;
+    if (hIV.length == 24) {
+	wJ0 = _hextowords(hIV + "00000001");
+    } else {
+	wJ0 = _Cipher._ghash(wH, _pad16(hIV) + "0000000000000000" + _len64(hIV));
+    }
+
+    // 3. GCTR from inc32(J0)
+    var wCB = wJ0.slice(0);
+    wCB[3] = (wCB[3] + 1) | 0;
+    var hOutput = _Cipher._aesCTR(hKey, _wordstohex(wCB), hInput, true);
+
+    // 4. tag = E(K, J0) XOR GHASH(A || C || len(A) || len(C))
+    var hCT = (isEncrypt) ? hOutput : hInput;
+    var wS = _Cipher._ghash(wH, _pad16(hAAD) + _pad16(hCT) +
+			    _len64(hAAD) + _len64(hCT));
+    var wEJ0 = wJ0.slice(0);
+    aes.encryptBlock(wEJ0, 0);
+    for (var i = 0; i < 4; i++) wS[i] ^= wEJ0[i];
+
+    return { output: hOutput, tag: _wordstohex(wS) };
+};
+
+/*
+ * AES-CMAC defined in RFC 4493 and NIST SP 800-38B.
+ * This returns hexadecimal string of full 16 bytes MAC.
+ */
+KJUR.crypto.Cipher._aesCMAC = function(hKey, hInput) {
+    var _Cipher = KJUR.crypto.Cipher,
+	_hextowords = _Cipher._hextowords;
+    var aes = CryptoJS.algo.AES.createEncryptor(CryptoJS.enc.Hex.parse(hKey));
+
+    // doubling in GF(2^128) with R = 0^120 || 10000111
+    var _dbl = function(w) {
+	var r = [];
+	for (var i = 0; i < 3; i++) r[i] = (w[i] << 1) | (w[i + 1] >>> 31);
+	r[3] = w[3] << 1;
+	if (w[0] >>> 31) r[3] ^= 0x87;
+	return r;
+    };
+
+    // 1. subkeys K1 and K2 from L = E(K, 0^128)
+    var wL = [0, 0, 0, 0];
+    aes.encryptBlock(wL, 0);
+    var wK1 = _dbl(wL);
+    var wK2 = _dbl(wK1);
+
+    // 2. last block is XORed with K1 when it is complete,
+    //    otherwise padded by 10* and XORed with K2
+    var n = Math.ceil(hInput.length / 32);
+    var hLast, wSubkey;
+    if (n > 0 && hInput.length % 32 == 0) {
+	hLast = hInput.substr((n - 1) * 32);
+	wSubkey = wK1;
+    } else {
+	if (n == 0) n = 1;
+	hLast = hInput.substr((n - 1) * 32) + "80";
+	hLast += "00000000000000000000000000000000".substr(hLast.length);
+	wSubkey = wK2;
+    }
+
+    // 3. CBC-MAC
+    var wX = [0, 0, 0, 0];
+    for (var i = 0; i < n; i++) {
+	var wM = _hextowords((i < n - 1) ? hInput.substr(i * 32, 32) : hLast);
+	for (var j = 0; j < 4; j++) {
+	    wX[j] ^= wM[j];
+	    if (i == n - 1) wX[j] ^= wSubkey[j];
+	}
+	aes.encryptBlock(wX, 0);
+    }
+    return _Cipher._wordstohex(wX);
+};
+
+/*
+ * GHASH function with hash subkey H for hexadecimal string of
+ * multiple of 16 bytes
+ */
+KJUR.crypto.Cipher._ghash = function(wH, hInput) {
+    var wY = [0, 0, 0, 0];
+    for (var i = 0; i < hInput.length; i += 32) {
+	var wX = KJUR.crypto.Cipher._hextowords(hInput.substr(i, 32));
+	for (var j = 0; j < 4; j++) wY[j] ^= wX[j];
+
+	// multiplication in GF(2^128) with R = 11100001 || 0^120
+	var wZ = [0, 0, 0, 0];
+	var wV = wH.slice(0);
+	for (var k = 0; k < 128; k++) {
+	    if ((wY[k >>> 5] >>> (31 - (k & 31))) & 1) {
+		for (j = 0; j < 4; j++) wZ[j] ^= wV[j];
+	    }
+	    var lsb = wV[3] & 1;
+	    wV[3] = (wV[3] >>> 1) | (wV[2] << 31);
+	    wV[2] = (wV[2] >>> 1) | (wV[1] << 31);
+	    wV[1] = (wV[1] >>> 1) | (wV[0] << 31);
+	    wV[0] = wV[0] >>> 1;
+	    if (lsb) wV[0] ^= 0xe1000000;
+	}
+	wY = wZ;
+    }
+    return wY;
+};
+
+/*
+ * convert hexadecimal string of 16 bytes to array of four 32 bit words
+ */
+KJUR.crypto.Cipher._hextowords = function(h) {
+    var a = [];
+    for (var i = 0; i < 4; i++) a.push(parseInt(h.substr(i * 8, 8), 16) | 0);
+    return a;
+};
+
+/*
+ * convert array of 32 bit words to hexadecimal string
+ */
+KJUR.crypto.Cipher._wordstohex = function(a) {
+    var h = "";
+    for (var i = 0; i < a.length; i++)
+	h += ("00000000" + (a[i] >>> 0).toString(16)).slice(-8);
+    return h;
+};
+
+/*
+ * XOR two hexadecimal strings of the same length
+ */
+KJUR.crypto.Cipher._xorhex = function(h1, h2) {
+    var h = "";
+    for (var i = 0; i < h1.length; i += 2) {
+	var b = parseInt(h1.substr(i, 2), 16) ^ parseInt(h2.substr(i, 2), 16);
+	h += ("0" + b.toString(16)).slice(-2);
+    }
+    return h;
+};
+
+// ====== KDF class ===============================================================
+/**
+ * static object for key derivation functions<br/>
+ * @name KJUR.crypto.KDF
+ * @class static object for key derivation functions
+ * @since jsrsasign 7.2.1 crypto 1.1.13
+ * @description
+ * This class provides following key derivation functions as static methods:
+ * <ul>
+ * <li>{@link KJUR.crypto.KDF.hkdf} - HKDF defined in RFC 5869
+ * (also {@link KJUR.crypto.KDF.hkdfExtract} and {@link KJUR.crypto.KDF.hkdfExpand})</li>
+ * <li>{@link KJUR.crypto.KDF.pbkdf2} - PBKDF2 defined in RFC 8018 (PKCS #5 v2.1)</li>
+ * <li>{@link KJUR.crypto.KDF.concatKDF} - NIST SP 800-56A single step KDF with hash (a.k.a Concat KDF)</li>
+ * <li>{@link KJUR.crypto.KDF.x963KDF} - ANSI X9.63 KDF defined in SEC 1 3.6.1</li>
+ * </ul>
+ * Octet string arguments such as secret, salt or info can be
+ * specified by a hexadecimal string or an array of bytes(Number).
+ * A derived key will be returned as a hexadecimal string.
+ * Hash algorithm names are the same as {@link KJUR.crypto.MessageDigest}
+ * (ex. "sha256") and HMAC algorithm names are the same as
+ * {@link KJUR.crypto.Mac} (ex. "HmacSHA256").
+ * @example
+ * KJUR.crypto.KDF.hkdf("sha256", "0b0b...", "0001...", "f0f1...", 42) &rarr; "3cb25f..."
+ * KJUR.crypto.KDF.pbkdf2("HmacSHA1", rstrtohex("password"), rstrtohex("salt"), 4096, 20) &rarr; "4b0079..."
+ */
+KJUR.crypto.KDF = function() {
+};
+
+/**
+ * HKDF extract step defined in RFC 5869<br/>
+ * @name hkdfExtract
+ * @memberOf KJUR.crypto.KDF
+ * @function
+ * @static
+ * @param {String} hashAlg hash algorithm name (ex. "sha256")
+ * @param {Object} salt hexadecimal string or byte array of salt (OPTION)
+ * @param {Object} ikm hexadecimal string or byte array of input keying material
+ * @return {String} hexadecimal string of pseudorandom key (PRK)
+ * @since jsrsasign 7.2.1 crypto 1.1.13
+ * @description
+ * This static method calculates PRK = HMAC-Hash(salt, IKM).
+ * When salt is not specified or empty, zeros of hash length are used.
+ * @example
+ * KJUR.crypto.KDF.hkdfExtract("sha256", "000102...0c", "0b0b...0b") &rarr; "077709..."
+ */
+KJUR.crypto.KDF.hkdfExtract = function(hashAlg, salt, ikm) {
+    var _KDF = KJUR.crypto.KDF,
+	_tohex = _KDF._tohex;
+    var hSalt = _tohex(salt);
+    if (hSalt === "") {
+	var hashLen = _KDF._hmacHex(hashAlg, "00", "").length / 2;
+	for (var i = 0; i < hashLen; i++) hSalt += "00";
+    }
+    return _KDF._hmacHex(hashAlg, hSalt, _tohex(ikm));
+};
+
+/**
+ * HKDF expand step defined in RFC 5869<br/>
+ * @name hkdfExpand
+ * @memberOf KJUR.crypto.KDF
+ * @function
+ * @static
+ * @param {String} hashAlg hash algorithm name (ex. "sha256")
+ * @param {Object} prk hexadecimal string or byte array of pseudorandom key
+ * @param {Object} info hexadecimal string or byte array of context and application specific information (OPTION)
+ * @param {Number} len byte length of output keying material
+ * @return {String} hexadecimal string of output keying material (OKM)
+ * @since jsrsasign 7.2.1 crypto 1.1.13
+ * @description
+ * This static method calculates OKM from PRK and info.
+ * The length shall be 255 times of hash length or less.
+ * @example
+ * KJUR.crypto.KDF.hkdfExpand("sha256", "077709...", "f0f1...f9", 42) &rarr; "3cb25f..."
+ */
+KJUR.crypto.KDF.hkdfExpand = function(hashAlg, prk, info, len) {
+    var _KDF = KJUR.crypto.KDF,
+	_tohex = _KDF._tohex;
+    var hPRK = _tohex(prk);
+    var hInfo = _tohex(info);
+
+    var hT = "";
+    var hOKM = "";
+    for (var i = 1; hOKM.length < len * 2; i++) {
+	if (i > 255)
+	    throw "KDF.hkdfExpand: too long length: " + len;
+	hT = _KDF._hmacHex(hashAlg, hPRK,
+			   hT + hInfo + ("0" + i.toString(16)).slice(-2));
+	hOKM += hT;
+    }
+    return hOKM.substr(0, len * 2);
+};
+
+/**
+ * HKDF defined in RFC 5869<br/>
+ * @name hkdf
+ * @memberOf KJUR.crypto.KDF
+ * @function
+ * @static
+ * @param {String} hashAlg hash algorithm name (ex. "sha256")
+ * @param {Object} ikm hexadecimal string or byte array of input keying material
+ * @param {Object} salt hexadecimal string or byte array of salt (OPTION)
+ * @param {Object} info hexadecimal string or byte array of context and application specific information (OPTION)
+ * @param {Number} len byte length of output keying material
+ * @return {String} hexadecimal string of output keying material (OKM)
+ * @since jsrsasign 7.2.1 crypto 1.1.13
+ * @description
+ * This static method calculates HKDF by
+ * {@link KJUR.crypto.KDF.hkdfExtract} and {@link KJUR.crypto.KDF.hkdfExpand}.
+ * @example
+ * KJUR.crypto.KDF.hkdf("sha256", "0b0b...0b", "000102...0c", "f0f1...f9", 42) &rarr; "3cb25f..."
+ * KJUR.crypto.KDF.hkdf("sha256", [11, 11, ...], null, null, 42) &rarr; "8da4e7..."
+ */
+KJUR.crypto.KDF.hkdf = function(hashAlg, ikm, salt, info, len) {
+    var _KDF = KJUR.crypto.KDF;
+    var hPRK = _KDF.hkdfExtract(hashAlg, salt, ikm);
+    return _KDF.hkdfExpand(hashAlg, hPRK, info, len);
+};
+
+/**
+ * PBKDF2 defined in RFC 8018 (PKCS #5 v2.1)<br/>
+ * @name pbkdf2
+ * @memberOf KJUR.crypto.KDF
+ * @function
+ * @static
+ * @param {String} macAlg HMAC algorithm name of {@link KJUR.crypto.Mac} (ex. "HmacSHA256")
+ * @param {Object} pass hexadecimal string or byte array of password
+ * @param {Object} salt hexadecimal string or byte array of salt
+ * @param {Number} iter iteration count
+ * @param {Number} len byte length of derived key
+ * @return {String} hexadecimal string of derived key
+ * @since jsrsasign 7.2.1 crypto 1.1.13
+ * @description
+ * This static method calculates PBKDF2 with any HMAC algorithm
+ * supported by {@link KJUR.crypto.Mac}.
+ * To derive a key from a UTF-8 password, please convert it by
+ * {@link utf8tohex}.
+ * @example
+ * KJUR.crypto.KDF.pbkdf2("HmacSHA1", rstrtohex("password"), rstrtohex("salt"), 1, 20) &rarr; "0c60c8..."
+ * KJUR.crypto.KDF.pbkdf2("HmacSHA256", utf8tohex("passwd"), utf8tohex("salt"), 1, 64) &rarr; "55ac04..."
+ */
+KJUR.crypto.KDF.pbkdf2 = function(macAlg, pass, salt, iter, len) {
+    var _KDF = KJUR.crypto.KDF,
+	_tohex = _KDF._tohex,
+	_xorhex = KJUR.crypto.Cipher._xorhex,
+	_Mac = KJUR.crypto.Mac;
+    var hPass = _tohex(pass);
+    var hSalt = _tohex(salt);
+    // HMAC key is padded with zeros so that empty password is the same as "00"
+    if (hPass === "") hPass = "00";
+    if (typeof iter != "number" || iter < 1)
+	throw "KDF.pbkdf2: iteration count shall be positive: " + iter;
+
+    var _mac = function(hData) {
+	var mac = new _Mac({alg: macAlg, pass: {hex: hPass}});
+	mac.updateHex(hData);
+	return mac.doFinal();
+    };
+
+    var hDK = "";
+    for (var i = 1; hDK.length < len * 2; i++) {
+	var hU = _mac(hSalt + ("00000000" + i.toString(16)).slice(-8));
+	var hT = hU;
+	for (var j = 1; j < iter; j++) {
+	    hU = _mac(hU);
+	    hT = _xorhex(hT, hU);
+	}
+	hDK += hT;
+    }
+    return hDK.substr(0, len * 2);
+};
+
+/**
+ * NIST SP 800-56A single step key derivation function with hash (Concat KDF)<br/>
+ * @name concatKDF
+ * @memberOf KJUR.crypto.KDF
+ * @function
+ * @static
+ * @param {String} hashAlg hash algorithm name (ex. "sha256")
+ * @param {Object} z hexadecimal string or byte array of shared secret Z
+ * @param {Object} otherInfo hexadecimal string or byte array of OtherInfo (OPTION)
+ * @param {Number} len byte length of derived key
+ * @return {String} hexadecimal string of derived key
+ * @since jsrsasign 7.2.1 crypto 1.1.13
+ * @description
+ * This static method calculates derived key by
+ * Hash(counter || Z || OtherInfo) where counter is 32 bit big endian
+ * integer starting from one as defined in NIST SP 800-56A 5.8.1.
+ * It is also used in JWA ECDH-ES (RFC 7518 4.6.2).
+ * @example
+ * KJUR.crypto.KDF.concatKDF("sha256", [158, 86, ...], "00000007413132...", 16) &rarr; "56aa8d..."
+ */
+KJUR.crypto.KDF.concatKDF = function(hashAlg, z, otherInfo, len) {
+    var _KDF = KJUR.crypto.KDF,
+	_tohex = _KDF._tohex,
+	_hashHex = KJUR.crypto.Util.hashHex;
+    var hZ = _tohex(z);
+    var hOtherInfo = _tohex(otherInfo);
+
+    var hDK = "";
+    for (var i = 1; hDK.length < len * 2; i++) {
+	hDK += _hashHex(("00000000" + i.toString(16)).slice(-8) + hZ + hOtherInfo,
+			hashAlg);
+    }
+    return hDK.substr(0, len * 2);
+};
+
+/**
+ * ANSI X9.63 key derivation function<br/>
+ * @name x963KDF
+ * @memberOf KJUR.crypto.KDF
+ * @function
+ * @static
+ * @param {String} hashAlg hash algorithm name (ex. "sha256")
+ * @param {Object} z hexadecimal string or byte array of shared secret Z
+ * @param {Object} sharedInfo hexadecimal string or byte array of SharedInfo (OPTION)
+ * @param {Number} len byte length of derived key
+ * @return {String} hexadecimal string of derived key
+ * @since jsrsasign 7.2.1 crypto 1.1.13
+ * @description
+ * This static method calculates derived key by
+ * Hash(Z || counter || SharedInfo) where counter is 32 bit big endian
+ * integer starting from one as defined in
+ * <a href="http://www.secg.org/sec1-v2.pdf">SEC 1</a> 3.6.1.
+ * @example
+ * KJUR.crypto.KDF.x963KDF("sha256", "96c056...", "deadbeef", 40) &rarr; "4a91ea..."
+ */
+KJUR.crypto.KDF.x963KDF = function(hashAlg, z, sharedInfo, len) {
+    var _KDF = KJUR.crypto.KDF,
+	_tohex = _KDF._tohex,
+	_hashHex = KJUR.crypto.Util.hashHex;
+    var hZ = _tohex(z);
+    var hSharedInfo = _tohex(sharedInfo);
+
+    var hDK = "";
+    for (var i = 1; hDK.length < len * 2; i++) {
+	hDK += _hashHex(hZ + ("00000000" + i.toString(16)).slice(-8) + hSharedInfo,
+			hashAlg);
+    }
+    return hDK.substr(0, len * 2);
+};
+
+/*
+ * convert hexadecimal string or byte array argument to hexadecimal string.
+ * null or undefined is empty.
+ */
+KJUR.crypto.KDF._tohex = function(o) {
+    if (o === undefined || o === null) return "";
+    if (typeof o == "object" && typeof o.length == "number") return BAtohex(o);
+    if (typeof o == "string" && o.match(/^([0-9A-Fa-f]{2})*$/))
+	return o.toLowerCase();
+    throw "KDF: argument shall be hexadecimal string or byte array";
+};
+
+/*
+ * HMAC with hash algorithm name for hexadecimal key and data
+ */
+KJUR.crypto.KDF._hmacHex = function(hashAlg, hKey, hData) {
+    var mac = new KJUR.crypto.Mac({alg: "Hmac" + hashAlg.toUpperCase(),
+				   pass: {hex: hKey}});
+    mac.updateHex(hData);
+    return mac.doFinal();
+};
+
 // ====== Other Utility class =====================================================
 
 /**
@@ -1545,6 +2875,7 @@ KJUR.crypto.Cipher.getAlgByKeyAndName = function(keyObj, algName) {
 KJUR.crypto.OID = new function() {
     this.oidhex2name = {
 	'2a864886f70d010101': 'rsaEncryption',
+	'2a864886f70d01010a': 'rsassaPss',
 	'2a8648ce3d0201': 'ecPublicKey',
 	'2a8648ce380401': 'dsa',
 	'2a8648ce3d030107': 'secp256r1',
@@ -1553,6 +2884,21 @@ KJUR.crypto.OID = new function() {
 	'2b8104000a': 'secp256k1',
 	'2b81040023': 'secp521r1',
 	'2b81040022': 'secp384r1',
+	'2b2403030208010101': 'brainpoolP160r1', // 1.3.36.3.3.2.8.1.1.1
+	'2b2403030208010102': 'brainpoolP160t1', // 1.3.36.3.3.2.8.1.1.2
+	'2b2403030208010103': 'brainpoolP192r1', // 1.3.36.3.3.2.8.1.1.3
+	'2b2403030208010104': 'brainpoolP192t1', // 1.3.36.3.3.2.8.1.1.4
+	'2b2403030208010105': 'brainpoolP224r1', // 1.3.36.3.3.2.8.1.1.5
+	'2b2403030208010106': 'brainpoolP224t1', // 1.3.36.3.3.2.8.1.1.6
+	'2b2403030208010107': 'brainpoolP256r1', // 1.3.36.3.3.2.8.1.1.7
+	'2b2403030208010108': 'brainpoolP256t1', // 1.3.36.3.3.2.8.1.1.8
+	'2b2403030208010109': 'brainpoolP320r1', // 1.3.36.3.3.2.8.1.1.9
+	'2b240303020801010a': 'brainpoolP320t1', // 1.3.36.3.3.2.8.1.1.10
+	'2b240303020801010b': 'brainpoolP384r1', // 1.3.36.3.3.2.8.1.1.11
+	'2b240303020801010c': 'brainpoolP384t1', // 1.3.36.3.3.2.8.1.1.12
+	'2b240303020801010d': 'brainpoolP512r1', // 1.3.36.3.3.2.8.1.1.13
+	'2b240303020801010e': 'brainpoolP512t1', // 1.3.36.3.3.2.8.1.1.14
+	'2b6570': 'Ed25519', // 1.3.101.112
 	'2a8648ce380403': 'SHA1withDSA', // 1.2.840.10040.4.3
 	'608648016503040301': 'SHA224withDSA', // 2.16.840.1.101.3.4.3.1
 	'608648016503040302': 'SHA256withDSA', // 2.16.840.1.101.3.4.3.2
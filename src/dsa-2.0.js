@@ -41,6 +41,11 @@ if (typeof KJUR.crypto == "undefined" || !KJUR.crypto) KJUR.crypto = {};
  * Some random number generators used in dsa-2.0.js was newly defined
  * in KJUR.crypto.Util class. Now all of LGPL codes are removed.
  * </p>
+ * <p>
+ * Since jsrsasign 7.2.1 dsa 2.1.2, FIPS 186-4 domain parameters can be
+ * generated and validated by {@link KJUR.crypto.DSA.generateParameters} and
+ * {@link KJUR.crypto.DSA.validateParameters}.
+ * </p>
  */
 KJUR.crypto.DSA = function() {
     this.p = null;
@@ -143,37 +148,101 @@ KJUR.crypto.DSA = function() {
         this.setPublic(biP, biQ, biG, biY);
     };
 
+    /**
+     * generate DSA key pair for domain parameters
+     * @name generateKeyPairHex
+     * @memberOf KJUR.crypto.DSA#
+     * @function
+     * @param {BigInteger} p prime P parameter (OPTION)
+     * @param {BigInteger} q sub prime Q parameter (OPTION)
+     * @param {BigInteger} g base G parameter (OPTION)
+     * @return {Array} associative array of hexadecimal string of private key x and public key y
+     * @since jsrsasign 7.2.1 dsa 2.1.2
+     * @description
+     * This method generates a key pair by FIPS 186-4 B.1.2
+     * "Key Pair Generation by Testing Candidates" and
+     * sets it to this object as private key.
+     * Domain parameters of this object are used when p, q and g are omitted.
+     * @example
+     * var prm = KJUR.crypto.DSA.generateParameters(2048, 256);
+     * var dsa = new KJUR.crypto.DSA();
+     * dsa.generateKeyPairHex(prm.p, prm.q, prm.g) &rarr; {x: "3a1b...", y: "8c2e..."}
+     */
+    this.generateKeyPairHex = function(p, q, g) {
+	if (p === undefined) {
+	    p = this.p;
+	    q = this.q;
+	    g = this.g;
+	}
+	if (p == null || q == null || g == null)
+	    throw "DSA: domain parameters are not set";
+
+	// x in [1, q-1] and y = g^x mod p
+	var x = KJUR.crypto.Util.getRandomBigIntegerMinToMax(BigInteger.ONE,
+							     q.subtract(BigInteger.ONE));
+	var y = g.modPow(x, p);
+	this.setPrivate(p, q, g, y, x);
+	return {'x': x.toString(16), 'y': y.toString(16)};
+    };
+
     /**
      * sign to hashed message by this DSA private key object
      * @name signWithMessageHash
      * @memberOf KJUR.crypto.DSA#
      * @function
      * @param {String} sHashHex hexadecimal string of hashed message
+     * @param {Array} params associative array of signing parameters (OPTION)
      * @return {String} hexadecimal string of ASN.1 encoded DSA signature value
      * @since jsrsasign 7.0.0 dsa 2.0.0
+     * @description
+     * Following members of "params" are available:
+     * <ul>
+     * <li>deterministic - true for RFC 6979 deterministic secret number k,
+     * false for random k. (DEFAULT: true)</li>
+     * <li>alg - hash algorithm name of message hash such as "sha256"
+     * used by HMAC of RFC 6979. It is guessed from length of
+     * message hash value when omitted.</li>
+     * </ul>
+     * NOTE: "params" argument and RFC 6979 deterministic signing are
+     * supported since jsrsasign 7.2.1 dsa 2.1.2.
+     * @example
+     * dsa.signWithMessageHash(sHashHex, {alg: "sha256"}) &rarr; "3046..." // RFC 6979
+     * dsa.signWithMessageHash(sHashHex, {deterministic: false}) &rarr; "3046..." // random k
      */
-    this.signWithMessageHash = function(sHashHex) {
+    this.signWithMessageHash = function(sHashHex, params) {
 	var p = this.p; // parameter p
 	var q = this.q; // parameter q
 	var g = this.g; // parameter g
 	var y = this.y; // public key (p q g y)
 	var x = this.x; // private key
+	if (params === undefined) params = {};
 
 	// NIST FIPS 186-4 4.5 DSA Per-Message Secret Number (p18)
-	// 1. get random k where 0 < k < q
-	var k = KJUR.crypto.Util.getRandomBigIntegerMinToMax(BigInteger.ONE.add(BigInteger.ONE),
-							     q.subtract(BigInteger.ONE));
+	// 1. get k where 0 < k < q by random or RFC 6979
+	var nextK;
+	if (params.deterministic === false) {
+	    nextK = function() {
+		return KJUR.crypto.Util.getRandomBigIntegerMinToMax(BigInteger.ONE.add(BigInteger.ONE),
+								    q.subtract(BigInteger.ONE));
+	    };
+	} else {
+	    nextK = KJUR.crypto.Util.getRFC6979KGenerator(q, x, sHashHex, params.alg);
+	}
 
 	// NIST FIPS 186-4 4.6 DSA Signature Generation (p19)
 	// 2. get z where the left most min(N, outlen) bits of Hash(M)
 	var hZ = sHashHex.substr(0, q.bitLength() / 4);
 	var z = new BigInteger(hZ, 16);
 
-	// 3. get r where (g^k mod p) mod q, r != 0
-	var r = (g.modPow(k,p)).mod(q); 
+	do {
+	    var k = nextK();
+
+	    // 3. get r where (g^k mod p) mod q, r != 0
+	    var r = (g.modPow(k,p)).mod(q); 
 
-	// 4. get s where k^-1 (z + xr) mod q, s != 0
-	var s = (k.modInverse(q).multiply(z.add(x.multiply(r)))).mod(q);
+	    // 4. get s where k^-1 (z + xr) mod q, s != 0
+	    var s = (k.modInverse(q).multiply(z.add(x.multiply(r)))).mod(q);
+	} while (r.signum() == 0 || s.signum() == 0);
 
 	// 5. signature (r, s)
 	var result = KJUR.asn1.ASN1Util.jsonToASN1HEX({
@@ -371,3 +440,574 @@ KJUR.crypto.DSA = function() {
 	this.setPublicHex(hP, hQ, hG, hY);
     };
 }
+
+/**
+ * Miller-Rabin and Lucas probabilistic primality test
+ * @name isProbablePrime
+ * @memberOf KJUR.crypto.DSA
+ * @function
+ * @static
+ * @param {BigInteger} w odd integer to be tested
+ * @param {Number} iterations number of Miller-Rabin iterations
+ * @return {Boolean} true if w is probably prime otherwise false
+ * @since jsrsasign 7.2.1 dsa 2.1.2
+ * @description
+ * This static method tests primality of w by trial division with
+ * small primes, Miller-Rabin test with random bases and
+ * Lucas test as described in FIPS 186-4 C.3.1 and C.3.3.
+ * As for DSA domain parameters, number of Miller-Rabin iterations
+ * in FIPS 186-4 Table C.2 (i.e. 2 or 3 for p and 19 to 27 for q)
+ * is used in {@link KJUR.crypto.DSA.generateParameters} and
+ * {@link KJUR.crypto.DSA.validateParameters}.
+ * @example
+ * KJUR.crypto.DSA.isProbablePrime(new BigInteger("65537"), 3) &rarr; true
+ */
+KJUR.crypto.DSA.isProbablePrime = function(w, iterations) {
+    var _ONE = BigInteger.ONE,
+	_TWO = _ONE.add(_ONE);
+
+    // 1. trial division by small primes
+    if (w.compareTo(_TWO) < 0) return false;
+    var lpMax = lowprimes[lowprimes.length - 1];
+    if (w.bitLength() <= 10 && w.intValue() <= lpMax) {
+	return (lowprimes.indexOf(w.intValue()) >= 0);
+    }
+    if (KJUR.crypto.DSA._hasSmallFactor(w)) return false;
+
+    // 2. FIPS 186-4 C.3.1 Miller-Rabin test with random bases
+    var w1 = w.subtract(_ONE);
+    var a = w1.getLowestSetBit();
+    var m = w1.shiftRight(a);
+    for (var k = 0; k < iterations; k++) {
+	var b = KJUR.crypto.Util.getRandomBigIntegerMinToMax(_TWO, w.subtract(_TWO));
+	var z = b.modPow(m, w);
+	if (z.equals(_ONE) || z.equals(w1)) continue;
+	for (var l = 1; l < a; l++) {
+	    z = z.modPowInt(2, w);
+	    if (z.equals(w1)) break;
+	    if (z.equals(_ONE)) return false;
+	}
+	if (! z.equals(w1)) return false;
+    }
+
+    // 3. FIPS 186-4 C.3.3 Lucas test
+    return KJUR.crypto.DSA._isLucasProbablePrime(w);
+};
+
+// true if w is divisible by one of small primes less than 1000
+KJUR.crypto.DSA._hasSmallFactor = function(w) {
+    var i = 0;
+    while (i < lowprimes.length) {
+	var m = lowprimes[i], j = i + 1;
+	while (j < lowprimes.length && m < lplim) m *= lowprimes[j++];
+	m = w.modInt(m);
+	while (i < j) if (m % lowprimes[i++] == 0) return true;
+    }
+    return false;
+};
+
+// FIPS 186-4 C.3.3 (General) Lucas Probabilistic Primality Test
+// for odd integer c which is not divisible by small primes
+KJUR.crypto.DSA._isLucasProbablePrime = function(c) {
+    var _ONE = BigInteger.ONE;
+
+    // jacobi symbol (d/c) for small integer d and odd c > 0
+    var jacobi = function(d, c) {
+	var a = new BigInteger(String(d < 0 ? -d : d)), n = c, t = 1;
+	if (d < 0 && n.modInt(4) == 3) t = -t;
+	a = a.mod(n);
+	while (a.signum() != 0) {
+	    while (! a.testBit(0)) {
+		a = a.shiftRight(1);
+		var r = n.modInt(8);
+		if (r == 3 || r == 5) t = -t;
+	    }
+	    var tmp = a; a = n; n = tmp;
+	    if (a.modInt(4) == 3 && n.modInt(4) == 3) t = -t;
+	    a = a.mod(n);
+	}
+	return n.equals(_ONE) ? t : 0;
+    };
+
+    // integer square root by Newton's method
+    var isqrt = function(n) {
+	var x = _ONE.shiftLeft((n.bitLength() + 1) >> 1);
+	while (true) {
+	    var y = x.add(n.divide(x)).shiftRight(1);
+	    if (y.compareTo(x) >= 0) return x;
+	    x = y;
+	}
+    };
+
+    // 1. composite if c is a perfect square
+    var sq = isqrt(c);
+    if (sq.multiply(sq).equals(c)) return false;
+
+    // 2. find first D in 5, -7, 9, -11, ... where jacobi(D, c) = -1
+    var d = 5, jac;
+    while ((jac = jacobi(d, c)) != -1) {
+	if (jac == 0 && c.compareTo(new BigInteger(String(Math.abs(d)))) > 0)
+	    return false;
+	d = (d > 0) ? -(d + 2) : -(d - 2);
+    }
+    var biD = new BigInteger(String(d < 0 ? -d : d));
+    if (d < 0) biD = c.subtract(biD.mod(c));
+
+    var half = function(x) { // x / 2 mod c
+	if (x.testBit(0)) x = x.add(c);
+	return x.shiftRight(1);
+    };
+
+    // 3.-6. compute U_K and V_K for K = c + 1
+    var k = c.add(_ONE);
+    var u = _ONE, v = _ONE;
+    for (var i = k.bitLength() - 2; i >= 0; i--) {
+	var uTmp = u.multiply(v).mod(c);
+	var vTmp = half(v.multiply(v).add(biD.multiply(u.multiply(u))).mod(c));
+	if (k.testBit(i)) {
+	    u = half(uTmp.add(vTmp)).mod(c);
+	    v = half(vTmp.add(biD.multiply(uTmp)).mod(c)).mod(c);
+	} else {
+	    u = uTmp;
+	    v = vTmp;
+	}
+    }
+
+    // 7. probably prime if U_0 = 0
+    return u.signum() == 0;
+};
+
+// hexadecimal string of (seed + n) mod 2^seedlen
+KJUR.crypto.DSA._addSeedHex = function(hSeed, n) {
+    var bi = new BigInteger(hSeed, 16).add(new BigInteger(String(n)));
+    var h = bi.toString(16);
+    if (h.length > hSeed.length) return h.substr(h.length - hSeed.length);
+    while (h.length < hSeed.length) h = "0" + h;
+    return h;
+};
+
+// BigInteger of Hash(seed) || Hash(seed + 1) || ... for iterations + 1 hashes
+// as FIPS 186-4 A.1.2.1.2 step 7 and C.6 step 19
+KJUR.crypto.DSA._hashSeedsToBigInteger = function(hSeed, iterations, alg) {
+    var _hashHex = KJUR.crypto.Util.hashHex;
+    var h = "";
+    for (var i = iterations; i >= 0; i--) {
+	h += _hashHex(KJUR.crypto.DSA._addSeedHex(hSeed, i), alg);
+    }
+    return new BigInteger(h, 16);
+};
+
+/**
+ * generate provable prime by Shawe-Taylor random prime routine
+ * @name getSTRandomPrime
+ * @memberOf KJUR.crypto.DSA
+ * @function
+ * @static
+ * @param {Number} length bit length of prime
+ * @param {String} hSeed hexadecimal string of input seed
+ * @param {String} alg hash algorithm name such as "sha256"
+ * @return {Array} associative array of prime, seed and counter
+ * @since jsrsasign 7.2.1 dsa 2.1.2
+ * @description
+ * This static method generates a provable prime by
+ * Shawe-Taylor random prime routine described in FIPS 186-4 C.6.
+ * Result has following members:
+ * <ul>
+ * <li>prime - BigInteger of generated prime</li>
+ * <li>seed - hexadecimal string of prime_seed</li>
+ * <li>counter - prime_gen_counter</li>
+ * </ul>
+ * An exception will be thrown when generation fails.
+ * @example
+ * KJUR.crypto.DSA.getSTRandomPrime(224, "a1b2...", "sha256") &rarr;
+ * {prime: BigInteger, seed: "a1b2...", counter: 123}
+ */
+KJUR.crypto.DSA.getSTRandomPrime = function(length, hSeed, alg) {
+    var _DSA = KJUR.crypto.DSA,
+	_addSeedHex = _DSA._addSeedHex,
+	_hashSeedsToBigInteger = _DSA._hashSeedsToBigInteger,
+	_hashHex = KJUR.crypto.Util.hashHex,
+	_ONE = BigInteger.ONE,
+	_TWO = _ONE.add(_ONE);
+
+    if (length < 2) throw "ST random prime: invalid length: " + length;
+
+    // 3.-13. small prime checked by trial division
+    if (length < 33) {
+	var seed = hSeed;
+	var counter = 0;
+	while (true) {
+	    var h1 = _hashHex(seed, alg);
+	    var h2 = _hashHex(_addSeedHex(seed, 1), alg);
+	    var c = new BigInteger(h1, 16).xor(new BigInteger(h2, 16));
+	    c = _ONE.shiftLeft(length - 1).add(c.mod(_ONE.shiftLeft(length - 1)));
+	    c = c.setBit(0);
+	    counter++;
+	    seed = _addSeedHex(seed, 2);
+
+	    var n = parseInt(c.toString(16), 16);
+	    var isPrime = (n > 1);
+	    for (var d = 2; d * d <= n; d++) {
+		if (n % d == 0) { isPrime = false; break; }
+	    }
+	    if (isPrime) return {prime: c, seed: seed, counter: counter};
+	    if (counter > 4 * length)
+		throw "ST random prime: failed to generate prime";
+	}
+    }
+
+    // 14. c0 for Pocklington test
+    var r = _DSA.getSTRandomPrime(Math.ceil(length / 2) + 1, hSeed, alg);
+    var c0 = r.prime;
+    var seed = r.seed;
+    var counter = r.counter;
+
+    // 16.-21. x of length bits
+    var outlen = _hashHex("", alg).length * 4;
+    var iterations = Math.ceil(length / outlen) - 1;
+    var oldCounter = counter;
+    var x = _hashSeedsToBigInteger(seed, iterations, alg);
+    seed = _addSeedHex(seed, iterations + 1);
+    var biHalf = _ONE.shiftLeft(length - 1);
+    x = biHalf.add(x.mod(biHalf));
+
+    // 22.-34. find c = 2tc0 + 1 which passes Pocklington test
+    var c02 = c0.shiftLeft(1);
+    var ceilDiv = function(a, b) {
+	var qr = a.divideAndRemainder(b);
+	return (qr[1].signum() == 0) ? qr[0] : qr[0].add(_ONE);
+    };
+    var t = ceilDiv(x, c02);
+    while (true) {
+	if (c02.multiply(t).add(_ONE).compareTo(_ONE.shiftLeft(length)) > 0)
+	    t = ceilDiv(biHalf, c02);
+	var c = c02.multiply(t).add(_ONE);
+	counter++;
+	var a = _hashSeedsToBigInteger(seed, iterations, alg);
+	seed = _addSeedHex(seed, iterations + 1);
+	// composite c with small factor never passes the test below
+	// so that modular exponentiation can be skipped for it
+	if (! _DSA._hasSmallFactor(c)) {
+	    a = _TWO.add(a.mod(c.subtract(new BigInteger("3"))));
+	    var z = a.modPow(t.shiftLeft(1), c);
+	    if (z.subtract(_ONE).gcd(c).equals(_ONE) &&
+		z.modPow(c0, c).equals(_ONE))
+		return {prime: c, seed: seed, counter: counter};
+	}
+	if (counter >= 4 * length + oldCounter)
+	    throw "ST random prime: failed to generate prime";
+	t = t.add(_ONE);
+    }
+};
+
+// acceptable pairs of L and N with number of Miller-Rabin iterations
+// for p and q in FIPS 186-4 Table C.2
+KJUR.crypto.DSA._LN = {
+    "1024/160": [3, 19],
+    "2048/224": [3, 24],
+    "2048/256": [3, 27],
+    "3072/256": [2, 27]
+};
+
+// FIPS 186-4 A.1.1.2 generation of probable primes p and q
+// returns null when q derived from the seed is not prime
+// and p is null when no prime is found in maxCounter + 1 candidates
+KJUR.crypto.DSA._generateProbablePQ = function(L, N, hSeed, alg, maxCounter) {
+    var _DSA = KJUR.crypto.DSA,
+	_addSeedHex = _DSA._addSeedHex,
+	_hashHex = KJUR.crypto.Util.hashHex,
+	_isProbablePrime = _DSA.isProbablePrime,
+	_ONE = BigInteger.ONE,
+	its = _DSA._LN[L + "/" + N];
+
+    var outlen = _hashHex("", alg).length * 4;
+    var n = Math.ceil(L / outlen) - 1;
+    var b = L - 1 - (n * outlen);
+
+    // 6.-9. q
+    var U = new BigInteger(_hashHex(hSeed, alg), 16).mod(_ONE.shiftLeft(N - 1));
+    var q = _ONE.shiftLeft(N - 1).add(U).setBit(0);
+    if (! _isProbablePrime(q, its[1])) return null;
+
+    // 10.-11. p
+    var q2 = q.shiftLeft(1);
+    var biHalf = _ONE.shiftLeft(L - 1);
+    var offset = 1;
+    if (maxCounter === undefined) maxCounter = 4 * L - 1;
+    for (var counter = 0; counter <= maxCounter; counter++) {
+	var h = "";
+	for (var j = n; j >= 0; j--) {
+	    h += _hashHex(_addSeedHex(hSeed, offset + j), alg);
+	}
+	var W = new BigInteger(h, 16).mod(_ONE.shiftLeft(n * outlen + b));
+	var X = W.add(biHalf);
+	var p = X.subtract(X.mod(q2).subtract(_ONE));
+	if (p.compareTo(biHalf) >= 0 && _isProbablePrime(p, its[0]))
+	    return {p: p, q: q, counter: counter};
+	offset += n + 1;
+    }
+    return {p: null, q: q, counter: counter};
+};
+
+// FIPS 186-4 A.1.2.1.2 construction of provable primes p and q
+KJUR.crypto.DSA._generateProvablePQ = function(L, N, hFirstSeed, alg) {
+    var _DSA = KJUR.crypto.DSA,
+	_addSeedHex = _DSA._addSeedHex,
+	_hashSeedsToBigInteger = _DSA._hashSeedsToBigInteger,
+	_hashHex = KJUR.crypto.Util.hashHex,
+	_ONE = BigInteger.ONE,
+	_TWO = _ONE.add(_ONE);
+
+    // 2.-3. q and p0
+    var rq = _DSA.getSTRandomPrime(N, hFirstSeed, alg);
+    var q = rq.prime;
+    var rp0 = _DSA.getSTRandomPrime(Math.ceil(L / 2 + 1), rq.seed, alg);
+    var p0 = rp0.prime;
+    var pseed = rp0.seed;
+    var counter = rp0.counter;
+
+    // 4.-9. x of L bits
+    var outlen = _hashHex("", alg).length * 4;
+    var iterations = Math.ceil(L / outlen) - 1;
+    var oldCounter = counter;
+    var x = _hashSeedsToBigInteger(pseed, iterations, alg);
+    pseed = _addSeedHex(pseed, iterations + 1);
+    var biHalf = _ONE.shiftLeft(L - 1);
+    x = biHalf.add(x.mod(biHalf));
+
+    // 10.-22. find p = 2tqp0 + 1 which passes Pocklington test
+    var qp02 = q.multiply(p0).shiftLeft(1);
+    var ceilDiv = function(a, b) {
+	var qr = a.divideAndRemainder(b);
+	return (qr[1].signum() == 0) ? qr[0] : qr[0].add(_ONE);
+    };
+    var t = ceilDiv(x, qp02);
+    while (true) {
+	if (qp02.multiply(t).add(_ONE).compareTo(_ONE.shiftLeft(L)) > 0)
+	    t = ceilDiv(biHalf, qp02);
+	var p = qp02.multiply(t).add(_ONE);
+	counter++;
+	var a = _hashSeedsToBigInteger(pseed, iterations, alg);
+	pseed = _addSeedHex(pseed, iterations + 1);
+	if (! _DSA._hasSmallFactor(p)) {
+	    a = _TWO.add(a.mod(p.subtract(new BigInteger("3"))));
+	    var z = a.modPow(t.multiply(q).shiftLeft(1), p);
+	    if (z.subtract(_ONE).gcd(p).equals(_ONE) &&
+		z.modPow(p0, p).equals(_ONE))
+		return {p: p, q: q, pseed: pseed, qseed: rq.seed,
+			counter: counter, qcounter: rq.counter};
+	}
+	if (counter > 4 * L + oldCounter)
+	    throw "DSA: failed to generate provable prime p";
+	t = t.add(_ONE);
+    }
+};
+
+// FIPS 186-4 A.2.3 verifiable canonical generation of generator g
+KJUR.crypto.DSA._generateCanonicalG = function(p, q, hSeed, index, alg) {
+    var _hashHex = KJUR.crypto.Util.hashHex;
+    var e = p.subtract(BigInteger.ONE).divide(q);
+    var hIndex = ("0" + index.toString(16)).slice(-2);
+    for (var count = 1; count < 65536; count++) {
+	var hCount = ("000" + count.toString(16)).slice(-4);
+	var W = new BigInteger(_hashHex(hSeed + "6767656e" + hIndex + hCount, alg), 16);
+	var g = W.modPow(e, p);
+	if (g.compareTo(BigInteger.ONE) > 0) return g;
+    }
+    throw "DSA: failed to generate generator g";
+};
+
+/**
+ * generate DSA domain parameters p, q and g
+ * @name generateParameters
+ * @memberOf KJUR.crypto.DSA
+ * @function
+ * @static
+ * @param {Number} L bit length of prime p (2048 or 3072)
+ * @param {Number} N bit length of prime q (224 or 256)
+ * @param {Array} params associative array of generation parameters (OPTION)
+ * @return {Array} associative array of domain parameters
+ * @since jsrsasign 7.2.1 dsa 2.1.2
+ * @see KJUR.crypto.DSA.validateParameters
+ * @description
+ * This static method generates DSA domain parameters as described in
+ * FIPS 186-4 Appendix A. Pair of L and N shall be one of
+ * 2048/224, 2048/256 or 3072/256.
+ * Following members of "params" are available:
+ * <ul>
+ * <li>method - "probable" for probable primes (A.1.1.2) or
+ * "provable" for provable primes (A.1.2.1.2) (DEFAULT: "probable")</li>
+ * <li>alg - hash algorithm name which output length is N bits or longer
+ * (DEFAULT: "sha256")</li>
+ * <li>seed - hexadecimal string of domain_parameter_seed for probable primes
+ * or firstseed for provable primes which has N bits or more.
+ * It is randomly generated when omitted.</li>
+ * <li>index - index for verifiable canonical generation of g
+ * (A.2.3) from 0 to 255 (DEFAULT: 1)</li>
+ * </ul>
+ * Result has following members which can be used in
+ * {@link KJUR.crypto.DSA.validateParameters}:
+ * <ul>
+ * <li>p, q, g - BigInteger of domain parameters</li>
+ * <li>method, alg, index - the same as "params"</li>
+ * <li>seed - hexadecimal string of domain_parameter_seed or firstseed</li>
+ * <li>counter - counter for probable primes or pgen_counter for provable primes</li>
+ * <li>pseed, qseed, qcounter - pseed, qseed and qgen_counter for provable primes</li>
+ * </ul>
+ * Generation may take several tens of seconds especially for
+ * L=3072.
+ * @example
+ * var prm = KJUR.crypto.DSA.generateParameters(2048, 256);
+ * prm.p, prm.q, prm.g &rarr; BigInteger objects
+ * KJUR.crypto.DSA.generateParameters(2048, 224, {method: "provable"});
+ * KJUR.crypto.DSA.generateParameters(3072, 256, {seed: "a1b2...", index: 2});
+ */
+KJUR.crypto.DSA.generateParameters = function(L, N, params) {
+    var _DSA = KJUR.crypto.DSA,
+	_getRandomBigIntegerOfNbits = KJUR.crypto.Util.getRandomBigIntegerOfNbits;
+    if (params === undefined) params = {};
+    var method = (params.method === undefined) ? "probable" : params.method;
+    var alg = (params.alg === undefined) ? "sha256" : params.alg;
+    var index = (params.index === undefined) ? 1 : params.index;
+
+    if ([2048, 3072].indexOf(L) == -1 ||
+	_DSA._LN[L + "/" + N] === undefined)
+	throw "DSA: unsupported L and N: " + L + "/" + N;
+    if (KJUR.crypto.Util.hashHex("", alg).length * 4 < N)
+	throw "DSA: hash output length shall be N bits or more: " + alg;
+    if (typeof index != "number" || index < 0 || index > 255)
+	throw "DSA: invalid index: " + index;
+    if (method != "probable" && method != "provable")
+	throw "DSA: unsupported method: " + method;
+    if (params.seed !== undefined && params.seed.length * 4 < N)
+	throw "DSA: seed shall be N bits or more";
+
+    var randomSeed = function() {
+	var bi = _getRandomBigIntegerOfNbits(N).setBit(N - 1);
+	return bi.toString(16);
+    };
+
+    var result = {method: method, alg: alg, index: index};
+    if (method == "probable") {
+	while (true) {
+	    var hSeed = (params.seed !== undefined) ? params.seed : randomSeed();
+	    var r = _DSA._generateProbablePQ(L, N, hSeed, alg);
+	    if (r != null && r.p != null) break;
+	    if (params.seed !== undefined)
+		throw "DSA: can't generate primes from the seed";
+	}
+	result.p = r.p;
+	result.q = r.q;
+	result.seed = hSeed;
+	result.counter = r.counter;
+	var hDomainSeed = hSeed;
+    } else {
+	var hSeed = (params.seed !== undefined) ? params.seed : randomSeed();
+	if (new BigInteger(hSeed, 16).bitLength() < N)
+	    throw "DSA: firstseed shall be 2^(N-1) or more";
+	var r = _DSA._generateProvablePQ(L, N, hSeed, alg);
+	result.p = r.p;
+	result.q = r.q;
+	result.seed = hSeed;
+	result.pseed = r.pseed;
+	result.qseed = r.qseed;
+	result.counter = r.counter;
+	result.qcounter = r.qcounter;
+	var hDomainSeed = hSeed + r.pseed + r.qseed;
+    }
+    result.g = _DSA._generateCanonicalG(result.p, result.q, hDomainSeed, index, alg);
+    return result;
+};
+
+/**
+ * validate DSA domain parameters p, q and g
+ * @name validateParameters
+ * @memberOf KJUR.crypto.DSA
+ * @function
+ * @static
+ * @param {BigInteger} p prime P parameter
+ * @param {BigInteger} q sub prime Q parameter
+ * @param {BigInteger} g base G parameter
+ * @param {Array} params associative array of seeds and counters (OPTION)
+ * @return {Boolean} true if domain parameters are valid otherwise false
+ * @since jsrsasign 7.2.1 dsa 2.1.2
+ * @see KJUR.crypto.DSA.generateParameters
+ * @description
+ * This static method validates DSA domain parameters.
+ * Following are always checked:
+ * <ul>
+ * <li>pair of bit length of p and q is one of 1024/160, 2048/224,
+ * 2048/256 or 3072/256</li>
+ * <li>p and q are prime and q divides p - 1</li>
+ * <li>g is from 2 to p - 1 and g^q mod p = 1 (FIPS 186-4 A.2.2)</li>
+ * </ul>
+ * When "seed" and "counter" are specified in "params",
+ * p and q are also validated by FIPS 186-4 A.1.1.3 for "probable" method or
+ * A.1.2.2 for "provable" method with "pseed", "qseed" and "qcounter".
+ * When "index" is also specified, g is validated by
+ * FIPS 186-4 A.2.4 for verifiable canonical generation.
+ * Result of {@link KJUR.crypto.DSA.generateParameters} can be
+ * used as "params" as is.
+ * @example
+ * var prm = KJUR.crypto.DSA.generateParameters(2048, 256);
+ * KJUR.crypto.DSA.validateParameters(prm.p, prm.q, prm.g, prm) &rarr; true
+ * KJUR.crypto.DSA.validateParameters(dsa.p, dsa.q, dsa.g) &rarr; true
+ */
+KJUR.crypto.DSA.validateParameters = function(p, q, g, params) {
+    var _DSA = KJUR.crypto.DSA,
+	_ONE = BigInteger.ONE;
+    if (params === undefined) params = {};
+    var method = (params.method === undefined) ? "probable" : params.method;
+    var alg = (params.alg === undefined) ? "sha256" : params.alg;
+
+    var L = p.bitLength();
+    var N = q.bitLength();
+    var its = _DSA._LN[L + "/" + N];
+    if (its === undefined) return false;
+
+    // 1. p and q
+    if (params.seed !== undefined && params.counter !== undefined) {
+	var hSeed = params.seed;
+	if (hSeed.length * 4 < N) return false;
+	if (KJUR.crypto.Util.hashHex("", alg).length * 4 < N) return false;
+	if (method == "probable") {
+	    // A.1.1.3
+	    if (params.counter > 4 * L - 1) return false;
+	    var r = _DSA._generateProbablePQ(L, N, hSeed, alg, params.counter);
+	    if (r == null || r.p == null) return false;
+	    if (! r.q.equals(q) || ! r.p.equals(p) || r.counter != params.counter)
+		return false;
+	    var hDomainSeed = hSeed;
+	} else if (method == "provable") {
+	    // A.1.2.2
+	    if (new BigInteger(hSeed, 16).bitLength() < N) return false;
+	    try {
+		var r = _DSA._generateProvablePQ(L, N, hSeed, alg);
+	    } catch (ex) {
+		return false;
+	    }
+	    if (! r.q.equals(q) || ! r.p.equals(p) ||
+		r.counter != params.counter || r.qcounter != params.qcounter ||
+		r.pseed != params.pseed || r.qseed != params.qseed)
+		return false;
+	    var hDomainSeed = hSeed + r.pseed + r.qseed;
+	} else {
+	    return false;
+	}
+    } else {
+	if (! _DSA.isProbablePrime(q, its[1])) return false;
+	if (! _DSA.isProbablePrime(p, its[0])) return false;
+	if (p.subtract(_ONE).mod(q).signum() != 0) return false;
+    }
+
+    // 2. g by A.2.2 partial validation
+    if (g.compareTo(_ONE) <= 0 || g.compareTo(p.subtract(_ONE)) > 0) return false;
+    if (! g.modPow(q, p).equals(_ONE)) return false;
+
+    // 3. g by A.2.4 validation of canonical generation
+    if (params.index !== undefined && hDomainSeed !== undefined) {
+	var gg = _DSA._generateCanonicalG(p, q, hDomainSeed, params.index, alg);
+	if (! gg.equals(g)) return false;
+    }
+    return true;
+};
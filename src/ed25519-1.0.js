@@ -0,0 +1,470 @@
+/* ed25519-1.0.0 (c) 2017 Kenji Urushima | kjur.github.com/jsrsasign/license
+ */
+/*
+ * ed25519.js - Ed25519 (EdDSA over edwards25519) signing and verification class
+ *
+ * Copyright (c) 2017 Kenji Urushima (kenji.urushima@gmail.com)
+ *
+ * This software is licensed under the terms of the MIT License.
+ * http://kjur.github.com/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+/**
+ * @fileOverview
+ * @name ed25519-1.0.js
+ * @author Kenji Urushima kenji.urushima@gmail.com
+ * @version jsrsasign 7.2.1 ed25519 1.0.0 (2017-Jun-03)
+ * @since jsrsasign 7.2.1
+ * @license <a href="http://kjur.github.io/jsrsasign/license/">MIT License</a>
+ */
+
+if (typeof KJUR == "undefined" || !KJUR) KJUR = {};
+if (typeof KJUR.crypto == "undefined" || !KJUR.crypto) KJUR.crypto = {};
+
+/**
+ * class for Ed25519 key generation, signing and verification
+ * @name KJUR.crypto.Ed25519
+ * @class class for Ed25519 key generation, signing and verification
+ * @param {Array} params associative array of parameters (OPTION)
+ * @property {String} type key type "Ed25519"
+ * @property {Boolean} isPrivate true if this object has a private key
+ * @property {Boolean} isPublic true if this object has a public key only
+ * @property {String} prvKeyHex hexadecimal string of 32 bytes private key
+ * @property {String} pubKeyHex hexadecimal string of 32 bytes encoded public key
+ * @since jsrsasign 7.2.1 ed25519 1.0.0
+ * @see KJUR.crypto.Signature
+ * @description
+ * <p>
+ * CAUTION: Most of the case, you don't need to use this class except
+ * for generating an Ed25519 key pair. Please use {@link KJUR.crypto.Signature}
+ * class with "Ed25519" algorithm instead.
+ * </p>
+ * <p>
+ * This class implements "PureEdDSA" signature scheme Ed25519 defined in
+ * <a href="https://tools.ietf.org/html/rfc8032">RFC 8032</a>.
+ * Private key is a 32 bytes random seed and public key is
+ * 32 bytes encoded point as described in RFC 8032 section 5.1.5.
+ * Unlike ECDSA, signature value is a 64 bytes concatenation of
+ * encoded R and S and whole message is signed without pre-hashing.
+ * </p>
+ * <p>
+ * NOTE: Scalar multiplication uses a fixed 4-bit window so that
+ * the number of point operations doesn't depend on a private key,
+ * however this pure JavaScript implementation is NOT constant time
+ * and may leak a private key by timing side channel.
+ * </p>
+ * Following parameters can be specified for constructor:
+ * <ul>
+ * <li>prv - hexadecimal string of private key (OPTION)</li>
+ * <li>pub - hexadecimal string of public key (OPTION)</li>
+ * </ul>
+ * @example
+ * // generate key pair
+ * var ed = new KJUR.crypto.Ed25519();
+ * var keypair = ed.generateKeyPairHex();
+ * keypair.prvhex &rarr; "9d61b19d..."
+ * keypair.pubhex &rarr; "d75a9801..."
+ *
+ * // sign and verify
+ * var edPrv = new KJUR.crypto.Ed25519({prv: "9d61b19d..."});
+ * var hSig = edPrv.signHex("616161"); // sign message "aaa"
+ * var edPub = new KJUR.crypto.Ed25519({pub: "d75a9801..."});
+ * edPub.verifyHex("616161", hSig) &rarr; true
+ */
+KJUR.crypto.Ed25519 = function(params) {
+    var _Ed25519 = KJUR.crypto.Ed25519,
+	_P = _Ed25519.P,
+	_D2 = _Ed25519.D.shiftLeft(1).mod(_P),
+	_L = _Ed25519.L,
+	_ONE = BigInteger.ONE,
+	_ZERO = BigInteger.ZERO;
+
+    this.type = "Ed25519";
+    this.isPrivate = false;
+    this.isPublic = false;
+    this.prvKeyHex = null;
+    this.pubKeyHex = null;
+
+    //===========================
+    // PRIVATE METHODS
+    //===========================
+
+    // point in extended homogeneous coordinates [X, Y, Z, T]
+    function pointAdd(p1, p2) {
+	var a = p1[1].subtract(p1[0]).multiply(p2[1].subtract(p2[0])).mod(_P);
+	var b = p1[1].add(p1[0]).multiply(p2[1].add(p2[0])).mod(_P);
+	var c = p1[3].multiply(_D2).multiply(p2[3]).mod(_P);
+	var d = p1[2].shiftLeft(1).multiply(p2[2]).mod(_P);
+	var e = b.subtract(a), f = d.subtract(c), g = d.add(c), h = b.add(a);
+	return [e.multiply(f).mod(_P), g.multiply(h).mod(_P),
+		f.multiply(g).mod(_P), e.multiply(h).mod(_P)];
+    };
+
+    // fixed 4-bit window over at least 256 bits. pointAdd is complete,
+    // so a zero window adds the neutral element at the same cost and
+    // the sequence of point operations doesn't depend on biS.
+    // NOTE: This is still NOT constant time since table lookup and
+    // BigInteger arithmetic depend on their operands.
+    function pointMultiply(biS, pt) {
+	var tbl = [[_ZERO, _ONE, _ONE, _ZERO], pt]; // tbl[d] = d * pt
+	var i;
+	for (i = 2; i < 16; i++) tbl.push(pointAdd(tbl[i - 1], pt));
+
+	var windows = Math.ceil(Math.max(biS.bitLength(), 256) / 4);
+	var hS = biS.toString(16);
+	while (hS.length < windows) hS = "0" + hS;
+
+	var q = tbl[0];
+	for (i = 0; i < hS.length; i++) {
+	    q = pointAdd(q, q);
+	    q = pointAdd(q, q);
+	    q = pointAdd(q, q);
+	    q = pointAdd(q, q);
+	    q = pointAdd(q, tbl[parseInt(hS.charAt(i), 16)]);
+	}
+	return q;
+    };
+
+    function pointEqual(p1, p2) {
+	return (p1[0].multiply(p2[2]).subtract(p2[0].multiply(p1[2])).mod(_P).signum() == 0 &&
+		p1[1].multiply(p2[2]).subtract(p2[1].multiply(p1[2])).mod(_P).signum() == 0);
+    };
+
+    function pointEncode(pt) {
+	var zInv = pt[2].modInverse(_P);
+	var x = pt[0].multiply(zInv).mod(_P);
+	var y = pt[1].multiply(zInv).mod(_P);
+	if (x.testBit(0)) y = y.setBit(255);
+	return biToLEHex(y);
+    };
+
+    function pointDecode(h) {
+	if (h.length != 64) return null;
+	var y = leHexToBI(h);
+	var sign = y.testBit(255);
+	y = y.clearBit(255);
+	if (y.compareTo(_P) >= 0) return null;
+	var x = recoverX(y, sign);
+	if (x === null) return null;
+	return [x, y, _ONE, x.multiply(y).mod(_P)];
+    };
+
+    // RFC 8032 5.1.3 decoding
+    function recoverX(y, sign) {
+	var y2 = y.multiply(y).mod(_P);
+	var u = y2.subtract(_ONE).mod(_P);
+	var v = _Ed25519.D.multiply(y2).add(_ONE).mod(_P);
+	var v3 = v.multiply(v).multiply(v).mod(_P);
+	var v7 = v3.multiply(v3).multiply(v).mod(_P);
+	var x = u.multiply(v3).multiply(u.multiply(v7).modPow(_Ed25519.P58, _P)).mod(_P);
+	var vx2 = v.multiply(x).multiply(x).mod(_P);
+	if (vx2.compareTo(u) != 0) {
+	    if (vx2.compareTo(_P.subtract(u).mod(_P)) != 0) return null;
+	    x = x.multiply(_Ed25519.SQRTM1).mod(_P);
+	}
+	if (x.signum() == 0 && sign) return null;
+	if (x.testBit(0) != sign) x = _P.subtract(x);
+	return x;
+    };
+
+    function biToLEHex(bi) {
+	var h = ("0000000000000000000000000000000000000000000000000000000000000000" +
+		 bi.toString(16)).slice(-64);
+	return reverseHex(h);
+    };
+
+    function leHexToBI(h) {
+	return new BigInteger(reverseHex(h), 16);
+    };
+
+    function reverseHex(h) {
+	var s = "";
+	for (var i = h.length - 2; i >= 0; i -= 2) s += h.substr(i, 2);
+	return s;
+    };
+
+    function sha512(h) {
+	return KJUR.crypto.Util.hashHex(h, "sha512");
+    };
+
+    // RFC 8032 5.1.5 key generation: returns [s, prefix]
+    function expandPrivateKey(hPrv) {
+	if (hPrv.length != 64)
+	    throw "Ed25519 private key shall be 32 bytes";
+	var hH = sha512(hPrv);
+	var s = leHexToBI(hH.substr(0, 64));
+	s = s.clearBit(0).clearBit(1).clearBit(2).clearBit(255).setBit(254);
+	return [s, hH.substr(64)];
+    };
+
+    // check that public key is derived from private key and return it
+    function checkKeyPair(hPrv, hPub) {
+	var hA = pointEncode(pointMultiply(expandPrivateKey(hPrv)[0], _Ed25519.B));
+	if (hPub !== null && hPub !== hA)
+	    throw "Ed25519 public key doesn't match private key";
+	return hA;
+    };
+
+    //===========================
+    // PUBLIC METHODS
+    //===========================
+
+    /**
+     * set private key by hexadecimal string
+     * @name setPrivateKeyHex
+     * @memberOf KJUR.crypto.Ed25519#
+     * @function
+     * @param {String} prvKeyHex hexadecimal string of 32 bytes private key
+     * @since jsrsasign 7.2.1 ed25519 1.0.0
+     * @description
+     * Public key is derived from the private key.
+     * When public key has already been set and it doesn't match
+     * the private key, an exception will be raised.
+     */
+    this.setPrivateKeyHex = function(prvKeyHex) {
+	prvKeyHex = prvKeyHex.toLowerCase();
+	this.pubKeyHex = checkKeyPair(prvKeyHex, this.pubKeyHex);
+	this.isPrivate = true;
+	this.prvKeyHex = prvKeyHex;
+    };
+
+    /**
+     * set public key by hexadecimal string
+     * @name setPublicKeyHex
+     * @memberOf KJUR.crypto.Ed25519#
+     * @function
+     * @param {String} pubKeyHex hexadecimal string of 32 bytes encoded public key
+     * @since jsrsasign 7.2.1 ed25519 1.0.0
+     * @description
+     * When private key has already been set and the public key doesn't
+     * match it, an exception will be raised.
+     */
+    this.setPublicKeyHex = function(pubKeyHex) {
+	pubKeyHex = pubKeyHex.toLowerCase();
+	if (this.prvKeyHex !== null) checkKeyPair(this.prvKeyHex, pubKeyHex);
+	this.isPublic = true;
+	this.pubKeyHex = pubKeyHex;
+    };
+
+    /**
+     * get hexadecimal string of public key
+     * @name getPublicKeyHex
+     * @memberOf KJUR.crypto.Ed25519#
+     * @function
+     * @return {String} hexadecimal string of 32 bytes encoded public key
+     * @since jsrsasign 7.2.1 ed25519 1.0.0
+     * @description
+     * This method returns public key. If this object only has a private key,
+     * public key will be derived from it and kept in pubKeyHex property.
+     * @example
+     * ed = new KJUR.crypto.Ed25519({prv: "9d61b19d..."});
+     * ed.getPublicKeyHex() &rarr; "d75a9801..."
+     */
+    this.getPublicKeyHex = function() {
+	if (this.pubKeyHex === null) {
+	    if (this.prvKeyHex === null) throw "key not set";
+	    var s = expandPrivateKey(this.prvKeyHex)[0];
+	    this.pubKeyHex = pointEncode(pointMultiply(s, _Ed25519.B));
+	}
+	return this.pubKeyHex;
+    };
+
+    /**
+     * generate a Ed25519 key pair
+     * @name generateKeyPairHex
+     * @memberOf KJUR.crypto.Ed25519#
+     * @function
+     * @return {Array} associative array of hexadecimal string of private and public key
+     * @since jsrsasign 7.2.1 ed25519 1.0.0
+     * @example
+     * var ed = new KJUR.crypto.Ed25519();
+     * var keypair = ed.generateKeyPairHex();
+     * var pubhex = keypair.pubhex; // hexadecimal string of public key
+     * var prvhex = keypair.prvhex; // hexadecimal string of private key
+     */
+    this.generateKeyPairHex = function() {
+	this.prvKeyHex = null;
+	this.pubKeyHex = null;
+	this.setPrivateKeyHex(KJUR.crypto.Util.getRandomHexOfNbytes(32));
+	this.getPublicKeyHex();
+	return {'prvhex': this.prvKeyHex, 'pubhex': this.pubKeyHex};
+    };
+
+    /**
+     * sign a message by the private key
+     * @name signHex
+     * @memberOf KJUR.crypto.Ed25519#
+     * @function
+     * @param {String} hMsg hexadecimal string of message to sign
+     * @return {String} hexadecimal string of 64 bytes signature value
+     * @since jsrsasign 7.2.1 ed25519 1.0.0
+     * @description
+     * This method signs a message as described in RFC 8032 section 5.1.6.
+     * Ed25519 signature is deterministic so the same signature value
+     * will be returned for the same message.
+     * @example
+     * var ed = new KJUR.crypto.Ed25519({prv: "9d61b19d..."});
+     * ed.signHex("") &rarr; "e5564300..."
+     */
+    this.signHex = function(hMsg) {
+	if (this.prvKeyHex === null) throw "private key not set";
+	var a = expandPrivateKey(this.prvKeyHex);
+	var s = a[0];
+	// public key is always derived from the private key since
+	// k with other public key will reveal the private scalar s
+	var hA = pointEncode(pointMultiply(s, _Ed25519.B));
+	var r = leHexToBI(sha512(a[1] + hMsg)).mod(_L);
+	var hR = pointEncode(pointMultiply(r, _Ed25519.B));
+	var k = leHexToBI(sha512(hR + hA + hMsg)).mod(_L);
+	var biS = r.add(k.multiply(s)).mod(_L);
+	return hR + biToLEHex(biS);
+    };
+
+    /**
+     * verify a signature by the public key
+     * @name verifyHex
+     * @memberOf KJUR.crypto.Ed25519#
+     * @function
+     * @param {String} hMsg hexadecimal string of signed message
+     * @param {String} hSig hexadecimal string of 64 bytes signature value
+     * @return {Boolean} true if the signature is valid otherwise false
+     * @since jsrsasign 7.2.1 ed25519 1.0.0
+     * @description
+     * This method verifies a signature as described in RFC 8032 section 5.1.7.
+     * A signature with non-canonical S or undecodable point will be
+     * rejected.
+     * @example
+     * var ed = new KJUR.crypto.Ed25519({pub: "d75a9801..."});
+     * ed.verifyHex("", "e5564300...") &rarr; true
+     */
+    this.verifyHex = function(hMsg, hSig) {
+	if (typeof hSig != "string" || hSig.length != 128) return false;
+	hSig = hSig.toLowerCase();
+	var hA = this.getPublicKeyHex();
+	var ptA = pointDecode(hA);
+	var hR = hSig.substr(0, 64);
+	var ptR = pointDecode(hR);
+	if (ptA === null || ptR === null) return false;
+	var biS = leHexToBI(hSig.substr(64));
+	if (biS.compareTo(_L) >= 0) return false;
+	var k = leHexToBI(sha512(hR + hA + hMsg)).mod(_L);
+
+	var p1 = pointMultiply(biS.shiftLeft(3), _Ed25519.B);
+	var p2 = pointAdd(pointMultiply(new BigInteger("8"), ptR),
+			  pointMultiply(k.shiftLeft(3), ptA));
+	return pointEqual(p1, p2);
+    };
+
+    /**
+     * read an ASN.1 hexadecimal string of RFC 8410 PKCS#8 Ed25519 private key<br/>
+     * @name readPKCS8PrvKeyHex
+     * @memberOf KJUR.crypto.Ed25519#
+     * @function
+     * @param {String} h hexadecimal string of PKCS#8 Ed25519 private key
+     * @since jsrsasign 7.2.1 ed25519 1.0.0
+     * @description
+     * Both PKCS#8 PrivateKeyInfo and OneAsymmetricKey (RFC 5958) with
+     * optional public key are supported.
+     */
+    this.readPKCS8PrvKeyHex = function(h) {
+	var _ASN1HEX = ASN1HEX;
+	var _getVbyList = _ASN1HEX.getVbyList;
+
+	if (_ASN1HEX.isASN1HEX(h) === false)
+	    throw "not ASN.1 hex string";
+
+	var hOID, hPrv, hPub;
+	try {
+	    hOID = _getVbyList(h, 0, [1, 0], "06");
+	    hPrv = _getVbyList(h, 0, [2, 0], "04");
+	    // optional [1] publicKey follows optional [0] attributes
+	    var a = _ASN1HEX.getChildIdx(h, 0);
+	    var idxLast = a[a.length - 1];
+	    if (a.length > 3 && h.substr(idxLast, 2) === "81")
+		hPub = _ASN1HEX.getV(h, idxLast).substr(2);
+	} catch(ex) {
+	    throw "malformed PKCS#8 plain Ed25519 private key";
+	}
+	if (hOID !== "2b6570") throw "not Ed25519 private key";
+
+	this.prvKeyHex = null;
+	this.pubKeyHex = (hPub === undefined) ? null : hPub.toLowerCase();
+	this.setPrivateKeyHex(hPrv);
+	this.isPublic = false;
+    };
+
+    /**
+     * read an ASN.1 hexadecimal string of RFC 8410 PKCS#8 Ed25519 public key<br/>
+     * @name readPKCS8PubKeyHex
+     * @memberOf KJUR.crypto.Ed25519#
+     * @function
+     * @param {String} h hexadecimal string of PKCS#8 Ed25519 public key
+     * @since jsrsasign 7.2.1 ed25519 1.0.0
+     */
+    this.readPKCS8PubKeyHex = function(h) {
+	var _ASN1HEX = ASN1HEX;
+	var _getVbyList = _ASN1HEX.getVbyList;
+
+	if (_ASN1HEX.isASN1HEX(h) === false)
+	    throw "not ASN.1 hex string";
+
+	var hOID, hPub;
+	try {
+	    hOID = _getVbyList(h, 0, [0, 0], "06");
+	    hPub = _getVbyList(h, 0, [1], "03").substr(2);
+	} catch(ex) {
+	    throw "malformed PKCS#8 Ed25519 public key";
+	}
+	if (hOID !== "2b6570") throw "not Ed25519 public key";
+
+	this.prvKeyHex = null;
+	this.isPrivate = false;
+	this.setPublicKeyHex(hPub);
+    };
+
+    /**
+     * read an ASN.1 hexadecimal string of X.509 Ed25519 public key certificate<br/>
+     * @name readCertPubKeyHex
+     * @memberOf KJUR.crypto.Ed25519#
+     * @function
+     * @param {String} h hexadecimal string of X.509 Ed25519 public key certificate
+     * @param {Integer} nthPKI nth index of publicKeyInfo. (DEFAULT: 6 for X509v3)
+     * @since jsrsasign 7.2.1 ed25519 1.0.0
+     */
+    this.readCertPubKeyHex = function(h, nthPKI) {
+	if (nthPKI !== 5) nthPKI = 6;
+	var _ASN1HEX = ASN1HEX;
+	var _getTLVbyList = _ASN1HEX.getTLVbyList;
+
+	if (_ASN1HEX.isASN1HEX(h) === false)
+	    throw "not ASN.1 hex string";
+
+	var hSPKI = _getTLVbyList(h, 0, [0, nthPKI], "30");
+	if (hSPKI === null)
+	    throw "malformed X.509 certificate Ed25519 public key";
+	this.readPKCS8PubKeyHex(hSPKI);
+    };
+
+    if (params !== undefined) {
+	if (params.prv !== undefined) this.setPrivateKeyHex(params.prv);
+	if (params.pub !== undefined) this.setPublicKeyHex(params.pub);
+    }
+};
+
+/*
+ * curve parameters of edwards25519 defined in RFC 8032 section 5.1
+ */
+KJUR.crypto.Ed25519.P = new BigInteger("7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffed", 16);
+KJUR.crypto.Ed25519.D = new BigInteger("52036cee2b6ffe738cc740797779e89800700a4d4141d8ab75eb4dca135978a3", 16);
+KJUR.crypto.Ed25519.L = new BigInteger("1000000000000000000000000000000014def9dea2f79cd65812631a5cf5d3ed", 16);
+KJUR.crypto.Ed25519.SQRTM1 = new BigInteger("2b8324804fc1df0b2b4d00993dfbd7a72f431806ad2fe478c4ee1b274a0ea0b0", 16);
+KJUR.crypto.Ed25519.P58 = KJUR.crypto.Ed25519.P.subtract(new BigInteger("5")).shiftRight(3);
+KJUR.crypto.Ed25519.B = [
+    new BigInteger("216936d3cd6e53fec0a4e231fdd6dc5c692cc7609525a7b2c9562d608f25d51a", 16),
+    new BigInteger("6666666666666666666666666666666666666666666666666666666666666658", 16),
+    BigInteger.ONE,
+    new BigInteger("67875f0fd78b766566ea4e8e64abe37d20f09f80775152f56dde8ab3a5b7dda3", 16)
+];
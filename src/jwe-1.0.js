@@ -0,0 +1,449 @@
+/* jwe-1.0.0 (c) 2017 Kenji Urushima | kjur.github.com/jsrsasign/license
+ */
+/*
+ * jwe.js - JSON Web Encryption (JWE) Compact Serialization Class
+ *
+ * Copyright (c) 2017 Kenji Urushima (kenji.urushima@gmail.com)
+ *
+ * This software is licensed under the terms of the MIT License.
+ * http://kjur.github.com/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+/**
+ * @fileOverview
+ * @name jwe-1.0.js
+ * @author Kenji Urushima kenji.urushima@gmail.com
+ * @version jsrsasign 7.2.1 jwe 1.0.0 (2017-Jun-03)
+ * @since jsrsasign 7.2.1
+ * @license <a href="http://kjur.github.io/jsrsasign/license/">MIT License</a>
+ */
+
+if (typeof KJUR == "undefined" || !KJUR) KJUR = {};
+if (typeof KJUR.jws == "undefined" || !KJUR.jws) KJUR.jws = {};
+
+/**
+ * JSON Web Encryption (JWE) Compact Serialization class.<br/>
+ * @class JSON Web Encryption (JWE) class
+ * @name KJUR.jws.JWE
+ * @author Kenji Urushima
+ * @since jsrsasign 7.2.1 jwe 1.0.0
+ * @see <a href="https://tools.ietf.org/html/rfc7516">RFC 7516 JSON Web Encryption (JWE)</a>
+ * @see <a href="https://tools.ietf.org/html/rfc7518">RFC 7518 JSON Web Algorithms (JWA)</a>
+ * @description
+ * This class provides static methods to encrypt and decrypt
+ * JWE Compact Serialization of
+ * <a href="https://tools.ietf.org/html/rfc7516">RFC 7516</a>.
+ * Here is major methods of this class:
+ * <ul>
+ * <li>{@link KJUR.jws.JWE.encrypt} - encrypt payload to JWE string</li>
+ * <li>{@link KJUR.jws.JWE.decrypt} - decrypt JWE string</li>
+ * <li>{@link KJUR.jws.JWE.parse} - parse JWE string without decryption</li>
+ * </ul>
+ * Following key management algorithms ("alg") are supported:
+ * <ul>
+ * <li>RSA-OAEP - RSAES OAEP using SHA-1 and MGF1 with SHA-1</li>
+ * <li>RSA-OAEP-256 - RSAES OAEP using SHA-256 and MGF1 with SHA-256</li>
+ * <li>dir - direct use of a shared symmetric key as the CEK</li>
+ * </ul>
+ * Following content encryption algorithms ("enc") are supported:
+ * <ul>
+ * <li>A128CBC-HS256 - AES_128_CBC_HMAC_SHA_256</li>
+ * <li>A256CBC-HS512 - AES_256_CBC_HMAC_SHA_512</li>
+ * </ul>
+ * @example
+ * // encrypt with RSA public key
+ * sJWE = KJUR.jws.JWE.encrypt({alg: "RSA-OAEP-256", enc: "A128CBC-HS256"},
+ *                             "Hello World", pubKeyObj);
+ * // decrypt with RSA private key
+ * sPlain = KJUR.jws.JWE.decrypt(sJWE, prvKeyObj); &rarr; "Hello World"
+ * // encrypt and decrypt with shared key
+ * sJWE = KJUR.jws.JWE.encrypt({alg: "dir", enc: "A128CBC-HS256"}, "Hello", "0102...");
+ * sPlain = KJUR.jws.JWE.decrypt(sJWE, "0102...", ["dir"]);
+ */
+KJUR.jws.JWE = function() {
+};
+
+/**
+ * associative array of content encryption algorithm parameters<br/>
+ * @name ENCPARAM
+ * @memberOf KJUR.jws.JWE
+ * @description
+ * This associative array has parameters for each "enc" value.
+ * Each value is an array of CEK byte length, MAC key byte length,
+ * HMAC algorithm name and authentication tag byte length.
+ */
+KJUR.jws.JWE.ENCPARAM = {
+    "A128CBC-HS256": [32, 16, "HmacSHA256", 16],
+    "A256CBC-HS512": [64, 32, "HmacSHA512", 32]
+};
+
+/**
+ * associative array of key management algorithm name to Cipher algorithm name<br/>
+ * @name ALGPARAM
+ * @memberOf KJUR.jws.JWE
+ * @description
+ * This associative array maps JWE "alg" value to
+ * algorithm name of {@link KJUR.crypto.Cipher}.
+ */
+KJUR.jws.JWE.ALGPARAM = {
+    "RSA-OAEP": "RSAOAEP",
+    "RSA-OAEP-256": "RSAOAEP256"
+};
+
+/**
+ * encrypt payload and get JWE Compact Serialization string<br/>
+ * @name encrypt
+ * @memberOf KJUR.jws.JWE
+ * @function
+ * @static
+ * @param {Object} spHeader JWE protected header string or object
+ * @param {String} sPayload UTF-8 string of payload to be encrypted
+ * @param {Object} key RSA public key object, PEM or JWK for "RSA-OAEP" and "RSA-OAEP-256" or shared key for "dir"
+ * @return {String} JWE Compact Serialization string
+ * @since jsrsasign 7.2.1 jwe 1.0.0
+ * @description
+ * This static method encrypts a UTF-8 payload string and returns
+ * JWE Compact Serialization string.
+ * "alg" and "enc" in the header are required.
+ * A random content encryption key (CEK) and initialization vector are
+ * generated for each call except "dir" which uses the shared key as CEK.
+ * Compression by "zip" header parameter is not supported.
+ * <br/>
+ * Shared key for "dir" can be specified by a hexadecimal string or
+ * an associative array of following keys as
+ * {@link KJUR.crypto.Mac#setPassword}:
+ * <ul>
+ * <li>hex - hexadecimal string of key</li>
+ * <li>utf8 - UTF-8 string of key</li>
+ * <li>rstr - raw string of key</li>
+ * <li>b64 - Base64 string of key</li>
+ * <li>b64u - Base64URL string of key</li>
+ * </ul>
+ * @example
+ * KJUR.jws.JWE.encrypt({alg: "RSA-OAEP", enc: "A256CBC-HS512"}, "aaa", pubKeyObj) &rarr; "eyJ..."
+ * KJUR.jws.JWE.encrypt('{"alg":"dir","enc":"A128CBC-HS256"}', "aaa", {b64u: "GawgguFy..."}) &rarr; "eyJ..."
+ */
+KJUR.jws.JWE.encrypt = function(spHeader, sPayload, key) {
+    var _KJUR = KJUR,
+	_KJUR_jws = _KJUR.jws,
+	_KJUR_jws_JWE = _KJUR_jws.JWE,
+	_KJUR_crypto_Util = _KJUR.crypto.Util;
+
+    var sHeader = (typeof spHeader == "string") ?
+	spHeader : JSON.stringify(spHeader);
+    var pHeader = _KJUR_jws.JWS.readSafeJSONString(sHeader);
+    if (pHeader == null)
+	throw "JWE header is not valid JSON: " + sHeader;
+
+    var alg = pHeader.alg;
+    var enc = pHeader.enc;
+    var encParam = _KJUR_jws_JWE.ENCPARAM[enc];
+    if (encParam === undefined)
+	throw "unsupported enc name: " + enc;
+    if (pHeader.zip !== undefined)
+	throw "unsupported zip: " + pHeader.zip;
+
+    var hCEK, hEK;
+    if (alg === "dir") {
+	hCEK = _KJUR_jws_JWE.getSharedKeyHex(key);
+	if (hCEK.length != encParam[0] * 2)
+	    throw "shared key length mismatch for " + enc;
+	hEK = "";
+    } else if (_KJUR_jws_JWE.ALGPARAM[alg] !== undefined) {
+	var pubKey = _KJUR_jws_JWE.getRSAKey(key);
+	hCEK = _KJUR_crypto_Util.getRandomHexOfNbytes(encParam[0]);
+	hEK = _KJUR.crypto.Cipher.encrypt(hextorstr(hCEK), pubKey,
+					  _KJUR_jws_JWE.ALGPARAM[alg]);
+    } else {
+	throw "unsupported alg name: " + alg;
+    }
+
+    var uHeader = utf8tob64u(sHeader);
+    var hIV = _KJUR_crypto_Util.getRandomHexOfNbytes(16);
+    var result = _KJUR_jws_JWE.encryptContent(enc, hCEK, hIV,
+					      rstrtohex(uHeader),
+					      utf8tohex(sPayload));
+
+    return uHeader + "." + hextob64u(hEK) + "." + hextob64u(hIV) + "." +
+	hextob64u(result.ciphertext) + "." + hextob64u(result.tag);
+};
+
+/**
+ * decrypt JWE Compact Serialization string<br/>
+ * @name decrypt
+ * @memberOf KJUR.jws.JWE
+ * @function
+ * @static
+ * @param {String} sJWE JWE Compact Serialization string
+ * @param {Object} key RSA private key object, PEM or JWK for "RSA-OAEP" and "RSA-OAEP-256" or shared key for "dir"
+ * @param {Array of String} acceptAlgs optional array of acceptable "alg" values
+ * @return {String} decrypted UTF-8 payload string
+ * @since jsrsasign 7.2.1 jwe 1.0.0
+ * @description
+ * This static method decrypts JWE Compact Serialization string and
+ * returns UTF-8 string of plaintext.
+ * When "alg" in the header isn't included in acceptAlgs or
+ * authentication tag doesn't match, an exception will be thrown.
+ * An exception will also be thrown for "zip" header parameter
+ * since compression is not supported and for "crit" header parameter
+ * not understood by {@link KJUR.jws.JWS.checkCrit} as described in
+ * <a href="https://tools.ietf.org/html/rfc7516#section-4.1.13">RFC 7516 4.1.13</a>.
+ * When acceptAlgs is omitted, "RSA-OAEP" and "RSA-OAEP-256" are
+ * acceptable for RSA private key and only "dir" is acceptable for
+ * shared key.
+ * @example
+ * KJUR.jws.JWE.decrypt("eyJ...", prvKeyObj) &rarr; "aaa"
+ * KJUR.jws.JWE.decrypt("eyJ...", "0a1b...", ["dir"]) &rarr; "aaa"
+ */
+KJUR.jws.JWE.decrypt = function(sJWE, key, acceptAlgs) {
+    var _KJUR = KJUR,
+	_KJUR_jws = _KJUR.jws,
+	_KJUR_jws_JWE = _KJUR_jws.JWE;
+
+    var pJWE = _KJUR_jws_JWE.parse(sJWE);
+    var pHeader = pJWE.headerObj;
+    var alg = pHeader.alg;
+    var enc = pHeader.enc;
+
+    var encParam = _KJUR_jws_JWE.ENCPARAM[enc];
+    if (encParam === undefined)
+	throw "unsupported enc name: " + enc;
+    if (pHeader.zip !== undefined)
+	throw "unsupported zip: " + pHeader.zip;
+    _KJUR_jws.JWS.checkCrit(pHeader);
+
+    // default acceptable algorithms are decided by the key, not by
+    // the header which an attacker can choose
+    if (acceptAlgs === undefined) {
+	var isSharedKey = true;
+	try {
+	    _KJUR_jws_JWE.getSharedKeyHex(key);
+	} catch (ex) {
+	    isSharedKey = false;
+	}
+	acceptAlgs = isSharedKey ? ["dir"] : ["RSA-OAEP", "RSA-OAEP-256"];
+    }
+    if (! _KJUR_jws.JWS.inArray(alg, acceptAlgs))
+	throw "not acceptable alg name: " + alg;
+
+    var hCEK;
+    if (alg === "dir") {
+	if (pJWE.encryptedKey !== "")
+	    throw "encrypted key shall be empty for dir";
+	hCEK = _KJUR_jws_JWE.getSharedKeyHex(key);
+    } else if (_KJUR_jws_JWE.ALGPARAM[alg] !== undefined) {
+	var prvKey = _KJUR_jws_JWE.getRSAKey(key);
+	hCEK = rstrtohex(_KJUR.crypto.Cipher.decrypt(pJWE.encryptedKey, prvKey,
+						     _KJUR_jws_JWE.ALGPARAM[alg]));
+    } else {
+	throw "unsupported alg name: " + alg;
+    }
+    if (hCEK.length != encParam[0] * 2)
+	throw "content encryption key length mismatch for " + enc;
+
+    var hPlain = _KJUR_jws_JWE.decryptContent(enc, hCEK, pJWE.iv,
+					      rstrtohex(pJWE.headerB64U),
+					      pJWE.ciphertext, pJWE.tag);
+    return hextoutf8(hPlain);
+};
+
+/**
+ * parse JWE Compact Serialization string without decryption<br/>
+ * @name parse
+ * @memberOf KJUR.jws.JWE
+ * @function
+ * @static
+ * @param {String} sJWE JWE Compact Serialization string
+ * @return {Array} associative array of parsed JWE
+ * @since jsrsasign 7.2.1 jwe 1.0.0
+ * @description
+ * This static method parses JWE string into five parts.
+ * Returned associative array has following members:
+ * <ul>
+ * <li>headerB64U - Base64URL encoded protected header</li>
+ * <li>headerObj - parsed protected header object</li>
+ * <li>encryptedKey - hexadecimal string of encrypted key</li>
+ * <li>iv - hexadecimal string of initialization vector</li>
+ * <li>ciphertext - hexadecimal string of ciphertext</li>
+ * <li>tag - hexadecimal string of authentication tag</li>
+ * </ul>
+ * @example
+ * KJUR.jws.JWE.parse("eyJ...") &rarr; {headerObj: {alg: "dir", ...}, iv: "03c6...", ...}
+ */
+KJUR.jws.JWE.parse = function(sJWE) {
+    var a = sJWE.split(".");
+    if (a.length != 5)
+	throw "JWE shall have five parts: " + a.length;
+
+    var pHeader = KJUR.jws.JWS.readSafeJSONString(b64utoutf8(a[0]));
+    if (pHeader == null)
+	throw "malformed JWE header";
+
+    return {
+	headerB64U: a[0],
+	headerObj: pHeader,
+	encryptedKey: b64utohex(a[1]),
+	iv: b64utohex(a[2]),
+	ciphertext: b64utohex(a[3]),
+	tag: b64utohex(a[4])
+    };
+};
+
+/**
+ * encrypt content with AES_CBC_HMAC_SHA2 algorithm<br/>
+ * @name encryptContent
+ * @memberOf KJUR.jws.JWE
+ * @function
+ * @static
+ * @param {String} enc content encryption algorithm name (ex. "A128CBC-HS256")
+ * @param {String} hCEK hexadecimal string of content encryption key
+ * @param {String} hIV hexadecimal string of 16 byte initialization vector
+ * @param {String} hAAD hexadecimal string of additional authenticated data
+ * @param {String} hPlain hexadecimal string of plaintext
+ * @return {Array} associative array of hexadecimal ciphertext and tag
+ * @since jsrsasign 7.2.1 jwe 1.0.0
+ * @description
+ * This static method encrypts plaintext by AES_CBC_HMAC_SHA2 algorithm
+ * defined in
+ * <a href="https://tools.ietf.org/html/rfc7518#section-5.2">RFC 7518 5.2</a>.
+ * CEK is split into MAC key and encryption key and
+ * authentication tag will be calculated for AAD, IV, ciphertext and
+ * bit length of AAD.
+ * @example
+ * KJUR.jws.JWE.encryptContent("A128CBC-HS256", "0001...", "1af3...", "6a9b...", "4c69...") &rarr;
+ * {ciphertext: "c80e...", tag: "652c..."}
+ */
+KJUR.jws.JWE.encryptContent = function(enc, hCEK, hIV, hAAD, hPlain) {
+    var _KJUR_jws_JWE = KJUR.jws.JWE,
+	_CryptoJS = CryptoJS,
+	_Hex = _CryptoJS.enc.Hex;
+
+    var encParam = _KJUR_jws_JWE.ENCPARAM[enc];
+    if (encParam === undefined)
+	throw "unsupported enc name: " + enc;
+    if (hCEK.length != encParam[0] * 2)
+	throw "content encryption key length mismatch for " + enc;
+
+    if (hIV.length != 32)
+	throw "initialization vector shall be 16 bytes";
+
+    var hMacKey = hCEK.substr(0, encParam[1] * 2);
+    var hEncKey = hCEK.substr(encParam[1] * 2);
+
+    var encrypted = _CryptoJS.AES.encrypt(_Hex.parse(hPlain),
+					  _Hex.parse(hEncKey),
+					  { iv: _Hex.parse(hIV) });
+    var hCT = _Hex.stringify(encrypted.ciphertext);
+    var hTag = _KJUR_jws_JWE._getTag(encParam, hMacKey, hAAD, hIV, hCT);
+
+    return { ciphertext: hCT, tag: hTag };
+};
+
+/**
+ * decrypt content with AES_CBC_HMAC_SHA2 algorithm<br/>
+ * @name decryptContent
+ * @memberOf KJUR.jws.JWE
+ * @function
+ * @static
+ * @param {String} enc content encryption algorithm name (ex. "A128CBC-HS256")
+ * @param {String} hCEK hexadecimal string of content encryption key
+ * @param {String} hIV hexadecimal string of 16 byte initialization vector
+ * @param {String} hAAD hexadecimal string of additional authenticated data
+ * @param {String} hCT hexadecimal string of ciphertext
+ * @param {String} hTag hexadecimal string of authentication tag
+ * @return {String} hexadecimal string of decrypted plaintext
+ * @since jsrsasign 7.2.1 jwe 1.0.0
+ * @description
+ * This static method verifies authentication tag and decrypts ciphertext
+ * by AES_CBC_HMAC_SHA2 algorithm defined in
+ * <a href="https://tools.ietf.org/html/rfc7518#section-5.2">RFC 7518 5.2</a>.
+ * When authentication tag doesn't match or initialization vector
+ * isn't 16 bytes, an exception will be thrown.
+ * @example
+ * KJUR.jws.JWE.decryptContent("A128CBC-HS256", "0001...", "1af3...", "6a9b...", "c80e...", "652c...") &rarr; "4c69..."
+ */
+KJUR.jws.JWE.decryptContent = function(enc, hCEK, hIV, hAAD, hCT, hTag) {
+    var _KJUR_jws_JWE = KJUR.jws.JWE,
+	_CryptoJS = CryptoJS,
+	_Hex = _CryptoJS.enc.Hex;
+
+    var encParam = _KJUR_jws_JWE.ENCPARAM[enc];
+    if (encParam === undefined)
+	throw "unsupported enc name: " + enc;
+    if (hCEK.length != encParam[0] * 2)
+	throw "content encryption key length mismatch for " + enc;
+
+    if (hIV.length != 32)
+	throw "initialization vector shall be 16 bytes";
+
+    var hMacKey = hCEK.substr(0, encParam[1] * 2);
+    var hEncKey = hCEK.substr(encParam[1] * 2);
+
+    var hTag2 = _KJUR_jws_JWE._getTag(encParam, hMacKey, hAAD, hIV, hCT);
+    if (! KJUR.crypto.Util._equalsHex(hTag, hTag2))
+	throw "authentication tag mismatch";
+
+    var decrypted = _CryptoJS.AES.decrypt({ ciphertext: _Hex.parse(hCT) },
+					  _Hex.parse(hEncKey),
+					  { iv: _Hex.parse(hIV) });
+    return _Hex.stringify(decrypted);
+};
+
+/*
+ * calculate truncated HMAC of AAD || IV || ciphertext || AL
+ */
+KJUR.jws.JWE._getTag = function(encParam, hMacKey, hAAD, hIV, hCT) {
+    var hAL = (hAAD.length * 4).toString(16);
+    hAL = ("0000000000000000" + hAL).slice(-16);
+
+    var mac = new KJUR.crypto.Mac({alg: encParam[2], pass: {hex: hMacKey}});
+    mac.updateHex(hAAD + hIV + hCT + hAL);
+    return mac.doFinal().substr(0, encParam[3] * 2);
+};
+
+/**
+ * get hexadecimal string of shared key<br/>
+ * @name getSharedKeyHex
+ * @memberOf KJUR.jws.JWE
+ * @function
+ * @static
+ * @param {Object} key hexadecimal string or associative array of shared key
+ * @return {String} hexadecimal string of shared key
+ * @since jsrsasign 7.2.1 jwe 1.0.0
+ * @description
+ * This static method converts a shared key for "dir" algorithm
+ * to hexadecimal string.
+ * Key can be a hexadecimal string or an associative array
+ * which has one of "hex", "utf8", "rstr", "b64" or "b64u" member.
+ * @example
+ * KJUR.jws.JWE.getSharedKeyHex("0a1b2c") &rarr; "0a1b2c"
+ * KJUR.jws.JWE.getSharedKeyHex({b64u: "Chss"}) &rarr; "0a1b2c"
+ */
+KJUR.jws.JWE.getSharedKeyHex = function(key) {
+    if (typeof key == "string") {
+	if (! key.match(/^([0-9A-Fa-f]{2})+$/))
+	    throw "shared key shall be a hexadecimal string";
+	return key.toLowerCase();
+    }
+    if (typeof key != "object" || key === null)
+	throw "shared key not specified";
+    if (key.hex !== undefined) return key.hex.toLowerCase();
+    if (key.utf8 !== undefined) return utf8tohex(key.utf8);
+    if (key.rstr !== undefined) return rstrtohex(key.rstr);
+    if (key.b64 !== undefined) return b64tohex(key.b64);
+    if (key.b64u !== undefined) return b64utohex(key.b64u);
+    throw "unsupported shared key: " + key;
+};
+
+/*
+ * get RSAKey object from RSAKey object, PEM string or JWK
+ */
+KJUR.jws.JWE.getRSAKey = function(key) {
+    if (! (key instanceof RSAKey)) key = KEYUTIL.getKey(key);
+    if (! (key instanceof RSAKey))
+	throw "RSA key is required for RSA-OAEP algorithm";
+    return key;
+};
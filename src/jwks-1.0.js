@@ -0,0 +1,342 @@
+/* jwks-1.0.0 (c) 2017 Kenji Urushima | kjur.github.com/jsrsasign/license
+ */
+/*
+ * jwks.js - JSON Web Key Set (JWK Set) Class
+ *
+ * Copyright (c) 2017 Kenji Urushima (kenji.urushima@gmail.com)
+ *
+ * This software is licensed under the terms of the MIT License.
+ * http://kjur.github.com/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+/**
+ * @fileOverview
+ * @name jwks-1.0.js
+ * @author Kenji Urushima kenji.urushima@gmail.com
+ * @version jsrsasign 7.2.1 jwks 1.0.0 (2017-Jun-03)
+ * @since jsrsasign 7.2.1
+ * @license <a href="http://kjur.github.io/jsrsasign/license/">MIT License</a>
+ */
+
+if (typeof KJUR == "undefined" || !KJUR) KJUR = {};
+if (typeof KJUR.jws == "undefined" || !KJUR.jws) KJUR.jws = {};
+
+/**
+ * JSON Web Key Set (JWK Set) class.<br/>
+ * @class JSON Web Key Set (JWK Set) class
+ * @name KJUR.jws.JWKSet
+ * @param {Object} spJWKSet JSON string or object of JWK Set (OPTION)
+ * @property {Array} aJWK array of JWK objects in this JWK Set
+ * @property {Array} aKey array of key objects for each JWK
+ * @author Kenji Urushima
+ * @since jsrsasign 7.2.1 jwks 1.0.0
+ * @see <a href="https://tools.ietf.org/html/rfc7517#section-5">RFC 7517 5. JWK Set Format</a>
+ * @description
+ * This class holds keys of
+ * <a href="https://tools.ietf.org/html/rfc7517#section-5">RFC 7517 JWK Set</a>
+ * and selects candidate keys for JWS verification.
+ * Each JWK is loaded by {@link KEYUTIL.getKey} and
+ * JWKs which can't be loaded such as unknown "kty" are ignored
+ * as RFC 7517 recommends.
+ * Symmetric "oct" key is held as {b64u: k} which can be passed to
+ * {@link KJUR.crypto.Mac}.
+ * <br/>
+ * A JWK Set object can be passed to {@link KJUR.jws.JWS.verify} and
+ * {@link KJUR.jws.JWS.verifyJWT} as a key directly.
+ * Then candidate keys are selected by "kid" and "alg" in the JWS header
+ * by {@link KJUR.jws.JWKSet#getCandidateKeys}.
+ * Here is major methods of this class:
+ * <ul>
+ * <li>{@link KJUR.jws.JWKSet#readJWKSet} - read JWK Set string or object</li>
+ * <li>{@link KJUR.jws.JWKSet#addKey} - add a key object to JWK Set</li>
+ * <li>{@link KJUR.jws.JWKSet#getKeys} - get keys by kid, kty, alg and use</li>
+ * <li>{@link KJUR.jws.JWKSet#getCandidateKeys} - get keys for JWS header</li>
+ * <li>{@link KJUR.jws.JWKSet#getJSON} - get JWK Set object</li>
+ * </ul>
+ * @example
+ * // verify JWS by JWK Set of identity provider
+ * jwks = new KJUR.jws.JWKSet({keys: [{kty: "RSA", kid: "key1", n: "...", e: "AQAB"}, ...]});
+ * isValid = KJUR.jws.JWS.verify("eyJ...", jwks, ["RS256"]);
+ * isValid = KJUR.jws.JWS.verifyJWT("eyJ...", jwks, {alg: ["RS256"], iss: ["https://foo.com"]});
+ *
+ * // build JWK Set from public keys
+ * jwks = new KJUR.jws.JWKSet();
+ * jwks.addKey(pubKeyObj1, {kid: "key1", use: "sig"});
+ * jwks.addKey(pubKeyObj2, {kid: "key2", use: "sig"});
+ * jwks.getJSON() &rarr; {keys: [{kty: "RSA", kid: "key1", ...}, ...]}
+ */
+KJUR.jws.JWKSet = function(spJWKSet) {
+    var _KJUR = KJUR,
+	_KJUR_jws = _KJUR.jws,
+	_KJUR_jws_JWKSet = _KJUR_jws.JWKSet,
+	_KEYUTIL = KEYUTIL;
+
+    this.aJWK = [];
+    this.aKey = [];
+
+    /**
+     * (re-)initialize this object.<br/>
+     * @name init
+     * @memberOf KJUR.jws.JWKSet#
+     * @function
+     * @since jsrsasign 7.2.1 jwks 1.0.0
+     */
+    this.init = function() {
+	this.aJWK = [];
+	this.aKey = [];
+    };
+
+    /**
+     * read JWK Set JSON string or object.<br/>
+     * @name readJWKSet
+     * @memberOf KJUR.jws.JWKSet#
+     * @function
+     * @param {Object} spJWKSet JSON string or object of JWK Set
+     * @since jsrsasign 7.2.1 jwks 1.0.0
+     * @description
+     * This method (re-)initializes this object by JWK Set.
+     * JWKs which can't be loaded by {@link KEYUTIL.getKey}
+     * are ignored.
+     * @example
+     * jwks = new KJUR.jws.JWKSet();
+     * jwks.readJWKSet('{"keys":[{"kty":"EC",...}]}');
+     * jwks.readJWKSet({keys: [{kty: "EC", ...}]});
+     */
+    this.readJWKSet = function(spJWKSet) {
+	var pJWKSet = spJWKSet;
+	if (typeof spJWKSet == "string")
+	    pJWKSet = _KJUR_jws.JWS.readSafeJSONString(spJWKSet);
+
+	if (pJWKSet == null || typeof pJWKSet != "object" ||
+	    Object.prototype.toString.call(pJWKSet.keys) !== '[object Array]')
+	    throw "JWK Set shall have \"keys\" array";
+
+	this.init();
+	for (var i = 0; i < pJWKSet.keys.length; i++) {
+	    var jwk = pJWKSet.keys[i];
+	    var key;
+	    try {
+		key = _KJUR_jws_JWKSet.getKeyFromJWK(jwk);
+	    } catch (ex) {
+		continue;
+	    }
+	    this.aJWK.push(jwk);
+	    this.aKey.push(key);
+	}
+    };
+
+    /**
+     * add a key object to this JWK Set.<br/>
+     * @name addKey
+     * @memberOf KJUR.jws.JWKSet#
+     * @function
+     * @param {Object} keyObj RSAKey or KJUR.crypto.ECDSA key object
+     * @param {Array} param associative array of additional JWK members (OPTION)
+     * @return {Object} JWK object which is added
+     * @since jsrsasign 7.2.1 jwks 1.0.0
+     * @description
+     * This method converts a key object to JWK by
+     * {@link KEYUTIL.getJWKFromKey} and adds it to this JWK Set.
+     * Additional JWK members such as "kid", "use", "alg" or "key_ops"
+     * can be specified by param argument.
+     * @example
+     * jwks.addKey(pubKeyObj, {kid: "key1", use: "sig", alg: "RS256"});
+     */
+    this.addKey = function(keyObj, param) {
+	var jwk = _KEYUTIL.getJWKFromKey(keyObj);
+	if (param !== undefined) {
+	    for (var name in param) {
+		if (param.hasOwnProperty(name)) jwk[name] = param[name];
+	    }
+	}
+	this.aJWK.push(jwk);
+	this.aKey.push(keyObj);
+	return jwk;
+    };
+
+    /**
+     * get key objects which match specified JWK parameters.<br/>
+     * @name getKeys
+     * @memberOf KJUR.jws.JWKSet#
+     * @function
+     * @param {Array} param associative array of "kid", "kty", "alg" and "use" to match (OPTION)
+     * @return {Array} array of key objects
+     * @since jsrsasign 7.2.1 jwks 1.0.0
+     * @description
+     * This method returns key objects which match all of specified
+     * parameters in following manner:
+     * <ul>
+     * <li>kid - JWK "kid" shall be the same</li>
+     * <li>kty - JWK "kty" shall be the same</li>
+     * <li>alg - JWK "alg" shall be the same if JWK has "alg"</li>
+     * <li>use - JWK "use" shall be the same if JWK has "use"</li>
+     * </ul>
+     * When param is omitted, all keys will be returned.
+     * @example
+     * jwks.getKeys({kid: "key1"}) &rarr; [RSAKey]
+     * jwks.getKeys({kty: "EC", use: "sig"}) &rarr; [KJUR.crypto.ECDSA, KJUR.crypto.ECDSA]
+     */
+    this.getKeys = function(param) {
+	var aIdx = this._getIndexes(param);
+	var result = [];
+	for (var i = 0; i < aIdx.length; i++) result.push(this.aKey[aIdx[i]]);
+	return result;
+    };
+
+    this._getIndexes = function(param) {
+	if (param === undefined) param = {};
+	var result = [];
+	for (var i = 0; i < this.aJWK.length; i++) {
+	    var jwk = this.aJWK[i];
+	    if (param.kid !== undefined && jwk.kid !== param.kid) continue;
+	    if (param.kty !== undefined && jwk.kty !== param.kty) continue;
+	    if (param.alg !== undefined && jwk.alg !== undefined &&
+		jwk.alg !== param.alg) continue;
+	    if (param.use !== undefined && jwk.use !== undefined &&
+		jwk.use !== param.use) continue;
+	    result.push(i);
+	}
+	return result;
+    };
+
+    /**
+     * get candidate key objects to verify JWS by JWS header.<br/>
+     * @name getCandidateKeys
+     * @memberOf KJUR.jws.JWKSet#
+     * @function
+     * @param {Object} pHeader JWS header object
+     * @return {Array} array of key objects
+     * @since jsrsasign 7.2.1 jwks 1.0.0
+     * @description
+     * This method returns candidate keys for JWS header
+     * by {@link KJUR.jws.JWKSet#getKeys} with following parameters:
+     * <ul>
+     * <li>kid - "kid" in JWS header if specified</li>
+     * <li>kty - key type for "alg" in JWS header
+     * (See {@link KJUR.jws.JWKSet.getKtyByAlg})</li>
+     * <li>alg - "alg" in JWS header</li>
+     * <li>use - "sig"</li>
+     * </ul>
+     * Also JWK which has "key_ops" without "verify" is excluded.
+     * For ES* and BP* algorithms, EC keys of other curves than the
+     * algorithm's one (See {@link KJUR.jws.JWS.jwsalg2curve}) are excluded.
+     * @example
+     * jwks.getCandidateKeys({alg: "ES256", kid: "key2"}) &rarr; [KJUR.crypto.ECDSA]
+     */
+    this.getCandidateKeys = function(pHeader) {
+	var param = {alg: pHeader.alg, use: "sig"};
+	if (pHeader.kid !== undefined) param.kid = pHeader.kid;
+	var kty = _KJUR_jws_JWKSet.getKtyByAlg(pHeader.alg);
+	if (kty === null) return [];
+	param.kty = kty;
+	var curveName = _KJUR_jws.JWS.jwsalg2curve[pHeader.alg];
+
+	var aIdx = this._getIndexes(param);
+	var result = [];
+	for (var i = 0; i < aIdx.length; i++) {
+	    var jwk = this.aJWK[aIdx[i]];
+	    var key = this.aKey[aIdx[i]];
+	    if (jwk.key_ops !== undefined &&
+		! _KJUR_jws.JWS.inArray("verify", jwk.key_ops)) continue;
+	    if (kty === "EC" && curveName !== undefined &&
+		key.ecparams.name !== curveName) continue;
+	    result.push(key);
+	}
+	return result;
+    };
+
+    /**
+     * get JWK Set object.<br/>
+     * @name getJSON
+     * @memberOf KJUR.jws.JWKSet#
+     * @function
+     * @return {Object} JWK Set object which has "keys" array
+     * @since jsrsasign 7.2.1 jwks 1.0.0
+     * @example
+     * jwks.getJSON() &rarr; {keys: [{kty: "RSA", ...}, {kty: "EC", ...}]}
+     */
+    this.getJSON = function() {
+	return { keys: this.aJWK.slice(0) };
+    };
+
+    if (spJWKSet !== undefined) this.readJWKSet(spJWKSet);
+};
+
+/**
+ * get key object from a JWK.<br/>
+ * @name getKeyFromJWK
+ * @memberOf KJUR.jws.JWKSet
+ * @function
+ * @static
+ * @param {Object} jwk JWK object
+ * @return {Object} key object
+ * @since jsrsasign 7.2.1 jwks 1.0.0
+ * @description
+ * This static method converts JWK to key object.
+ * "oct" key is converted to {b64u: k} for {@link KJUR.crypto.Mac}
+ * and other keys are converted by {@link KEYUTIL.getKey}.
+ * @example
+ * KJUR.jws.JWKSet.getKeyFromJWK({kty: "oct", k: "AyM1Sys..."}) &rarr; {b64u: "AyM1Sys..."}
+ * KJUR.jws.JWKSet.getKeyFromJWK({kty: "RSA", n: "...", e: "AQAB"}) &rarr; RSAKey
+ */
+KJUR.jws.JWKSet.getKeyFromJWK = function(jwk) {
+    if (jwk.kty === "oct") {
+	if (typeof jwk.k != "string")
+	    throw "oct JWK shall have k";
+	return {b64u: jwk.k};
+    }
+    return KEYUTIL.getKey(jwk);
+};
+
+/**
+ * get JWK key type name for JWS algorithm name.<br/>
+ * @name getKtyByAlg
+ * @memberOf KJUR.jws.JWKSet
+ * @function
+ * @static
+ * @param {String} alg JWS algorithm name (ex. "RS256")
+ * @return {String} JWK "kty" value or null if unknown
+ * @since jsrsasign 7.2.1 jwks 1.0.0
+ * @example
+ * KJUR.jws.JWKSet.getKtyByAlg("PS256") &rarr; "RSA"
+ * KJUR.jws.JWKSet.getKtyByAlg("ES384") &rarr; "EC"
+ * KJUR.jws.JWKSet.getKtyByAlg("HS512") &rarr; "oct"
+ * KJUR.jws.JWKSet.getKtyByAlg("EdDSA") &rarr; "OKP"
+ */
+KJUR.jws.JWKSet.getKtyByAlg = function(alg) {
+    if (typeof alg != "string") return null;
+    var algType = alg.substr(0, 2);
+    if (algType == "RS" || algType == "PS") return "RSA";
+    if (algType == "ES" || algType == "BP") return "EC";
+    if (algType == "HS") return "oct";
+    if (alg == "EdDSA") return "OKP";
+    return null;
+};
+
+/**
+ * get JWK Set object from array of key objects.<br/>
+ * @name getJWKSetFromKeys
+ * @memberOf KJUR.jws.JWKSet
+ * @function
+ * @static
+ * @param {Array} aKeyObj array of RSAKey or KJUR.crypto.ECDSA key objects
+ * @param {Array} aParam array of additional JWK members for each key (OPTION)
+ * @return {Object} JWK Set object which has "keys" array
+ * @since jsrsasign 7.2.1 jwks 1.0.0
+ * @description
+ * This static method converts key objects to JWK Set by
+ * {@link KEYUTIL.getJWKFromKey}.
+ * @example
+ * KJUR.jws.JWKSet.getJWKSetFromKeys([pubKey1, pubKey2], [{kid: "k1"}, {kid: "k2"}]) &rarr;
+ * {keys: [{kty: "RSA", kid: "k1", ...}, {kty: "EC", kid: "k2", ...}]}
+ */
+KJUR.jws.JWKSet.getJWKSetFromKeys = function(aKeyObj, aParam) {
+    var jwks = new KJUR.jws.JWKSet();
+    for (var i = 0; i < aKeyObj.length; i++) {
+	jwks.addKey(aKeyObj[i], (aParam !== undefined) ? aParam[i] : undefined);
+    }
+    return jwks.getJSON();
+};
@@ -48,6 +48,10 @@ if (typeof KJUR.jws == "undefined" || !KJUR.jws) KJUR.jws = {};
  * <li>{@link KJUR.jws.JWSJS#verifyAll} - verify all signatures in JWSJS object.</li>
  * <li>{@link KJUR.jws.JWSJS#getJSON} - get result of JWSJS object as JSON object.</li>
  * </ul>
+ * NOTE: This class is for the old draft format which has
+ * "headers", "payload" and "signatures" arrays and is kept for old data.
+ * For general and flattened JWS JSON Serialization of RFC 7515,
+ * please use {@link KJUR.jws.JWSJSON} class since jsrsasign 7.2.1.
  *
  * @example
  * // initialize
@@ -0,0 +1,437 @@
+/* jwsjson-1.0.0 (c) 2017 Kenji Urushima | kjur.github.com/jsrsasign/license
+ */
+/*
+ * jwsjson.js - RFC 7515 JWS JSON Serialization Class
+ *
+ * Copyright (c) 2017 Kenji Urushima (kenji.urushima@gmail.com)
+ *
+ * This software is licensed under the terms of the MIT License.
+ * http://kjur.github.com/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+/**
+ * @fileOverview
+ * @name jwsjson-1.0.js
+ * @author Kenji Urushima kenji.urushima@gmail.com
+ * @version jsrsasign 7.2.1 jwsjson 1.0.0 (2017-Jun-03)
+ * @since jsrsasign 7.2.1
+ * @license <a href="http://kjur.github.io/jsrsasign/license/">MIT License</a>
+ */
+
+if (typeof KJUR == "undefined" || !KJUR) KJUR = {};
+if (typeof KJUR.jws == "undefined" || !KJUR.jws) KJUR.jws = {};
+
+/**
+ * RFC 7515 JWS JSON Serialization class.<br/>
+ * @class RFC 7515 JWS JSON Serialization class
+ * @name KJUR.jws.JWSJSON
+ * @param {Object} spJSON JSON string or object of JWS JSON Serialization (OPTION)
+ * @property {String} sPayload value of "payload" member
+ * @property {Boolean} isB64 false if payload is unencoded by RFC 7797
+ * @property {Array} aSig array of signature objects which have
+ * "protected", "header" and "signature" members
+ * @author Kenji Urushima
+ * @since jsrsasign 7.2.1 jwsjson 1.0.0
+ * @see <a href="https://tools.ietf.org/html/rfc7515#section-7.2">RFC 7515 7.2. JWS JSON Serialization</a>
+ * @description
+ * This class generates, parses and verifies both general and flattened
+ * JWS JSON Serialization defined in
+ * <a href="https://tools.ietf.org/html/rfc7515#section-7.2">
+ * RFC 7515 section 7.2</a>.
+ * Each signature has integrity protected "protected" header and
+ * unprotected "header" header.
+ * <br/>
+ * NOTE1: {@link KJUR.jws.JWSJS} is for old Internet Draft
+ * "JWS JSON Serialization (JWS-JS)" format and kept for
+ * backward compatibility. Please use this class for RFC 7515.<br/>
+ * NOTE2: To prevent algorithm substitution, "alg" shall be
+ * in "protected" header for signing and verification by this class.<br/>
+ * Here is major methods of this class:
+ * <ul>
+ * <li>{@link KJUR.jws.JWSJSON#readJSON} - read general or flattened JWS JSON Serialization</li>
+ * <li>{@link KJUR.jws.JWSJSON#initWithJWS} - initialize with JWS Compact Serialization</li>
+ * <li>{@link KJUR.jws.JWSJSON#setPayload} - set payload to sign</li>
+ * <li>{@link KJUR.jws.JWSJSON#addSignature} - append signature</li>
+ * <li>{@link KJUR.jws.JWSJSON#verifyNth} - verify nth signature</li>
+ * <li>{@link KJUR.jws.JWSJSON#verifyAll} - verify all signatures</li>
+ * <li>{@link KJUR.jws.JWSJSON#getHeader} - get union of protected and unprotected header</li>
+ * <li>{@link KJUR.jws.JWSJSON#getJSON} - get general JWS JSON Serialization object</li>
+ * <li>{@link KJUR.jws.JWSJSON#getFlattenedJSON} - get flattened JWS JSON Serialization object</li>
+ * </ul>
+ * @example
+ * // sign by multiple signers
+ * jwsjson = new KJUR.jws.JWSJSON();
+ * jwsjson.setPayload({iss: "joe", exp: 1300819380});
+ * jwsjson.addSignature(null, {alg: "RS256"}, prvKeyRSA, null, {kid: "2010-12-29"});
+ * jwsjson.addSignature(null, {alg: "ES256"}, prvKeyEC, null, {kid: "e9bc097a"});
+ * jwsjson.getJSON() &rarr; {payload: "eyJ...", signatures: [{protected: "eyJ...", header: {kid: "2010-12-29"}, signature: "cC4h..."}, ...]}
+ *
+ * // verify each signature
+ * jwsjson = new KJUR.jws.JWSJSON('{"payload":"eyJ...","signatures":[...]}');
+ * jwsjson.verifyNth(0, pubKeyRSA, ["RS256"]) &rarr; true
+ * jwsjson.verifyNth(1, jwks, ["ES256"]) &rarr; true
+ */
+KJUR.jws.JWSJSON = function(spJSON) {
+    var _KJUR = KJUR,
+	_KJUR_jws = _KJUR.jws,
+	_KJUR_jws_JWS = _KJUR_jws.JWS,
+	_readSafeJSONString = _KJUR_jws_JWS.readSafeJSONString,
+	_JSON = JSON;
+
+    this.sPayload = undefined;
+    this.isB64 = true;
+    this.aSig = [];
+
+    /**
+     * (re-)initialize this object.<br/>
+     * @name init
+     * @memberOf KJUR.jws.JWSJSON#
+     * @function
+     * @since jsrsasign 7.2.1 jwsjson 1.0.0
+     */
+    this.init = function() {
+	this.sPayload = undefined;
+	this.isB64 = true;
+	this.aSig = [];
+    };
+
+    /**
+     * set payload to sign.<br/>
+     * @name setPayload
+     * @memberOf KJUR.jws.JWSJSON#
+     * @function
+     * @param {Object} spPayload string or object of payload
+     * @param {Boolean} isB64 false for RFC 7797 unencoded payload (OPTION, DEFAULT: true)
+     * @since jsrsasign 7.2.1 jwsjson 1.0.0
+     * @description
+     * This method (re-)initializes this object and sets payload.
+     * When 'isB64' is false, payload is kept unencoded and
+     * "b64" header parameter of all signatures shall be false.
+     * @example
+     * jwsjson.setPayload({iss: "joe"});
+     * jwsjson.setPayload("$.02", false);
+     */
+    this.setPayload = function(spPayload, isB64) {
+	this.init();
+	var sPayload = spPayload;
+	if (typeof spPayload == "object") sPayload = _JSON.stringify(spPayload);
+	if (typeof sPayload != "string") throw "payload shall be string or object";
+	this.isB64 = (isB64 !== false);
+	this.sPayload = (this.isB64) ? utf8tob64u(sPayload) : sPayload;
+    };
+
+    /**
+     * get payload string.<br/>
+     * @name getPayload
+     * @memberOf KJUR.jws.JWSJSON#
+     * @function
+     * @return {String} decoded payload string
+     * @since jsrsasign 7.2.1 jwsjson 1.0.0
+     * @example
+     * jwsjson.getPayload() &rarr; '{"iss":"joe"}'
+     */
+    this.getPayload = function() {
+	if (this.sPayload === undefined) throw "payload not set";
+	return (this.isB64) ? b64utoutf8(this.sPayload) : this.sPayload;
+    };
+
+    /**
+     * (re-)initialize with JWS Compact Serialization.<br/>
+     * @name initWithJWS
+     * @memberOf KJUR.jws.JWSJSON#
+     * @function
+     * @param {String} sJWS JWS Compact Serialization string
+     * @param {Object} spHeader string or object of unprotected header (OPTION)
+     * @since jsrsasign 7.2.1 jwsjson 1.0.0
+     * @example
+     * jwsjson.initWithJWS("eyJ...", {kid: "key1"});
+     */
+    this.initWithJWS = function(sJWS, spHeader) {
+	var a = sJWS.split(".");
+	if (a.length != 3) throw "malformed input JWS";
+	var pProtected = _readSafeJSONString(b64utoutf8(a[0]));
+	if (pProtected == null) throw "malformed JWS header";
+
+	this.init();
+	this.isB64 = _KJUR_jws_JWS.isB64Payload(pProtected);
+	this.sPayload = a[1];
+	this._addSig(a[0], spHeader, a[2]);
+    };
+
+    /**
+     * read general or flattened JWS JSON Serialization.<br/>
+     * @name readJSON
+     * @memberOf KJUR.jws.JWSJSON#
+     * @function
+     * @param {Object} spJSON JSON string or object of JWS JSON Serialization
+     * @throws if spJSON is malformed
+     * @since jsrsasign 7.2.1 jwsjson 1.0.0
+     * @description
+     * This method (re-)initializes this object by
+     * general or flattened JWS JSON Serialization.
+     * It raises an error when "payload" or "signature" is missing,
+     * "protected" header isn't a Base64URL encoded JSON,
+     * "protected" and "header" have the same parameter or
+     * "b64" header parameter differs among signatures.
+     * @example
+     * jwsjson.readJSON('{"payload":"eyJ...","signatures":[{"protected":"eyJ...","signature":"..."}]}');
+     * jwsjson.readJSON({payload: "eyJ...", protected: "eyJ...", header: {kid: "k1"}, signature: "..."});
+     */
+    this.readJSON = function(spJSON) {
+	var o = spJSON;
+	if (typeof spJSON == "string") {
+	    o = _readSafeJSONString(spJSON);
+	    if (o == null) throw "argument is not safe JSON object string";
+	}
+	if (o === null || typeof o != "object")
+	    throw "JWS JSON Serialization shall be string or object";
+	if (typeof o.payload != "string")
+	    throw "payload member shall be string";
+
+	var aSigIn;
+	if (o.signatures !== undefined) {
+	    if (Object.prototype.toString.call(o.signatures) !== '[object Array]' ||
+		o.signatures.length == 0)
+		throw "signatures member shall be non-empty array";
+	    if (o.signature !== undefined)
+		throw "both signatures and signature member specified";
+	    aSigIn = o.signatures;
+	} else {
+	    aSigIn = [o]; // flattened
+	}
+
+	this.init();
+	this.sPayload = o.payload;
+	if (typeof aSigIn[0]["protected"] == "string") {
+	    var pFirst = _readSafeJSONString(b64utoutf8(aSigIn[0]["protected"]));
+	    if (pFirst != null)
+		this.isB64 = _KJUR_jws_JWS.isB64Payload(pFirst);
+	}
+	for (var i = 0; i < aSigIn.length; i++) {
+	    var oSig = aSigIn[i];
+	    if (typeof oSig.signature != "string")
+		throw "signature member shall be string";
+	    this._addSig(oSig["protected"], oSig.header, oSig.signature);
+	}
+    };
+
+    /**
+     * add a signature for payload.<br/>
+     * @name addSignature
+     * @memberOf KJUR.jws.JWSJSON#
+     * @function
+     * @param {String} alg JWS algorithm. If null, alg in protected header will be used.
+     * @param {Object} spProtected string or object of protected header
+     * @param {Object} key JWS key to sign. key object, PEM private key or HMAC key
+     * @param {String} pass password for encrypted PEM private key (OPTION)
+     * @param {Object} spHeader string or object of unprotected header (OPTION)
+     * @throws if signing failed
+     * @since jsrsasign 7.2.1 jwsjson 1.0.0
+     * @description
+     * This method signs payload by {@link KJUR.jws.JWS.sign} and
+     * appends the signature to this object.
+     * @example
+     * jwsjson.setPayload({iss: "joe"});
+     * jwsjson.addSignature(null, {alg: "RS256"}, prvKeyRSA, null, {kid: "k1"});
+     * jwsjson.addSignature("HS256", {alg: "HS256"}, {utf8: "secret"});
+     */
+    this.addSignature = function(alg, spProtected, key, pass, spHeader) {
+	if (this.sPayload === undefined)
+	    throw "payload not set";
+
+	var sJWS = _KJUR_jws_JWS.sign(alg, spProtected, this.getPayload(),
+				      key, pass, true);
+	var a = sJWS.split(".");
+	this._addSig(a[0], spHeader, a[2]);
+    };
+
+    /**
+     * verify nth signature by key and acceptAlgs.<br/>
+     * @name verifyNth
+     * @memberOf KJUR.jws.JWSJSON#
+     * @function
+     * @param {Integer} idx index of signature to verify
+     * @param {Object} key key to verify. See {@link KJUR.jws.JWS.verify}.
+     * @param {Array} acceptAlgs array of acceptable JWS algorithms (OPTION)
+     * @return {Boolean} true if signature is valid otherwise false
+     * @since jsrsasign 7.2.1 jwsjson 1.0.0
+     * @description
+     * This method verifies nth signature by {@link KJUR.jws.JWS.verify}.
+     * When key is a {@link KJUR.jws.JWKSet} object or JWK Set object,
+     * candidate keys are selected by union of protected and
+     * unprotected header so that "kid" in "header" member can be used.
+     * It returns false when "alg" is not in protected header
+     * or verification raises an error.
+     * @example
+     * jwsjson.verifyNth(0, "-----BEGIN CERT...", ["RS256"]) &rarr; true
+     * jwsjson.verifyNth(1, jwks, ["ES256"]) &rarr; true
+     */
+    this.verifyNth = function(idx, key, acceptAlgs) {
+	if (idx < 0 || this.aSig.length <= idx) return false;
+	var oSig = this.aSig[idx];
+	if (oSig["protected"] === undefined) return false;
+
+	try {
+	    var pProtected = _readSafeJSONString(b64utoutf8(oSig["protected"]));
+	    if (pProtected.alg === undefined) return false;
+
+	    var sJWS, sPayload;
+	    if (this.isB64) {
+		sJWS = oSig["protected"] + "." + this.sPayload + "." + oSig.signature;
+	    } else {
+		sJWS = oSig["protected"] + ".." + oSig.signature;
+		sPayload = this.sPayload;
+	    }
+
+	    if (key !== null && typeof key == "object" &&
+		Object.prototype.toString.call(key.keys) === '[object Array]')
+		key = new _KJUR_jws.JWKSet(key);
+	    if (_KJUR_jws.JWKSet !== undefined &&
+		key instanceof _KJUR_jws.JWKSet) {
+		var aKey = key.getCandidateKeys(this.getHeader(idx));
+		for (var i = 0; i < aKey.length; i++) {
+		    if (_KJUR_jws_JWS.verify(sJWS, aKey[i], acceptAlgs, sPayload))
+			return true;
+		}
+		return false;
+	    }
+
+	    return _KJUR_jws_JWS.verify(sJWS, key, acceptAlgs, sPayload);
+	} catch (ex) {
+	    return false;
+	}
+    };
+
+    /**
+     * verify all signatures by array of key and acceptAlgs.<br/>
+     * @name verifyAll
+     * @memberOf KJUR.jws.JWSJSON#
+     * @function
+     * @param {Array} aKeyAlg array of pairs of key and acceptAlgs for each signature
+     * @return {Boolean} true if all signatures are valid otherwise false
+     * @since jsrsasign 7.2.1 jwsjson 1.0.0
+     * @example
+     * jwsjson.verifyAll([["-----BEGIN CERT...", ["RS256"]],
+     *                    [{utf8: "secret"}, ["HS256"]]]) &rarr; true
+     */
+    this.verifyAll = function(aKeyAlg) {
+	if (this.aSig.length == 0 || this.aSig.length !== aKeyAlg.length)
+	    return false;
+	for (var i = 0; i < aKeyAlg.length; i++) {
+	    var keyAlg = aKeyAlg[i];
+	    if (keyAlg.length !== 2) return false;
+	    if (this.verifyNth(i, keyAlg[0], keyAlg[1]) === false) return false;
+	}
+	return true;
+    };
+
+    /**
+     * get union of protected and unprotected header of nth signature.<br/>
+     * @name getHeader
+     * @memberOf KJUR.jws.JWSJSON#
+     * @function
+     * @param {Integer} idx index of signature
+     * @return {Object} JSON object of JOSE header
+     * @since jsrsasign 7.2.1 jwsjson 1.0.0
+     * @example
+     * jwsjson.getHeader(0) &rarr; {alg: "RS256", kid: "2010-12-29"}
+     */
+    this.getHeader = function(idx) {
+	if (idx < 0 || this.aSig.length <= idx) throw "no such signature: " + idx;
+	var oSig = this.aSig[idx];
+	var pHeader = {};
+	if (oSig["protected"] !== undefined) {
+	    var pProtected = _readSafeJSONString(b64utoutf8(oSig["protected"]));
+	    for (var name in pProtected) pHeader[name] = pProtected[name];
+	}
+	if (oSig.header !== undefined) {
+	    for (var name in oSig.header) pHeader[name] = oSig.header[name];
+	}
+	return pHeader;
+    };
+
+    /**
+     * get general JWS JSON Serialization object.<br/>
+     * @name getJSON
+     * @memberOf KJUR.jws.JWSJSON#
+     * @function
+     * @return {Object} general JWS JSON Serialization object
+     * @since jsrsasign 7.2.1 jwsjson 1.0.0
+     * @example
+     * jwsjson.getJSON() &rarr; {payload: "eyJ...", signatures: [{protected: "eyJ...", signature: "..."}]}
+     */
+    this.getJSON = function() {
+	var aSig = [];
+	for (var i = 0; i < this.aSig.length; i++) {
+	    aSig.push(this._getSigJSON(this.aSig[i], {}));
+	}
+	return {"payload": this.sPayload, "signatures": aSig};
+    };
+
+    /**
+     * get flattened JWS JSON Serialization object.<br/>
+     * @name getFlattenedJSON
+     * @memberOf KJUR.jws.JWSJSON#
+     * @function
+     * @return {Object} flattened JWS JSON Serialization object
+     * @throws if this object doesn't have just one signature
+     * @since jsrsasign 7.2.1 jwsjson 1.0.0
+     * @example
+     * jwsjson.getFlattenedJSON() &rarr; {payload: "eyJ...", protected: "eyJ...", signature: "..."}
+     */
+    this.getFlattenedJSON = function() {
+	if (this.aSig.length !== 1)
+	    throw "flattened JSON shall have just one signature";
+	return this._getSigJSON(this.aSig[0], {"payload": this.sPayload});
+    };
+
+    this._getSigJSON = function(oSig, o) {
+	if (oSig["protected"] !== undefined) o["protected"] = oSig["protected"];
+	if (oSig.header !== undefined) o.header = oSig.header;
+	o.signature = oSig.signature;
+	return o;
+    };
+
+    this._addSig = function(uProtected, spHeader, uSig) {
+	var pProtected = {}, pHeader;
+
+	if (uProtected !== undefined) {
+	    if (typeof uProtected != "string")
+		throw "protected member shall be string";
+	    pProtected = _readSafeJSONString(b64utoutf8(uProtected));
+	    if (pProtected == null) throw "malformed protected header";
+	}
+
+	if (spHeader !== undefined && spHeader !== null) {
+	    pHeader = spHeader;
+	    if (typeof spHeader == "string") pHeader = _readSafeJSONString(spHeader);
+	    if (pHeader == null || typeof pHeader != "object")
+		throw "malformed unprotected header";
+	    for (var name in pHeader) {
+		if (pProtected[name] !== undefined)
+		    throw "header parameter in both protected and header: " + name;
+	    }
+	}
+
+	if (uProtected === undefined && pHeader === undefined)
+	    throw "protected or header member shall be specified";
+	if (pHeader !== undefined && pHeader.b64 !== undefined)
+	    throw "b64 header parameter shall be in protected header";
+	if (pHeader !== undefined && pHeader.crit !== undefined)
+	    throw "crit header parameter shall be in protected header";
+
+	if (_KJUR_jws_JWS.isB64Payload(pProtected) !== this.isB64)
+	    throw "b64 header parameter shall be the same for all signatures";
+
+	var oSig = {};
+	if (uProtected !== undefined) oSig["protected"] = uProtected;
+	if (pHeader !== undefined) oSig.header = pHeader;
+	oSig.signature = uSig;
+	this.aSig.push(oSig);
+    };
+
+    if (spJSON !== undefined) this.readJSON(spJSON);
+};
@@ -55,10 +55,9 @@
  *
  * <dt><b>keypair generation - {@link KEYUTIL.generateKeypair}</b>
  * <ul>
- * <li>generate key pair of {@link RSAKey} or {@link KJUR.crypto.ECDSA}.</li>
+ * <li>generate key pair of {@link RSAKey}, {@link KJUR.crypto.ECDSA} or {@link KJUR.crypto.DSA}.</li>
  * <li>generate private key and convert it to PKCS#5 encrypted private key.</li>
  * </ul>
- * NOTE: {@link KJUR.crypto.DSA} is not yet supported.
  * </dl>
  * 
  * @example
@@ -805,16 +804,17 @@ var KEYUTIL = function() {
                 throw "malformed plain PKCS8 private key(code:001)"; // not sequence
 
             var a1 = _getChildIdx(pkcs8PrvHex, 0);
-            if (a1.length != 3)
+            if (a1.length < 3)
                 throw "malformed plain PKCS8 private key(code:002)";
 
             // 2. AlgID
             if (pkcs8PrvHex.substr(a1[1], 2) != "30")
                 throw "malformed PKCS8 private key(code:003)"; // AlgId not sequence
 
+            // NOTE: AlgId has no parameter for Ed25519 (RFC 8410)
             var a2 = _getChildIdx(pkcs8PrvHex, a1[1]);
-            if (a2.length != 2)
-                throw "malformed PKCS8 private key(code:004)"; // AlgId not have two elements
+            if (a2.length != 1 && a2.length != 2)
+                throw "malformed PKCS8 private key(code:004)"; // AlgId not have one or two elements
 
             // 2.1. AlgID OID
             if (pkcs8PrvHex.substr(a2[0], 2) != "06")
@@ -823,7 +823,7 @@ var KEYUTIL = function() {
             result.algoid = _getV(pkcs8PrvHex, a2[0]);
 
             // 2.2. AlgID param
-            if (pkcs8PrvHex.substr(a2[1], 2) == "06") {
+            if (a2.length == 2 && pkcs8PrvHex.substr(a2[1], 2) == "06") {
                 result.algparam = _getV(pkcs8PrvHex, a2[1]);
             }
 
@@ -864,12 +864,15 @@ var KEYUTIL = function() {
             var p8 = this.parsePlainPrivatePKCS8Hex(prvKeyHex);
 	    var key;
             
-            if (p8.algoid == "2a864886f70d010101") { // RSA
+            if (p8.algoid == "2a864886f70d010101" || // RSA
+		p8.algoid == "2a864886f70d01010a") { // RSASSA-PSS
 		key = new RSAKey();
 	    } else if (p8.algoid == "2a8648ce380401") { // DSA
 		key = new KJUR.crypto.DSA();
             } else if (p8.algoid == "2a8648ce3d0201") { // ECC
                 key = new KJUR.crypto.ECDSA();
+            } else if (p8.algoid == "2b6570") { // Ed25519
+                key = new KJUR.crypto.Ed25519();
             } else {
                 throw "unsupported private key algorithm";
             }
@@ -925,12 +928,15 @@ var KEYUTIL = function() {
 	    var key;
 	    var hOID = ASN1HEX.getVbyList(h, 0, [0, 0], "06");
 
-	    if (hOID === "2a864886f70d010101") {    // oid=RSA
+	    if (hOID === "2a864886f70d010101" ||    // oid=RSA
+		hOID === "2a864886f70d01010a") {    // oid=RSASSA-PSS
 		key = new RSAKey();
 	    } else if (hOID === "2a8648ce380401") { // oid=DSA
 		key = new KJUR.crypto.DSA();
 	    } else if (hOID === "2a8648ce3d0201") { // oid=ECPUB
 		key = new KJUR.crypto.ECDSA();
+	    } else if (hOID === "2b6570") {         // oid=Ed25519
+		key = new KJUR.crypto.Ed25519();
 	    } else {
 		throw "unsupported PKCS#8 public key hex";
 	    }
@@ -1151,6 +1157,7 @@ var KEYUTIL = function() {
  * <ul>
  * <li>ECC private/public key object(as is): param=KJUR.crypto.ECDSA</li>
  * <li>DSA private/public key object(as is): param=KJUR.crypto.DSA</li>
+ * <li>Ed25519 private/public key object(as is): param=KJUR.crypto.Ed25519</li>
  * <li>RSA private/public key object(as is): param=RSAKey </li>
  * <li>ECC private key parameters: param={d: d, curve: curveName}</li>
  * <li>RSA private key parameters: param={n: n, e: e, d: d, p: p, q: q, dp: dp, dq: dq, co: co}<br/>
@@ -1164,10 +1171,10 @@ var KEYUTIL = function() {
  * <li>RSA public key parameters: param={n: n, e: e} </li>
  * <li>X.509v1/v3 PEM certificate (RSA/DSA/ECC): param=pemString</li>
  * <li>PKCS#8 hexadecimal RSA/ECC public key: param=pemString, null, "pkcs8pub"</li>
- * <li>PKCS#8 PEM RSA/DSA/ECC public key: param=pemString</li>
+ * <li>PKCS#8 PEM RSA/DSA/ECC/Ed25519 public key: param=pemString</li>
  * <li>PKCS#5 plain hexadecimal RSA private key: param=hexString, null, "pkcs5prv"</li>
  * <li>PKCS#5 plain PEM DSA/RSA private key: param=pemString</li>
- * <li>PKCS#8 plain PEM RSA/ECDSA private key: param=pemString</li>
+ * <li>PKCS#8 plain PEM RSA/ECDSA/Ed25519 private key: param=pemString</li>
  * <li>PKCS#5 encrypted PEM RSA/DSA private key: param=pemString, passcode</li>
  * <li>PKCS#8 encrypted PEM RSA/ECDSA private key: param=pemString, passcode</li>
  * </ul>
@@ -1181,7 +1188,15 @@ var KEYUTIL = function() {
  * <li>JWT plain RSA private key without P/Q/DP/DQ/COEFF (since jsrsasign 5.0.0)</li>
  * </ul>
  * NOTE1: <a href="https://tools.ietf.org/html/rfc7517">RFC 7517 JSON Web Key(JWK)</a> support for RSA/ECC private/public key from jsrsasign 4.8.1.<br/>
- * NOTE2: X509v1 support is added since jsrsasign 5.0.11.
+ * NOTE2: X509v1 support is added since jsrsasign 5.0.11.<br/>
+ * NOTE3: <a href="https://tools.ietf.org/html/rfc8410">RFC 8410</a> Ed25519
+ * PKCS#8 private/public key, certificate and
+ * <a href="https://tools.ietf.org/html/rfc8037">RFC 8037</a> OKP JWK
+ * are supported since jsrsasign 7.2.1.<br/>
+ * NOTE4: <a href="https://tools.ietf.org/html/rfc4055">RFC 4055</a>
+ * RSASSA-PSS (i.e. id-RSASSA-PSS) PKCS#8 private/public key and certificate
+ * are supported since jsrsasign 7.2.1. They are loaded as {@link RSAKey}
+ * object with 'pssParam' property (see {@link RSAKey#readPKCS8PrvKeyHex}).
  * 
  * <h5>EXAMPLE</h5>
  * @example
@@ -1200,6 +1215,7 @@ var KEYUTIL = function() {
  * keyObj = KEYUTIL.getKey({kty: "RSA", n: "0vx7...", e: "AQAB"});
  * keyObj = KEYUTIL.getKey({kty: "EC", crv: "P-256", 
  *                          x: "MKBC...", y: "4Etl6...", d: "870Mb..."});
+ * keyObj = KEYUTIL.getKey({kty: "OKP", crv: "Ed25519", x: "11qYA..."});
  * // 5. bare hexadecimal key
  * keyObj = KEYUTIL.getKey({n: "75ab..", e: "010001"});
  */
@@ -1211,16 +1227,19 @@ KEYUTIL.getKey = function(param, passcode, hextype) {
 	_KJUR_crypto = KJUR.crypto,
 	_KJUR_crypto_ECDSA = _KJUR_crypto.ECDSA,
 	_KJUR_crypto_DSA = _KJUR_crypto.DSA,
+	_KJUR_crypto_Ed25519 = _KJUR_crypto.Ed25519,
 	_RSAKey = RSAKey,
 	_pemtohex = pemtohex;
 
-    // 1. by key RSAKey/KJUR.crypto.ECDSA/KJUR.crypto.DSA object
+    // 1. by key RSAKey/KJUR.crypto.ECDSA/KJUR.crypto.DSA/KJUR.crypto.Ed25519 object
     if (typeof _RSAKey != 'undefined' && param instanceof _RSAKey)
         return param;
     if (typeof _KJUR_crypto_ECDSA != 'undefined' && param instanceof _KJUR_crypto_ECDSA)
         return param;
     if (typeof _KJUR_crypto_DSA != 'undefined' && param instanceof _KJUR_crypto_DSA)
         return param;
+    if (typeof _KJUR_crypto_Ed25519 != 'undefined' && param instanceof _KJUR_crypto_Ed25519)
+        return param;
 
     // 2. by parameters of key
 
@@ -1348,7 +1367,7 @@ KEYUTIL.getKey = function(param, passcode, hextype) {
 	param.y !== undefined &&
         param.d === undefined) {
 	var ec = new _KJUR_crypto_ECDSA({"curve": param.crv});
-	var charlen = ec.ecparams.keylen / 4;
+	var charlen = Math.ceil(ec.ecparams.keylen / 8) * 2;
         var hX   = ("0000000000" + b64utohex(param.x)).slice(- charlen);
         var hY   = ("0000000000" + b64utohex(param.y)).slice(- charlen);
         var hPub = "04" + hX + hY;
@@ -1363,7 +1382,7 @@ KEYUTIL.getKey = function(param, passcode, hextype) {
 	param.y !== undefined &&
         param.d !== undefined) {
 	var ec = new _KJUR_crypto_ECDSA({"curve": param.crv});
-	var charlen = ec.ecparams.keylen / 4;
+	var charlen = Math.ceil(ec.ecparams.keylen / 8) * 2;
         var hX   = ("0000000000" + b64utohex(param.x)).slice(- charlen);
         var hY   = ("0000000000" + b64utohex(param.y)).slice(- charlen);
         var hPub = "04" + hX + hY;
@@ -1372,6 +1391,20 @@ KEYUTIL.getKey = function(param, passcode, hextype) {
 	ec.setPrivateKeyHex(hPrv);
 	return ec;
     }
+
+    // 3.3. JWK OKP Ed25519 (RFC 8037)
+    //      since jsrsasign 7.2.1
+    if (param.kty === "OKP" && param.crv === "Ed25519" &&
+	param.x !== undefined) {
+	if (_KJUR_crypto_Ed25519 === undefined)
+	    throw "KJUR.crypto.Ed25519 is required for Ed25519 key";
+	var ed = new _KJUR_crypto_Ed25519({pub: b64utohex(param.x)});
+	if (param.d !== undefined) {
+	    ed.setPrivateKeyHex(b64utohex(param.d));
+	    ed.isPublic = false;
+	}
+	return ed;
+    }
     
     // 4. (plain) hexadecimal data
     // 4.1. get private key by PKCS#5 plain RSA/DSA/ECDSA hexadecimal string
@@ -1515,8 +1548,8 @@ KEYUTIL.getKey = function(param, passcode, hextype) {
  * @memberOf KEYUTIL
  * @function
  * @static
- * @param {String} alg 'RSA' or 'EC'
- * @param {Object} keylenOrCurve key length for RSA or curve name for EC
+ * @param {String} alg 'RSA', 'EC', 'DSA' or 'Ed25519'
+ * @param {Object} keylenOrCurve key length for RSA, curve name for EC or bit length of p or parameters for DSA
  * @return {Array} associative array of keypair which has prvKeyObj and pubKeyObj parameters
  * @since keyutil 1.0.1
  * @description
@@ -1524,17 +1557,30 @@ KEYUTIL.getKey = function(param, passcode, hextype) {
  * The result will be an associative array which has following
  * parameters:
  * <ul>
- * <li>prvKeyObj - RSAKey or ECDSA object of private key</li>
- * <li>pubKeyObj - RSAKey or ECDSA object of public key</li>
+ * <li>prvKeyObj - RSAKey, ECDSA or DSA object of private key</li>
+ * <li>pubKeyObj - RSAKey, ECDSA or DSA object of public key</li>
  * </ul>
  * NOTE1: As for RSA algoirthm, public exponent has fixed
  * value '0x10001'.
  * NOTE2: As for EC algorithm, supported names of curve are
- * secp256r1, secp256k1 and secp384r1.
- * NOTE3: DSA is not supported yet.
+ * secp256r1, secp256k1, secp384r1 and secp521r1.
+ * NOTE3: DSA is supported since jsrsasign 7.2.1.
+ * keylenOrCurve argument can be bit length of p (2048 or 3072),
+ * associative array of parameters for
+ * {@link KJUR.crypto.DSA.generateParameters} such as
+ * {L: 2048, N: 256, method: "provable"} or existing domain parameters
+ * {p: BigInteger, q: BigInteger, g: BigInteger}.
+ * Bit length of q is 224 for 2048 and 256 for 3072 when omitted.
+ * Generation of new domain parameters may take several tens of seconds.
+ * NOTE4: Ed25519 is supported since jsrsasign 7.2.1.
+ * keylenOrCurve argument is ignored for it.
  * @example
  * var rsaKeypair = KEYUTIL.generateKeypair("RSA", 1024);
  * var ecKeypair = KEYUTIL.generateKeypair("EC", "secp256r1");
+ * var dsaKeypair = KEYUTIL.generateKeypair("DSA", 2048);
+ * var dsaKeypair = KEYUTIL.generateKeypair("DSA", {L: 3072, N: 256});
+ * var dsaKeypair = KEYUTIL.generateKeypair("DSA", {p: biP, q: biQ, g: biG});
+ * var edKeypair = KEYUTIL.generateKeypair("Ed25519");
  *
  */
 KEYUTIL.generateKeypair = function(alg, keylenOrCurve) {
@@ -1572,6 +1618,45 @@ KEYUTIL.generateKeypair = function(alg, keylenOrCurve) {
         pubKey.isPrivate = false;
         pubKey.isPublic = true;
 
+        var result = {};
+        result.prvKeyObj = prvKey;
+        result.pubKeyObj = pubKey;
+        return result;
+    } else if (alg == "DSA") {
+        var _DSA = KJUR.crypto.DSA;
+        var prm = keylenOrCurve;
+        if (typeof prm == "number") prm = {L: prm};
+        if (prm.p === undefined) {
+            var L = prm.L;
+            var N = (prm.N !== undefined) ? prm.N : ((L == 3072) ? 256 : 224);
+            prm = _DSA.generateParameters(L, N, prm);
+        }
+
+        var prvKey = new _DSA();
+        prvKey.generateKeyPairHex(prm.p, prm.q, prm.g);
+        prvKey.isPrivate = true;
+        prvKey.isPublic = false;
+
+        var pubKey = new _DSA();
+        pubKey.setPublic(prm.p, prm.q, prm.g, prvKey.y);
+        pubKey.isPrivate = false;
+        pubKey.isPublic = true;
+
+        var result = {};
+        result.prvKeyObj = prvKey;
+        result.pubKeyObj = pubKey;
+        return result;
+    } else if (alg == "Ed25519") {
+        var ed = new KJUR.crypto.Ed25519();
+        var keypairHex = ed.generateKeyPairHex();
+
+        var prvKey = new KJUR.crypto.Ed25519({prv: keypairHex.prvhex,
+                                              pub: keypairHex.pubhex});
+        prvKey.isPrivate = true;
+        prvKey.isPublic = false;
+
+        var pubKey = new KJUR.crypto.Ed25519({pub: keypairHex.pubhex});
+
         var result = {};
         result.prvKeyObj = prvKey;
         result.pubKeyObj = pubKey;
@@ -1582,12 +1667,12 @@ KEYUTIL.generateKeypair = function(alg, keylenOrCurve) {
 };
 
 /**
- * get PEM formatted private or public key file from a RSA/ECDSA/DSA key object
+ * get PEM formatted private or public key file from a RSA/ECDSA/DSA/Ed25519 key object
  * @name getPEM
  * @memberOf KEYUTIL
  * @function
  * @static
- * @param {Object} keyObjOrHex key object {@link RSAKey}, {@link KJUR.crypto.ECDSA} or {@link KJUR.crypto.DSA} to encode to
+ * @param {Object} keyObjOrHex key object {@link RSAKey}, {@link KJUR.crypto.ECDSA}, {@link KJUR.crypto.DSA} or {@link KJUR.crypto.Ed25519} to encode to
  * @param {String} formatType (OPTION) output format type of "PKCS1PRV", "PKCS5PRV" or "PKCS8PRV" for private key
  * @param {String} passwd (OPTION) password to protect private key
  * @param {String} encAlg (OPTION) encryption algorithm for PKCS#5. currently supports DES-CBC, DES-EDE3-CBC and AES-{128,192,256}-CBC
@@ -1601,9 +1686,15 @@ KEYUTIL.generateKeypair = function(alg, keylenOrCurve) {
  * <dt><b>NOTE2:</b>
  * <dd>
  * OpenSSL supports
+ * <dt><b>NOTE3:</b>
+ * <dd>
+ * EC public key of {@link KJUR.crypto.ECDSA} object will be encoded as
+ * a compressed point when its 'compressed' property is true.
  * </dl>
  * @example
  * KEUUTIL.getPEM(publicKey) =&gt; generates PEM PKCS#8 public key 
+ * KEUUTIL.getPEM(new KJUR.crypto.ECDSA({curve: "P-256", pub: "04...", compress: true}))
+ *   =&gt; generates PEM PKCS#8 public key with compressed EC point
  * KEUUTIL.getPEM(privateKey, "PKCS1PRV") =&gt; generates PEM PKCS#1 plain private key
  * KEUUTIL.getPEM(privateKey, "PKCS5PRV", "pass") =&gt; generates PEM PKCS#5 encrypted private key 
  *                                                          with DES-EDE3-CBC (DEFAULT)
@@ -1624,6 +1715,7 @@ KEYUTIL.getPEM = function(keyObjOrHex, formatType, passwd, encAlg, hexType) {
 	_KJUR_crypto = _KJUR.crypto,
 	_DSA = _KJUR_crypto.DSA,
 	_ECDSA = _KJUR_crypto.ECDSA,
+	_Ed25519 = _KJUR_crypto.Ed25519,
 	_RSAKey = RSAKey;
 
     function _rsaprv2asn1obj(keyObjOrHex) {
@@ -1649,7 +1741,7 @@ KEYUTIL.getPEM = function(keyObjOrHex, formatType, passwd, encAlg, hexType) {
                 {"int": 1 },
                 {"octstr": {"hex": keyObjOrHex.prvKeyHex}},
                 {"tag": ['a0', true, {'oid': {'name': keyObjOrHex.curveName}}]},
-                {"tag": ['a1', true, {'bitstr': {'hex': '00' + keyObjOrHex.pubKeyHex}}]}
+                {"tag": ['a1', true, {'bitstr': {'hex': '00' + keyObjOrHex.getPublicKeyHex()}}]}
             ]
         });
         return asn1Obj2;
@@ -1671,10 +1763,11 @@ KEYUTIL.getPEM = function(keyObjOrHex, formatType, passwd, encAlg, hexType) {
 
     // 1. public key
 
-    // x. PEM PKCS#8 public key of RSA/ECDSA/DSA public key object
+    // x. PEM PKCS#8 public key of RSA/ECDSA/DSA/Ed25519 public key object
     if (((_RSAKey !== undefined && keyObjOrHex instanceof _RSAKey) ||
          (_DSA !== undefined    && keyObjOrHex instanceof _DSA) ||
-         (_ECDSA !== undefined  && keyObjOrHex instanceof _ECDSA)) &&
+         (_ECDSA !== undefined  && keyObjOrHex instanceof _ECDSA) ||
+         (_Ed25519 !== undefined && keyObjOrHex instanceof _Ed25519)) &&
         keyObjOrHex.isPublic == true &&
         (formatType === undefined || formatType == "PKCS8PUB")) {
         var asn1Obj = new _SubjectPublicKeyInfo(keyObjOrHex);
@@ -1836,11 +1929,14 @@ KEYUTIL.getPEM = function(keyObjOrHex, formatType, passwd, encAlg, hexType) {
         var keyObj = _rsaprv2asn1obj(keyObjOrHex);
         var keyHex = keyObj.getEncodedHex();
 
-        var asn1Obj = _newObject({
-            "seq": [
-                {"int": 0},
-                {"seq": [{"oid": {"name": "rsaEncryption"}},{"null": true}]},
-                {"octstr": {"hex": keyHex}}
+        // AlgorithmIdentifier is the same as SubjectPublicKeyInfo
+        // including RSASSA-PSS key
+        var asn1AlgId = new _SubjectPublicKeyInfo(keyObjOrHex).asn1AlgId;
+        var asn1Obj = new _KJUR_asn1.DERSequence({
+            "array": [
+                new _DERInteger({"int": 0}),
+                asn1AlgId,
+                new _KJUR_asn1.DEROctetString({"hex": keyHex})
             ]
         });
         var asn1Hex = asn1Obj.getEncodedHex();
@@ -1863,7 +1959,7 @@ KEYUTIL.getPEM = function(keyObjOrHex, formatType, passwd, encAlg, hexType) {
             "seq": [
                 {"int": 1},
                 {"octstr": {"hex": keyObjOrHex.prvKeyHex}},
-                {"tag": ['a1', true, {"bitstr": {"hex": "00" + keyObjOrHex.pubKeyHex}}]}
+                {"tag": ['a1', true, {"bitstr": {"hex": "00" + keyObjOrHex.getPublicKeyHex()}}]}
             ]
         });
         var keyHex = keyObj.getEncodedHex();
@@ -1921,6 +2017,30 @@ KEYUTIL.getPEM = function(keyObjOrHex, formatType, passwd, encAlg, hexType) {
         }
     }
 
+    // x. PEM PKCS#8 plain private key of Ed25519 private key object
+    //    defined in RFC 8410 since jsrsasign 7.2.1
+    if (formatType == "PKCS8PRV" &&
+        _Ed25519 !== undefined &&
+        keyObjOrHex instanceof _Ed25519 &&
+        keyObjOrHex.isPrivate  == true) {
+
+        var asn1Obj = _newObject({
+            "seq": [
+                {"int": 0},
+                {"seq": [{"oid": {"name": "Ed25519"}}]},
+                {"octstr": {"hex": "0420" + keyObjOrHex.prvKeyHex}}
+            ]
+        });
+
+        var asn1Hex = asn1Obj.getEncodedHex();
+        if (passwd === undefined || passwd == null) {
+            return hextopem(asn1Hex, "PRIVATE KEY");
+        } else {
+            var asn1Hex2 = _getEncryptedPKCS8(asn1Hex, passwd);
+            return hextopem(asn1Hex2, "ENCRYPTED PRIVATE KEY");
+        }
+    }
+
     throw "unsupported object nor format";
 };
 
@@ -2011,7 +2131,10 @@ KEYUTIL.parseCSRHex = function(csrHex) {
  * @since keyutil 1.0.13 jsrsasign 5.0.14
  * @description
  * This static method convert from RSAKey/KJUR.crypto.ECDSA public/private key object 
- * to RFC 7517 JSON Web Key(JWK)
+ * to RFC 7517 JSON Web Key(JWK).
+ * <br/>
+ * NOTE: From jsrsasign 7.2.1, {@link KJUR.crypto.Ed25519} key object is also
+ * supported and converted to RFC 8037 "OKP" JWK.
  * @example
  * kp1 = KEYUTIL.generateKeypair("EC", "P-256");
  * jwkPrv1 = KEYUTIL.getJWKFromKey(kp1.prvKeyObj);
@@ -2044,18 +2167,20 @@ KEYUTIL.getJWKFromKey = function(keyObj) {
 	return jwk;
     } else if (keyObj instanceof KJUR.crypto.ECDSA && keyObj.isPrivate) {
 	var name = keyObj.getShortNISTPCurveName();
-	if (name !== "P-256" && name !== "P-384")
+	if (name !== "P-256" && name !== "P-384" && name !== "P-521")
 	    throw "unsupported curve name for JWT: " + name;
 	var xy = keyObj.getPublicKeyXYHex();
 	jwk.kty = "EC";
 	jwk.crv =  name;
 	jwk.x = hextob64u(xy.x);
 	jwk.y = hextob64u(xy.y);
-	jwk.d = hextob64u(keyObj.prvKeyHex);
+	var hD = keyObj.prvKeyHex;
+	while (hD.length < xy.x.length) hD = "00" + hD;
+	jwk.d = hextob64u(hD);
 	return jwk;
     } else if (keyObj instanceof KJUR.crypto.ECDSA && keyObj.isPublic) {
 	var name = keyObj.getShortNISTPCurveName();
-	if (name !== "P-256" && name !== "P-384")
+	if (name !== "P-256" && name !== "P-384" && name !== "P-521")
 	    throw "unsupported curve name for JWT: " + name;
 	var xy = keyObj.getPublicKeyXYHex();
 	jwk.kty = "EC";
@@ -2063,6 +2188,13 @@ KEYUTIL.getJWKFromKey = function(keyObj) {
 	jwk.x = hextob64u(xy.x);
 	jwk.y = hextob64u(xy.y);
 	return jwk;
+    } else if (KJUR.crypto.Ed25519 !== undefined &&
+	       keyObj instanceof KJUR.crypto.Ed25519) {
+	jwk.kty = "OKP";
+	jwk.crv = "Ed25519";
+	jwk.x = hextob64u(keyObj.getPublicKeyHex());
+	if (keyObj.isPrivate) jwk.d = hextob64u(keyObj.prvKeyHex);
+	return jwk;
     }
     throw "not supported key object";
 };
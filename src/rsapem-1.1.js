@@ -129,6 +129,20 @@ RSAKey.prototype.readPKCS5PrvKeyHex = function(h) {
  * @function
  * @param {String} h hexadecimal string of PKCS#8 plain RSA private key
  * @since jsrsasign 7.1.0 rsapem 1.2.0
+ * @description
+ * Since jsrsasign 7.2.1 rsapem 1.2.3, RSASSA-PSS key which has
+ * id-RSASSA-PSS algorithm defined in RFC 4055 is also supported.
+ * For such key, 'pssParam' property will be set to
+ * null when RSASSA-PSS-params is omitted, otherwise an associative array
+ * such as {hash: "sha256", mgfhash: "sha256", saltlen: 32}
+ * (see {@link X509.hex2pssparam}).
+ * The property will be used when the key is encoded by
+ * {@link KEYUTIL.getPEM} or {@link KJUR.asn1.x509.SubjectPublicKeyInfo}.
+ * As specified in RFC 4055 section 3.1, such key can only be used for
+ * RSA-PSS signature ({@link KJUR.crypto.Signature} and
+ * {@link KJUR.crypto.Cipher} raise an exception for other algorithms) and
+ * when the parameters are present, its hash algorithm and salt length of
+ * at least its 'saltlen' shall be used.
  */
 RSAKey.prototype.readPKCS8PrvKeyHex = function(h) {
     var hN, hE, hD, hP, hQ, hDP, hDQ, hCO;
@@ -151,7 +165,9 @@ RSAKey.prototype.readPKCS8PrvKeyHex = function(h) {
 	throw "malformed PKCS#8 plain RSA private key";
     }
 
+    var pssParam = RSAKey._getPSSParam(h, _ASN1HEX.getIdxbyList(h, 0, [1], "30"));
     this.setPrivateEx(hN, hE, hD, hP, hQ, hDP, hDQ, hCO);
+    if (pssParam !== undefined) this.pssParam = pssParam;
 };
 
 /**
@@ -185,18 +201,46 @@ RSAKey.prototype.readPKCS5PubKeyHex = function(h) {
  * @function
  * @param {String} h hexadecimal string of PKCS#8 public key
  * @since jsrsasign 7.1.0 rsapem 1.2.0
+ * @description
+ * NOTE: RSASSA-PSS public key (i.e. id-RSASSA-PSS) defined in RFC 4055
+ * is also supported since jsrsasign 7.2.1 rsapem 1.2.3.
+ * (see {@link RSAKey#readPKCS8PrvKeyHex})
  */
 RSAKey.prototype.readPKCS8PubKeyHex = function(h) {
     var _ASN1HEX = ASN1HEX;
     if (_ASN1HEX.isASN1HEX(h) === false)
 	throw "not ASN.1 hex string";
 
-    // 06092a864886f70d010101: OBJECT IDENTIFIER rsaEncryption (1 2 840 113549 1 1 1)
-    if (_ASN1HEX.getTLVbyList(h, 0, [0, 0]) !== "06092a864886f70d010101")
+    var pssParam;
+    try {
+	pssParam = RSAKey._getPSSParam(h, _ASN1HEX.getIdxbyList(h, 0, [0], "30"));
+    } catch(ex) {
 	throw "not PKCS8 RSA public key";
+    }
 
     var p5hex = _ASN1HEX.getTLVbyList(h, 0, [1, 0]);
     this.readPKCS5PubKeyHex(p5hex);
+    if (pssParam !== undefined) this.pssParam = pssParam;
+};
+
+/*
+ * get RSASSA-PSS parameters from AlgorithmIdentifier of RSA key
+ * - undefined: rsaEncryption
+ * - null: id-RSASSA-PSS without parameters
+ * - {hash:, mgfhash:, saltlen:}: id-RSASSA-PSS with RSASSA-PSS-params
+ * (since jsrsasign 7.2.1 rsapem 1.2.3)
+ */
+RSAKey._getPSSParam = function(h, idxAlgId) {
+    var _ASN1HEX = ASN1HEX;
+    var hOID = _ASN1HEX.getVbyList(h, idxAlgId, [0], "06");
+
+    if (hOID === "2a864886f70d010101") return undefined; // rsaEncryption
+    if (hOID !== "2a864886f70d01010a") // id-RSASSA-PSS
+	throw "not RSA key algorithm: " + hOID;
+
+    var a = _ASN1HEX.getChildIdx(h, idxAlgId);
+    if (a.length < 2) return null;
+    return X509.hex2pssparam(h, a[1]);
 };
 
 /**
@@ -145,14 +145,16 @@ function _rsasign_signStringPSS(s, hashAlg, sLen) {
  *        DEFAULT is -1. (NOTE: OpenSSL's default is -2.)
  * @return returns hexadecimal string of signature value.
  * @since rsasign 1.2.6
+ * @description
+ * Since jsrsasign 7.2.1, for RSASSA-PSS key which has RSASSA-PSS-params
+ * (See 'pssParam' property of {@link RSAKey#readPKCS8PrvKeyHex}),
+ * an exception will be thrown when hashAlg differs from the
+ * hash algorithm of the parameters or sLen is less than its salt length.
  */
 function _rsasign_signWithMessageHashPSS(hHash, hashAlg, sLen) {
-    var mHash = hextorstr(hHash);
-    var hLen = mHash.length;
+    var hLen = hHash.length / 2;
     var emBits = this.n.bitLength() - 1;
     var emLen = Math.ceil(emBits / 8);
-    var i;
-    var hashFunc = function(sHex) { return KJUR.crypto.Util.hashHex(sHex, hashAlg); } 
 
     if (sLen === -1 || sLen === undefined) {
         sLen = hLen; // same as hash length
@@ -161,6 +163,7 @@ function _rsasign_signWithMessageHashPSS(hHash, hashAlg, sLen) {
     } else if (sLen < -2) {
         throw "invalid salt length";
     }
+    _rsasign_checkPSSParam(this, hashAlg, sLen);
 
     if (emLen < (hLen + sLen + 2)) {
         throw "data too long";
@@ -174,6 +177,39 @@ function _rsasign_signWithMessageHashPSS(hHash, hashAlg, sLen) {
         salt = String.fromCharCode.apply(String, salt);
     }
 
+    var em = _rsasign_encodePSS(hHash, hashAlg, salt, emBits);
+
+    return _zeroPaddingOfSignature(this.doPrivate(new BigInteger(em)).toString(16),
+				   this.n.bitLength());
+}
+
+// check hash algorithm and salt length for a RSASSA-PSS key which has
+// RSASSA-PSS-params (RFC 4055 section 3.1). Any hash algorithm can be
+// used for a key without parameters (i.e. pssParam is null).
+function _rsasign_checkPSSParam(key, hashAlg, sLen) {
+    var pssParam = key.pssParam;
+    if (pssParam === undefined || pssParam === null) return;
+    if (hashAlg.toLowerCase() !== pssParam.hash ||
+	hashAlg.toLowerCase() !== pssParam.mgfhash)
+	throw "hash algorithm not allowed for RSASSA-PSS key: " + hashAlg;
+    if (sLen < pssParam.saltlen)
+	throw "salt length less than RSASSA-PSS key's one: " + sLen;
+}
+
+// PKCS#1 EMSA-PSS-ENCODE with specified salt (raw string)
+// returns byte array of encoded message
+function _rsasign_encodePSS(hHash, hashAlg, salt, emBits) {
+    var mHash = hextorstr(hHash);
+    var hLen = mHash.length;
+    var sLen = salt.length;
+    var emLen = Math.ceil(emBits / 8);
+    var i;
+    var hashFunc = function(sHex) { return KJUR.crypto.Util.hashHex(sHex, hashAlg); } 
+
+    if (emLen < (hLen + sLen + 2)) {
+        throw "data too long";
+    }
+
     var H = hextorstr(hashFunc(rstrtohex('\x00\x00\x00\x00\x00\x00\x00\x00' + mHash + salt)));
     var PS = [];
 
@@ -198,8 +234,7 @@ function _rsasign_signWithMessageHashPSS(hHash, hashAlg, sLen) {
 
     maskedDB.push(0xbc);
 
-    return _zeroPaddingOfSignature(this.doPrivate(new BigInteger(maskedDB)).toString(16),
-				   this.n.bitLength());
+    return maskedDB;
 }
 
 // ========================================================================
@@ -347,6 +382,10 @@ function _rsasign_verifyStringPSS(sMsg, hSig, hashAlg, sLen) {
  *        DEFAULT is -1 (NOTE: OpenSSL's default is -2.)
  * @return returns true if valid, otherwise false
  * @since rsasign 1.2.6
+ * @description
+ * Since jsrsasign 7.2.1, for RSASSA-PSS key which has RSASSA-PSS-params,
+ * an exception will be thrown when hashAlg or sLen isn't allowed by
+ * the parameters as the same as {@link RSAKey#signWithMessageHashPSS}.
  */
 function _rsasign_verifyWithMessageHashPSS(hHash, hSig, hashAlg, sLen) {
     var biSig = new BigInteger(hSig, 16);
@@ -369,6 +408,7 @@ function _rsasign_verifyWithMessageHashPSS(hHash, hSig, hashAlg, sLen) {
     } else if (sLen < -2) {
         throw "invalid salt length";
     }
+    _rsasign_checkPSSParam(this, hashAlg, sLen);
 
     if (emLen < (hLen + sLen + 2)) {
         throw "data too long";
@@ -421,7 +461,236 @@ function _rsasign_verifyWithMessageHashPSS(hHash, hSig, hashAlg, sLen) {
     }
 
     return H === hextorstr(hashFunc(rstrtohex('\x00\x00\x00\x00\x00\x00\x00\x00' + mHash +
-				     String.fromCharCode.apply(String, DB.slice(-sLen)))));
+				     String.fromCharCode.apply(String, DB.slice(DB.length - sLen)))));
+}
+
+// ========================================================================
+// RSA Blind Signatures (RFC 9474)
+// ========================================================================
+
+// get hash algorithm, salt length and randomization of RSABSSA variant
+function _rsasign_getBlindVariant(variant) {
+    if (variant === undefined) variant = "RSABSSA-SHA384-PSS-Randomized";
+    var a = variant.match(/^RSABSSA-(SHA[0-9]+)-(PSS|PSSZERO)-(Randomized|Deterministic)$/);
+    if (a === null) throw "unsupported RSABSSA variant: " + variant;
+
+    var hashAlg = KJUR.crypto.MessageDigest.getCanonicalAlgName(a[1]);
+    var hLen = KJUR.crypto.MessageDigest.getHashLength(hashAlg);
+    return {hashAlg: hashAlg,
+	    sLen: (a[2] === "PSS") ? hLen : 0,
+	    randomized: (a[3] === "Randomized")};
+}
+
+// hexadecimal string of BigInteger with modulus byte length
+function _rsasign_bitohexlen(bi, modLen) {
+    return _zeroPaddingOfSignature(bi.toString(16), modLen * 8);
+}
+
+/**
+ * prepare a message to be blindly signed by RFC 9474 RSA blind signatures<br/>
+ * @name prepareBlindMessage
+ * @memberOf RSAKey
+ * @function
+ * @param {String} hMsg hexadecimal string of message
+ * @param {String} variant RSABSSA variant name (OPTION, DEFAULT "RSABSSA-SHA384-PSS-Randomized")
+ * @param {String} hPrefix hexadecimal string of 32 bytes message prefix for test (OPTION)
+ * @return {String} hexadecimal string of prepared message
+ * @since jsrsasign 7.2.1 rsasign 1.2.8
+ * @description
+ * This static method implements "Prepare" operation of 
+ * <a href="https://tools.ietf.org/html/rfc9474">RFC 9474</a>.
+ * For "Randomized" variants, 32 bytes random prefix is prepended to the
+ * message. For "Deterministic" variants, the message is returned as is.
+ * The prepared message shall be used for succeeding
+ * {@link RSAKey#blindMessage}, {@link RSAKey#finalizeBlindSignature} and
+ * {@link RSAKey#verifyBlindSignature}.
+ * Following variants are supported:
+ * <ul>
+ * <li>RSABSSA-SHA384-PSS-Randomized (RECOMMENDED)</li>
+ * <li>RSABSSA-SHA384-PSSZERO-Randomized</li>
+ * <li>RSABSSA-SHA384-PSS-Deterministic</li>
+ * <li>RSABSSA-SHA384-PSSZERO-Deterministic</li>
+ * </ul>
+ * Other hash algorithms such as "RSABSSA-SHA256-PSS-Randomized" can also
+ * be used however they are not defined in RFC 9474.
+ * @example
+ * RSAKey.prepareBlindMessage("616263") &rarr; "3ab1...616263"
+ * RSAKey.prepareBlindMessage("616263", "RSABSSA-SHA384-PSS-Deterministic") &rarr; "616263"
+ */
+RSAKey.prepareBlindMessage = function(hMsg, variant, hPrefix) {
+    var param = _rsasign_getBlindVariant(variant);
+    if (! param.randomized) return hMsg;
+
+    if (hPrefix === undefined) {
+	var a = new Array(32);
+	new SecureRandom().nextBytes(a);
+	hPrefix = BAtohex(a);
+    }
+    if (hPrefix.length !== 64) throw "message prefix shall be 32 bytes";
+    return hPrefix + hMsg;
+};
+
+/**
+ * blind a prepared message with RSA public key by RFC 9474 RSA blind signatures<br/>
+ * @name blindMessage
+ * @memberOf RSAKey#
+ * @function
+ * @param {String} hMsg hexadecimal string of prepared message
+ * @param {String} variant RSABSSA variant name (OPTION, DEFAULT "RSABSSA-SHA384-PSS-Randomized")
+ * @param {String} hSalt hexadecimal string of PSS salt for test (OPTION)
+ * @param {String} hInv hexadecimal string of inverse of blinding factor for test (OPTION)
+ * @return {Array} associative array of hexadecimal blinded message "blindmsg" and inverse "inv"
+ * @since jsrsasign 7.2.1 rsasign 1.2.8
+ * @description
+ * This method implements "Blind" operation of RFC 9474.
+ * The message is encoded by EMSA-PSS and multiplied by random blinding factor
+ * r<sup>e</sup> mod n. 
+ * Blinded message "blindmsg" shall be sent to the signer and the inverse of
+ * blinding factor "inv" shall be kept secret by the client
+ * to finalize the blind signature by {@link RSAKey#finalizeBlindSignature}.
+ * Salt and blinding factor are randomly generated unless hSalt and hInv are
+ * specified.
+ * @example
+ * pubKey = KEYUTIL.getKey(pubPEM);
+ * hMsg = RSAKey.prepareBlindMessage("616263");
+ * r = pubKey.blindMessage(hMsg);
+ * r.blindmsg &rarr; "5a3f..." (send to signer)
+ * r.inv &rarr; "03e1..." (keep secret)
+ */
+function _rsasign_blindMessage(hMsg, variant, hSalt, hInv) {
+    var param = _rsasign_getBlindVariant(variant);
+    var hashAlg = param.hashAlg;
+    var modLen = (this.n.bitLength() + 7) >> 3;
+    var salt = '';
+
+    if (hSalt !== undefined) {
+	salt = hextorstr(hSalt);
+	if (salt.length !== param.sLen) throw "invalid salt length";
+    } else if (param.sLen > 0) {
+	salt = new Array(param.sLen);
+	new SecureRandom().nextBytes(salt);
+	salt = String.fromCharCode.apply(String, salt);
+    }
+
+    var hHash = KJUR.crypto.Util.hashHex(hMsg, hashAlg);
+    var em = _rsasign_encodePSS(hHash, hashAlg, salt, this.n.bitLength() - 1);
+    var biM = new BigInteger(BAtohex(em), 16);
+
+    if (biM.gcd(this.n).compareTo(BigInteger.ONE) !== 0) throw "invalid input";
+
+    var biR, biInv;
+    if (hInv !== undefined) {
+	biInv = new BigInteger(hInv, 16);
+	if (biInv.signum() <= 0 || biInv.compareTo(this.n) >= 0) throw "invalid blind";
+	biR = biInv.modInverse(this.n);
+	if (biR.signum() === 0) throw "invalid blind";
+    } else {
+	var biMax = this.n.subtract(BigInteger.ONE);
+	while (1) {
+	    biR = KJUR.crypto.Util.getRandomBigIntegerMinToMax(BigInteger.ONE, biMax);
+	    biInv = biR.modInverse(this.n);
+	    if (biInv.signum() !== 0) break;
+	}
+    }
+
+    var biX = this.doPublic(biR);
+    var biZ = biM.multiply(biX).mod(this.n);
+
+    return {blindmsg: _rsasign_bitohexlen(biZ, modLen),
+	    inv: _rsasign_bitohexlen(biInv, modLen)};
+}
+
+/**
+ * sign a blinded message with RSA private key by RFC 9474 RSA blind signatures<br/>
+ * @name blindSign
+ * @memberOf RSAKey#
+ * @function
+ * @param {String} hBlindMsg hexadecimal string of blinded message
+ * @return {String} hexadecimal string of blind signature
+ * @since jsrsasign 7.2.1 rsasign 1.2.8
+ * @description
+ * This method implements "BlindSign" operation of RFC 9474.
+ * Raw RSA signing primitive is applied to the blinded message and
+ * the result is verified with public key to prevent fault attacks.
+ * An exception will be raised when the blinded message is
+ * not smaller than modulus or signing failed.
+ * @example
+ * prvKey = KEYUTIL.getKey(prvPEM);
+ * prvKey.blindSign("5a3f...") &rarr; "1b9c..."
+ */
+function _rsasign_blindSign(hBlindMsg) {
+    var modLen = (this.n.bitLength() + 7) >> 3;
+    if (hBlindMsg.length !== modLen * 2) throw "unexpected input size";
+
+    var biM = new BigInteger(hBlindMsg, 16);
+    if (biM.compareTo(this.n) >= 0) throw "message representative out of range";
+
+    var biS = this.doPrivate(biM);
+    if (this.doPublic(biS).compareTo(biM) !== 0) throw "signing failure";
+
+    return _rsasign_bitohexlen(biS, modLen);
+}
+
+/**
+ * finalize a blind signature with RSA public key by RFC 9474 RSA blind signatures<br/>
+ * @name finalizeBlindSignature
+ * @memberOf RSAKey#
+ * @function
+ * @param {String} hMsg hexadecimal string of prepared message
+ * @param {String} hBlindSig hexadecimal string of blind signature
+ * @param {String} hInv hexadecimal string of inverse of blinding factor
+ * @param {String} variant RSABSSA variant name (OPTION, DEFAULT "RSABSSA-SHA384-PSS-Randomized")
+ * @return {String} hexadecimal string of RSASSA-PSS signature
+ * @since jsrsasign 7.2.1 rsasign 1.2.8
+ * @description
+ * This method implements "Finalize" operation of RFC 9474.
+ * The blind signature is unblinded by inverse of blinding factor
+ * returned from {@link RSAKey#blindMessage} and verified.
+ * An exception will be raised when the resulted signature is invalid.
+ * The signature is an ordinary RSASSA-PSS signature for the prepared message
+ * and it can also be verified by {@link RSAKey#verifyWithMessageHashPSS}.
+ * @example
+ * pubKey.finalizeBlindSignature(hMsg, "1b9c...", r.inv) &rarr; "76af..."
+ */
+function _rsasign_finalizeBlindSignature(hMsg, hBlindSig, hInv, variant) {
+    var modLen = (this.n.bitLength() + 7) >> 3;
+    if (hBlindSig.length !== modLen * 2) throw "unexpected input size";
+
+    var biZ = new BigInteger(hBlindSig, 16);
+    var biS = biZ.multiply(new BigInteger(hInv, 16)).mod(this.n);
+    var hSig = _rsasign_bitohexlen(biS, modLen);
+
+    if (! this.verifyBlindSignature(hMsg, hSig, variant)) throw "invalid signature";
+    return hSig;
+}
+
+/**
+ * verify a signature by RFC 9474 RSA blind signatures<br/>
+ * @name verifyBlindSignature
+ * @memberOf RSAKey#
+ * @function
+ * @param {String} hMsg hexadecimal string of prepared message
+ * @param {String} hSig hexadecimal string of signature
+ * @param {String} variant RSABSSA variant name (OPTION, DEFAULT "RSABSSA-SHA384-PSS-Randomized")
+ * @return {Boolean} true if valid, otherwise false
+ * @since jsrsasign 7.2.1 rsasign 1.2.8
+ * @description
+ * This method verifies RSASSA-PSS signature with hash algorithm and
+ * salt length of RSABSSA variant for the prepared message.
+ * @example
+ * pubKey.verifyBlindSignature(hMsg, "76af...") &rarr; true
+ */
+function _rsasign_verifyBlindSignature(hMsg, hSig, variant) {
+    var param = _rsasign_getBlindVariant(variant);
+    var modLen = (this.n.bitLength() + 7) >> 3;
+    if (hSig.length !== modLen * 2) return false;
+
+    var hHash = KJUR.crypto.Util.hashHex(hMsg, param.hashAlg);
+    try {
+	return this.verifyWithMessageHashPSS(hHash, hSig, param.hashAlg, param.sLen);
+    } catch (ex) {
+	return false;
+    }
 }
 
 RSAKey.prototype.signWithMessageHash = _rsasign_signWithMessageHash;
@@ -449,6 +718,11 @@ RSAKey.prototype.verifyStringPSS = _rsasign_verifyStringPSS;
 RSAKey.prototype.verifyPSS = _rsasign_verifyStringPSS;
 RSAKey.SALT_LEN_RECOVER = -2;
 
+RSAKey.prototype.blindMessage = _rsasign_blindMessage;
+RSAKey.prototype.blindSign = _rsasign_blindSign;
+RSAKey.prototype.finalizeBlindSignature = _rsasign_finalizeBlindSignature;
+RSAKey.prototype.verifyBlindSignature = _rsasign_verifyBlindSignature;
+
 /**
  * @name RSAKey
  * @class key of RSA public key algorithm
@@ -0,0 +1,231 @@
+/* sha3-1.0.0 (c) 2017 Kenji Urushima | kjur.github.com/jsrsasign/license
+ */
+/*
+ * sha3.js - SHA-3 and SHAKE message digest algorithms for CryptoJS
+ *
+ * Copyright (c) 2017 Kenji Urushima (kenji.urushima@gmail.com)
+ *
+ * This software is licensed under the terms of the MIT License.
+ * http://kjur.github.com/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+/**
+ * @fileOverview
+ * @name sha3-1.0.js
+ * @author Kenji Urushima kenji.urushima@gmail.com
+ * @version jsrsasign 7.2.1 sha3 1.0.0 (2017-Jun-03)
+ * @since jsrsasign 7.2.1
+ * @license <a href="http://kjur.github.io/jsrsasign/license/">MIT License</a>
+ */
+
+/**
+ * SHA-3 and SHAKE hasher classes for CryptoJS<br/>
+ * @name CryptoJS.algo.SHA3_256
+ * @class SHA-3 and SHAKE hasher classes for CryptoJS
+ * @since jsrsasign 7.2.1 sha3 1.0.0
+ * @see KJUR.crypto.MessageDigest
+ * @see KJUR.crypto.Mac
+ * @description
+ * This module provides following hash algorithms defined in
+ * <a href="http://nvlpubs.nist.gov/nistpubs/FIPS/NIST.FIPS.202.pdf">FIPS PUB 202</a>
+ * as CryptoJS hasher classes:
+ * <ul>
+ * <li>CryptoJS.algo.SHA3_224 - SHA3-224</li>
+ * <li>CryptoJS.algo.SHA3_256 - SHA3-256</li>
+ * <li>CryptoJS.algo.SHA3_384 - SHA3-384</li>
+ * <li>CryptoJS.algo.SHA3_512 - SHA3-512</li>
+ * <li>CryptoJS.algo.SHAKE128 - SHAKE128 (default output is 256 bits)</li>
+ * <li>CryptoJS.algo.SHAKE256 - SHAKE256 (default output is 512 bits)</li>
+ * </ul>
+ * NOTE: CryptoJS.algo.SHA3 in original CryptoJS 3.1.2 is
+ * Keccak before standardization and its result differs from FIPS 202 SHA-3.
+ * <br/>
+ * Those are registered to {@link KJUR.crypto.Util} so that
+ * they can be used in {@link KJUR.crypto.MessageDigest},
+ * {@link KJUR.crypto.Mac} and {@link KJUR.crypto.Signature}.
+ * Output length of SHAKE can be specified by "outputLength" in bits
+ * of CryptoJS hasher configuration.
+ * @example
+ * var md = new KJUR.crypto.MessageDigest({alg: "sha3-256"});
+ * md.digestString("abc") &rarr; "3a985da7..."
+ * CryptoJS.algo.SHAKE128.create({outputLength: 512}).finalize("abc").toString() &rarr; "5881092d..."
+ */
+(function() {
+    var _CryptoJS = CryptoJS,
+	_Hasher = _CryptoJS.lib.Hasher,
+	_WordArray = _CryptoJS.lib.WordArray;
+
+    // round constants of Keccak-f[1600] in pairs of low and high 32 bits
+    var RC = [
+	0x00000001, 0x00000000, 0x00008082, 0x00000000,
+	0x0000808a, 0x80000000, 0x80008000, 0x80000000,
+	0x0000808b, 0x00000000, 0x80000001, 0x00000000,
+	0x80008081, 0x80000000, 0x00008009, 0x80000000,
+	0x0000008a, 0x00000000, 0x00000088, 0x00000000,
+	0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+	0x8000808b, 0x00000000, 0x0000008b, 0x80000000,
+	0x00008089, 0x80000000, 0x00008003, 0x80000000,
+	0x00008002, 0x80000000, 0x00000080, 0x80000000,
+	0x0000800a, 0x00000000, 0x8000000a, 0x80000000,
+	0x80008081, 0x80000000, 0x00008080, 0x80000000,
+	0x80000001, 0x00000000, 0x80008008, 0x80000000
+    ];
+
+    // rotation offsets for lane x + 5 * y
+    var ROT = [
+	 0,  1, 62, 28, 27,
+	36, 44,  6, 55, 20,
+	 3, 10, 43, 25, 39,
+	41, 45, 15, 21,  8,
+	18,  2, 61, 56, 14
+    ];
+
+    // Keccak-f[1600] permutation for state of 50 words
+    // where lane i is s[2 * i] (low) and s[2 * i + 1] (high)
+    var keccakf = function(s) {
+	var C = [], B = [];
+	var x, y, i, j, lo, hi, r;
+
+	for (var round = 0; round < 24; round++) {
+	    // theta
+	    for (x = 0; x < 5; x++) {
+		C[2 * x] = s[2 * x] ^ s[2 * x + 10] ^ s[2 * x + 20] ^
+		    s[2 * x + 30] ^ s[2 * x + 40];
+		C[2 * x + 1] = s[2 * x + 1] ^ s[2 * x + 11] ^ s[2 * x + 21] ^
+		    s[2 * x + 31] ^ s[2 * x + 41];
+	    }
+	    for (x = 0; x < 5; x++) {
+		var x1 = (x + 1) % 5, x4 = (x + 4) % 5;
+		lo = C[2 * x1];
+		hi = C[2 * x1 + 1];
+		var dLo = C[2 * x4] ^ ((lo << 1) | (hi >>> 31));
+		var dHi = C[2 * x4 + 1] ^ ((hi << 1) | (lo >>> 31));
+		for (y = 0; y < 25; y += 5) {
+		    s[2 * (x + y)] ^= dLo;
+		    s[2 * (x + y) + 1] ^= dHi;
+		}
+	    }
+
+	    // rho and pi
+	    for (y = 0; y < 5; y++) {
+		for (x = 0; x < 5; x++) {
+		    i = x + 5 * y;
+		    lo = s[2 * i];
+		    hi = s[2 * i + 1];
+		    r = ROT[i];
+		    j = y + 5 * ((2 * x + 3 * y) % 5);
+		    if (r === 0) {
+			B[2 * j] = lo;
+			B[2 * j + 1] = hi;
+		    } else if (r < 32) {
+			B[2 * j] = (lo << r) | (hi >>> (32 - r));
+			B[2 * j + 1] = (hi << r) | (lo >>> (32 - r));
+		    } else {
+			r -= 32;
+			B[2 * j] = (hi << r) | (lo >>> (32 - r));
+			B[2 * j + 1] = (lo << r) | (hi >>> (32 - r));
+		    }
+		}
+	    }
+
+	    // chi
+	    for (y = 0; y < 25; y += 5) {
+		for (x = 0; x < 5; x++) {
+		    i = 2 * (x + y);
+		    var i1 = 2 * ((x + 1) % 5 + y), i2 = 2 * ((x + 2) % 5 + y);
+		    s[i] = B[i] ^ (~B[i1] & B[i2]);
+		    s[i + 1] = B[i + 1] ^ (~B[i1 + 1] & B[i2 + 1]);
+		}
+	    }
+
+	    // iota
+	    s[0] ^= RC[2 * round];
+	    s[1] ^= RC[2 * round + 1];
+	}
+    };
+
+    // convert big endian word of CryptoJS to little endian lane and vice versa
+    var swap = function(w) {
+	return (w << 24) | ((w << 8) & 0xff0000) | ((w >>> 8) & 0xff00) | (w >>> 24);
+    };
+
+    var Keccak = _Hasher.extend({
+	cfg: _Hasher.cfg.extend({ outputLength: 256 }),
+
+	_doReset: function() {
+	    this._state = [];
+	    for (var i = 0; i < 50; i++) this._state.push(0);
+	},
+
+	_doProcessBlock: function(M, offset) {
+	    var s = this._state;
+	    for (var i = 0; i < this.blockSize; i++) {
+		s[i] ^= swap(M[offset + i]);
+	    }
+	    keccakf(s);
+	},
+
+	_doFinalize: function() {
+	    var data = this._data;
+	    var dataWords = data.words;
+	    var nBitsLeft = data.sigBytes * 8;
+	    var blockSizeBits = this.blockSize * 32;
+
+	    // pad10*1 with domain separation suffix
+	    dataWords[nBitsLeft >>> 5] |= this._suffix << (24 - nBitsLeft % 32);
+	    dataWords[((Math.ceil((nBitsLeft + 1) / blockSizeBits) *
+			blockSizeBits) >>> 5) - 1] |= 0x80;
+	    data.sigBytes = dataWords.length * 4;
+	    this._process();
+
+	    // squeeze
+	    var s = this._state;
+	    var outBytes = this.cfg.outputLength / 8;
+	    var words = [];
+	    while (true) {
+		for (var i = 0; i < this.blockSize && words.length * 4 < outBytes; i++) {
+		    words.push(swap(s[i]));
+		}
+		if (words.length * 4 >= outBytes) break;
+		keccakf(s);
+	    }
+	    return _WordArray.create(words, outBytes);
+	},
+
+	clone: function() {
+	    var clone = _Hasher.clone.call(this);
+	    clone._state = this._state.slice(0);
+	    return clone;
+	}
+    });
+
+    // blockSize is rate in 32 bit words
+    var _algo = _CryptoJS.algo;
+    _algo.SHA3_224 = Keccak.extend({ blockSize: 36, _suffix: 0x06,
+				     cfg: Keccak.cfg.extend({ outputLength: 224 }) });
+    _algo.SHA3_256 = Keccak.extend({ blockSize: 34, _suffix: 0x06,
+				     cfg: Keccak.cfg.extend({ outputLength: 256 }) });
+    _algo.SHA3_384 = Keccak.extend({ blockSize: 26, _suffix: 0x06,
+				     cfg: Keccak.cfg.extend({ outputLength: 384 }) });
+    _algo.SHA3_512 = Keccak.extend({ blockSize: 18, _suffix: 0x06,
+				     cfg: Keccak.cfg.extend({ outputLength: 512 }) });
+    _algo.SHAKE128 = Keccak.extend({ blockSize: 42, _suffix: 0x1f,
+				     cfg: Keccak.cfg.extend({ outputLength: 256 }) });
+    _algo.SHAKE256 = Keccak.extend({ blockSize: 34, _suffix: 0x1f,
+				     cfg: Keccak.cfg.extend({ outputLength: 512 }) });
+
+    // register to KJUR.crypto.Util when crypto-1.1.js is already loaded
+    if (typeof KJUR != "undefined" && KJUR.crypto !== undefined &&
+	KJUR.crypto.Util !== undefined) {
+	var _NAME = KJUR.crypto.Util.CRYPTOJSMESSAGEDIGESTNAME;
+	_NAME['sha3-224'] = _algo.SHA3_224;
+	_NAME['sha3-256'] = _algo.SHA3_256;
+	_NAME['sha3-384'] = _algo.SHA3_384;
+	_NAME['sha3-512'] = _algo.SHA3_512;
+	_NAME['shake128'] = _algo.SHAKE128;
+	_NAME['shake256'] = _algo.SHAKE256;
+    }
+})();
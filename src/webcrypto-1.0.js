@@ -0,0 +1,530 @@
+/* webcrypto-1.0.0 (c) 2017 Kenji Urushima | kjur.github.com/jsrsasign/license
+ */
+/*
+ * webcrypto.js - Promise based facade over W3C Web Cryptography API
+ *
+ * Copyright (c) 2017 Kenji Urushima (kenji.urushima@gmail.com)
+ *
+ * This software is licensed under the terms of the MIT License.
+ * http://kjur.github.com/jsrsasign/license/
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ */
+
+/**
+ * @fileOverview
+ * @name webcrypto-1.0.js
+ * @author Kenji Urushima kenji.urushima@gmail.com
+ * @version jsrsasign 7.2.1 webcrypto 1.0.0 (2017-Jun-03)
+ * @since jsrsasign 7.2.1
+ * @license <a href="http://kjur.github.io/jsrsasign/license/">MIT License</a>
+ */
+
+if (typeof KJUR == "undefined" || !KJUR) KJUR = {};
+if (typeof KJUR.crypto == "undefined" || !KJUR.crypto) KJUR.crypto = {};
+
+/**
+ * Promise based facade over W3C Web Cryptography API<br/>
+ * @name KJUR.crypto.WebCrypto
+ * @class Promise based facade over W3C Web Cryptography API
+ * @since jsrsasign 7.2.1 webcrypto 1.0.0
+ * @see KJUR.crypto.MessageDigest
+ * @see KJUR.crypto.Mac
+ * @see KJUR.crypto.Signature
+ * @see KEYUTIL.generateKeypair
+ * @description
+ * This class provides static methods which return a Promise for
+ * hashing, HMAC, signing, verification and key generation by
+ * <a href="https://www.w3.org/TR/WebCryptoAPI/">Web Cryptography API</a>
+ * (i.e. window.crypto.subtle).
+ * Results are the same as synchronous classes of jsrsasign such as
+ * {@link KJUR.crypto.Signature} so that ECDSA signature value is
+ * ASN.1 encoded.
+ * <br/>
+ * When SubtleCrypto is not available or an algorithm, key or curve
+ * is not supported by Web Cryptography API (ex. MD5, SHA-224, RIPEMD160,
+ * SHA-3, secp256k1, DSA or Ed25519), synchronous implementation of
+ * jsrsasign is used and its result is returned by a Promise.
+ * <br/>
+ * jsrsasign key objects are converted to/from CryptoKey by JWK with
+ * {@link KEYUTIL.getJWKFromKey} and {@link KEYUTIL.getKey}.
+ * Here is a list of methods:
+ * <ul>
+ * <li>{@link KJUR.crypto.WebCrypto.digestHex}</li>
+ * <li>{@link KJUR.crypto.WebCrypto.digestString}</li>
+ * <li>{@link KJUR.crypto.WebCrypto.macHex}</li>
+ * <li>{@link KJUR.crypto.WebCrypto.signHex}</li>
+ * <li>{@link KJUR.crypto.WebCrypto.verifyHex}</li>
+ * <li>{@link KJUR.crypto.WebCrypto.generateKeypair}</li>
+ * <li>{@link KJUR.crypto.WebCrypto.getCryptoKey}</li>
+ * <li>{@link KJUR.crypto.WebCrypto.getKeyFromCryptoKey}</li>
+ * </ul>
+ * @example
+ * KJUR.crypto.WebCrypto.digestString("sha256", "aaa").then(function(hHash) {
+ *   console.log(hHash); // "9834876d..."
+ * });
+ * KJUR.crypto.WebCrypto.signHex("SHA256withECDSA", prvKeyObj, "616161").then(function(hSig) {
+ *   console.log(hSig); // "3045022100..."
+ * });
+ */
+KJUR.crypto.WebCrypto = function() {};
+
+/**
+ * get SubtleCrypto object if available<br/>
+ * @name getSubtle
+ * @memberOf KJUR.crypto.WebCrypto
+ * @function
+ * @static
+ * @return {Object} SubtleCrypto object or null if not available
+ * @since jsrsasign 7.2.1 webcrypto 1.0.0
+ * @example
+ * if (KJUR.crypto.WebCrypto.getSubtle() === null) console.log("pure JavaScript");
+ */
+KJUR.crypto.WebCrypto.getSubtle = function() {
+    if (typeof Promise == "undefined") return null;
+    if (typeof window == "object" && window !== null &&
+	typeof window.crypto == "object" && window.crypto !== null &&
+	typeof window.crypto.subtle == "object" && window.crypto.subtle !== null)
+	return window.crypto.subtle;
+    if (typeof crypto == "object" && crypto !== null &&
+	typeof crypto.subtle == "object" && crypto.subtle !== null)
+	return crypto.subtle;
+    return null;
+};
+
+/**
+ * get hexadecimal hash value of hexadecimal string asynchronously<br/>
+ * @name digestHex
+ * @memberOf KJUR.crypto.WebCrypto
+ * @function
+ * @static
+ * @param {String} alg hash algorithm name (ex. "sha256", "SHA-512")
+ * @param {String} hex hexadecimal string to be hashed
+ * @return {Promise} Promise of hexadecimal hash value
+ * @since jsrsasign 7.2.1 webcrypto 1.0.0
+ * @description
+ * SHA-1, SHA-256, SHA-384 and SHA-512 are calculated by
+ * Web Cryptography API. Other algorithms supported by
+ * {@link KJUR.crypto.MessageDigest} are calculated by it.
+ * @example
+ * KJUR.crypto.WebCrypto.digestHex("sha256", "616263").then(function(hHash) {...});
+ */
+KJUR.crypto.WebCrypto.digestHex = function(alg, hex) {
+    var _WebCrypto = KJUR.crypto.WebCrypto,
+	_subtle = _WebCrypto.getSubtle(),
+	wcHash = _WebCrypto._getHashName(alg);
+
+    if (_subtle === null || wcHash === null) {
+	return _WebCrypto._sync(function() {
+	    return new KJUR.crypto.MessageDigest({alg: alg}).digestHex(hex);
+	});
+    }
+    return _WebCrypto._sync(function() {
+	return _subtle.digest(wcHash, _WebCrypto._hextou8(hex));
+    }).then(_WebCrypto._buftohex);
+};
+
+/**
+ * get hexadecimal hash value of UTF-8 string asynchronously<br/>
+ * @name digestString
+ * @memberOf KJUR.crypto.WebCrypto
+ * @function
+ * @static
+ * @param {String} alg hash algorithm name (ex. "sha256", "SHA-512")
+ * @param {String} str string to be hashed and encoded as UTF-8
+ * @return {Promise} Promise of hexadecimal hash value
+ * @since jsrsasign 7.2.1 webcrypto 1.0.0
+ * @see KJUR.crypto.WebCrypto.digestHex
+ * @example
+ * KJUR.crypto.WebCrypto.digestString("sha256", "aaa").then(function(hHash) {...});
+ */
+KJUR.crypto.WebCrypto.digestString = function(alg, str) {
+    return KJUR.crypto.WebCrypto.digestHex(alg, utf8tohex(str));
+};
+
+/**
+ * get hexadecimal HMAC value of hexadecimal string asynchronously<br/>
+ * @name macHex
+ * @memberOf KJUR.crypto.WebCrypto
+ * @function
+ * @static
+ * @param {String} alg HMAC algorithm name (ex. "HmacSHA256")
+ * @param {Object} pass password as the same as {@link KJUR.crypto.Mac#setPassword}
+ * @param {String} hex hexadecimal string of message
+ * @return {Promise} Promise of hexadecimal HMAC value
+ * @since jsrsasign 7.2.1 webcrypto 1.0.0
+ * @description
+ * HmacSHA1, HmacSHA256, HmacSHA384 and HmacSHA512 are calculated by
+ * Web Cryptography API. Other algorithms supported by
+ * {@link KJUR.crypto.Mac} are calculated by it.
+ * @example
+ * KJUR.crypto.WebCrypto.macHex("HmacSHA256", {utf8: "pass"}, "616161").then(function(hMac) {...});
+ */
+KJUR.crypto.WebCrypto.macHex = function(alg, pass, hex) {
+    var _WebCrypto = KJUR.crypto.WebCrypto,
+	_subtle = _WebCrypto.getSubtle(),
+	wcHash = null;
+
+    if (typeof alg == "string" && alg.toLowerCase().substr(0, 4) == "hmac")
+	wcHash = _WebCrypto._getHashName(alg.substr(4));
+
+    if (_subtle === null || wcHash === null) {
+	return _WebCrypto._sync(function() {
+	    return new KJUR.crypto.Mac({alg: alg, pass: pass}).doFinalHex(hex);
+	});
+    }
+
+    return _WebCrypto._sync(function() {
+	// password is parsed by KJUR.crypto.Mac
+	var mac = new KJUR.crypto.Mac();
+	mac.setPassword(pass);
+	var hPass = CryptoJS.enc.Hex.stringify(mac.pass);
+	var algParam = {name: "HMAC", hash: wcHash};
+	// zero length HMAC key can't be imported
+	if (hPass === "") hPass = "00";
+	return _subtle.importKey("raw", _WebCrypto._hextou8(hPass), algParam,
+				 false, ["sign"]);
+    }).then(function(cryptoKey) {
+	return _subtle.sign("HMAC", cryptoKey, _WebCrypto._hextou8(hex));
+    }).then(_WebCrypto._buftohex);
+};
+
+/**
+ * sign hexadecimal string asynchronously<br/>
+ * @name signHex
+ * @memberOf KJUR.crypto.WebCrypto
+ * @function
+ * @static
+ * @param {String} alg signature algorithm name (ex. "SHA256withRSA", "SHA256withECDSA", "SHA256withRSAandMGF1")
+ * @param {Object} key private key object or PEM string accepted by {@link KEYUTIL.getKey}
+ * @param {String} hex hexadecimal string of message to be signed
+ * @param {Array} param associative array of parameter (OPTION)
+ * @return {Promise} Promise of hexadecimal signature value
+ * @since jsrsasign 7.2.1 webcrypto 1.0.0
+ * @description
+ * RSA PKCS#1 v1.5, RSA-PSS and ECDSA with SHA-1 or SHA-2 and curve P-256, P-384 or P-521
+ * are signed by Web Cryptography API. Other algorithms and keys are signed by
+ * {@link KJUR.crypto.Signature}.
+ * Following member of "param" is available:
+ * <ul>
+ * <li>psssaltlen - salt length for RSA-PSS as the same as {@link KJUR.crypto.Signature}.
+ * DEFAULT is -1 (i.e. the same as hash length).</li>
+ * </ul>
+ * Resulted ECDSA signature value is ASN.1 encoded as the same as
+ * {@link KJUR.crypto.Signature}.
+ * @example
+ * KJUR.crypto.WebCrypto.signHex("SHA256withRSA", prvKeyObj, "616161").then(function(hSig) {...});
+ */
+KJUR.crypto.WebCrypto.signHex = function(alg, key, hex, param) {
+    var _WebCrypto = KJUR.crypto.WebCrypto,
+	_subtle = _WebCrypto.getSubtle();
+    if (param === undefined) param = {};
+
+    var keyObj, algParam;
+    try {
+	keyObj = (typeof key == "string") ? KEYUTIL.getKey(key) : key;
+	algParam = _WebCrypto._getSignAlgParam(alg, keyObj, param, true);
+    } catch (ex) {
+	return Promise.reject(ex);
+    }
+
+    if (_subtle === null || algParam === null) {
+	return _WebCrypto._sync(function() {
+	    var sig = new KJUR.crypto.Signature({alg: alg,
+						 psssaltlen: param.psssaltlen});
+	    sig.init(keyObj);
+	    sig.updateHex(hex);
+	    return sig.sign();
+	});
+    }
+
+    return _WebCrypto.getCryptoKey(keyObj, algParam, ["sign"]).then(function(cryptoKey) {
+	return _subtle.sign(algParam, cryptoKey, _WebCrypto._hextou8(hex));
+    }).then(function(buf) {
+	var hSig = _WebCrypto._buftohex(buf);
+	if (algParam.name === "ECDSA")
+	    return KJUR.crypto.ECDSA.concatSigToASN1Sig(hSig);
+	return hSig;
+    });
+};
+
+/**
+ * verify signature of hexadecimal string asynchronously<br/>
+ * @name verifyHex
+ * @memberOf KJUR.crypto.WebCrypto
+ * @function
+ * @static
+ * @param {String} alg signature algorithm name (ex. "SHA256withRSA", "SHA256withECDSA", "SHA256withRSAandMGF1")
+ * @param {Object} key public key object, PEM public key or certificate accepted by {@link KEYUTIL.getKey}
+ * @param {String} hex hexadecimal string of signed message
+ * @param {String} hSig hexadecimal string of signature value
+ * @param {Array} param associative array of parameter (OPTION)
+ * @return {Promise} Promise of boolean verification result
+ * @since jsrsasign 7.2.1 webcrypto 1.0.0
+ * @description
+ * Supported algorithms and "param" are the same as
+ * {@link KJUR.crypto.WebCrypto.signHex}.
+ * ECDSA signature value shall be ASN.1 encoded.
+ * Malformed signature value results in false.
+ * When psssaltlen is -2 (i.e. RSAKey.SALT_LEN_RECOVER),
+ * the signature is always verified by {@link KJUR.crypto.Signature}
+ * instead of Web Cryptography API.
+ * @example
+ * KJUR.crypto.WebCrypto.verifyHex("SHA256withECDSA", pubKeyObj, "616161", "3045...").then(function(isValid) {...});
+ */
+KJUR.crypto.WebCrypto.verifyHex = function(alg, key, hex, hSig, param) {
+    var _WebCrypto = KJUR.crypto.WebCrypto,
+	_subtle = _WebCrypto.getSubtle();
+    if (param === undefined) param = {};
+
+    var keyObj, algParam;
+    try {
+	keyObj = (typeof key == "string") ? KEYUTIL.getKey(key) : key;
+	algParam = _WebCrypto._getSignAlgParam(alg, keyObj, param, false);
+    } catch (ex) {
+	return Promise.reject(ex);
+    }
+
+    if (_subtle === null || algParam === null) {
+	return _WebCrypto._sync(function() {
+	    var sig = new KJUR.crypto.Signature({alg: alg,
+						 psssaltlen: param.psssaltlen});
+	    sig.init(keyObj);
+	    sig.updateHex(hex);
+	    // malformed signature value results in false
+	    try {
+		return sig.verify(hSig);
+	    } catch (ex) {
+		return false;
+	    }
+	});
+    }
+
+    var hSig2;
+    try {
+	if (algParam.name === "ECDSA") {
+	    hSig2 = KJUR.crypto.ECDSA.asn1SigToConcatSig(hSig, keyObj.ecparams.keylen);
+	} else {
+	    hSig2 = hSig;
+	    var sigLen = (keyObj.n.bitLength() + 7) >> 3;
+	    while (hSig2.length < sigLen * 2) hSig2 = "0" + hSig2;
+	}
+    } catch (ex) {
+	return Promise.resolve(false);
+    }
+
+    return _WebCrypto.getCryptoKey(keyObj, algParam, ["verify"]).then(function(cryptoKey) {
+	return _subtle.verify(algParam, cryptoKey, _WebCrypto._hextou8(hSig2),
+			      _WebCrypto._hextou8(hex));
+    });
+};
+
+/**
+ * generate key pair asynchronously<br/>
+ * @name generateKeypair
+ * @memberOf KJUR.crypto.WebCrypto
+ * @function
+ * @static
+ * @param {String} alg 'RSA', 'EC' or 'Ed25519'
+ * @param {Object} keylenOrCurve key length for RSA or curve name for EC
+ * @return {Promise} Promise of associative array which has prvKeyObj and pubKeyObj
+ * @since jsrsasign 7.2.1 webcrypto 1.0.0
+ * @description
+ * This method is the same as {@link KEYUTIL.generateKeypair} except
+ * returning a Promise.
+ * RSA keys with public exponent 0x10001 and EC keys of P-256, P-384 and P-521
+ * are generated by Web Cryptography API.
+ * Other keys are generated by {@link KEYUTIL.generateKeypair}.
+ * @example
+ * KJUR.crypto.WebCrypto.generateKeypair("RSA", 2048).then(function(kp) {
+ *   var prvKeyObj = kp.prvKeyObj;
+ *   var pubKeyObj = kp.pubKeyObj;
+ * });
+ */
+KJUR.crypto.WebCrypto.generateKeypair = function(alg, keylenOrCurve) {
+    var _WebCrypto = KJUR.crypto.WebCrypto,
+	_subtle = _WebCrypto.getSubtle(),
+	algParam = null;
+
+    try {
+	if (alg == "RSA") {
+	    algParam = {name: "RSASSA-PKCS1-v1_5", modulusLength: keylenOrCurve,
+			publicExponent: new Uint8Array([1, 0, 1]), hash: "SHA-256"};
+	} else if (alg == "EC") {
+	    var crv = new KJUR.crypto.ECDSA({curve: keylenOrCurve}).getShortNISTPCurveName();
+	    if (crv !== null) algParam = {name: "ECDSA", namedCurve: crv};
+	}
+    } catch (ex) {
+	return Promise.reject(ex);
+    }
+
+    if (_subtle === null || algParam === null) {
+	return _WebCrypto._sync(function() {
+	    return KEYUTIL.generateKeypair(alg, keylenOrCurve);
+	});
+    }
+
+    return _WebCrypto._sync(function() {
+	return _subtle.generateKey(algParam, true, ["sign", "verify"]);
+    }).then(function(cryptoKeyPair) {
+	return Promise.all([
+	    _WebCrypto.getKeyFromCryptoKey(cryptoKeyPair.privateKey),
+	    _WebCrypto.getKeyFromCryptoKey(cryptoKeyPair.publicKey)
+	]);
+    }).then(function(aKey) {
+	return {prvKeyObj: aKey[0], pubKeyObj: aKey[1]};
+    });
+};
+
+/**
+ * convert jsrsasign key object to CryptoKey asynchronously<br/>
+ * @name getCryptoKey
+ * @memberOf KJUR.crypto.WebCrypto
+ * @function
+ * @static
+ * @param {Object} keyObj {@link RSAKey} or {@link KJUR.crypto.ECDSA} key object
+ * @param {Object} algParam algorithm parameter of Web Cryptography API for importKey
+ * @param {Array} usages array of key usages (ex. ["sign"] or ["verify"])
+ * @return {Promise} Promise of non-extractable CryptoKey
+ * @since jsrsasign 7.2.1 webcrypto 1.0.0
+ * @description
+ * A key object is converted by {@link KEYUTIL.getJWKFromKey}
+ * and imported to SubtleCrypto.
+ * When "usages" doesn't have "sign", private key members of JWK
+ * are removed so that a public CryptoKey is imported even from a private key object.
+ * @example
+ * KJUR.crypto.WebCrypto.getCryptoKey(prvKeyObj, {name: "ECDSA", namedCurve: "P-256"}, ["sign"]).then(function(cryptoKey) {...});
+ */
+KJUR.crypto.WebCrypto.getCryptoKey = function(keyObj, algParam, usages) {
+    var _subtle = KJUR.crypto.WebCrypto.getSubtle();
+    if (_subtle === null)
+	return Promise.reject("WebCrypto: SubtleCrypto not available");
+
+    return KJUR.crypto.WebCrypto._sync(function() {
+	var jwk = KEYUTIL.getJWKFromKey(keyObj);
+	if (usages.indexOf("sign") == -1) {
+	    var aPrv = ["d", "p", "q", "dp", "dq", "qi"];
+	    for (var i = 0; i < aPrv.length; i++) delete jwk[aPrv[i]];
+	}
+	return _subtle.importKey("jwk", jwk, algParam, false, usages);
+    });
+};
+
+/**
+ * convert extractable CryptoKey to jsrsasign key object asynchronously<br/>
+ * @name getKeyFromCryptoKey
+ * @memberOf KJUR.crypto.WebCrypto
+ * @function
+ * @static
+ * @param {Object} cryptoKey extractable RSA or EC CryptoKey
+ * @return {Promise} Promise of {@link RSAKey} or {@link KJUR.crypto.ECDSA} key object
+ * @since jsrsasign 7.2.1 webcrypto 1.0.0
+ * @description
+ * A CryptoKey is exported as JWK and converted by {@link KEYUTIL.getKey}.
+ * @example
+ * KJUR.crypto.WebCrypto.getKeyFromCryptoKey(cryptoKey).then(function(keyObj) {...});
+ */
+KJUR.crypto.WebCrypto.getKeyFromCryptoKey = function(cryptoKey) {
+    var _subtle = KJUR.crypto.WebCrypto.getSubtle();
+    if (_subtle === null)
+	return Promise.reject("WebCrypto: SubtleCrypto not available");
+
+    return KJUR.crypto.WebCrypto._sync(function() {
+	return _subtle.exportKey("jwk", cryptoKey);
+    }).then(function(jwk) {
+	return KEYUTIL.getKey(jwk);
+    });
+};
+
+// ==== private static methods ==========================================
+
+/*
+ * get hash algorithm name of Web Cryptography API or null
+ * if not supported
+ */
+KJUR.crypto.WebCrypto._getHashName = function(alg) {
+    var name = {sha1: "SHA-1", sha256: "SHA-256",
+		sha384: "SHA-384", sha512: "SHA-512"};
+    var alg2 = KJUR.crypto.MessageDigest.getCanonicalAlgName(alg);
+    return (name[alg2] === undefined) ? null : name[alg2];
+};
+
+/*
+ * get signature algorithm parameter of Web Cryptography API for
+ * signature algorithm name and key object or null if not supported.
+ * RSA private key without CRT parameters and EC private key
+ * without public key can't be converted to JWK.
+ */
+KJUR.crypto.WebCrypto._getSignAlgParam = function(alg, keyObj, param, isSign) {
+    var matchResult = alg.match(/^(.+)with(.+)$/);
+    if (matchResult === null) return null;
+    var wcHash = KJUR.crypto.WebCrypto._getHashName(matchResult[1]);
+    var pubkeyAlg = matchResult[2].toLowerCase();
+    if (wcHash === null) return null;
+
+    var isRSA = (keyObj instanceof RSAKey && keyObj.n != null &&
+		 (! isSign || (keyObj.isPrivate && keyObj.p != null)));
+    var isEC = (keyObj instanceof KJUR.crypto.ECDSA &&
+		typeof keyObj.pubKeyHex == "string" &&
+		(! isSign || keyObj.isPrivate));
+
+    if (pubkeyAlg === "rsa" && isRSA) {
+	return {name: "RSASSA-PKCS1-v1_5", hash: wcHash};
+    }
+
+    if (pubkeyAlg === "rsaandmgf1" && isRSA) {
+	var hLen = KJUR.crypto.MessageDigest.getHashLength(matchResult[1]);
+	var sLen = param.psssaltlen;
+	if (sLen === undefined || sLen === -1) {
+	    sLen = hLen;
+	} else if (sLen === -2) {
+	    // -2 for verification (RSAKey.SALT_LEN_RECOVER) is left to
+	    // KJUR.crypto.Signature so that the result is the same.
+	    if (! isSign) return null;
+	    sLen = Math.ceil((keyObj.n.bitLength() - 1) / 8) - hLen - 2;
+	}
+	return {name: "RSA-PSS", hash: wcHash, saltLength: sLen};
+    }
+
+    if (pubkeyAlg === "ecdsa" && isEC) {
+	var crv = keyObj.getShortNISTPCurveName();
+	if (crv === null) return null;
+	return {name: "ECDSA", hash: wcHash, namedCurve: crv};
+    }
+
+    return null;
+};
+
+/*
+ * call function and return its result by a Promise.
+ * An exception in the function results in a rejected Promise.
+ */
+KJUR.crypto.WebCrypto._sync = function(f) {
+    return new Promise(function(resolve) {
+	resolve(f());
+    });
+};
+
+/*
+ * convert hexadecimal string to Uint8Array
+ */
+KJUR.crypto.WebCrypto._hextou8 = function(h) {
+    var u8 = new Uint8Array(h.length / 2);
+    for (var i = 0; i < u8.length; i++) {
+	u8[i] = parseInt(h.substr(i * 2, 2), 16);
+    }
+    return u8;
+};
+
+/*
+ * convert ArrayBuffer to hexadecimal string
+ */
+KJUR.crypto.WebCrypto._buftohex = function(buf) {
+    var u8 = new Uint8Array(buf);
+    var h = "";
+    for (var i = 0; i < u8.length; i++) {
+	h += ("0" + u8[i].toString(16)).slice(-2);
+    }
+    return h;
+};
@@ -62,6 +62,7 @@
  *   <li>subjectPublicKeyInfo - (DEPRECATED) {@link X509.getPublicKeyInfoPosOfCertHEX}</li>
  *   <li>signature algorithm - (DEPRECATED) {@link X509.getSignatureAlgorithmName}</li>
  *   <li>signature algorithm - {@link X509#getSignatureAlgorithmName}</li>
+ *   <li>signature algorithm - {@link X509#getAlgorithmIdentifierName}</li>
  *   <li>signature value - (DEPRECATED) {@link X509.getSignatureValueHex}</li>
  *   <li>signature value - {@link X509#getSignatureValueHex}</li>
  *   </ul>
@@ -101,6 +102,7 @@
  *   <li>get specified extension information - {@link X509#getExtInfo}</li>
  *   <li>get Base64 from PEM certificate - {@link X509.pemToBase64}</li>
  *   <li>verify signature value - {@link X509.verifySignature}</li>
+ *   <li>get RSASSA-PSS-params - {@link X509.hex2pssparam}</li>
  *   <li>get hexadecimal string from PEM certificate - {@link X509.pemToHex} (DEPRECATED)</li>
  *   </ul>
  * </li>
@@ -195,7 +197,8 @@ function X509() {
      * algName = x.getSignatureAlgorithmField();
      */
     this.getSignatureAlgorithmField = function() {
-	return _oidname(_getVbyList(this.hex, 0, [0, 2 + this.foffset, 0], "06"));
+	var hAlgId = _getTLVbyList(this.hex, 0, [0, 2 + this.foffset], "30");
+	return this.getAlgorithmIdentifierName(hAlgId);
     };
 
     /**
@@ -358,7 +361,44 @@ function X509() {
      * x.getSignatureAlgorithmName() &rarr; "SHA256withRSA"
      */
     this.getSignatureAlgorithmName = function() {
-	return _oidname(_getVbyList(this.hex, 0, [1, 0], "06"));
+	return this.getAlgorithmIdentifierName(_getTLVbyList(this.hex, 0, [1], "30"));
+    };
+
+    /**
+     * get algorithm name of AlgorithmIdentifier ASN.1 structure<br/>
+     * @name getAlgorithmIdentifierName
+     * @memberOf X509#
+     * @function
+     * @param {String} hTLV hexadecimal string of AlgorithmIdentifier
+     * @return {String} algorithm name (ex. SHA1withRSA, SHA256withRSAandMGF1)
+     * @since jsrsasign 7.2.1 x509 1.1.16
+     * @description
+     * This method returns a name of algorithm for AlgorithmIdentifier.
+     * For id-RSASSA-PSS, RSA-PSS signature algorithm name such as
+     * "SHA256withRSAandMGF1" will be returned by its hash algorithm
+     * in RSASSA-PSS-params. When hash algorithm of MGF1 differs from
+     * hash algorithm, "rsassaPss" will be returned since it is not
+     * supported in {@link KJUR.crypto.Signature}.
+     * @example
+     * x = new X509();
+     * x.getAlgorithmIdentifierName("300d06092a864886f70d0101050500") &rarr; "SHA1withRSA"
+     * x.getAlgorithmIdentifierName("3041...") &rarr; "SHA256withRSAandMGF1"
+     */
+    this.getAlgorithmIdentifierName = function(hTLV) {
+	var hOID = _getVbyList(hTLV, 0, [0], "06");
+	if (hOID !== "2a864886f70d01010a") return _oidname(hOID);
+
+	var pssParam = _getPSSParam(hTLV);
+	if (pssParam.hash !== pssParam.mgfhash) return "rsassaPss";
+	return pssParam.hash.toUpperCase() + "withRSAandMGF1";
+    };
+
+    // RSASSA-PSS-params of id-RSASSA-PSS AlgorithmIdentifier.
+    // default parameters will be used if it is omitted.
+    var _getPSSParam = function(hAlgId) {
+	var a = _getChildIdx(hAlgId, 0);
+	if (a.length < 2) return {hash: "sha1", mgfhash: "sha1", saltlen: 20};
+	return _X509.hex2pssparam(hAlgId, a[1]);
     };
 
     /**
@@ -390,6 +430,13 @@ function X509() {
      * @description
      * This method verifies signature value of hexadecimal string of 
      * X.509 certificate by specified public key object.
+     * <br/>
+     * NOTE: RSA-PSS signature (i.e. id-RSASSA-PSS) is also supported
+     * since jsrsasign 7.2.1 x509 1.1.16. Salt length in
+     * RSASSA-PSS-params will be used to verify.
+     * An exception will be raised for RSASSA-PSS-params which
+     * hash algorithm of MGF1 differs from hash algorithm since
+     * it is not supported in {@link KJUR.crypto.Signature}.
      * @example
      * pubKey = KEYUTIL.getKey(pemPublicKey); // or certificate
      * x = new X509();
@@ -397,11 +444,19 @@ function X509() {
      * x.verifySignature(pubKey) &rarr; true, false or raising exception
      */
     this.verifySignature = function(pubKey) {
-	var algName = this.getSignatureAlgorithmName();
+	var hAlgId = _getTLVbyList(this.hex, 0, [1], "30");
+	var algName = this.getAlgorithmIdentifierName(hAlgId);
 	var hSigVal = this.getSignatureValueHex();
 	var hTbsCert = _getTLVbyList(this.hex, 0, [0], "30");
+
+	if (algName === "rsassaPss")
+	    throw "unsupported RSASSA-PSS-params: MGF1 hash differs from hash";
+
+	var sigParam = {alg: algName};
+	if (_getVbyList(hAlgId, 0, [0], "06") === "2a864886f70d01010a")
+	    sigParam.psssaltlen = _getPSSParam(hAlgId).saltlen;
 	
-	var sig = new KJUR.crypto.Signature({alg: algName});
+	var sig = new KJUR.crypto.Signature(sigParam);
 	sig.init(pubKey);
 	sig.updateHex(hTbsCert);
 	return sig.verify(hSigVal);
@@ -1023,6 +1078,66 @@ function X509() {
     };
 };
 
+/**
+ * get RSASSA-PSS-params from hexadecimal string<br/>
+ * @name hex2pssparam
+ * @memberOf X509
+ * @function
+ * @param {String} hex hexadecimal string of ASN.1 data
+ * @param {Integer} idx string index of RSASSA-PSS-params SEQUENCE (DEFAULT: 0)
+ * @return {Array} associative array of RSASSA-PSS parameters
+ * @since jsrsasign 7.2.1 x509 1.1.16
+ * @description
+ * This static method parses RSASSA-PSS-params defined in
+ * <a href="https://tools.ietf.org/html/rfc4055#section-3.1">RFC 4055</a>
+ * and returns an associative array having following properties:
+ * <ul>
+ * <li>hash - hash algorithm name (ex. "sha256")</li>
+ * <li>mgfhash - hash algorithm name for MGF1 (ex. "sha256")</li>
+ * <li>saltlen - salt length</li>
+ * </ul>
+ * Default value will be set for omitted field.
+ * Mask generation function other than MGF1 or
+ * trailer field other than 1 is not supported and
+ * raises an exception.
+ * @example
+ * X509.hex2pssparam("3000") &rarr; {hash: "sha1", mgfhash: "sha1", saltlen: 20}
+ * X509.hex2pssparam("3034a00f...") &rarr; {hash: "sha256", mgfhash: "sha256", saltlen: 32}
+ */
+X509.hex2pssparam = function(hex, idx) {
+    var _ASN1HEX = ASN1HEX,
+	_getVbyList = _ASN1HEX.getVbyList,
+	_oidname = _ASN1HEX.oidname;
+
+    if (idx === undefined) idx = 0;
+    if (hex.substr(idx, 2) !== "30")
+	throw "malformed RSASSA-PSS-params";
+
+    var result = {hash: "sha1", mgfhash: "sha1", saltlen: 20};
+    if (_ASN1HEX.getVblen(hex, idx) === 0) return result; // all default
+
+    var a = _ASN1HEX.getChildIdx(hex, idx);
+    for (var i = 0; i < a.length; i++) {
+	var tag = hex.substr(a[i], 2);
+	if (tag === "a0") {
+	    result.hash = _oidname(_getVbyList(hex, a[i], [0, 0], "06"));
+	} else if (tag === "a1") {
+	    // 2a864886f70d010108: id-mgf1 (1.2.840.113549.1.1.8)
+	    if (_getVbyList(hex, a[i], [0, 0], "06") !== "2a864886f70d010108")
+		throw "unsupported mask generation function";
+	    result.mgfhash = _oidname(_getVbyList(hex, a[i], [0, 1, 0], "06"));
+	} else if (tag === "a2") {
+	    result.saltlen = parseInt(_getVbyList(hex, a[i], [0], "02"), 16);
+	} else if (tag === "a3") {
+	    if (parseInt(_getVbyList(hex, a[i], [0], "02"), 16) !== 1)
+		throw "unsupported trailer field";
+	} else {
+	    throw "malformed RSASSA-PSS-params";
+	}
+    }
+    return result;
+};
+
 /**
  * (DEPRECATED) get Base64 string from PEM certificate string
  * @name pemToBase64
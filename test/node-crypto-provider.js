@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+
+/*
+ * node-crypto-provider.js - tests for "nodecrypto" provider under Node.js
+ *
+ * Copyright (c) 2017 Kenji Urushima (kenji.urushima@gmail.com)
+ *
+ * This software is licensed under the terms of the MIT License.
+ * http://kjur.github.com/jsrsasign/license
+ *
+ * The above copyright and license notice shall be
+ * included in all copies or substantial portions of the Software.
+ * ---------------------------------------------------------
+ * DESCRIPTION
+ *   QUnit test pages run in browsers where "nodecrypto" provider
+ *   falls back to pure JavaScript implementation. This script loads
+ *   jsrsasign source files into Node.js and checks that "nodecrypto"
+ *   and pure JavaScript providers give the same results for
+ *   KJUR.crypto.Cipher, Signature, MessageDigest and Mac.
+ *
+ * USAGE
+ *   % node test/node-crypto-provider.js
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var crypto = require('crypto');
+
+var FILES = [
+    "ext/cj/cryptojs-312-core-fix.js",
+    "ext/cj/x64-core.js",
+    "ext/cj/cipher-core_min.js",
+    "ext/cj/aes_min.js",
+    "ext/cj/tripledes_min.js",
+    "ext/cj/enc-base64_min.js",
+    "ext/cj/md5_min.js",
+    "ext/cj/sha1_min.js",
+    "ext/cj/sha256_min.js",
+    "ext/cj/sha224_min.js",
+    "ext/cj/sha512_min.js",
+    "ext/cj/sha384_min.js",
+    "ext/cj/ripemd160_min.js",
+    "ext/cj/hmac_min.js",
+    "ext/cj/pbkdf2_min.js",
+    "ext/yahoo.js",
+    "ext/prng4.js",
+    "ext/rng.js",
+    "ext/jsbn.js",
+    "ext/jsbn2.js",
+    "ext/base64.js",
+    "ext/rsa.js",
+    "ext/rsa2.js",
+    "ext/ec.js",
+    "ext/ec-patch.js",
+    "src/asn1hex-1.1.js",
+    "src/rsapem-1.1.js",
+    "src/rsasign-1.2.js",
+    "src/x509-1.1.js",
+    "src/asn1-1.0.js",
+    "src/base64x-1.1.js",
+    "src/sha3-1.0.js",
+    "src/crypto-1.1.js",
+    "src/keyutil-1.0.js",
+    "src/ecdsa-modified-1.0.js",
+    "src/ecparam-1.0.js"
+];
+
+// the same globals as npm/lib/header.js and Node.js ones for nodecrypto
+var ctx = vm.createContext({
+    navigator: {userAgent: false},
+    window: {},
+    require: require,
+    process: process,
+    Buffer: Buffer,
+    console: console
+});
+var top = path.join(__dirname, "..");
+for (var i = 0; i < FILES.length; i++) {
+    vm.runInContext(fs.readFileSync(path.join(top, FILES[i]), "utf8"), ctx,
+		    {filename: FILES[i]});
+}
+var KJUR = ctx.KJUR, KEYUTIL = ctx.KEYUTIL;
+var Cipher = KJUR.crypto.Cipher;
+
+// ======= tiny test runner =================================================
+var nPass = 0, nFail = 0, curTest = "";
+
+function equal(actual, expected, msg) {
+    if (actual === expected) {
+	nPass++;
+    } else {
+	nFail++;
+	console.log("NG: " + curTest + ": " + msg +
+		    "\n    actual:   " + actual + "\n    expected: " + expected);
+    }
+}
+
+function raises(f, msg) {
+    try {
+	f();
+    } catch (ex) {
+	nPass++;
+	return;
+    }
+    nFail++;
+    console.log("NG: " + curTest + ": " + msg + ": no exception");
+}
+
+function test(name, f) {
+    curTest = name;
+    try {
+	f();
+    } catch (ex) {
+	nFail++;
+	console.log("NG: " + name + ": exception: " + ex);
+    }
+}
+
+// call f with DEFAULTPROVIDER[name] set to prov
+function withProv(name, prov, f) {
+    var _DEFAULTPROVIDER = KJUR.crypto.Util.DEFAULTPROVIDER;
+    var provOrig = _DEFAULTPROVIDER[name];
+    _DEFAULTPROVIDER[name] = prov;
+    try {
+	return f();
+    } finally {
+	_DEFAULTPROVIDER[name] = provOrig;
+    }
+}
+
+function randHex(len) {
+    return crypto.randomBytes(len).toString("hex");
+}
+
+// ======= tests ============================================================
+var rsaKeyPair = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: {type: "spki", format: "pem"},
+    privateKeyEncoding: {type: "pkcs8", format: "pem"}
+});
+var prvKey = KEYUTIL.getKey(rsaKeyPair.privateKey);
+var pubKey = KEYUTIL.getKey(rsaKeyPair.publicKey);
+
+test("nodecrypto is available", function() {
+    equal(KJUR.crypto.Util.NODECRYPTO !== null, true, "NODECRYPTO");
+    equal(KJUR.crypto.Util.DEFAULTPROVIDER["AESGCM"], "nodecrypto", "AESGCM");
+    equal(KJUR.crypto.Util.DEFAULTPROVIDER["SHA256withRSAandMGF1"], "nodecrypto", "PSS");
+});
+
+test("setNodeCryptoDefault", function() {
+    var _Util = KJUR.crypto.Util;
+    var _DEFAULTPROVIDER = _Util.DEFAULTPROVIDER;
+    _Util.setNodeCryptoDefault(false);
+    equal(_DEFAULTPROVIDER["sha256"], "cryptojs", "false sha256");
+    equal(_DEFAULTPROVIDER["hmacsha256"], "cryptojs", "false hmacsha256");
+    equal(_DEFAULTPROVIDER["SHA256withRSA"], "cryptojs/jsrsa", "false SHA256withRSA");
+    equal(_DEFAULTPROVIDER["RSAOAEP"], "cryptojs/jsrsa", "false RSAOAEP");
+    equal(_DEFAULTPROVIDER["AESGCM"], "cryptojs", "false AESGCM");
+    equal(new KJUR.crypto.MessageDigest({alg: "sha256"}).provName, "cryptojs", "false MessageDigest");
+    equal(new KJUR.crypto.Signature({alg: "SHA256withRSA"}).provName, "cryptojs/jsrsa", "false Signature");
+    _Util.setNodeCryptoDefault(true);
+    equal(_DEFAULTPROVIDER["sha256"], "nodecrypto", "true sha256");
+    equal(_DEFAULTPROVIDER["SHA256withRSA"], "nodecrypto", "true SHA256withRSA");
+    equal(_DEFAULTPROVIDER["AESGCM"], "nodecrypto", "true AESGCM");
+    equal(_DEFAULTPROVIDER["SHA256withECDSA"], "cryptojs/jsrsa", "true SHA256withECDSA");
+    equal(_DEFAULTPROVIDER["aescmac"], "cryptojs", "true aescmac");
+    _Util.setNodeCryptoDefault(true);
+    _Util.setNodeCryptoDefault(false);
+    equal(_DEFAULTPROVIDER["SHA256withRSA"], "cryptojs/jsrsa", "false after true twice");
+    _Util.setNodeCryptoDefault(true);
+});
+
+test("Cipher AESCBC, AESCTR and AESGCM", function() {
+    var aLen = [0, 1, 15, 16, 17, 33];
+    var aAlg = ["AESCBC", "AESCTR", "AESGCM"];
+    for (var i = 0; i < aAlg.length; i++) {
+	var alg = aAlg[i];
+	for (var keyLen = 16; keyLen <= 32; keyLen += 8) {
+	    for (var j = 0; j < aLen.length; j++) {
+		var s = crypto.randomBytes(aLen[j]).toString("binary");
+		var hKey = randHex(keyLen);
+		var param = {iv: randHex((alg == "AESGCM") ? 12 : 16)};
+		if (alg == "AESGCM") param.aad = randHex(j);
+		var label = alg + " key " + keyLen + " len " + aLen[j];
+		var enc = function() { return Cipher.encrypt(s, hKey, alg, param); };
+		var hEnc1 = withProv(alg, "nodecrypto", enc);
+		var hEnc2 = withProv(alg, "cryptojs", enc);
+		equal(hEnc1, hEnc2, label + " encrypt");
+		var dec = function() { return Cipher.decrypt(hEnc1, hKey, alg, param); };
+		equal(withProv(alg, "nodecrypto", dec), s, label + " decrypt nodecrypto");
+		equal(withProv(alg, "cryptojs", dec), s, label + " decrypt cryptojs");
+	    }
+	}
+    }
+});
+
+test("Cipher AESGCM tagLen, iv length and tag mismatch", function() {
+    var hKey = randHex(16);
+    var aParam = [{iv: randHex(12), tagLen: 96},
+		  {iv: randHex(12), tagLen: 32, aad: randHex(20)},
+		  {iv: randHex(8)},
+		  {iv: randHex(60), aad: randHex(7)}];
+    for (var i = 0; i < aParam.length; i++) {
+	var param = aParam[i];
+	var enc = function() { return Cipher.encrypt("aaa", hKey, "AESGCM", param); };
+	var hEnc = withProv("AESGCM", "nodecrypto", enc);
+	equal(hEnc, withProv("AESGCM", "cryptojs", enc), "encrypt param " + i);
+	var hBad = hEnc.substr(0, hEnc.length - 2) +
+	    ((hEnc.substr(-2) == "00") ? "01" : "00");
+	var dec = function() { return Cipher.decrypt(hBad, hKey, "AESGCM", param); };
+	raises(function() { withProv("AESGCM", "nodecrypto", dec); }, "tag mismatch nodecrypto " + i);
+	raises(function() { withProv("AESGCM", "cryptojs", dec); }, "tag mismatch cryptojs " + i);
+    }
+});
+
+test("Cipher AESCBC bad padding", function() {
+    var hKey = randHex(16), hIV = randHex(16);
+    // a block whose last byte of plaintext is zero
+    var hCT = crypto.createCipheriv("aes-128-cbc", Buffer.from(hKey, "hex"),
+				    Buffer.from(hIV, "hex"))
+	.setAutoPadding(false)
+	.update(Buffer.from(randHex(15) + "00", "hex")).toString("hex");
+    var dec = function() { return Cipher.decrypt(hCT, hKey, "AESCBC", {iv: hIV}); };
+    raises(function() { withProv("AESCBC", "nodecrypto", dec); }, "nodecrypto");
+    raises(function() { withProv("AESCBC", "cryptojs", dec); }, "cryptojs");
+});
+
+test("Cipher RSA and RSA-OAEP decrypt", function() {
+    var aAlg = ["RSA", "RSAOAEP", "RSAOAEP256", "RSAOAEP384"];
+    for (var i = 0; i < aAlg.length; i++) {
+	var alg = aAlg[i];
+	var s = crypto.randomBytes(i * 10 + 1).toString("binary");
+	var hEnc = Cipher.encrypt(s, pubKey, alg);
+	var dec = function() { return Cipher.decrypt(hEnc, prvKey, alg); };
+	equal(withProv(alg, "nodecrypto", dec), s, alg + " nodecrypto");
+	equal(withProv(alg, "cryptojs/jsrsa", dec), s, alg + " cryptojs/jsrsa");
+    }
+
+    // RSA-OAEP ciphertext by Node.js crypto
+    var aHash = ["sha1", "sha256", "sha512"];
+    for (i = 0; i < aHash.length; i++) {
+	var alg = (aHash[i] == "sha1") ? "RSAOAEP" : "RSAOAEP" + aHash[i].substr(3);
+	var hEnc = crypto.publicEncrypt({key: rsaKeyPair.publicKey,
+					 padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+					 oaepHash: aHash[i]},
+					Buffer.from("aaa")).toString("hex");
+	var dec = function() { return Cipher.decrypt(hEnc, prvKey, alg); };
+	equal(withProv(alg, "nodecrypto", dec), "aaa", alg + " by Node.js nodecrypto");
+	equal(withProv(alg, "cryptojs/jsrsa", dec), "aaa", alg + " by Node.js cryptojs/jsrsa");
+    }
+});
+
+test("Signature RSA and RSA-PSS", function() {
+    var sig1 = new KJUR.crypto.Signature({alg: "SHA256withRSA", prov: "nodecrypto"});
+    sig1.init(prvKey);
+    var sig2 = new KJUR.crypto.Signature({alg: "SHA256withRSA", prov: "cryptojs/jsrsa"});
+    sig2.init(prvKey);
+    equal(sig1.signString("aaa"), sig2.signString("aaa"), "SHA256withRSA");
+
+    var aAlg = ["SHA1withRSAandMGF1", "SHA256withRSAandMGF1", "SHA512withRSAandMGF1"];
+    var aSaltLen = [undefined, 0, 20, 64];
+    for (var i = 0; i < aAlg.length; i++) {
+	for (var j = 0; j < aSaltLen.length; j++) {
+	    var alg = aAlg[i];
+	    var hashAlg = alg.split("with")[0].toLowerCase();
+	    var param = {alg: alg};
+	    if (aSaltLen[j] !== undefined) param.psssaltlen = aSaltLen[j];
+	    var saltLen = (aSaltLen[j] !== undefined) ? aSaltLen[j] :
+		KJUR.crypto.Util.hashString("", hashAlg).length / 2;
+	    var label = alg + " salt " + saltLen;
+	    var aProv = ["nodecrypto", "cryptojs/jsrsa"];
+	    for (var k = 0; k < aProv.length; k++) {
+		param.prov = aProv[k];
+		var sig = new KJUR.crypto.Signature(param);
+		sig.init(prvKey);
+		var hSig = sig.signString("aaa");
+		var ver = new KJUR.crypto.Signature({alg: alg, psssaltlen: saltLen,
+						     prov: aProv[1 - k]});
+		ver.init(pubKey);
+		ver.updateString("aaa");
+		equal(ver.verify(hSig), true, label + " " + aProv[k] + " verified by " + aProv[1 - k]);
+		equal(crypto.verify(hashAlg, Buffer.from("aaa"),
+				    {key: rsaKeyPair.publicKey,
+				     padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+				     saltLength: saltLen},
+				    Buffer.from(hSig, "hex")),
+		      true, label + " " + aProv[k] + " verified by Node.js");
+	    }
+	}
+    }
+});
+
+test("MessageDigest SHAKE outlen", function() {
+    var aParam = [{alg: "shake128"}, {alg: "shake128", outlen: 16},
+		  {alg: "shake128", outlen: 200}, {alg: "shake256"},
+		  {alg: "shake256", outlen: 32}, {alg: "shake256", outlen: 137}];
+    for (var i = 0; i < aParam.length; i++) {
+	var p = aParam[i];
+	var label = p.alg + " outlen " + p.outlen;
+	var md1 = new KJUR.crypto.MessageDigest({alg: p.alg, outlen: p.outlen, prov: "nodecrypto"});
+	var md2 = new KJUR.crypto.MessageDigest({alg: p.alg, outlen: p.outlen, prov: "cryptojs"});
+	var hMsg = randHex(i * 50);
+	var hHash = md1.digestHex(hMsg);
+	equal(hHash, md2.digestHex(hMsg), label);
+	// default output length is one of KJUR.crypto.Util.HASHLENGTH
+	var outlen = (p.outlen !== undefined) ? p.outlen : (p.alg == "shake128") ? 32 : 64;
+	equal(hHash.length, outlen * 2, label + " output length");
+	equal(hHash, crypto.createHash(p.alg, {outputLength: outlen})
+	      .update(Buffer.from(hMsg, "hex")).digest("hex"), label + " by Node.js");
+	equal(md1.digestString("aaa"), md2.digestString("aaa"), label + " digest reset");
+    }
+});
+
+test("Mac with hexadecimal and other keys", function() {
+    var hKey = "00" + randHex(40) + "ff80";
+    var aPass = [{hex: hKey}, {hex: hKey.toUpperCase()}, {rstr: "\x00\x80\xff"},
+		 {utf8: "あい"}, {b64: "AAECAwQF"}, {b64u: "_-8"}, "pass", ""];
+    var aAlg = ["HmacSHA1", "HmacSHA256", "HmacSHA512", "HmacSHA3-256"];
+    for (var i = 0; i < aAlg.length; i++) {
+	for (var j = 0; j < aPass.length; j++) {
+	    var label = aAlg[i] + " pass " + JSON.stringify(aPass[j]);
+	    var mac1 = new KJUR.crypto.Mac({alg: aAlg[i], pass: aPass[j], prov: "nodecrypto"});
+	    var mac2 = new KJUR.crypto.Mac({alg: aAlg[i], pass: aPass[j], prov: "cryptojs"});
+	    var hMsg = randHex(j * 13);
+	    equal(mac1.doFinalHex(hMsg), mac2.doFinalHex(hMsg), label);
+	    mac1.updateString("aaa");
+	    mac2.updateString("aaa");
+	    equal(mac1.doFinal(), mac2.doFinal(), label + " updateString");
+	}
+    }
+    var mac = new KJUR.crypto.Mac({alg: "HmacSHA256", pass: {hex: hKey}, prov: "nodecrypto"});
+    equal(mac.doFinalString("aaa"),
+	  crypto.createHmac("sha256", Buffer.from(hKey, "hex")).update("aaa").digest("hex"),
+	  "HmacSHA256 by Node.js");
+});
+
+console.log(nPass + " passed, " + nFail + " failed");
+process.exit(nFail == 0 ? 0 : 1);